@@ -1,4 +1,5 @@
 import https from "https";
+import crypto from "crypto";
 import { Message } from "../../../core/shared/entities/Message.js";
 import { TelegramPort } from "../../../core/shared/ports/TelegramPort.js";
 import logger from "../../../core/shared/services/Logger.js";
@@ -27,16 +28,53 @@ export class TelegramAdapter extends TelegramPort {
   }
 
   request(path, method = "GET", data = null) {
-    return new Promise((resolve, reject) => {
-      const payload = data ? JSON.stringify(data) : null;
-      const options = {
-        method,
-        headers: {
-          "Content-Type": "application/json",
-          "Content-Length": payload ? Buffer.byteLength(payload) : 0,
-        },
-      };
+    const payload = data ? JSON.stringify(data) : null;
+    return this._send(path, {
+      method,
+      headers: {
+        "Content-Type": "application/json",
+        "Content-Length": payload ? Buffer.byteLength(payload) : 0,
+      },
+    }, payload);
+  }
+
+  /**
+   * multipart/form-data request (file uploads)
+   * @param {String} path - Bot API method
+   * @param {Object} fields - Plain fields (objects are JSON-encoded, e.g. reply_markup)
+   * @param {Object} file - { field, filename, contentType, data: Buffer }
+   */
+  requestMultipart(path, fields, file) {
+    const boundary = `----botmedsos${crypto.randomBytes(12).toString("hex")}`;
+    const parts = [];
+
+    for (const [name, value] of Object.entries(fields)) {
+      if (value === undefined || value === null) continue;
+      const text = typeof value === "object" ? JSON.stringify(value) : String(value);
+      parts.push(Buffer.from(
+        `--${boundary}\r\nContent-Disposition: form-data; name="${name}"\r\n\r\n${text}\r\n`
+      ));
+    }
 
+    parts.push(Buffer.from(
+      `--${boundary}\r\nContent-Disposition: form-data; name="${file.field}"; filename="${file.filename}"\r\n` +
+      `Content-Type: ${file.contentType}\r\n\r\n`
+    ));
+    parts.push(file.data);
+    parts.push(Buffer.from(`\r\n--${boundary}--\r\n`));
+
+    const payload = Buffer.concat(parts);
+    return this._send(path, {
+      method: "POST",
+      headers: {
+        "Content-Type": `multipart/form-data; boundary=${boundary}`,
+        "Content-Length": payload.length,
+      },
+    }, payload);
+  }
+
+  _send(path, options, payload) {
+    return new Promise((resolve, reject) => {
       const req = https.request(`${this.apiUrl}/${path}`, options, (res) => {
         let body = "";
         res.on("data", (chunk) => (body += chunk));
@@ -66,10 +104,37 @@ export class TelegramAdapter extends TelegramPort {
   }
 
   async sendPhoto(chatId, photo, options = {}) {
+    // In-memory image (e.g. rendered QR): upload as multipart
+    if (Buffer.isBuffer(photo)) {
+      const { filename = "photo.png", ...rest } = options;
+      return await this.requestMultipart("sendPhoto", { chat_id: chatId, ...rest }, {
+        field: "photo",
+        filename,
+        contentType: "image/png",
+        data: photo
+      });
+    }
+
     const body = { chat_id: chatId, photo, ...options };
     return await this.request("sendPhoto", "POST", body);
   }
 
+  async sendDocument(chatId, document, options = {}) {
+    // In-memory file (e.g. generated report): upload as multipart
+    if (Buffer.isBuffer(document)) {
+      const { filename = "document", contentType = "application/octet-stream", ...rest } = options;
+      return await this.requestMultipart("sendDocument", { chat_id: chatId, ...rest }, {
+        field: "document",
+        filename,
+        contentType,
+        data: document
+      });
+    }
+
+    const body = { chat_id: chatId, document, ...options };
+    return await this.request("sendDocument", "POST", body);
+  }
+
   async editMessageText(chatId, messageId, text, options = {}) {
     const body = {
       chat_id: chatId,
@@ -156,6 +221,40 @@ export class TelegramAdapter extends TelegramPort {
           languageCode: u.message.from.language_code
         }
       });
+    } else if (u.message && (u.message.photo || u.message.document)) {
+      // Uploaded file (e.g. transfer receipt); Telegram lists photo sizes smallest first
+      const photo = u.message.photo ? u.message.photo[u.message.photo.length - 1] : null;
+      const document = u.message.document;
+      logger.info(`[TelegramAdapter] Received ${photo ? 'photo' : 'document'} from ${u.message.from.id}`);
+
+      const firstName = Sanitizer.sanitizeHTML(u.message.from.first_name);
+      const lastName = Sanitizer.sanitizeHTML(u.message.from.last_name || '');
+      const username = Sanitizer.sanitizeHTML(u.message.from.username || '');
+
+      const senderName = firstName || username || 'Kak';
+
+      return new Message({
+        chatId: u.message.chat.id,
+        text: u.message.caption || "",
+        messageId: u.message.message_id,
+        senderName,
+        senderId: u.message.from.id,
+        type: photo ? 'photo' : 'document',
+        media: photo
+          ? { fileId: photo.file_id, mimeType: 'image/jpeg', fileName: null }
+          : {
+            fileId: document.file_id,
+            mimeType: document.mime_type || null,
+            fileName: Sanitizer.sanitizeHTML(document.file_name || '')
+          },
+        from: {
+          id: u.message.from.id,
+          username,
+          firstName,
+          lastName,
+          languageCode: u.message.from.language_code
+        }
+      });
     } else if (u.callback_query) {
       logger.info(`[TelegramAdapter] Received callback: ${u.callback_query.data}`);
       const cb = u.callback_query;
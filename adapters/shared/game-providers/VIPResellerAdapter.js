@@ -64,7 +64,8 @@ export class VIPResellerAdapter extends GameProviderPort {
     logger.debug(`[VIPReseller] API Response: ${JSON.stringify(data).substring(0, 500)}`);
 
     if (data.result === false && data.message && (data.message.includes('IP') || data.message.includes('Signature'))) {
-      throw new Error(`${data.message}`);
+      // The provider answered and refused the request (nothing was placed)
+      throw Object.assign(new Error(`${data.message}`), { rejected: true });
     }
 
     return data;
@@ -72,7 +73,7 @@ export class VIPResellerAdapter extends GameProviderPort {
 
   async orderTopUp(orderData) {
     if (!this.apiKey || !this.apiId) {
-      throw new Error('VIPReseller Credentials missing');
+      return { success: false, message: 'VIPReseller Credentials missing' };
     }
 
     try {
@@ -98,10 +99,20 @@ export class VIPResellerAdapter extends GameProviderPort {
       return { success: false, message: data.message || 'Order gagal' };
     } catch (error) {
       logger.error(`[VIPReseller] Order Error: ${error.message}`);
-      throw error;
+      return this._refusedOrder(error);
     }
   }
 
+  /**
+   * Order result for a request the provider refused; any other error is rethrown
+   * (no answer: the order may have been placed)
+   * @private
+   */
+  _refusedOrder(error) {
+    if (!error.rejected) throw error;
+    return { success: false, message: error.message };
+  }
+
   async getGameServices(gameCode) {
     if (!this.apiKey || !this.apiId) {
       return [];
@@ -156,12 +167,15 @@ export class VIPResellerAdapter extends GameProviderPort {
         // Data can be an array or object
         const trx = Array.isArray(data.data) ? data.data[0] : data.data;
         return {
+          success: true,
           status: trx.status || 'unknown',
           serial: trx.sn || trx.note || null,
+          price: trx.price ?? null,
           message: data.message
         };
       }
-      return { status: 'error', message: data.message };
+      // Lookup failed (not the order's own "error" status)
+      return { success: false, status: 'unknown', message: data.message };
     } catch (error) {
       logger.error(`[VIPReseller] Status Check Error: ${error.message}`);
       throw error;
@@ -4,22 +4,21 @@ import logger, { securityLogger } from '../../../core/shared/services/Logger.js'
 /**
  * VIPResellerCallbackHandler
  * Handles incoming webhook callbacks from VIPReseller game provider.
- * Processes transaction status updates and notifies users via Telegram.
+ * Processes order status updates (PROCESSING → DELIVERED / DELIVERY_FAILED),
+ * persists the SN and updates the user's invoice bubble via Telegram.
  * 
- * Used by: Express routes for VIPReseller webhook endpoint
+ * Used by: Express route POST /callback/provider
  */
 export class VIPResellerCallbackHandler {
     /**
      * @param {String} apiId - VIPReseller API ID
      * @param {String} apiKey - VIPReseller API Key
-     * @param {Object} botCore - BotCore instance for sending messages
-     * @param {TransactionRepositoryPort} transactionRepository - Transaction repository (Hexagonal)
+     * @param {Object} botCore - BotCore instance (paymentService + invoice bubble updates)
      */
-    constructor(apiId, apiKey, botCore, transactionRepository = null) {
+    constructor(apiId, apiKey, botCore) {
         this.apiId = apiId;
         this.apiKey = apiKey;
         this.bot = botCore;
-        this.transactionRepository = transactionRepository;
     }
 
     /**
@@ -55,45 +54,29 @@ export class VIPResellerCallbackHandler {
 
             const { trxid, status, sn } = data;
 
-            // 3. Update Transaction via Repository (Hexagonal Architecture)
-            if (!this.transactionRepository) {
-                logger.warn(`[VIPReseller-Callback] TransactionRepository not injected`);
-                return res.json({ success: true, message: 'Repository not available' });
+            // 3. Update Transaction via PaymentService (status mapping + SN)
+            if (!this.bot || !this.bot.paymentService) {
+                logger.warn(`[VIPReseller-Callback] Bot or PaymentService not ready`);
+                return res.json({ success: true, message: 'Bot not ready, but accepted' });
             }
 
-            // Find transaction by provider's trxid using Repository Port
-            const trx = await this.transactionRepository.findByTrxId(trxid);
+            const { statusChanged, trx, newStatus } = await this.bot.paymentService.handleProviderCallback(trxid, status, sn);
 
             if (!trx) {
                 logger.warn(`[VIPReseller-Callback] Transaction not found for ID: ${trxid}`);
                 return res.json({ success: true, message: 'Trx not found locally' });
             }
 
-            // Map status and update via Repository
-            let newStatus = 'PROCESSING';
-            if (status === 'success') newStatus = 'SUCCESS';
-            if (status === 'error' || status === 'failed') newStatus = 'FAILED';
-
-            if (newStatus === 'SUCCESS') {
-                await this.transactionRepository.updateStatus(trx.merchantRef, 'PAID', trxid);
-            }
-
-            // 4. Notify User via Bot
-            if (this.bot.sendPort && trx.userId) {
-                let message = "";
-                if (status === 'success') {
-                    message = `✅ **Topup Berhasil!**\n\nProduk: ${trx.item}\nSN: \`${sn || '-'}\`\n\nTerima kasih sudah order! 🚀`;
-                } else if (status === 'error' || status === 'failed') {
-                    message = `❌ **Topup Gagal**\n\nMaaf Kak, pesanan ${trx.item} gagal diproses oleh provider. Silakan hubungi admin untuk refund/cek manual.`;
-                }
+            // 4. Notify User via Bot (edit invoice bubble)
+            if (statusChanged && trx.userId) {
+                const message = this.bot.buildTransactionNotice(trx, newStatus);
 
                 if (message) {
-                    try {
-                        await this.bot.sendPort.sendMessage(trx.userId, message, { parse_mode: 'Markdown' });
-                    } catch (e) {
-                        logger.error(`[VIPReseller-Callback] Failed to notify user ${trx.userId}: ${e.message}`);
-                    }
+                    logger.info(`[VIPReseller-Callback] Notifying user ${trx.userId} about status: ${newStatus}`);
+                    await this.bot.updateTransactionBubble(trx, message, { parse_mode: 'Markdown' });
                 }
+            } else {
+                logger.debug(`[VIPReseller-Callback] Status no change for ${trx.merchantRef} (${newStatus}), suppression active.`);
             }
 
             res.json({ success: true });
@@ -1,18 +1,313 @@
+import crypto from 'crypto';
+import { PaymentPort } from '../../../core/shared/ports/PaymentPort.js';
 import logger from '../../../core/shared/services/Logger.js';
+import { AppConfig } from '../../../core/shared/config/AppConfig.js';
 
-export class NetzmeAdapter {
-  constructor() {
-    // Constructor logic if any
+const PATHS = {
+  ACCESS_TOKEN: '/v1.0/access-token/b2b',
+  QR_GENERATE: '/v1.0/qr/qr-mpm-generate',
+  QR_QUERY: '/v1.0/qr/qr-mpm-query',
+  HISTORY_LIST: '/v1.0/transaction-history-list'
+};
+
+// SNAP latestTransactionStatus → status words understood by TransactionSyncService
+const SNAP_STATUS = {
+  '00': 'berhasil', // Success
+  '01': 'pending',  // Initiated
+  '02': 'pending',  // Paying
+  '03': 'pending',  // Pending
+  '05': 'expired',  // Cancelled (QR validity elapsed)
+  '06': 'gagal'     // Failed
+};
+
+const CHANNEL_CODE = 'NZQRIS';
+const INVOICE_EXPIRY_HOURS = 24;
+const TOKEN_REFRESH_MARGIN_MS = 60 * 1000;
+const HISTORY_PAGE_SIZE = 100;
+
+/**
+ * NetzmeAdapter
+ * Netzme QRIS (MPM) over the Bank Indonesia SNAP API
+ * Implements PaymentPort with the same response shapes as SakurupiahAdapter
+ *
+ * Auth: B2B access token (RSA-SHA256 over "clientId|timestamp"), then every
+ * request is signed with HMAC-SHA512(clientSecret,
+ * "POST:path:accessToken:sha256(body):timestamp").
+ */
+export class NetzmeAdapter extends PaymentPort {
+  /**
+   * @param {Object} config - Optional configuration (defaults to AppConfig.payment.netzme)
+   * @param {String} config.clientId - Client ID (X-PARTNER-ID)
+   * @param {String} config.clientSecret - Client secret (request HMAC)
+   * @param {String} config.privateKey - RSA private key PEM (access token signature)
+   * @param {String} config.merchantId - QRIS merchant ID
+   * @param {String} config.baseUrl - API base URL
+   * @param {String} config.callbackUrl - Payment notify URL
+   * @param {String} config.qrisFee - QRIS fee in percent
+   */
+  constructor(config = {}) {
+    super();
+    const defaults = AppConfig.payment.netzme;
+
+    this.clientId = config.clientId || defaults.clientId;
+    this.clientSecret = config.clientSecret || defaults.clientSecret;
+    this.privateKey = config.privateKey || defaults.privateKey;
+    this.merchantId = config.merchantId || defaults.merchantId;
+    this.baseUrl = config.baseUrl || defaults.baseUrl;
+    this.callbackUrl = config.callbackUrl || defaults.callbackUrl;
+    this.qrisFee = config.qrisFee || defaults.qrisFee;
+
+    this._accessToken = null;
+    this._accessTokenExpiresAt = 0;
   }
 
-  async createInvoice(orderData) {
-    logger.info(`[Netzme] Creating placeholder invoice for: ${JSON.stringify(orderData)}`);
-    
-    // Placeholder implementation
+  /**
+   * Netzme only offers QRIS; exposed in the shared channel shape
+   */
+  async getPaymentChannels() {
     return {
       success: true,
-      payment_url: 'https://netzme.id/pay/demo',
-      trx_id: `NETZME-${Date.now()}`
+      data: [{
+        kode: CHANNEL_CODE,
+        nama: 'QRIS (Netzme)',
+        biaya: this.qrisFee,
+        percent: 'Percent',
+        minimal: 1000,
+        maksimal: 10000000,
+        tipe: 'QRIS',
+        metode: 'QRIS',
+        logo: null,
+        status: 'Aktif'
+      }]
     };
   }
+
+  async createInvoice(orderData) {
+    const merchantRef = orderData.merchantRef;
+    const expiry = new Date(Date.now() + INVOICE_EXPIRY_HOURS * 60 * 60 * 1000);
+
+    try {
+      const data = await this._request(PATHS.QR_GENERATE, {
+        partnerReferenceNo: merchantRef,
+        amount: { value: `${orderData.amount.toString()}.00`, currency: 'IDR' },
+        merchantId: this.merchantId,
+        validityPeriod: this._formatTimestamp(expiry),
+        additionalInfo: {
+          description: `${orderData.game} - ${orderData.item}`,
+          callbackUrl: this.callbackUrl
+        }
+      });
+
+      if (!this._isSuccess(data) || !data.qrContent) {
+        logger.warn(`[Netzme] Create QR failed for ${merchantRef}: ${data.responseCode} ${data.responseMessage}`);
+        return { success: false, message: data.responseMessage || 'Netzme QR generation failed' };
+      }
+
+      return {
+        success: true,
+        payment_url: data.qrUrl || null,
+        qr_string: data.qrContent,
+        expiry_date: expiry.toISOString(),
+        payment_code: null,
+        trx_id: data.referenceNo
+      };
+    } catch (error) {
+      logger.error(`[Netzme] Create QR Error: ${error.message}`);
+      return { success: false, message: 'Payment gateway error', error: error.message };
+    }
+  }
+
+  async checkTransaction(merchantRef) {
+    return await this._query({ originalPartnerReferenceNo: merchantRef });
+  }
+
+  async checkTransactionStatus(trxId) {
+    return await this._query({ originalReferenceNo: trxId });
+  }
+
+  /**
+   * Get transaction details by transaction ID
+   * @param {String} trxId - Netzme reference number
+   * @returns {Promise<Object|null>} Raw SNAP query response
+   */
+  async getTransactionDetails(trxId) {
+    try {
+      const data = await this._request(PATHS.QR_QUERY, {
+        originalReferenceNo: trxId,
+        serviceCode: '47',
+        merchantId: this.merchantId
+      });
+      return this._isSuccess(data) ? data : null;
+    } catch (error) {
+      logger.error(`[Netzme] Get Transaction Details Error: ${error.message}`);
+      return null;
+    }
+  }
+
+  /**
+   * QRIS payments of a period from the SNAP transaction history (all pages)
+   * @param {Date} from - Start (inclusive)
+   * @param {Date} to - End (exclusive)
+   * @returns {Promise<Array|null>} Status[] with merchant_ref, null on error
+   */
+  async listTransactions(from, to) {
+    const rows = [];
+    try {
+      for (let pageNumber = 1; ; pageNumber++) {
+        const data = await this._request(PATHS.HISTORY_LIST, {
+          fromDateTime: this._formatTimestamp(from),
+          toDateTime: this._formatTimestamp(new Date(to.getTime() - 1000)),
+          pageSize: String(HISTORY_PAGE_SIZE),
+          pageNumber: String(pageNumber)
+        });
+        if (!this._isSuccess(data)) {
+          logger.error(`[Netzme] History List rejected: ${data?.responseCode} ${data?.responseMessage}`);
+          return null;
+        }
+
+        const page = Array.isArray(data.detailData) ? data.detailData : [];
+        rows.push(...page.map(item => ({
+          merchant_ref: item.partnerReferenceNo,
+          trx_id: item.referenceNo,
+          payment_status: SNAP_STATUS[item.status] || 'pending',
+          amount: item.amount?.value
+        })));
+        if (page.length < HISTORY_PAGE_SIZE) return rows;
+      }
+    } catch (error) {
+      logger.error(`[Netzme] History List Error: ${error.message}`);
+      return null;
+    }
+  }
+
+  /**
+   * Query QR payment status and map it to the shared status shape
+   * @private
+   */
+  async _query(reference) {
+    try {
+      const data = await this._request(PATHS.QR_QUERY, {
+        ...reference,
+        serviceCode: '47',
+        merchantId: this.merchantId
+      });
+
+      logger.debug(`[Netzme] Query Response: ${JSON.stringify(data)}`);
+      if (!this._isSuccess(data)) return null;
+
+      return {
+        trx_id: data.originalReferenceNo,
+        payment_status: SNAP_STATUS[data.latestTransactionStatus] || 'pending',
+        amount: data.amount?.value
+      };
+    } catch (error) {
+      logger.error(`[Netzme] Query Error: ${error.message}`);
+      return null;
+    }
+  }
+
+  /**
+   * Signed SNAP transaction request
+   * @private
+   */
+  async _request(path, body) {
+    const accessToken = await this._getAccessToken();
+    const timestamp = this._formatTimestamp(new Date());
+    const payload = JSON.stringify(body);
+
+    const response = await fetch(`${this.baseUrl}${path}`, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        'Authorization': `Bearer ${accessToken}`,
+        'X-TIMESTAMP': timestamp,
+        'X-SIGNATURE': this.generateSignature('POST', path, payload, timestamp, accessToken),
+        'X-PARTNER-ID': this.clientId,
+        'X-EXTERNAL-ID': `${Date.now()}${crypto.randomInt(100000, 999999)}`,
+        'CHANNEL-ID': '95221'
+      },
+      body: payload
+    });
+
+    return await this._parse(response, path);
+  }
+
+  /**
+   * B2B access token (cached until shortly before expiry)
+   * @private
+   */
+  async _getAccessToken() {
+    if (this._accessToken && Date.now() < this._accessTokenExpiresAt - TOKEN_REFRESH_MARGIN_MS) {
+      return this._accessToken;
+    }
+
+    const timestamp = this._formatTimestamp(new Date());
+    const signature = crypto.sign('RSA-SHA256', Buffer.from(`${this.clientId}|${timestamp}`), this.privateKey).toString('base64');
+
+    const response = await fetch(`${this.baseUrl}${PATHS.ACCESS_TOKEN}`, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        'X-TIMESTAMP': timestamp,
+        'X-CLIENT-KEY': this.clientId,
+        'X-SIGNATURE': signature
+      },
+      body: JSON.stringify({ grantType: 'client_credentials' })
+    });
+
+    const data = await this._parse(response, PATHS.ACCESS_TOKEN);
+    if (!data.accessToken) {
+      throw new Error(`Netzme access token rejected: ${data.responseCode} ${data.responseMessage}`);
+    }
+
+    this._accessToken = data.accessToken;
+    this._accessTokenExpiresAt = Date.now() + (parseInt(data.expiresIn, 10) || 900) * 1000;
+    return this._accessToken;
+  }
+
+  /**
+   * @private
+   */
+  async _parse(response, path) {
+    const text = await response.text();
+    try {
+      return JSON.parse(text);
+    } catch (e) {
+      throw new Error(`Invalid JSON from Netzme ${path} (HTTP ${response.status}): ${text.substring(0, 100)}`);
+    }
+  }
+
+  /**
+   * SNAP response codes are HTTP status + service code + case (e.g. 2004700)
+   * @private
+   */
+  _isSuccess(data) {
+    return String(data?.responseCode || '').startsWith('200');
+  }
+
+  /**
+   * Symmetric SNAP signature, also used to verify incoming notifications (accessToken = '')
+   * @param {String} method - HTTP method
+   * @param {String} path - Endpoint path
+   * @param {String} payload - Minified JSON body
+   * @param {String} timestamp - X-TIMESTAMP header value
+   * @param {String} [accessToken=''] - Bearer token
+   * @returns {String} Base64 HMAC-SHA512
+   */
+  generateSignature(method, path, payload, timestamp, accessToken = '') {
+    const bodyHash = crypto.createHash('sha256').update(payload).digest('hex').toLowerCase();
+    const stringToSign = accessToken
+      ? `${method}:${path}:${accessToken}:${bodyHash}:${timestamp}`
+      : `${method}:${path}:${bodyHash}:${timestamp}`;
+    return crypto.createHmac('sha512', this.clientSecret).update(stringToSign).digest('base64');
+  }
+
+  /**
+   * ISO-8601 in WIB (+07:00), as required by SNAP
+   * @private
+   */
+  _formatTimestamp(date) {
+    const wib = new Date(date.getTime() + 7 * 60 * 60 * 1000);
+    return `${wib.toISOString().slice(0, 19)}+07:00`;
+  }
 }
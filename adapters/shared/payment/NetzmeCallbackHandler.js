@@ -0,0 +1,134 @@
+import crypto from 'crypto';
+import logger, { securityLogger } from '../../../core/shared/services/Logger.js';
+
+const GATEWAY_NAME = 'netzme';
+
+/**
+ * NetzmeCallbackHandler
+ * Handles SNAP QR payment notifications (qr-mpm-notify) from Netzme
+ *
+ * The notification body only triggers a status sync: the status itself is
+ * re-read from the Netzme query API by PaymentService.handleCallback().
+ */
+export class NetzmeCallbackHandler {
+  /**
+   * @param {NetzmeAdapter} netzmeAdapter - Signature helper (shares client secret)
+   * @param {Object} botCore - BotCore instance (paymentService + invoice bubble updates)
+   * @param {CallbackLedgerService} callbackLedger - Callback event ledger (audit + dedupe)
+   * @param {String} callbackPath - Path of the notify endpoint (part of the signed string)
+   */
+  constructor(netzmeAdapter, botCore, callbackLedger = null, callbackPath = '/callback/payment/netzme') {
+    this.adapter = netzmeAdapter;
+    this.bot = botCore;
+    this.ledger = callbackLedger;
+    this.callbackPath = callbackPath;
+  }
+
+  /**
+   * Handle incoming callback request
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  async handleExpressRequest(req, res) {
+    let ledgerEvent = null;
+
+    try {
+      // 1. Signature Validation (raw body from express.json verify middleware)
+      const rawBody = req.rawBody || JSON.stringify(req.body);
+      const timestamp = req.headers['x-timestamp'] || '';
+      const clientSignature = req.headers['x-signature'] || '';
+      const signatureValid = this._verifySignature(rawBody, timestamp, clientSignature);
+
+      const { originalPartnerReferenceNo: merchantRef, latestTransactionStatus } = req.body || {};
+
+      // 2. Record in ledger (every delivery, valid or not)
+      ledgerEvent = await this._recordEvent(rawBody, latestTransactionStatus, merchantRef, signatureValid, req.ip);
+
+      if (!signatureValid) {
+        securityLogger.warn(`[WEBHOOK_SIG_FAIL] Invalid Signature (Netzme) | IP: ${req.ip} | Headers: ${JSON.stringify(req.headers)}`);
+        if (!ledgerEvent?.duplicate) await this.ledger?.markRejected(ledgerEvent?.event.id, 'Invalid signature');
+        return res.status(401).json({ responseCode: '4015200', responseMessage: 'Unauthorized. Invalid Signature' });
+      }
+
+      if (!merchantRef) {
+        if (!ledgerEvent?.duplicate) await this.ledger?.markRejected(ledgerEvent?.event.id, 'Missing originalPartnerReferenceNo');
+        return res.status(400).json({ responseCode: '4005201', responseMessage: 'Invalid Mandatory Field originalPartnerReferenceNo' });
+      }
+
+      // 3. Idempotency: gateway retry of an already handled callback
+      if (ledgerEvent?.duplicate) {
+        return res.json({ responseCode: '2005200', responseMessage: 'Successful' });
+      }
+
+      if (!this.bot || !this.bot.paymentService) {
+        logger.warn('[NetzmeCallback] Bot or PaymentService not ready');
+        await this.ledger?.markFailed(ledgerEvent?.event.id, 'Bot not ready');
+        return res.json({ responseCode: '2005200', responseMessage: 'Successful' });
+      }
+
+      // 4. Sync from the gateway and notify on transition
+      const { statusChanged, trx, newStatus } = await this.bot.paymentService.handleCallback(merchantRef);
+
+      if (!trx) {
+        logger.warn(`[NetzmeCallback] Transaction not found in DB: ${merchantRef}`);
+        await this.ledger?.markFailed(ledgerEvent?.event.id, 'Transaction not found locally');
+        return res.json({ responseCode: '2005200', responseMessage: 'Successful' });
+      }
+
+      if (statusChanged && trx.userId && this.bot.buildTransactionNotice) {
+        const notice = this.bot.buildTransactionNotice(trx, newStatus);
+        if (notice) {
+          logger.info(`[NetzmeCallback] Notifying user ${trx.userId} about status: ${newStatus}`);
+          await this.bot.updateTransactionBubble(trx, notice, { parse_mode: 'Markdown' });
+        }
+      }
+
+      await this.ledger?.markProcessed(ledgerEvent?.event.id);
+      res.json({ responseCode: '2005200', responseMessage: 'Successful' });
+
+    } catch (error) {
+      logger.error('[NetzmeCallback] Error:', error);
+      if (ledgerEvent) await this.ledger?.markFailed(ledgerEvent.event.id, error.message);
+      res.status(500).json({ responseCode: '5005200', responseMessage: 'General Error' });
+    }
+  }
+
+  /**
+   * Constant-time check of the SNAP symmetric signature
+   * @private
+   */
+  _verifySignature(rawBody, timestamp, clientSignature) {
+    if (!timestamp || !clientSignature) return false;
+
+    // Signed body is the minified JSON
+    let payload = rawBody;
+    try {
+      payload = JSON.stringify(JSON.parse(rawBody));
+    } catch (e) {
+      return false;
+    }
+
+    const expected = Buffer.from(this.adapter.generateSignature('POST', this.callbackPath, payload, timestamp));
+    const received = Buffer.from(String(clientSignature));
+    return expected.length === received.length && crypto.timingSafeEqual(expected, received);
+  }
+
+  /**
+   * Persist the raw callback in the ledger
+   * @private
+   * @returns {Promise<Object|null>} { event, duplicate } or null if ledger not injected
+   */
+  async _recordEvent(rawBody, event, reference, signatureValid, ipAddress) {
+    if (!this.ledger) return null;
+
+    return await this.ledger.register({
+      gateway: GATEWAY_NAME,
+      reference: String(reference || '-'),
+      event: String(event || '-'),
+      payloadHash: crypto.createHash('sha256').update(rawBody).digest('hex'),
+      rawPayload: rawBody,
+      signatureValid,
+      ipAddress: ipAddress || null
+    });
+  }
+}
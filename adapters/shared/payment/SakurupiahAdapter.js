@@ -2,6 +2,7 @@ import crypto from 'crypto';
 import { PaymentPort } from '../../../core/shared/ports/PaymentPort.js';
 import logger from '../../../core/shared/services/Logger.js';
 import { AppConfig } from '../../../core/shared/config/AppConfig.js';
+import { ADMIN } from '../../../core/shared/config/constants.js';
 
 export class SakurupiahAdapter extends PaymentPort {
   /**
@@ -360,6 +361,58 @@ export class SakurupiahAdapter extends PaymentPort {
     }
   }
 
+  /**
+   * Merchant transactions of a period (transaction list narrowed by WIB date)
+   * @param {Date} from - Start (inclusive)
+   * @param {Date} to - End (exclusive)
+   * @returns {Promise<Array|null>} Status[] with merchant_ref, null on error
+   */
+  async listTransactions(from, to) {
+    const wibDate = (date) => new Date(date.getTime() + ADMIN.TIMEZONE_OFFSET_MS).toISOString().slice(0, 10);
+
+    try {
+      const formData = new FormData();
+      formData.append('api_id', this.apiId);
+      formData.append('method', 'transaction');
+      formData.append('mechant', '1'); // Note: API has typo
+      formData.append('start_date', wibDate(from));
+      formData.append('end_date', wibDate(new Date(to.getTime() - 1)));
+
+      const response = await fetch(`${this.baseUrl}/transaction.php`, {
+        method: 'POST',
+        headers: {
+          'Authorization': `Bearer ${this.apiKey}`
+        },
+        body: formData
+      });
+
+      const text = await response.text();
+
+      if (text.trim().startsWith('<')) {
+        logger.error(`[Sakurupiah] Transaction List Returned HTML: ${text.substring(0, 100)}...`);
+        return null;
+      }
+
+      let data;
+      try {
+        data = JSON.parse(text);
+      } catch (e) {
+        logger.error(`[Sakurupiah] Invalid JSON in Transaction List: ${text.substring(0, 100)}`);
+        return null;
+      }
+
+      if (data.status !== "200") {
+        logger.error(`[Sakurupiah] Transaction List Failed: ${data.msg || data.status}`);
+        return null;
+      }
+
+      return Array.isArray(data.data) ? data.data : [];
+    } catch (e) {
+      logger.error(`[Sakurupiah] Transaction List Error: ${e.message}`);
+      return null;
+    }
+  }
+
   simulateResponse(orderData) {
     const channel = (orderData.channelCode || 'QRIS').toUpperCase();
 
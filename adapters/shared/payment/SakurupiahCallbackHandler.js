@@ -1,10 +1,18 @@
 import crypto from 'crypto';
 import logger, { securityLogger } from '../../../core/shared/services/Logger.js';
 
+const GATEWAY_NAME = 'sakurupiah';
+
 export class SakurupiahCallbackHandler {
-  constructor(apiKey, botCore) {
+  /**
+   * @param {String} apiKey - Sakurupiah API Key (HMAC secret)
+   * @param {Object} botCore - BotCore instance (paymentService + invoice bubble updates)
+   * @param {CallbackLedgerService} callbackLedger - Callback event ledger (audit + dedupe)
+   */
+  constructor(apiKey, botCore, callbackLedger = null) {
     this.apiKey = apiKey;
     this.bot = botCore; // Access to BotCore to send messages
+    this.ledger = callbackLedger;
   }
 
   /**
@@ -13,6 +21,8 @@ export class SakurupiahCallbackHandler {
    * @param {Object} res - Express response object
    */
   async handleExpressRequest(req, res) {
+    let ledgerEvent = null;
+
     try {
       // 1. Get raw body for signature validation
       // Req.rawBody must be populated by express.json({ verify: ... }) middleware
@@ -24,24 +34,37 @@ export class SakurupiahCallbackHandler {
       // 2. Signature Validation
       const clientSignature = req.headers['http_x_callback_signature'] || req.headers['x-callback-signature'] || '';
       const mySignature = crypto.createHmac('sha256', this.apiKey).update(rawBody).digest('hex');
+      const signatureValid = clientSignature.length === mySignature.length &&
+        crypto.timingSafeEqual(Buffer.from(clientSignature), Buffer.from(mySignature));
 
-      if (clientSignature !== mySignature) {
+      const event = req.headers['http_x_callback_event'] || req.headers['x-callback-event'] || '';
+      const { merchant_ref } = req.body || {};
+
+      // 3. Record in ledger (every delivery, valid or not)
+      ledgerEvent = await this._recordEvent(rawBody, event, merchant_ref, signatureValid, req.ip);
+
+      if (!signatureValid) {
         securityLogger.warn(`[WEBHOOK_SIG_FAIL] Invalid Signature (Sakurupiah) | IP: ${req.ip} | Headers: ${JSON.stringify(req.headers)}`);
         logger.warn("[Callback] Invalid Signature");
+        if (!ledgerEvent?.duplicate) await this.ledger?.markRejected(ledgerEvent?.event.id, 'Invalid signature');
         return res.status(403).json({ success: false, message: 'Invalid signature' });
       }
 
-      // 3. Check Event
-      const event = req.headers['http_x_callback_event'] || req.headers['x-callback-event'] || '';
+      // 4. Check Event
       if (event !== 'payment_status') {
+        if (!ledgerEvent?.duplicate) await this.ledger?.markRejected(ledgerEvent?.event.id, `Unrecognized event: ${event}`);
         return res.status(400).json({ success: false, message: 'Unrecognized callback event' });
       }
 
-      // 4. Process Data & Deep Sync
-      const { merchant_ref } = req.body;
+      // 5. Idempotency: gateway retry of an already handled callback
+      if (ledgerEvent?.duplicate) {
+        return res.json({ success: true, message: `Duplicate callback for ${merchant_ref} ignored` });
+      }
 
+      // 6. Process Data & Deep Sync
       if (!this.bot || !this.bot.paymentService) {
         logger.warn("[Callback] Bot or PaymentService not ready");
+        await this.ledger?.markFailed(ledgerEvent?.event.id, 'Bot not ready');
         return res.json({ success: true, message: 'Bot not ready, but accepted' });
       }
 
@@ -50,6 +73,7 @@ export class SakurupiahCallbackHandler {
 
       if (!trx) {
         logger.warn(`[Callback] Transaction not found in DB: ${merchant_ref}`);
+        await this.ledger?.markFailed(ledgerEvent?.event.id, 'Transaction not found locally');
         return res.json({ success: true, message: 'Trx not found locally' });
       }
 
@@ -71,41 +95,50 @@ export class SakurupiahCallbackHandler {
         } else if (newStatus === "FAILED") {
           messageToUser = `❌ *Pembayaran Gagal*\n\nMaaf Kak, transaksi \`${escapedRef}\` dinyatakan gagal oleh sistem\\. Silakan hubungi admin\\.`;
           shouldNotify = true;
+        } else if (this.bot.buildTransactionNotice) {
+          // Other transitions (e.g. deposit credited → DELIVERED) use the shared Markdown notices
+          const notice = this.bot.buildTransactionNotice(trx, newStatus);
+          if (notice && trx.userId) {
+            await this.bot.updateTransactionBubble(trx, notice, { parse_mode: 'Markdown' });
+          }
         }
 
-        if (shouldNotify && trx.userId && this.bot.sendPort) {
+        if (shouldNotify && trx.userId) {
           logger.info(`[Callback] Notifying user ${trx.userId} about status: ${newStatus}`);
-          const options = { parse_mode: 'MarkdownV2' };
-
-          if (trx.messageId) {
-            try {
-              // Try to edit caption first (assuming it was a photo invoice)
-              await this.bot.sendPort.editMessageCaption(trx.userId, trx.messageId, messageToUser, options);
-              logger.info(`[Callback] Updated bubble ${trx.messageId} via caption`);
-            } catch (e1) {
-              try {
-                // Try to edit text (if it was a VA/Retail text invoice)
-                await this.bot.sendPort.editMessageText(trx.userId, trx.messageId, messageToUser, options);
-                logger.info(`[Callback] Updated bubble ${trx.messageId} via text`);
-              } catch (e2) {
-                logger.warn(`[Callback] Edit failed, sending new message: ${e2.message}`);
-                await this.bot.sendPort.sendMessage(trx.userId, messageToUser, options);
-              }
-            }
-          } else {
-            await this.bot.sendPort.sendMessage(trx.userId, messageToUser, options);
-          }
+          await this.bot.updateTransactionBubble(trx, messageToUser, { parse_mode: 'MarkdownV2' });
         }
       } else {
         logger.debug(`[Callback] Status no change for ${merchant_ref} (${newStatus}), suppression active.`);
       }
 
-      // 5. Response
+      await this.ledger?.markProcessed(ledgerEvent?.event.id);
+
+      // 7. Response
       res.json({ success: true, message: `Sync complete for ${merchant_ref}` });
 
     } catch (error) {
       logger.error("[Callback] Error:", error);
+      if (ledgerEvent) await this.ledger?.markFailed(ledgerEvent.event.id, error.message);
       res.status(500).json({ success: false, message: 'Internal Server Error' });
     }
   }
+
+  /**
+   * Persist the raw callback in the ledger
+   * @private
+   * @returns {Promise<Object|null>} { event, duplicate } or null if ledger not injected
+   */
+  async _recordEvent(rawBody, event, reference, signatureValid, ipAddress) {
+    if (!this.ledger) return null;
+
+    return await this.ledger.register({
+      gateway: GATEWAY_NAME,
+      reference: String(reference || '-'),
+      event: String(event || '-'),
+      payloadHash: crypto.createHash('sha256').update(rawBody).digest('hex'),
+      rawPayload: rawBody,
+      signatureValid,
+      ipAddress: ipAddress || null
+    });
+  }
 }
@@ -0,0 +1,34 @@
+import QRCode from 'qrcode';
+import { QrRendererPort } from '../../../core/shared/ports/QrRendererPort.js';
+import { QR_CODE } from '../../../core/shared/config/constants.js';
+
+/**
+ * PngQrRenderer
+ * Renders QR codes to PNG in-process with the qrcode library
+ * Implements QrRendererPort for Hexagonal Architecture
+ */
+export class PngQrRenderer extends QrRendererPort {
+  /**
+   * @param {Object} [options]
+   * @param {Number} [options.size] - Image width in px
+   * @param {String} [options.errorCorrectionLevel] - L, M, Q or H
+   */
+  constructor(options = {}) {
+    super();
+    this.size = options.size || QR_CODE.SIZE;
+    this.errorCorrectionLevel = options.errorCorrectionLevel || QR_CODE.ERROR_CORRECTION;
+    this.margin = QR_CODE.MARGIN;
+  }
+
+  /**
+   * Render a QR payload as PNG
+   */
+  async renderPng(payload) {
+    return QRCode.toBuffer(String(payload), {
+      type: 'png',
+      width: this.size,
+      margin: this.margin,
+      errorCorrectionLevel: this.errorCorrectionLevel
+    });
+  }
+}
@@ -0,0 +1,111 @@
+import crypto from 'crypto';
+import logger, { securityLogger } from '../../../core/shared/services/Logger.js';
+import { REPORT } from '../../../core/shared/config/constants.js';
+
+/**
+ * ReportExportHttpHandler
+ * Serves transaction exports to bookkeeping tools.
+ * Auth: "Authorization: Bearer <REPORT_API_TOKEN>" (constant-time compare);
+ * without a token of at least REPORT.MIN_TOKEN_LENGTH characters the endpoint is off (404).
+ *
+ * Query: from, until (YYYY-MM-DD, WIB, inclusive; default this month), format (csv | xlsx, default csv)
+ * - csv is streamed page by page (no row limit)
+ * - xlsx is built in memory (REPORT.MAX_ROWS rows, X-Report-Truncated: true when cut off)
+ *
+ * Used by: Express route GET /admin/export
+ */
+export class ReportExportHttpHandler {
+    /**
+     * @param {Object} reportService - ReportService instance
+     * @param {String} apiToken - Bearer token (REPORT_API_TOKEN)
+     */
+    constructor(reportService, apiToken) {
+        this.reportService = reportService;
+        this.apiToken = apiToken && apiToken.length >= REPORT.MIN_TOKEN_LENGTH ? apiToken : null;
+    }
+
+    /**
+     * Handle GET /admin/export
+     */
+    async handleExpressRequest(req, res) {
+        if (!this.apiToken) return res.sendStatus(404);
+
+        let range = null;
+        try {
+            if (!this._isAuthorized(req.headers.authorization)) {
+                securityLogger.warn(`[REPORT_AUTH_FAIL] Invalid export token | IP: ${req.headers['cf-connecting-ip'] || req.ip}`);
+                return res.status(401).json({ success: false, message: 'Unauthorized' });
+            }
+
+            const format = String(req.query.format || 'csv').toLowerCase();
+            if (!REPORT.FORMATS.includes(format)) {
+                return res.status(400).json({ success: false, message: `format must be one of: ${REPORT.FORMATS.join(', ')}` });
+            }
+
+            const resolved = this.reportService.resolveRange(req.query.from, req.query.until);
+            if (!resolved.success) {
+                return res.status(400).json({ success: false, error: resolved.error, maxRangeDays: REPORT.MAX_RANGE_DAYS });
+            }
+            range = resolved.range;
+
+            logger.info(`[ReportExport] ${format} ${range.fromDay}..${range.untilDay} requested via HTTP`);
+            if (format === 'csv') return await this._streamCsv(range, res);
+
+            const report = await this.reportService.build(range);
+            const [file] = this.reportService.renderFiles(report, format);
+            res.setHeader('Content-Type', file.contentType);
+            res.setHeader('Content-Disposition', `attachment; filename="${file.filename}"`);
+            if (report.truncated) res.setHeader('X-Report-Truncated', 'true');
+            res.send(file.data);
+        } catch (error) {
+            logger.error(`[ReportExport] Export ${range ? `${range.fromDay}..${range.untilDay}` : 'request'} failed: ${error.message}`);
+            // Mid-stream failure: cut the download so it is not mistaken for a complete file
+            if (res.headersSent) return res.destroy(error);
+            res.status(500).json({ success: false, message: 'Export failed' });
+        }
+    }
+
+    /**
+     * Write the CSV as it is read (respects backpressure, stops if the client left)
+     * @private
+     */
+    async _streamCsv(range, res) {
+        res.setHeader('Content-Type', this.reportService.contentType('csv'));
+        res.setHeader('Content-Disposition', `attachment; filename="${this.reportService.fileName(range)}.csv"`);
+
+        for await (const chunk of this.reportService.streamCsv(range)) {
+            if (res.destroyed) return;
+            if (!res.write(chunk)) await this._drained(res);
+        }
+        res.end();
+    }
+
+    /**
+     * Wait until the socket takes more data (or the client went away)
+     * @private
+     */
+    _drained(res) {
+        return new Promise(resolve => {
+            const done = () => {
+                res.off('drain', done);
+                res.off('close', done);
+                resolve();
+            };
+            res.on('drain', done);
+            res.on('close', done);
+        });
+    }
+
+    /**
+     * Constant-time token check on sha256 digests (equal length whatever the
+     * token's characters, so timingSafeEqual never throws)
+     * @private
+     */
+    _isAuthorized(header) {
+        const [scheme, token] = String(header || '').split(' ');
+        if (scheme !== 'Bearer' || !token) return false;
+
+        const digest = (value) => crypto.createHash('sha256').update(value, 'utf8').digest();
+        return crypto.timingSafeEqual(digest(token), digest(this.apiToken));
+    }
+}
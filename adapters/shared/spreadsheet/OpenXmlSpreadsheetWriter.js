@@ -0,0 +1,252 @@
+import zlib from 'zlib';
+import { SpreadsheetWriterPort } from '../../../core/shared/ports/SpreadsheetWriterPort.js';
+
+const XML_HEADER = '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>\n';
+const NS_MAIN = 'http://schemas.openxmlformats.org/spreadsheetml/2006/main';
+const NS_REL = 'http://schemas.openxmlformats.org/officeDocument/2006/relationships';
+const NS_PKG_REL = 'http://schemas.openxmlformats.org/package/2006/relationships';
+const CONTENT_TYPE = 'application/vnd.openxmlformats-officedocument.spreadsheetml';
+
+// Cell styles (styles.xml cellXfs): 0 = default, 1 = bold header, 2 = number with thousands separator
+const STYLE_HEADER = 1;
+const STYLE_NUMBER = 2;
+const STYLES_XML = XML_HEADER +
+  `<styleSheet xmlns="${NS_MAIN}">` +
+  '<fonts count="2"><font><sz val="11"/><name val="Calibri"/></font><font><b/><sz val="11"/><name val="Calibri"/></font></fonts>' +
+  '<fills count="2"><fill><patternFill patternType="none"/></fill><fill><patternFill patternType="gray125"/></fill></fills>' +
+  '<borders count="1"><border><left/><right/><top/><bottom/><diagonal/></border></borders>' +
+  '<cellStyleXfs count="1"><xf numFmtId="0" fontId="0" fillId="0" borderId="0"/></cellStyleXfs>' +
+  '<cellXfs count="3">' +
+  '<xf numFmtId="0" fontId="0" fillId="0" borderId="0" xfId="0"/>' +
+  '<xf numFmtId="0" fontId="1" fillId="0" borderId="0" xfId="0" applyFont="1"/>' +
+  '<xf numFmtId="3" fontId="0" fillId="0" borderId="0" xfId="0" applyNumberFormat="1"/>' +
+  '</cellXfs></styleSheet>';
+
+// Spreadsheet apps run cells starting with these as formulas (CSV injection)
+const FORMULA_PREFIX = /^[=+\-@\t\r]/;
+// Control characters not allowed in XML 1.0
+const INVALID_XML_CHARS = /[\x00-\x08\x0B\x0C\x0E-\x1F]/g; // eslint-disable-line no-control-regex
+
+const CRC_TABLE = (() => {
+  const table = new Uint32Array(256);
+  for (let n = 0; n < 256; n++) {
+    let c = n;
+    for (let k = 0; k < 8; k++) c = (c & 1) ? (0xEDB88320 ^ (c >>> 1)) : (c >>> 1);
+    table[n] = c >>> 0;
+  }
+  return table;
+})();
+
+/**
+ * OpenXmlSpreadsheetWriter
+ * Renders report sheets as CSV or XLSX in-process (zlib for the ZIP container)
+ * Implements SpreadsheetWriterPort for Hexagonal Architecture
+ *
+ * The XLSX is a minimal SpreadsheetML package: inline strings (no shared
+ * string table), a bold frozen header row and "#,##0" number cells.
+ */
+export class OpenXmlSpreadsheetWriter extends SpreadsheetWriterPort {
+  toCsv(sheet, { header = true } = {}) {
+    const lines = sheet.rows.map(row => sheet.columns.map(column => this._csvField(row[column.key], column)).join(','));
+    if (header) lines.unshift(sheet.columns.map(column => this._csvField(column.header)).join(','));
+    if (lines.length === 0) return '';
+
+    return `${header ? '﻿' : ''}${lines.join('\r\n')}\r\n`;
+  }
+
+  toXlsx(sheets) {
+    const names = this._sheetNames(sheets);
+    const files = [
+      { name: '[Content_Types].xml', data: this._contentTypes(sheets.length) },
+      { name: '_rels/.rels', data: XML_HEADER + `<Relationships xmlns="${NS_PKG_REL}"><Relationship Id="rId1" Type="${NS_REL}/officeDocument" Target="xl/workbook.xml"/></Relationships>` },
+      { name: 'xl/workbook.xml', data: this._workbook(names) },
+      { name: 'xl/_rels/workbook.xml.rels', data: this._workbookRels(sheets.length) },
+      { name: 'xl/styles.xml', data: STYLES_XML },
+      ...sheets.map((sheet, i) => ({ name: `xl/worksheets/sheet${i + 1}.xml`, data: this._worksheet(sheet) }))
+    ];
+    return this._zip(files);
+  }
+
+  /**
+   * @private
+   */
+  _csvField(value, column = {}) {
+    if (value === null || value === undefined) return '';
+
+    let text = String(value);
+    if (column.type !== 'number' && FORMULA_PREFIX.test(text)) text = `'${text}`;
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+  }
+
+  /**
+   * Sheet names: at most 31 characters, no []:*?/\, unique
+   * @private
+   */
+  _sheetNames(sheets) {
+    const used = new Set();
+    return sheets.map((sheet, i) => {
+      let name = String(sheet.name || `Sheet${i + 1}`).replace(/[[\]:*?/\\]/g, ' ').slice(0, 31).trim() || `Sheet${i + 1}`;
+      if (used.has(name.toLowerCase())) name = `${name.slice(0, 28)} ${i + 1}`;
+      used.add(name.toLowerCase());
+      return name;
+    });
+  }
+
+  /**
+   * @private
+   */
+  _contentTypes(sheetCount) {
+    let xml = XML_HEADER + '<Types xmlns="http://schemas.openxmlformats.org/package/2006/content-types">' +
+      '<Default Extension="rels" ContentType="application/vnd.openxmlformats-package.relationships+xml"/>' +
+      '<Default Extension="xml" ContentType="application/xml"/>' +
+      `<Override PartName="/xl/workbook.xml" ContentType="${CONTENT_TYPE}.sheet.main+xml"/>` +
+      `<Override PartName="/xl/styles.xml" ContentType="${CONTENT_TYPE}.styles+xml"/>`;
+    for (let i = 1; i <= sheetCount; i++) {
+      xml += `<Override PartName="/xl/worksheets/sheet${i}.xml" ContentType="${CONTENT_TYPE}.worksheet+xml"/>`;
+    }
+    return xml + '</Types>';
+  }
+
+  /**
+   * @private
+   */
+  _workbook(names) {
+    const sheets = names.map((name, i) => `<sheet name="${this._escape(name)}" sheetId="${i + 1}" r:id="rId${i + 1}"/>`).join('');
+    return XML_HEADER + `<workbook xmlns="${NS_MAIN}" xmlns:r="${NS_REL}"><sheets>${sheets}</sheets></workbook>`;
+  }
+
+  /**
+   * @private
+   */
+  _workbookRels(sheetCount) {
+    let xml = XML_HEADER + `<Relationships xmlns="${NS_PKG_REL}">`;
+    for (let i = 1; i <= sheetCount; i++) {
+      xml += `<Relationship Id="rId${i}" Type="${NS_REL}/worksheet" Target="worksheets/sheet${i}.xml"/>`;
+    }
+    xml += `<Relationship Id="rId${sheetCount + 1}" Type="${NS_REL}/styles" Target="styles.xml"/>`;
+    return xml + '</Relationships>';
+  }
+
+  /**
+   * @private
+   */
+  _worksheet(sheet) {
+    const rows = [
+      `<row r="1">${sheet.columns.map((column, c) => this._stringCell(this._cellRef(c, 1), column.header, STYLE_HEADER)).join('')}</row>`
+    ];
+    sheet.rows.forEach((row, i) => {
+      const r = i + 2;
+      const cells = sheet.columns.map((column, c) => {
+        const value = row[column.key];
+        if (value === null || value === undefined || value === '') return '';
+        return column.type === 'number'
+          ? `<c r="${this._cellRef(c, r)}" s="${STYLE_NUMBER}"><v>${String(value)}</v></c>`
+          : this._stringCell(this._cellRef(c, r), value);
+      }).join('');
+      rows.push(`<row r="${r}">${cells}</row>`);
+    });
+
+    return XML_HEADER + `<worksheet xmlns="${NS_MAIN}">` +
+      '<sheetViews><sheetView workbookViewId="0"><pane ySplit="1" topLeftCell="A2" activePane="bottomLeft" state="frozen"/></sheetView></sheetViews>' +
+      `<sheetData>${rows.join('')}</sheetData></worksheet>`;
+  }
+
+  /**
+   * @private
+   */
+  _stringCell(ref, value, style = 0) {
+    return `<c r="${ref}" t="inlineStr"${style ? ` s="${style}"` : ''}><is><t xml:space="preserve">${this._escape(value)}</t></is></c>`;
+  }
+
+  /**
+   * Zero-based column + one-based row → "A1"
+   * @private
+   */
+  _cellRef(column, row) {
+    let letters = '';
+    for (let n = column + 1; n > 0; n = Math.floor((n - 1) / 26)) {
+      letters = String.fromCharCode(65 + ((n - 1) % 26)) + letters;
+    }
+    return `${letters}${row}`;
+  }
+
+  /**
+   * @private
+   */
+  _escape(value) {
+    return String(value)
+      .replace(INVALID_XML_CHARS, '')
+      .replace(/&/g, '&amp;')
+      .replace(/</g, '&lt;')
+      .replace(/>/g, '&gt;')
+      .replace(/"/g, '&quot;');
+  }
+
+  /**
+   * ZIP container (deflate, no ZIP64: exports stay far below 4 GB)
+   * @private
+   */
+  _zip(files) {
+    const locals = [];
+    const centrals = [];
+    let offset = 0;
+
+    for (const file of files) {
+      const name = Buffer.from(file.name, 'utf8');
+      const data = Buffer.from(file.data, 'utf8');
+      const compressed = zlib.deflateRawSync(data);
+      const crc = this._crc32(data);
+
+      const local = Buffer.alloc(30);
+      local.writeUInt32LE(0x04034b50, 0);
+      local.writeUInt16LE(20, 4);                 // Version needed
+      local.writeUInt16LE(0, 6);                  // Flags
+      local.writeUInt16LE(8, 8);                  // Deflate
+      local.writeUInt16LE(0, 10);                 // Time 00:00
+      local.writeUInt16LE(0x21, 12);              // Date 1980-01-01
+      local.writeUInt32LE(crc, 14);
+      local.writeUInt32LE(compressed.length, 18);
+      local.writeUInt32LE(data.length, 22);
+      local.writeUInt16LE(name.length, 26);
+      local.writeUInt16LE(0, 28);                 // Extra length
+
+      const central = Buffer.alloc(46);
+      central.writeUInt32LE(0x02014b50, 0);
+      central.writeUInt16LE(20, 4);               // Version made by
+      central.writeUInt16LE(20, 6);               // Version needed
+      central.writeUInt16LE(0, 8);
+      central.writeUInt16LE(8, 10);
+      central.writeUInt16LE(0, 12);
+      central.writeUInt16LE(0x21, 14);
+      central.writeUInt32LE(crc, 16);
+      central.writeUInt32LE(compressed.length, 20);
+      central.writeUInt32LE(data.length, 24);
+      central.writeUInt16LE(name.length, 28);
+      // Extra, comment, disk, attributes: 0
+      central.writeUInt32LE(offset, 42);
+
+      locals.push(local, name, compressed);
+      centrals.push(central, name);
+      offset += local.length + name.length + compressed.length;
+    }
+
+    const directory = Buffer.concat(centrals);
+    const end = Buffer.alloc(22);
+    end.writeUInt32LE(0x06054b50, 0);
+    end.writeUInt16LE(files.length, 8);
+    end.writeUInt16LE(files.length, 10);
+    end.writeUInt32LE(directory.length, 12);
+    end.writeUInt32LE(offset, 16);
+
+    return Buffer.concat([...locals, directory, end]);
+  }
+
+  /**
+   * @private
+   */
+  _crc32(buffer) {
+    let c = 0xFFFFFFFF;
+    for (const byte of buffer) c = CRC_TABLE[(c ^ byte) & 0xFF] ^ (c >>> 8);
+    return (c ^ 0xFFFFFFFF) >>> 0;
+  }
+}
@@ -4,7 +4,7 @@ import { GameService } from '../../shared/services/GameService.js';
 import { RateLimiter } from '../../shared/services/RateLimiter.js';
 import { InputValidationService } from '../../shared/services/InputValidationService.js';
 import { Sanitizer } from '../../shared/utils/Sanitizer.js';
-import { RATE_LIMIT_MS } from '../../shared/config/constants.js';
+import { RATE_LIMIT_MS, FULFILLMENT_QUEUE, RECONCILER, LOYALTY, FLASH_SALE, PROMO, REMINDER, SETTLEMENT, PAYMENT_STATUS, TRANSACTION_TYPE, WALLET } from '../../shared/config/constants.js';
 import logger from '../../shared/services/Logger.js';
 
 /**
@@ -31,7 +31,13 @@ export class BotCore {
       sessionService,
       authenticationService, // NEW: Authentication service
       authPort,              // Authorization guard
-      callbackHandler
+      callbackHandler,
+      reconcilerService,     // Lost-callback recovery
+      reminderService,       // Expiry reminders + abandoned-checkout nudges
+      adminService,          // Admin panel read models
+      reportService,         // Transaction exports (/export)
+      settlementService,     // Nightly gateway/provider/database check
+      qrRenderer             // Payment QR image renderer
     } = dependencies;
 
     // Store dependencies
@@ -49,6 +55,12 @@ export class BotCore {
 
     this.sessionService = sessionService;
     this.paymentService = paymentService;
+    this.reconcilerService = reconcilerService;
+    this.reminderService = reminderService;
+    this.adminService = adminService;
+    this.reportService = reportService;
+    this.settlementService = settlementService;
+    this.qrRenderer = qrRenderer;
 
     // Security services
     this.authN = authenticationService; // Authentication
@@ -152,6 +164,77 @@ export class BotCore {
     }
   }
 
+  /**
+   * Update the user's invoice bubble for a transaction
+   * Tries caption (QR photo invoice), then text (VA/Retail invoice), then falls back to a new message.
+   * @param {Object} trx - Transaction (needs userId, optional messageId)
+   * @param {String} text - New message content
+   * @param {Object} options - Telegram options (parse_mode, reply_markup)
+   */
+  async updateTransactionBubble(trx, text, options = {}) {
+    if (!trx?.userId || !this.sendPort) return;
+
+    if (trx.messageId) {
+      try {
+        await this.sendPort.editMessageCaption(trx.userId, trx.messageId, text, options);
+        logger.info(`[BotCore] Updated bubble ${trx.messageId} via caption`);
+        return;
+      } catch (e1) {
+        try {
+          await this.sendPort.editMessageText(trx.userId, trx.messageId, text, options);
+          logger.info(`[BotCore] Updated bubble ${trx.messageId} via text`);
+          return;
+        } catch (e2) {
+          logger.warn(`[BotCore] Edit failed, sending new message: ${e2.message}`);
+        }
+      }
+    }
+
+    try {
+      await this.sendPort.sendMessage(trx.userId, text, options);
+    } catch (e) {
+      logger.error(`[BotCore] Failed to notify user ${trx.userId}: ${e.message}`);
+    }
+  }
+
+  /**
+   * Build the user-facing notice for a transaction status (Markdown)
+   * @param {Object} trx - Transaction
+   * @param {String} status - Internal status
+   * @returns {String|null} Message or null if the status needs no notice
+   */
+  buildTransactionNotice(trx, status) {
+    const m = this.config?.messages;
+    if (!m || !trx) return null;
+
+    // Balance top-up: credited instead of delivered by the provider
+    if (trx.type === TRANSACTION_TYPE.DEPOSIT) {
+      const credited = trx.basePrice ?? trx.amount;
+      if (status === PAYMENT_STATUS.PAID) return m.TRX_NOTICE_DEPOSIT_PAID(trx.merchantRef);
+      if (status === PAYMENT_STATUS.DELIVERED) return m.TRX_NOTICE_DEPOSIT_CREDITED(credited, trx.merchantRef);
+    }
+
+    // Membership upgrade: tier applied instead of delivered by the provider
+    if (trx.type === TRANSACTION_TYPE.MEMBERSHIP) {
+      if (status === PAYMENT_STATUS.PAID) return m.TRX_NOTICE_MEMBERSHIP_PAID(trx.merchantRef);
+      if (status === PAYMENT_STATUS.DELIVERED) return m.TRX_NOTICE_MEMBERSHIP_ACTIVE(trx.serviceCode, trx.merchantRef);
+    }
+
+    const item = Sanitizer.escapeMarkdown(trx.item || '-');
+    switch (status) {
+      case PAYMENT_STATUS.PAID: return m.TRX_NOTICE_PAID(trx.merchantRef);
+      case PAYMENT_STATUS.EXPIRED: return m.TRX_NOTICE_EXPIRED(trx.merchantRef);
+      case PAYMENT_STATUS.FAILED: return m.TRX_NOTICE_FAILED(trx.merchantRef);
+      case PAYMENT_STATUS.DELIVERED: return m.TRX_NOTICE_DELIVERED(item, trx.merchantRef, trx.serialNumber);
+      case PAYMENT_STATUS.DELIVERY_FAILED: return m.TRX_NOTICE_DELIVERY_FAILED(item, trx.merchantRef);
+      case PAYMENT_STATUS.REFUNDED:
+        return trx.channel === WALLET.CHANNEL_CODE
+          ? m.TRX_NOTICE_REFUNDED_BALANCE(item, trx.merchantRef, trx.amount)
+          : m.TRX_NOTICE_REFUNDED(item, trx.merchantRef);
+      default: return null;
+    }
+  }
+
   async start() {
     // Connect to database
     await this.databasePort.connect();
@@ -215,6 +298,202 @@ export class BotCore {
       // Cleanup expired sessions (includes auth state now)
       await this.sessionService.cleanupExpiredSessions(24);
     }, 60 * 60 * 1000); // Every hour
+
+    // 2. Durable fulfillment queue worker (also resumes jobs left by a restart)
+    this.paymentService.setFulfillmentDeadLetterHandler((job, trx, error) => this._handleFulfillmentDeadLetter(job, trx, error));
+    this.paymentService.setReferralRewardHandler((reward) => this._notifyReferralReward(reward));
+    this.paymentService.setDuplicatePaymentHandler((duplicate) => this._handleDuplicatePayment(duplicate));
+    this.paymentService.processFulfillmentQueue().catch(err => logger.error(`[BotCore] Initial fulfillment run failed: ${err.message}`));
+
+    this.fulfillmentInterval = setInterval(async () => {
+      try {
+        await this.paymentService.processFulfillmentQueue();
+      } catch (err) {
+        logger.error(`[BotCore] Fulfillment worker failed: ${err.message}`);
+      }
+    }, FULFILLMENT_QUEUE.POLL_INTERVAL_MS);
+
+    // 3. Reconciler: recover lost gateway/provider callbacks, expire stale invoices
+    if (this.reconcilerService) {
+      this.reconcilerInterval = setInterval(() => {
+        this._runReconciler().catch(err => logger.error(`[BotCore] Reconciler failed: ${err.message}`));
+      }, RECONCILER.INTERVAL_MS);
+    }
+
+    // 4. Loyalty points: expire due lots, give back points of cancelled orders
+    this.loyaltyInterval = setInterval(() => {
+      this.paymentService.processLoyaltySweep()
+        .then(({ expired, restored }) => {
+          if (expired.length > 0 || restored > 0) {
+            logger.info(`[BotCore] Loyalty sweep: ${expired.length} lot(s) expired, ${restored} redemption(s) restored`);
+          }
+        })
+        .catch(err => logger.error(`[BotCore] Loyalty sweep failed: ${err.message}`));
+    }, LOYALTY.SWEEP_INTERVAL_MS);
+
+    // 5. Flash sales: give back the quota of cancelled orders
+    this.flashSaleInterval = setInterval(() => {
+      this.paymentService.processFlashSaleSweep()
+        .then((released) => {
+          if (released > 0) logger.info(`[BotCore] Flash sale sweep: ${released} unit(s) given back`);
+        })
+        .catch(err => logger.error(`[BotCore] Flash sale sweep failed: ${err.message}`));
+    }, FLASH_SALE.SWEEP_INTERVAL_MS);
+
+    // 6. Promo codes: give back the redemptions of cancelled orders
+    this.promoInterval = setInterval(() => {
+      this.paymentService.processPromoSweep()
+        .then((released) => {
+          if (released > 0) logger.info(`[BotCore] Promo sweep: ${released} redemption(s) given back`);
+        })
+        .catch(err => logger.error(`[BotCore] Promo sweep failed: ${err.message}`));
+    }, PROMO.SWEEP_INTERVAL_MS);
+
+    // 7. Reminders: invoices about to expire, checkouts left idle
+    if (this.reminderService?.isEnabled()) {
+      this.reminderInterval = setInterval(() => {
+        this._runReminders().catch(err => logger.error(`[BotCore] Reminders failed: ${err.message}`));
+      }, REMINDER.INTERVAL_MS);
+    }
+
+    // 8. Settlement: check yesterday against gateway and provider once it is past the run hour
+    if (this.settlementService?.isEnabled()) {
+      this.settlementInterval = setInterval(() => {
+        this._runSettlement().catch(err => logger.error(`[BotCore] Settlement failed: ${err.message}`));
+      }, SETTLEMENT.CHECK_INTERVAL_MS);
+    }
+  }
+
+  /**
+   * Run last night's settlement check if due and send the admin the report
+   * @private
+   */
+  async _runSettlement() {
+    const report = await this.settlementService.runDue();
+    const message = this.config?.messages?.SETTLEMENT_REPORT;
+    if (report && message) await this.notifyAdmin(message(report, SETTLEMENT.MAX_LISTED));
+  }
+
+  /**
+   * Send the reminders due now
+   * @private
+   */
+  async _runReminders() {
+    const m = this.config?.messages;
+    if (!m || !this.sendPort) return;
+
+    const { invoices, checkouts } = await this.reminderService.collectDue();
+    const optOutRow = [{ text: m.BUTTON_REMINDER_OFF, callback_data: 'remind_off' }];
+
+    for (const trx of invoices) {
+      const minutesLeft = Math.max(1, Math.round((new Date(trx.expiryDate).getTime() - Date.now()) / 60000));
+      try {
+        await this.sendPort.sendMessage(trx.userId, m.REMINDER_INVOICE(Sanitizer.escapeMarkdown(trx.item || '-'), trx.merchantRef, trx.amount, minutesLeft), {
+          parse_mode: 'Markdown',
+          reply_markup: {
+            inline_keyboard: [
+              [{ text: m.BUTTON_REMINDER_PAY, callback_data: `action_reprint_${trx.merchantRef}` }],
+              optOutRow
+            ]
+          }
+        });
+      } catch (e) {
+        logger.error(`[BotCore] Failed to remind ${trx.userId} of ${trx.merchantRef}: ${e.message}`);
+      }
+    }
+
+    for (const session of checkouts) {
+      const keyboard = session.gamePlayerId
+        ? [[{ text: m.BUTTON_REMINDER_CONTINUE, callback_data: 'action_confirm_id' }]]
+        : [];
+      keyboard.push([{ text: m.BUTTON_CONFIRM_NO, callback_data: 'action_cancel' }], optOutRow);
+
+      try {
+        // Replaces the bubble of the order, so the buttons keep working on the latest message
+        await this.commandHandlers.ui.sendOrEdit(session.chatId, m.REMINDER_CHECKOUT(Sanitizer.escapeMarkdown(session.item || '-'), !!session.gamePlayerId), {
+          forceNew: true,
+          reply_markup: { inline_keyboard: keyboard }
+        });
+      } catch (e) {
+        logger.error(`[BotCore] Failed to nudge ${session.chatId}: ${e.message}`);
+      }
+    }
+
+    if (invoices.length > 0 || checkouts.length > 0) {
+      logger.info(`[BotCore] Reminders: ${invoices.length} invoice(s), ${checkouts.length} checkout(s)`);
+    }
+  }
+
+  /**
+   * Run one reconciliation pass and present the results
+   * @private
+   */
+  async _runReconciler() {
+    const report = await this.reconcilerService.run();
+
+    for (const change of report.changes) {
+      const notice = this.buildTransactionNotice(change.trx, change.newStatus);
+      if (notice) {
+        await this.updateTransactionBubble(change.trx, notice, { parse_mode: 'Markdown' });
+      }
+    }
+
+    if (report.discrepancies.length > 0) {
+      const lines = report.discrepancies.map(d => `• \`${d.merchantRef}\` [${d.type}] ${Sanitizer.escapeMarkdown(d.detail)}`);
+      await this.notifyAdmin(`🔍 **Reconciler Report**\n\n${lines.join('\n')}`);
+    }
+  }
+
+  /**
+   * Alert admin and user when a fulfillment job is dead-lettered
+   * @private
+   */
+  async _handleFulfillmentDeadLetter(job, trx, error) {
+    await this.notifyAdmin(
+      `☠️ **Fulfillment Gagal Permanen**\n\n` +
+      `Ref: \`${job.merchantRef}\`\n` +
+      `Item: ${trx?.item || '-'}\n` +
+      `Player: \`${trx?.playerId || '-'}\`${trx?.zoneId ? ` (${trx.zoneId})` : ''}\n` +
+      `Percobaan: ${job.attempts}/${job.maxAttempts}\n` +
+      `Error: ${error?.message || '-'}\n\n` +
+      `Customer sudah bayar, mohon proses manual/refund.`
+    );
+
+    const userMessage = this.config?.messages?.FULFILLMENT_FAILED_USER;
+    if (trx && userMessage) {
+      await this.updateTransactionBubble(trx, userMessage(trx.item, trx.merchantRef), { parse_mode: 'Markdown' });
+    }
+  }
+
+  /**
+   * Alert admin and user when an order was paid twice through switched invoices
+   * @private
+   */
+  async _handleDuplicatePayment({ trx, paidTwin, refunded }) {
+    const m = this.config?.messages;
+    if (!m) return;
+
+    await this.notifyAdmin(m.DUPLICATE_PAYMENT_ADMIN(trx.merchantRef, paidTwin.merchantRef, trx.amount, trx.userId, refunded));
+
+    const notice = refunded
+      ? m.TRX_NOTICE_DUPLICATE_REFUNDED(trx.merchantRef, paidTwin.merchantRef, trx.amount)
+      : m.TRX_NOTICE_DUPLICATE_PENDING(trx.merchantRef, paidTwin.merchantRef);
+    await this.updateTransactionBubble(trx, notice, { parse_mode: 'Markdown' });
+  }
+
+  /**
+   * Tell the referrer about a paid referral reward
+   * @private
+   */
+  async _notifyReferralReward(reward) {
+    const message = this.config?.messages?.REFERRAL_REWARDED;
+    if (!message || !reward?.referrer?.chatId || !this.sendPort) return;
+
+    try {
+      await this.sendPort.sendMessage(reward.referrer.chatId, message(reward), { parse_mode: 'Markdown' });
+    } catch (e) {
+      logger.error(`[BotCore] Failed to notify referrer ${reward.referrer.chatId}: ${e.message}`);
+    }
   }
 
   async initializeBotProfile() {
@@ -257,6 +536,27 @@ export class BotCore {
     if (this.cleanupInterval) {
       clearInterval(this.cleanupInterval);
     }
+    if (this.fulfillmentInterval) {
+      clearInterval(this.fulfillmentInterval);
+    }
+    if (this.reconcilerInterval) {
+      clearInterval(this.reconcilerInterval);
+    }
+    if (this.loyaltyInterval) {
+      clearInterval(this.loyaltyInterval);
+    }
+    if (this.flashSaleInterval) {
+      clearInterval(this.flashSaleInterval);
+    }
+    if (this.promoInterval) {
+      clearInterval(this.promoInterval);
+    }
+    if (this.reminderInterval) {
+      clearInterval(this.reminderInterval);
+    }
+    if (this.settlementInterval) {
+      clearInterval(this.settlementInterval);
+    }
 
     logger.info('[BotCore] Bot stopped gracefully');
   }
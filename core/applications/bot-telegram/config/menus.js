@@ -15,9 +15,18 @@ export const MENUS = {
           { text: "📜 Riwayat", callback_data: "menu_history" }
         ],
         [
-          { text: "❓ Cara Bayar", callback_data: "menu_info_payment" },
-          { text: "📞 Hubungi Admin", callback_data: "menu_contact" }
-        ]
+          { text: "💰 Saldo", callback_data: "wallet_home" },
+          { text: "👤 ID Tersimpan", callback_data: "acc_list" }
+        ],
+        [
+          { text: "👑 Membership", callback_data: "member_home" },
+          { text: "❓ Cara Bayar", callback_data: "menu_info_payment" }
+        ],
+        [
+          { text: "🎁 Ajak Teman", callback_data: "ref_home" },
+          { text: "👤 Profil & Poin", callback_data: "points_home" }
+        ],
+        [{ text: "📞 Hubungi Admin", callback_data: "menu_contact" }]
       ]
     }
   },
@@ -23,6 +23,13 @@ export const MESSAGES = {
     `2. Masukkan ID Akun dengan benar\n` +
     `3. Selesaikan pembayaran otomatis\n` +
     `4. Produk masuk dalam hitungan detik!\n\n` +
+    `💰 Isi saldo lewat /saldo (atau /deposit <nominal>) lalu bayar pesanan pakai Saldo tanpa biaya admin.\n` +
+    `👤 ID game yang sudah dicek tersimpan otomatis, kelola lewat /akun.\n` +
+    `👑 Jadi Reseller/VIP untuk harga lebih murah lewat /member.\n` +
+    `🎁 Ajak teman lewat /referral dan dapat hadiah dari pesanan pertama mereka.\n` +
+    `🪙 Kumpulkan poin dari setiap pesanan dan tukar jadi potongan harga, cek lewat /profile.\n` +
+    `🏦 Bayar via Transfer Manual? Kirim foto bukti transfer ke chat ini, admin akan memverifikasi.\n` +
+    `🔔 Atur pengingat tagihan & pesanan yang belum selesai lewat /pengingat.\n\n` +
     `Ada kendala? Klik tombol Admin di bawah ya Bosque.`,
 
   // Error Generic
@@ -107,7 +114,7 @@ export const MESSAGES = {
     `Bosque bisa hubungi admin kami di: @admin_b7store (Jam kerja 09.00 - 21.00 WIB) 👨‍💻`,
 
   // Invoice Templates (Premium Style)
-  ORDER_INVOICE: (game, userId, zoneId, item, price, nickname, isVerified = false) =>
+  ORDER_INVOICE: (game, userId, zoneId, item, price, nickname, isVerified = false, promo = null, points = null) =>
     `🎮 DETAIL PESANAN ${isVerified ? '✅' : ''}\n` +
     `━━━━━━━━━━━━━━━━━━━━\n` +
     `🎮 Game: ${game}\n` +
@@ -116,6 +123,9 @@ export const MESSAGES = {
     `${zoneId ? `🌐 Server: \`${Sanitizer.escapeMarkdown(zoneId)}\`\n` : ''}` +
     `${nickname ? `👤 Nickname: ${Sanitizer.escapeMarkdown(nickname)}\n` : ''}` +
     `💰 Harga: Rp ${price.toLocaleString('id-ID')}\n` +
+    `${promo ? MESSAGES.PROMO_LINE(promo) : ''}` +
+    `${points ? MESSAGES.POINTS_LINE(points) : ''}` +
+    `${promo || points ? `💵 Total: Rp ${(BigInt(price) - (promo?.discountAmount || 0n) - (points?.discountAmount || 0n)).toLocaleString('id-ID')}\n` : ''}` +
     `━━━━━━━━━━━━━━━━━━━━\n\n` +
     `${!isVerified && !nickname ? MESSAGES.UNVERIFIED_WARNING + '\n\n' : ''}` +
     `Mohon pastikan Data Player sudah benar. Kesalahan input bukan tanggung jawab kami. Lanjut ke pembayaran? 👇`,
@@ -127,14 +137,19 @@ export const MESSAGES = {
     `💵 Total: Rp ${amount.toLocaleString('id-ID')}\n` +
     `⏰ Berlaku s/d: ${new Date(expiryDate).toLocaleString('id-ID')}\n` +
     `━━━━━━━━━━━━━━━━━━━━\n\n` +
-    `Silakan Scan QRIS di atas atau bayar via link berikut:\n` +
-    `🔗 [Klik Disini Untuk Bayar](${paymentUrl})\n\n` +
+    (paymentUrl
+      ? `Silakan Scan QRIS di atas atau bayar via link berikut:\n🔗 [Klik Disini Untuk Bayar](${paymentUrl})\n\n`
+      : `Silakan Scan QRIS di atas untuk membayar.\n\n`) +
     `_Konfirmasi otomatis setelah dana kami terima._`,
 
+  PAYMENT_INVOICE_STORE: (storeName) => `🏪 *${storeName}*\n`,
+
   PAYMENT_INVOICE_FALLBACK: (paymentUrl, qrString) =>
     `💳 METODE PEMBAYARAN\n\n` +
-    `🔗 Link Bayar: [Buka Link](${paymentUrl})\n` +
-    `📖 Raw Data: \`${qrString.substring(0, 20)}...\``,
+    (paymentUrl
+      ? `🔗 Link Bayar: [Buka Link](${paymentUrl})\n📖 Raw Data: \`${qrString.substring(0, 20)}...\``
+      // No checkout page (e.g. Netzme QRIS): the QRIS string is the only way to pay
+      : `📖 Data QRIS:\n\`${qrString}\``),
 
   // Payment Channel Info
   PAYMENT_CHANNELS_HEADER:
@@ -147,12 +162,14 @@ export const MESSAGES = {
     `${index}. *${name}* (${status})\n   Minimal: Rp ${parseInt(minimal).toLocaleString('id-ID')}\n`,
 
   // Payment Fee Breakdown
-  PAYMENT_FEE_BREAKDOWN: (item, basePrice, channelName, feeType, feeAmount, totalAmount, nickname, isVerified = false) =>
+  PAYMENT_FEE_BREAKDOWN: (item, basePrice, channelName, feeType, feeAmount, totalAmount, nickname, isVerified = false, promo = null, points = null) =>
     `📊 RINCIAN PEMBAYARAN ${isVerified ? '✅' : ''}\n` +
     `━━━━━━━━━━━━━━━━━━━━\n` +
     `📦 Produk: ${item}\n` +
     `${nickname ? `👤 Nickname: ${Sanitizer.escapeMarkdown(nickname)}\n` : ''}` +
     `💵 Harga: Rp ${basePrice.toLocaleString('id-ID')}\n` +
+    `${promo ? MESSAGES.PROMO_LINE(promo) : ''}` +
+    `${points ? MESSAGES.POINTS_LINE(points) : ''}` +
     `🏦 Metode: ${channelName}\n` +
     `➕ Biaya Admin: Rp ${feeAmount.toLocaleString('id-ID')}\n` +
     `━━━━━━━━━━━━━━━━━━━━\n` +
@@ -161,11 +178,76 @@ export const MESSAGES = {
     `${!isVerified && !nickname ? MESSAGES.UNVERIFIED_WARNING + '\n\n' : ''}` +
     `_Klik tombol di bawah untuk membuat invoice resmi._`,
 
+  // Promo codes (order review)
+  PROMO_LINE: (promo) => `🎟️ Promo \`${promo.code}\`: -Rp ${promo.discountAmount.toLocaleString('id-ID')}\n`,
+  PROMO_PROMPT:
+    `🎟️ *KODE PROMO*\n` +
+    `━━━━━━━━━━━━━━━━━━━━\n` +
+    `Ketik kode promo Kakak sekarang.\n\n` +
+    `💡 Contoh: \`HEMAT10\``,
+  PROMO_INVALID: (code, reason) =>
+    `❌ *Kode Promo Tidak Bisa Dipakai*\n\n` +
+    `Kode: ${Sanitizer.escapeMarkdown(code)}\n` +
+    `${reason}`,
+  PROMO_REJECTED_AT_CHECKOUT: (code, reason) =>
+    `⚠️ *Promo \`${code}\` Sudah Tidak Berlaku*\n\n` +
+    `${reason}\n\n` +
+    `Invoice belum dibuat. Lanjutkan pesanan tanpa promo?`,
+  PROMO_ERRORS: {
+    NOT_FOUND: `Kode promo tidak ditemukan atau sudah tidak aktif.`,
+    NOT_STARTED: `Promo ini belum dimulai.`,
+    EXPIRED: `Masa berlaku promo ini sudah habis.`,
+    MIN_ORDER: (promo) => `Minimal belanja Rp ${Number(promo?.minOrder || 0).toLocaleString('id-ID')} untuk promo ini.`,
+    NOT_APPLICABLE: `Promo ini tidak berlaku untuk produk yang dipilih.`,
+    LIMIT_REACHED: `Kuota promo ini sudah habis.`,
+    USER_LIMIT_REACHED: `Kakak sudah memakai promo ini sebanyak batas maksimal.`
+  },
+  PROMO_ERROR_TEXT: (error, promo = null) => {
+    const text = MESSAGES.PROMO_ERRORS[error] || MESSAGES.PROMO_ERRORS.NOT_FOUND;
+    return typeof text === 'function' ? text(promo) : text;
+  },
+  PROMO_REMOVED_TOAST: 'Promo dihapus.',
+  PROMO_INVALID_TOAST: 'Promo sudah tidak berlaku.',
+  BUTTON_PROMO_ENTER: '🎟️ Pakai Kode Promo',
+  BUTTON_PROMO_REMOVE: (code) => `🗑️ Hapus Promo ${code}`,
+  BUTTON_PROMO_RETRY: '🔁 Coba Kode Lain',
+  BUTTON_PROMO_BACK_TO_ORDER: '⬅️ Kembali ke Pesanan',
+  BUTTON_PROMO_CONTINUE_WITHOUT: '➡️ Lanjut Tanpa Promo',
+
+  // Loyalty points (order review)
+  POINTS_LINE: (points) => `🪙 ${points.points.toLocaleString('id-ID')} Poin: -Rp ${points.discountAmount.toLocaleString('id-ID')}\n`,
+  POINTS_REJECTED_AT_CHECKOUT: (points) =>
+    `⚠️ *Poin Tidak Cukup*\n\n` +
+    `${points.toLocaleString('id-ID')} poin yang dipakai di pesanan ini sudah tidak tersedia (terpakai atau hangus).\n\n` +
+    `Invoice belum dibuat. Lanjutkan pesanan tanpa poin?`,
+  POINTS_APPLIED_TOAST: 'Poin dipakai.',
+  POINTS_REMOVED_TOAST: 'Poin batal dipakai.',
+  POINTS_UNAVAILABLE_TOAST: 'Poin belum bisa dipakai untuk pesanan ini.',
+  POINTS_INVALID_TOAST: 'Poin sudah tidak cukup.',
+  BUTTON_POINTS_USE: (points, discount) => `🪙 Pakai ${points.toLocaleString('id-ID')} Poin (-Rp ${discount.toLocaleString('id-ID')})`,
+  BUTTON_POINTS_REMOVE: '🗑️ Batal Pakai Poin',
+  BUTTON_POINTS_CONTINUE_WITHOUT: '➡️ Lanjut Tanpa Poin',
+
+  // Flash sale ended or sold out between the review and checkout
+  FLASH_SALE_ENDED_AT_CHECKOUT: (item, price) =>
+    `⚡ *Flash Sale Berakhir*\n\n` +
+    `Harga flash sale ${Sanitizer.escapeMarkdown(item || '')} sudah berakhir atau kuotanya habis.\n` +
+    `Harga normal sekarang: *Rp ${price.toLocaleString('id-ID')}*\n\n` +
+    `Invoice belum dibuat. Lanjutkan dengan harga normal?`,
+  FLASH_SALE_ENDED_TOAST: 'Flash sale sudah berakhir.',
+  BUTTON_FLASH_SALE_CONTINUE: '➡️ Lanjut Harga Normal',
+
   // Payment Selection
   PAYMENT_METHOD_SELECTION:
     `💳 PILIH METODE BAYAR\n` +
     `━━━━━━━━━━━━━━━━━━━━\n` +
     `Tersedia berbagai pilihan metode pembayaran otomatis untuk kenyamanan Kakak:`,
+  PAYMENT_METHOD_TOTAL_NOTE: `\n\n_Harga di tombol adalah total bayar, sudah termasuk biaya admin._`,
+  PAYMENT_METHOD_UNAVAILABLE: (channels) =>
+    `\n\n🚫 Tidak tersedia untuk nominal ini:\n` +
+    channels.map(c => `• ${c.nama} (${Number(c.maksimal) > 0 && c.finalAmount > BigInt(c.maksimal)
+      ? `maks. Rp ${Number(c.maksimal).toLocaleString('id-ID')}`
+      : `min. Rp ${Number(c.minimal || 0).toLocaleString('id-ID')}`})`).join('\n'),
 
   // Error Actions
   ERR_TRX_NOT_FOUND:
@@ -203,6 +285,10 @@ export const MESSAGES = {
   STATUS_SUCCESS: `✅ Berhasil / Lunas`,
   STATUS_FAILED: `❌ Gagal / Dibatalkan`,
   STATUS_EXPIRED: `⏰ Kadaluarsa`,
+  STATUS_PROCESSING: `⚙️ Sedang Diproses`,
+  STATUS_DELIVERED: `✅ Terkirim`,
+  STATUS_DELIVERY_FAILED: `❌ Gagal Dikirim`,
+  STATUS_REFUNDED: `💸 Dana Dikembalikan`,
 
   // Unified Contact Info
   CONTACT_INFO:
@@ -218,19 +304,312 @@ export const MESSAGES = {
   ADMIN_PANEL: `🔐 ADMIN PANEL\n\nSilakan pilih fitur admin di bawah:`,
   GREETINGS_LIST: ['halo', 'hai', 'hi', 'hello', 'hey', 'pagi', 'siang', 'malam', 'sore'],
 
+  // Admin Panel (Markdown)
+  ADMIN_DENIED: `⛔ Fitur ini khusus admin.`,
+  ADMIN_STATS_TITLE: `📊 *STATISTIK PENJUALAN*\n━━━━━━━━━━━━━━━━━━━━\n`,
+  ADMIN_STATS_TODAY: (revenue, paidOrders, orders) =>
+    `📅 *Hari Ini*\n` +
+    `💰 Omzet: Rp ${revenue.toLocaleString('id-ID')}\n` +
+    `🧾 Order Lunas: ${paidOrders} / ${orders}\n`,
+  ADMIN_STATS_STATUS_LINE: (status, count) => `• ${status}: ${count}\n`,
+  ADMIN_STATS_DAILY_HEADER: (days) => `\n📈 *${days} Hari Terakhir*\n`,
+  ADMIN_STATS_DAILY_LINE: (date, revenue, paidOrders) => `${date} — Rp ${revenue.toLocaleString('id-ID')} (${paidOrders} order)\n`,
+  ADMIN_STATS_USERS: (total, banned) => `\n👥 User: ${total} (diblokir: ${banned})\n`,
+  ADMIN_USERS_TITLE: (page, totalPages, total) => `👥 *DAFTAR USER* (${total})\n_Hal ${page}/${totalPages}_\n━━━━━━━━━━━━━━━━━━━━\n`,
+  ADMIN_USERS_HINT: `\n_Pilih user untuk melihat detail / blokir._`,
+  ADMIN_USER_DETAIL: (user) =>
+    `👤 *DETAIL USER*\n━━━━━━━━━━━━━━━━━━━━\n` +
+    `Nama: ${Sanitizer.escapeMarkdown(user.getFullName())}\n` +
+    `Username: ${user.username ? `@${Sanitizer.escapeMarkdown(user.username)}` : '-'}\n` +
+    `Telegram ID: \`${user.telegramId}\`\n` +
+    `Role: ${user.role}\n` +
+    `Membership: ${MESSAGES.MEMBERSHIP_TIER_LABELS[user.tier] || user.tier || '-'}\n` +
+    `Status: ${user.isBanned ? '⛔ Diblokir' : (user.isActive ? '✅ Aktif' : '💤 Nonaktif')}\n` +
+    `Saldo: Rp ${Number(user.balance || 0).toLocaleString('id-ID')}\n` +
+    `Terdaftar: ${new Date(user.createdAt).toLocaleDateString('id-ID')}\n` +
+    `Aktif Terakhir: ${new Date(user.lastActiveAt).toLocaleString('id-ID')}\n`,
+  ADMIN_USER_TRX_HEADER: `\n🧾 *Transaksi Terakhir*\n`,
+  ADMIN_USER_TRX_LINE: (ref, status, amount) => `• \`${ref}\` — ${status} — Rp ${amount.toLocaleString('id-ID')}\n`,
+  ADMIN_USER_NO_TRX: `\n_Belum ada transaksi._\n`,
+  ADMIN_USER_NOT_FOUND: `⚠️ User tidak ditemukan.`,
+  ADMIN_USER_BANNED: `⛔ User diblokir.`,
+  ADMIN_USER_UNBANNED: `✅ Blokir user dibuka.`,
+  ADMIN_CANNOT_BAN_ADMIN: `⚠️ Admin tidak bisa diblokir.`,
+  ADMIN_TRX_JOB: (status, attempts, maxAttempts, lastError) =>
+    `⚙️ Job Kirim: ${status} (${attempts}/${maxAttempts})${lastError ? `\n   ↳ _${Sanitizer.escapeMarkdown(lastError)}_` : ''}\n`,
+  ADMIN_TRX_PROVIDER: (status, message) => `🛰️ Provider: ${status}${message ? ` — ${Sanitizer.escapeMarkdown(message)}` : ''}\n`,
+  ADMIN_TRX_AUDIT_HEADER: `\n📝 *Riwayat Admin*\n`,
+  ADMIN_TRX_AUDIT_LINE: (date, action, admin, from, to, note) =>
+    `• ${date} ${action} oleh ${Sanitizer.escapeMarkdown(admin)}${from || to ? ` (${from || '-'} → ${to || '-'})` : ''}${note ? `\n   ↳ _${Sanitizer.escapeMarkdown(note)}_` : ''}\n`,
+  ADMIN_CMD_USAGE_TRX: `ℹ️ Format: \`/trx <ref>\``,
+  ADMIN_CMD_USAGE_REFULFILL: `ℹ️ Format: \`/refulfill <ref>\``,
+  ADMIN_CMD_USAGE_SETSTATUS: (statuses) => `ℹ️ Format: \`/setstatus <ref> <status> [catatan]\`\nStatus: ${statuses.join(', ')}`,
+  ADMIN_CMD_USAGE_REFUND: `ℹ️ Format: \`/refund <ref> [catatan]\``,
+  ADMIN_ACTION_ERRORS: {
+    NOT_FOUND: `🔍 Transaksi tidak ditemukan.`,
+    INVALID_STATUS: (status) => `⚠️ Aksi tidak bisa dilakukan untuk transaksi berstatus ${status}.`,
+    INVALID_TARGET: (status) => `⚠️ Status \`${Sanitizer.escapeMarkdown(status)}\` tidak dikenal.`,
+    UNCHANGED: (status) => `ℹ️ Status sudah ${status}.`,
+    CONFLICT: `⚠️ Status transaksi baru saja berubah. Cek ulang dengan /trx lalu coba lagi.`,
+    USE_REFUND: `⚠️ Status REFUNDED tidak bisa di-set langsung. Pakai \`/refund <ref> [catatan]\` (saldo user ikut dikembalikan untuk pembayaran Saldo).`,
+    IN_FLIGHT: `⏳ Pesanan sedang dikirim/diproses provider. Tunggu status akhirnya (cek dengan /trx) lalu coba lagi.`
+  },
+  ADMIN_REFULFILL_DONE: (ref, from) => `🔄 *Re-fulfill Dijadwalkan*\n\nRef: \`${ref}\`\nStatus: ${from} → PAID\nUser sudah dikabari.`,
+  ADMIN_SETSTATUS_DONE: (ref, from, to) => `✅ *Status Diubah*\n\nRef: \`${ref}\`\nStatus: ${from} → ${to}\nUser sudah dikabari.${to === 'PAID' ? `\n\n_Tidak memicu pengiriman. Pakai /refulfill ${ref} untuk mengirim pesanan._` : ''}`,
+  ADMIN_REFUND_DONE: (ref, from) => `💸 *Refund Dicatat*\n\nRef: \`${ref}\`\nStatus: ${from} → REFUNDED\nUser sudah dikabari.\n\n_Pengembalian dana ke user dilakukan manual._`,
+  ADMIN_CMD_USAGE_PRICING:
+    `ℹ️ Format:\n` +
+    `• \`/pricing\` — daftar aturan\n` +
+    `• \`/pricing set <scope> [target] <markup>\`\n` +
+    `• \`/pricing del <scope> [target]\`\n` +
+    `• \`/pricing check <kode produk>\`\n\n` +
+    `Scope: GLOBAL, BRAND, CATEGORY, SERVICE\n` +
+    `Markup: \`5%\` (persen), \`2000\` (nominal), \`round=100\`, \`min=500\`\n` +
+    `💡 Contoh: \`/pricing set brand MLBB 5% round=100 min=500\``,
+  ADMIN_PRICING_TITLE: `🏷️ *ATURAN HARGA JUAL*\n_Harga modal + markup, aturan paling spesifik yang dipakai (SERVICE > CATEGORY > BRAND > GLOBAL)_\n━━━━━━━━━━━━━━━━━━━━\n`,
+  ADMIN_PRICING_RULE_TEXT: (rule) =>
+    `${rule.markupPercent || 0}%` +
+    `${Number(rule.markupFlat || 0) > 0 ? ` + Rp ${Number(rule.markupFlat).toLocaleString('id-ID')}` : ''}` +
+    `${Number(rule.minMargin || 0) > 0 ? `, min Rp ${Number(rule.minMargin).toLocaleString('id-ID')}` : ''}` +
+    `${Number(rule.roundTo || 0) > 0 ? `, bulat ${Number(rule.roundTo).toLocaleString('id-ID')}` : ''}`,
+  ADMIN_PRICING_RULE_LINE: (rule) =>
+    `${rule.isActive === false ? '💤' : '•'} *${rule.scope}*${rule.target ? ` \`${rule.target}\`` : ''} — ${MESSAGES.ADMIN_PRICING_RULE_TEXT(rule)}\n`,
+  ADMIN_PRICING_EMPTY: `_Belum ada aturan tersimpan._\n`,
+  ADMIN_PRICING_DEFAULT_LINE: (rule) => `\n⚙️ Default (.env): ${MESSAGES.ADMIN_PRICING_RULE_TEXT(rule)}\n`,
+  ADMIN_PRICING_SAVED: (rule) =>
+    `✅ *Aturan Harga Disimpan*\n\n*${rule.scope}*${rule.target ? ` \`${rule.target}\`` : ''}\nMarkup: ${MESSAGES.ADMIN_PRICING_RULE_TEXT(rule)}\n\n_Berlaku langsung untuk daftar produk & checkout._`,
+  ADMIN_PRICING_DELETED: (scope, target) => `🗑️ Aturan *${scope}*${target ? ` \`${Sanitizer.escapeMarkdown(target)}\`` : ''} dihapus.`,
+  ADMIN_PRICING_CHECK: (service, quote) =>
+    `🏷️ *CEK HARGA*\n━━━━━━━━━━━━━━━━━━━━\n` +
+    `📦 ${Sanitizer.escapeMarkdown(service.serviceName)} (\`${service.code}\`)\n` +
+    `🎮 Brand: ${service.brand?.code || '-'} | Kategori: ${Sanitizer.escapeMarkdown(service.category || '-')}\n` +
+    `💵 Modal: Rp ${quote.cost.toLocaleString('id-ID')}\n` +
+    `💰 Harga Jual: Rp ${quote.price.toLocaleString('id-ID')}\n` +
+    `📈 Margin: Rp ${quote.margin.toLocaleString('id-ID')}\n` +
+    `⚙️ Aturan: ${quote.rule.isDefault ? 'Default (.env)' : `${quote.rule.scope}${quote.rule.target ? ` \`${quote.rule.target}\`` : ''}`} — ${MESSAGES.ADMIN_PRICING_RULE_TEXT(quote.rule)}`,
+  ADMIN_PRICING_ERRORS: {
+    INVALID_SCOPE: `⚠️ Scope tidak dikenal. Pilih: GLOBAL, BRAND, CATEGORY, SERVICE.`,
+    MISSING_TARGET: `⚠️ Scope ini butuh target (kode brand, kategori, atau kode produk).`,
+    NOT_FOUND: `🔍 Aturan tidak ditemukan.`
+  },
+  ADMIN_CMD_USAGE_TIER:
+    `ℹ️ Format: \`/tier <telegramId> <level>\`\n` +
+    `Level: MEMBER, RESELLER, VIP\n` +
+    `💡 Contoh: \`/tier 123456789 RESELLER\``,
+  ADMIN_TIER_DONE: (telegramId, fromTier, toTier) =>
+    `✅ *Membership Diubah*\n\nUser \`${telegramId}\`: ${fromTier} → *${toTier}*\n\n_User sudah diberi tahu._`,
+  ADMIN_TIER_UNCHANGED: (telegramId, tier) => `ℹ️ User \`${telegramId}\` sudah berstatus *${tier}*.`,
+  ADMIN_TIER_ERRORS: {
+    USER_NOT_FOUND: `⚠️ User tidak ditemukan.`,
+    INVALID_TIER: `⚠️ Level tidak dikenal. Pilih: MEMBER, RESELLER, VIP.`
+  },
+  ADMIN_CMD_USAGE_PROMO:
+    `ℹ️ Format:\n` +
+    `• \`/promo\` — daftar promo\n` +
+    `• \`/promo set <KODE> <diskon> [opsi]\`\n` +
+    `• \`/promo on|off <KODE>\`\n` +
+    `• \`/promo del <KODE>\`\n\n` +
+    `Diskon: \`10%\` (persen) atau \`5000\` (nominal)\n` +
+    `Opsi: \`max=5000\` (maks diskon persen), \`min=20000\` (min belanja), \`limit=100\` (kuota total), \`user=1\` (kuota per user), \`game=MLBB,FF\`, \`item=ML86,ML172\`, \`from=2026-11-01\`, \`until=2026-11-30\`\n` +
+    `💡 Contoh: \`/promo set HEMAT10 10% max=5000 min=20000 user=1 until=2026-11-30\``,
+  ADMIN_PROMO_TITLE: `🎟️ *PROMO CODE*\n━━━━━━━━━━━━━━━━━━━━\n`,
+  ADMIN_PROMO_DISCOUNT_TEXT: (promo) => promo.discountType === 'PERCENT'
+    ? `${promo.discountValue}%${promo.maxDiscount !== null && promo.maxDiscount !== undefined ? ` (maks Rp ${Number(promo.maxDiscount).toLocaleString('id-ID')})` : ''}`
+    : `Rp ${Number(promo.discountValue).toLocaleString('id-ID')}`,
+  ADMIN_PROMO_LINE: (promo) =>
+    `${promo.isActive ? '•' : '💤'} \`${promo.code}\` — ${MESSAGES.ADMIN_PROMO_DISCOUNT_TEXT(promo)}` +
+    `${Number(promo.minOrder || 0) > 0 ? `, min Rp ${Number(promo.minOrder).toLocaleString('id-ID')}` : ''}\n` +
+    `   Terpakai: ${promo.used ?? 0}${promo.usageLimit !== null && promo.usageLimit !== undefined ? `/${promo.usageLimit}` : ''}` +
+    `${promo.perUserLimit !== null && promo.perUserLimit !== undefined ? ` (${promo.perUserLimit}/user)` : ''}` +
+    `${promo.games?.length ? ` | Game: ${promo.games.join(', ')}` : ''}` +
+    `${promo.services?.length ? ` | Produk: ${promo.services.join(', ')}` : ''}` +
+    `${promo.startsAt ? ` | Mulai ${new Date(promo.startsAt).toLocaleDateString('id-ID', { timeZone: 'Asia/Jakarta' })}` : ''}` +
+    `${promo.endsAt ? ` | s/d ${new Date(promo.endsAt).toLocaleDateString('id-ID', { timeZone: 'Asia/Jakarta' })}` : ''}\n`,
+  ADMIN_PROMO_EMPTY: `_Belum ada promo._\n`,
+  ADMIN_PROMO_SAVED: (promo) =>
+    `✅ *Promo Disimpan*\n\n${MESSAGES.ADMIN_PROMO_LINE(promo)}\n_User bisa langsung memakainya di ringkasan pesanan._`,
+  ADMIN_PROMO_TOGGLED: (code, isActive) => `${isActive ? '✅' : '💤'} Promo \`${code}\` ${isActive ? 'diaktifkan' : 'dinonaktifkan'}.`,
+  ADMIN_PROMO_DELETED: (code) => `🗑️ Promo \`${code}\` dihapus.`,
+  ADMIN_PROMO_ERRORS: {
+    INVALID_CODE: `⚠️ Kode promo hanya boleh huruf, angka, - dan _ (3-20 karakter).`,
+    INVALID_DISCOUNT: `⚠️ Diskon tidak valid. Persen 1-100, nominal minimal Rp 1.`,
+    INVALID_WINDOW: `⚠️ Tanggal selesai harus setelah tanggal mulai.`,
+    NOT_FOUND: `🔍 Promo tidak ditemukan.`
+  },
+  ADMIN_CMD_USAGE_POINTS:
+    `ℹ️ Format:\n` +
+    `• \`/points <telegramId>\` — saldo & riwayat poin user\n` +
+    `• \`/points <telegramId> <+/-jumlah> [catatan]\` — tambah/kurangi poin\n` +
+    `• \`/points rate\` — rate poin per brand\n` +
+    `• \`/points rate <BRAND> <rate>\` — poin per Rp 1.000 (0 = tanpa poin)\n` +
+    `• \`/points rate <BRAND> del\`\n` +
+    `💡 Contoh: \`/points 123456789 +500 kompensasi\``,
+  ADMIN_POINTS_DISABLED: `⚠️ Program poin nonaktif (LOYALTY_ENABLED).`,
+  ADMIN_POINTS_USER: (telegramId, summary) =>
+    `🪙 *POIN USER*\n━━━━━━━━━━━━━━━━━━━━\n` +
+    `👤 User: \`${telegramId}\`\n` +
+    `${MESSAGES.PROFILE_POINTS(summary)}`,
+  ADMIN_POINTS_ADJUSTED: (telegramId, points, balance) =>
+    `✅ *Poin Diubah*\n\nUser \`${telegramId}\`: ${points > 0 ? '+' : ''}${points.toLocaleString('id-ID')} poin\nPoin sekarang: *${balance.toLocaleString('id-ID')}*\n\n_User sudah diberi tahu._`,
+  ADMIN_POINTS_RATES_TITLE: (defaultRate) =>
+    `🪙 *RATE POIN PER BRAND*\n_Poin per Rp 1.000 yang dibayar_\n━━━━━━━━━━━━━━━━━━━━\n` +
+    `⚙️ Default (.env): ${defaultRate}\n`,
+  ADMIN_POINTS_RATE_LINE: (rate) => `• \`${rate.brand}\` — ${rate.earnRate}\n`,
+  ADMIN_POINTS_RATES_EMPTY: `_Belum ada rate khusus brand._\n`,
+  ADMIN_POINTS_RATE_SAVED: (rate) => `✅ Rate poin \`${rate.brand}\` diset ke *${rate.earnRate}* poin per Rp 1.000.`,
+  ADMIN_POINTS_RATE_DELETED: (brand) => `🗑️ Rate poin \`${brand}\` dihapus (kembali ke default).`,
+  ADMIN_POINTS_ERRORS: {
+    USER_NOT_FOUND: `⚠️ User tidak ditemukan.`,
+    INVALID_POINTS: `⚠️ Jumlah poin harus bilangan bulat selain 0, misalnya \`+500\` atau \`-200\`.`,
+    INSUFFICIENT: `⚠️ Poin user tidak cukup untuk dikurangi sebanyak itu.`,
+    INVALID_BRAND: `⚠️ Kode brand hanya boleh huruf, angka, - dan _.`,
+    INVALID_RATE: `⚠️ Rate harus angka 0 atau lebih (boleh desimal, misalnya \`0.5\`).`,
+    NOT_FOUND: `🔍 Rate brand tidak ditemukan.`
+  },
+  ADMIN_CMD_USAGE_FLASH:
+    `ℹ️ Format:\n` +
+    `• \`/flash\` — flash sale berjalan & terjadwal\n` +
+    `• \`/flash set <KODE_ITEM> <harga> <mulai> <selesai> [kuota]\`\n` +
+    `• \`/flash on|off <id>\`\n` +
+    `• \`/flash del <id>\`\n\n` +
+    `Waktu (WIB): \`2026-11-01T19:00\` atau jam saja \`19:00\` (hari ini; selesai sebelum mulai = besok)\n` +
+    `💡 Contoh: \`/flash set ML86 19000 19:00 21:00 100\``,
+  ADMIN_FLASH_TITLE: `⚡ *FLASH SALE*\n━━━━━━━━━━━━━━━━━━━━\n`,
+  ADMIN_FLASH_LINE: (sale, shortId) =>
+    `${sale.isActive ? '🟢' : '⚪'} \`${shortId}\` ${sale.serviceCode} — Rp ${sale.price.toLocaleString('id-ID')}\n` +
+    `   ${MESSAGES.FLASH_SALE_TIME(sale.startsAt)} → ${MESSAGES.FLASH_SALE_TIME(sale.endsAt)} | Terjual ${sale.sold}${sale.quota !== null ? `/${sale.quota}` : ''}\n`,
+  ADMIN_FLASH_EMPTY: `_Belum ada flash sale berjalan atau terjadwal._\n`,
+  ADMIN_FLASH_SAVED: (sale, shortId, service) =>
+    `✅ Flash sale \`${shortId}\` dibuat\n\n` +
+    `📦 ${service.serviceName} (\`${sale.serviceCode}\`)\n` +
+    `💰 Rp ${sale.price.toLocaleString('id-ID')} (normal Rp ${service.regularPrice.toLocaleString('id-ID')}, modal Rp ${BigInt(service.priceBasic || 0).toLocaleString('id-ID')})\n` +
+    `🕒 ${MESSAGES.FLASH_SALE_TIME(sale.startsAt)} → ${MESSAGES.FLASH_SALE_TIME(sale.endsAt)}\n` +
+    `📊 Kuota: ${sale.quota !== null ? sale.quota : 'tanpa batas'}`,
+  ADMIN_FLASH_TOGGLED: (shortId, isActive) => `✅ Flash sale \`${shortId}\` ${isActive ? 'diaktifkan' : 'dinonaktifkan'}.`,
+  ADMIN_FLASH_DELETED: (shortId) => `🗑️ Flash sale \`${shortId}\` dihapus.`,
+  ADMIN_FLASH_ERRORS: {
+    INVALID_PRICE: `⚠️ Harga flash sale harus lebih murah dari harga normal.`,
+    INVALID_QUOTA: `⚠️ Kuota harus bilangan bulat minimal 1.`,
+    INVALID_WINDOW: `⚠️ Waktu selesai harus setelah waktu mulai, belum lewat, dan maksimal 31 hari.`,
+    NOT_FOUND: `🔍 Flash sale tidak ditemukan (ketik minimal 8 karakter id).`
+  },
+  ADMIN_CMD_USAGE_EXPORT:
+    `ℹ️ Format: \`/export [dari] [sampai] [xlsx|csv]\`\n` +
+    `Tanggal WIB \`YYYY-MM-DD\` (default: awal bulan ini s/d hari ini, format xlsx)\n` +
+    `💡 Contoh: \`/export 2026-10-01 2026-10-31 csv\``,
+  ADMIN_EXPORT_PREPARING: (range, format) => `⏳ Menyiapkan ekspor ${format.toUpperCase()} ${range.fromDay} s/d ${range.untilDay}...`,
+  ADMIN_EXPORT_EMPTY: (range) => `📭 Tidak ada transaksi ${range.fromDay} s/d ${range.untilDay}.`,
+  ADMIN_EXPORT_SUMMARY: (report) => {
+    const rp = (value) => `Rp ${value.toLocaleString('id-ID')}`;
+    const line = (bucket) => `• ${Sanitizer.escapeMarkdown(bucket.key)}: ${rp(bucket.revenue)} | margin ${rp(bucket.margin)} (${bucket.orders})\n`;
+    const { totals, byBrand, byChannel } = report.summary;
+    return `📑 *LAPORAN TRANSAKSI*\n━━━━━━━━━━━━━━━━━━━━\n` +
+      `📅 ${report.range.fromDay} s/d ${report.range.untilDay}\n` +
+      `🧾 ${report.total} transaksi, ${totals.orders} order lunas\n\n` +
+      `💰 Omzet: ${rp(totals.revenue)}\n` +
+      `➖ Biaya Admin: ${rp(totals.fee)}\n` +
+      `🏭 Modal: ${rp(totals.cost)}\n` +
+      `📈 *Margin: ${rp(totals.margin)}*\n` +
+      `${totals.unknownCost ? `_${totals.unknownCost} order tanpa data modal (tidak dihitung di margin)_\n` : ''}` +
+      `${byBrand.length ? `\n🎮 *Top Brand*\n${byBrand.slice(0, 5).map(line).join('')}` : ''}` +
+      `${byChannel.length ? `\n🏦 *Top Channel*\n${byChannel.slice(0, 5).map(line).join('')}` : ''}` +
+      `${report.truncated ? `\n⚠️ File dibatasi ${report.rows.length} baris pertama; ringkasan tetap mencakup semua. Gunakan rentang lebih pendek atau endpoint CSV.\n` : ''}`;
+  },
+  ADMIN_EXPORT_CAPTION: (range) => `📑 Transaksi ${range.fromDay} s/d ${range.untilDay}`,
+  ADMIN_CMD_USAGE_SETTLE:
+    `ℹ️ Format: \`/settle [YYYY-MM-DD]\`\n` +
+    `Cocokkan transaksi satu hari (WIB, default kemarin) dengan gateway dan provider.\n` +
+    `💡 Contoh: \`/settle 2026-10-18\``,
+  ADMIN_SETTLE_RUNNING: (day) => `⏳ Rekonsiliasi ${day} berjalan, laporan menyusul...`,
+  ADMIN_SETTLE_BUSY: (day) => `⏳ Rekonsiliasi ${day} sedang berjalan di proses lain. Coba lagi nanti.`,
+  ADMIN_SETTLE_INVALID_DAY: `⚠️ Tanggal harus format \`YYYY-MM-DD\` dan harinya sudah lewat.`,
+  SETTLEMENT_SECTIONS: {
+    PAID_NOT_DELIVERED: '💸 Dibayar, belum terkirim',
+    DELIVERED_NOT_PAID: '📦 Terkirim, belum dibayar',
+    AMOUNT_MISMATCH: '💰 Selisih nominal',
+    STATUS_MISMATCH: '🗂️ Status DB tidak sesuai',
+    NOT_IN_DATABASE: '👻 Dibayar di gateway, tidak ada di DB'
+  },
+  SETTLEMENT_REPORT: (report, maxListed) => {
+    const line = (m) => m.source
+      ? `• \`${m.merchantRef}\` — ${m.source === 'gateway' ? 'gateway' : 'modal provider'} Rp ${m.actual.toLocaleString('id-ID')} (DB Rp ${m.expected.toLocaleString('id-ID')})\n`
+      : `• \`${m.merchantRef}\` — ${Sanitizer.escapeMarkdown(m.item || '-')} | DB ${m.dbStatus || '-'} · GW ${m.gatewayStatus || '-'} · Prov ${m.providerStatus || '-'}${m.actual !== undefined && m.actual !== null ? ` · Rp ${m.actual.toLocaleString('id-ID')}` : ''}\n`;
+    const sections = Object.entries(MESSAGES.SETTLEMENT_SECTIONS).map(([type, title]) => {
+      const found = report.mismatches.filter(m => m.type === type);
+      if (found.length === 0) return '';
+      const more = found.length > maxListed ? `_+${found.length - maxListed} lainnya (lihat settlement\\_runs)_\n` : '';
+      return `\n*${title}* (${found.length})\n${found.slice(0, maxListed).map(line).join('')}${more}`;
+    }).join('');
+
+    const noAmount = report.unchecked.filter(u => u.source === 'amount').length;
+    const failed = report.unchecked.length - noAmount;
+    return `🧮 *REKONSILIASI ${report.day}*\n━━━━━━━━━━━━━━━━━━━━\n` +
+      `🧾 Dicek: ${report.checked} transaksi (gateway ${report.gatewayChecked}, provider ${report.providerChecked}), daftar gateway ${report.gatewayListed}\n` +
+      `${report.mismatches.length ? `⚠️ *${report.mismatches.length} selisih*` : '✅ Semua cocok'}\n` +
+      `${report.unchecked.length ? `❔ ${report.unchecked.length} belum tercek\n` : ''}` +
+      `${failed ? `   ↳ ${failed} cek gagal (gateway/provider tidak menjawab), jalankan \`/settle ${report.day}\` lagi nanti\n` : ''}` +
+      `${noAmount ? `   ↳ ${noAmount} nominal tidak dilaporkan gateway\n` : ''}` +
+      sections;
+  },
+  ADMIN_EXPORT_ERRORS: {
+    INVALID_DATE: `⚠️ Tanggal harus format \`YYYY-MM-DD\`, misalnya \`2026-10-01\`.`,
+    INVALID_RANGE: `⚠️ Tanggal sampai harus sama atau setelah tanggal dari.`,
+    RANGE_TOO_LONG: `⚠️ Rentang ekspor maksimal 92 hari.`
+  },
+  BUTTON_ADMIN_VIEW_TRX: '🧾 Lihat Transaksi',
+  ADMIN_SEARCH_PROMPT:
+    `🔎 *CARI TRANSAKSI*\n━━━━━━━━━━━━━━━━━━━━\n` +
+    `Kirim *Ref* transaksi (merchantRef) sekarang.\n\n` +
+    `💡 Contoh: \`ORDER-12345678-1700000000000\``,
+  ADMIN_TRX_NOT_FOUND: (ref) => `🔍 Transaksi \`${Sanitizer.escapeMarkdown(ref)}\` tidak ditemukan.`,
+  ADMIN_TRX_DETAIL: (trx, statusText) =>
+    `🧾 *DETAIL TRANSAKSI*\n━━━━━━━━━━━━━━━━━━━━\n` +
+    `🆔 Ref: \`${trx.merchantRef}\`\n` +
+    `🔗 Trx ID: ${trx.trxId ? `\`${trx.trxId}\`` : '-'}\n` +
+    `${trx.providerOrderId ? `📮 Order Provider: \`${trx.providerOrderId}\`\n` : ''}` +
+    `👤 User: \`${trx.userId}\`${trx.customerName ? ` (${Sanitizer.escapeMarkdown(trx.customerName)})` : ''}\n` +
+    `🎮 Game: ${Sanitizer.escapeMarkdown(trx.game || '-')}\n` +
+    `📦 Produk: ${Sanitizer.escapeMarkdown(trx.item || '-')}\n` +
+    `🆔 Player: \`${trx.playerId || '-'}\`${trx.zoneId ? ` (${trx.zoneId})` : ''}\n` +
+    `🏦 Metode: ${trx.channel || '-'}${trx.gateway ? ` (${Sanitizer.escapeMarkdown(trx.gateway)})` : ''}\n` +
+    `${trx.provider ? `🏭 Provider: ${Sanitizer.escapeMarkdown(trx.provider)}\n` : ''}` +
+    `💰 Total: Rp ${Number(trx.amount).toLocaleString('id-ID')}\n` +
+    `${trx.basePrice !== null && trx.basePrice !== undefined ? `🏷️ Harga: Rp ${Number(trx.basePrice).toLocaleString('id-ID')}\n` : ''}` +
+    `${trx.feeAmount !== null && trx.feeAmount !== undefined ? `🧾 Biaya Admin: Rp ${Number(trx.feeAmount).toLocaleString('id-ID')}${trx.feeType ? ` (${trx.feeType})` : ''}\n` : ''}` +
+    `${trx.promoCode ? `🎟️ Promo: \`${trx.promoCode}\` (-Rp ${Number(trx.discountAmount || 0).toLocaleString('id-ID')})\n` : ''}` +
+    `${trx.pointsUsed ? `🪙 Poin: ${trx.pointsUsed.toLocaleString('id-ID')} (-Rp ${Number(trx.pointsDiscount || 0).toLocaleString('id-ID')})\n` : ''}` +
+    `${trx.providerCost !== null && trx.providerCost !== undefined && trx.basePrice !== null && trx.basePrice !== undefined
+      ? `💵 Modal: Rp ${Number(trx.providerCost).toLocaleString('id-ID')} | Margin: Rp ${(Number(trx.basePrice) - Number(trx.discountAmount || 0) - Number(trx.pointsDiscount || 0) - Number(trx.providerCost)).toLocaleString('id-ID')}\n`
+      : ''}` +
+    `📢 Status: ${statusText}\n` +
+    `${trx.serialNumber ? `🔢 SN: \`${trx.serialNumber}\`\n` : ''}` +
+    `🗓️ Dibuat: ${new Date(trx.createdAt).toLocaleString('id-ID')}\n` +
+    `${trx.paidAt ? `💸 Dibayar: ${new Date(trx.paidAt).toLocaleString('id-ID')}\n` : ''}` +
+    `${trx.deliveredAt ? `📬 Terkirim: ${new Date(trx.deliveredAt).toLocaleString('id-ID')}\n` : ''}` +
+    `${trx.proofSubmittedAt ? `🧾 Bukti Transfer: ${new Date(trx.proofSubmittedAt).toLocaleString('id-ID')}\n` : ''}`,
+
   // Game Selection Flow
   GAME_TOPUP_TITLE: (gameName) => `🎮 *TOP UP ${gameName.toUpperCase()}*`,
   GAME_CATEGORY: (category) => `📂 Kategori: ${category}`,
   GAME_TOTAL_ITEMS: (count) => `📦 Total Produk: ${count} Item`,
   GAME_PAGE_INFO: (page, total) => `📄 Halaman: ${page} / ${total}`,
   GAME_SELECT_NOMINAL: `👇 *Pilih Nominal Top Up:*`,
-
-  GAME_SELECTED: (gameName, serviceName, price, description = null, isVerified = false, category = 'Game') =>
+  GAME_TIER_PRICES: (tier) => `👑 Harga ${MESSAGES.MEMBERSHIP_TIER_LABELS[tier] || tier} aktif`,
+  GAME_PRICE_SAVINGS: (savings) => ` (hemat ${Number(savings).toLocaleString('id-ID')})`,
+  // Flash sale: "harga coret" (combining strikethrough, buttons have no formatting)
+  GAME_PRICE_STRIKE: (price) => Array.from(`Rp ${price.toLocaleString('id-ID')}`, char => `${char}\u0336`).join(''),
+  GAME_FLASH_SALE_INFO: (endsAt) => `⚡ FLASH SALE! Harga coret berlaku s/d ${MESSAGES.FLASH_SALE_TIME(endsAt)}`,
+  GAME_FLASH_SALE_REMAINING: (remaining) => ` · sisa ${remaining}`,
+  FLASH_SALE_TIME: (date) => `${new Date(date).toLocaleString('id-ID', { timeZone: 'Asia/Jakarta', day: 'numeric', month: 'short', hour: '2-digit', minute: '2-digit' })} WIB`,
+
+  GAME_SELECTED: (gameName, serviceName, price, description = null, isVerified = false, category = 'Game', tierPrice = null, flashSale = null) =>
     `✨ PRODUK DIPILIH ✨\n` +
     `━━━━━━━━━━━━━━━━━━━━\n` +
     `🎮 ${category}: ${gameName} ${isVerified ? '✅' : ''}\n` +
     `📦 Produk: ${serviceName}\n` +
     `💰 Harga: Rp ${price.toLocaleString('id-ID')}\n` +
+    `${tierPrice ? `👑 Harga ${MESSAGES.MEMBERSHIP_TIER_LABELS[tierPrice.tier] || tierPrice.tier} (normal Rp ${tierPrice.memberPrice.toLocaleString('id-ID')}, hemat Rp ${tierPrice.savings.toLocaleString('id-ID')})\n` : ''}` +
+    `${flashSale ? `⚡ Flash Sale: ${MESSAGES.GAME_PRICE_STRIKE(flashSale.regularPrice)} → Rp ${flashSale.price.toLocaleString('id-ID')} s/d ${MESSAGES.FLASH_SALE_TIME(flashSale.endsAt)}${flashSale.remaining !== null ? MESSAGES.GAME_FLASH_SALE_REMAINING(flashSale.remaining) : ''}\n` : ''}` +
     `━━━━━━━━━━━━━━━━━━━━\n\n` +
     `${isVerified ? MESSAGES.VERIFIED_BADGE + '\n' : ''}` +
     `${!isVerified && category === 'Game' ? MESSAGES.UNVERIFIED_WARNING + '\n' : ''}` +
@@ -274,6 +653,8 @@ export const MESSAGES = {
   CHANNEL_EMPTY: `⚠️ Belum ada metode tersedia`,
   CHANNEL_LOAD_ERROR_BUTTON: `❌ Gagal memuat metode`,
   CHANNEL_METHOD_LABEL: (fee) => `(${fee})`,
+  CHANNEL_TOTAL_LABEL: (name, total) => `${name} · Rp ${total.toLocaleString('id-ID')}`,
+  BUTTON_CHANNEL_CHEAPEST: (name, total) => `⭐ Termurah: ${name} · Rp ${total.toLocaleString('id-ID')}`,
   METHOD_OTHER: "Lainnya",
 
   // Guide UI
@@ -281,16 +662,33 @@ export const MESSAGES = {
   GUIDE_FEE_LABEL: (fee) => `💰 Biaya Admin: ${fee}\n`,
   GUIDE_MIN_LABEL: (min) => `📉 Minimal: Rp ${min.toLocaleString('id-ID')}\n`,
   GUIDE_TOTAL_LABEL: (amount) => `\n🛒 Total Tagihan Anda: Rp ${amount.toLocaleString('id-ID')}\n`,
+  // Switch payment method of an unpaid invoice
+  SWITCH_METHOD_TITLE: (item, channel, amount) =>
+    `🔁 *GANTI METODE PEMBAYARAN*\n\n` +
+    `📦 Pesanan: ${item}\n` +
+    `💳 Metode sekarang: ${channel} (Rp ${Number(amount).toLocaleString('id-ID')})\n\n` +
+    `Pilih metode baru. Invoice lama otomatis dibatalkan dan diganti invoice baru dengan biaya admin metode tersebut.`,
+  SWITCH_METHOD_NONE: `\n\n🚫 Tidak ada metode lain yang tersedia untuk nominal ini.`,
+  SWITCH_METHOD_UNAVAILABLE: `⚠️ Metode invoice ini sudah tidak bisa diganti (sudah dibayar, kadaluarsa, atau menunggu verifikasi).`,
+  SWITCH_METHOD_CHANNEL_UNAVAILABLE: `⚠️ Metode tersebut sedang tidak tersedia untuk nominal ini. Invoice lama masih berlaku.`,
+  SWITCH_METHOD_FAILED: `❌ Gagal membuat invoice baru. Invoice lama masih berlaku, silakan coba lagi.`,
+  SWITCH_METHOD_REPLACED: (newRef) => `ℹ️ Invoice ini sudah diganti dengan invoice baru (Ref: ${newRef}).`,
+  SWITCH_METHOD_DONE: "Metode diganti. Invoice lama dibatalkan.",
+  GUIDE_AMOUNT_OUT_OF_RANGE: `🚫 Nominal ini di luar batas metode ini. Silakan pilih metode lain.\n`,
   GUIDE_DIVIDER: `\n━━━━━━━━━━━━━━━━━━━━\n`,
   GUIDE_STEPS_LABEL: `📝 Cara Pembayaran:\n`,
   GUIDE_DEFAULT_STEP: "Ikuti petunjuk di layar pembayaran setelah checkout.",
 
   // History UI
   HISTORY_TITLE: `📜 RIWAYAT TRANSAKSI\n━━━━━━━━━━━━━━━━━━━━\n\n`,
-  HISTORY_FOOTER: `━━━━━━━━━━━━━━━━━━━━\n_Klik 'Refresh' untuk status terbaru atau 'Bayar' untuk melanjutkan order._`,
+  HISTORY_FOOTER: `━━━━━━━━━━━━━━━━━━━━\n_Klik 'Refresh' untuk status terbaru, 'Bayar' untuk melanjutkan order, atau 'Beli Lagi' untuk pesan ulang._`,
   HISTORY_REFRESH_SUCCESS: `✅ Berhasil diperbarui! Data terbaru sudah muncul. 📜✨`,
   HISTORY_SAME_CONTENT: `✨ Data transaksi Kakak sudah paling update kok! 👌`,
   HISTORY_EMPTY_TOAST: `📭 Belum ada data transaksi untuk saat ini.`,
+  REORDER_READY: '🔁 Pesanan disiapkan, pilih metode pembayaran.',
+  REORDER_PRICE_CHANGED: (price) => `🔁 Harga terbaru: Rp ${Number(price).toLocaleString('id-ID')}. Pilih metode pembayaran.`,
+  ERR_REORDER_UNAVAILABLE: '⚠️ Transaksi ini tidak bisa dipesan ulang.',
+  ERR_REORDER_PRODUCT_GONE: '⚠️ Produk ini sudah tidak tersedia. Silakan pilih produk lain di menu Top Up.',
 
   // Payment UI (Non-QR)
   PAYMENT_DETAILS_HEADER: `💸 DETAIL PEMBAYARAN\n━━━━━━━━━━━━━━━━━━━━\n`,
@@ -320,8 +718,255 @@ export const MESSAGES = {
   STATUS_REF_LABEL: (ref) => `🆔 Ref: \`${ref}\`\n`,
   STATUS_LABEL: (status) => `📢 Status: ${status}\n\n`,
   STATUS_PAID_DESC: `✅ Pembayaran telah diterima. Order akan segera diproses sistem b7Store.`,
+  STATUS_PROCESSING_DESC: `⚙️ Pembayaran diterima, pesanan sedang diproses provider.`,
+  STATUS_DELIVERED_DESC: (sn) => `✅ Pesanan sudah terkirim.${sn ? `\nSN: \`${sn}\`` : ''}`,
+  STATUS_DELIVERY_FAILED_DESC: `❌ Pesanan gagal diproses provider. Silakan hubungi admin untuk refund/cek manual.`,
+  STATUS_REFUNDED_DESC: `💸 Dana pesanan ini sudah dikembalikan oleh admin.`,
+  // Transaction status notices (invoice bubble updates, Markdown)
+  TRX_NOTICE_PAID: (ref) => `✅ *Pembayaran Berhasil!*\n\nTerima kasih Kak, pesanan dengan Ref: \`${ref}\` sudah kami terima. Item akan segera masuk! 🚀`,
+  TRX_NOTICE_EXPIRED: (ref) => `⚠️ *Pembayaran Expired*\n\nMaaf Kak, pesanan \`${ref}\` sudah kadaluarsa. Silakan order ulang ya. 🙏`,
+  TRX_NOTICE_FAILED: (ref) => `❌ *Pembayaran Gagal*\n\nMaaf Kak, transaksi \`${ref}\` dinyatakan gagal oleh sistem. Silakan hubungi admin.`,
+  TRX_NOTICE_DELIVERED: (item, ref, sn) => `✅ *Topup Berhasil!*\n\nProduk: ${item}\nRef: \`${ref}\`\nSN: \`${sn || '-'}\`\n\nTerima kasih sudah order! 🚀`,
+  TRX_NOTICE_DELIVERY_FAILED: (item, ref) => `❌ *Topup Gagal*\n\nMaaf Kak, pesanan ${item} (Ref: \`${ref}\`) gagal diproses oleh provider. Silakan hubungi admin untuk refund/cek manual.`,
+  TRX_NOTICE_REFUNDED: (item, ref) => `💸 *Dana Dikembalikan*\n\nPesanan ${item} (Ref: \`${ref}\`) sudah kami refund. Mohon maaf atas ketidaknyamanannya ya Kak. 🙏`,
+  TRX_NOTICE_REFULFILL: (item, ref) => `🔄 *Pesanan Diproses Ulang*\n\nAdmin sedang mengirim ulang pesanan ${item} (Ref: \`${ref}\`). Kami kabari lagi setelah berhasil ya Kak. 🚀`,
+  TRX_NOTICE_REFUNDED_BALANCE: (item, ref, amount) => `💸 *Dana Dikembalikan ke Saldo*\n\nPesanan ${item} (Ref: \`${ref}\`) sudah kami refund. Rp ${Number(amount).toLocaleString('id-ID')} sudah masuk ke Saldo Kakak. 🙏`,
+  TRX_NOTICE_DEPOSIT_PAID: (ref) => `✅ *Pembayaran Deposit Diterima!*\n\nRef: \`${ref}\`\nSaldo akan segera ditambahkan ya Kak. 🚀`,
+  TRX_NOTICE_DEPOSIT_CREDITED: (amount, ref) => `💰 *Deposit Berhasil!*\n\nSaldo Rp ${Number(amount).toLocaleString('id-ID')} sudah masuk ke akun Kakak.\nRef: \`${ref}\`\n\nCek saldo kapan saja lewat /saldo.`,
+  TRX_NOTICE_STATUS_UPDATED: (ref, status) => `ℹ️ *Status Pesanan Diperbarui*\n\nStatus transaksi \`${ref}\` sekarang: ${status}`,
+  TRX_NOTICE_DUPLICATE_REFUNDED: (ref, paidRef, amount) => `💸 *Pembayaran Ganda Dikembalikan*\n\nPesanan ini sudah dibayar lewat invoice \`${paidRef}\`, jadi pembayaran invoice \`${ref}\` tidak kami proses. Rp ${Number(amount).toLocaleString('id-ID')} sudah masuk ke Saldo Kakak. 🙏`,
+  TRX_NOTICE_DUPLICATE_PENDING: (ref, paidRef) => `ℹ️ *Pembayaran Ganda*\n\nPesanan ini sudah dibayar lewat invoice \`${paidRef}\`, jadi pembayaran invoice \`${ref}\` tidak kami proses. Admin akan segera menghubungi Kakak untuk pengembalian dana. 🙏`,
+  DUPLICATE_PAYMENT_ADMIN: (ref, paidRef, amount, userId, refunded) =>
+    `⚠️ *Pembayaran Ganda*\n\n` +
+    `Invoice \`${ref}\` dibayar, padahal pesanan yang sama sudah dibayar lewat \`${paidRef}\` (ganti metode).\n` +
+    `User: \`${userId}\`\n` +
+    `Nominal: Rp ${Number(amount).toLocaleString('id-ID')}\n\n` +
+    (refunded ? `Sudah dikembalikan ke saldo user (REFUNDED).` : `Saldo tidak aktif: mohon refund manual, pesanan tidak diproses ulang.`),
+  FULFILLMENT_FAILED_USER: (item, ref) => `❌ *Topup Gagal*\n\nMaaf Kak, pesanan ${item} (Ref: \`${ref}\`) belum berhasil dikirim setelah beberapa kali percobaan. Admin sudah kami kabari dan akan segera memproses manual/refund. 🙏`,
   STATUS_UNPAID_DESC: `⏳ Silakan segera selesaikan pembayaran Kakak sebelum masa berlaku habis.`,
 
+  // Reminders (expiry reminder, abandoned-checkout nudge, Markdown)
+  REMINDER_INVOICE: (item, ref, amount, minutesLeft) =>
+    `⏰ *Tagihan Hampir Kedaluwarsa*\n\n` +
+    `Pesanan ${item} (Ref: \`${ref}\`) sebesar *Rp ${Number(amount).toLocaleString('id-ID')}* ` +
+    `berakhir dalam ±${minutesLeft} menit.\n\n` +
+    `Tekan *Bayar Sekarang* untuk membuka tagihannya lagi ya Kak.`,
+  REMINDER_CHECKOUT: (item, hasPlayerId) =>
+    `🛒 *Pesanan Kakak Belum Selesai*\n\n` +
+    `${item} masih menunggu. ` +
+    (hasPlayerId
+      ? `Tinggal pilih metode bayar, tekan *Lanjutkan Pesanan*.`
+      : `Kirim ID game Kakak di chat ini untuk melanjutkan.`),
+  REMINDER_SETTINGS: (optedOut) =>
+    `🔔 *PENGINGAT*\n` +
+    `━━━━━━━━━━━━━━━━━━━━\n` +
+    `Kami mengingatkan tagihan yang hampir kedaluwarsa dan pesanan yang belum selesai.\n\n` +
+    `Status: *${optedOut ? 'Mati' : 'Aktif'}*`,
+  REMINDER_DISABLED: `ℹ️ Pengingat sedang tidak aktif.`,
+  REMINDER_OFF_TOAST: '🔕 Pengingat dimatikan. Nyalakan lagi lewat /pengingat.',
+  REMINDER_ON_TOAST: '🔔 Pengingat dinyalakan.',
+
+  // Wallet (Saldo)
+  WALLET_OVERVIEW: (balance) =>
+    `💰 *SALDO SAYA*\n` +
+    `━━━━━━━━━━━━━━━━━━━━\n` +
+    `Saldo: *Rp ${Number(balance || 0).toLocaleString('id-ID')}*\n`,
+  WALLET_HISTORY_HEADER: `\n🧾 *Mutasi Terakhir*\n`,
+  WALLET_HISTORY_LINE: (entry) => {
+    const labels = { DEPOSIT: 'Deposit', PURCHASE: 'Pembelian', REFUND: 'Refund' };
+    const sign = entry.direction === 'CREDIT' ? '➕' : '➖';
+    return `${sign} Rp ${Number(entry.amount).toLocaleString('id-ID')} • ${labels[entry.entryType] || entry.entryType} • ${new Date(entry.createdAt).toLocaleDateString('id-ID')}\n`;
+  },
+  WALLET_HISTORY_EMPTY: `\n_Belum ada mutasi saldo._\n`,
+  WALLET_DEPOSIT_HINT: (min, max) =>
+    `━━━━━━━━━━━━━━━━━━━━\n` +
+    `Pilih nominal deposit di bawah, atau ketik \`/deposit <nominal>\`\n` +
+    `_(Min Rp ${min.toLocaleString('id-ID')} • Maks Rp ${max.toLocaleString('id-ID')})_`,
+  WALLET_INVALID_AMOUNT: (min, max) => `⚠️ Nominal deposit harus antara Rp ${min.toLocaleString('id-ID')} dan Rp ${max.toLocaleString('id-ID')}.`,
+  WALLET_DEPOSIT_CHANNEL: (amount) =>
+    `💳 *DEPOSIT SALDO*\n` +
+    `━━━━━━━━━━━━━━━━━━━━\n` +
+    `Nominal: *Rp ${Number(amount).toLocaleString('id-ID')}*\n\n` +
+    `Pilih metode pembayaran (biaya admin ditambahkan ke tagihan):`,
+  WALLET_DEPOSIT_CREATED_TOAST: 'Invoice deposit dibuat.',
+  WALLET_DISABLED: '⚠️ Fitur saldo belum tersedia.',
+  WALLET_INSUFFICIENT: (balance, amount) =>
+    `⚠️ *SALDO TIDAK CUKUP*\n` +
+    `━━━━━━━━━━━━━━━━━━━━\n` +
+    `Saldo: Rp ${Number(balance || 0).toLocaleString('id-ID')}\n` +
+    `Total pesanan: Rp ${Number(amount || 0).toLocaleString('id-ID')}\n\n` +
+    `Silakan isi saldo dulu atau pilih metode pembayaran lain ya Kak.`,
+  WALLET_INSUFFICIENT_TOAST: 'Saldo tidak cukup.',
+  WALLET_PAYMENT_SUCCESS: (item, playerId, zoneId, nickname, amount, balance, ref) =>
+    `✅ *PEMBAYARAN SALDO BERHASIL*\n` +
+    `━━━━━━━━━━━━━━━━━━━━\n` +
+    `📦 Produk: ${item}\n` +
+    `👤 ID: \`${playerId || '-'}\`${zoneId ? ` (${zoneId})` : ''}${nickname ? ` • ${nickname}` : ''}\n` +
+    `💵 Dibayar: Rp ${Number(amount).toLocaleString('id-ID')}\n` +
+    `💰 Sisa Saldo: Rp ${Number(balance).toLocaleString('id-ID')}\n` +
+    `🆔 Ref: \`${ref}\`\n` +
+    `━━━━━━━━━━━━━━━━━━━━\n\n` +
+    `Pesanan sedang dikirim ke provider, kami kabari di pesan ini ya Kak. 🚀`,
+
+  // Membership tiers
+  MEMBERSHIP_TIER_LABELS: { MEMBER: 'Member', RESELLER: 'Reseller', VIP: 'VIP' },
+  MEMBERSHIP_OVERVIEW: (tier) =>
+    `👑 *MEMBERSHIP*\n` +
+    `━━━━━━━━━━━━━━━━━━━━\n` +
+    `Level Kakak: *${MESSAGES.MEMBERSHIP_TIER_LABELS[tier] || tier}*\n\n` +
+    `• *Member* — harga normal\n` +
+    `• *Reseller* — harga khusus reseller di semua produk\n` +
+    `• *VIP* — harga termurah di semua produk\n` +
+    `━━━━━━━━━━━━━━━━━━━━\n`,
+  MEMBERSHIP_UPGRADE_HINT: `Pilih upgrade di bawah. Harga baru langsung berlaku di daftar produk setelah pembayaran lunas.`,
+  MEMBERSHIP_NO_UPGRADE: `_Belum ada upgrade yang bisa dibeli. Hubungi admin untuk info reseller._`,
+  MEMBERSHIP_UPGRADE_CHANNEL: (fromTier, toTier, price) =>
+    `👑 *UPGRADE MEMBERSHIP*\n` +
+    `━━━━━━━━━━━━━━━━━━━━\n` +
+    `${MESSAGES.MEMBERSHIP_TIER_LABELS[fromTier] || fromTier} → *${MESSAGES.MEMBERSHIP_TIER_LABELS[toTier] || toTier}*\n` +
+    `Harga: *Rp ${Number(price).toLocaleString('id-ID')}*\n\n` +
+    `Pilih metode pembayaran (Saldo tanpa biaya admin):`,
+  MEMBERSHIP_ACTIVATED: (tier, ref, balance) =>
+    `🎉 *UPGRADE BERHASIL*\n` +
+    `━━━━━━━━━━━━━━━━━━━━\n` +
+    `Level baru: *${MESSAGES.MEMBERSHIP_TIER_LABELS[tier] || tier}*\n` +
+    `💰 Sisa Saldo: Rp ${Number(balance || 0).toLocaleString('id-ID')}\n` +
+    `🆔 Ref: \`${ref}\`\n\n` +
+    `Harga ${MESSAGES.MEMBERSHIP_TIER_LABELS[tier] || tier} sudah aktif di semua produk. Selamat belanja! 🚀`,
+  MEMBERSHIP_ACTIVATED_TOAST: 'Upgrade berhasil!',
+  MEMBERSHIP_INVOICE_CREATED_TOAST: 'Invoice upgrade dibuat.',
+  MEMBERSHIP_NOT_AVAILABLE: '⚠️ Upgrade ini tidak tersedia untuk level Kakak saat ini.',
+  MEMBERSHIP_DISABLED: '⚠️ Fitur membership belum tersedia.',
+  MEMBERSHIP_GRANTED: (tier) =>
+    `👑 *Level Membership Diperbarui*\n\nLevel Kakak sekarang *${MESSAGES.MEMBERSHIP_TIER_LABELS[tier] || tier}*. Cek harga barunya di daftar produk ya Kak! 🚀`,
+  BUTTON_MEMBERSHIP_UPGRADE: (tier, price) => `⬆️ ${MESSAGES.MEMBERSHIP_TIER_LABELS[tier] || tier} — Rp ${Number(price).toLocaleString('id-ID')}`,
+  TRX_NOTICE_MEMBERSHIP_PAID: (ref) => `✅ *Pembayaran Upgrade Diterima!*\n\nRef: \`${ref}\`\nLevel membership akan segera diaktifkan ya Kak. 🚀`,
+  TRX_NOTICE_MEMBERSHIP_ACTIVE: (tier, ref) => `🎉 *Upgrade Berhasil!*\n\nLevel Kakak sekarang *${MESSAGES.MEMBERSHIP_TIER_LABELS[tier] || tier}*, harga baru sudah aktif di semua produk.\nRef: \`${ref}\``,
+
+  // Referral program (invite links)
+  REFERRAL_OVERVIEW: (status) =>
+    `🎁 *AJAK TEMAN*\n` +
+    `━━━━━━━━━━━━━━━━━━━━\n` +
+    `Bagikan link di bawah. Setiap teman yang daftar lewat link Kakak dan pesanan pertamanya berhasil, Kakak dapat *${MESSAGES.REFERRAL_REWARD_TEXT(status.rewardType, status.rewardAmount)}*.\n` +
+    `${status.minOrder > 0n ? `_Minimal pesanan pertama Rp ${status.minOrder.toLocaleString('id-ID')}._\n` : ''}` +
+    `━━━━━━━━━━━━━━━━━━━━\n` +
+    `🔗 Link Kakak:\n\`${status.link}\`\n\n` +
+    `👥 Teman diundang: *${status.referred}*\n` +
+    `✅ Sudah order: *${status.rewarded}*\n` +
+    `💰 Total hadiah: *Rp ${BigInt(status.earned || 0).toLocaleString('id-ID')}*`,
+  REFERRAL_REWARD_TEXT: (type, amount) => type === 'VOUCHER'
+    ? `voucher diskon Rp ${BigInt(amount).toLocaleString('id-ID')}`
+    : `saldo Rp ${BigInt(amount).toLocaleString('id-ID')}`,
+  REFERRAL_SHARE_TEXT: 'Top up game murah & otomatis 24 jam, daftar lewat link ini ya 👇',
+  REFERRAL_WELCOME_NOTE: `\n\n🎁 _Kakak bergabung lewat undangan teman. Selamat belanja!_`,
+  REFERRAL_DISABLED: '⚠️ Program ajak teman belum tersedia.',
+  REFERRAL_REWARDED: (reward) =>
+    `🎁 *Hadiah Ajak Teman!*\n\n` +
+    `Teman yang Kakak undang baru saja menyelesaikan pesanan pertamanya. ` +
+    (reward.voucher
+      ? `Ini voucher diskon *Rp ${BigInt(reward.amount).toLocaleString('id-ID')}* khusus untuk Kakak:\n\`${reward.voucher.code}\`\n\n` +
+        `Pakai lewat tombol Kode Promo di ringkasan pesanan${reward.voucher.endsAt ? ` (berlaku s/d ${new Date(reward.voucher.endsAt).toLocaleDateString('id-ID')})` : ''}.`
+      : `Saldo Kakak bertambah *Rp ${BigInt(reward.amount).toLocaleString('id-ID')}*.` +
+        `${reward.balance !== null && reward.balance !== undefined ? `\n💰 Saldo: Rp ${BigInt(reward.balance).toLocaleString('id-ID')}` : ''}`),
+  BUTTON_REFERRAL_SHARE: '📤 Bagikan Link',
+
+  // Profile & loyalty points
+  PROFILE_OVERVIEW: (profile) =>
+    `👤 *PROFIL SAYA*\n` +
+    `━━━━━━━━━━━━━━━━━━━━\n` +
+    `🆔 ID: \`${profile.chatId}\`\n` +
+    `${profile.tier ? `👑 Level: *${MESSAGES.MEMBERSHIP_TIER_LABELS[profile.tier] || profile.tier}*\n` : ''}` +
+    `${profile.balance !== null && profile.balance !== undefined ? `💰 Saldo: *Rp ${BigInt(profile.balance).toLocaleString('id-ID')}*\n` : ''}` +
+    `━━━━━━━━━━━━━━━━━━━━\n` +
+    (profile.points ? MESSAGES.PROFILE_POINTS(profile.points) : `_Program poin belum tersedia._\n`),
+  PROFILE_POINTS: (points) =>
+    `🪙 Poin: *${points.balance.toLocaleString('id-ID')}* (senilai Rp ${points.value.toLocaleString('id-ID')})\n` +
+    `${points.expiringPoints > 0 ? `⏳ ${points.expiringPoints.toLocaleString('id-ID')} poin hangus mulai ${new Date(points.expiringAt).toLocaleDateString('id-ID')}\n` : ''}` +
+    `\n_Dapat poin dari setiap pesanan yang berhasil. 1 poin = Rp ${points.pointValue.toLocaleString('id-ID')}, ` +
+    `pakai lewat tombol Poin di ringkasan pesanan${points.minRedeem > 0 ? ` (minimal ${points.minRedeem.toLocaleString('id-ID')} poin)` : ''}._\n` +
+    (points.history.length
+      ? `\n🧾 *Riwayat Poin*\n` + points.history.map(MESSAGES.POINTS_HISTORY_LINE).join('')
+      : `\n_Belum ada riwayat poin._\n`),
+  POINTS_HISTORY_LINE: (entry) => {
+    const labels = { EARN: 'Pesanan', REDEEM: 'Dipakai', RESTORE: 'Dikembalikan', EXPIRE: 'Hangus', ADJUST: 'Koreksi admin' };
+    return `${entry.points > 0 ? '➕' : '➖'} ${Math.abs(entry.points).toLocaleString('id-ID')} • ${labels[entry.type] || entry.type} • ${new Date(entry.createdAt).toLocaleDateString('id-ID')}\n`;
+  },
+  POINTS_ADJUSTED_NOTICE: (points, balance, note) =>
+    `🪙 *Poin Diperbarui*\n\n` +
+    `Poin Kakak ${points > 0 ? 'bertambah' : 'berkurang'} *${Math.abs(points).toLocaleString('id-ID')}*.` +
+    `${note ? `\nCatatan: ${Sanitizer.escapeMarkdown(note)}` : ''}\n` +
+    `Poin sekarang: *${balance.toLocaleString('id-ID')}*`,
+
+  // Manual bank transfer (receipt verified by an admin)
+  MANUAL_TRANSFER_INSTRUCTIONS: (account, trx) =>
+    `🏦 *TRANSFER MANUAL*\n` +
+    `━━━━━━━━━━━━━━━━━━━━\n` +
+    `📦 Produk: ${Sanitizer.escapeMarkdown(trx.item || '-')}\n` +
+    `💵 Total Transfer: *Rp ${Number(trx.amount).toLocaleString('id-ID')}*\n` +
+    `🆔 Ref: \`${trx.merchantRef}\`\n` +
+    `${trx.expiryDate ? `⏰ Berlaku s/d: ${new Date(trx.expiryDate).toLocaleString('id-ID')}\n` : ''}` +
+    `━━━━━━━━━━━━━━━━━━━━\n` +
+    `Bank: *${Sanitizer.escapeMarkdown(account.bankName || '-')}*\n` +
+    `No. Rekening: \`${account.accountNumber || '-'}\`\n` +
+    `${account.accountName ? `Atas Nama: ${Sanitizer.escapeMarkdown(account.accountName)}\n` : ''}` +
+    `━━━━━━━━━━━━━━━━━━━━\n\n` +
+    (trx.proofFileId
+      ? `🧾 Bukti transfer sudah kami terima dan sedang dicek admin.`
+      : `Transfer sesuai nominal di atas, lalu *kirim foto bukti transfer* ke chat ini. Pesanan diproses setelah admin memverifikasi. 🙏`),
+  MANUAL_TRANSFER_PROOF_RECEIVED: (trx) =>
+    `🧾 *BUKTI TRANSFER DITERIMA*\n` +
+    `━━━━━━━━━━━━━━━━━━━━\n` +
+    `📦 Produk: ${Sanitizer.escapeMarkdown(trx.item || '-')}\n` +
+    `💵 Total: Rp ${Number(trx.amount).toLocaleString('id-ID')}\n` +
+    `🆔 Ref: \`${trx.merchantRef}\`\n` +
+    `━━━━━━━━━━━━━━━━━━━━\n\n` +
+    `Menunggu verifikasi admin. Kami kabari di pesan ini ya Kak. ⏳`,
+  MANUAL_TRANSFER_PROOF_INVALID: `⚠️ Bukti transfer harus berupa foto atau file gambar/PDF ya Kak.`,
+  MANUAL_TRANSFER_NO_PENDING: `ℹ️ Tidak ada pesanan Transfer Manual yang menunggu pembayaran.\n\nPilih *Transfer Manual* saat checkout dulu, lalu kirim foto bukti transfer ke chat ini.`,
+  MANUAL_TRANSFER_EXPIRED: (ref) => `⚠️ Pesanan \`${ref}\` sudah melewati batas waktu pembayaran. Silakan order ulang atau hubungi admin jika sudah transfer.`,
+  TRX_NOTICE_TRANSFER_REJECTED: (item, ref) => `❌ *Transfer Ditolak*\n\nMaaf Kak, bukti transfer untuk ${item} (Ref: \`${ref}\`) tidak bisa kami verifikasi. Silakan hubungi admin jika dana sudah terkirim.`,
+  ADMIN_TRANSFER_PROOF: (trx, senderName, replaced = false) =>
+    `🏦 *BUKTI TRANSFER${replaced ? ' (DIPERBARUI)' : ''}*\n` +
+    `━━━━━━━━━━━━━━━━━━━━\n` +
+    `🆔 Ref: \`${trx.merchantRef}\`\n` +
+    `👤 User: \`${trx.userId}\`${senderName ? ` (${Sanitizer.escapeMarkdown(senderName)})` : ''}\n` +
+    `📦 Produk: ${Sanitizer.escapeMarkdown(trx.item || '-')}\n` +
+    `💵 Nominal: *Rp ${Number(trx.amount).toLocaleString('id-ID')}*\n\n` +
+    `Cek mutasi rekening sebelum menyetujui.`,
+  ADMIN_TRANSFER_REVIEWED: (trx, approved, adminName) =>
+    `${approved ? '✅ *TRANSFER DISETUJUI*' : '❌ *TRANSFER DITOLAK*'}\n` +
+    `━━━━━━━━━━━━━━━━━━━━\n` +
+    `🆔 Ref: \`${trx.merchantRef}\`\n` +
+    `💵 Nominal: Rp ${Number(trx.amount).toLocaleString('id-ID')}\n` +
+    `👮 Oleh: ${Sanitizer.escapeMarkdown(adminName || '-')}\n` +
+    `${approved ? 'Pesanan diteruskan ke provider.' : 'User sudah dikabari.'}`,
+  ADMIN_TRANSFER_REVIEW_FAILED: (error, status) => {
+    switch (error) {
+      case 'NOT_FOUND': return 'Transaksi tidak ditemukan.';
+      case 'NOT_MANUAL_TRANSFER': return 'Bukan transaksi Transfer Manual.';
+      case 'INVALID_STATUS': return `Transaksi sudah berstatus ${status}.`;
+      case 'CONFLICT': return 'Status transaksi baru saja berubah, cek ulang.';
+      default: return 'Gagal memproses transfer.';
+    }
+  },
+  ADMIN_TRANSFER_APPROVED_TOAST: 'Transfer disetujui, pesanan diproses.',
+  ADMIN_TRANSFER_REJECTED_TOAST: 'Transfer ditolak.',
+
+  ERR_PAYMENT_FORBIDDEN: '❌ Anda tidak memiliki izin untuk melakukan pembayaran.',
+
+  // Saved game accounts (ID Tersimpan)
+  GAME_ACCOUNT_SAVED_HINT: `\n\n👇 Atau pilih ID yang pernah Kakak pakai:`,
+  GAME_ACCOUNT_LIST_TITLE:
+    `👤 *ID GAME TERSIMPAN*\n` +
+    `━━━━━━━━━━━━━━━━━━━━\n`,
+  GAME_ACCOUNT_LIST_LINE: (no, account) =>
+    `${no}. *${Sanitizer.escapeMarkdown(account.gameCode)}* • \`${account.playerId}\`${account.zoneId ? ` (${account.zoneId})` : ''}` +
+    `${account.nickname ? ` • ${Sanitizer.escapeMarkdown(account.nickname)}` : ''}${account.isVerified ? ' ✅' : ''}\n`,
+  GAME_ACCOUNT_LIST_EMPTY: `_Belum ada ID tersimpan. ID yang lolos cek nickname akan tersimpan otomatis saat order._`,
+  GAME_ACCOUNT_LIST_HINT: `━━━━━━━━━━━━━━━━━━━━\nTekan tombol di bawah untuk menghapus ID.`,
+  GAME_ACCOUNT_NOT_FOUND: 'ID tersimpan tidak ditemukan.',
+  GAME_ACCOUNT_DELETED_TOAST: 'ID tersimpan dihapus.',
+
   // Buttons
   BUTTON_BACK_TO_MENU: '🔙 Kembali ke Menu',
   BUTTON_PREV: '⬅️ Prev',
@@ -329,15 +974,39 @@ export const MESSAGES = {
   BUTTON_REFRESH: '🔄 Refresh',
   BUTTON_CLOSE: '🗑️ Tutup',
   BUTTON_PAY_NOW: (id) => `💸 Bayar No. ${id}`,
+  BUTTON_REORDER: (id) => `🔁 Beli Lagi No. ${id}`,
   BUTTON_CONFIRM_YES: '✅ Benar, Lanjut',
   BUTTON_CONFIRM_NO: '❌ Batal',
   BUTTON_CHECK_STATUS: '🔄 Cek Status Transaksi',
   BUTTON_HOW_TO_PAY: '❓ Cara Bayar',
+  BUTTON_SWITCH_METHOD: '🔁 Ganti Metode',
+  BUTTON_BACK_INVOICE: '🔙 Kembali ke Invoice',
+  BUTTON_OPEN_NEW_INVOICE: '🧾 Buka Invoice Baru',
   BUTTON_BACK_HISTORY: '🔙 Kembali ke Riwayat',
   BUTTON_BACK_LIST: '🔙 Kembali ke Daftar',
   BUTTON_BACK_MAIN: '🔙 Kembali ke Menu Utama',
   BUTTON_PAY_WITH: (name) => `💳 Bayar dengan ${name}`,
+  BUTTON_PAY_MANUAL_TRANSFER: (bankName) => `🏦 Transfer Manual${bankName ? ` (${bankName})` : ''}`,
+  BUTTON_PAY_WITH_BALANCE: (balance) => `💰 Saldo (Rp ${Number(balance || 0).toLocaleString('id-ID')})`,
+  BUTTON_WALLET_AMOUNT: (amount) => `Rp ${Number(amount).toLocaleString('id-ID')}`,
+  BUTTON_WALLET_TOPUP: '💰 Isi Saldo',
+  BUTTON_MEMBERSHIP: '👑 Membership',
+  BUTTON_OTHER_METHOD: '💳 Pilih Metode Lain',
+  BUTTON_REMINDER_PAY: '💳 Bayar Sekarang',
+  BUTTON_REMINDER_CONTINUE: '🛒 Lanjutkan Pesanan',
+  BUTTON_REMINDER_OFF: '🔕 Matikan Pengingat',
+  BUTTON_REMINDER_ON: '🔔 Nyalakan Pengingat',
+  BUTTON_GAME_ACCOUNT: (account) => `👤 ${account.nickname ? `${account.nickname} • ` : ''}${account.playerId}${account.zoneId ? ` (${account.zoneId})` : ''}`,
+  BUTTON_GAME_ACCOUNT_MANAGE: '⚙️ Kelola ID Tersimpan',
+  BUTTON_GAME_ACCOUNT_DELETE: (no, account) => `🗑️ Hapus ${no}. ${account.nickname || account.playerId}`,
   BUTTON_ADMIN_STATS: '📊 Statistik',
   BUTTON_ADMIN_USERS: '👥 User List',
+  BUTTON_ADMIN_SEARCH: '🔎 Cari Transaksi',
+  BUTTON_ADMIN_PANEL: '🔐 Admin Panel',
+  BUTTON_ADMIN_BAN: '⛔ Blokir',
+  BUTTON_ADMIN_UNBAN: '✅ Buka Blokir',
+  BUTTON_ADMIN_REFRESH: '🔄 Refresh',
+  BUTTON_ADMIN_TRANSFER_APPROVE: '✅ Setujui',
+  BUTTON_ADMIN_TRANSFER_REJECT: '❌ Tolak',
   BUTTON_BACK: '⬅️ Kembali',
 };
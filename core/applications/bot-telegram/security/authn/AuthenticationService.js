@@ -7,14 +7,16 @@ import logger from '../../../../shared/services/Logger.js';
  * 
  * Features:
  * - Auto-registration of new users
+ * - Referral attribution from the /start payload of the first message
  * - Session management with expiry
  * - Integration with existing SessionService for shopping cart state
  */
 export class AuthenticationService extends AuthenticationPort {
-    constructor(userRepository, sessionService, config = {}) {
+    constructor(userRepository, sessionService, config = {}, referralService = null) {
         super();
         this.userRepo = userRepository;
         this.sessionService = sessionService;
+        this.referralService = referralService;
 
         // Configuration
         this.SESSION_DURATION_HOURS = config.sessionDurationHours || (24 * 7); // 7 days default
@@ -23,12 +25,12 @@ export class AuthenticationService extends AuthenticationPort {
     /**
      * Authenticate Telegram user (auto-register if new)
      * 
-     * @param {Object} credentials - { telegramId, chatId, username, firstName, lastName, languageCode }
+     * @param {Object} credentials - { telegramId, chatId, username, firstName, lastName, languageCode, startPayload }
      * @returns {Promise<User>} Authenticated user
      * @throws {Error} If user is banned or inactive
      */
     async authenticate(credentials) {
-        const { telegramId, chatId, username, firstName, lastName, languageCode } = credentials;
+        const { telegramId, chatId, username, firstName, lastName, languageCode, startPayload } = credentials;
 
         try {
             // 1. Find existing user or create new one
@@ -45,6 +47,11 @@ export class AuthenticationService extends AuthenticationPort {
                     languageCode: languageCode || 'id'
                 });
                 logger.info(`[AuthN] ✨ New user registered: ${telegramId} (${username || firstName})`);
+
+                // Invite link (t.me/<bot>?start=ref_<code>): only counts on registration
+                if (startPayload && this.referralService) {
+                    user = await this._attributeReferral(user, startPayload);
+                }
             } else {
                 // Update existing user info (chat ID might change, username might change)
                 user = await this.userRepo.update(user.id, {
@@ -186,6 +193,23 @@ export class AuthenticationService extends AuthenticationPort {
     // Private Helpers
     // ========================================
 
+    /**
+     * Attribute a new user to a referrer; a failure never blocks registration
+     *
+     * @private
+     * @param {User} user
+     * @param {String} startPayload
+     * @returns {Promise<User>}
+     */
+    async _attributeReferral(user, startPayload) {
+        try {
+            return await this.referralService.attribute(user, startPayload);
+        } catch (error) {
+            logger.error(`[AuthN] Referral attribution failed for ${user.telegramId}: ${error.message}`);
+            return user;
+        }
+    }
+
     /**
      * Create or refresh user session (consolidated approach)
      * Uses SessionService to manage both auth state and shopping cart
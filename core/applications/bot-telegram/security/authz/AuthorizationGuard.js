@@ -1,4 +1,4 @@
-import { PERMISSIONS } from './permissions.js';
+import { PERMISSIONS, isAdminPermission } from './permissions.js';
 import logger from '../../../../shared/services/Logger.js';
 import { AuthorizationPort } from '../../../../shared/ports/AuthorizationPort.js';
 
@@ -69,6 +69,12 @@ export class AuthorizationGuard extends AuthorizationPort {
         // Admin has all permissions
         if (user && user.role === 'admin') return true;
 
+        // Admin-only permissions (never granted without a DB-backed admin role)
+        if (isAdminPermission(permission)) {
+            logger.warn(`[AUTHZ_ADMIN] Denied admin permission | User: ${userId} | Permission: ${permission}`);
+            return false;
+        }
+
         // Standard users have basic permissions
         return true;
     }
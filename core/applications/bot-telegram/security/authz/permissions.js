@@ -22,10 +22,52 @@ export const PERMISSIONS = {
     PROFILE_VIEW: 'profile:view',
     PROFILE_UPDATE: 'profile:update',
 
+    // Admin Panel (role 'admin' only)
+    ADMIN_ACCESS: 'admin:access',
+    ADMIN_STATS: 'admin:stats',
+    ADMIN_USERS: 'admin:users',
+    ADMIN_BAN: 'admin:ban',
+    ADMIN_TRX_SEARCH: 'admin:trx_search',
+    ADMIN_TRX_MANAGE: 'admin:trx_manage',
+    ADMIN_PRICING_MANAGE: 'admin:pricing_manage',
+    ADMIN_MEMBERSHIP_MANAGE: 'admin:membership_manage',
+    ADMIN_PROMO_MANAGE: 'admin:promo_manage',
+    ADMIN_LOYALTY_MANAGE: 'admin:loyalty_manage',
+    ADMIN_FLASH_SALE_MANAGE: 'admin:flash_sale_manage',
+    ADMIN_REPORT_EXPORT: 'admin:report_export',
+    ADMIN_SETTLEMENT: 'admin:settlement',
+
     // Admin/System (Reserved for future)
     SYSTEM_MAINTENANCE: 'system:maintenance'
 };
 
+/**
+ * Permission yang hanya boleh dimiliki role admin
+ */
+export const ADMIN_PERMISSIONS = new Set([
+    PERMISSIONS.ADMIN_ACCESS,
+    PERMISSIONS.ADMIN_STATS,
+    PERMISSIONS.ADMIN_USERS,
+    PERMISSIONS.ADMIN_BAN,
+    PERMISSIONS.ADMIN_TRX_SEARCH,
+    PERMISSIONS.ADMIN_TRX_MANAGE,
+    PERMISSIONS.ADMIN_PRICING_MANAGE,
+    PERMISSIONS.ADMIN_MEMBERSHIP_MANAGE,
+    PERMISSIONS.ADMIN_PROMO_MANAGE,
+    PERMISSIONS.ADMIN_LOYALTY_MANAGE,
+    PERMISSIONS.ADMIN_FLASH_SALE_MANAGE,
+    PERMISSIONS.ADMIN_REPORT_EXPORT,
+    PERMISSIONS.ADMIN_SETTLEMENT,
+    PERMISSIONS.SYSTEM_MAINTENANCE
+]);
+
+/**
+ * Cek apakah permission termasuk admin-only
+ * @param {string} permission
+ * @returns {boolean}
+ */
+export const isAdminPermission = (permission) => ADMIN_PERMISSIONS.has(permission);
+
 /**
  * Mendapatkan permission yang dibutuhkan untuk sebuah command/action
  * @param {string} commandName 
@@ -38,7 +80,25 @@ export const getPermissionForCommand = (commandName) => {
         '/menu': PERMISSIONS.ACCESS_BOT,
         '/play': PERMISSIONS.GAME_PLAY,
         '/topup': PERMISSIONS.PAYMENT_CREATE,
-        '/profile': PERMISSIONS.PROFILE_VIEW
+        '/saldo': PERMISSIONS.PAYMENT_HISTORY,
+        '/deposit': PERMISSIONS.PAYMENT_CREATE,
+        '/profile': PERMISSIONS.PROFILE_VIEW,
+        '/akun': PERMISSIONS.PROFILE_VIEW,
+        '/member': PERMISSIONS.PROFILE_VIEW,
+        '/referral': PERMISSIONS.PROFILE_VIEW,
+        '/pengingat': PERMISSIONS.PROFILE_VIEW,
+        '/admin': PERMISSIONS.ADMIN_ACCESS,
+        '/trx': PERMISSIONS.ADMIN_TRX_SEARCH,
+        '/refulfill': PERMISSIONS.ADMIN_TRX_MANAGE,
+        '/setstatus': PERMISSIONS.ADMIN_TRX_MANAGE,
+        '/refund': PERMISSIONS.ADMIN_TRX_MANAGE,
+        '/pricing': PERMISSIONS.ADMIN_PRICING_MANAGE,
+        '/tier': PERMISSIONS.ADMIN_MEMBERSHIP_MANAGE,
+        '/promo': PERMISSIONS.ADMIN_PROMO_MANAGE,
+        '/points': PERMISSIONS.ADMIN_LOYALTY_MANAGE,
+        '/flash': PERMISSIONS.ADMIN_FLASH_SALE_MANAGE,
+        '/export': PERMISSIONS.ADMIN_REPORT_EXPORT,
+        '/settle': PERMISSIONS.ADMIN_SETTLEMENT
     };
     return mapping[commandName] || PERMISSIONS.ACCESS_BOT;
 };
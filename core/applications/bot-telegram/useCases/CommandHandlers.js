@@ -5,8 +5,18 @@ import logger from '../../../shared/services/Logger.js';
 import { GameSelectionHandler } from './handlers/GameSelectionHandler.js';
 
 import { CallbackRouter } from './handlers/CallbackRouter.js';
+import { AdminCommandHandler } from './handlers/AdminCommandHandler.js';
+import { SettlementCommandHandler } from './handlers/SettlementCommandHandler.js';
+import { ReportCommandHandler } from './handlers/ReportCommandHandler.js';
+import { FlashSaleCommandHandler } from './handlers/FlashSaleCommandHandler.js';
+import { PointsCommandHandler } from './handlers/PointsCommandHandler.js';
+import { PromoCommandHandler } from './handlers/PromoCommandHandler.js';
+import { MembershipCommandHandler } from './handlers/MembershipCommandHandler.js';
+import { PricingCommandHandler } from './handlers/PricingCommandHandler.js';
+import { ManualTransferHandler } from './handlers/ManualTransferHandler.js';
 import { UIPersistenceHelper } from './helpers/UIPersistenceHelper.js';
 import { PERMISSIONS } from '../security/authz/permissions.js';
+import { REFERRAL } from '../../../shared/config/constants.js';
 
 /**
  * CommandHandlers
@@ -25,7 +35,7 @@ export class CommandHandlers {
 
     // Initialize specialized handlers (Dependency Injection maintained)
     this.menuHandler = new MenuHandler(gameService);
-    this.paymentHandler = new PaymentHandler(paymentService, botCore.sendPort, botCore.sessionService, config, gameService, this.ui);
+    this.paymentHandler = new PaymentHandler(paymentService, botCore.sendPort, botCore.sessionService, config, gameService, this.ui, botCore.qrRenderer);
     this.gameSelectionHandler = new GameSelectionHandler(
       gameService,
       botCore.sendPort,
@@ -42,8 +52,45 @@ export class CommandHandlers {
       botCore.sessionService,
       config, // Pass config
       this.ui, // Pass shared UI
-      botCore.authPort // Pass Auth Port
+      botCore.authZ, // Pass Auth Port
+      botCore.adminService, // Admin panel
+      botCore, // Customer notifications from admin actions
+      botCore.reminderService // Reminder opt-out
     );
+
+    // Admin text commands (share the panel's permission check + views)
+    this._initAdminCommands(botCore, gameService, config);
+
+    // Transfer receipts (photo/document uploads)
+    this.manualTransferHandler = new ManualTransferHandler({
+      sendPort: botCore.sendPort,
+      sessionService: botCore.sessionService,
+      ui: this.ui,
+      paymentService
+    }, config);
+  }
+
+  /**
+   * Admin text command handlers, one per command group
+   * @private
+   */
+  _initAdminCommands(botCore, gameService, config) {
+    const adminDeps = {
+      sendPort: botCore.sendPort,
+      sessionService: botCore.sessionService,
+      ui: this.ui,
+      adminService: botCore.adminService,
+      adminRouter: this.callbackRouter.adminRouter,
+      notifier: botCore
+    };
+    this.adminCommandHandler = new AdminCommandHandler(adminDeps, config);
+    this.pricingCommandHandler = new PricingCommandHandler({ ...adminDeps, gameService }, config);
+    this.membershipCommandHandler = new MembershipCommandHandler(adminDeps, config);
+    this.promoCommandHandler = new PromoCommandHandler(adminDeps, config);
+    this.pointsCommandHandler = new PointsCommandHandler(adminDeps, config);
+    this.flashSaleCommandHandler = new FlashSaleCommandHandler({ ...adminDeps, gameService }, config);
+    this.reportCommandHandler = new ReportCommandHandler({ ...adminDeps, reportService: botCore.reportService }, config);
+    this.settlementCommandHandler = new SettlementCommandHandler({ ...adminDeps, settlementService: botCore.settlementService }, config);
   }
 
   /**
@@ -53,6 +100,27 @@ export class CommandHandlers {
     this.bot.onCommand('/start', this.handleStart.bind(this));
 
     this.bot.onCommand('/help', this.handleHelp.bind(this));
+
+    this.bot.onCommand('/saldo', this.handleWallet.bind(this));
+    this.bot.onCommand('/deposit', this.handleDeposit.bind(this));
+    this.bot.onCommand('/akun', this.handleGameAccounts.bind(this));
+    this.bot.onCommand('/member', this.handleMembership.bind(this));
+    this.bot.onCommand('/referral', this.handleReferral.bind(this));
+    this.bot.onCommand('/profile', this.handleProfile.bind(this));
+    this.bot.onCommand('/pengingat', this.handleReminders.bind(this));
+
+    this.bot.onCommand('/admin', this.handleAdmin.bind(this));
+    this.bot.onCommand('/trx', this.adminCommandHandler.handleTrx.bind(this.adminCommandHandler));
+    this.bot.onCommand('/refulfill', this.adminCommandHandler.handleRefulfill.bind(this.adminCommandHandler));
+    this.bot.onCommand('/setstatus', this.adminCommandHandler.handleSetStatus.bind(this.adminCommandHandler));
+    this.bot.onCommand('/refund', this.adminCommandHandler.handleRefund.bind(this.adminCommandHandler));
+    this.bot.onCommand('/pricing', this.pricingCommandHandler.handlePricing.bind(this.pricingCommandHandler));
+    this.bot.onCommand('/tier', this.membershipCommandHandler.handleTier.bind(this.membershipCommandHandler));
+    this.bot.onCommand('/promo', this.promoCommandHandler.handlePromo.bind(this.promoCommandHandler));
+    this.bot.onCommand('/points', this.pointsCommandHandler.handlePoints.bind(this.pointsCommandHandler));
+    this.bot.onCommand('/flash', this.flashSaleCommandHandler.handleFlash.bind(this.flashSaleCommandHandler));
+    this.bot.onCommand('/export', this.reportCommandHandler.handleExport.bind(this.reportCommandHandler));
+    this.bot.onCommand('/settle', this.settlementCommandHandler.handleSettle.bind(this.settlementCommandHandler));
   }
 
   /**
@@ -79,7 +147,12 @@ export class CommandHandlers {
 
     // /start always resets the bubble for a fresh professional look
     const nameToUse = message?.senderName || 'Kak';
-    const welcomeMsg = this.config.messages.WELCOME(nameToUse);
+    let welcomeMsg = this.config.messages.WELCOME(nameToUse);
+
+    // Opened through a friend's invite link (attributed during authentication)
+    if (message?.user?.referredById && String(args?.[0] || '').startsWith(REFERRAL.START_PREFIX)) {
+      welcomeMsg += this.config.messages.REFERRAL_WELCOME_NOTE;
+    }
 
     await sender.sendMessage(
       chatId,
@@ -102,6 +175,100 @@ export class CommandHandlers {
     );
   }
 
+  /**
+   * Handle /saldo command (balance + deposit menu)
+   */
+  async handleWallet(chatId) {
+    await this.callbackRouter.walletRouter.route('home', chatId);
+  }
+
+  /**
+   * Handle /deposit <amount> command (custom deposit amount)
+   */
+  async handleDeposit(chatId, args) {
+    const amount = parseInt(String(args?.[0] || '').replace(/[.,]/g, ''), 10);
+    if (isNaN(amount)) {
+      return await this.callbackRouter.walletRouter.route('home', chatId);
+    }
+    await this.callbackRouter.walletRouter.route(`amt_${amount}`, chatId);
+  }
+
+  /**
+   * Handle /akun command (saved player IDs)
+   */
+  async handleGameAccounts(chatId) {
+    await this.callbackRouter.gameAccountRouter.route('list', chatId);
+  }
+
+  /**
+   * Handle /member command (tier + upgrades)
+   */
+  async handleMembership(chatId) {
+    await this.callbackRouter.membershipRouter.route('home', chatId);
+  }
+
+  /**
+   * Handle /referral command (invite link + referral stats)
+   */
+  async handleReferral(chatId) {
+    await this.callbackRouter.referralRouter.route('home', chatId);
+  }
+
+  /**
+   * Handle /profile command (tier, balance and loyalty points)
+   */
+  async handleProfile(chatId) {
+    await this.callbackRouter.loyaltyRouter.route('home', chatId);
+  }
+
+  /**
+   * Handle /pengingat command (turn reminders off or back on)
+   */
+  async handleReminders(chatId) {
+    await this.callbackRouter.reminderRouter.route('home', chatId);
+  }
+
+  /**
+   * Handle /admin command (admin role only, silent for everyone else)
+   */
+  async handleAdmin(chatId) {
+    const adminRouter = this.callbackRouter.adminRouter;
+    if (!await adminRouter.isAdmin(chatId)) {
+      logger.warn(`[CommandHandlers] Ignored /admin from non-admin: ${chatId}`);
+      return;
+    }
+    await adminRouter.showPanel(chatId);
+  }
+
+  /**
+   * Handle pending admin text input (e.g. transaction search)
+   * @param {Object} message - Incoming message
+   * @returns {Promise<boolean>} true if consumed
+   */
+  async handleAdminInput(message) {
+    return await this.callbackRouter.adminRouter.handleInput(message.chatId, message.text);
+  }
+
+  /**
+   * Handle a promo code typed after "Pakai Kode Promo"
+   * @param {Object} message - Incoming message
+   * @returns {Promise<boolean>} true if consumed
+   */
+  async handlePromoInput(message) {
+    return await this.callbackRouter.promoRouter.handleInput(message.chatId, message.text);
+  }
+
+  /**
+   * Handle an uploaded photo/document (exposed for HandleMessageUseCase)
+   * Delegates to ManualTransferHandler
+   * @param {Object} message - Incoming media message
+   * @returns {Promise<boolean>} true if consumed
+   */
+  async handleMedia(message) {
+    if (!this.paymentService) return false;
+    return await this.manualTransferHandler.handleReceipt(message);
+  }
+
   /**
    * Handle order review (exposed for HandleMessageUseCase)
    * Delegates to PaymentHandler
@@ -96,10 +96,22 @@ export class HandleMessageUseCase {
       return;
     }
 
+    // 2.1 Uploaded files (transfer receipts); the upload itself was already deleted, the file_id stays valid
+    if (message.isMedia()) {
+      if (this.commandHandlers) await this.commandHandlers.handleMedia(message);
+      return;
+    }
+
     const words = message.text.split(" ");
     const cmdName = words[0];
     const args = words.slice(1);
 
+    // 2.5 Priority: Pending admin input (e.g. transaction search prompt)
+    if (this.commandHandlers && await this.commandHandlers.handleAdminInput(message)) return;
+
+    // 2.6 Priority: Pending promo code (must win over the player ID input of the same order)
+    if (this.commandHandlers && await this.commandHandlers.handlePromoInput(message)) return;
+
     // 3. Priority: Session/Input Check
     // STRICT LOCK: Only allow session handling if there is a valid pending order WITH AN ITEM selected.
     // This prevents "zombie" sessions (just game selected) from accepting input.
@@ -155,6 +167,9 @@ export class HandleMessageUseCase {
       return null;
     }
 
+    // Deep link payload (t.me/<bot>?start=<payload>), used for referral attribution on registration
+    const [command, startPayload] = message.isText() ? String(message.text || '').trim().split(/\s+/) : [];
+
     try {
       const user = await this.authN.authenticate({
         telegramId: String(message.from.id),
@@ -162,7 +177,8 @@ export class HandleMessageUseCase {
         username: message.from.username,
         firstName: message.from.firstName,
         lastName: message.from.lastName,
-        languageCode: message.from.languageCode
+        languageCode: message.from.languageCode,
+        startPayload: command?.split('@')[0] === '/start' ? startPayload || null : null
       });
       return user;
     } catch (error) {
@@ -24,10 +24,12 @@
  * // Calls handlePayNow(chatId, 'QRIS', messageId)
  * 
  * @action_types Supported action types:
- * - pay_{CHANNEL}: Initiate payment with specific channel (e.g., pay_QRIS, pay_DANA)
+ * - pay_{CHANNEL}: Initiate payment with specific channel (e.g., pay_QRIS, pay_DANA, pay_SALDO for wallet balance)
  * - check_trx_{REF}: Check transaction status by merchant reference
  * - refresh_status_{REF}: Refresh transaction status display
  * - reprint_{REF}: Reprint invoice for existing transaction
+ * - switch_{REF}: List the payment channels an unpaid invoice can switch to
+ * - sw_{REF}_{CHANNEL}: Replace the invoice by one on another channel (old one closed, both linked)
  * - cancel: Cancel current order  
  * - confirm_id: Confirm player ID before payment
  * - process_payment: Finalize and process payment
@@ -49,6 +51,7 @@ import { BaseHandler } from './BaseHandler.js';
 import { Sanitizer } from '../../../../shared/utils/Sanitizer.js';
 import { RouterResponse } from './RouterResponse.js';
 import { sessionLock, SessionLock } from './SessionLock.js';
+import { PAYMENT_STATUS, WALLET, MANUAL_TRANSFER, INVOICE_SWITCH } from '../../../../shared/config/constants.js';
 
 export class ActionRouter extends BaseHandler {
   /**
@@ -146,6 +149,34 @@ export class ActionRouter extends BaseHandler {
       return await this.handleReprint(chatId, ref, true, messageId); // isEdit=true enables refresh behavior
     }
 
+    if (action.startsWith('switch_')) {
+      const ref = Sanitizer.cleanMerchantRef(action.replace('switch_', ''));
+      if (!ref) {
+        this.logError('Invalid Merchant Ref', new Error('Sanitization failed'), { chatId, action });
+        return RouterResponse.toast();
+      }
+      return await this.handleSwitchMethod(chatId, ref);
+    }
+
+    // sw_{REF}_{CHANNEL}: merchant refs never contain '_'
+    if (action.startsWith('sw_')) {
+      const [rawRef, ...channelParts] = action.replace('sw_', '').split('_');
+      const ref = Sanitizer.cleanMerchantRef(rawRef);
+      const channelCode = channelParts.join('_');
+      if (!ref || !channelCode) {
+        this.logError('Invalid Switch Action', new Error('Sanitization failed'), { chatId, action });
+        return RouterResponse.toast();
+      }
+      // LOCK: One invoice switch at a time (creates a gateway invoice)
+      const result = await sessionLock.withLock(chatId, async () => {
+        return await this.handleSwitchConfirm(chatId, ref, channelCode);
+      });
+      if (result === SessionLock.LOCKED) {
+        return RouterResponse.toast('⏳ Sedang diproses, mohon tunggu...');
+      }
+      return result;
+    }
+
     // Generic Delete Action (Close button)
     if (action === 'delete_msg') {
       await this.sendOrEdit(chatId, messageId, null, { deleteOnly: true });
@@ -193,28 +224,130 @@ export class ActionRouter extends BaseHandler {
   async handleReprint(chatId, merchantRef, isEdit = false, messageId = null) {
     try {
       // [REFACTOR] Use PaymentService for logic
-      const { result, orderData } = await this.paymentService.reprintTransaction(merchantRef);
+      const { trx, result, orderData } = await this.paymentService.reprintTransaction(merchantRef);
+      // Reprint links are sent in reminders: only the owner may open the invoice
+      if (String(trx.userId) !== String(chatId)) throw new Error('Transaction not found');
 
       // Determine UI Type based on Data availability (QR String present = QR Invoice)
       // Delegate to PaymentHandler to resend invoice
       const options = { messageId: isEdit ? messageId : null };
 
-      if (result.qr_string) {
+      if (orderData.channelCode === MANUAL_TRANSFER.CHANNEL_CODE) {
+        await this.paymentHandler.sendManualTransferInstructions(chatId, trx);
+      } else if (result.qr_string) {
         await this.paymentHandler.sendQRInvoice(chatId, result, orderData, options);
       } else {
         await this.paymentHandler.sendPaymentDetails(chatId, result, orderData, options);
       }
 
-      this.logSuccess('Invoice Reprinted', { chatId, merchantRef: ref });
+      this.logSuccess('Invoice Reprinted', { chatId, merchantRef });
       return RouterResponse.toast("Invoice dicetak ulang.");
 
     } catch (error) {
-      this.logError('Reprint Error', error, { chatId, action: `reprint_${ref}` });
+      this.logError('Reprint Error', error, { chatId, action: `reprint_${merchantRef}` });
       const errMsg = error.message === 'Transaction not found' ? this.messages.ERR_TRX_NOT_FOUND : this.messages.ERR_REPRINT_FAILED;
-      await this.sendOrEdit(chatId, null, errMsg);
+      await this.ui.sendOrEdit(chatId, errMsg);
+      return RouterResponse.toast();
+    }
+  }
+
+  /**
+   * Show the channels an unpaid invoice can switch to, with their total
+   *
+   * @param {string} chatId - Telegram chat identifier
+   * @param {string} merchantRef - Invoice to replace
+   * @returns {Promise<RouterResponse>}
+   */
+  async handleSwitchMethod(chatId, merchantRef) {
+    try {
+      const options = await this.paymentService.getSwitchOptions(merchantRef, String(chatId));
+      if (!options.success) return await this.sendSwitchRefused(chatId, options);
+
+      const { trx, channels } = options;
+      const rows = channels
+        .map(channel => [{
+          text: this.messages.CHANNEL_TOTAL_LABEL(channel.nama, channel.finalAmount),
+          callback_data: `action_sw_${trx.merchantRef}_${channel.kode}`
+        }])
+        .filter(([button]) => Buffer.byteLength(button.callback_data) <= INVOICE_SWITCH.CALLBACK_MAX_BYTES);
+      rows.push([{ text: this.messages.BUTTON_BACK_INVOICE, callback_data: `action_reprint_${trx.merchantRef}` }]);
+
+      const text = this.messages.SWITCH_METHOD_TITLE(Sanitizer.escapeMarkdown(trx.item || '-'), trx.channel, trx.amount)
+        + (rows.length > 1 ? this.messages.PAYMENT_METHOD_TOTAL_NOTE : this.messages.SWITCH_METHOD_NONE);
+
+      await this.ui.sendOrEdit(chatId, text, { parse_mode: 'Markdown', reply_markup: { inline_keyboard: rows } });
+      return RouterResponse.handled('switch_method');
+    } catch (error) {
+      await this.handleError('Switch Method Error', error, chatId, { action: `switch_${merchantRef}` });
+      return RouterResponse.toast();
+    }
+  }
+
+  /**
+   * Replace an unpaid invoice by a new one on the chosen channel and show it
+   *
+   * @param {string} chatId - Telegram chat identifier
+   * @param {string} merchantRef - Invoice to replace
+   * @param {string} channelCode - New payment channel
+   * @returns {Promise<RouterResponse>}
+   *
+   * @security Requires PAYMENT_CREATE permission, owner of the invoice only
+   */
+  async handleSwitchConfirm(chatId, merchantRef, channelCode) {
+    try {
+      if (this.authPort && !await this.authPort.can({ id: chatId }, PERMISSIONS.PAYMENT_CREATE)) {
+        await this.sendOrEdit(chatId, null, "❌ Anda tidak memiliki izin untuk melakukan pembayaran.");
+        return RouterResponse.toast();
+      }
+
+      await this.ui.sendOrEdit(chatId, this.messages.PAYMENT_PROCESSING);
+      const result = await this.paymentService.switchPaymentChannel(merchantRef, String(chatId), channelCode);
+      if (!result.success) return await this.sendSwitchRefused(chatId, result);
+
+      const { orderData } = result;
+      if (this.paymentService.isQRChannel(channelCode) && result.qr_string) {
+        await this.paymentHandler.sendQRInvoice(chatId, result, orderData);
+      } else {
+        await this.paymentHandler.sendPaymentDetails(chatId, result, orderData);
+      }
+
+      this.logSuccess('Invoice Method Switched', { chatId, merchantRef, newRef: result.merchantRef, channelCode });
+      return RouterResponse.toast(this.messages.SWITCH_METHOD_DONE);
+    } catch (error) {
+      await this.handleError('Switch Method Error', error, chatId, { action: `sw_${merchantRef}_${channelCode}` });
+      return RouterResponse.toast();
     }
   }
 
+  /**
+   * Explain why an invoice cannot switch (replaced, paid/expired, gateway error)
+   *
+   * @param {string} chatId - Telegram chat identifier
+   * @param {Object} result - { error, trx } from PaymentService
+   * @returns {Promise<RouterResponse>}
+   */
+  async sendSwitchRefused(chatId, { error, trx }) {
+    if (error === 'NOT_FOUND') {
+      await this.ui.sendOrEdit(chatId, this.messages.ERR_TRX_NOT_FOUND);
+      return RouterResponse.toast();
+    }
+
+    const keyboard = [];
+    if (error === 'REPLACED') {
+      keyboard.push([{ text: this.messages.BUTTON_OPEN_NEW_INVOICE, callback_data: `action_reprint_${trx.replacedBy}` }]);
+    } else if (trx.status === PAYMENT_STATUS.UNPAID) {
+      keyboard.push([{ text: this.messages.BUTTON_BACK_INVOICE, callback_data: `action_reprint_${trx.merchantRef}` }]);
+    }
+    keyboard.push([{ text: this.messages.BUTTON_BACK_HISTORY, callback_data: 'menu_history' }]);
+
+    const text = error === 'REPLACED' ? this.messages.SWITCH_METHOD_REPLACED(trx.replacedBy)
+      : error === 'GATEWAY_FAILED' ? this.messages.SWITCH_METHOD_FAILED
+      : error === 'CHANNEL_UNAVAILABLE' ? this.messages.SWITCH_METHOD_CHANNEL_UNAVAILABLE
+      : this.messages.SWITCH_METHOD_UNAVAILABLE;
+    await this.ui.sendOrEdit(chatId, text, { reply_markup: { inline_keyboard: keyboard } });
+    return RouterResponse.toast();
+  }
+
   /**
    * Handle "Pay Now" action with selected payment channel
    * Calculates final amount with fees and displays order review invoice
@@ -243,13 +376,23 @@ export class ActionRouter extends BaseHandler {
         return;
       }
 
-      // Calculate final amount with fees
-
-      const { finalAmount, feeAmount, channelInfo, feeType } = await this.paymentService.calculateFinalAmount(
+      // Calculate final amount with fees (after the applied promo and points, if any)
+      const { finalAmount, feeAmount, discountAmount, pointsDiscount, channelInfo, feeType } = await this.paymentService.calculateFinalAmount(
         pendingOrder.price,
-        channelCode
+        channelCode,
+        pendingOrder.discountAmount || 0,
+        pendingOrder.pointsDiscount || 0
       );
 
+      // Balance checkout: stop early if the wallet can't cover the order
+      if (channelCode === WALLET.CHANNEL_CODE) {
+        const balance = await this.paymentService.getWalletBalance(String(chatId));
+        if (balance === null || balance < finalAmount) {
+          await this.paymentHandler.sendInsufficientBalance(chatId, balance ?? 0n, finalAmount);
+          return;
+        }
+      }
+
       // Create invoice data with NEW field names
       const invoiceData = {
         ...pendingOrder,
@@ -258,6 +401,8 @@ export class ActionRouter extends BaseHandler {
         customerName: chatId,
         // UI Display Data
         basePrice: pendingOrder.price,
+        discountAmount,
+        pointsDiscount,
         feeAmount,
         feeType: feeType || 'Flat',
         channelName: channelInfo.name,
@@ -362,6 +507,26 @@ export class ActionRouter extends BaseHandler {
       // Pass messageId into options
       const paymentResult = await this.paymentHandler.processPayment(chatId, orderData, { messageId });
 
+      // Balance ran out between review and checkout: keep the order so another channel can be picked
+      if (paymentResult?.error === 'INSUFFICIENT_BALANCE') {
+        return RouterResponse.toast(this.messages.WALLET_INSUFFICIENT_TOAST);
+      }
+
+      // Promo no longer valid: keep the order so it can continue without the promo
+      if (paymentResult?.error === 'PROMO_INVALID') {
+        return RouterResponse.toast(this.messages.PROMO_INVALID_TOAST);
+      }
+
+      // Points spent or expired meanwhile: keep the order so it can continue without them
+      if (paymentResult?.error === 'POINTS_INVALID') {
+        return RouterResponse.toast(this.messages.POINTS_INVALID_TOAST);
+      }
+
+      // Flash sale ended or sold out: the order moved to the regular price, keep it
+      if (paymentResult?.error === 'FLASH_SALE_ENDED') {
+        return RouterResponse.toast(this.messages.FLASH_SALE_ENDED_TOAST);
+      }
+
       // Only clear session if payment was fully processed (invoice created + UI sent)
       // If processPayment throws, session is preserved for retry
       await this.sessionService.clearSession(chatId);
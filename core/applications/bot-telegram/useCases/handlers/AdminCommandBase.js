@@ -0,0 +1,91 @@
+/**
+ * @file AdminCommandBase.js
+ * @description Shared base for the admin text command handlers
+ * @responsibility Admin permission check, acting admin for the audit trail and the admin reply bubble
+ *
+ * @requires AdminService - Admin queries, manual actions and audit trail
+ * @requires AdminRouter - Admin permission check and transaction detail view
+ * @requires Notifier - BotCore (buildTransactionNotice + updateTransactionBubble)
+ * @requires Logger - Logging service
+ *
+ * @architecture Hexagonal Architecture - Application Layer Base Class
+ * @pattern Template Method Pattern - Subclasses add one method per bot command
+ *
+ * @example
+ * class PromoCommandHandler extends AdminCommandBase {
+ *   async handlePromo(chatId, args, sender, message) {
+ *     if (!await this._authorize(chatId, PERMISSIONS.ADMIN_PROMO_MANAGE, '/promo')) return;
+ *     await this._reply(chatId, this.messages.ADMIN_CMD_USAGE_PROMO);
+ *   }
+ * }
+ *
+ * @related
+ * - AdminCommandHandler.js - /trx, /refulfill, /setstatus, /refund
+ * - PricingCommandHandler.js - /pricing
+ * - MembershipCommandHandler.js - /tier
+ * - PromoCommandHandler.js - /promo
+ * - PointsCommandHandler.js - /points
+ * - FlashSaleCommandHandler.js - /flash
+ * - ReportCommandHandler.js - /export
+ * - SettlementCommandHandler.js - /settle
+ * - AdminRouter.js - Admin panel callbacks
+ */
+import logger from '../../../../shared/services/Logger.js';
+import { BaseHandler } from './BaseHandler.js';
+
+export class AdminCommandBase extends BaseHandler {
+  /**
+   * Constructor for AdminCommandBase
+   *
+   * @param {Object} deps - Dependency injection object
+   * @param {Object} deps.adminService - Admin actions + audit trail
+   * @param {Object} deps.adminRouter - Permission check and transaction view
+   * @param {Object} deps.notifier - Customer notification (BotCore)
+   * @param {Object} config - Configuration object
+   * @extends BaseHandler
+   */
+  constructor(deps, config) {
+    super(deps, config);
+
+    this.adminService = deps.adminService;
+    this.adminRouter = deps.adminRouter;
+    this.notifier = deps.notifier;
+
+    this.validateDependencies({
+      adminRouter: this.adminRouter
+    });
+  }
+
+  /**
+   * Non-admins get the same silence as any unknown command
+   * @protected
+   */
+  async _authorize(chatId, permission, command) {
+    if (await this.adminRouter.isAdmin(chatId, permission)) return true;
+    logger.warn(`[${this.constructor.name}] Ignored ${command} from non-admin: ${chatId}`);
+    return false;
+  }
+
+  /**
+   * Acting admin for the audit trail
+   * @protected
+   */
+  _admin(chatId, message) {
+    return {
+      id: String(chatId),
+      name: message?.user?.getDisplayName?.() || message?.senderName || null
+    };
+  }
+
+  /**
+   * Reply in the admin's bubble, with a shortcut to the transaction if known
+   * @protected
+   */
+  async _reply(chatId, text, merchantRef = null) {
+    const keyboard = [];
+    if (merchantRef) keyboard.push([{ text: this.messages.BUTTON_ADMIN_VIEW_TRX, callback_data: `admin_trx_${merchantRef}` }]);
+    keyboard.push([{ text: this.messages.BUTTON_ADMIN_PANEL, callback_data: 'admin_panel' }]);
+
+    await this.ui.sendOrEdit(chatId, text, { reply_markup: { inline_keyboard: keyboard } });
+  }
+}
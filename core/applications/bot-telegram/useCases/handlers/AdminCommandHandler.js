@@ -0,0 +1,158 @@
+/**
+ * @file AdminCommandHandler.js
+ * @description Admin text commands for manual transaction handling
+ * @responsibility Parse admin commands, run them through AdminService, reply to the admin and notify the customer
+ *
+ * @requires AdminService - Manual actions (via PaymentService) + audit trail
+ * @requires AdminRouter - Admin permission check and transaction detail view
+ * @requires Notifier - BotCore (buildTransactionNotice + updateTransactionBubble)
+ * @requires Logger - Logging service
+ *
+ * @architecture Hexagonal Architecture - Application Layer
+ * @pattern Command Pattern - One method per bot command
+ *
+ * @example
+ * const adminCommands = new AdminCommandHandler(deps, config);
+ * await adminCommands.handleRefund(chatId, ['ORDER-123', 'transfer', 'BCA'], sender, message);
+ * // Marks ORDER-123 as REFUNDED, records the audit entry and tells the customer
+ *
+ * @commands Supported commands (admin role only, silently ignored for others):
+ * - /trx <ref>: Transaction detail (job, provider status, audit trail)
+ * - /refulfill <ref>: Send a PAID / DELIVERY_FAILED order to the provider again
+ * - /setstatus <ref> <status> [note]: Force a status (no fulfillment side effects)
+ * - /refund <ref> [note]: Record a manual refund and stop pending fulfillment
+ *
+ * @related
+ * - AdminCommandBase.js - Permission check and admin reply shared by the admin commands
+ * - AdminRouter.js - Admin panel callbacks
+ * - AdminService.js - Admin queries, manual actions and audit trail
+ * - PaymentService.js - Transaction state changes
+ */
+import logger from '../../../../shared/services/Logger.js';
+import { AdminCommandBase } from './AdminCommandBase.js';
+import { PERMISSIONS } from '../../security/authz/permissions.js';
+import { PAYMENT_STATUS } from '../../../../shared/config/constants.js';
+import { Sanitizer } from '../../../../shared/utils/Sanitizer.js';
+
+export class AdminCommandHandler extends AdminCommandBase {
+  /**
+   * /trx <ref>
+   */
+  async handleTrx(chatId, args) {
+    if (!await this._authorize(chatId, PERMISSIONS.ADMIN_TRX_SEARCH, '/trx')) return;
+
+    const [ref] = args;
+    if (!ref) return await this._reply(chatId, this.messages.ADMIN_CMD_USAGE_TRX);
+
+    await this.adminRouter.showTransaction(chatId, ref);
+  }
+
+  /**
+   * /refulfill <ref>
+   */
+  async handleRefulfill(chatId, args, sender, message) {
+    if (!await this._authorize(chatId, PERMISSIONS.ADMIN_TRX_MANAGE, '/refulfill')) return;
+
+    const [ref] = args;
+    if (!ref) return await this._reply(chatId, this.messages.ADMIN_CMD_USAGE_REFULFILL);
+
+    await this._run(chatId, ref, 'Refulfill', async () => {
+      const result = await this.adminService.refulfill(this._admin(chatId, message), ref);
+      if (!result.success) return result;
+
+      const item = Sanitizer.escapeMarkdown(result.trx.item || '-');
+      await this._notifyCustomer(result.trx, this.messages.TRX_NOTICE_REFULFILL(item, result.trx.merchantRef));
+      await this._reply(chatId, this.messages.ADMIN_REFULFILL_DONE(result.trx.merchantRef, result.oldStatus), result.trx.merchantRef);
+      return result;
+    });
+  }
+
+  /**
+   * /setstatus <ref> <status> [note]
+   */
+  async handleSetStatus(chatId, args, sender, message) {
+    if (!await this._authorize(chatId, PERMISSIONS.ADMIN_TRX_MANAGE, '/setstatus')) return;
+
+    const [ref, status, ...noteParts] = args;
+    if (!ref || !status) {
+      const statuses = Object.values(PAYMENT_STATUS).filter(s => s !== PAYMENT_STATUS.REFUNDED);
+      return await this._reply(chatId, this.messages.ADMIN_CMD_USAGE_SETSTATUS(statuses));
+    }
+
+    await this._run(chatId, ref, 'SetStatus', async () => {
+      const result = await this.adminService.setStatus(this._admin(chatId, message), ref, status, noteParts.join(' ') || null);
+      if (!result.success) return result;
+
+      const notice = this.notifier?.buildTransactionNotice(result.trx, result.newStatus)
+        || this.messages.TRX_NOTICE_STATUS_UPDATED(result.trx.merchantRef, this.adminRouter.statusLabel(result.newStatus));
+      await this._notifyCustomer(result.trx, notice);
+      await this._reply(chatId, this.messages.ADMIN_SETSTATUS_DONE(result.trx.merchantRef, result.oldStatus, result.newStatus), result.trx.merchantRef);
+      return result;
+    });
+  }
+
+  /**
+   * /refund <ref> [note]
+   */
+  async handleRefund(chatId, args, sender, message) {
+    if (!await this._authorize(chatId, PERMISSIONS.ADMIN_TRX_MANAGE, '/refund')) return;
+
+    const [ref, ...noteParts] = args;
+    if (!ref) return await this._reply(chatId, this.messages.ADMIN_CMD_USAGE_REFUND);
+
+    await this._run(chatId, ref, 'Refund', async () => {
+      const result = await this.adminService.refund(this._admin(chatId, message), ref, noteParts.join(' ') || null);
+      if (!result.success) {
+        // In-flight order finished meanwhile (e.g. delivered): the customer hears about it like from a callback
+        if (result.resolved) await this._notifyCustomer(result.trx, this.notifier?.buildTransactionNotice(result.trx, result.trx.status));
+        return result;
+      }
+
+      await this._notifyCustomer(result.trx, this.notifier?.buildTransactionNotice(result.trx, PAYMENT_STATUS.REFUNDED));
+      await this._reply(chatId, this.messages.ADMIN_REFUND_DONE(result.trx.merchantRef, result.oldStatus), result.trx.merchantRef);
+      return result;
+    });
+  }
+
+  /**
+   * Run an admin action and report domain errors back to the admin
+   * @private
+   */
+  async _run(chatId, ref, context, action) {
+    if (!this.adminService) {
+      logger.error('[AdminCommandHandler] AdminService not configured');
+      return await this._reply(chatId, this.messages.ERR_GENERIC || 'Terjadi kesalahan.');
+    }
+
+    try {
+      const result = await action();
+      if (!result.success) {
+        await this._reply(chatId, this._describeError(result), result.trx?.merchantRef);
+      }
+    } catch (error) {
+      await this.handleError(`Admin ${context} Error`, error, chatId, { input: ref });
+    }
+  }
+
+  /**
+   * @private
+   */
+  _describeError(result) {
+    const errors = this.messages.ADMIN_ACTION_ERRORS;
+    switch (result.error) {
+      case 'INVALID_STATUS': return errors.INVALID_STATUS(result.oldStatus);
+      case 'INVALID_TARGET': return errors.INVALID_TARGET(result.newStatus);
+      case 'UNCHANGED': return errors.UNCHANGED(result.oldStatus);
+      default: return errors[result.error] || this.messages.ERR_GENERIC;
+    }
+  }
+
+  /**
+   * @private
+   */
+  async _notifyCustomer(trx, text) {
+    if (!this.notifier || !text) return;
+    await this.notifier.updateTransactionBubble(trx, text, { parse_mode: 'Markdown' });
+  }
+
+}
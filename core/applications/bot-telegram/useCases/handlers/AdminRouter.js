@@ -0,0 +1,435 @@
+/**
+ * @file AdminRouter.js
+ * @description Routes admin panel callbacks (statistics, user management, transaction search)
+ * @responsibility Enforce admin-only access and render admin views in the single bubble UI
+ *
+ * @requires AdminService - Statistics, user list and transaction lookup
+ * @requires AuthPort - Admin permission check and ban/unban
+ * @requires Notifier - BotCore (customer notice after a transfer review)
+ * @requires UIPersistenceHelper - Single bubble UI experience
+ * @requires Logger - Logging service
+ *
+ * @architecture Hexagonal Architecture - Application Layer
+ * @pattern Router Pattern - Routes admin actions to appropriate views
+ *
+ * @example
+ * const adminRouter = new AdminRouter(deps, config);
+ * await adminRouter.route('users_page_2', chatId, messageId);
+ * // Shows second page of the user list (admins only)
+ *
+ * @admin_actions Supported actions (callback prefix "admin_"):
+ * - panel: Admin panel home
+ * - stats: Today's revenue/order counts + daily breakdown
+ * - users / users_page_{N}: Paginated user list
+ * - user_{TELEGRAM_ID}: User detail with ban/unban button
+ * - ban_{TELEGRAM_ID} / unban_{TELEGRAM_ID}: Ban management via AuthPort
+ * - search: Ask for a merchantRef (next text message is consumed by handleInput)
+ * - trx_{MERCHANT_REF}: Transaction detail (fulfillment job, live provider status, audit trail)
+ * - mtok_{MERCHANT_REF} / mtno_{MERCHANT_REF}: Approve / reject a manual transfer receipt
+ *   (buttons on the receipt forwarded to the admin chat)
+ *
+ * @security
+ * - Every action re-checks PERMISSIONS.ADMIN_ACCESS (role 'admin' in DB)
+ * - Admins cannot be banned from the panel
+ * - Ban/unban is written to the admin audit trail
+ * - Transfer approval/rejection requires PERMISSIONS.ADMIN_TRX_MANAGE and is audited
+ *
+ * @related
+ * - CallbackRouter.js - Routes admin callbacks here
+ * - AdminService.js - Admin queries, manual actions and audit trail
+ * - AdminCommandHandler.js - /trx, /refulfill, /setstatus, /refund
+ * - ManualTransferHandler.js - Forwards transfer receipts with the review buttons
+ * - AuthorizationGuard.js - Admin permission gating
+ */
+import logger from '../../../../shared/services/Logger.js';
+import { BaseHandler } from './BaseHandler.js';
+import { RouterResponse } from './RouterResponse.js';
+import { PARSING } from './HandlerConstants.js';
+import { PERMISSIONS } from '../../security/authz/permissions.js';
+import { ADMIN, ADMIN_ACTION } from '../../../../shared/config/constants.js';
+import { Sanitizer } from '../../../../shared/utils/Sanitizer.js';
+
+export class AdminRouter extends BaseHandler {
+  /**
+   * Constructor for AdminRouter
+   *
+   * @param {Object} deps - Dependency injection object
+   * @param {Object} deps.adminService - Admin read models
+   * @param {Object} deps.authPort - Authorization service (admin check, ban/unban)
+   * @param {Object} [deps.notifier] - Customer notification (BotCore)
+   * @param {Object} config - Configuration object
+   * @extends BaseHandler
+   */
+  constructor(deps, config) {
+    super(deps, config);
+
+    this.adminService = deps.adminService;
+    this.authPort = deps.authPort;
+    this.notifier = deps.notifier || null;
+
+    // Admins waiting to type a merchantRef: chatId -> expiresAt
+    this._pendingSearch = new Map();
+  }
+
+  /**
+   * Route admin callbacks
+   *
+   * @param {string} action - Admin action (e.g., 'stats', 'users_page_2', 'ban_123')
+   * @param {string} chatId - Telegram chat identifier
+   * @param {number} [messageId=null] - Message ID for editing
+   * @param {string} [senderName='Admin'] - Admin display name (audit trail)
+   * @returns {Promise<RouterResponse>} Router response
+   */
+  async route(action, chatId, messageId = null, senderName = 'Admin') {
+    if (!await this.isAdmin(chatId)) {
+      logger.warn(`[AdminRouter] ⛔ Non-admin tried admin action: ${action} | ChatId: ${chatId}`);
+      return RouterResponse.toast(this.messages.ADMIN_DENIED);
+    }
+
+    if (!this.adminService) {
+      logger.error('[AdminRouter] AdminService not configured');
+      return RouterResponse.toast(this.messages.ERR_GENERIC || 'Terjadi kesalahan.');
+    }
+
+    try {
+      if (action.startsWith('users_page_')) {
+        const page = parseInt(action.replace('users_page_', ''), PARSING.DECIMAL_RADIX);
+        return await this.showUsers(chatId, isNaN(page) ? 1 : page);
+      }
+      if (action.startsWith('user_')) {
+        return await this.showUserDetail(chatId, action.replace('user_', ''));
+      }
+      if (action.startsWith('ban_')) {
+        return await this.setBanned({ id: chatId, name: senderName }, action.replace('ban_', ''), true);
+      }
+      if (action.startsWith('unban_')) {
+        return await this.setBanned({ id: chatId, name: senderName }, action.replace('unban_', ''), false);
+      }
+      if (action.startsWith('trx_')) {
+        return await this.showTransaction(chatId, action.replace('trx_', ''));
+      }
+      if (action.startsWith('mtok_')) {
+        return await this.reviewTransfer({ id: String(chatId), name: senderName }, action.replace('mtok_', ''), true, messageId);
+      }
+      if (action.startsWith('mtno_')) {
+        return await this.reviewTransfer({ id: String(chatId), name: senderName }, action.replace('mtno_', ''), false, messageId);
+      }
+
+      switch (action) {
+        case 'stats':
+          return await this.showStats(chatId);
+
+        case 'users':
+          return await this.showUsers(chatId, 1);
+
+        case 'search':
+          return await this.promptSearch(chatId);
+
+        case 'panel':
+        default:
+          return await this.showPanel(chatId);
+      }
+    } catch (error) {
+      await this.handleError('Admin Route Error', error, chatId, { action });
+      return RouterResponse.toast();
+    }
+  }
+
+  /**
+   * Check admin permission for a chat
+   * @param {string} chatId - Telegram chat identifier
+   * @param {string} [permission=PERMISSIONS.ADMIN_ACCESS] - Admin permission to check
+   * @returns {Promise<boolean>}
+   */
+  async isAdmin(chatId, permission = PERMISSIONS.ADMIN_ACCESS) {
+    if (!this.authPort) return false;
+    return await this.authPort.can({ id: chatId, chatId }, permission);
+  }
+
+  /**
+   * Show admin panel home
+   * @param {string} chatId - Telegram chat identifier
+   * @returns {Promise<RouterResponse>}
+   */
+  async showPanel(chatId) {
+    this._pendingSearch.delete(String(chatId));
+
+    await this.ui.sendOrEdit(chatId, this.messages.ADMIN_PANEL, {
+      reply_markup: {
+        inline_keyboard: [
+          [{ text: this.messages.BUTTON_ADMIN_STATS, callback_data: 'admin_stats' }],
+          [{ text: this.messages.BUTTON_ADMIN_USERS, callback_data: 'admin_users' }],
+          [{ text: this.messages.BUTTON_ADMIN_SEARCH, callback_data: 'admin_search' }],
+          [{ text: this.messages.BUTTON_BACK, callback_data: 'menu_main' }]
+        ]
+      }
+    });
+    return RouterResponse.handled('admin_panel');
+  }
+
+  /**
+   * Show revenue and order statistics
+   * @param {string} chatId - Telegram chat identifier
+   * @returns {Promise<RouterResponse>}
+   */
+  async showStats(chatId) {
+    const stats = await this.adminService.getDailyStats();
+    const { today } = stats;
+
+    let msg = this.messages.ADMIN_STATS_TITLE;
+    msg += this.messages.ADMIN_STATS_TODAY(today.revenue, today.paidOrders, today.orders);
+    for (const [status, count] of Object.entries(today.byStatus)) {
+      msg += this.messages.ADMIN_STATS_STATUS_LINE(status, count);
+    }
+
+    msg += this.messages.ADMIN_STATS_DAILY_HEADER(stats.days.length);
+    for (const day of stats.days) {
+      const date = day.date.toLocaleDateString('id-ID', { day: '2-digit', month: '2-digit', timeZone: 'Asia/Jakarta' });
+      msg += this.messages.ADMIN_STATS_DAILY_LINE(date, day.revenue, day.paidOrders);
+    }
+
+    msg += this.messages.ADMIN_STATS_USERS(stats.users.total, stats.users.banned);
+
+    await this.ui.sendOrEdit(chatId, msg, {
+      reply_markup: {
+        inline_keyboard: [
+          [{ text: this.messages.BUTTON_ADMIN_REFRESH, callback_data: 'admin_stats' }],
+          [{ text: this.messages.BUTTON_BACK, callback_data: 'admin_panel' }]
+        ]
+      }
+    });
+    return RouterResponse.handled('admin_stats');
+  }
+
+  /**
+   * Show paginated user list
+   * @param {string} chatId - Telegram chat identifier
+   * @param {number} page - 1-based page
+   * @returns {Promise<RouterResponse>}
+   */
+  async showUsers(chatId, page = 1) {
+    const result = await this.adminService.listUsers(page);
+
+    let msg = this.messages.ADMIN_USERS_TITLE(result.page, result.totalPages, result.total);
+    msg += this.messages.ADMIN_USERS_HINT;
+
+    const keyboard = result.users.map(user => ([{
+      text: `${user.isBanned ? '⛔' : (user.role === 'admin' ? '🔐' : '👤')} ${user.getDisplayName()}`,
+      callback_data: `admin_user_${user.telegramId}`
+    }]));
+
+    const nav = [];
+    if (result.page > 1) nav.push({ text: this.messages.BUTTON_PREV, callback_data: `admin_users_page_${result.page - 1}` });
+    if (result.page < result.totalPages) nav.push({ text: this.messages.BUTTON_NEXT, callback_data: `admin_users_page_${result.page + 1}` });
+    if (nav.length > 0) keyboard.push(nav);
+
+    keyboard.push([{ text: this.messages.BUTTON_BACK, callback_data: 'admin_panel' }]);
+
+    await this.ui.sendOrEdit(chatId, msg, { reply_markup: { inline_keyboard: keyboard } });
+    return RouterResponse.handled('admin_users', { page: result.page });
+  }
+
+  /**
+   * Show user detail with recent transactions
+   * @param {string} chatId - Telegram chat identifier
+   * @param {string} telegramId - Target user's Telegram ID
+   * @returns {Promise<RouterResponse>}
+   */
+  async showUserDetail(chatId, telegramId) {
+    const detail = await this.adminService.getUserDetail(telegramId);
+    if (!detail) return RouterResponse.toast(this.messages.ADMIN_USER_NOT_FOUND);
+
+    const { user, transactions } = detail;
+    let msg = this.messages.ADMIN_USER_DETAIL(user);
+
+    if (transactions.length > 0) {
+      msg += this.messages.ADMIN_USER_TRX_HEADER;
+      transactions.forEach(trx => {
+        msg += this.messages.ADMIN_USER_TRX_LINE(trx.merchantRef, trx.status, Number(trx.amount));
+      });
+    } else {
+      msg += this.messages.ADMIN_USER_NO_TRX;
+    }
+
+    const keyboard = transactions.map(trx => ([{
+      text: `🧾 ${trx.merchantRef}`,
+      callback_data: `admin_trx_${trx.merchantRef}`
+    }]));
+
+    if (user.role !== 'admin') {
+      keyboard.push([user.isBanned
+        ? { text: this.messages.BUTTON_ADMIN_UNBAN, callback_data: `admin_unban_${user.telegramId}` }
+        : { text: this.messages.BUTTON_ADMIN_BAN, callback_data: `admin_ban_${user.telegramId}` }
+      ]);
+    }
+    keyboard.push([{ text: this.messages.BUTTON_BACK, callback_data: 'admin_users' }]);
+
+    await this.ui.sendOrEdit(chatId, msg, { reply_markup: { inline_keyboard: keyboard } });
+    return RouterResponse.handled('admin_user');
+  }
+
+  /**
+   * Ban or unban a user via AuthPort
+   * @param {Object} admin - Acting admin { id, name }
+   * @param {string} telegramId - Target user's Telegram ID
+   * @param {boolean} banned - true = ban, false = unban
+   * @returns {Promise<RouterResponse>}
+   */
+  async setBanned(admin, telegramId, banned) {
+    const detail = await this.adminService.getUserDetail(telegramId);
+    if (!detail) return RouterResponse.toast(this.messages.ADMIN_USER_NOT_FOUND);
+    if (detail.user.role === 'admin') return RouterResponse.toast(this.messages.ADMIN_CANNOT_BAN_ADMIN);
+
+    if (banned) {
+      await this.authPort.banUser(telegramId);
+    } else {
+      await this.authPort.unbanUser(telegramId);
+    }
+    await this.adminService.recordAction(admin, {
+      action: banned ? ADMIN_ACTION.BAN : ADMIN_ACTION.UNBAN,
+      targetUser: telegramId
+    });
+
+    await this.showUserDetail(admin.id, telegramId);
+    return RouterResponse.toast(banned ? this.messages.ADMIN_USER_BANNED : this.messages.ADMIN_USER_UNBANNED);
+  }
+
+  /**
+   * Approve or reject a manual transfer from the forwarded receipt
+   * Approval marks the order PAID and queues the normal fulfillment.
+   * @param {Object} admin - Acting admin { id, name }
+   * @param {string} merchantRef - Transaction reference
+   * @param {boolean} approved - true = approve, false = reject
+   * @param {number} [messageId=null] - Receipt message (caption is replaced with the outcome)
+   * @returns {Promise<RouterResponse>}
+   */
+  async reviewTransfer(admin, merchantRef, approved, messageId = null) {
+    if (!await this.isAdmin(admin.id, PERMISSIONS.ADMIN_TRX_MANAGE)) {
+      return RouterResponse.toast(this.messages.ADMIN_DENIED);
+    }
+
+    const result = approved
+      ? await this.adminService.approveTransfer(admin, merchantRef)
+      : await this.adminService.rejectTransfer(admin, merchantRef);
+
+    if (!result.success) {
+      return RouterResponse.toast(this.messages.ADMIN_TRANSFER_REVIEW_FAILED(result.error, result.oldStatus));
+    }
+
+    const notice = approved
+      ? this.notifier?.buildTransactionNotice(result.trx, result.newStatus)
+      : this.messages.TRX_NOTICE_TRANSFER_REJECTED(Sanitizer.escapeMarkdown(result.trx.item || '-'), merchantRef);
+    if (this.notifier && notice) {
+      await this.notifier.updateTransactionBubble(result.trx, notice, { parse_mode: 'Markdown' });
+    }
+
+    if (messageId) {
+      try {
+        await this.sendPort.editMessageCaption(admin.id, messageId, this.messages.ADMIN_TRANSFER_REVIEWED(result.trx, approved, admin.name), {
+          parse_mode: 'Markdown',
+          reply_markup: {
+            inline_keyboard: [[{ text: this.messages.BUTTON_ADMIN_VIEW_TRX, callback_data: `admin_trx_${merchantRef}` }]]
+          }
+        });
+      } catch (error) {
+        this.logError('Transfer Receipt Update', error, { chatId: admin.id, input: merchantRef });
+      }
+    }
+
+    return RouterResponse.toast(approved ? this.messages.ADMIN_TRANSFER_APPROVED_TOAST : this.messages.ADMIN_TRANSFER_REJECTED_TOAST);
+  }
+
+  /**
+   * Ask admin to type a merchantRef
+   * @param {string} chatId - Telegram chat identifier
+   * @returns {Promise<RouterResponse>}
+   */
+  async promptSearch(chatId) {
+    this._pendingSearch.set(String(chatId), Date.now() + ADMIN.INPUT_TTL_MS);
+
+    await this.ui.sendOrEdit(chatId, this.messages.ADMIN_SEARCH_PROMPT, {
+      reply_markup: {
+        inline_keyboard: [[{ text: this.messages.BUTTON_BACK, callback_data: 'admin_panel' }]]
+      }
+    });
+    return RouterResponse.handled('admin_search');
+  }
+
+  /**
+   * Consume a text message while a search prompt is open
+   * @param {string} chatId - Telegram chat identifier
+   * @param {string} text - Message text
+   * @returns {Promise<boolean>} true if the message was handled
+   */
+  async handleInput(chatId, text) {
+    const key = String(chatId);
+    const expiresAt = this._pendingSearch.get(key);
+    if (!expiresAt) return false;
+
+    this._pendingSearch.delete(key);
+    if (expiresAt < Date.now() || !text || text.startsWith('/')) return false;
+    if (!await this.isAdmin(chatId)) return false;
+
+    try {
+      await this.showTransaction(chatId, text.trim());
+    } catch (error) {
+      await this.handleError('Admin Search Error', error, chatId, { input: text });
+    }
+    return true;
+  }
+
+  /**
+   * Show transaction detail with fulfillment job, provider status and audit trail
+   * @param {string} chatId - Telegram chat identifier
+   * @param {string} merchantRef - Transaction reference
+   * @returns {Promise<RouterResponse>}
+   */
+  async showTransaction(chatId, merchantRef) {
+    const detail = await this.adminService.inspectTransaction(merchantRef);
+    const backRow = [
+      { text: this.messages.BUTTON_ADMIN_SEARCH, callback_data: 'admin_search' },
+      { text: this.messages.BUTTON_BACK, callback_data: 'admin_panel' }
+    ];
+
+    if (!detail) {
+      await this.ui.sendOrEdit(chatId, this.messages.ADMIN_TRX_NOT_FOUND(merchantRef), {
+        reply_markup: { inline_keyboard: [backRow] }
+      });
+      return RouterResponse.handled('admin_trx_not_found');
+    }
+
+    const { trx, job, provider, audit } = detail;
+    let msg = this.messages.ADMIN_TRX_DETAIL(trx, this.statusLabel(trx.status));
+
+    if (job) msg += this.messages.ADMIN_TRX_JOB(job.status, job.attempts, job.maxAttempts, job.lastError);
+    if (provider) msg += this.messages.ADMIN_TRX_PROVIDER(provider.status, provider.message);
+
+    if (audit.length > 0) {
+      msg += this.messages.ADMIN_TRX_AUDIT_HEADER;
+      audit.forEach(entry => {
+        const date = new Date(entry.createdAt).toLocaleString('id-ID', { timeZone: 'Asia/Jakarta' });
+        msg += this.messages.ADMIN_TRX_AUDIT_LINE(date, entry.action, entry.adminName || entry.adminId, entry.fromStatus, entry.toStatus, entry.note);
+      });
+    }
+
+    await this.ui.sendOrEdit(chatId, msg, {
+      reply_markup: {
+        inline_keyboard: [
+          [{ text: this.messages.BUTTON_ADMIN_REFRESH, callback_data: `admin_trx_${trx.merchantRef}` }],
+          backRow
+        ]
+      }
+    });
+    return RouterResponse.handled('admin_trx');
+  }
+
+  /**
+   * Human readable transaction status
+   * @param {string} status - Internal status
+   * @returns {string}
+   */
+  statusLabel(status) {
+    const statusMap = { 'UNPAID': this.messages.STATUS_WAITING, 'PAID': this.messages.STATUS_SUCCESS, 'FAILED': this.messages.STATUS_FAILED, 'EXPIRED': this.messages.STATUS_EXPIRED, 'PROCESSING': this.messages.STATUS_PROCESSING, 'DELIVERED': this.messages.STATUS_DELIVERED, 'DELIVERY_FAILED': this.messages.STATUS_DELIVERY_FAILED, 'REFUNDED': this.messages.STATUS_REFUNDED };
+    return statusMap[status] || status;
+  }
+}
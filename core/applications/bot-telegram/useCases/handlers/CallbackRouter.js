@@ -3,6 +3,14 @@ import { ActionRouter } from './ActionRouter.js';
 import logger from '../../../../shared/services/Logger.js';
 import { GuideRouter } from './GuideRouter.js';
 import { PaymentChannelHandler } from './PaymentChannelHandler.js';
+import { AdminRouter } from './AdminRouter.js';
+import { WalletRouter } from './WalletRouter.js';
+import { GameAccountRouter } from './GameAccountRouter.js';
+import { MembershipRouter } from './MembershipRouter.js';
+import { PromoRouter } from './PromoRouter.js';
+import { ReferralRouter } from './ReferralRouter.js';
+import { LoyaltyRouter } from './LoyaltyRouter.js';
+import { ReminderRouter } from './ReminderRouter.js';
 import { PERMISSIONS } from '../../security/authz/permissions.js';
 import { RouterResponse } from './RouterResponse.js';
 import { PARSING, COOLDOWNS, PAGINATION } from './HandlerConstants.js';
@@ -21,6 +29,13 @@ const _cooldownMap = new Map();
  * @requires GuideRouter - Handles payment guide display
  * @requires PaymentChannelHandler - Handles payment channel selection
  * @requires GameSelectionHandler - Handles game and product selection
+ * @requires AdminRouter - Handles admin panel callbacks (admin role only)
+ * @requires WalletRouter - Handles wallet balance and deposit callbacks
+ * @requires MembershipRouter - Handles membership tier and upgrade callbacks
+ * @requires PromoRouter - Handles promo code entry on the order review
+ * @requires ReferralRouter - Handles the invite link and referral stats
+ * @requires LoyaltyRouter - Handles the profile screen and loyalty points on the order review
+ * @requires ReminderRouter - Handles reminder settings and opt-out
  * @requires AuthPort - Authorization service for permission checks
  * @requires SendPort - Telegram bot messaging interface
  * @requires SessionService - User session state management
@@ -44,6 +59,13 @@ const _cooldownMap = new Map();
  * - home/start: Navigate to main menu
  * - delete: Delete message (delete_msg)
  * - status: Status indicators (status_empty)
+ * - admin: Admin panel (e.g., admin_stats, admin_users_page_2, admin_ban_123, admin_mtok_REF)
+ * - wallet: Wallet balance and deposit (e.g., wallet_home, wallet_amt_50000, wallet_dep_50000_QRIS)
+ * - member: Membership tiers and upgrades (e.g., member_home, member_up_VIP, member_pay_VIP_SALDO)
+ * - promo: Promo code on the order review (promo_enter, promo_remove, promo_back)
+ * - ref: Invite link and referral stats (ref_home)
+ * - points: Profile with loyalty points, points on the order review (points_home, points_use, points_remove)
+ * - remind: Reminder settings and opt-out (remind_home, remind_set_on, remind_set_off, remind_off)
  * 
  * @security
  * - Global ban check via authPort.can(PERMISSIONS.ACCESS_BOT)
@@ -55,6 +77,14 @@ const _cooldownMap = new Map();
  * - ActionRouter.js - Payment action logic
  * - GuideRouter.js - Payment guide display
  * - PaymentChannelHandler.js - Channel selection
+ * - AdminRouter.js - Admin panel
+ * - WalletRouter.js - Wallet balance and deposit
+ * - GameAccountRouter.js - Saved player IDs
+ * - MembershipRouter.js - Membership tiers and upgrades
+ * - PromoRouter.js - Promo codes at checkout
+ * - ReferralRouter.js - Referral program
+ * - LoyaltyRouter.js - Profile and loyalty points
+ * - ReminderRouter.js - Reminder settings
  */
 
 /**
@@ -75,8 +105,11 @@ export class CallbackRouter {
    * @param {Object} config - Configuration object with messages
    * @param {Object} [ui=null] - Pre-initialized UI helper
    * @param {Object} [authPort=null] - Authorization service
+   * @param {Object} [adminService=null] - Admin panel read models
+   * @param {Object} [notifier=null] - Customer notifications for admin actions (BotCore)
+   * @param {Object} [reminderService=null] - Reminder opt-out
    */
-  constructor(menuHandler, paymentHandler, gameSelectionHandler, sendPort, sessionService = null, config, ui = null, authPort = null) {
+  constructor(menuHandler, paymentHandler, gameSelectionHandler, sendPort, sessionService = null, config, ui = null, authPort = null, adminService = null, notifier = null, reminderService = null) {
     // Validate critical dependencies (fail-fast)
     const required = { menuHandler, sendPort, gameSelectionHandler, config };
     for (const [name, dep] of Object.entries(required)) {
@@ -95,8 +128,12 @@ export class CallbackRouter {
       gameSelectionHandler,
       sessionService,
       paymentService: paymentHandler?.paymentService,
+      gameService: gameSelectionHandler?.gameService,
       ui, // Shared UI Helper
-      authPort // Security Port
+      authPort, // Security Port
+      adminService,
+      notifier,
+      reminderService
     };
 
     // Initialize specialized routers with config injection
@@ -104,6 +141,14 @@ export class CallbackRouter {
     this.actionRouter = new ActionRouter(deps, config);
     this.guideRouter = new GuideRouter(deps, config);
     this.channelHandler = new PaymentChannelHandler(deps, config);
+    this.adminRouter = new AdminRouter(deps, config);
+    this.walletRouter = new WalletRouter({ ...deps, channelHandler: this.channelHandler }, config);
+    this.gameAccountRouter = new GameAccountRouter(deps, config);
+    this.membershipRouter = new MembershipRouter({ ...deps, channelHandler: this.channelHandler }, config);
+    this.promoRouter = new PromoRouter({ ...deps, actionRouter: this.actionRouter }, config);
+    this.referralRouter = new ReferralRouter(deps, config);
+    this.loyaltyRouter = new LoyaltyRouter({ ...deps, actionRouter: this.actionRouter }, config);
+    this.reminderRouter = new ReminderRouter(deps, config);
 
     // Store for direct access if needed
     this.sendPort = sendPort;
@@ -171,6 +216,9 @@ export class CallbackRouter {
             logger.info(`[CallbackRouter] Delegating to PaymentChannel. Mode: ${result.mode}`);
             await this.displayPaymentChannels(result.chatId, result.messageId, result.mode || 'payment');
           }
+          if (result && result.delegateTo === 'admin') {
+            return await this.adminRouter.route('panel', chatId, messageId);
+          }
           return result;
 
         case 'action':
@@ -223,6 +271,31 @@ export class CallbackRouter {
           }
           return RouterResponse.toast();
 
+        case 'admin':
+          // Admin permission is enforced inside AdminRouter
+          return await this.adminRouter.route(action, chatId, messageId, senderName);
+
+        case 'wallet':
+          return await this.walletRouter.route(action, chatId, messageId);
+
+        case 'acc':
+          return await this.gameAccountRouter.route(action, chatId, messageId);
+
+        case 'member':
+          return await this.membershipRouter.route(action, chatId, messageId);
+
+        case 'promo':
+          return await this.promoRouter.route(action, chatId, messageId);
+
+        case 'ref':
+          return await this.referralRouter.route(action, chatId, messageId);
+
+        case 'points':
+          return await this.loyaltyRouter.route(action, chatId, messageId);
+
+        case 'remind':
+          return await this.reminderRouter.route(action, chatId, messageId);
+
         default:
           logger.warn(`[CallbackRouter] Unknown prefix: ${prefix} | ChatId: ${chatId}`);
           await this.ui.sendOrEdit(chatId, this.messages.ERR_ACTION_UNKNOWN);
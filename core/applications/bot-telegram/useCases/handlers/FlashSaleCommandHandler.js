@@ -0,0 +1,175 @@
+/**
+ * @file FlashSaleCommandHandler.js
+ * @description Admin text command for flash sales
+ * @responsibility Parse /flash, run it through AdminService and reply to the admin
+ *
+ * @requires AdminService - Flash sales (via FlashSaleService) + audit trail
+ * @requires GameService - Product lookup for /flash set
+ * @requires Logger - Logging service
+ *
+ * @architecture Hexagonal Architecture - Application Layer
+ * @pattern Command Pattern - One method per bot command
+ *
+ * @example
+ * const flashCommands = new FlashSaleCommandHandler(deps, config);
+ * await flashCommands.handleFlash(chatId, ['set', 'ML86', '15000', '19:00', '21:00', '50'], sender, message);
+ * // Schedules ML86 at 15000 from 19:00 to 21:00 WIB today, 50 units
+ *
+ * @commands Supported commands (admin role only, silently ignored for others):
+ * - /flash [set|on|off|del ...]: List and schedule flash sales
+ *
+ * @related
+ * - AdminCommandBase.js - Permission check and admin reply
+ * - FlashSaleService.js - Sale windows, quota and price override
+ */
+import logger from '../../../../shared/services/Logger.js';
+import { AdminCommandBase } from './AdminCommandBase.js';
+import { PERMISSIONS } from '../../security/authz/permissions.js';
+import { ADMIN } from '../../../../shared/config/constants.js';
+
+// Flash sale times in WIB: "2026-11-01T19:00" or "19:00"
+const SALE_TIME_PATTERN = /^(?:(\d{4}-\d{2}-\d{2})T)?(\d{2}):(\d{2})$/;
+
+export class FlashSaleCommandHandler extends AdminCommandBase {
+  /**
+   * Constructor for FlashSaleCommandHandler
+   *
+   * @param {Object} deps - Dependency injection object (admin deps: see AdminCommandBase)
+   * @param {Object} deps.gameService - Product lookup (/flash set)
+   * @param {Object} config - Configuration object
+   * @extends AdminCommandBase
+   */
+  constructor(deps, config) {
+    super(deps, config);
+
+    this.gameService = deps.gameService;
+  }
+
+  /**
+   * /flash                                          → running and upcoming sales
+   * /flash set <SERVICE> <price> <start> <end> [quota]
+   * /flash on|off <id>
+   * /flash del <id>
+   */
+  async handleFlash(chatId, args, sender, message) {
+    if (!await this._authorize(chatId, PERMISSIONS.ADMIN_FLASH_SALE_MANAGE, '/flash')) return;
+    if (!this.adminService?.flashSaleService) {
+      logger.error('[FlashSaleCommandHandler] FlashSaleService not configured');
+      return await this._reply(chatId, this.messages.ERR_GENERIC || 'Terjadi kesalahan.');
+    }
+
+    const [subcommand, ...rest] = args;
+
+    try {
+      switch ((subcommand || 'list').toLowerCase()) {
+        case 'list':
+          return await this._listFlashSales(chatId);
+        case 'set':
+          return await this._setFlashSale(chatId, rest, message);
+        case 'on':
+        case 'off':
+          return await this._toggleFlashSale(chatId, rest[0], subcommand.toLowerCase() === 'on', message);
+        case 'del':
+          return await this._deleteFlashSale(chatId, rest[0], message);
+        default:
+          return await this._reply(chatId, this.messages.ADMIN_CMD_USAGE_FLASH);
+      }
+    } catch (error) {
+      await this.handleError('Admin Flash Sale Error', error, chatId, { input: args.join(' ') });
+    }
+  }
+
+  /**
+   * @private
+   */
+  async _listFlashSales(chatId) {
+    const sales = await this.adminService.listFlashSales();
+    const flashSales = this.adminService.flashSaleService;
+
+    let text = this.messages.ADMIN_FLASH_TITLE;
+    text += sales.length > 0
+      ? sales.map(sale => this.messages.ADMIN_FLASH_LINE(sale, flashSales.shortId(sale))).join('')
+      : this.messages.ADMIN_FLASH_EMPTY;
+    text += `\n${this.messages.ADMIN_CMD_USAGE_FLASH}`;
+
+    await this._reply(chatId, text);
+  }
+
+  /**
+   * @private
+   */
+  async _setFlashSale(chatId, tokens, message) {
+    const [serviceCode, rawPrice, rawStart, rawEnd, rawQuota] = tokens;
+    const startsAt = this._parseSaleTime(rawStart);
+    const endsAt = startsAt ? this._parseSaleTime(rawEnd, startsAt) : null;
+    if (!serviceCode || !/^\d+$/.test(rawPrice || '') || !endsAt || !this.gameService) {
+      return await this._reply(chatId, this.messages.ADMIN_CMD_USAGE_FLASH);
+    }
+
+    const service = await this.gameService.findServiceByCode(serviceCode);
+    if (!service) return await this._reply(chatId, this.messages.ERR_PRODUCT_NOT_FOUND(serviceCode));
+
+    // A sale running right now already lowered service.price
+    const regularPrice = service.flashSale?.regularPrice ?? service.price;
+    const sale = { serviceCode: service.code, price: BigInt(rawPrice), quota: rawQuota ? Number(rawQuota) : null, startsAt, endsAt };
+
+    const result = await this.adminService.createFlashSale(this._admin(chatId, message), sale, regularPrice);
+    if (!result.success) return await this._reply(chatId, this._describeFlashError(result.error));
+
+    const shortId = this.adminService.flashSaleService.shortId(result.sale);
+    await this._reply(chatId, this.messages.ADMIN_FLASH_SAVED(result.sale, shortId, { ...service, regularPrice }));
+  }
+
+  /**
+   * @private
+   */
+  async _toggleFlashSale(chatId, shortId, isActive, message) {
+    if (!shortId) return await this._reply(chatId, this.messages.ADMIN_CMD_USAGE_FLASH);
+
+    const result = await this.adminService.setFlashSaleActive(this._admin(chatId, message), shortId, isActive);
+    if (!result.success) return await this._reply(chatId, this._describeFlashError(result.error));
+
+    await this._reply(chatId, this.messages.ADMIN_FLASH_TOGGLED(this.adminService.flashSaleService.shortId(result.sale), isActive));
+  }
+
+  /**
+   * @private
+   */
+  async _deleteFlashSale(chatId, shortId, message) {
+    if (!shortId) return await this._reply(chatId, this.messages.ADMIN_CMD_USAGE_FLASH);
+
+    const result = await this.adminService.deleteFlashSale(this._admin(chatId, message), shortId);
+    if (!result.success) return await this._reply(chatId, this._describeFlashError(result.error));
+
+    await this._reply(chatId, this.messages.ADMIN_FLASH_DELETED(shortId.toLowerCase()));
+  }
+
+  /**
+   * "YYYY-MM-DDTHH:mm" or "HH:mm" in WIB; a bare time is on the day of `after`
+   * (today without it) and moves to the next day if it is not after `after`
+   * @private
+   * @returns {Date|null}
+   */
+  _parseSaleTime(value, after = null) {
+    const match = SALE_TIME_PATTERN.exec(value || '');
+    if (!match) return null;
+
+    const [, date, hour, minute] = match;
+    if (Number(hour) > 23 || Number(minute) > 59) return null;
+
+    const reference = after || new Date();
+    const day = date || new Date(reference.getTime() + ADMIN.TIMEZONE_OFFSET_MS).toISOString().slice(0, 10);
+    let time = new Date(`${day}T${hour}:${minute}:00Z`).getTime() - ADMIN.TIMEZONE_OFFSET_MS;
+    if (Number.isNaN(time)) return null;
+
+    if (!date && after && time <= after.getTime()) time += 24 * 60 * 60 * 1000;
+    return new Date(time);
+  }
+
+  /**
+   * @private
+   */
+  _describeFlashError(error) {
+    return this.messages.ADMIN_FLASH_ERRORS[error] || this.messages.ERR_GENERIC;
+  }
+}
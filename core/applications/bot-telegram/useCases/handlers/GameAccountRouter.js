@@ -0,0 +1,166 @@
+/**
+ * @file GameAccountRouter.js
+ * @description Routes saved game account callbacks (quick re-use and management)
+ * @responsibility Fill the pending order from a saved player ID, list and delete saved IDs
+ *
+ * @requires GameService - Saved game accounts (GameAccount)
+ * @requires SessionService - Pending order state
+ * @requires UIPersistenceHelper - Single bubble UI experience
+ * @requires Logger - Logging service
+ *
+ * @architecture Hexagonal Architecture - Application Layer
+ * @pattern Router Pattern - Routes account actions to appropriate views
+ *
+ * @example
+ * const accountRouter = new GameAccountRouter(deps, config);
+ * await accountRouter.route('use_3f2a...', chatId, messageId);
+ * // Shows the player ID confirmation for the pending order
+ *
+ * @account_actions Supported actions (callback prefix "acc_"):
+ * - use_{ID}: Use a saved player ID for the pending order
+ * - list: Show saved player IDs with delete buttons
+ * - del_{ID}: Delete a saved player ID
+ *
+ * @security
+ * - Accounts are always looked up by owner chat ID + account ID
+ * - A saved ID is only applied to a pending order of the same game
+ *
+ * @related
+ * - CallbackRouter.js - Routes acc callbacks here
+ * - GameSelectionHandler.js - Offers saved IDs after product selection
+ * - SessionInputHandler.js - Saves IDs after a successful nickname check
+ */
+import { BaseHandler } from './BaseHandler.js';
+import { RouterResponse } from './RouterResponse.js';
+import { GAME_ACCOUNT } from '../../../../shared/config/constants.js';
+
+export class GameAccountRouter extends BaseHandler {
+  /**
+   * Constructor for GameAccountRouter
+   *
+   * @param {Object} deps - Dependency injection object
+   * @param {Object} deps.gameService - Game data access (saved accounts)
+   * @param {Object} deps.sessionService - Session management
+   * @param {Object} config - Configuration object
+   * @extends BaseHandler
+   */
+  constructor(deps, config) {
+    super(deps, config);
+
+    this.gameService = deps.gameService;
+    this.sessionService = deps.sessionService;
+
+    this.validateDependencies({
+      gameService: this.gameService,
+      sessionService: this.sessionService
+    });
+  }
+
+  /**
+   * Route saved account callbacks
+   *
+   * @param {string} action - Account action (e.g., 'list', 'use_{ID}', 'del_{ID}')
+   * @param {string} chatId - Telegram chat identifier
+   * @param {number} [messageId=null] - Message ID for editing
+   * @returns {Promise<RouterResponse>} Router response
+   */
+  async route(action, chatId, messageId = null) {
+    try {
+      if (action.startsWith('use_')) {
+        return await this.useAccount(chatId, action.replace('use_', ''));
+      }
+      if (action.startsWith('del_')) {
+        return await this.deleteAccount(chatId, action.replace('del_', ''));
+      }
+
+      return await this.showAccounts(chatId);
+    } catch (error) {
+      await this.handleError('Game Account Route Error', error, chatId, { action });
+      return RouterResponse.toast();
+    }
+  }
+
+  /**
+   * Apply a saved player ID to the pending order and ask for confirmation
+   * @param {string} chatId - Telegram chat identifier
+   * @param {string} accountId - GameAccount ID
+   * @returns {Promise<RouterResponse>}
+   */
+  async useAccount(chatId, accountId) {
+    const pending = await this.sessionService.getPendingOrder(chatId);
+    if (!pending || !pending.game) {
+      await this.ui.sendOrEdit(chatId, this.messages.ERR_SESSION_EXPIRED);
+      return RouterResponse.toast();
+    }
+
+    const account = await this.gameService.findSavedAccount(String(chatId), accountId);
+    if (!account || account.gameCode !== pending.game) {
+      return RouterResponse.toast(this.messages.GAME_ACCOUNT_NOT_FOUND);
+    }
+
+    await this.sessionService.savePendingOrder(chatId, {
+      ...pending,
+      gamePlayerId: account.playerId,
+      zoneId: account.zoneId || null,
+      nickname: account.nickname || null
+    });
+
+    const keyboard = {
+      inline_keyboard: [
+        [{ text: this.messages.BUTTON_CONFIRM_YES, callback_data: 'action_confirm_id' }],
+        [{ text: this.messages.BUTTON_CONFIRM_NO, callback_data: 'action_cancel' }]
+      ]
+    };
+    await this.ui.sendOrEdit(chatId, this.messages.CONFIRM_PLAYER_ID(account.playerId, account.zoneId, account.nickname), {
+      reply_markup: keyboard,
+      parse_mode: 'Markdown'
+    });
+
+    this.logSuccess('Saved Account Used', { chatId, game: account.gameCode, playerId: account.playerId });
+    return RouterResponse.handled('confirm_id');
+  }
+
+  /**
+   * List saved player IDs with delete buttons
+   * @param {string} chatId - Telegram chat identifier
+   * @returns {Promise<RouterResponse>}
+   */
+  async showAccounts(chatId) {
+    const accounts = await this.gameService.getSavedAccounts(String(chatId), null, GAME_ACCOUNT.MAX_LISTED);
+
+    let text = this.messages.GAME_ACCOUNT_LIST_TITLE;
+    const keyboard = [];
+
+    if (accounts.length === 0) {
+      text += this.messages.GAME_ACCOUNT_LIST_EMPTY;
+    } else {
+      accounts.forEach((account, index) => {
+        text += this.messages.GAME_ACCOUNT_LIST_LINE(index + 1, account);
+        keyboard.push([{ text: this.messages.BUTTON_GAME_ACCOUNT_DELETE(index + 1, account), callback_data: `acc_del_${account.id}` }]);
+      });
+      text += this.messages.GAME_ACCOUNT_LIST_HINT;
+    }
+    keyboard.push([{ text: this.messages.BUTTON_BACK_MAIN, callback_data: 'menu_main' }]);
+
+    await this.ui.sendOrEdit(chatId, text, { parse_mode: 'Markdown', reply_markup: { inline_keyboard: keyboard } });
+    return RouterResponse.handled('game_accounts');
+  }
+
+  /**
+   * Delete a saved player ID and refresh the list
+   * @param {string} chatId - Telegram chat identifier
+   * @param {string} accountId - GameAccount ID
+   * @returns {Promise<RouterResponse>}
+   */
+  async deleteAccount(chatId, accountId) {
+    const deleted = await this.gameService.deleteSavedAccount(String(chatId), accountId);
+    await this.showAccounts(chatId);
+
+    if (!deleted) {
+      return RouterResponse.toast(this.messages.GAME_ACCOUNT_NOT_FOUND);
+    }
+
+    this.logSuccess('Saved Account Deleted', { chatId, accountId });
+    return RouterResponse.toast(this.messages.GAME_ACCOUNT_DELETED_TOAST);
+  }
+}
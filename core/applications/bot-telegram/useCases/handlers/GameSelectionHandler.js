@@ -20,8 +20,11 @@ import logger from '../../../../shared/services/Logger.js';
  * @features
  * - Paginated product display (10 items per page)
  * - Real-time price display from VIPReseller
+ * - Membership tier prices with savings against the member price
+ * - Flash sale prices with the regular price struck through ("harga coret")
  * - Support for game categories (verified vs regular)
  * - Automatic product sorting by price
+ * - Saved player IDs offered as buttons after product selection
  * 
  * @related
  * - CallbackRouter.js - Routes game/prod callbacks here
@@ -34,6 +37,7 @@ import logger from '../../../../shared/services/Logger.js';
  * Single Responsibility Principle: Handles ONLY game selection operations
  */
 import { PAGINATION } from './HandlerConstants.js';
+import { GAME_ACCOUNT } from '../../../../shared/config/constants.js';
 
 // Pagination Configuration
 const ITEMS_PER_PAGE = PAGINATION.ITEMS_PER_PAGE;
@@ -103,10 +107,11 @@ export class GameSelectionHandler {
   async displayProductList(chatId, game, page = 1, messageId = null) {
     logger.debug(`[GameSelectionHandler] Displaying products for ${game.name}, Page: ${page}`);
     try {
-      const services = await this.gameService.getGameServices(game.code);
+      // Prices of the user's membership tier
+      const services = await this.gameService.getGameServices(game.code, String(chatId));
 
-      // Sort by price
-      services.sort((a, b) => (a.priceBasic < b.priceBasic ? -1 : a.priceBasic > b.priceBasic ? 1 : 0));
+      // Sort by sell price
+      services.sort((a, b) => (a.price < b.price ? -1 : a.price > b.price ? 1 : 0));
 
       // Edge case: no products available
       if (services.length === 0) {
@@ -128,6 +133,13 @@ export class GameSelectionHandler {
       message += this.messages.GAME_CATEGORY(game.category) + '\n';
       message += this.messages.GAME_TOTAL_ITEMS(services.length) + '\n';
       message += this.messages.GAME_PAGE_INFO(page, totalPages) + '\n';
+      if (services.some(item => item.savings > 0n)) {
+        message += this.messages.GAME_TIER_PRICES(services[0].tier) + '\n';
+      }
+      const saleEnds = services.filter(item => item.flashSale).map(item => new Date(item.flashSale.endsAt).getTime());
+      if (saleEnds.length > 0) {
+        message += this.messages.GAME_FLASH_SALE_INFO(Math.min(...saleEnds)) + '\n';
+      }
       message += `━━━━━━━━━━━━━━━━━━━━\n`;
       message += this.messages.GAME_SELECT_NOMINAL + '\n';
 
@@ -136,8 +148,10 @@ export class GameSelectionHandler {
       paginatedItems.forEach(item => {
         // VIPReseller has unlimited stock - all synced items are available
         const isAvailable = true;
-        const priceText = `Rp ${item.priceBasic.toLocaleString('id-ID')}`;
-        const statusEmoji = '✅';
+        const priceText = item.flashSale
+          ? `${this.messages.GAME_PRICE_STRIKE(item.flashSale.regularPrice)} Rp ${item.price.toLocaleString('id-ID')}`
+          : `Rp ${item.price.toLocaleString('id-ID')}${item.savings > 0n ? this.messages.GAME_PRICE_SAVINGS(item.savings) : ''}`;
+        const statusEmoji = item.flashSale ? '⚡' : '✅';
 
         keyboard.inline_keyboard.push([{
           text: `${statusEmoji} ${item.serviceName} - ${priceText}`,
@@ -195,7 +209,7 @@ export class GameSelectionHandler {
     const gameCode = payload.substring(0, splitIndex);
     const itemCode = payload.substring(splitIndex + 1);
 
-    const item = await this.gameService.findServiceByCode(itemCode);
+    const item = await this.gameService.findServiceByCode(itemCode, String(chatId));
     if (!item) {
       await this.ui.sendOrEdit(chatId, this.messages.ERR_PRODUCT_NOT_FOUND(itemCode));
       return;
@@ -208,16 +222,29 @@ export class GameSelectionHandler {
 
     // Description fallback already handled during sync (Mobile Legends A → B)
     const description = item.description || null;
-    const message = this.messages.GAME_SELECTED(gameInfo.name || "Game", item.serviceName, item.priceBasic, description, isVerified, categoryLabel);
-
-    await this.ui.sendOrEdit(chatId, message);
+    let message = this.messages.GAME_SELECTED(gameInfo.name || "Game", item.serviceName, item.price, description, isVerified, categoryLabel, item.savings > 0n ? item : null, item.flashSale);
+
+    // Saved player IDs for this game: one tap instead of typing
+    const savedAccounts = await this.getSavedAccounts(chatId, gameCode);
+    if (savedAccounts.length > 0) {
+      message += this.messages.GAME_ACCOUNT_SAVED_HINT;
+      const keyboard = savedAccounts.map(account => [{
+        text: this.messages.BUTTON_GAME_ACCOUNT(account),
+        callback_data: `acc_use_${account.id}`
+      }]);
+      keyboard.push([{ text: this.messages.BUTTON_GAME_ACCOUNT_MANAGE, callback_data: 'acc_list' }]);
+      await this.ui.sendOrEdit(chatId, message, { reply_markup: { inline_keyboard: keyboard } });
+    } else {
+      await this.ui.sendOrEdit(chatId, message);
+    }
 
     if (this.sessionService) {
       await this.sessionService.savePendingOrder(chatId, {
         game: gameCode,
         item: item.serviceName,
-        price: item.priceBasic,
+        price: item.price,
         code: item.code,
+        flashSaleId: item.flashSale?.id || null,
         lastMsgId: messageId
       });
     }
@@ -225,6 +252,22 @@ export class GameSelectionHandler {
 
 
 
+  /**
+   * Saved player IDs of the user for a game (never blocks product selection)
+   *
+   * @param {string} chatId - Telegram chat identifier
+   * @param {string} gameCode - Game code
+   * @returns {Promise<Array>} Saved accounts, most recently used first
+   */
+  async getSavedAccounts(chatId, gameCode) {
+    try {
+      return await this.gameService.getSavedAccounts(String(chatId), gameCode, GAME_ACCOUNT.MAX_SUGGESTED);
+    } catch (error) {
+      logger.warn(`[GameSelectionHandler] Saved accounts unavailable | ChatId: ${chatId} | Game: ${gameCode} | Error: ${error.message}`);
+      return [];
+    }
+  }
+
   async sendGameNotFound(chatId) {
     await this.ui.sendOrEdit(chatId, this.messages.GAME_NOT_FOUND);
   }
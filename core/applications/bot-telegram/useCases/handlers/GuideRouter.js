@@ -19,6 +19,7 @@
  * 
  * @modes
  * - Checkout Mode (isInfoMode=false): Shows guide with "Pay Now" button for active orders
+ *   (the total includes promo/points; no button if the channel's min/max excludes it)
  * - Info Mode (isInfoMode=true): Shows guide for informational purposes only
  * 
  * @related
@@ -27,6 +28,7 @@
  */
 import logger from '../../../../shared/services/Logger.js';
 import { BaseHandler } from './BaseHandler.js';
+import { PARSING } from './HandlerConstants.js';
 
 export class GuideRouter extends BaseHandler {
   /**
@@ -74,6 +76,7 @@ export class GuideRouter extends BaseHandler {
 
       // Declare orderData for scope access
       let orderData = null;
+      let eligible = true;
 
       // Build caption
       let caption = this.messages.GUIDE_TITLE(channel.nama || channel.name);
@@ -89,8 +92,14 @@ export class GuideRouter extends BaseHandler {
         if (session) {
           orderData = { item: session.item, price: session.price };
           try {
-            const calc = await this.paymentService.calculateFinalAmount(session.price, channelCode);
+            const calc = await this.paymentService.calculateFinalAmount(session.price, channelCode, session.discountAmount, session.pointsDiscount);
             caption += this.messages.GUIDE_TOTAL_LABEL(calc.finalAmount);
+
+            // The gateway rejects totals outside the channel's min/max amount
+            const min = BigInt(parseInt(channel.minimal, PARSING.DECIMAL_RADIX) || 0);
+            const max = BigInt(parseInt(channel.maksimal, PARSING.DECIMAL_RADIX) || 0);
+            eligible = calc.finalAmount >= min && (max === 0n || calc.finalAmount <= max);
+            if (!eligible) caption += this.messages.GUIDE_AMOUNT_OUT_OF_RANGE;
           } catch (e) {
             this.logError('Fee Calculation Error', e, { chatId, action: `guide_${channelCode}` });
           }
@@ -118,7 +127,7 @@ export class GuideRouter extends BaseHandler {
       const keyboard = { inline_keyboard: [] };
 
       // Add "Pay Now" button if order exists AND NOT in Info Mode
-      if (!isInfoMode && orderData && orderData.price) {
+      if (!isInfoMode && orderData && orderData.price && eligible) {
         keyboard.inline_keyboard.push([
           { text: this.messages.BUTTON_PAY_WITH(channel.nama || channel.name), callback_data: `action_pay_${channelCode}` }
         ]);
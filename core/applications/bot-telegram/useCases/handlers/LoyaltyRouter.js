@@ -0,0 +1,173 @@
+/**
+ * @file LoyaltyRouter.js
+ * @description Routes loyalty points callbacks (profile screen and points on the order review)
+ * @responsibility Show the profile with the points balance, apply or drop points on the pending order
+ *
+ * @requires PaymentService - Points quote and summary (LoyaltyService facade), tier and balance
+ * @requires PaymentHandler - Order review rendering
+ * @requires ActionRouter - Fee recalculation when a payment channel is already picked
+ * @requires SessionService - Pending order (pointsUsed + pointsDiscount)
+ * @requires UIPersistenceHelper - Single bubble UI experience
+ * @requires Logger - Logging service
+ *
+ * @architecture Hexagonal Architecture - Application Layer
+ * @pattern Router Pattern - Routes points actions to appropriate views
+ *
+ * @example
+ * const loyaltyRouter = new LoyaltyRouter(deps, config);
+ * await loyaltyRouter.route('use', chatId, messageId);
+ * // Applies the spendable points to the pending order and shows the review again
+ *
+ * @points_actions Supported actions (callback prefix "points_"):
+ * - home: Profile (tier, balance) with points, expiring points and history
+ * - use: Apply as many points as allowed to the pending order
+ * - remove: Drop the applied points and show the review again
+ *
+ * @security
+ * - The discount is only a preview: PaymentHandler.processPayment quotes the points again
+ *   and PaymentService spends them when the transaction is created
+ *
+ * @related
+ * - CallbackRouter.js - Routes points callbacks here
+ * - PaymentHandler.js - Order review with the points button
+ * - LoyaltyService.js - Earn, redeem and expiry rules
+ */
+import logger from '../../../../shared/services/Logger.js';
+import { BaseHandler } from './BaseHandler.js';
+import { RouterResponse } from './RouterResponse.js';
+
+export class LoyaltyRouter extends BaseHandler {
+  /**
+   * Constructor for LoyaltyRouter
+   *
+   * @param {Object} deps - Dependency injection object
+   * @param {Object} deps.paymentService - Points quote, summary, tier and balance
+   * @param {Object} deps.paymentHandler - Order review rendering
+   * @param {Object} deps.actionRouter - Review with channel fee (handlePayNow)
+   * @param {Object} config - Configuration object
+   * @extends BaseHandler
+   */
+  constructor(deps, config) {
+    super(deps, config);
+
+    this.paymentService = deps.paymentService;
+    this.paymentHandler = deps.paymentHandler;
+    this.actionRouter = deps.actionRouter;
+
+    this.validateDependencies({
+      paymentService: this.paymentService,
+      paymentHandler: this.paymentHandler,
+      actionRouter: this.actionRouter
+    });
+  }
+
+  /**
+   * Route points callbacks
+   *
+   * @param {string} action - Points action ('home', 'use', 'remove')
+   * @param {string} chatId - Telegram chat identifier
+   * @param {number} [messageId=null] - Message ID for editing
+   * @returns {Promise<RouterResponse>} Router response
+   */
+  async route(action, chatId, messageId = null) {
+    try {
+      if (action === 'home') return await this.showProfile(chatId);
+
+      const pending = await this.sessionService.getPendingOrder(chatId);
+      if (!pending || !pending.serviceCode) {
+        await this.ui.sendOrEdit(chatId, this.messages.ERR_SESSION_EXPIRED);
+        return RouterResponse.toast();
+      }
+
+      switch (action) {
+        case 'use':
+          return await this.applyPoints(chatId, pending, messageId);
+        case 'remove':
+          return await this.removePoints(chatId, pending, messageId);
+        default:
+          logger.warn(`[LoyaltyRouter] Unknown action: ${action}`);
+          return RouterResponse.toast();
+      }
+    } catch (error) {
+      await this.handleError('Loyalty Route Error', error, chatId, { action });
+      return RouterResponse.toast();
+    }
+  }
+
+  /**
+   * Profile with tier, balance and points
+   * @param {string} chatId - Telegram chat identifier
+   * @returns {Promise<RouterResponse>}
+   */
+  async showProfile(chatId) {
+    const userId = String(chatId);
+    const [membership, balance, points] = await Promise.all([
+      this.paymentService.getMembershipStatus(userId),
+      this.paymentService.getWalletBalance(userId),
+      this.paymentService.getLoyaltySummary(userId)
+    ]);
+
+    await this.ui.sendOrEdit(chatId, this.messages.PROFILE_OVERVIEW({ chatId: userId, tier: membership?.tier, balance, points }), {
+      parse_mode: 'Markdown',
+      reply_markup: {
+        inline_keyboard: [
+          [
+            { text: this.messages.BUTTON_WALLET_TOPUP, callback_data: 'wallet_home' },
+            { text: this.messages.BUTTON_MEMBERSHIP, callback_data: 'member_home' }
+          ],
+          [{ text: this.messages.BUTTON_BACK_MAIN, callback_data: 'menu_main' }]
+        ]
+      }
+    });
+    return RouterResponse.handled('profile');
+  }
+
+  /**
+   * Quote the spendable points against the price after promo and save them on the session
+   * @param {string} chatId - Telegram chat identifier
+   * @param {Object} pending - Pending order (session)
+   * @param {number} [messageId=null] - Message ID for editing
+   * @returns {Promise<RouterResponse>}
+   */
+  async applyPoints(chatId, pending, messageId = null) {
+    const payable = BigInt(pending.price || 0) - BigInt(pending.discountAmount || 0);
+    const quote = await this.paymentService.quotePoints(String(chatId), payable);
+    if (!quote) return RouterResponse.toast(this.messages.POINTS_UNAVAILABLE_TOAST, { showAlert: true });
+
+    const order = { ...pending, pointsUsed: quote.points, pointsDiscount: quote.discount };
+    await this.sessionService.savePendingOrder(chatId, order);
+    await this.showReview(chatId, order, messageId);
+
+    this.logSuccess('Points Applied', { chatId, points: quote.points, discount: String(quote.discount) });
+    return RouterResponse.toast(this.messages.POINTS_APPLIED_TOAST);
+  }
+
+  /**
+   * Drop the applied points
+   * @param {string} chatId - Telegram chat identifier
+   * @param {Object} pending - Pending order (session)
+   * @param {number} [messageId=null] - Message ID for editing
+   * @returns {Promise<RouterResponse>}
+   */
+  async removePoints(chatId, pending, messageId = null) {
+    const order = { ...pending, pointsUsed: null, pointsDiscount: null };
+    await this.sessionService.savePendingOrder(chatId, order);
+    await this.showReview(chatId, order, messageId);
+    return RouterResponse.toast(this.messages.POINTS_REMOVED_TOAST);
+  }
+
+  /**
+   * Order review again (with the channel fee recalculated if a channel was picked)
+   * @param {string} chatId - Telegram chat identifier
+   * @param {Object} order - Pending order (session shape)
+   * @param {number} [messageId=null] - Message ID for editing
+   * @returns {Promise<void>}
+   */
+  async showReview(chatId, order, messageId = null) {
+    if (order.channel) {
+      await this.actionRouter.handlePayNow(chatId, order.channel, messageId);
+      return;
+    }
+    await this.paymentHandler.handleOrderReview(chatId, { ...order, playerId: order.gamePlayerId }, { messageId });
+  }
+}
@@ -0,0 +1,154 @@
+/**
+ * @file ManualTransferHandler.js
+ * @description Handles transfer receipts uploaded for manual bank transfers
+ * @responsibility Attach the receipt to the user's pending transfer and forward it to the admin chat for approval
+ *
+ * @requires PaymentService - Pending transfer lookup and receipt storage
+ * @requires SendPort - Forward the receipt (by Telegram file_id) to the admin chat
+ * @requires UIPersistenceHelper - Single bubble UI experience
+ * @requires Logger - Logging service
+ *
+ * @architecture Hexagonal Architecture - Application Layer
+ * @pattern Handler Pattern - One entry point per incoming upload
+ *
+ * @example
+ * const handler = new ManualTransferHandler(deps, config);
+ * await handler.handleReceipt(message);
+ * // Stores the receipt on the latest UNPAID "TRANSFER" order and asks the admin to verify it
+ *
+ * @flow
+ * 1. User picks "Transfer Manual" and gets the bank account details (PaymentHandler)
+ * 2. User sends a photo (or image/PDF document) of the receipt
+ * 3. Receipt is forwarded to config.adminChatId with Approve/Reject buttons (admin_mtok_/admin_mtno_)
+ * 4. AdminRouter marks the transaction PAID (normal fulfillment) or FAILED
+ *
+ * @related
+ * - PaymentHandler.js - Shows the transfer instructions
+ * - AdminRouter.js - Approve/reject callbacks
+ * - PaymentService.js - attachTransferProof / approveManualTransfer / rejectManualTransfer
+ */
+import logger from '../../../../shared/services/Logger.js';
+import { BaseHandler } from './BaseHandler.js';
+import { MANUAL_TRANSFER } from '../../../../shared/config/constants.js';
+
+// Documents accepted as a receipt (photos are always accepted)
+const RECEIPT_MIME_PREFIXES = ['image/', 'application/pdf'];
+
+export class ManualTransferHandler extends BaseHandler {
+  /**
+   * Constructor for ManualTransferHandler
+   *
+   * @param {Object} deps - Dependency injection object
+   * @param {Object} deps.paymentService - Payment business logic service
+   * @param {Object} config - Configuration object (adminChatId, manualTransfer, messages)
+   * @extends BaseHandler
+   */
+  constructor(deps, config) {
+    super(deps, config);
+
+    this.paymentService = deps.paymentService;
+    this.adminChatId = config?.adminChatId || null;
+    this.manualTransfer = config?.manualTransfer || {};
+
+    this.validateDependencies({
+      paymentService: this.paymentService
+    });
+  }
+
+  /**
+   * Handle an uploaded photo/document
+   *
+   * @param {Message} message - Incoming media message
+   * @returns {Promise<boolean>} true if the upload was treated as a receipt
+   */
+  async handleReceipt(message) {
+    // Uploads are only meaningful as transfer receipts
+    if (!this.manualTransfer.enabled) return false;
+
+    const { chatId, media } = message;
+    const keyboard = {
+      inline_keyboard: [[{ text: this.messages.BUTTON_BACK_HISTORY, callback_data: 'menu_history' }]]
+    };
+
+    try {
+      if (!this._isReceipt(message)) {
+        await this.ui.sendOrEdit(chatId, this.messages.MANUAL_TRANSFER_PROOF_INVALID, { reply_markup: keyboard });
+        return true;
+      }
+
+      const result = await this.paymentService.attachTransferProof(String(chatId), {
+        fileId: media.fileId,
+        type: message.type === 'photo' ? MANUAL_TRANSFER.PROOF_TYPE.PHOTO : MANUAL_TRANSFER.PROOF_TYPE.DOCUMENT
+      });
+
+      if (!result.success) {
+        const text = result.error === 'EXPIRED'
+          ? this.messages.MANUAL_TRANSFER_EXPIRED(result.trx.merchantRef)
+          : this.messages.MANUAL_TRANSFER_NO_PENDING;
+        await this.ui.sendOrEdit(chatId, text, { reply_markup: keyboard });
+        return true;
+      }
+
+      await this._forwardToAdmin(result.trx, message, result.replaced);
+
+      const response = await this.ui.sendOrEdit(chatId, this.messages.MANUAL_TRANSFER_PROOF_RECEIVED(result.trx), {
+        reply_markup: {
+          inline_keyboard: [
+            [{ text: this.messages.BUTTON_CHECK_STATUS, callback_data: `action_check_trx_${result.trx.merchantRef}` }],
+            ...keyboard.inline_keyboard
+          ]
+        }
+      });
+      if (response?.result?.message_id) {
+        await this.paymentService.updateTransactionMessageId(result.trx.merchantRef, response.result.message_id);
+      }
+
+      this.logSuccess('Transfer Receipt Received', { chatId, merchantRef: result.trx.merchantRef });
+      return true;
+    } catch (error) {
+      await this.handleError('Transfer Receipt Error', error, chatId, { action: `receipt_${message.type}` });
+      return true;
+    }
+  }
+
+  /**
+   * Photos are always accepted; documents only if they are images or PDFs
+   * @private
+   */
+  _isReceipt(message) {
+    if (message.type === 'photo') return true;
+    const mimeType = message.media?.mimeType || '';
+    return RECEIPT_MIME_PREFIXES.some(prefix => mimeType.startsWith(prefix));
+  }
+
+  /**
+   * Send the receipt to the admin chat with Approve/Reject buttons
+   * @private
+   */
+  async _forwardToAdmin(trx, message, replaced) {
+    if (!this.adminChatId) {
+      logger.warn(`[ManualTransferHandler] ADMIN_CHAT_ID not set, receipt for ${trx.merchantRef} awaits /trx review`);
+      return;
+    }
+
+    const options = {
+      caption: this.messages.ADMIN_TRANSFER_PROOF(trx, message.senderName, replaced),
+      parse_mode: 'Markdown',
+      reply_markup: {
+        inline_keyboard: [
+          [
+            { text: this.messages.BUTTON_ADMIN_TRANSFER_APPROVE, callback_data: `admin_mtok_${trx.merchantRef}` },
+            { text: this.messages.BUTTON_ADMIN_TRANSFER_REJECT, callback_data: `admin_mtno_${trx.merchantRef}` }
+          ],
+          [{ text: this.messages.BUTTON_ADMIN_VIEW_TRX, callback_data: `admin_trx_${trx.merchantRef}` }]
+        ]
+      }
+    };
+
+    if (message.type === 'photo') {
+      await this.sendPort.sendPhoto(this.adminChatId, message.media.fileId, options);
+    } else {
+      await this.sendPort.sendDocument(this.adminChatId, message.media.fileId, options);
+    }
+  }
+}
@@ -0,0 +1,74 @@
+/**
+ * @file MembershipCommandHandler.js
+ * @description Admin text command for membership tiers
+ * @responsibility Parse /tier, grant the tier through AdminService and tell the user
+ *
+ * @requires AdminService - Tier changes (via MembershipService) + audit trail
+ * @requires Logger - Logging service
+ *
+ * @architecture Hexagonal Architecture - Application Layer
+ * @pattern Command Pattern - One method per bot command
+ *
+ * @example
+ * const membershipCommands = new MembershipCommandHandler(deps, config);
+ * await membershipCommands.handleTier(chatId, ['123456789', 'VIP'], sender, message);
+ * // Grants VIP to user 123456789 and sends them MEMBERSHIP_GRANTED
+ *
+ * @commands Supported commands (admin role only, silently ignored for others):
+ * - /tier <telegramId> <tier>: Grant a membership tier (MEMBER, RESELLER, VIP) and tell the user
+ *
+ * @related
+ * - AdminCommandBase.js - Permission check and admin reply
+ * - MembershipService.js - Tiers and benefits
+ * - MembershipRouter.js - Customer-side membership menu
+ */
+import logger from '../../../../shared/services/Logger.js';
+import { AdminCommandBase } from './AdminCommandBase.js';
+import { PERMISSIONS } from '../../security/authz/permissions.js';
+import { MEMBERSHIP } from '../../../../shared/config/constants.js';
+
+export class MembershipCommandHandler extends AdminCommandBase {
+  /**
+   * /tier <telegramId> <MEMBER|RESELLER|VIP>
+   */
+  async handleTier(chatId, args, sender, message) {
+    if (!await this._authorize(chatId, PERMISSIONS.ADMIN_MEMBERSHIP_MANAGE, '/tier')) return;
+    if (!this.adminService?.membershipService) {
+      logger.error('[MembershipCommandHandler] MembershipService not configured');
+      return await this._reply(chatId, this.messages.ERR_GENERIC || 'Terjadi kesalahan.');
+    }
+
+    const [telegramId, rawTier] = args;
+    const tier = String(rawTier || '').toUpperCase();
+    if (!telegramId || !MEMBERSHIP.TIERS.includes(tier)) {
+      return await this._reply(chatId, this.messages.ADMIN_CMD_USAGE_TIER);
+    }
+
+    try {
+      const result = await this.adminService.setUserTier(this._admin(chatId, message), telegramId, tier);
+      if (!result.success) {
+        return await this._reply(chatId, this.messages.ADMIN_TIER_ERRORS[result.error] || this.messages.ERR_GENERIC);
+      }
+      if (result.unchanged) {
+        return await this._reply(chatId, this.messages.ADMIN_TIER_UNCHANGED(telegramId, tier));
+      }
+
+      await this._notifyTier(result.user, tier);
+      await this._reply(chatId, this.messages.ADMIN_TIER_DONE(telegramId, result.oldTier, tier));
+    } catch (error) {
+      await this.handleError('Admin Tier Error', error, chatId, { input: args.join(' ') });
+    }
+  }
+
+  /**
+   * Tell the user about the new tier (a blocked bot must not fail the grant)
+   * @private
+   */
+  async _notifyTier(user, tier) {
+    try {
+      await this.sendPort.sendMessage(String(user.chatId), this.messages.MEMBERSHIP_GRANTED(tier), { parse_mode: 'Markdown' });
+    } catch (error) {
+      logger.warn(`[MembershipCommandHandler] Tier notice to ${user.chatId} failed: ${error.message}`);
+    }
+  }
+}
@@ -0,0 +1,224 @@
+/**
+ * @file MembershipRouter.js
+ * @description Routes membership callbacks (tier overview, upgrade channel selection and payment)
+ * @responsibility Show the user's tier with the upgrades on sale and create upgrade payments
+ *
+ * @requires PaymentService - Membership status, upgrade invoices and balance payments
+ * @requires PaymentHandler - Invoice rendering (QR / payment details)
+ * @requires PaymentChannelHandler - Channel grouping and labels
+ * @requires AuthPort - Payment permission check
+ * @requires UIPersistenceHelper - Single bubble UI experience
+ * @requires Logger - Logging service
+ *
+ * @architecture Hexagonal Architecture - Application Layer
+ * @pattern Router Pattern - Routes membership actions to appropriate views
+ *
+ * @example
+ * const membershipRouter = new MembershipRouter(deps, config);
+ * await membershipRouter.route('up_RESELLER', chatId, messageId);
+ * // Shows payment channels for the RESELLER upgrade
+ *
+ * @member_actions Supported actions (callback prefix "member_"):
+ * - home: Current tier, tier benefits and upgrade buttons
+ * - up_{TIER}: Payment channels (Saldo first) for the upgrade to TIER
+ * - pay_{TIER}_{CHANNEL}: Pay with balance (tier applied at once) or create the invoice
+ *
+ * @security
+ * - Upgrade payment requires PERMISSIONS.PAYMENT_CREATE
+ * - Upgrade price is recomputed by PaymentService from the user's current tier
+ *
+ * @related
+ * - CallbackRouter.js - Routes membership callbacks here
+ * - PaymentService.js - Membership invoices and activation
+ * - MembershipService.js - Tiers and upgrade prices
+ */
+import logger from '../../../../shared/services/Logger.js';
+import { BaseHandler } from './BaseHandler.js';
+import { RouterResponse } from './RouterResponse.js';
+import { PARSING } from './HandlerConstants.js';
+import { PERMISSIONS } from '../../security/authz/permissions.js';
+import { WALLET } from '../../../../shared/config/constants.js';
+
+export class MembershipRouter extends BaseHandler {
+  /**
+   * Constructor for MembershipRouter
+   *
+   * @param {Object} deps - Dependency injection object
+   * @param {Object} deps.paymentService - Payment business logic service (membership)
+   * @param {Object} deps.paymentHandler - Invoice rendering
+   * @param {Object} deps.channelHandler - Channel grouping and labels
+   * @param {Object} deps.authPort - Authorization service (optional)
+   * @param {Object} config - Configuration object
+   * @extends BaseHandler
+   */
+  constructor(deps, config) {
+    super(deps, config);
+
+    this.paymentService = deps.paymentService;
+    this.paymentHandler = deps.paymentHandler;
+    this.channelHandler = deps.channelHandler;
+    this.authPort = deps.authPort;
+
+    this.validateDependencies({
+      paymentService: this.paymentService,
+      paymentHandler: this.paymentHandler,
+      channelHandler: this.channelHandler
+    });
+  }
+
+  /**
+   * Route membership callbacks
+   *
+   * @param {string} action - Membership action (e.g., 'home', 'up_VIP', 'pay_VIP_QRIS')
+   * @param {string} chatId - Telegram chat identifier
+   * @param {number} [messageId=null] - Message ID for editing
+   * @returns {Promise<RouterResponse>} Router response
+   */
+  async route(action, chatId, messageId = null) {
+    try {
+      const status = await this.paymentService.getMembershipStatus(String(chatId));
+      if (!status) {
+        return RouterResponse.toast(this.messages.MEMBERSHIP_DISABLED);
+      }
+
+      if (action.startsWith('up_')) {
+        return await this.showUpgradeChannels(chatId, status, action.replace('up_', ''));
+      }
+      if (action.startsWith('pay_')) {
+        // pay_{TIER}_{CHANNEL} (channel codes may contain '_')
+        const [tier, ...channelParts] = action.replace('pay_', '').split('_');
+        return await this.payUpgrade(chatId, tier, channelParts.join('_'));
+      }
+
+      return await this.showMembership(chatId, status);
+    } catch (error) {
+      await this.handleError('Membership Route Error', error, chatId, { action });
+      return RouterResponse.toast();
+    }
+  }
+
+  /**
+   * Show current tier and the upgrades on sale
+   * @param {string} chatId - Telegram chat identifier
+   * @param {Object} status - { tier, upgrades }
+   * @returns {Promise<RouterResponse>}
+   */
+  async showMembership(chatId, status) {
+    let text = this.messages.MEMBERSHIP_OVERVIEW(status.tier);
+    text += status.upgrades.length > 0 ? this.messages.MEMBERSHIP_UPGRADE_HINT : this.messages.MEMBERSHIP_NO_UPGRADE;
+
+    const keyboard = status.upgrades.map(upgrade => [{
+      text: this.messages.BUTTON_MEMBERSHIP_UPGRADE(upgrade.tier, upgrade.price),
+      callback_data: `member_up_${upgrade.tier}`
+    }]);
+    keyboard.push([{ text: this.messages.BUTTON_BACK_MAIN, callback_data: 'menu_main' }]);
+
+    await this.ui.sendOrEdit(chatId, text, { parse_mode: 'Markdown', reply_markup: { inline_keyboard: keyboard } });
+    return RouterResponse.handled('membership');
+  }
+
+  /**
+   * Show payment channels for an upgrade (balance first)
+   * @param {string} chatId - Telegram chat identifier
+   * @param {Object} status - { tier, upgrades }
+   * @param {string} tier - Target tier
+   * @returns {Promise<RouterResponse>}
+   */
+  async showUpgradeChannels(chatId, status, tier) {
+    const upgrade = status.upgrades.find(u => u.tier === tier);
+    if (!upgrade) {
+      return RouterResponse.toast(this.messages.MEMBERSHIP_NOT_AVAILABLE, { showAlert: true });
+    }
+
+    const keyboard = [];
+    if (this.paymentService.isWalletEnabled()) {
+      const balance = await this.paymentService.getWalletBalance(String(chatId));
+      keyboard.push([{ text: this.messages.BUTTON_PAY_WITH_BALANCE(balance), callback_data: `member_pay_${tier}_${WALLET.CHANNEL_CODE}` }]);
+    }
+
+    const channels = (await this.paymentService.getPaymentChannels())
+      .filter(c => upgrade.price >= (parseInt(c.minimal, PARSING.DECIMAL_RADIX) || 0))
+      .filter(c => !parseInt(c.maksimal, PARSING.DECIMAL_RADIX) || upgrade.price <= parseInt(c.maksimal, PARSING.DECIMAL_RADIX));
+
+    for (const methodChannels of Object.values(this.channelHandler.groupChannelsByMethod(channels))) {
+      let row = [];
+      for (const channel of methodChannels) {
+        row.push({ text: this.channelHandler.formatChannelLabel(channel), callback_data: `member_pay_${tier}_${channel.kode}` });
+        if (row.length === 2) {
+          keyboard.push(row);
+          row = [];
+        }
+      }
+      if (row.length > 0) keyboard.push(row);
+    }
+    if (keyboard.length === 0) {
+      keyboard.push([{ text: this.messages.CHANNEL_EMPTY, callback_data: 'noop' }]);
+    }
+    keyboard.push([{ text: this.messages.BUTTON_BACK, callback_data: 'member_home' }]);
+
+    await this.ui.sendOrEdit(chatId, this.messages.MEMBERSHIP_UPGRADE_CHANNEL(status.tier, tier, upgrade.price), {
+      parse_mode: 'Markdown',
+      reply_markup: { inline_keyboard: keyboard }
+    });
+    return RouterResponse.handled('membership_channels');
+  }
+
+  /**
+   * Pay an upgrade with balance or create the upgrade invoice
+   * @param {string} chatId - Telegram chat identifier
+   * @param {string} tier - Target tier
+   * @param {string} channelCode - Payment channel (SALDO for balance)
+   * @returns {Promise<RouterResponse>}
+   */
+  async payUpgrade(chatId, tier, channelCode) {
+    if (this.authPort && !await this.authPort.can({ id: chatId }, PERMISSIONS.PAYMENT_CREATE)) {
+      return RouterResponse.toast(this.messages.ERR_PAYMENT_FORBIDDEN);
+    }
+    if (!channelCode) return RouterResponse.toast();
+
+    await this.ui.sendOrEdit(chatId, this.messages.PAYMENT_PROCESSING);
+
+    if (channelCode === WALLET.CHANNEL_CODE) {
+      const result = await this.paymentService.payMembershipWithBalance(String(chatId), tier);
+      if (!result.success) return await this._upgradeFailed(chatId, tier, channelCode, result);
+
+      await this.ui.sendOrEdit(chatId, this.messages.MEMBERSHIP_ACTIVATED(tier, result.trx.merchantRef, result.balance), this._backToMembership());
+      this.logSuccess('Membership Paid With Balance', { chatId, tier, merchantRef: result.trx.merchantRef });
+      return RouterResponse.toast(this.messages.MEMBERSHIP_ACTIVATED_TOAST);
+    }
+
+    const result = await this.paymentService.createMembershipInvoice(String(chatId), tier, channelCode);
+    if (!result.success) return await this._upgradeFailed(chatId, tier, channelCode, result);
+
+    if (this.paymentService.isQRChannel(channelCode) && result.qr_string) {
+      await this.paymentHandler.sendQRInvoice(chatId, result, result.orderData);
+    } else {
+      await this.paymentHandler.sendPaymentDetails(chatId, result, result.orderData);
+    }
+
+    this.logSuccess('Membership Invoice Created', { chatId, merchantRef: result.merchantRef, tier, channelCode });
+    return RouterResponse.toast(this.messages.MEMBERSHIP_INVOICE_CREATED_TOAST);
+  }
+
+  /**
+   * @private
+   */
+  async _upgradeFailed(chatId, tier, channelCode, result) {
+    logger.warn(`[MembershipRouter] Upgrade failed | ChatId: ${chatId} | Tier: ${tier} | Channel: ${channelCode} | Error: ${result.error || result.message}`);
+
+    const text = {
+      INSUFFICIENT_BALANCE: this.messages.WALLET_INSUFFICIENT(result.balance, result.amount),
+      NOT_AVAILABLE: this.messages.MEMBERSHIP_NOT_AVAILABLE
+    }[result.error] || this.messages.PAYMENT_ERROR;
+
+    await this.ui.sendOrEdit(chatId, text, this._backToMembership());
+    return RouterResponse.toast();
+  }
+
+  /**
+   * @private
+   */
+  _backToMembership() {
+    return { parse_mode: 'Markdown', reply_markup: { inline_keyboard: [[{ text: this.messages.BUTTON_BACK, callback_data: 'member_home' }]] } };
+  }
+}
@@ -6,7 +6,8 @@
  * @requires SendPort - Telegram bot messaging interface
  * @requires MenuHandler - Menu keyboard generation
  * @requires PaymentService - Transaction history retrieval
- * @requires SessionService - User session for UI tracking
+ * @requires SessionService - User session for UI tracking and pending orders
+ * @requires GameService - Current product price for re-orders
  * @requires UIPersistenceHelper - Single bubble UI experience
  * @requires Logger - Logging service
  * 
@@ -22,9 +23,10 @@
  * - topup: Show top-up category selection
  * - topup_cat_{CATEGORY}: Show games by category (verified, regular, vouchers)
  * - history: Show transaction history
+ * - reorder_{REF}: Rebuild a past order at the current price and go to channel selection
  * - payment: Show payment channels (checkout mode)
  * - info_payment: Show payment channels (info mode)
- * - admin: Admin panel (future)
+ * - admin: Admin panel (delegated to AdminRouter, admin role only)
  * - contact: Contact information
  * - main/home: Main menu
  * 
@@ -37,6 +39,7 @@ import logger from '../../../../shared/services/Logger.js';
 import { BaseHandler } from './BaseHandler.js';
 import { RouterResponse } from './RouterResponse.js';
 import { PARSING } from './HandlerConstants.js';
+import { PAYMENT_STATUS, TRANSACTION_TYPE } from '../../../../shared/config/constants.js';
 
 export class MenuRouter extends BaseHandler {
   /**
@@ -45,6 +48,7 @@ export class MenuRouter extends BaseHandler {
    * @param {Object} deps - Dependency injection object
    * @param {Object} deps.menuHandler - Menu generation handler
    * @param {Object} deps.paymentService - Payment business logic service
+   * @param {Object} deps.gameService - Game data access (re-order price check)
    * @param {Object} deps.sendPort - Telegram bot messaging interface
    * @param {Object} config - Configuration object
    * @extends BaseHandler
@@ -55,6 +59,7 @@ export class MenuRouter extends BaseHandler {
     // Additional dependencies specific to MenuRouter
     this.menuHandler = deps.menuHandler;
     this.paymentService = deps.paymentService;
+    this.gameService = deps.gameService;
     this.menus = config.menus;
 
     // Validate critical dependencies
@@ -98,7 +103,12 @@ export class MenuRouter extends BaseHandler {
       return RouterResponse.handled(`topup_${category}`);
     }
 
-    // 1.1 Handle Main Topup Entry (Category Selection)
+    // 1.1 Re-order from history: reorder_{MERCHANT_REF}
+    if (action.startsWith('reorder_')) {
+      return await this.handleReorder(chatId, action.replace('reorder_', ''), messageId);
+    }
+
+    // 1.2 Handle Main Topup Entry (Category Selection)
     if (action === 'topup') {
       const menuResult = await this.menuHandler.getTopUpMenu();
       const title = this.messages.TOPUP_MENU_TITLE || "🎮 **PILIH KATEGORI LAYANAN**";
@@ -125,16 +135,8 @@ export class MenuRouter extends BaseHandler {
         return RouterResponse.delegate('paymentChannel', { mode: 'info', chatId, messageId });
 
       case 'admin':
-        await this.ui.sendOrEdit(chatId, this.messages.ADMIN_PANEL, {
-          reply_markup: {
-            inline_keyboard: [
-              [{ text: '📊 Statistik', callback_data: 'admin_stats' }],
-              [{ text: '👥 User List', callback_data: 'admin_users' }],
-              [{ text: '⬅️ Kembali', callback_data: 'menu_main' }]
-            ]
-          }
-        });
-        return RouterResponse.handled('admin');
+        // Access check + rendering live in AdminRouter
+        return RouterResponse.delegate('admin', { chatId, messageId });
 
       case 'contact':
         await this.ui.sendOrEdit(chatId, this.messages.CONTACT_INFO, {
@@ -192,19 +194,22 @@ export class MenuRouter extends BaseHandler {
 
       let msg = this.messages.HISTORY_TITLE;
       let unpaidTransactions = [];
+      let reorderableTransactions = [];
 
       transactions.forEach((trx, index) => {
         const date = new Date(trx.createdAt).toLocaleDateString('id-ID');
         const time = new Date(trx.createdAt).toLocaleTimeString('id-ID', { hour: '2-digit', minute: '2-digit' });
 
-        const statusIcon = (trx.status === 'PAID' || trx.status === 'success') ? '✅'
-          : (trx.status === 'EXPIRED' || trx.status === 'FAILED') ? '❌'
-            : '⏳';
+        const statusIcon = (trx.status === 'DELIVERED' || trx.status === 'PAID' || trx.status === 'success') ? '✅'
+          : (trx.status === 'EXPIRED' || trx.status === 'FAILED' || trx.status === 'DELIVERY_FAILED') ? '❌'
+            : trx.status === 'PROCESSING' ? '⚙️'
+              : trx.status === 'REFUNDED' ? '💸'
+                : '⏳';
 
         const amount = parseInt(trx.amount).toLocaleString('id-ID');
         const displayIndex = index + 1;
 
-        msg += `${displayIndex}. ${statusIcon} **${trx.game.toUpperCase()}**\n`;
+        msg += `${displayIndex}. ${statusIcon} **${(trx.game || '-').toUpperCase()}**\n`;
         msg += `   📦 ${trx.item}\n`;
         msg += `   💵 Rp ${amount} • 📅 ${date} ${time}\n`;
 
@@ -214,6 +219,8 @@ export class MenuRouter extends BaseHandler {
 
         if (trx.status === 'UNPAID' || trx.status === 'pending') {
           unpaidTransactions.push({ ...trx, displayIndex });
+        } else if (this.isReorderable(trx)) {
+          reorderableTransactions.push({ ...trx, displayIndex });
         }
       });
 
@@ -229,6 +236,13 @@ export class MenuRouter extends BaseHandler {
         });
       }
 
+      // Re-order buttons (2 per row)
+      for (let i = 0; i < reorderableTransactions.length; i += 2) {
+        keyboard.inline_keyboard.push(reorderableTransactions.slice(i, i + 2).map(trx => (
+          { text: this.messages.BUTTON_REORDER(trx.displayIndex), callback_data: `menu_reorder_${trx.merchantRef}` }
+        )));
+      }
+
       keyboard.inline_keyboard.push(
         [{ text: this.messages.BUTTON_REFRESH, callback_data: "menu_history" }],
         [{ text: this.messages.BUTTON_BACK_TO_MENU, callback_data: "menu_main" }]
@@ -244,6 +258,74 @@ export class MenuRouter extends BaseHandler {
     }
   }
 
+  /**
+   * Whether a past transaction can be bought again with one tap
+   * (game orders with a known product and player ID)
+   *
+   * @param {Object} trx - Transaction
+   * @returns {boolean}
+   */
+  isReorderable(trx) {
+    return (trx.type || TRANSACTION_TYPE.ORDER) === TRANSACTION_TYPE.ORDER &&
+      !!trx.serviceCode && !!trx.playerId && trx.status !== PAYMENT_STATUS.UNPAID;
+  }
+
+  /**
+   * Handle "Beli lagi" from history
+   * Rebuilds the pending order from the transaction at the current product price
+   * and jumps straight to payment channel selection
+   *
+   * @param {string} chatId - Telegram chat identifier
+   * @param {string} merchantRef - Past transaction reference
+   * @param {number} [messageId=null] - Message ID for editing
+   * @returns {Promise<RouterResponse>} Delegation to payment channels, or toast on failure
+   */
+  async handleReorder(chatId, merchantRef, messageId = null) {
+    try {
+      if (!this.paymentService || !this.gameService || !this.sessionService) {
+        return RouterResponse.toast(this.messages.ERR_REORDER_UNAVAILABLE);
+      }
+
+      const trx = await this.paymentService.getUserTransaction(String(chatId), merchantRef);
+      if (!trx || !this.isReorderable(trx)) {
+        return RouterResponse.toast(this.messages.ERR_REORDER_UNAVAILABLE);
+      }
+
+      // Price may have changed since the original order: always use the current one
+      const service = await this.gameService.findServiceByCode(trx.serviceCode, String(chatId));
+      if (!service || !service.price) {
+        logger.warn(`[MenuRouter] Re-order product unavailable | ChatId: ${chatId} | Ref: ${merchantRef} | Service: ${trx.serviceCode}`);
+        return RouterResponse.toast(this.messages.ERR_REORDER_PRODUCT_GONE, { showAlert: true });
+      }
+
+      await this.sessionService.savePendingOrder(chatId, {
+        game: trx.gameCode || trx.game,
+        item: service.serviceName,
+        price: service.price,
+        code: service.code,
+        flashSaleId: service.flashSale?.id || null,
+        gamePlayerId: trx.playerId,
+        zoneId: trx.zoneId || null,
+        nickname: trx.nickname || null,
+        lastMsgId: messageId
+      });
+
+      const previousPrice = trx.basePrice ?? null;
+      const priceChanged = previousPrice !== null && BigInt(previousPrice) !== BigInt(service.price);
+
+      this.logSuccess('Re-order Prepared', { chatId, merchantRef, serviceCode: service.code, priceChanged });
+      return RouterResponse.delegate('paymentChannel', {
+        mode: 'payment',
+        chatId,
+        messageId,
+        toast: priceChanged ? this.messages.REORDER_PRICE_CHANGED(service.price) : this.messages.REORDER_READY
+      });
+    } catch (error) {
+      this.logError('Re-order Error', error, { chatId, merchantRef, action: 'menu_reorder' });
+      return RouterResponse.toast(this.messages.ERR_REORDER_UNAVAILABLE);
+    }
+  }
+
   /**
    * Navigate back to main menu
    * Helper method for quick redirection
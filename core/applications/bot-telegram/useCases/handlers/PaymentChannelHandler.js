@@ -18,7 +18,10 @@
  * // Shows payment channels in checkout mode
  * 
  * @modes
- * - payment: Checkout mode - shows guide buttons for payment flow
+ * - payment: Checkout mode - shows guide buttons for payment flow (+ "Saldo" if the wallet is enabled,
+ *   "Transfer Manual" if a bank account is configured). With a pending order each button shows the
+ *   total bayar (after promo/points, including the fee), the cheapest channel is recommended first
+ *   and channels whose min/max amount excludes the total are hidden (listed in the text instead)
  * - info: Info mode - shows guide buttons for informational purposes
  * 
  * @channel_grouping Channels grouped by 'metode' field:
@@ -33,6 +36,7 @@
  */
 import logger from '../../../../shared/services/Logger.js';
 import { BaseHandler } from './BaseHandler.js';
+import { WALLET, MANUAL_TRANSFER } from '../../../../shared/config/constants.js';
 
 export class PaymentChannelHandler extends BaseHandler {
   /**
@@ -49,6 +53,7 @@ export class PaymentChannelHandler extends BaseHandler {
 
     // Additional dependencies specific to PaymentChannelHandler
     this.paymentService = deps.paymentService;
+    this.manualTransfer = config?.manualTransfer || {};
 
     // Validate critical dependencies
     this.validateDependencies({
@@ -67,12 +72,48 @@ export class PaymentChannelHandler extends BaseHandler {
    */
   async displayChannels(chatId, messageId = null, mode = 'payment') {
     logger.info(`[PaymentChannelHandler] Displaying channels for ${chatId}, mode=${mode}`);
-    const title = this.messages.PAYMENT_METHOD_SELECTION;
+    let title = this.messages.PAYMENT_METHOD_SELECTION;
     let keyboard = { inline_keyboard: [] };
 
     try {
+      // Balance checkout goes straight to the order review (no guide needed)
+      if (mode === 'payment' && this.paymentService.isWalletEnabled()) {
+        const balance = await this.paymentService.getWalletBalance(String(chatId));
+        keyboard.inline_keyboard.push([
+          { text: this.messages.BUTTON_PAY_WITH_BALANCE(balance), callback_data: `action_pay_${WALLET.CHANNEL_CODE}` }
+        ]);
+      }
+
+      // Manual transfer has no gateway guide either: the account details come with the invoice
+      if (mode === 'payment' && this.manualTransfer.enabled) {
+        keyboard.inline_keyboard.push([
+          { text: this.messages.BUTTON_PAY_MANUAL_TRANSFER(this.manualTransfer.bankName), callback_data: `action_pay_${MANUAL_TRANSFER.CHANNEL_CODE}` }
+        ]);
+      }
+
       logger.debug("[PaymentChannelHandler] Fetching channels...");
-      const channels = await this.paymentService.getPaymentChannels();
+      const pending = mode === 'payment' ? await this.sessionService.getPendingOrder(chatId) : null;
+      let channels;
+
+      if (pending?.price) {
+        // Priced for this order: promo and points first, then the channel fee
+        const quoted = await this.paymentService.quoteChannels(pending.price, pending.discountAmount, pending.pointsDiscount);
+        const unavailable = quoted.filter(c => !c.eligible);
+        channels = quoted.filter(c => c.eligible);
+
+        if (channels.length > 0) title += this.messages.PAYMENT_METHOD_TOTAL_NOTE;
+        if (unavailable.length > 0) title += this.messages.PAYMENT_METHOD_UNAVAILABLE(unavailable);
+
+        if (channels.length > 0) {
+          // Sorted cheapest first by PaymentService.quoteChannels
+          const cheapest = channels[0];
+          keyboard.inline_keyboard.push([
+            { text: this.messages.BUTTON_CHANNEL_CHEAPEST(cheapest.nama, cheapest.finalAmount), callback_data: `guide_${cheapest.kode}` }
+          ]);
+        }
+      } else {
+        channels = await this.paymentService.getPaymentChannels();
+      }
 
       if (Array.isArray(channels) && channels.length > 0) {
         // Group channels by method (E-Wallet, Virtual Account, etc.)
@@ -85,10 +126,9 @@ export class PaymentChannelHandler extends BaseHandler {
           // Channel buttons (2 per row)
           let row = [];
           for (const channel of methodChannels) {
-            const feeDisplay = channel.percent === 'Percent'
-              ? `${channel.biaya}%`
-              : `Rp ${parseInt(channel.biaya).toLocaleString('id-ID')}`;
-            const label = `${channel.nama} ${this.messages.CHANNEL_METHOD_LABEL(feeDisplay)}`;
+            const label = channel.finalAmount !== undefined
+              ? this.messages.CHANNEL_TOTAL_LABEL(channel.nama, channel.finalAmount)
+              : this.formatChannelLabel(channel);
 
             const prefix = mode === 'info' ? 'info_' : 'guide_';
             row.push({ text: label, callback_data: `${prefix}${channel.kode}` });
@@ -140,6 +180,19 @@ export class PaymentChannelHandler extends BaseHandler {
 
 
 
+  /**
+   * Button label for a channel: name + fee
+   *
+   * @param {Object} channel - Mapped payment channel
+   * @returns {string} Label (e.g. "QRIS (0.7%)")
+   */
+  formatChannelLabel(channel) {
+    const feeDisplay = channel.percent === 'Percent'
+      ? `${channel.biaya}%`
+      : `Rp ${parseInt(channel.biaya).toLocaleString('id-ID')}`;
+    return `${channel.nama} ${this.messages.CHANNEL_METHOD_LABEL(feeDisplay)}`;
+  }
+
   /**
    * Group channels by method type (e.g. E-Wallet, Virtual Account)
    * Helper method for organizing channel buttons
@@ -11,19 +11,20 @@
  * @requires Logger - Logging service
  * @requires MENUS - Menu configurations for action buttons
  * @requires PRICING - Pricing constants
- * @requires QR_CODE - QR code API configuration
+ * @requires QrRendererPort - Renders the QRIS payload to a PNG image
  * 
  * @architecture Hexagonal Architecture - Application Layer
  * @pattern Service Pattern - Orchestrates payment operations
  * 
  * @example
- * const handler = new PaymentHandler(paymentService, sendPort, sessionService, config, gameService, ui);
+ * const handler = new PaymentHandler(paymentService, sendPort, sessionService, config, gameService, ui, qrRenderer);
  * await handler.processPayment(chatId, orderData, { messageId });
  * // Processes payment and shows invoice
  * 
  * @payment_flow
- * 1. handleOrderReview: Show order summary with confirmation
- * 2. processPayment: Create invoice via PaymentService
+ * 1. handleOrderReview: Show order summary with confirmation (promo code can be applied here, see PromoRouter)
+ * 2. processPayment: Create invoice via PaymentService (or pay with wallet balance / manual transfer);
+ *    a flash sale that ended since the review sends the user back to the review at the regular price
  * 3. sendQRInvoice: Display QR code for QRIS/E-Wallet
  * 4. sendPaymentDetails: Display payment code/link for VA/other
  * 5. sendTransactionStatus: Show transaction status updates
@@ -31,6 +32,7 @@
  * @invoice_types
  * - QR Invoice: For QRIS, DANA, OVO (displays QR code image)
  * - Payment Details: For Virtual Account, Direct Link (displays payment code/link)
+ * - Manual Transfer: Bank account details + receipt upload hint (verified by an admin)
  * - Transaction Status: Status check view with refresh button
  * 
  * @related
@@ -39,7 +41,7 @@
  * - UIPersistenceHelper.js - Single bubble UI management
  */
 import { MENUS } from '../../config/menus.js';
-import { PRICING, QR_CODE } from '../../../../shared/config/constants.js';
+import { PRICING, QR_CODE, WALLET, MANUAL_TRANSFER, PAYMENT_STATUS, INVOICE_SWITCH } from '../../../../shared/config/constants.js';
 import logger from '../../../../shared/services/Logger.js';
 import { TIMEOUTS } from './HandlerConstants.js';
 import { Sanitizer } from '../../../../shared/utils/Sanitizer.js';
@@ -54,8 +56,9 @@ export class PaymentHandler {
    * @param {Object} [config=null] - Configuration object
    * @param {Object} [gameService=null] - Game data service
    * @param {Object} [ui=null] - Pre-initialized UI helper
+   * @param {Object} [qrRenderer=null] - QR image renderer (QrRendererPort)
    */
-  constructor(paymentService, sendPort, sessionService = null, config = null, gameService = null, ui = null) {
+  constructor(paymentService, sendPort, sessionService = null, config = null, gameService = null, ui = null, qrRenderer = null) {
     // Validate critical dependencies
     if (!paymentService) throw new Error("Required dependency 'paymentService' not provided to PaymentHandler");
     if (!sendPort) throw new Error("Required dependency 'sendPort' not provided to PaymentHandler");
@@ -66,6 +69,9 @@ export class PaymentHandler {
     this.messages = config?.messages || {};
     this.gameService = gameService;
     this.ui = ui;
+    this.qrRenderer = qrRenderer;
+    this.qrBranding = config?.qrBranding || {};
+    this.manualTransfer = config?.manualTransfer || {};
   }
 
   /**
@@ -90,6 +96,8 @@ export class PaymentHandler {
 
     // Escape nickname to prevent markdown breakage
     const safeNickname = Sanitizer.escapeMarkdown(orderData.nickname || '');
+    const promo = orderData.promoCode ? { code: orderData.promoCode, discountAmount: BigInt(orderData.discountAmount || 0) } : null;
+    const points = orderData.pointsUsed ? { points: orderData.pointsUsed, discountAmount: BigInt(orderData.pointsDiscount || 0) } : null;
 
     const invoiceMsg = orderData.channelCode
       ? this.messages.PAYMENT_FEE_BREAKDOWN(
@@ -100,13 +108,158 @@ export class PaymentHandler {
         orderData.feeAmount || 0,
         orderData.amount || price,
         safeNickname,
-        isVerified
+        isVerified,
+        promo,
+        points
       )
-      : this.messages.ORDER_INVOICE(gameInfo.name || game, displayId, zoneId, item, price, safeNickname, isVerified);
+      : this.messages.ORDER_INVOICE(gameInfo.name || game, displayId, zoneId, item, price, safeNickname, isVerified, promo, points);
 
     const keyboard = orderData.channelCode ? MENUS.ORDER_PROCESS : MENUS.ORDER_CONFIRMATION;
+    // Offer the spendable points only while none are applied
+    const pointsOffer = points ? null : await this.paymentService.quotePoints(String(chatId), BigInt(price) - (promo?.discountAmount || 0n));
+    const replyMarkup = this._withPointsButton(this._withPromoButton(keyboard.reply_markup || keyboard, promo), points, pointsOffer);
 
-    await this.ui.sendOrEdit(chatId, invoiceMsg, { reply_markup: keyboard.reply_markup || keyboard });
+    await this.ui.sendOrEdit(chatId, invoiceMsg, { reply_markup: replyMarkup });
+  }
+
+  /**
+   * Add the "use promo code" / "remove promo" row above the cancel button
+   * @private
+   */
+  _withPromoButton(replyMarkup, promo) {
+    if (!this.paymentService.isPromoEnabled()) return replyMarkup;
+
+    const row = promo
+      ? [{ text: this.messages.BUTTON_PROMO_REMOVE(promo.code), callback_data: 'promo_remove' }]
+      : [{ text: this.messages.BUTTON_PROMO_ENTER, callback_data: 'promo_enter' }];
+    const rows = [...replyMarkup.inline_keyboard];
+    rows.splice(rows.length - 1, 0, row);
+    return { ...replyMarkup, inline_keyboard: rows };
+  }
+
+  /**
+   * Add the "use points" / "drop points" row above the cancel button
+   * @private
+   */
+  _withPointsButton(replyMarkup, points, offer) {
+    let row;
+    if (points) {
+      row = [{ text: this.messages.BUTTON_POINTS_REMOVE, callback_data: 'points_remove' }];
+    } else if (offer) {
+      row = [{ text: this.messages.BUTTON_POINTS_USE(offer.points, offer.discount), callback_data: 'points_use' }];
+    } else {
+      return replyMarkup;
+    }
+
+    const rows = [...replyMarkup.inline_keyboard];
+    rows.splice(rows.length - 1, 0, row);
+    return { ...replyMarkup, inline_keyboard: rows };
+  }
+
+  /**
+   * Checkout stopped because the flash sale of the order ended or sold out:
+   * the pending order moves to the regular price (promo discount recalculated)
+   *
+   * @param {string} chatId - Telegram chat identifier
+   * @param {Object} order - Order being paid
+   * @param {Object} service - Fresh service (regular price)
+   * @returns {Promise<Object>} { success: false, error: 'FLASH_SALE_ENDED' }
+   */
+  async sendFlashSaleEnded(chatId, order, service) {
+    const pending = await this.sessionService.getPendingOrder(chatId);
+    if (pending) {
+      const updated = { ...pending, price: service.price, flashSaleId: null };
+      if (pending.promoCode) {
+        const promo = await this.paymentService.validatePromo(pending.promoCode, {
+          userId: String(chatId),
+          game: pending.game,
+          serviceCode: service.code,
+          amount: service.price
+        });
+        updated.promoCode = promo.success ? pending.promoCode : null;
+        updated.discountAmount = promo.success ? promo.discount : null;
+      }
+      await this.sessionService.savePendingOrder(chatId, updated);
+    }
+
+    await this.ui.sendOrEdit(chatId, this.messages.FLASH_SALE_ENDED_AT_CHECKOUT(order.item, service.price), {
+      parse_mode: 'Markdown',
+      reply_markup: {
+        inline_keyboard: [
+          [{ text: this.messages.BUTTON_FLASH_SALE_CONTINUE, callback_data: `action_pay_${order.channelCode}` }],
+          [{ text: this.messages.BUTTON_CONFIRM_NO, callback_data: 'action_cancel' }]
+        ]
+      }
+    });
+    return { success: false, error: 'FLASH_SALE_ENDED' };
+  }
+
+  /**
+   * Re-read the service after the sale refused the claim and stop the checkout
+   * @private
+   */
+  async _rejectFlashSale(chatId, order) {
+    const service = await this.gameService.findServiceByCode(order.code || order.serviceCode, String(chatId));
+    if (!service) {
+      await this.ui.sendOrEdit(chatId, this.messages.PAYMENT_ERROR);
+      return { success: false, error: 'FLASH_SALE_ENDED' };
+    }
+    return await this.sendFlashSaleEnded(chatId, order, service.flashSale ? { ...service, price: service.flashSale.regularPrice } : service);
+  }
+
+  /**
+   * Checkout stopped because the applied points are no longer spendable
+   *
+   * @param {string} chatId - Telegram chat identifier
+   * @param {number} points - Points applied on the review
+   * @returns {Promise<Object>} { success: false, error: 'POINTS_INVALID' }
+   */
+  async sendPointsRejected(chatId, points) {
+    await this.ui.sendOrEdit(chatId, this.messages.POINTS_REJECTED_AT_CHECKOUT(points), {
+      parse_mode: 'Markdown',
+      reply_markup: {
+        inline_keyboard: [
+          [{ text: this.messages.BUTTON_POINTS_CONTINUE_WITHOUT, callback_data: 'points_remove' }],
+          [{ text: this.messages.BUTTON_CONFIRM_NO, callback_data: 'action_cancel' }]
+        ]
+      }
+    });
+    return { success: false, error: 'POINTS_INVALID' };
+  }
+
+  /**
+   * Checkout stopped because the applied promo is no longer valid
+   *
+   * @param {string} chatId - Telegram chat identifier
+   * @param {string} code - Promo code
+   * @param {string} error - PromoService error code
+   * @param {Object} [promo=null] - Promo row (for the minimum order)
+   * @returns {Promise<Object>} { success: false, error: 'PROMO_INVALID' }
+   */
+  async sendPromoRejected(chatId, code, error, promo = null) {
+    await this.ui.sendOrEdit(chatId, this.messages.PROMO_REJECTED_AT_CHECKOUT(code, this.messages.PROMO_ERROR_TEXT(error, promo)), {
+      parse_mode: 'Markdown',
+      reply_markup: {
+        inline_keyboard: [
+          [{ text: this.messages.BUTTON_PROMO_CONTINUE_WITHOUT, callback_data: 'promo_remove' }],
+          [{ text: this.messages.BUTTON_CONFIRM_NO, callback_data: 'action_cancel' }]
+        ]
+      }
+    });
+    return { success: false, error: 'PROMO_INVALID' };
+  }
+
+  /**
+   * Checkout stopped while the order's reservations were taken: points spent meanwhile,
+   * flash sale ended or sold out, promo cap reached by other orders since the review
+   * @private
+   * @returns {Promise<Object|null>} Handler result, null if the error is not a refused reservation
+   */
+  async _rejectReservation(chatId, order, error) {
+    if (error === 'POINTS_INSUFFICIENT') return await this.sendPointsRejected(chatId, order.pointsUsed);
+    if (error === 'FLASH_SALE_ENDED') return await this._rejectFlashSale(chatId, order);
+    if (error?.startsWith('PROMO_')) return await this.sendPromoRejected(chatId, order.promoCode, error.replace(/^PROMO_/, ''));
+    return null;
   }
 
   /**
@@ -116,7 +269,7 @@ export class PaymentHandler {
    * @param {string} chatId - Telegram chat identifier
    * @param {Object} [orderData=null] - Order details
    * @param {Object} [options={}] - Additional options
-   * @returns {Promise<void>}
+   * @returns {Promise<Object|void>} Balance payment result ({ success, error? }) for wallet checkout
    */
   async processPayment(chatId, orderData = null, options = {}) {
     if (!this.paymentService) {
@@ -138,16 +291,50 @@ export class PaymentHandler {
       // SECURITY: Validate Amount against Database
       // Prevent manipulation of session data or stale prices
       if (this.gameService) {
-        const serviceInfo = await this.gameService.findServiceByCode(order.item);
+        const serviceCode = order.code || order.serviceCode;
+        const serviceInfo = await this.gameService.findServiceByCode(serviceCode, String(chatId));
         if (!serviceInfo) {
-          throw new Error(`Invalid item code: ${order.item}`);
+          throw new Error(`Invalid item code: ${serviceCode}`);
+        }
+
+        // Flash sale shown on the review is over: no invoice at a price the user did not see
+        if (order.flashSaleId && !serviceInfo.flashSale) {
+          logger.warn(`[PaymentHandler] Flash sale ended before checkout | ChatId: ${chatId} | Sale: ${order.flashSaleId}`);
+          return await this.sendFlashSaleEnded(chatId, order, serviceInfo);
         }
 
-        // Always use fresh price from DB
-        const freshBasePrice = serviceInfo.priceBasic;
+        // Always use fresh sell price from DB (provider cost + pricing rules, user's tier, flash sale)
+        const freshBasePrice = serviceInfo.price;
+
+        // Promo is checked again: caps, window and minimum order may have changed since review
+        let discountAmount = 0n;
+        if (order.promoCode) {
+          const promo = await this.paymentService.validatePromo(order.promoCode, {
+            userId: String(chatId),
+            game: order.game,
+            serviceCode,
+            amount: freshBasePrice
+          });
+          if (!promo.success) {
+            logger.warn(`[PaymentHandler] Promo rejected at checkout | ChatId: ${chatId} | Code: ${order.promoCode} | Error: ${promo.error}`);
+            return await this.sendPromoRejected(chatId, order.promoCode, promo.error, promo.promo);
+          }
+          discountAmount = promo.discount;
+        }
+
+        // Points are quoted again on the fresh price: spent or expired points stop the checkout
+        let pointsDiscount = 0n;
+        if (order.pointsUsed) {
+          const quote = await this.paymentService.quotePoints(String(chatId), BigInt(freshBasePrice) - discountAmount);
+          if (!quote || quote.points < order.pointsUsed) {
+            logger.warn(`[PaymentHandler] Points rejected at checkout | ChatId: ${chatId} | Points: ${order.pointsUsed} | Spendable: ${quote?.points ?? 0}`);
+            return await this.sendPointsRejected(chatId, order.pointsUsed);
+          }
+          pointsDiscount = BigInt(order.pointsUsed) * quote.pointValue;
+        }
 
         // Recalculate total with fees
-        const calculation = await this.paymentService.calculateFinalAmount(freshBasePrice, order.channelCode);
+        const calculation = await this.paymentService.calculateFinalAmount(freshBasePrice, order.channelCode, discountAmount, pointsDiscount);
 
         // Audit log if price changed (stale session vs fresh DB)
         if (BigInt(order.amount) !== BigInt(calculation.finalAmount)) {
@@ -157,7 +344,20 @@ export class PaymentHandler {
         // FORCE OVERRIDE session data with fresh calculated values
         order.amount = calculation.finalAmount; // Total matches DB + Fee
         order.basePrice = calculation.baseAmount;
+        order.discountAmount = calculation.discountAmount;
+        order.pointsDiscount = calculation.pointsDiscount;
         order.feeAmount = calculation.feeAmount;
+        order.feeType = calculation.feeType;
+        order.providerCost = serviceInfo.priceBasic;
+        order.flashSaleId = serviceInfo.flashSale?.id || null;
+      }
+
+      if (order.channelCode === WALLET.CHANNEL_CODE) {
+        return await this.processBalancePayment(chatId, order);
+      }
+
+      if (order.channelCode === MANUAL_TRANSFER.CHANNEL_CODE) {
+        return await this.processManualTransfer(chatId, order);
       }
 
       const result = await this.paymentService.createInvoice(order);
@@ -185,6 +385,8 @@ export class PaymentHandler {
           return; // Don't re-throw, invoice IS created
         }
       } else {
+        const rejected = await this._rejectReservation(chatId, order, result.error);
+        if (rejected) return rejected;
         await this.ui.sendOrEdit(chatId, this.messages.PAYMENT_ERROR);
       }
     } catch (error) {
@@ -194,6 +396,115 @@ export class PaymentHandler {
     }
   }
 
+  /**
+   * Pay the order with wallet balance and show the receipt
+   *
+   * @param {string} chatId - Telegram chat identifier
+   * @param {Object} order - Validated order (fresh amount)
+   * @returns {Promise<Object>} { success, error? }
+   */
+  async processBalancePayment(chatId, order) {
+    const result = await this.paymentService.payWithBalance(order);
+
+    if (!result.success) {
+      if (result.error === 'INSUFFICIENT_BALANCE') {
+        await this.sendInsufficientBalance(chatId, result.balance, order.amount);
+      } else {
+        const rejected = await this._rejectReservation(chatId, order, result.error);
+        if (rejected) return rejected;
+        await this.ui.sendOrEdit(chatId, this.messages.PAYMENT_ERROR);
+      }
+      return result;
+    }
+
+    const safeNickname = Sanitizer.escapeMarkdown(order.nickname || '');
+    const text = this.messages.WALLET_PAYMENT_SUCCESS(order.item, order.playerId, order.zoneId, safeNickname, order.amount, result.balance, result.merchantRef);
+    const keyboard = {
+      inline_keyboard: [
+        [{ text: this.messages.BUTTON_CHECK_STATUS, callback_data: `action_check_trx_${result.merchantRef}` }],
+        [{ text: this.messages.BUTTON_BACK_HISTORY, callback_data: "menu_history" }]
+      ]
+    };
+
+    const response = await this.ui.sendOrEdit(chatId, text, { parse_mode: 'Markdown', reply_markup: keyboard });
+    if (response?.result?.message_id) {
+      await this.paymentService.updateTransactionMessageId(result.merchantRef, response.result.message_id);
+    }
+    return result;
+  }
+
+  /**
+   * Create a manual bank transfer and show the account details
+   *
+   * @param {string} chatId - Telegram chat identifier
+   * @param {Object} order - Validated order (fresh amount)
+   * @returns {Promise<Object>} { success, error? }
+   */
+  async processManualTransfer(chatId, order) {
+    if (!this.manualTransfer.enabled) {
+      logger.warn(`[PaymentHandler] Manual transfer selected but not configured | ChatId: ${chatId}`);
+      await this.ui.sendOrEdit(chatId, this.messages.PAYMENT_ERROR);
+      return { success: false, error: 'DISABLED' };
+    }
+
+    const result = await this.paymentService.createManualTransfer(order);
+    if (!result.success) {
+      const rejected = await this._rejectReservation(chatId, order, result.error);
+      if (rejected) return rejected;
+      await this.ui.sendOrEdit(chatId, this.messages.PAYMENT_ERROR);
+      return result;
+    }
+
+    await this.sendManualTransferInstructions(chatId, {
+      merchantRef: result.merchantRef,
+      item: order.item,
+      amount: order.amount,
+      expiryDate: result.expiryDate,
+      proofFileId: null
+    });
+    return result;
+  }
+
+  /**
+   * Show bank account details for a manual transfer (also used to reprint it)
+   *
+   * @param {string} chatId - Telegram chat identifier
+   * @param {Object} trx - { merchantRef, item, amount, expiryDate, proofFileId }
+   * @returns {Promise<void>}
+   */
+  async sendManualTransferInstructions(chatId, trx) {
+    const text = this.messages.MANUAL_TRANSFER_INSTRUCTIONS(this.manualTransfer, trx);
+    const keyboard = {
+      inline_keyboard: [
+        [{ text: this.messages.BUTTON_CHECK_STATUS, callback_data: `action_check_trx_${trx.merchantRef}` }],
+        [{ text: this.messages.BUTTON_BACK_HISTORY, callback_data: "menu_history" }]
+      ]
+    };
+
+    const response = await this.ui.sendOrEdit(chatId, text, { parse_mode: 'Markdown', reply_markup: keyboard });
+    if (response?.result?.message_id) {
+      await this.paymentService.updateTransactionMessageId(trx.merchantRef, response.result.message_id);
+    }
+  }
+
+  /**
+   * Tell the user their balance doesn't cover the order
+   *
+   * @param {string} chatId - Telegram chat identifier
+   * @param {BigInt|number} balance - Current balance
+   * @param {BigInt|number} amount - Order total
+   * @returns {Promise<void>}
+   */
+  async sendInsufficientBalance(chatId, balance, amount) {
+    const keyboard = {
+      inline_keyboard: [
+        [{ text: this.messages.BUTTON_WALLET_TOPUP, callback_data: "wallet_home" }],
+        [{ text: this.messages.BUTTON_OTHER_METHOD, callback_data: "menu_payment" }]
+      ]
+    };
+    await this.ui.sendOrEdit(chatId, this.messages.WALLET_INSUFFICIENT(balance, amount), { parse_mode: 'Markdown', reply_markup: keyboard });
+  }
+
   /**
    * Send QR code invoice with payment details
    * Renders QR code image with caption and action buttons
@@ -207,22 +518,30 @@ export class PaymentHandler {
   async sendQRInvoice(chatId, result, orderData, options = {}) {
     // Note: this.ui is injected via constructor
 
-    const qrImageUrl = `${QR_CODE.API_URL}${encodeURIComponent(result.qr_string)}&size=${QR_CODE.SIZE}`;
-    const caption = this.messages.PAYMENT_INVOICE(orderData.item, orderData.amount, result.expiry_date, result.payment_url);
+    const caption = this.brandCaption(this.messages.PAYMENT_INVOICE(orderData.item, orderData.amount, result.expiry_date, result.payment_url));
+
+    if (!this.qrRenderer || !result.qr_string) {
+      await this.sendPaymentLinkFallback(chatId, result);
+      return;
+    }
 
     try {
+      const qrImage = await this.qrRenderer.renderPng(result.qr_string);
+
       const keyboard = {
         inline_keyboard: [
           [{ text: "🔄 Cek Status Transaksi", callback_data: `action_check_trx_${result.trx_id || orderData.merchantRef}` }],
           [{ text: "❓ Cara Bayar", callback_data: `info_${orderData.channelCode || 'guide'}` }],
+          ...this.getSwitchMethodRows(result, orderData),
           [{ text: "🔙 Kembali ke Riwayat", callback_data: "menu_history" }]
         ]
       };
 
-      const photoResponse = await this.ui.sendPhoto(chatId, qrImageUrl, {
+      const photoResponse = await this.ui.sendPhoto(chatId, qrImage, {
         caption: caption,
         parse_mode: 'Markdown',
-        reply_markup: keyboard
+        reply_markup: keyboard,
+        filename: QR_CODE.FILENAME
       });
 
       if (photoResponse?.result?.message_id) {
@@ -234,6 +553,34 @@ export class PaymentHandler {
     }
   }
 
+  /**
+   * "Change method" button of an unpaid invoice (replaced by one on another channel)
+   *
+   * @param {Object} result - Payment creation result (or reprinted invoice)
+   * @param {Object} orderData - Order details
+   * @returns {Array} Keyboard rows (empty once the invoice is no longer unpaid)
+   */
+  getSwitchMethodRows(result, orderData) {
+    const ref = result.merchantRef || orderData.merchantRef;
+    if (!ref || (result.status || PAYMENT_STATUS.UNPAID) !== PAYMENT_STATUS.UNPAID) return [];
+
+    const callbackData = `action_switch_${ref}`;
+    if (Buffer.byteLength(callbackData) > INVOICE_SWITCH.CALLBACK_MAX_BYTES) return [];
+    return [[{ text: this.messages.BUTTON_SWITCH_METHOD, callback_data: callbackData }]];
+  }
+
+  /**
+   * Store name above the QR invoice caption
+   * Only when enabled via QR_BRANDING (amount and expiry are already in the caption)
+   *
+   * @param {string} caption - Invoice caption
+   * @returns {string} Caption, with the store header when branding is on
+   */
+  brandCaption(caption) {
+    if (!this.qrBranding.enabled || !this.qrBranding.storeName) return caption;
+    return this.messages.PAYMENT_INVOICE_STORE(this.qrBranding.storeName) + caption;
+  }
+
   /**
    * Send payment link as text (fallback)
    * Used when QR image generation fails or as alternative display
@@ -267,7 +614,7 @@ export class PaymentHandler {
     const trxDate = orderData.createdAt ? new Date(orderData.createdAt) : new Date();
     const expiryDate = result.expiry_date ? new Date(result.expiry_date) : new Date(trxDate.getTime() + TIMEOUTS.PAYMENT_EXPIRY_MS);
 
-    const statusMap = { 'PENDING': this.messages.STATUS_WAITING, 'PAID': this.messages.STATUS_SUCCESS, 'FAILED': this.messages.STATUS_FAILED, 'EXPIRED': this.messages.STATUS_EXPIRED, 'PROCESSING': '⚙️ DIPROSES' };
+    const statusMap = { 'PENDING': this.messages.STATUS_WAITING, 'PAID': this.messages.STATUS_SUCCESS, 'FAILED': this.messages.STATUS_FAILED, 'EXPIRED': this.messages.STATUS_EXPIRED, 'PROCESSING': this.messages.STATUS_PROCESSING, 'DELIVERED': this.messages.STATUS_DELIVERED, 'DELIVERY_FAILED': this.messages.STATUS_DELIVERY_FAILED, 'REFUNDED': this.messages.STATUS_REFUNDED };
     const statusText = statusMap[(result.status || 'PENDING').toUpperCase()] || result.status;
 
     let message = this.messages.PAYMENT_DETAILS_HEADER;
@@ -294,7 +641,7 @@ export class PaymentHandler {
 
     message += this.messages.PAYMENT_DETAILS_FOOTER(statusText, this._formatDate(trxDate), this._formatDate(expiryDate), trxId);
 
-    const keyboard = { inline_keyboard: [[], [{ text: this.messages.BUTTON_CHECK_STATUS, callback_data: `action_check_trx_${trxId}` }], [{ text: this.messages.BUTTON_HOW_TO_PAY, callback_data: `info_${orderData.channelCode || 'guide'}` }, { text: this.messages.BUTTON_BACK_HISTORY, callback_data: "menu_history" }]] };
+    const keyboard = { inline_keyboard: [[], [{ text: this.messages.BUTTON_CHECK_STATUS, callback_data: `action_check_trx_${trxId}` }], ...this.getSwitchMethodRows(result, orderData), [{ text: this.messages.BUTTON_HOW_TO_PAY, callback_data: `info_${orderData.channelCode || 'guide'}` }, { text: this.messages.BUTTON_BACK_HISTORY, callback_data: "menu_history" }]] };
     if (result.payment_url || (isUrl ? result.payment_code : null)) {
       keyboard.inline_keyboard[0].push({ text: this.messages.BUTTON_PAY_NOW(""), url: result.payment_url || result.payment_code });
     }
@@ -316,7 +663,7 @@ export class PaymentHandler {
    * @returns {Promise<void>}
    */
   async sendTransactionStatus(chatId, statusData, options = {}) {
-    const statusMap = { 'UNPAID': this.messages.STATUS_WAITING, 'PAID': this.messages.STATUS_SUCCESS, 'FAILED': this.messages.STATUS_FAILED, 'EXPIRED': this.messages.STATUS_EXPIRED };
+    const statusMap = { 'UNPAID': this.messages.STATUS_WAITING, 'PAID': this.messages.STATUS_SUCCESS, 'FAILED': this.messages.STATUS_FAILED, 'EXPIRED': this.messages.STATUS_EXPIRED, 'PROCESSING': this.messages.STATUS_PROCESSING, 'DELIVERED': this.messages.STATUS_DELIVERED, 'DELIVERY_FAILED': this.messages.STATUS_DELIVERY_FAILED, 'REFUNDED': this.messages.STATUS_REFUNDED };
     const statusText = statusMap[statusData.status] || statusData.status;
     const ref = statusData.merchantRef || statusData.trxId || '-';
 
@@ -325,6 +672,10 @@ export class PaymentHandler {
     msg += this.messages.STATUS_REF_LABEL(ref);
     msg += this.messages.STATUS_LABEL(statusText);
     if (statusData.status === 'PAID') msg += this.messages.STATUS_PAID_DESC;
+    else if (statusData.status === 'PROCESSING') msg += this.messages.STATUS_PROCESSING_DESC;
+    else if (statusData.status === 'DELIVERED') msg += this.messages.STATUS_DELIVERED_DESC(statusData.serialNumber);
+    else if (statusData.status === 'DELIVERY_FAILED') msg += this.messages.STATUS_DELIVERY_FAILED_DESC;
+    else if (statusData.status === 'REFUNDED') msg += this.messages.STATUS_REFUNDED_DESC;
     else if (statusData.status === 'UNPAID') msg += this.messages.STATUS_UNPAID_DESC;
     msg += `\n━━━━━━━━━━━━━━━━━━━━\n`;
 
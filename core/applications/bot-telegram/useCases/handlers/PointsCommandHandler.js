@@ -0,0 +1,127 @@
+/**
+ * @file PointsCommandHandler.js
+ * @description Admin text command for loyalty points
+ * @responsibility Parse /points, run it through AdminService, reply to the admin and tell the user about adjustments
+ *
+ * @requires AdminService - Points ledger and earn rates (via LoyaltyService) + audit trail
+ * @requires Logger - Logging service
+ *
+ * @architecture Hexagonal Architecture - Application Layer
+ * @pattern Command Pattern - One method per bot command
+ *
+ * @example
+ * const pointsCommands = new PointsCommandHandler(deps, config);
+ * await pointsCommands.handlePoints(chatId, ['123456789', '+500', 'kompensasi'], sender, message);
+ * // Adds 500 points to user 123456789 and sends them POINTS_ADJUSTED_NOTICE
+ *
+ * @commands Supported commands (admin role only, silently ignored for others):
+ * - /points <telegramId> [+/-n note] | rate [...]: Points balance, adjustments and per-brand earn rates
+ *
+ * @related
+ * - AdminCommandBase.js - Permission check and admin reply
+ * - LoyaltyService.js - Points earning, redemption and adjustments
+ * - LoyaltyRouter.js - Customer-side points menu
+ */
+import logger from '../../../../shared/services/Logger.js';
+import { AdminCommandBase } from './AdminCommandBase.js';
+import { PERMISSIONS } from '../../security/authz/permissions.js';
+
+// "+500" / "-200" / "500" on /points adjustments
+const POINTS_PATTERN = /^[+-]?\d+$/;
+
+export class PointsCommandHandler extends AdminCommandBase {
+  /**
+   * /points <telegramId>                    → balance and recent entries
+   * /points <telegramId> <+/-n> [note]      → add or deduct points (user is told)
+   * /points rate                            → list earn rates
+   * /points rate <BRAND> <rate|del>
+   */
+  async handlePoints(chatId, args, sender, message) {
+    if (!await this._authorize(chatId, PERMISSIONS.ADMIN_LOYALTY_MANAGE, '/points')) return;
+    if (!this.adminService?.isLoyaltyEnabled()) {
+      return await this._reply(chatId, this.messages.ADMIN_POINTS_DISABLED);
+    }
+
+    const [target, value, ...rest] = args;
+    if (!target) return await this._reply(chatId, this.messages.ADMIN_CMD_USAGE_POINTS);
+
+    try {
+      if (target.toLowerCase() === 'rate') {
+        if (!value) return await this._listLoyaltyRates(chatId);
+        return await this._setLoyaltyRate(chatId, value, rest[0], message);
+      }
+      if (!value) return await this._showPoints(chatId, target);
+      return await this._adjustPoints(chatId, target, value, rest.join(' ').trim() || null, message);
+    } catch (error) {
+      await this.handleError('Admin Points Error', error, chatId, { input: args.join(' ') });
+    }
+  }
+
+  /**
+   * @private
+   */
+  async _showPoints(chatId, telegramId) {
+    const result = await this.adminService.getUserPoints(telegramId);
+    if (!result.success) return await this._reply(chatId, this._describePointsError(result.error));
+
+    await this._reply(chatId, this.messages.ADMIN_POINTS_USER(telegramId, result.summary));
+  }
+
+  /**
+   * @private
+   */
+  async _adjustPoints(chatId, telegramId, value, note, message) {
+    if (!POINTS_PATTERN.test(value)) return await this._reply(chatId, this.messages.ADMIN_CMD_USAGE_POINTS);
+
+    const result = await this.adminService.adjustPoints(this._admin(chatId, message), telegramId, Number(value), note);
+    if (!result.success) return await this._reply(chatId, this._describePointsError(result.error));
+
+    try {
+      await this.sendPort.sendMessage(String(result.user.chatId), this.messages.POINTS_ADJUSTED_NOTICE(result.points, result.balance, note), { parse_mode: 'Markdown' });
+    } catch (error) {
+      logger.warn(`[PointsCommandHandler] Points notice to ${result.user.chatId} failed: ${error.message}`);
+    }
+    await this._reply(chatId, this.messages.ADMIN_POINTS_ADJUSTED(telegramId, result.points, result.balance));
+  }
+
+  /**
+   * @private
+   */
+  async _listLoyaltyRates(chatId) {
+    const { defaultRate, rates } = await this.adminService.listLoyaltyRates();
+
+    let text = this.messages.ADMIN_POINTS_RATES_TITLE(defaultRate);
+    text += rates.length > 0
+      ? rates.map(rate => this.messages.ADMIN_POINTS_RATE_LINE(rate)).join('')
+      : this.messages.ADMIN_POINTS_RATES_EMPTY;
+    text += `\n${this.messages.ADMIN_CMD_USAGE_POINTS}`;
+
+    await this._reply(chatId, text);
+  }
+
+  /**
+   * @private
+   */
+  async _setLoyaltyRate(chatId, brand, value, message) {
+    if (!value) return await this._reply(chatId, this.messages.ADMIN_CMD_USAGE_POINTS);
+    const admin = this._admin(chatId, message);
+
+    if (value.toLowerCase() === 'del') {
+      const result = await this.adminService.deleteLoyaltyRate(admin, brand);
+      if (!result.success) return await this._reply(chatId, this._describePointsError(result.error));
+      return await this._reply(chatId, this.messages.ADMIN_POINTS_RATE_DELETED(brand.toUpperCase()));
+    }
+
+    const result = await this.adminService.setLoyaltyRate(admin, brand, Number(value.replace(',', '.')));
+    if (!result.success) return await this._reply(chatId, this._describePointsError(result.error));
+
+    await this._reply(chatId, this.messages.ADMIN_POINTS_RATE_SAVED(result.rate));
+  }
+
+  /**
+   * @private
+   */
+  _describePointsError(error) {
+    return this.messages.ADMIN_POINTS_ERRORS[error] || this.messages.ERR_GENERIC;
+  }
+}
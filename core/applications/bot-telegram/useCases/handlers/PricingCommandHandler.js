@@ -0,0 +1,186 @@
+/**
+ * @file PricingCommandHandler.js
+ * @description Admin text command for sell price rules
+ * @responsibility Parse /pricing, run it through AdminService and reply to the admin
+ *
+ * @requires AdminService - Pricing rules (via PricingService) + audit trail
+ * @requires GameService - Product lookup for /pricing check
+ * @requires Logger - Logging service
+ *
+ * @architecture Hexagonal Architecture - Application Layer
+ * @pattern Command Pattern - One method per bot command
+ *
+ * @example
+ * const pricingCommands = new PricingCommandHandler(deps, config);
+ * await pricingCommands.handlePricing(chatId, ['set', 'BRAND', 'MLBB', '5%', 'round=100'], sender, message);
+ * // Saves a 5% markup for Mobile Legends products, rounded up to 100
+ *
+ * @commands Supported commands (admin role only, silently ignored for others):
+ * - /pricing [set|del|check ...]: List and edit sell price rules (markup over provider cost)
+ *
+ * @related
+ * - AdminCommandBase.js - Permission check and admin reply
+ * - PricingService.js - Sell price rules and quotes
+ */
+import logger from '../../../../shared/services/Logger.js';
+import { AdminCommandBase } from './AdminCommandBase.js';
+import { PERMISSIONS } from '../../security/authz/permissions.js';
+import { PRICING_SCOPE } from '../../../../shared/config/constants.js';
+
+export class PricingCommandHandler extends AdminCommandBase {
+  /**
+   * Constructor for PricingCommandHandler
+   *
+   * @param {Object} deps - Dependency injection object (admin deps: see AdminCommandBase)
+   * @param {Object} deps.gameService - Product lookup (/pricing check)
+   * @param {Object} config - Configuration object
+   * @extends AdminCommandBase
+   */
+  constructor(deps, config) {
+    super(deps, config);
+
+    this.gameService = deps.gameService;
+  }
+
+  /**
+   * /pricing                                   → list rules
+   * /pricing set <scope> [target] <markup...>  → markup: 5% | 2000 | round=100 | min=500
+   * /pricing del <scope> [target]
+   * /pricing check <serviceCode>
+   */
+  async handlePricing(chatId, args, sender, message) {
+    if (!await this._authorize(chatId, PERMISSIONS.ADMIN_PRICING_MANAGE, '/pricing')) return;
+    if (!this.adminService?.pricingService) {
+      logger.error('[PricingCommandHandler] PricingService not configured');
+      return await this._reply(chatId, this.messages.ERR_GENERIC || 'Terjadi kesalahan.');
+    }
+
+    const [subcommand, ...rest] = args;
+
+    try {
+      switch ((subcommand || 'list').toLowerCase()) {
+        case 'list':
+          return await this._listPricing(chatId);
+        case 'set':
+          return await this._setPricing(chatId, rest, message);
+        case 'del':
+          return await this._deletePricing(chatId, rest, message);
+        case 'check':
+          return await this._checkPricing(chatId, rest);
+        default:
+          return await this._reply(chatId, this.messages.ADMIN_CMD_USAGE_PRICING);
+      }
+    } catch (error) {
+      await this.handleError('Admin Pricing Error', error, chatId, { input: args.join(' ') });
+    }
+  }
+
+  /**
+   * @private
+   */
+  async _listPricing(chatId) {
+    const { rules, defaultRule } = await this.adminService.listPricingRules();
+
+    let text = this.messages.ADMIN_PRICING_TITLE;
+    text += rules.length > 0
+      ? rules.map(rule => this.messages.ADMIN_PRICING_RULE_LINE(rule)).join('')
+      : this.messages.ADMIN_PRICING_EMPTY;
+    text += this.messages.ADMIN_PRICING_DEFAULT_LINE(defaultRule);
+    text += `\n${this.messages.ADMIN_CMD_USAGE_PRICING}`;
+
+    await this._reply(chatId, text);
+  }
+
+  /**
+   * @private
+   */
+  async _setPricing(chatId, args, message) {
+    const { scope, target, tokens } = this._parseScope(args);
+    const markup = this._parseMarkup(tokens);
+    if (!scope || !markup) return await this._reply(chatId, this.messages.ADMIN_CMD_USAGE_PRICING);
+
+    const result = await this.adminService.setPricingRule(this._admin(chatId, message), { scope, target, ...markup });
+    if (!result.success) return await this._reply(chatId, this._describePricingError(result.error));
+
+    await this._reply(chatId, this.messages.ADMIN_PRICING_SAVED(result.rule));
+  }
+
+  /**
+   * @private
+   */
+  async _deletePricing(chatId, args, message) {
+    const { scope, target } = this._parseScope(args);
+    if (!scope) return await this._reply(chatId, this.messages.ADMIN_CMD_USAGE_PRICING);
+
+    const result = await this.adminService.deletePricingRule(this._admin(chatId, message), scope, target);
+    if (!result.success) return await this._reply(chatId, this._describePricingError(result.error));
+
+    await this._reply(chatId, this.messages.ADMIN_PRICING_DELETED(scope, target));
+  }
+
+  /**
+   * @private
+   */
+  async _checkPricing(chatId, args) {
+    const [serviceCode] = args;
+    if (!serviceCode || !this.gameService) return await this._reply(chatId, this.messages.ADMIN_CMD_USAGE_PRICING);
+
+    const service = await this.gameService.findServiceByCode(serviceCode);
+    if (!service) return await this._reply(chatId, this.messages.ERR_PRODUCT_NOT_FOUND(serviceCode));
+
+    const quote = await this.adminService.quotePrice(service);
+    await this._reply(chatId, this.messages.ADMIN_PRICING_CHECK(service, quote));
+  }
+
+  /**
+   * "<scope> [target] ..." → GLOBAL takes no target
+   * @private
+   */
+  _parseScope(args) {
+    const [rawScope, ...rest] = args;
+    const scope = String(rawScope || '').toUpperCase();
+    if (!Object.values(PRICING_SCOPE).includes(scope)) return { scope: null, target: '', tokens: [] };
+    if (scope === PRICING_SCOPE.GLOBAL) return { scope, target: '', tokens: rest };
+
+    const [target, ...tokens] = rest;
+    return { scope, target: target || '', tokens };
+  }
+
+  /**
+   * Markup tokens: "5%" percent, "2000" flat, "round=100", "min=500"
+   * @private
+   * @returns {Object|null} null on an unknown token or when nothing was given
+   */
+  _parseMarkup(tokens) {
+    if (tokens.length === 0) return null;
+    const markup = { markupPercent: 0, markupFlat: 0, roundTo: 0, minMargin: 0 };
+
+    for (const token of tokens) {
+      const [key, value] = token.toLowerCase().split('=');
+      if (value !== undefined) {
+        const amount = Number(value);
+        if (!Number.isInteger(amount) || amount < 0) return null;
+        if (key === 'round') markup.roundTo = amount;
+        else if (key === 'min') markup.minMargin = amount;
+        else return null;
+      } else if (key.endsWith('%')) {
+        const percent = Number(key.slice(0, -1).replace(',', '.'));
+        if (!Number.isFinite(percent) || percent < 0) return null;
+        markup.markupPercent = percent;
+      } else {
+        const amount = Number(key);
+        if (!Number.isInteger(amount) || amount < 0) return null;
+        markup.markupFlat = amount;
+      }
+    }
+
+    return markup;
+  }
+
+  /**
+   * @private
+   */
+  _describePricingError(error) {
+    return this.messages.ADMIN_PRICING_ERRORS[error] || this.messages.ERR_GENERIC;
+  }
+}
@@ -0,0 +1,195 @@
+/**
+ * @file PromoCommandHandler.js
+ * @description Admin text command for promo codes
+ * @responsibility Parse /promo, run it through AdminService and reply to the admin
+ *
+ * @requires AdminService - Promo codes (via PromoService) + audit trail
+ * @requires Logger - Logging service
+ *
+ * @architecture Hexagonal Architecture - Application Layer
+ * @pattern Command Pattern - One method per bot command
+ *
+ * @example
+ * const promoCommands = new PromoCommandHandler(deps, config);
+ * await promoCommands.handlePromo(chatId, ['set', 'HEMAT10', '10%', 'max=5000', 'until=2026-12-31'], sender, message);
+ * // Saves HEMAT10: 10% off (at most 5000) until the end of 31 Dec 2026 WIB
+ *
+ * @commands Supported commands (admin role only, silently ignored for others):
+ * - /promo [set|on|off|del ...]: List and edit promo codes
+ *
+ * @related
+ * - AdminCommandBase.js - Permission check and admin reply
+ * - PromoService.js - Promo validation and redemption
+ * - PromoRouter.js - Customer-side promo input
+ */
+import logger from '../../../../shared/services/Logger.js';
+import { AdminCommandBase } from './AdminCommandBase.js';
+import { PERMISSIONS } from '../../security/authz/permissions.js';
+import { PROMO_DISCOUNT_TYPE, ADMIN } from '../../../../shared/config/constants.js';
+
+// "from=" / "until=" dates are whole days in WIB
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+export class PromoCommandHandler extends AdminCommandBase {
+  /**
+   * /promo                                  → list promos
+   * /promo set <CODE> <10%|5000> [options]   → max= min= limit= user= game= item= from= until=
+   * /promo on|off <CODE>
+   * /promo del <CODE>
+   */
+  async handlePromo(chatId, args, sender, message) {
+    if (!await this._authorize(chatId, PERMISSIONS.ADMIN_PROMO_MANAGE, '/promo')) return;
+    if (!this.adminService?.promoService) {
+      logger.error('[PromoCommandHandler] PromoService not configured');
+      return await this._reply(chatId, this.messages.ERR_GENERIC || 'Terjadi kesalahan.');
+    }
+
+    const [subcommand, code, ...rest] = args;
+
+    try {
+      switch ((subcommand || 'list').toLowerCase()) {
+        case 'list':
+          return await this._listPromos(chatId);
+        case 'set':
+          return await this._setPromo(chatId, code, rest, message);
+        case 'on':
+        case 'off':
+          return await this._togglePromo(chatId, code, subcommand.toLowerCase() === 'on', message);
+        case 'del':
+          return await this._deletePromo(chatId, code, message);
+        default:
+          return await this._reply(chatId, this.messages.ADMIN_CMD_USAGE_PROMO);
+      }
+    } catch (error) {
+      await this.handleError('Admin Promo Error', error, chatId, { input: args.join(' ') });
+    }
+  }
+
+  /**
+   * @private
+   */
+  async _listPromos(chatId) {
+    const promos = await this.adminService.listPromos();
+
+    let text = this.messages.ADMIN_PROMO_TITLE;
+    text += promos.length > 0
+      ? promos.map(promo => this.messages.ADMIN_PROMO_LINE(promo)).join('')
+      : this.messages.ADMIN_PROMO_EMPTY;
+    text += `\n${this.messages.ADMIN_CMD_USAGE_PROMO}`;
+
+    await this._reply(chatId, text);
+  }
+
+  /**
+   * @private
+   */
+  async _setPromo(chatId, code, tokens, message) {
+    const promo = code ? this._parsePromo(tokens) : null;
+    if (!promo) return await this._reply(chatId, this.messages.ADMIN_CMD_USAGE_PROMO);
+
+    const result = await this.adminService.setPromo(this._admin(chatId, message), { code, ...promo });
+    if (!result.success) return await this._reply(chatId, this._describePromoError(result.error));
+
+    await this._reply(chatId, this.messages.ADMIN_PROMO_SAVED(result.promo));
+  }
+
+  /**
+   * @private
+   */
+  async _togglePromo(chatId, code, isActive, message) {
+    if (!code) return await this._reply(chatId, this.messages.ADMIN_CMD_USAGE_PROMO);
+
+    const result = await this.adminService.setPromoActive(this._admin(chatId, message), code, isActive);
+    if (!result.success) return await this._reply(chatId, this._describePromoError(result.error));
+
+    await this._reply(chatId, this.messages.ADMIN_PROMO_TOGGLED(result.promo.code, isActive));
+  }
+
+  /**
+   * @private
+   */
+  async _deletePromo(chatId, code, message) {
+    if (!code) return await this._reply(chatId, this.messages.ADMIN_CMD_USAGE_PROMO);
+
+    const result = await this.adminService.deletePromo(this._admin(chatId, message), code);
+    if (!result.success) return await this._reply(chatId, this._describePromoError(result.error));
+
+    await this._reply(chatId, this.messages.ADMIN_PROMO_DELETED(code.toUpperCase()));
+  }
+
+  /**
+   * Discount ("10%" or "5000") followed by key=value options
+   * @private
+   * @returns {Object|null} null on a missing discount or an unknown/invalid option
+   */
+  _parsePromo(tokens) {
+    const [discount, ...options] = tokens;
+    if (!discount) return null;
+
+    const promo = { maxDiscount: null, minOrder: 0, usageLimit: null, perUserLimit: null, games: [], services: [], startsAt: null, endsAt: null };
+    if (discount.endsWith('%')) {
+      promo.discountType = PROMO_DISCOUNT_TYPE.PERCENT;
+      promo.discountValue = Number(discount.slice(0, -1).replace(',', '.'));
+    } else {
+      promo.discountType = PROMO_DISCOUNT_TYPE.FLAT;
+      promo.discountValue = Number(discount);
+    }
+    if (!Number.isFinite(promo.discountValue)) return null;
+
+    for (const option of options) {
+      const [key, value] = option.split('=');
+      if (!value) return null;
+
+      switch (key.toLowerCase()) {
+        case 'max':
+        case 'min':
+        case 'limit':
+        case 'user': {
+          const amount = Number(value);
+          if (!Number.isInteger(amount) || amount < 0) return null;
+          const field = { max: 'maxDiscount', min: 'minOrder', limit: 'usageLimit', user: 'perUserLimit' }[key.toLowerCase()];
+          promo[field] = amount;
+          break;
+        }
+        case 'game':
+          promo.games = value.split(',').filter(Boolean);
+          break;
+        case 'item':
+          promo.services = value.split(',').filter(Boolean);
+          break;
+        case 'from':
+        case 'until': {
+          const date = this._parseDate(value, key.toLowerCase() === 'until');
+          if (!date) return null;
+          promo[key.toLowerCase() === 'from' ? 'startsAt' : 'endsAt'] = date;
+          break;
+        }
+        default:
+          return null;
+      }
+    }
+
+    return promo;
+  }
+
+  /**
+   * YYYY-MM-DD → start (or end) of that day in WIB
+   * @private
+   * @returns {Date|null}
+   */
+  _parseDate(value, endOfDay = false) {
+    if (!DATE_PATTERN.test(value)) return null;
+    const start = new Date(`${value}T00:00:00Z`);
+    if (Number.isNaN(start.getTime())) return null;
+
+    const dayStart = start.getTime() - ADMIN.TIMEZONE_OFFSET_MS;
+    return new Date(endOfDay ? dayStart + 24 * 60 * 60 * 1000 - 1 : dayStart);
+  }
+
+  /**
+   * @private
+   */
+  _describePromoError(error) {
+    return this.messages.ADMIN_PROMO_ERRORS[error] || this.messages.ERR_GENERIC;
+  }
+}
@@ -0,0 +1,212 @@
+/**
+ * @file PromoRouter.js
+ * @description Routes promo code callbacks on the order review and consumes the typed code
+ * @responsibility Ask for a promo code, validate it against the pending order and re-render the review with the discount
+ *
+ * @requires PaymentService - Promo validation
+ * @requires PaymentHandler - Order review rendering
+ * @requires ActionRouter - Fee recalculation when a payment channel is already picked
+ * @requires SessionService - Pending order (promoCode + discountAmount)
+ * @requires UIPersistenceHelper - Single bubble UI experience
+ * @requires Logger - Logging service
+ *
+ * @architecture Hexagonal Architecture - Application Layer
+ * @pattern Router Pattern - Routes promo actions to appropriate views
+ *
+ * @example
+ * const promoRouter = new PromoRouter(deps, config);
+ * await promoRouter.route('enter', chatId, messageId);
+ * // Asks the user to type a promo code; the next text message is consumed by handleInput()
+ *
+ * @promo_actions Supported actions (callback prefix "promo_"):
+ * - enter: Ask for a promo code (open for PROMO.INPUT_TTL_MS)
+ * - remove: Drop the applied promo and show the review again
+ * - back: Show the review again unchanged
+ *
+ * @security
+ * - The discount is only a preview: PaymentHandler.processPayment validates the code again
+ *   against the fresh price before the invoice is created
+ *
+ * @related
+ * - CallbackRouter.js - Routes promo callbacks here
+ * - PaymentHandler.js - Order review with the promo button
+ * - PromoService.js - Validation rules and discount
+ */
+import logger from '../../../../shared/services/Logger.js';
+import { BaseHandler } from './BaseHandler.js';
+import { RouterResponse } from './RouterResponse.js';
+import { PROMO } from '../../../../shared/config/constants.js';
+
+export class PromoRouter extends BaseHandler {
+  /**
+   * Constructor for PromoRouter
+   *
+   * @param {Object} deps - Dependency injection object
+   * @param {Object} deps.paymentService - Promo validation
+   * @param {Object} deps.paymentHandler - Order review rendering
+   * @param {Object} deps.actionRouter - Review with channel fee (handlePayNow)
+   * @param {Object} config - Configuration object
+   * @extends BaseHandler
+   */
+  constructor(deps, config) {
+    super(deps, config);
+
+    this.paymentService = deps.paymentService;
+    this.paymentHandler = deps.paymentHandler;
+    this.actionRouter = deps.actionRouter;
+
+    // chatId -> prompt expiry timestamp
+    this._pendingInput = new Map();
+
+    this.validateDependencies({
+      paymentService: this.paymentService,
+      paymentHandler: this.paymentHandler,
+      actionRouter: this.actionRouter
+    });
+  }
+
+  /**
+   * Route promo callbacks
+   *
+   * @param {string} action - Promo action ('enter', 'remove', 'back')
+   * @param {string} chatId - Telegram chat identifier
+   * @param {number} [messageId=null] - Message ID for editing
+   * @returns {Promise<RouterResponse>} Router response
+   */
+  async route(action, chatId, messageId = null) {
+    try {
+      const pending = await this.sessionService.getPendingOrder(chatId);
+      if (!pending || !pending.serviceCode) {
+        this._pendingInput.delete(String(chatId));
+        await this.ui.sendOrEdit(chatId, this.messages.ERR_SESSION_EXPIRED);
+        return RouterResponse.toast();
+      }
+
+      switch (action) {
+        case 'enter':
+          return await this.promptCode(chatId);
+        case 'remove':
+          return await this.removePromo(chatId, pending, messageId);
+        case 'back':
+          this._pendingInput.delete(String(chatId));
+          await this.showReview(chatId, pending, messageId);
+          return RouterResponse.handled('order_review');
+        default:
+          logger.warn(`[PromoRouter] Unknown action: ${action}`);
+          return RouterResponse.toast();
+      }
+    } catch (error) {
+      await this.handleError('Promo Route Error', error, chatId, { action });
+      return RouterResponse.toast();
+    }
+  }
+
+  /**
+   * Ask the user to type a promo code
+   * @param {string} chatId - Telegram chat identifier
+   * @returns {Promise<RouterResponse>}
+   */
+  async promptCode(chatId) {
+    this._pendingInput.set(String(chatId), Date.now() + PROMO.INPUT_TTL_MS);
+
+    await this.ui.sendOrEdit(chatId, this.messages.PROMO_PROMPT, {
+      parse_mode: 'Markdown',
+      reply_markup: {
+        inline_keyboard: [[{ text: this.messages.BUTTON_BACK, callback_data: 'promo_back' }]]
+      }
+    });
+    return RouterResponse.handled('promo_prompt');
+  }
+
+  /**
+   * Consume a text message while the promo prompt is open
+   * @param {string} chatId - Telegram chat identifier
+   * @param {string} text - Message text
+   * @returns {Promise<boolean>} true if the message was handled
+   */
+  async handleInput(chatId, text) {
+    const key = String(chatId);
+    const expiresAt = this._pendingInput.get(key);
+    if (!expiresAt) return false;
+
+    this._pendingInput.delete(key);
+    if (expiresAt < Date.now() || !text || text.startsWith('/')) return false;
+
+    try {
+      const pending = await this.sessionService.getPendingOrder(chatId);
+      if (!pending || !pending.serviceCode) return false;
+
+      await this.applyCode(chatId, pending, text.trim());
+    } catch (error) {
+      await this.handleError('Promo Input Error', error, chatId, { input: text });
+    }
+    return true;
+  }
+
+  /**
+   * Validate the code against the pending order and save it on the session
+   * @param {string} chatId - Telegram chat identifier
+   * @param {Object} pending - Pending order (session)
+   * @param {string} code - Code as typed
+   * @returns {Promise<void>}
+   */
+  async applyCode(chatId, pending, code) {
+    const result = await this.paymentService.validatePromo(code, {
+      userId: String(chatId),
+      game: pending.game,
+      serviceCode: pending.serviceCode,
+      amount: pending.price
+    });
+
+    if (!result.success) {
+      logger.info(`[PromoRouter] Promo rejected | ChatId: ${chatId} | Code: ${code} | Error: ${result.error}`);
+      const reason = this.messages.PROMO_ERROR_TEXT(result.error, result.promo);
+      await this.ui.sendOrEdit(chatId, this.messages.PROMO_INVALID(result.promo?.code || code.toUpperCase(), reason), {
+        parse_mode: 'Markdown',
+        reply_markup: {
+          inline_keyboard: [
+            [{ text: this.messages.BUTTON_PROMO_RETRY, callback_data: 'promo_enter' }],
+            [{ text: this.messages.BUTTON_PROMO_BACK_TO_ORDER, callback_data: 'promo_back' }]
+          ]
+        }
+      });
+      return;
+    }
+
+    // Points were capped against the old price after promo: the user applies them again
+    const order = { ...pending, promoCode: result.promo.code, discountAmount: result.discount, pointsUsed: null, pointsDiscount: null };
+    await this.sessionService.savePendingOrder(chatId, order);
+    await this.showReview(chatId, order);
+
+    this.logSuccess('Promo Applied', { chatId, code: result.promo.code, discount: String(result.discount) });
+  }
+
+  /**
+   * Drop the applied promo
+   * @param {string} chatId - Telegram chat identifier
+   * @param {Object} pending - Pending order (session)
+   * @param {number} [messageId=null] - Message ID for editing
+   * @returns {Promise<RouterResponse>}
+   */
+  async removePromo(chatId, pending, messageId = null) {
+    const order = { ...pending, promoCode: null, discountAmount: null, pointsUsed: null, pointsDiscount: null };
+    await this.sessionService.savePendingOrder(chatId, order);
+    await this.showReview(chatId, order, messageId);
+    return RouterResponse.toast(this.messages.PROMO_REMOVED_TOAST);
+  }
+
+  /**
+   * Order review again (with the channel fee recalculated if a channel was picked)
+   * @param {string} chatId - Telegram chat identifier
+   * @param {Object} order - Pending order (session shape)
+   * @param {number} [messageId=null] - Message ID for editing
+   * @returns {Promise<void>}
+   */
+  async showReview(chatId, order, messageId = null) {
+    if (order.channel) {
+      await this.actionRouter.handlePayNow(chatId, order.channel, messageId);
+      return;
+    }
+    await this.paymentHandler.handleOrderReview(chatId, { ...order, playerId: order.gamePlayerId }, { messageId });
+  }
+}
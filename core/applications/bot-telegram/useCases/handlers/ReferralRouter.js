@@ -0,0 +1,97 @@
+/**
+ * @file ReferralRouter.js
+ * @description Routes referral callbacks (invite link and referral stats)
+ * @responsibility Show the user's invite link, the reward and how many invited friends have ordered
+ *
+ * @requires PaymentService - Referral status (ReferralService facade)
+ * @requires UIPersistenceHelper - Single bubble UI experience
+ * @requires Logger - Logging service
+ *
+ * @architecture Hexagonal Architecture - Application Layer
+ * @pattern Router Pattern - Routes referral actions to appropriate views
+ *
+ * @example
+ * const referralRouter = new ReferralRouter(deps, config);
+ * await referralRouter.route('home', chatId, messageId);
+ * // Shows the invite link with a share button and the referral counters
+ *
+ * @referral_actions Supported actions (callback prefix "ref_"):
+ * - home: Invite link, reward and counters
+ *
+ * @related
+ * - CallbackRouter.js - Routes referral callbacks here
+ * - ReferralService.js - Codes, attribution and rewards
+ * - AuthenticationService.js - Attribution on registration
+ */
+import logger from '../../../../shared/services/Logger.js';
+import { BaseHandler } from './BaseHandler.js';
+import { RouterResponse } from './RouterResponse.js';
+
+export class ReferralRouter extends BaseHandler {
+  /**
+   * Constructor for ReferralRouter
+   *
+   * @param {Object} deps - Dependency injection object
+   * @param {Object} deps.paymentService - Referral status
+   * @param {Object} config - Configuration object
+   * @extends BaseHandler
+   */
+  constructor(deps, config) {
+    super(deps, config);
+
+    this.paymentService = deps.paymentService;
+
+    this.validateDependencies({
+      paymentService: this.paymentService
+    });
+  }
+
+  /**
+   * Route referral callbacks
+   *
+   * @param {string} action - Referral action ('home')
+   * @param {string} chatId - Telegram chat identifier
+   * @param {number} [messageId=null] - Message ID for editing
+   * @returns {Promise<RouterResponse>} Router response
+   */
+  async route(action, chatId, messageId = null) {
+    try {
+      if (action !== 'home') {
+        logger.warn(`[ReferralRouter] Unknown action: ${action}`);
+      }
+      return await this.showReferral(chatId);
+    } catch (error) {
+      await this.handleError('Referral Route Error', error, chatId, { action });
+      return RouterResponse.toast();
+    }
+  }
+
+  /**
+   * Show the invite link and counters
+   * @param {string} chatId - Telegram chat identifier
+   * @returns {Promise<RouterResponse>}
+   */
+  async showReferral(chatId) {
+    const status = await this.paymentService.getReferralStatus(String(chatId));
+    const backMain = [{ text: this.messages.BUTTON_BACK_MAIN, callback_data: 'menu_main' }];
+
+    // Shown as a message (not a toast) so /referral also gets an answer
+    if (!status) {
+      await this.ui.sendOrEdit(chatId, this.messages.REFERRAL_DISABLED, { reply_markup: { inline_keyboard: [backMain] } });
+      return RouterResponse.handled('referral_disabled');
+    }
+
+    const shareUrl = `https://t.me/share/url?url=${encodeURIComponent(status.link)}&text=${encodeURIComponent(this.messages.REFERRAL_SHARE_TEXT)}`;
+
+    await this.ui.sendOrEdit(chatId, this.messages.REFERRAL_OVERVIEW(status), {
+      parse_mode: 'Markdown',
+      reply_markup: {
+        inline_keyboard: [
+          [{ text: this.messages.BUTTON_REFERRAL_SHARE, url: shareUrl }],
+          backMain
+        ]
+      }
+    });
+    return RouterResponse.handled('referral');
+  }
+}
@@ -0,0 +1,112 @@
+/**
+ * @file ReminderRouter.js
+ * @description Routes reminder callbacks (reminder settings and opt-out)
+ * @responsibility Show whether reminders are on and let the user turn them off or back on
+ *
+ * @requires ReminderService - Opt-out flag
+ * @requires UIPersistenceHelper - Single bubble UI experience
+ * @requires Logger - Logging service
+ *
+ * @architecture Hexagonal Architecture - Application Layer
+ * @pattern Router Pattern - Routes reminder actions to appropriate views
+ *
+ * @example
+ * const reminderRouter = new ReminderRouter(deps, config);
+ * await reminderRouter.route('off', chatId, messageId);
+ * // Turns reminders off and answers with a toast (button under a reminder)
+ *
+ * @reminder_actions Supported actions (callback prefix "remind_"):
+ * - home: Settings screen with the current status and a toggle button
+ * - set_on / set_off: Toggle from the settings screen (shows it again)
+ * - off: Opt out from the button under a reminder (toast only, the reminder stays)
+ *
+ * @related
+ * - CallbackRouter.js - Routes reminder callbacks here
+ * - ReminderService.js - Which reminders are due, opt-out
+ * - BotCore.js - Sends the reminders (background task)
+ */
+import logger from '../../../../shared/services/Logger.js';
+import { BaseHandler } from './BaseHandler.js';
+import { RouterResponse } from './RouterResponse.js';
+
+export class ReminderRouter extends BaseHandler {
+  /**
+   * Constructor for ReminderRouter
+   *
+   * @param {Object} deps - Dependency injection object
+   * @param {Object} [deps.reminderService=null] - Opt-out flag (null = reminders not configured)
+   * @param {Object} config - Configuration object
+   * @extends BaseHandler
+   */
+  constructor(deps, config) {
+    super(deps, config);
+
+    this.reminderService = deps.reminderService || null;
+  }
+
+  /**
+   * Route reminder callbacks
+   *
+   * @param {string} action - Reminder action ('home', 'set_on', 'set_off', 'off')
+   * @param {string} chatId - Telegram chat identifier
+   * @param {number} [messageId=null] - Message ID for editing
+   * @returns {Promise<RouterResponse>} Router response
+   */
+  async route(action, chatId, messageId = null) {
+    try {
+      if (!this.reminderService?.isEnabled()) {
+        if (action === 'home') {
+          await this.ui.sendOrEdit(chatId, this.messages.REMINDER_DISABLED, {
+            reply_markup: { inline_keyboard: [[{ text: this.messages.BUTTON_BACK_MAIN, callback_data: 'menu_main' }]] }
+          });
+          return RouterResponse.handled('reminder_disabled');
+        }
+        return RouterResponse.toast(this.messages.REMINDER_DISABLED);
+      }
+
+      switch (action) {
+        case 'home':
+          return await this.showSettings(chatId);
+        case 'set_on':
+        case 'set_off': {
+          const optOut = action === 'set_off';
+          await this.reminderService.setOptOut(String(chatId), optOut);
+          await this.showSettings(chatId);
+          return RouterResponse.toast(optOut ? this.messages.REMINDER_OFF_TOAST : this.messages.REMINDER_ON_TOAST);
+        }
+        case 'off':
+          await this.reminderService.setOptOut(String(chatId), true);
+          this.logSuccess('Reminders Opted Out', { chatId });
+          return RouterResponse.toast(this.messages.REMINDER_OFF_TOAST, { showAlert: true });
+        default:
+          logger.warn(`[ReminderRouter] Unknown action: ${action}`);
+          return RouterResponse.toast();
+      }
+    } catch (error) {
+      await this.handleError('Reminder Route Error', error, chatId, { action });
+      return RouterResponse.toast();
+    }
+  }
+
+  /**
+   * Settings screen: current status and a toggle
+   * @param {string} chatId - Telegram chat identifier
+   * @returns {Promise<RouterResponse>}
+   */
+  async showSettings(chatId) {
+    const optedOut = await this.reminderService.isOptedOut(String(chatId));
+
+    await this.ui.sendOrEdit(chatId, this.messages.REMINDER_SETTINGS(optedOut), {
+      parse_mode: 'Markdown',
+      reply_markup: {
+        inline_keyboard: [
+          [optedOut
+            ? { text: this.messages.BUTTON_REMINDER_ON, callback_data: 'remind_set_on' }
+            : { text: this.messages.BUTTON_REMINDER_OFF, callback_data: 'remind_set_off' }],
+          [{ text: this.messages.BUTTON_BACK_MAIN, callback_data: 'menu_main' }]
+        ]
+      }
+    });
+    return RouterResponse.handled('reminder_settings');
+  }
+}
@@ -0,0 +1,83 @@
+/**
+ * @file ReportCommandHandler.js
+ * @description Admin text command for transaction exports
+ * @responsibility Parse /export, build the report through ReportService and send the summary and files to the admin
+ *
+ * @requires ReportService - Date range, report build and file rendering
+ * @requires Logger - Logging service
+ *
+ * @architecture Hexagonal Architecture - Application Layer
+ * @pattern Command Pattern - One method per bot command
+ *
+ * @example
+ * const reportCommands = new ReportCommandHandler(deps, config);
+ * await reportCommands.handleExport(chatId, ['2026-10-01', '2026-10-31', 'csv']);
+ * // Sends the October profit summary and the transactions as CSV
+ *
+ * @commands Supported commands (admin role only, silently ignored for others):
+ * - /export [from] [until] [xlsx|csv]: Transaction export + brand/channel/daily profit summary
+ *
+ * @related
+ * - AdminCommandBase.js - Permission check and admin reply
+ * - ReportService.js - Transaction export and profit summary
+ */
+import logger from '../../../../shared/services/Logger.js';
+import { AdminCommandBase } from './AdminCommandBase.js';
+import { PERMISSIONS } from '../../security/authz/permissions.js';
+import { REPORT } from '../../../../shared/config/constants.js';
+
+export class ReportCommandHandler extends AdminCommandBase {
+  /**
+   * Constructor for ReportCommandHandler
+   *
+   * @param {Object} deps - Dependency injection object (admin deps: see AdminCommandBase)
+   * @param {Object} [deps.reportService] - Transaction exports (/export)
+   * @param {Object} config - Configuration object
+   * @extends AdminCommandBase
+   */
+  constructor(deps, config) {
+    super(deps, config);
+
+    this.reportService = deps.reportService || null;
+  }
+
+  /**
+   * /export [dari] [sampai] [xlsx|csv]   → summary in chat + transaction file(s)
+   */
+  async handleExport(chatId, args) {
+    if (!await this._authorize(chatId, PERMISSIONS.ADMIN_REPORT_EXPORT, '/export')) return;
+    if (!this.reportService) {
+      logger.error('[ReportCommandHandler] ReportService not configured');
+      return await this._reply(chatId, this.messages.ERR_GENERIC || 'Terjadi kesalahan.');
+    }
+
+    const format = args.map(arg => arg.toLowerCase()).find(arg => REPORT.FORMATS.includes(arg)) || REPORT.FORMATS[0];
+    const dates = args.filter(arg => !REPORT.FORMATS.includes(arg.toLowerCase()));
+    if (dates.length > 2) return await this._reply(chatId, this.messages.ADMIN_CMD_USAGE_EXPORT);
+
+    const resolved = this.reportService.resolveRange(dates[0], dates[1]);
+    if (!resolved.success) {
+      return await this._reply(chatId, `${this.messages.ADMIN_EXPORT_ERRORS[resolved.error] || this.messages.ERR_GENERIC}\n\n${this.messages.ADMIN_CMD_USAGE_EXPORT}`);
+    }
+    const { range } = resolved;
+
+    try {
+      await this._reply(chatId, this.messages.ADMIN_EXPORT_PREPARING(range, format));
+
+      const report = await this.reportService.build(range);
+      if (report.total === 0) return await this._reply(chatId, this.messages.ADMIN_EXPORT_EMPTY(range));
+
+      await this._reply(chatId, this.messages.ADMIN_EXPORT_SUMMARY(report));
+      for (const file of this.reportService.renderFiles(report, format)) {
+        await this.sendPort.sendDocument(chatId, file.data, {
+          filename: file.filename,
+          contentType: file.contentType,
+          caption: this.messages.ADMIN_EXPORT_CAPTION(range)
+        });
+      }
+      logger.info(`[ReportCommandHandler] Export ${format} ${range.fromDay}..${range.untilDay} (${report.total} rows) sent to ${chatId}`);
+    } catch (error) {
+      await this.handleError('Admin Export Error', error, chatId, { input: args.join(' ') });
+    }
+  }
+}
@@ -31,7 +31,7 @@
  * 3. Local validation: Check format against GAME_VALIDATION_SCHEMAS
  * 4. Rate limiting: Check API quota for nickname validation
  * 5. API validation: Verify player ID with game provider
- * 6. Session update: Save validated data
+ * 6. Session update: Save validated data (verified IDs are also saved as GameAccount)
  * 7. Confirmation: Show player ID confirmation UI
  * 
  * @validation_layers
@@ -272,6 +272,22 @@ export class SessionInputHandler {
             }
         }
 
+        // Remember verified IDs so the next order can pick them from a button
+        if (nickname && this.gameService) {
+            try {
+                await this.gameService.saveGameAccount({
+                    userId: message.chatId,
+                    gameCode: pending.game,
+                    playerId: userId,
+                    zoneId: zoneId || null,
+                    nickname,
+                    isVerified: true
+                });
+            } catch (e) {
+                logger.warn(`[SessionInput] Failed to save game account | ChatId: ${message.chatId} | Game: ${pending.game} | Error: ${e.message}`);
+            }
+        }
+
         // Update Session with new field names
         await this.sessionService.savePendingOrder(message.chatId, {
             ...pending,
@@ -0,0 +1,70 @@
+/**
+ * @file SettlementCommandHandler.js
+ * @description Admin text command for the settlement check
+ * @responsibility Parse /settle, run the check through SettlementService and show the mismatch report
+ *
+ * @requires SettlementService - Gateway/provider/database check
+ * @requires Logger - Logging service
+ *
+ * @architecture Hexagonal Architecture - Application Layer
+ * @pattern Command Pattern - One method per bot command
+ *
+ * @example
+ * const settlementCommands = new SettlementCommandHandler(deps, config);
+ * await settlementCommands.handleSettle(chatId, ['2026-10-18'], sender, message);
+ * // Checks 18 Oct 2026 again and replies with SETTLEMENT_REPORT
+ *
+ * @commands Supported commands (admin role only, silently ignored for others):
+ * - /settle [day]: Check a day's transactions against gateway and provider (mismatch report)
+ *
+ * @related
+ * - AdminCommandBase.js - Permission check and admin reply
+ * - SettlementService.js - Daily settlement check and report
+ */
+import logger from '../../../../shared/services/Logger.js';
+import { AdminCommandBase } from './AdminCommandBase.js';
+import { PERMISSIONS } from '../../security/authz/permissions.js';
+import { SETTLEMENT } from '../../../../shared/config/constants.js';
+
+export class SettlementCommandHandler extends AdminCommandBase {
+  /**
+   * Constructor for SettlementCommandHandler
+   *
+   * @param {Object} deps - Dependency injection object (admin deps: see AdminCommandBase)
+   * @param {Object} [deps.settlementService] - Settlement check (/settle)
+   * @param {Object} config - Configuration object
+   * @extends AdminCommandBase
+   */
+  constructor(deps, config) {
+    super(deps, config);
+
+    this.settlementService = deps.settlementService || null;
+  }
+
+  /**
+   * /settle [YYYY-MM-DD]   → check that day (default yesterday) again and show the mismatch report
+   */
+  async handleSettle(chatId, args, sender, message) {
+    if (!await this._authorize(chatId, PERMISSIONS.ADMIN_SETTLEMENT, '/settle')) return;
+    if (!this.settlementService) {
+      logger.error('[SettlementCommandHandler] SettlementService not configured');
+      return await this._reply(chatId, this.messages.ERR_GENERIC || 'Terjadi kesalahan.');
+    }
+    if (args.length > 1) return await this._reply(chatId, this.messages.ADMIN_CMD_USAGE_SETTLE);
+
+    const day = args[0] || this.settlementService.yesterday();
+    if (!this.settlementService.isValidDay(day)) {
+      return await this._reply(chatId, `${this.messages.ADMIN_SETTLE_INVALID_DAY}\n\n${this.messages.ADMIN_CMD_USAGE_SETTLE}`);
+    }
+
+    try {
+      await this._reply(chatId, this.messages.ADMIN_SETTLE_RUNNING(day));
+      const report = await this.settlementService.run(day, { force: true, triggeredBy: this._admin(chatId, message).id });
+      if (!report) return await this._reply(chatId, this.messages.ADMIN_SETTLE_BUSY(day));
+
+      await this._reply(chatId, this.messages.SETTLEMENT_REPORT(report, SETTLEMENT.MAX_LISTED));
+    } catch (error) {
+      await this.handleError('Admin Settlement Error', error, chatId, { day });
+    }
+  }
+}
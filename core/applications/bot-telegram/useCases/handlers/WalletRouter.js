@@ -0,0 +1,226 @@
+/**
+ * @file WalletRouter.js
+ * @description Routes wallet callbacks (balance overview, deposit amount and channel selection)
+ * @responsibility Show the user balance with recent ledger movements and create deposit invoices
+ *
+ * @requires PaymentService - Balance, ledger history, channels and deposit invoices
+ * @requires PaymentHandler - Invoice rendering (QR / payment details)
+ * @requires PaymentChannelHandler - Channel grouping and labels
+ * @requires AuthPort - Payment permission check
+ * @requires UIPersistenceHelper - Single bubble UI experience
+ * @requires Logger - Logging service
+ *
+ * @architecture Hexagonal Architecture - Application Layer
+ * @pattern Router Pattern - Routes wallet actions to appropriate views
+ *
+ * @example
+ * const walletRouter = new WalletRouter(deps, config);
+ * await walletRouter.route('amt_50000', chatId, messageId);
+ * // Shows payment channels for a Rp 50.000 deposit
+ *
+ * @wallet_actions Supported actions (callback prefix "wallet_"):
+ * - home: Balance + recent ledger entries + deposit amount buttons
+ * - amt_{AMOUNT}: Payment channels for a deposit of AMOUNT
+ * - dep_{AMOUNT}_{CHANNEL}: Create the deposit invoice
+ *
+ * @security
+ * - Deposit creation requires PERMISSIONS.PAYMENT_CREATE
+ * - Amount is re-validated by PaymentService (WALLET.MIN_DEPOSIT..MAX_DEPOSIT)
+ *
+ * @related
+ * - CallbackRouter.js - Routes wallet callbacks here
+ * - PaymentService.js - Deposit invoices and balance payments
+ * - WalletService.js - Balance + double-entry ledger
+ */
+import logger from '../../../../shared/services/Logger.js';
+import { BaseHandler } from './BaseHandler.js';
+import { RouterResponse } from './RouterResponse.js';
+import { PARSING } from './HandlerConstants.js';
+import { PERMISSIONS } from '../../security/authz/permissions.js';
+import { WALLET } from '../../../../shared/config/constants.js';
+
+export class WalletRouter extends BaseHandler {
+  /**
+   * Constructor for WalletRouter
+   *
+   * @param {Object} deps - Dependency injection object
+   * @param {Object} deps.paymentService - Payment business logic service (wallet)
+   * @param {Object} deps.paymentHandler - Invoice rendering
+   * @param {Object} deps.channelHandler - Channel grouping and labels
+   * @param {Object} deps.authPort - Authorization service (optional)
+   * @param {Object} config - Configuration object
+   * @extends BaseHandler
+   */
+  constructor(deps, config) {
+    super(deps, config);
+
+    this.paymentService = deps.paymentService;
+    this.paymentHandler = deps.paymentHandler;
+    this.channelHandler = deps.channelHandler;
+    this.authPort = deps.authPort;
+
+    this.validateDependencies({
+      paymentService: this.paymentService,
+      paymentHandler: this.paymentHandler,
+      channelHandler: this.channelHandler
+    });
+  }
+
+  /**
+   * Route wallet callbacks
+   *
+   * @param {string} action - Wallet action (e.g., 'home', 'amt_50000', 'dep_50000_QRIS')
+   * @param {string} chatId - Telegram chat identifier
+   * @param {number} [messageId=null] - Message ID for editing
+   * @returns {Promise<RouterResponse>} Router response
+   */
+  async route(action, chatId, messageId = null) {
+    if (!this.paymentService.isWalletEnabled()) {
+      return RouterResponse.toast(this.messages.WALLET_DISABLED);
+    }
+
+    try {
+      if (action.startsWith('amt_')) {
+        const amount = parseInt(action.replace('amt_', ''), PARSING.DECIMAL_RADIX);
+        return await this.showDepositChannels(chatId, amount);
+      }
+      if (action.startsWith('dep_')) {
+        // dep_{AMOUNT}_{CHANNEL} (channel codes may contain '_')
+        const [amountPart, ...channelParts] = action.replace('dep_', '').split('_');
+        return await this.createDeposit(chatId, parseInt(amountPart, PARSING.DECIMAL_RADIX), channelParts.join('_'));
+      }
+
+      return await this.showWallet(chatId);
+    } catch (error) {
+      await this.handleError('Wallet Route Error', error, chatId, { action });
+      return RouterResponse.toast();
+    }
+  }
+
+  /**
+   * Show balance, recent ledger movements and deposit amounts
+   * @param {string} chatId - Telegram chat identifier
+   * @returns {Promise<RouterResponse>}
+   */
+  async showWallet(chatId) {
+    const [balance, entries] = await Promise.all([
+      this.paymentService.getWalletBalance(String(chatId)),
+      this.paymentService.getWalletHistory(String(chatId), WALLET.HISTORY_LIMIT)
+    ]);
+
+    let text = this.messages.WALLET_OVERVIEW(balance);
+    if (entries.length > 0) {
+      text += this.messages.WALLET_HISTORY_HEADER;
+      for (const entry of entries) {
+        text += this.messages.WALLET_HISTORY_LINE(entry);
+      }
+    } else {
+      text += this.messages.WALLET_HISTORY_EMPTY;
+    }
+    text += this.messages.WALLET_DEPOSIT_HINT(WALLET.MIN_DEPOSIT, WALLET.MAX_DEPOSIT);
+
+    const keyboard = [];
+    let row = [];
+    for (const amount of WALLET.DEPOSIT_PRESETS) {
+      row.push({ text: this.messages.BUTTON_WALLET_AMOUNT(amount), callback_data: `wallet_amt_${amount}` });
+      if (row.length === 2) {
+        keyboard.push(row);
+        row = [];
+      }
+    }
+    if (row.length > 0) keyboard.push(row);
+    keyboard.push([{ text: this.messages.BUTTON_BACK_MAIN, callback_data: 'menu_main' }]);
+
+    await this.ui.sendOrEdit(chatId, text, { parse_mode: 'Markdown', reply_markup: { inline_keyboard: keyboard } });
+    return RouterResponse.handled('wallet');
+  }
+
+  /**
+   * Show payment channels that accept the deposit amount
+   * @param {string} chatId - Telegram chat identifier
+   * @param {number} amount - Deposit amount
+   * @returns {Promise<RouterResponse>}
+   */
+  async showDepositChannels(chatId, amount) {
+    if (!this._isValidAmount(amount)) {
+      await this.ui.sendOrEdit(chatId, this.messages.WALLET_INVALID_AMOUNT(WALLET.MIN_DEPOSIT, WALLET.MAX_DEPOSIT), this._backToWallet());
+      return RouterResponse.toast();
+    }
+
+    const channels = (await this.paymentService.getPaymentChannels())
+      .filter(c => amount >= (parseInt(c.minimal, PARSING.DECIMAL_RADIX) || 0))
+      .filter(c => !parseInt(c.maksimal, PARSING.DECIMAL_RADIX) || amount <= parseInt(c.maksimal, PARSING.DECIMAL_RADIX));
+
+    const keyboard = [];
+    for (const methodChannels of Object.values(this.channelHandler.groupChannelsByMethod(channels))) {
+      let row = [];
+      for (const channel of methodChannels) {
+        row.push({ text: this.channelHandler.formatChannelLabel(channel), callback_data: `wallet_dep_${amount}_${channel.kode}` });
+        if (row.length === 2) {
+          keyboard.push(row);
+          row = [];
+        }
+      }
+      if (row.length > 0) keyboard.push(row);
+    }
+    if (keyboard.length === 0) {
+      keyboard.push([{ text: this.messages.CHANNEL_EMPTY, callback_data: 'noop' }]);
+    }
+    keyboard.push([{ text: this.messages.BUTTON_BACK, callback_data: 'wallet_home' }]);
+
+    await this.ui.sendOrEdit(chatId, this.messages.WALLET_DEPOSIT_CHANNEL(amount), {
+      parse_mode: 'Markdown',
+      reply_markup: { inline_keyboard: keyboard }
+    });
+    return RouterResponse.handled('wallet_channels');
+  }
+
+  /**
+   * Create deposit invoice and show it
+   * @param {string} chatId - Telegram chat identifier
+   * @param {number} amount - Deposit amount
+   * @param {string} channelCode - Payment channel
+   * @returns {Promise<RouterResponse>}
+   */
+  async createDeposit(chatId, amount, channelCode) {
+    if (this.authPort && !await this.authPort.can({ id: chatId }, PERMISSIONS.PAYMENT_CREATE)) {
+      return RouterResponse.toast(this.messages.ERR_PAYMENT_FORBIDDEN);
+    }
+    if (!this._isValidAmount(amount) || !channelCode) {
+      await this.ui.sendOrEdit(chatId, this.messages.WALLET_INVALID_AMOUNT(WALLET.MIN_DEPOSIT, WALLET.MAX_DEPOSIT), this._backToWallet());
+      return RouterResponse.toast();
+    }
+
+    await this.ui.sendOrEdit(chatId, this.messages.PAYMENT_PROCESSING);
+
+    const result = await this.paymentService.createDeposit(String(chatId), amount, channelCode);
+    if (!result.success) {
+      logger.warn(`[WalletRouter] Deposit invoice failed | ChatId: ${chatId} | Amount: ${amount} | Channel: ${channelCode} | Error: ${result.error || result.message}`);
+      await this.ui.sendOrEdit(chatId, this.messages.PAYMENT_ERROR, this._backToWallet());
+      return RouterResponse.toast();
+    }
+
+    if (this.paymentService.isQRChannel(channelCode) && result.qr_string) {
+      await this.paymentHandler.sendQRInvoice(chatId, result, result.orderData);
+    } else {
+      await this.paymentHandler.sendPaymentDetails(chatId, result, result.orderData);
+    }
+
+    this.logSuccess('Deposit Invoice Created', { chatId, merchantRef: result.merchantRef, amount, channelCode });
+    return RouterResponse.toast(this.messages.WALLET_DEPOSIT_CREATED_TOAST);
+  }
+
+  /**
+   * @private
+   */
+  _isValidAmount(amount) {
+    return Number.isInteger(amount) && amount >= WALLET.MIN_DEPOSIT && amount <= WALLET.MAX_DEPOSIT;
+  }
+
+  /**
+   * @private
+   */
+  _backToWallet() {
+    return { reply_markup: { inline_keyboard: [[{ text: this.messages.BUTTON_BACK, callback_data: 'wallet_home' }]] } };
+  }
+}
@@ -65,8 +65,11 @@ export class UIPersistenceHelper {
 
     /**
      * Send Photo with persistence (always deletes old bubble)
+     * @param {String} chatId
+     * @param {String|Buffer} photo - URL, file_id or PNG buffer
+     * @param {Object} options { caption, parse_mode, reply_markup, filename }
      */
-    async sendPhoto(chatId, photoUrl, options = {}) {
+    async sendPhoto(chatId, photo, options = {}) {
         const lastMsgId = await this.sessionService.getLastMessageId(chatId);
         const reply_markup = this._cleanMarkup(options.reply_markup);
 
@@ -75,10 +78,11 @@ export class UIPersistenceHelper {
             try { await this.sendPort.deleteMessage(chatId, lastMsgId); } catch (e) { }
         }
 
-        const response = await this.sendPort.sendPhoto(chatId, photoUrl, {
+        const response = await this.sendPort.sendPhoto(chatId, photo, {
             caption: options.caption || '',
             parse_mode: options.parse_mode || 'Markdown',
-            ...(reply_markup && { reply_markup })
+            ...(reply_markup && { reply_markup }),
+            ...(options.filename && { filename: options.filename })
         });
 
         if (response?.result?.message_id) {
@@ -249,6 +249,15 @@ export class AppConfig {
    * @property {string} sakurupiah.apiKey - API key
    * @property {string} sakurupiah.apiId - Merchant ID
    * @property {string} sakurupiah.baseUrl - API base URL (sandbox or production)
+   * @property {Object} netzme - Netzme (SNAP QRIS) payment gateway config
+   * @property {boolean} netzme.enabled - true jika semua credential Netzme terisi
+   * @property {string|undefined} netzme.clientId - Client ID / X-PARTNER-ID
+   * @property {string|undefined} netzme.clientSecret - Client secret (HMAC request & callback signature)
+   * @property {string|undefined} netzme.privateKey - RSA private key (PEM) untuk access token
+   * @property {string|undefined} netzme.merchantId - Merchant ID QRIS
+   * @property {string} netzme.baseUrl - API base URL (default: staging)
+   * @property {string} netzme.callbackUrl - Notify URL (default: {APP_BASE_URL}/callback/payment/netzme)
+   * @property {string} netzme.qrisFee - Fee QRIS dalam persen (default: 0.7)
    * @property {string|undefined} callbackUrl - Payment callback URL
    * @property {string|undefined} returnUrl - Payment return/redirect URL
    * 
@@ -263,6 +272,17 @@ export class AppConfig {
         apiId: process.env.SAKURUPIAH_API_ID,
         baseUrl: process.env.SAKURUPIAH_BASE_URL || 'https://sakurupiah.id/api-sanbox'  // typo in API docs!
       }),
+      netzme: Object.freeze({
+        enabled: !!(process.env.NETZME_CLIENT_ID && process.env.NETZME_CLIENT_SECRET &&
+          process.env.NETZME_PRIVATE_KEY && process.env.NETZME_MERCHANT_ID),
+        clientId: process.env.NETZME_CLIENT_ID,
+        clientSecret: process.env.NETZME_CLIENT_SECRET,
+        privateKey: process.env.NETZME_PRIVATE_KEY?.replace(/\\n/g, '\n'),
+        merchantId: process.env.NETZME_MERCHANT_ID,
+        baseUrl: process.env.NETZME_BASE_URL || 'https://tokoapi-stg.netzme.com',
+        callbackUrl: process.env.NETZME_CALLBACK_URL || `${baseUrl}/callback/payment/netzme`,
+        qrisFee: process.env.NETZME_QRIS_FEE || '0.7'
+      }),
       callbackUrl: process.env.PAYMENT_CALLBACK_URL || `${baseUrl}/callback/payment`,
       returnUrl: process.env.PAYMENT_RETURN_URL || `${baseUrl}/invoice`
     });
@@ -289,6 +309,180 @@ export class AppConfig {
     });
   }
 
+  /**
+   * Membership upgrade configuration
+   * 
+   * @typedef {Object} MembershipConfig
+   * @property {Object} prices - Harga upgrade per tier ({ RESELLER, VIP }), 0 = hanya bisa diberikan admin
+   * 
+   * @returns {Readonly<MembershipConfig>}
+   */
+  static get membership() {
+    return Object.freeze({
+      prices: Object.freeze({
+        RESELLER: this._parseInt(process.env.MEMBERSHIP_RESELLER_PRICE, 0, 0, 100000000),
+        VIP: this._parseInt(process.env.MEMBERSHIP_VIP_PRICE, 0, 0, 100000000)
+      })
+    });
+  }
+
+  /**
+   * Referral program configuration
+   * 
+   * @typedef {Object} ReferralConfig
+   * @property {string} botUsername - Username bot untuk link undangan (tanpa @), kosong = program nonaktif
+   * @property {string} rewardType - CREDIT (saldo) atau VOUCHER (kode promo sekali pakai) (default: CREDIT)
+   * @property {number} rewardAmount - Nilai hadiah per teman dalam Rupiah, 0 = program nonaktif
+   * @property {number} minOrder - Minimal nilai pesanan pertama teman agar hadiah diberikan (default: 0)
+   * @property {number} voucherDays - Masa berlaku voucher dalam hari, 0 = tanpa batas (default: 30)
+   * 
+   * @returns {Readonly<ReferralConfig>}
+   */
+  static get referral() {
+    return Object.freeze({
+      botUsername: (process.env.TELEGRAM_BOT_USERNAME || '').replace(/^@/, ''),
+      rewardType: process.env.REFERRAL_REWARD_TYPE === 'VOUCHER' ? 'VOUCHER' : 'CREDIT',
+      rewardAmount: this._parseInt(process.env.REFERRAL_REWARD_AMOUNT, 0, 0, 10000000),
+      minOrder: this._parseInt(process.env.REFERRAL_MIN_ORDER, 0, 0, 100000000),
+      voucherDays: this._parseInt(process.env.REFERRAL_VOUCHER_DAYS, 30, 0, 3650)
+    });
+  }
+
+  /**
+   * Loyalty points configuration
+   * 
+   * @typedef {Object} LoyaltyConfig
+   * @property {boolean} enabled - Aktifkan program poin (default: false)
+   * @property {number} earnRate - Poin per Rp 1.000 yang dibayar, bisa desimal (default: 1)
+   * @property {number} pointValue - Nilai 1 poin dalam Rupiah saat ditukar, 0 = program nonaktif (default: 1)
+   * @property {number} expiryDays - Masa berlaku poin dalam hari, 0 = tidak hangus (default: 365)
+   * @property {number} maxRedeemPercent - Maksimal potongan poin dalam persen dari harga (default: 50)
+   * @property {number} minRedeem - Minimal saldo poin agar bisa ditukar (default: 0)
+   * 
+   * @returns {Readonly<LoyaltyConfig>}
+   */
+  static get loyalty() {
+    const earnRate = parseFloat(process.env.LOYALTY_EARN_RATE);
+
+    return Object.freeze({
+      enabled: process.env.LOYALTY_ENABLED === 'true' || process.env.LOYALTY_ENABLED === '1',
+      earnRate: Number.isFinite(earnRate) && earnRate >= 0 ? earnRate : 1,
+      pointValue: this._parseInt(process.env.LOYALTY_POINT_VALUE, 1, 0, 1000000),
+      expiryDays: this._parseInt(process.env.LOYALTY_EXPIRY_DAYS, 365, 0, 3650),
+      maxRedeemPercent: this._parseInt(process.env.LOYALTY_MAX_REDEEM_PERCENT, 50, 1, 100),
+      minRedeem: this._parseInt(process.env.LOYALTY_MIN_REDEEM, 0, 0, 10000000)
+    });
+  }
+
+  /**
+   * Invoice reminders and abandoned-checkout nudges
+   * 
+   * @typedef {Object} ReminderConfig
+   * @property {boolean} enabled - Aktifkan pengingat (default: true)
+   * @property {number} invoiceLeadMinutes - Kirim pengingat sekian menit sebelum tagihan kedaluwarsa, 0 = nonaktif (default: 15)
+   * @property {number} nudgeIdleMinutes - Ingatkan pesanan yang ditinggal sekian menit di tengah jalan, 0 = nonaktif (default: 30)
+   * 
+   * @returns {Readonly<ReminderConfig>}
+   */
+  static get reminders() {
+    return Object.freeze({
+      enabled: process.env.REMINDER_ENABLED !== 'false' && process.env.REMINDER_ENABLED !== '0',
+      invoiceLeadMinutes: this._parseInt(process.env.REMINDER_INVOICE_LEAD_MINUTES, 15, 0, 1440),
+      nudgeIdleMinutes: this._parseInt(process.env.REMINDER_NUDGE_IDLE_MINUTES, 30, 0, 180)
+    });
+  }
+
+  /**
+   * Nightly settlement check (gateway vs provider vs transactions)
+   * 
+   * @typedef {Object} SettlementConfig
+   * @property {boolean} enabled - Aktifkan rekonsiliasi harian otomatis (default: true)
+   * @property {number} runHour - Jam (WIB, 0-23) mulai mengecek transaksi kemarin (default: 2)
+   * 
+   * @returns {Readonly<SettlementConfig>}
+   */
+  static get settlement() {
+    return Object.freeze({
+      enabled: process.env.SETTLEMENT_ENABLED !== 'false' && process.env.SETTLEMENT_ENABLED !== '0',
+      runHour: this._parseInt(process.env.SETTLEMENT_RUN_HOUR, 2, 0, 23)
+    });
+  }
+
+  /**
+   * Transaction exports (admin /export + HTTP GET /admin/export)
+   * 
+   * @typedef {Object} ReportConfig
+   * @property {string|undefined} apiToken - Bearer token untuk GET /admin/export; kosong atau kurang dari 24 karakter = endpoint nonaktif
+   * 
+   * @returns {Readonly<ReportConfig>}
+   */
+  static get report() {
+    return Object.freeze({
+      apiToken: process.env.REPORT_API_TOKEN || undefined
+    });
+  }
+
+  /**
+   * Default pricing rule (used when no GLOBAL rule exists in the database)
+   * 
+   * @typedef {Object} PricingConfig
+   * @property {number} markupPercent - Markup dalam persen dari harga modal (default: 0)
+   * @property {number} markupFlat - Markup nominal per item (default: 0)
+   * @property {number} roundTo - Harga jual dibulatkan ke atas ke kelipatan ini (default: 0 = tidak)
+   * @property {number} minMargin - Margin minimum per item (default: 0)
+   * 
+   * @returns {Readonly<PricingConfig>}
+   */
+  static get pricing() {
+    const markupPercent = parseFloat(process.env.PRICING_MARKUP_PERCENT);
+
+    return Object.freeze({
+      markupPercent: Number.isFinite(markupPercent) && markupPercent >= 0 ? markupPercent : 0,
+      markupFlat: this._parseInt(process.env.PRICING_MARKUP_FLAT, 0, 0, 10000000),
+      roundTo: this._parseInt(process.env.PRICING_ROUND_TO, 0, 0, 1000000),
+      minMargin: this._parseInt(process.env.PRICING_MIN_MARGIN, 0, 0, 10000000)
+    });
+  }
+
+  /**
+   * Payment QR rendering configuration
+   * 
+   * @typedef {Object} QrConfig
+   * @property {boolean} branding - Tampilkan nama toko di atas keterangan tagihan QR (default: false)
+   * @property {string} storeName - Nama toko (default: '')
+   * 
+   * @returns {Readonly<QrConfig>}
+   */
+  static get qr() {
+    return Object.freeze({
+      branding: process.env.QR_BRANDING === 'true' || process.env.QR_BRANDING === '1',
+      storeName: process.env.STORE_NAME || ''
+    });
+  }
+
+  /**
+   * Manual bank transfer configuration
+   * 
+   * @typedef {Object} ManualTransferConfig
+   * @property {boolean} enabled - Aktif jika nama bank & nomor rekening diisi
+   * @property {string} bankName - Nama bank tujuan transfer
+   * @property {string} accountNumber - Nomor rekening tujuan
+   * @property {string} accountName - Nama pemilik rekening
+   * 
+   * @returns {Readonly<ManualTransferConfig>}
+   */
+  static get manualTransfer() {
+    const bankName = process.env.MANUAL_TRANSFER_BANK || '';
+    const accountNumber = process.env.MANUAL_TRANSFER_ACCOUNT_NO || '';
+
+    return Object.freeze({
+      enabled: Boolean(bankName && accountNumber),
+      bankName,
+      accountNumber,
+      accountName: process.env.MANUAL_TRANSFER_ACCOUNT_NAME || ''
+    });
+  }
+
   /**
    * Cloudflare Tunnel configuration
    * 
@@ -367,6 +561,13 @@ export class AppConfig {
           apiKey: this.payment.sakurupiah.apiKey ? '***REDACTED***' : undefined,
           apiId: this.payment.sakurupiah.apiId ? '***REDACTED***' : undefined
         },
+        netzme: {
+          ...this.payment.netzme,
+          clientId: this.payment.netzme.clientId ? '***REDACTED***' : undefined,
+          clientSecret: this.payment.netzme.clientSecret ? '***REDACTED***' : undefined,
+          privateKey: this.payment.netzme.privateKey ? '***REDACTED***' : undefined,
+          merchantId: this.payment.netzme.merchantId ? '***REDACTED***' : undefined
+        },
         callbackUrl: this.payment.callbackUrl,
         returnUrl: this.payment.returnUrl
       },
@@ -381,6 +582,17 @@ export class AppConfig {
         ...this.cloudflare,
         token: this.cloudflare.token ? '***REDACTED***' : undefined
       },
+      membership: this.membership,
+      referral: this.referral,
+      loyalty: this.loyalty,
+      reminders: this.reminders,
+      settlement: this.settlement,
+      report: {
+        apiToken: this.report.apiToken ? '***REDACTED***' : undefined
+      },
+      pricing: this.pricing,
+      qr: this.qr,
+      manualTransfer: this.manualTransfer,
       logging: this.logging,
       cache: this.cache,
       retry: this.retry,
@@ -42,16 +42,319 @@ export const PAYMENT_STATUS = {
   PAID: 'PAID',
   EXPIRED: 'EXPIRED',
   FAILED: 'FAILED',
-  PENDING: 'PENDING'
+  PENDING: 'PENDING',
+
+  // Fulfillment lifecycle (after PAID, driven by game provider)
+  PROCESSING: 'PROCESSING',           // Order accepted by provider, waiting for delivery
+  DELIVERED: 'DELIVERED',             // Provider confirmed delivery (SN available)
+  DELIVERY_FAILED: 'DELIVERY_FAILED', // Provider rejected/failed the order
+
+  // Manual resolution by admin
+  REFUNDED: 'REFUNDED'                // Money returned to the customer
+};
+
+// ===========================================
+// CALLBACK EVENT LEDGER
+// ===========================================
+export const CALLBACK_EVENT_STATUS = {
+  RECEIVED: 'RECEIVED',     // Recorded, processing in progress
+  PROCESSED: 'PROCESSED',   // Handled successfully (retries are ignored)
+  FAILED: 'FAILED',         // Handler error (a retry may reprocess it)
+  REJECTED: 'REJECTED'      // Invalid signature / unrecognized event
+};
+
+// ===========================================
+// FULFILLMENT QUEUE
+// ===========================================
+export const FULFILLMENT_JOB_STATUS = {
+  PENDING: 'PENDING',   // Waiting for (next) attempt
+  RUNNING: 'RUNNING',   // Claimed by a worker
+  DONE: 'DONE',         // Provider accepted the order
+  DEAD: 'DEAD'          // Permanently failed (dead-letter, admin alerted)
+};
+
+export const FULFILLMENT_QUEUE = {
+  POLL_INTERVAL_MS: 15000,        // Worker tick
+  BATCH_SIZE: 5,                  // Jobs claimed per tick
+  MAX_ATTEMPTS: 5,
+  BACKOFF_BASE_MS: 30000,         // 30s, 60s, 120s, ...
+  BACKOFF_MAX_MS: 30 * 60 * 1000, // Cap at 30 minutes
+  STALE_LOCK_MS: 5 * 60 * 1000    // RUNNING longer than this = worker died (restart)
+};
+
+// ===========================================
+// PAYMENT GATEWAYS (invoice routing per channel)
+// ===========================================
+export const PAYMENT_GATEWAY = {
+  SAKURUPIAH: 'sakurupiah',  // Default gateway
+  NETZME: 'netzme'
+};
+
+// ===========================================
+// GAME PROVIDERS (fulfillment routing)
+// ===========================================
+export const GAME_PROVIDER = {
+  VIPRESELLER: 'vipreseller'  // Default provider (catalog sync + nickname check)
+};
+
+// ===========================================
+// RECONCILER (lost callback recovery)
+// ===========================================
+export const RECONCILER = {
+  INTERVAL_MS: 5 * 60 * 1000,          // Every 5 minutes
+  BATCH_SIZE: 20,                      // Max rows per category per run
+  UNPAID_MIN_AGE_MS: 2 * 60 * 1000,    // Give the gateway callback time to arrive first
+  UNPAID_LOOKBACK_MS: 24 * 60 * 60 * 1000,
+  PROCESSING_GRACE_MS: 10 * 60 * 1000, // Give the provider callback time to arrive first
+  PROCESSING_STUCK_MS: 2 * 60 * 60 * 1000, // Report to admin if still unresolved
+  SWITCHED_GRACE_MS: 30 * 60 * 1000    // Keep checking closed switch invoices this long past their gateway expiry
+};
+
+// ===========================================
+// ADMIN PANEL
+// ===========================================
+export const ADMIN = {
+  STATS_DAYS: 7,                        // Daily breakdown shown in stats
+  USERS_PER_PAGE: 8,
+  TIMEZONE_OFFSET_MS: 7 * 60 * 60 * 1000, // Business day boundary in WIB (UTC+7)
+  INPUT_TTL_MS: 5 * 60 * 1000,          // Pending admin input (e.g. search) expires
+  AUDIT_HISTORY_LIMIT: 5                // Audit entries shown in /trx
+};
+
+export const ADMIN_ACTION = {
+  SET_STATUS: 'SET_STATUS',
+  REFULFILL: 'REFULFILL',
+  REFUND: 'REFUND',
+  BAN: 'BAN',
+  UNBAN: 'UNBAN',
+  TRANSFER_APPROVE: 'TRANSFER_APPROVE',
+  TRANSFER_REJECT: 'TRANSFER_REJECT',
+  PRICING_SET: 'PRICING_SET',
+  PRICING_DELETE: 'PRICING_DELETE',
+  MEMBERSHIP_GRANT: 'MEMBERSHIP_GRANT',
+  PROMO_SET: 'PROMO_SET',
+  PROMO_TOGGLE: 'PROMO_TOGGLE',
+  PROMO_DELETE: 'PROMO_DELETE',
+  POINTS_ADJUST: 'POINTS_ADJUST',
+  POINTS_RATE: 'POINTS_RATE',
+  FLASH_SALE_SET: 'FLASH_SALE_SET',
+  FLASH_SALE_TOGGLE: 'FLASH_SALE_TOGGLE',
+  FLASH_SALE_DELETE: 'FLASH_SALE_DELETE'
+};
+
+// ===========================================
+// WALLET (user balance + double-entry ledger)
+// ===========================================
+export const TRANSACTION_TYPE = {
+  ORDER: 'ORDER',          // Game top-up, fulfilled by the provider
+  DEPOSIT: 'DEPOSIT',      // Balance top-up, fulfilled by crediting the wallet
+  MEMBERSHIP: 'MEMBERSHIP' // Tier upgrade, fulfilled by setting User.tier
+};
+
+export const WALLET = {
+  CHANNEL_CODE: 'SALDO',          // Pseudo payment channel for balance checkout
+  MIN_DEPOSIT: 10000,
+  MAX_DEPOSIT: 5000000,
+  DEPOSIT_PRESETS: [25000, 50000, 100000, 250000],
+  HISTORY_LIMIT: 5
+};
+
+export const MANUAL_TRANSFER = {
+  CHANNEL_CODE: 'TRANSFER',       // Pseudo payment channel, verified by an admin
+  EXPIRY_HOURS: 24,
+  PROOF_TYPE: {
+    PHOTO: 'photo',
+    DOCUMENT: 'document'
+  }
+};
+
+export const INVOICE_SWITCH = {
+  CALLBACK_MAX_BYTES: 64          // Telegram callback_data limit (merchantRef + channel code must fit)
+};
+
+export const LEDGER_ENTRY_TYPE = {
+  DEPOSIT: 'DEPOSIT',   // Gateway → user
+  PURCHASE: 'PURCHASE', // User → sales
+  REFUND: 'REFUND',     // Sales → user
+  REFERRAL: 'REFERRAL'  // Marketing → user (referral reward)
+};
+
+export const LEDGER_ACCOUNT = {
+  GATEWAY: 'system:gateway',
+  SALES: 'system:sales',
+  MARKETING: 'system:marketing'
+};
+
+// ===========================================
+// SAVED GAME ACCOUNTS
+// ===========================================
+export const GAME_ACCOUNT = {
+  MAX_SUGGESTED: 5,   // Saved IDs offered as buttons after picking a product
+  MAX_LISTED: 20      // Saved IDs shown in the management list
 };
 
 // ===========================================
 // QR CODE CONFIGURATION
 // ===========================================
 export const QR_CODE = {
-  SIZE: 300,
-  API_URL: 'https://quickchart.io/qr?text=',
-  ERROR_CORRECTION: 'M'
+  SIZE: 400,              // Image width in px
+  MARGIN: 4,              // Quiet zone in modules
+  ERROR_CORRECTION: 'M',
+  FILENAME: 'qris.png'
+};
+
+// ===========================================
+// MEMBERSHIP TIERS (tier price lists from the provider price columns)
+// ===========================================
+export const MEMBERSHIP_TIER = {
+  MEMBER: 'MEMBER',
+  RESELLER: 'RESELLER',
+  VIP: 'VIP'
+};
+
+export const MEMBERSHIP = {
+  // Lowest to highest: a user can only be upgraded along this list
+  TIERS: [MEMBERSHIP_TIER.MEMBER, MEMBERSHIP_TIER.RESELLER, MEMBERSHIP_TIER.VIP],
+  // GameService column the tier price is derived from (0 falls back to priceBasic)
+  PRICE_COLUMN: {
+    MEMBER: 'priceBasic',
+    RESELLER: 'pricePremium',
+    VIP: 'priceSpecial'
+  }
+};
+
+// ===========================================
+// PRICING ENGINE (sell price = provider cost + markup)
+// ===========================================
+// Most specific active rule wins: SERVICE > CATEGORY > BRAND > GLOBAL
+export const PRICING_SCOPE = {
+  GLOBAL: 'GLOBAL',     // Every product (target '')
+  BRAND: 'BRAND',       // Brand/game code (e.g. MLBB)
+  CATEGORY: 'CATEGORY', // GameService.category, across brands
+  SERVICE: 'SERVICE'    // GameService.code
+};
+
+export const PRICING_ENGINE = {
+  RULE_CACHE_MS: 60 * 1000 // Rules are re-read at most once per minute (admin edits invalidate)
+};
+
+// ===========================================
+// PROMO CODES (discount on the order sell price)
+// ===========================================
+export const PROMO_DISCOUNT_TYPE = {
+  PERCENT: 'PERCENT', // value = percent of the sell price (optionally capped by maxDiscount)
+  FLAT: 'FLAT'        // value = rupiah off
+};
+
+export const PROMO = {
+  CODE_PATTERN: /^[A-Z0-9_-]{3,20}$/,
+  INPUT_TTL_MS: 5 * 60 * 1000, // Open "type your promo code" prompt expires
+  CLAIM_RETRIES: 5,                         // Optimistic redemption claim attempts under contention
+  SWEEP_INTERVAL_MS: 5 * 60 * 1000,         // Give back redemptions of cancelled orders
+  // Orders that give their redemption back
+  RELEASE_STATUSES: [PAYMENT_STATUS.EXPIRED, PAYMENT_STATUS.FAILED, PAYMENT_STATUS.REFUNDED],
+  RELEASE_LOOKBACK_MS: 2 * 24 * 60 * 60 * 1000
+};
+
+// ===========================================
+// REFERRAL PROGRAM
+// ===========================================
+export const REFERRAL_REWARD_TYPE = {
+  CREDIT: 'CREDIT',   // Rupiah added to the referrer's balance
+  VOUCHER: 'VOUCHER'  // Single-use FLAT promo code only the referrer can redeem
+};
+
+export const REFERRAL = {
+  START_PREFIX: 'ref_',          // /start payload of invite links
+  CODE_LENGTH: 8,
+  CODE_ALPHABET: 'ABCDEFGHJKLMNPQRSTUVWXYZ23456789', // No 0/O, 1/I lookalikes
+  CODE_PATTERN: /^[A-Z0-9]{4,20}$/,
+  VOUCHER_PREFIX: 'REF',
+  CODE_RETRIES: 3                // Unique collisions before giving up
+};
+
+// ===========================================
+// LOYALTY POINTS
+// ===========================================
+export const POINT_ENTRY_TYPE = {
+  EARN: 'EARN',       // Delivered order (credit lot)
+  REDEEM: 'REDEEM',   // Spent as a checkout discount
+  RESTORE: 'RESTORE', // Points of an expired/failed/refunded order given back (credit lot)
+  EXPIRE: 'EXPIRE',   // Unspent rest of a lot past its expiry
+  ADJUST: 'ADJUST'    // Manual admin correction (either sign)
+};
+
+export const LOYALTY = {
+  RATE_UNIT: 1000,                          // Earn rates are points per Rp 1.000 paid
+  SWEEP_INTERVAL_MS: 10 * 60 * 1000,        // Expiry + restore sweep
+  SWEEP_BATCH: 100,
+  // Orders that give their redeemed points back
+  RESTORE_STATUSES: [PAYMENT_STATUS.EXPIRED, PAYMENT_STATUS.FAILED, PAYMENT_STATUS.REFUNDED],
+  RESTORE_LOOKBACK_MS: 7 * 24 * 60 * 60 * 1000, // Orders older than this are no longer swept
+  EXPIRING_SOON_DAYS: 30,                   // Profile warns about points expiring within
+  HISTORY_LIMIT: 5,
+  BRAND_PATTERN: /^[A-Z0-9_-]{2,30}$/
+};
+
+// ===========================================
+// FLASH SALE
+// ===========================================
+export const FLASH_SALE = {
+  CLAIM_RETRIES: 5,                         // Optimistic quota claim attempts under contention
+  SWEEP_INTERVAL_MS: 5 * 60 * 1000,         // Give back quota of cancelled orders
+  // Orders that give their quota unit back
+  RELEASE_STATUSES: [PAYMENT_STATUS.EXPIRED, PAYMENT_STATUS.FAILED, PAYMENT_STATUS.REFUNDED],
+  RELEASE_LOOKBACK_MS: 2 * 24 * 60 * 60 * 1000,
+  LIST_LIMIT: 20,                           // Sales shown by /flash (running and upcoming first)
+  ID_LENGTH: 8,                             // Id prefix shown to and typed by admins
+  MAX_DURATION_MS: 31 * 24 * 60 * 60 * 1000
+};
+
+// ===========================================
+// REMINDERS
+// ===========================================
+export const REMINDER = {
+  INTERVAL_MS: 60 * 1000,                   // Expiry reminders + abandoned-checkout nudges
+  BATCH: 50,
+  MIN_LEFT_MS: 60 * 1000,                   // Invoices closer to expiry than this are not reminded
+  NUDGE_MAX_IDLE_MS: 6 * 60 * 60 * 1000     // Checkouts idle longer than this are left alone
+};
+
+// ===========================================
+// REPORTS (transaction export)
+// ===========================================
+export const REPORT = {
+  // Statuses where the customer's money was received
+  REVENUE_STATUSES: [PAYMENT_STATUS.PAID, PAYMENT_STATUS.PROCESSING, PAYMENT_STATUS.DELIVERED, PAYMENT_STATUS.DELIVERY_FAILED],
+  MAX_RANGE_DAYS: 92,                       // Longest export (about a quarter)
+  MAX_ROWS: 50000,                          // Rows held in memory for XLSX / Telegram (CSV over HTTP streams all)
+  BATCH_SIZE: 500,                          // Rows read per query
+  FORMATS: ['xlsx', 'csv'],
+  MIN_TOKEN_LENGTH: 24                      // Shorter REPORT_API_TOKEN keeps the HTTP endpoint off
+};
+
+// ===========================================
+// SETTLEMENT (nightly gateway / provider / database check)
+// ===========================================
+export const SETTLEMENT = {
+  CHECK_INTERVAL_MS: 15 * 60 * 1000,        // How often BotCore looks whether last night's run is due
+  STALE_RUN_MS: 2 * 60 * 60 * 1000,         // A RUNNING run older than this crashed and may be taken over
+  MAX_LISTED: 15,                           // Mismatches listed per category in the admin report
+  MAX_STORED: 500                           // Mismatches kept on the run record
+};
+
+export const SETTLEMENT_RUN_STATUS = {
+  RUNNING: 'RUNNING',
+  DONE: 'DONE',
+  FAILED: 'FAILED'
+};
+
+export const SETTLEMENT_MISMATCH = {
+  PAID_NOT_DELIVERED: 'PAID_NOT_DELIVERED',   // Money received, order not delivered (and not refunded)
+  DELIVERED_NOT_PAID: 'DELIVERED_NOT_PAID',   // Delivered (or credited), payment not confirmed
+  AMOUNT_MISMATCH: 'AMOUNT_MISMATCH',         // Gateway amount ≠ amount, or provider price ≠ providerCost
+  STATUS_MISMATCH: 'STATUS_MISMATCH',         // Gateway/provider agree with each other, the database does not
+  NOT_IN_DATABASE: 'NOT_IN_DATABASE'          // Paid at the gateway, no transaction in the database
 };
 
 // ===========================================
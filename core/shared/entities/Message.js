@@ -18,7 +18,8 @@ export class Message {
         type = 'text',
         from = {},
         callbackData = null,
-        callbackId = null
+        callbackId = null,
+        media = null
     }) {
         this.chatId = chatId;
         this.text = text;
@@ -29,6 +30,8 @@ export class Message {
         this.from = from;
         this.callbackData = callbackData;
         this.callbackId = callbackId;
+        // Uploaded file (type 'photo' | 'document'): { fileId, mimeType, fileName }
+        this.media = media;
 
         // Runtime: assigned after authentication by HandleMessageUseCase
         this.user = null;
@@ -47,4 +50,11 @@ export class Message {
     isText() {
         return this.type === 'text';
     }
+
+    /**
+     * Check if message is an uploaded photo or document
+     */
+    isMedia() {
+        return (this.type === 'photo' || this.type === 'document') && !!this.media;
+    }
 }
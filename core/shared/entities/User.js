@@ -15,6 +15,14 @@ export class User {
     isActive = true,
     isBanned = false,
     role = 'user',
+    balance = 0n,
+    tier = 'MEMBER',
+    tierUpdatedAt = null,
+    referralCode = null,
+    referredById = null,
+    referredAt = null,
+    referralPaidAt = null,
+    remindersOptOut = false,
     createdAt = new Date(),
     lastActiveAt = new Date()
   }) {
@@ -29,6 +37,14 @@ export class User {
     this.isActive = isActive;
     this.isBanned = isBanned;
     this.role = role;
+    this.balance = balance;
+    this.tier = tier;
+    this.tierUpdatedAt = tierUpdatedAt;
+    this.referralCode = referralCode;
+    this.referredById = referredById;
+    this.referredAt = referredAt;
+    this.referralPaidAt = referralPaidAt;
+    this.remindersOptOut = remindersOptOut;
     this.createdAt = createdAt;
     this.lastActiveAt = lastActiveAt;
   }
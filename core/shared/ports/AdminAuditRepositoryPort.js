@@ -0,0 +1,26 @@
+/**
+ * AdminAuditRepositoryPort - Interface for admin audit trail operations
+ *
+ * This port defines the contract for recording manual admin actions.
+ * Following Hexagonal Architecture: Core depends on interface, not implementation.
+ */
+export class AdminAuditRepositoryPort {
+    /**
+     * Record an admin action
+     * @param {Object} entry - { adminId, adminName, action, merchantRef, targetUser, fromStatus, toStatus, note }
+     * @returns {Promise<Object>}
+     */
+    async create(entry) {
+        throw new Error('AdminAuditRepositoryPort.create() must be implemented');
+    }
+
+    /**
+     * Find actions on a transaction (newest first)
+     * @param {String} merchantRef
+     * @param {Number} limit
+     * @returns {Promise<Array>}
+     */
+    async findByReference(merchantRef, limit) {
+        throw new Error('AdminAuditRepositoryPort.findByReference() must be implemented');
+    }
+}
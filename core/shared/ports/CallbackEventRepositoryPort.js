@@ -0,0 +1,56 @@
+/**
+ * CallbackEventRepositoryPort - Interface for Callback Event ledger operations
+ *
+ * This port defines the contract for the callback event ledger (audit + idempotency).
+ * Following Hexagonal Architecture: Core depends on interface, not implementation.
+ */
+export class CallbackEventRepositoryPort {
+    /**
+     * Create ledger entry
+     * Must reject duplicates of (gateway, reference, event, payloadHash) with a unique-constraint error.
+     * @param {Object} data
+     * @returns {Promise<Object>}
+     */
+    async create(data) {
+        throw new Error('CallbackEventRepositoryPort.create() must be implemented');
+    }
+
+    /**
+     * Find entry by its idempotency key
+     * @param {Object} key - { gateway, reference, event, payloadHash }
+     * @returns {Promise<Object|null>}
+     */
+    async findByKey(key) {
+        throw new Error('CallbackEventRepositoryPort.findByKey() must be implemented');
+    }
+
+    /**
+     * Update entry only if it is still in one of the given statuses
+     * @param {String} id
+     * @param {Array<String>} fromStatuses
+     * @param {Object} data
+     * @returns {Promise<Boolean>} True if the row was updated
+     */
+    async updateIfStatus(id, fromStatuses, data) {
+        throw new Error('CallbackEventRepositoryPort.updateIfStatus() must be implemented');
+    }
+
+    /**
+     * Update entry
+     * @param {String} id
+     * @param {Object} data
+     * @returns {Promise<Object>}
+     */
+    async update(id, data) {
+        throw new Error('CallbackEventRepositoryPort.update() must be implemented');
+    }
+
+    /**
+     * Find entries for a merchant reference (audit trail)
+     * @param {String} reference
+     * @returns {Promise<Array>}
+     */
+    async findByReference(reference) {
+        throw new Error('CallbackEventRepositoryPort.findByReference() must be implemented');
+    }
+}
@@ -0,0 +1,94 @@
+/**
+ * FlashSaleRepositoryPort - Interface for flash sale persistence
+ *
+ * This port defines the contract for FlashSale: a time-boxed sell price of one
+ * service with an optional quota, claimed one unit per created order.
+ * Following Hexagonal Architecture: Core depends on interface, not implementation.
+ */
+export class FlashSaleRepositoryPort {
+    /**
+     * Enabled sales of the services running at a time (sold out ones included)
+     * @param {Array<String>} serviceCodes
+     * @param {Date} now
+     * @returns {Promise<Array>}
+     */
+    async findRunning(serviceCodes, now) {
+        throw new Error('FlashSaleRepositoryPort.findRunning() must be implemented');
+    }
+
+    /**
+     * Sales not ended yet (running and upcoming), soonest start first
+     * @param {Date} now
+     * @param {Number} limit
+     * @returns {Promise<Array>}
+     */
+    async findCurrent(now, limit) {
+        throw new Error('FlashSaleRepositoryPort.findCurrent() must be implemented');
+    }
+
+    /**
+     * Sales whose id starts with a prefix
+     * @param {String} prefix - Lower-case id prefix
+     * @returns {Promise<Array>}
+     */
+    async findByIdPrefix(prefix) {
+        throw new Error('FlashSaleRepositoryPort.findByIdPrefix() must be implemented');
+    }
+
+    /**
+     * Create a sale
+     * @param {Object} sale - { serviceCode, price, quota, startsAt, endsAt, createdBy }
+     * @returns {Promise<Object>}
+     */
+    async create(sale) {
+        throw new Error('FlashSaleRepositoryPort.create() must be implemented');
+    }
+
+    /**
+     * Enable/disable a sale
+     * @param {String} id
+     * @param {Boolean} isActive
+     * @returns {Promise<Object|null>} null if no such sale
+     */
+    async setActive(id, isActive) {
+        throw new Error('FlashSaleRepositoryPort.setActive() must be implemented');
+    }
+
+    /**
+     * Delete a sale (its orders keep their price, flashSaleId is cleared)
+     * @param {String} id
+     * @returns {Promise<Boolean>} false if no such sale
+     */
+    async delete(id) {
+        throw new Error('FlashSaleRepositoryPort.delete() must be implemented');
+    }
+
+    /**
+     * Take one unit of the quota if the sale is running and not sold out (atomic)
+     * @param {String} id
+     * @param {Date} now
+     * @returns {Promise<Boolean>} false if the sale ended, was disabled or sold out
+     */
+    async claim(id, now) {
+        throw new Error('FlashSaleRepositoryPort.claim() must be implemented');
+    }
+
+    /**
+     * Give back one unit claimed for an order that was never created
+     * @param {String} id
+     * @returns {Promise<Boolean>}
+     */
+    async release(id) {
+        throw new Error('FlashSaleRepositoryPort.release() must be implemented');
+    }
+
+    /**
+     * Give back the unit of a cancelled order (once: marks Transaction.flashSaleReleasedAt)
+     * @param {String} merchantRef
+     * @param {String} id - Flash sale of the order
+     * @returns {Promise<Boolean>} false if already given back
+     */
+    async releaseOrder(merchantRef, id) {
+        throw new Error('FlashSaleRepositoryPort.releaseOrder() must be implemented');
+    }
+}
@@ -0,0 +1,103 @@
+/**
+ * FulfillmentJobRepositoryPort - Interface for Fulfillment Job data operations
+ *
+ * This port defines the contract for the durable fulfillment queue.
+ * Following Hexagonal Architecture: Core depends on interface, not implementation.
+ */
+export class FulfillmentJobRepositoryPort {
+    /**
+     * Enqueue a job for a transaction (no-op if one already exists)
+     * @param {String} merchantRef
+     * @param {Number} maxAttempts
+     * @returns {Promise<Object>} The existing or newly created job
+     */
+    async enqueue(merchantRef, maxAttempts) {
+        throw new Error('FulfillmentJobRepositoryPort.enqueue() must be implemented');
+    }
+
+    /**
+     * Find job by merchant reference
+     * @param {String} merchantRef
+     * @returns {Promise<Object|null>}
+     */
+    async findByRef(merchantRef) {
+        throw new Error('FulfillmentJobRepositoryPort.findByRef() must be implemented');
+    }
+
+    /**
+     * Find PENDING jobs whose nextRunAt has passed
+     * @param {Number} limit
+     * @returns {Promise<Array>}
+     */
+    async findDue(limit) {
+        throw new Error('FulfillmentJobRepositoryPort.findDue() must be implemented');
+    }
+
+    /**
+     * Atomically claim a PENDING job (PENDING → RUNNING, attempts + 1)
+     * @param {String} id
+     * @returns {Promise<Boolean>} True if this caller won the claim
+     */
+    async claim(id) {
+        throw new Error('FulfillmentJobRepositoryPort.claim() must be implemented');
+    }
+
+    /**
+     * Mark job as completed
+     * @param {String} id
+     * @returns {Promise<Object>}
+     */
+    async markDone(id) {
+        throw new Error('FulfillmentJobRepositoryPort.markDone() must be implemented');
+    }
+
+    /**
+     * Put job back to PENDING with a future nextRunAt
+     * @param {String} id
+     * @param {Date} nextRunAt
+     * @param {String} lastError
+     * @returns {Promise<Object>}
+     */
+    async scheduleRetry(id, nextRunAt, lastError) {
+        throw new Error('FulfillmentJobRepositoryPort.scheduleRetry() must be implemented');
+    }
+
+    /**
+     * Move job to dead-letter state
+     * @param {String} id
+     * @param {String} lastError
+     * @returns {Promise<Object>}
+     */
+    async markDead(id, lastError) {
+        throw new Error('FulfillmentJobRepositoryPort.markDead() must be implemented');
+    }
+
+    /**
+     * Release RUNNING jobs locked before the given date (crashed worker)
+     * @param {Date} lockedBefore
+     * @returns {Promise<Object>} { count }
+     */
+    async releaseStale(lockedBefore) {
+        throw new Error('FulfillmentJobRepositoryPort.releaseStale() must be implemented');
+    }
+
+    /**
+     * Reset job to a fresh PENDING state (create if missing), e.g. manual re-fulfill
+     * @param {String} merchantRef
+     * @param {Number} maxAttempts
+     * @returns {Promise<Object>} Job
+     */
+    async reset(merchantRef, maxAttempts) {
+        throw new Error('FulfillmentJobRepositoryPort.reset() must be implemented');
+    }
+
+    /**
+     * Dead-letter a job that has not run yet (PENDING only)
+     * @param {String} merchantRef
+     * @param {String} reason
+     * @returns {Promise<Boolean>} true if a job was cancelled
+     */
+    async cancelPending(merchantRef, reason) {
+        throw new Error('FulfillmentJobRepositoryPort.cancelPending() must be implemented');
+    }
+}
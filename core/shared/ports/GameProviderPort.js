@@ -22,6 +22,8 @@ export class GameProviderPort {
    * @param {String} orderData.playerId - Player ID
    * @param {String} orderData.zoneId - Zone/server ID (optional)
    * @returns {Promise<Object>} Order result
+   *   { success: false } only when the provider refused the order (nothing placed);
+   *   throws when the outcome is unknown (timeout, no/garbled answer)
    */
   async orderTopUp(orderData) {
     throw new Error('GameProviderPort.orderTopUp() must be implemented by adapter');
@@ -30,7 +32,9 @@ export class GameProviderPort {
   /**
    * Check order status
    * @param {String} orderId - Order/transaction ID
-   * @returns {Promise<Object>} Order status details
+   * @returns {Promise<Object>} { success, status, serial, price, message }
+   *   success=false means the lookup itself failed (status is then 'unknown');
+   *   price is what the provider charged (null if not reported)
    */
   async checkOrderStatus(orderId) {
     throw new Error('GameProviderPort.checkOrderStatus() must be implemented by adapter');
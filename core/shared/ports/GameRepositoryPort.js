@@ -84,7 +84,7 @@ export class GameRepositoryPort {
 
     /**
      * Save or update game account
-     * @param {Object} accountData
+     * @param {Object} accountData - { userId (chat ID), gameCode, playerId, zoneId, nickname, isVerified }
      * @returns {Promise<Object>}
      */
     async saveGameAccount(accountData) {
@@ -92,11 +92,33 @@ export class GameRepositoryPort {
     }
 
     /**
-     * Get user's game accounts
-     * @param {String} userId
+     * Get user's game accounts (most recently used first)
+     * @param {String} userId - Owner chat ID
+     * @param {String} [gameCode] - Only accounts for this game
+     * @param {Number} [limit]
      * @returns {Promise<Array>}
      */
-    async getUserGameAccounts(userId) {
+    async getUserGameAccounts(userId, gameCode, limit) {
         throw new Error('GameRepositoryPort.getUserGameAccounts() must be implemented');
     }
+
+    /**
+     * Find a game account owned by the user
+     * @param {String} userId - Owner chat ID
+     * @param {String} accountId
+     * @returns {Promise<Object|null>}
+     */
+    async findGameAccount(userId, accountId) {
+        throw new Error('GameRepositoryPort.findGameAccount() must be implemented');
+    }
+
+    /**
+     * Delete a game account owned by the user
+     * @param {String} userId - Owner chat ID
+     * @param {String} accountId
+     * @returns {Promise<boolean>} false if not found
+     */
+    async deleteGameAccount(userId, accountId) {
+        throw new Error('GameRepositoryPort.deleteGameAccount() must be implemented');
+    }
 }
@@ -0,0 +1,43 @@
+/**
+ * LoyaltyRateRepositoryPort - Interface for per-brand loyalty earn rates
+ *
+ * This port defines the contract for LoyaltyRate: points per Rp 1.000 paid on
+ * orders of a brand, overriding the default rate.
+ * Following Hexagonal Architecture: Core depends on interface, not implementation.
+ */
+export class LoyaltyRateRepositoryPort {
+    /**
+     * Find the rate of a brand
+     * @param {String} brand - Upper-case brand/game code
+     * @returns {Promise<Object|null>}
+     */
+    async findByBrand(brand) {
+        throw new Error('LoyaltyRateRepositoryPort.findByBrand() must be implemented');
+    }
+
+    /**
+     * All brand rates, by brand
+     * @returns {Promise<Array>}
+     */
+    async findAll() {
+        throw new Error('LoyaltyRateRepositoryPort.findAll() must be implemented');
+    }
+
+    /**
+     * Create or replace the rate of a brand
+     * @param {Object} rate - { brand, earnRate, updatedBy }
+     * @returns {Promise<Object>}
+     */
+    async upsert(rate) {
+        throw new Error('LoyaltyRateRepositoryPort.upsert() must be implemented');
+    }
+
+    /**
+     * Delete the rate of a brand (it falls back to the default rate)
+     * @param {String} brand
+     * @returns {Promise<Boolean>} false if no such rate
+     */
+    async delete(brand) {
+        throw new Error('LoyaltyRateRepositoryPort.delete() must be implemented');
+    }
+}
@@ -3,11 +3,18 @@
  * 
  * This port defines the contract for payment adapters.
  * Any payment gateway (Sakurupiah, Netzme, etc.) must implement these methods.
+ *
+ * Shapes shared by all adapters (Sakurupiah field names are the reference):
+ * - Channel: { kode, nama, biaya, percent: 'Percent'|'Flat', minimal, maksimal, tipe, metode, logo, status, guide? }
+ * - Invoice: { success, payment_url, qr_string, expiry_date, payment_code, trx_id }
+ * - Status:  { trx_id, payment_status: 'pending'|'berhasil'|'expired'|'gagal', amount?, checkout_url?, payment_code?, qr_string? }
+ *   (amount: invoiced total as reported by the gateway, used by the nightly settlement check;
+ *   listTransactions rows also carry merchant_ref)
  */
 export class PaymentPort {
   /**
    * Get available payment channels
-   * @returns {Promise<Array>} List of payment channels
+   * @returns {Promise<Object>} { data: Channel[] } or { success: false, data: [], error }
    */
   async getPaymentChannels() {
     throw new Error('PaymentPort.getPaymentChannels() must be implemented by adapter');
@@ -15,7 +22,7 @@ export class PaymentPort {
 
   /**
    * Create a payment invoice
-   * @param {Object} orderData - Order details
+   * @param {Object} orderData - Order details (merchantRef, amount, channelCode, ...)
    * @returns {Promise<Object>} Invoice details with payment URL/QR
    */
   async createInvoice(orderData) {
@@ -23,11 +30,20 @@ export class PaymentPort {
   }
 
   /**
-   * Check transaction status by merchant reference
+   * Check transaction status by merchant reference (used before the gateway trx ID is known)
    * @param {String} merchantRef - Merchant reference ID
-   * @returns {Promise<Object>} Transaction status details
+   * @returns {Promise<Object|null>} Status details or null
    */
-  async checkTransactionStatus(merchantRef) {
+  async checkTransaction(merchantRef) {
+    throw new Error('PaymentPort.checkTransaction() must be implemented by adapter');
+  }
+
+  /**
+   * Check transaction status by gateway transaction ID
+   * @param {String} trxId - Transaction ID from payment gateway
+   * @returns {Promise<Object|null>} Status details or null
+   */
+  async checkTransactionStatus(trxId) {
     throw new Error('PaymentPort.checkTransactionStatus() must be implemented by adapter');
   }
 
@@ -39,4 +55,14 @@ export class PaymentPort {
   async getTransactionDetails(trxId) {
     throw new Error('PaymentPort.getTransactionDetails() must be implemented by adapter');
   }
+
+  /**
+   * List the transactions the gateway recorded in a period (nightly settlement)
+   * @param {Date} from - Start (inclusive)
+   * @param {Date} to - End (exclusive)
+   * @returns {Promise<Array|null>} Status[] (with merchant_ref) or null when the gateway did not answer
+   */
+  async listTransactions(from, to) {
+    throw new Error('PaymentPort.listTransactions() must be implemented by adapter');
+  }
 }
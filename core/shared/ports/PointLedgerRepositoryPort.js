@@ -0,0 +1,78 @@
+/**
+ * PointLedgerRepositoryPort - Interface for loyalty points
+ *
+ * This port defines the contract for the points ledger: credits are lots with
+ * an expiry, debits spend the lots that expire first. The balance is the sum of
+ * unspent, unexpired lots.
+ * Following Hexagonal Architecture: Core depends on interface, not implementation.
+ */
+export class PointLedgerRepositoryPort {
+    /**
+     * Spendable points (unspent lots not yet expired)
+     * @param {String} userId - Owner chat ID
+     * @param {Date} now
+     * @returns {Promise<Number>}
+     */
+    async getBalance(userId, now) {
+        throw new Error('PointLedgerRepositoryPort.getBalance() must be implemented');
+    }
+
+    /**
+     * Spendable lots, soonest expiry first
+     * @param {String} userId - Owner chat ID
+     * @param {Date} now
+     * @returns {Promise<Array>} [{ id, remaining, expiresAt }]
+     */
+    async findLots(userId, now) {
+        throw new Error('PointLedgerRepositoryPort.findLots() must be implemented');
+    }
+
+    /**
+     * Add a credit lot
+     * @param {Object} entry - { userId, type, points, expiresAt, merchantRef, note, createdBy }
+     * @returns {Promise<Object|null>} Entry, or null if this merchantRef/type was already credited
+     */
+    async credit(entry) {
+        throw new Error('PointLedgerRepositoryPort.credit() must be implemented');
+    }
+
+    /**
+     * Spend points from the lots that expire first, in one DB transaction
+     * @param {Object} entry - { userId, type, points (positive), merchantRef, note, createdBy }
+     * @param {Date} now
+     * @returns {Promise<Object|null>} Debit entry, or null if the balance is insufficient / already debited
+     */
+    async debit(entry, now) {
+        throw new Error('PointLedgerRepositoryPort.debit() must be implemented');
+    }
+
+    /**
+     * Entry of a transaction by type
+     * @param {String} merchantRef
+     * @param {String} type
+     * @returns {Promise<Object|null>}
+     */
+    async findByMerchantRef(merchantRef, type) {
+        throw new Error('PointLedgerRepositoryPort.findByMerchantRef() must be implemented');
+    }
+
+    /**
+     * Ledger entries of a user (newest first)
+     * @param {String} userId
+     * @param {Number} limit
+     * @returns {Promise<Array>}
+     */
+    async findEntries(userId, limit) {
+        throw new Error('PointLedgerRepositoryPort.findEntries() must be implemented');
+    }
+
+    /**
+     * Zero the unspent rest of lots past their expiry, writing one EXPIRE entry per lot
+     * @param {Date} now
+     * @param {Number} limit - Lots per call
+     * @returns {Promise<Array>} Expire entries written [{ userId, points }]
+     */
+    async expireLots(now, limit) {
+        throw new Error('PointLedgerRepositoryPort.expireLots() must be implemented');
+    }
+}
@@ -0,0 +1,43 @@
+/**
+ * PricingRuleRepositoryPort - Interface for sell price rules
+ *
+ * This port defines the contract for PricingRule: markup applied on top of the
+ * provider cost, scoped globally or per brand, category or service code.
+ * Following Hexagonal Architecture: Core depends on interface, not implementation.
+ */
+export class PricingRuleRepositoryPort {
+    /**
+     * All active rules (any scope)
+     * @returns {Promise<Array>}
+     */
+    async findActive() {
+        throw new Error('PricingRuleRepositoryPort.findActive() must be implemented');
+    }
+
+    /**
+     * All rules including inactive ones, ordered by scope and target
+     * @returns {Promise<Array>}
+     */
+    async findAll() {
+        throw new Error('PricingRuleRepositoryPort.findAll() must be implemented');
+    }
+
+    /**
+     * Create or update the rule of a scope/target pair
+     * @param {Object} rule - { scope, target, markupPercent, markupFlat, roundTo, minMargin, isActive }
+     * @returns {Promise<Object>}
+     */
+    async upsert(rule) {
+        throw new Error('PricingRuleRepositoryPort.upsert() must be implemented');
+    }
+
+    /**
+     * Delete the rule of a scope/target pair
+     * @param {String} scope - PRICING_SCOPE value
+     * @param {String} target - Brand code, category or service code ('' for GLOBAL)
+     * @returns {Promise<Boolean>} false if no such rule
+     */
+    async delete(scope, target) {
+        throw new Error('PricingRuleRepositoryPort.delete() must be implemented');
+    }
+}
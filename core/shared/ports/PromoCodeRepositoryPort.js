@@ -0,0 +1,95 @@
+/**
+ * PromoCodeRepositoryPort - Interface for promo codes
+ *
+ * This port defines the contract for PromoCode: discount, usage caps, validity
+ * window and game/service restrictions. Redemptions are counters claimed at checkout
+ * (per promo and per user) and given back once per order (Transaction.promoReleasedAt).
+ * Following Hexagonal Architecture: Core depends on interface, not implementation.
+ */
+export class PromoCodeRepositoryPort {
+    /**
+     * Find a promo by its (upper-case) code
+     * @param {String} code
+     * @returns {Promise<Object|null>}
+     */
+    async findByCode(code) {
+        throw new Error('PromoCodeRepositoryPort.findByCode() must be implemented');
+    }
+
+    /**
+     * Redemptions of a promo held by one user
+     * @param {String} code
+     * @param {String} userId
+     * @returns {Promise<Object|null>} { promoCode, userId, used }
+     */
+    async findUsage(code, userId) {
+        throw new Error('PromoCodeRepositoryPort.findUsage() must be implemented');
+    }
+
+    /**
+     * All promos, newest first
+     * @returns {Promise<Array>}
+     */
+    async findAll() {
+        throw new Error('PromoCodeRepositoryPort.findAll() must be implemented');
+    }
+
+    /**
+     * Create or replace the promo with this code
+     * @param {Object} promo - { code, discountType, discountValue, maxDiscount, minOrder, usageLimit, perUserLimit, games, services, startsAt, endsAt, isActive, ownerId, createdBy }
+     * @returns {Promise<Object>}
+     */
+    async upsert(promo) {
+        throw new Error('PromoCodeRepositoryPort.upsert() must be implemented');
+    }
+
+    /**
+     * Enable or disable a promo
+     * @param {String} code
+     * @param {Boolean} isActive
+     * @returns {Promise<Object|null>} null if no such promo
+     */
+    async setActive(code, isActive) {
+        throw new Error('PromoCodeRepositoryPort.setActive() must be implemented');
+    }
+
+    /**
+     * Delete a promo (orders keep the code they redeemed)
+     * @param {String} code
+     * @returns {Promise<Boolean>} false if no such promo
+     */
+    async delete(code) {
+        throw new Error('PromoCodeRepositoryPort.delete() must be implemented');
+    }
+
+    /**
+     * Atomically take one redemption of a promo for a user (global and per-user caps)
+     * @param {String} code
+     * @param {String} userId
+     * @returns {Promise<String|null>} Refusal reason (NOT_FOUND, LIMIT_REACHED, USER_LIMIT_REACHED), null when claimed
+     */
+    async claim(code, userId) {
+        throw new Error('PromoCodeRepositoryPort.claim() must be implemented');
+    }
+
+    /**
+     * Give back one redemption (the order was never created)
+     * @param {String} code
+     * @param {String} userId
+     * @returns {Promise<Boolean>}
+     */
+    async release(code, userId) {
+        throw new Error('PromoCodeRepositoryPort.release() must be implemented');
+    }
+
+    /**
+     * Give back the redemption of an order, at most once (sets Transaction.promoReleasedAt)
+     * @param {String} merchantRef
+     * @param {String} code
+     * @param {String} userId
+     * @returns {Promise<Boolean>} false if already given back
+     */
+    async releaseOrder(merchantRef, code, userId) {
+        throw new Error('PromoCodeRepositoryPort.releaseOrder() must be implemented');
+    }
+}
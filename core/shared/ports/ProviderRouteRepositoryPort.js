@@ -0,0 +1,26 @@
+/**
+ * ProviderRouteRepositoryPort - Interface for fulfillment routing data
+ *
+ * This port defines the contract for ProviderRoute: which game providers can
+ * deliver a service code, with priority and cost.
+ * Following Hexagonal Architecture: Core depends on interface, not implementation.
+ */
+export class ProviderRouteRepositoryPort {
+    /**
+     * Active routes of a service code, in failover order (priority asc, cost asc)
+     * @param {String} serviceCode - GameService.code
+     * @returns {Promise<Array>}
+     */
+    async findActiveByServiceCode(serviceCode) {
+        throw new Error('ProviderRouteRepositoryPort.findActiveByServiceCode() must be implemented');
+    }
+
+    /**
+     * Create or update the route of a service code for one provider
+     * @param {Object} route - { serviceCode, provider, providerServiceCode, priority, cost, isActive }
+     * @returns {Promise<Object>}
+     */
+    async upsert(route) {
+        throw new Error('ProviderRouteRepositoryPort.upsert() must be implemented');
+    }
+}
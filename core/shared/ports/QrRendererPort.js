@@ -0,0 +1,17 @@
+/**
+ * QrRendererPort - Interface for QR code image rendering
+ *
+ * This port defines the contract for turning a QR payload (e.g. a QRIS string)
+ * into an image in-process, so payment payloads never leave the server.
+ * Following Hexagonal Architecture: Core depends on interface, not implementation.
+ */
+export class QrRendererPort {
+    /**
+     * Render a QR payload as PNG
+     * @param {String} payload - QR content
+     * @returns {Promise<Buffer>} PNG image
+     */
+    async renderPng(payload) {
+        throw new Error('QrRendererPort.renderPng() must be implemented');
+    }
+}
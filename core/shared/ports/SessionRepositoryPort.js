@@ -50,4 +50,25 @@ export class SessionRepositoryPort {
     async deleteExpired(hoursOld) {
         throw new Error('SessionRepositoryPort.deleteExpired() must be implemented');
     }
+
+    /**
+     * Sessions holding a pending order, idle since a window, not nudged yet
+     * @param {Date} idleSince - Last update at or before
+     * @param {Date} notBefore - Last update after (older checkouts are left alone)
+     * @param {Number} limit
+     * @returns {Promise<Array>}
+     */
+    async findIdleCheckouts(idleSince, notBefore, limit) {
+        throw new Error('SessionRepositoryPort.findIdleCheckouts() must be implemented');
+    }
+
+    /**
+     * Flag a session as nudged (once, and only if untouched since it was read)
+     * @param {String} chatId
+     * @param {Date} updatedAt - Last update seen by findIdleCheckouts
+     * @returns {Promise<Boolean>} false if nudged already or the user came back
+     */
+    async markNudged(chatId, updatedAt) {
+        throw new Error('SessionRepositoryPort.markNudged() must be implemented');
+    }
 }
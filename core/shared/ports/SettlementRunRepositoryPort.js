@@ -0,0 +1,43 @@
+/**
+ * SettlementRunRepositoryPort - Interface for settlement run persistence
+ *
+ * This port defines the contract for SettlementRun: one nightly comparison of a
+ * WIB day's transactions with the payment gateway and the game provider.
+ * A day is claimed before it is checked, so several instances never run it twice.
+ * Following Hexagonal Architecture: Core depends on interface, not implementation.
+ */
+export class SettlementRunRepositoryPort {
+    /**
+     * Take a day for a run
+     * Succeeds for a new day, a FAILED run, a RUNNING run started before `staleBefore`,
+     * and (with `force`) a DONE run.
+     * @param {String} day - YYYY-MM-DD (WIB)
+     * @param {Object} options
+     * @param {Date} options.staleBefore
+     * @param {Boolean} [options.force=false] - Run a finished day again (admin)
+     * @param {String} [options.triggeredBy] - Admin telegram ID
+     * @returns {Promise<Boolean>} false if the day is done or running elsewhere
+     */
+    async claim(day, options) {
+        throw new Error('SettlementRunRepositoryPort.claim() must be implemented');
+    }
+
+    /**
+     * Record the outcome of a run
+     * @param {String} day
+     * @param {Object} result - { status, checked, mismatches, unchecked, details, error }
+     * @returns {Promise<Object>}
+     */
+    async finish(day, result) {
+        throw new Error('SettlementRunRepositoryPort.finish() must be implemented');
+    }
+
+    /**
+     * Find run by day
+     * @param {String} day
+     * @returns {Promise<Object|null>}
+     */
+    async findByDay(day) {
+        throw new Error('SettlementRunRepositoryPort.findByDay() must be implemented');
+    }
+}
@@ -0,0 +1,30 @@
+/**
+ * SpreadsheetWriterPort - Interface for tabular file rendering (reports, exports)
+ *
+ * A sheet is { name, columns: [{ key, header, type }], rows: [Object] } where
+ * `type` is 'number' or 'string' (default) and row values are read by `key`
+ * (null/undefined = empty cell, BigInt allowed for numbers).
+ * Following Hexagonal Architecture: Core depends on interface, not implementation.
+ */
+export class SpreadsheetWriterPort {
+    /**
+     * Render one sheet as CSV (UTF-8)
+     * Rows can be rendered in chunks: the header (and BOM) only with `header: true`.
+     * @param {Object} sheet - { columns, rows }
+     * @param {Object} [options]
+     * @param {Boolean} [options.header=true] - Start with the BOM and the header line
+     * @returns {String}
+     */
+    toCsv(sheet, options = {}) {
+        throw new Error('SpreadsheetWriterPort.toCsv() must be implemented');
+    }
+
+    /**
+     * Render sheets as an XLSX workbook (first sheet opens first)
+     * @param {Array<Object>} sheets - [{ name, columns, rows }]
+     * @returns {Buffer}
+     */
+    toXlsx(sheets) {
+        throw new Error('SpreadsheetWriterPort.toXlsx() must be implemented');
+    }
+}
@@ -37,14 +37,25 @@ export class TelegramPort {
     /**
      * Send photo message
      * @param {String|Number} chatId
-     * @param {String} photo - URL or file_id
-     * @param {Object} options
+     * @param {String|Buffer} photo - URL, file_id, or PNG buffer (uploaded as multipart)
+     * @param {Object} options - Telegram options (+ filename for buffer uploads)
      * @returns {Promise<Object>}
      */
     async sendPhoto(chatId, photo, options = {}) {
         throw new Error('TelegramPort.sendPhoto() must be implemented');
     }
 
+    /**
+     * Send document message
+     * @param {String|Number} chatId
+     * @param {String|Buffer} document - URL, file_id, or file buffer (uploaded as multipart)
+     * @param {Object} options - Telegram options (+ filename/contentType for buffer uploads)
+     * @returns {Promise<Object>}
+     */
+    async sendDocument(chatId, document, options = {}) {
+        throw new Error('TelegramPort.sendDocument() must be implemented');
+    }
+
     /**
      * Edit message text
      * @param {String|Number} chatId
@@ -35,6 +35,17 @@ export class TransactionRepositoryPort {
         throw new Error('TransactionRepositoryPort.update() must be implemented');
     }
 
+    /**
+     * Update transaction only if its status still matches (compare-and-set)
+     * @param {String} merchantRef
+     * @param {String} expectedStatus
+     * @param {Object} data
+     * @returns {Promise<Boolean>} True if this caller performed the update
+     */
+    async updateIfStatus(merchantRef, expectedStatus, data) {
+        throw new Error('TransactionRepositoryPort.updateIfStatus() must be implemented');
+    }
+
     /**
      * Mark transaction as paid
      * @param {String} merchantRef
@@ -63,6 +74,24 @@ export class TransactionRepositoryPort {
         throw new Error('TransactionRepositoryPort.findByTrxId() must be implemented');
     }
 
+    /**
+     * Find transaction by game provider order ID
+     * @param {String} providerOrderId
+     * @returns {Promise<Object|null>}
+     */
+    async findByProviderOrderId(providerOrderId) {
+        throw new Error('TransactionRepositoryPort.findByProviderOrderId() must be implemented');
+    }
+
+    /**
+     * Find a pre-routing PAID order whose trxId was overwritten with the provider order ID
+     * @param {String} providerOrderId
+     * @returns {Promise<Object|null>}
+     */
+    async findLegacyProviderOrder(providerOrderId) {
+        throw new Error('TransactionRepositoryPort.findLegacyProviderOrder() must be implemented');
+    }
+
     /**
      * Find transactions by userId
      * @param {String} userId
@@ -73,6 +102,16 @@ export class TransactionRepositoryPort {
         throw new Error('TransactionRepositoryPort.findByUserId() must be implemented');
     }
 
+    /**
+     * Find the latest transaction of a user
+     * @param {String} userId
+     * @param {Object} filter - { status, channel } (optional)
+     * @returns {Promise<Object|null>}
+     */
+    async findLatestByUser(userId, filter) {
+        throw new Error('TransactionRepositoryPort.findLatestByUser() must be implemented');
+    }
+
     /**
      * Find expired unpaid transactions
      * @returns {Promise<Array>}
@@ -88,4 +127,130 @@ export class TransactionRepositoryPort {
     async markExpiredTransactions() {
         throw new Error('TransactionRepositoryPort.markExpiredTransactions() must be implemented');
     }
+
+    /**
+     * Find transactions by status within a time window
+     * @param {String} status
+     * @param {Object} filter - { createdAfter, createdBefore, updatedBefore, limit }
+     * @returns {Promise<Array>}
+     */
+    async findByStatus(status, filter) {
+        throw new Error('TransactionRepositoryPort.findByStatus() must be implemented');
+    }
+
+    /**
+     * Count and sum orders (deposits excluded) per status within a time window
+     * @param {Date} from - Inclusive
+     * @param {Date} to - Exclusive
+     * @returns {Promise<Array>} [{ status, count, amount }]
+     */
+    async aggregateByStatus(from, to) {
+        throw new Error('TransactionRepositoryPort.aggregateByStatus() must be implemented');
+    }
+
+    /**
+     * One page of the transactions created within a time window (all types and statuses, oldest first)
+     * @param {Date} from - Inclusive
+     * @param {Date} to - Exclusive
+     * @param {Object} [options]
+     * @param {String} [options.after] - Last merchantRef of the previous page
+     * @param {Number} [options.limit]
+     * @returns {Promise<Array>}
+     */
+    async findForExport(from, to, options) {
+        throw new Error('TransactionRepositoryPort.findForExport() must be implemented');
+    }
+
+    /**
+     * Orders holding a promo redemption that ended in one of the statuses
+     * @param {Array<String>} statuses
+     * @param {Date} since - Only orders updated since
+     * @returns {Promise<Array>}
+     */
+    async findPromoClaims(statuses, since) {
+        throw new Error('TransactionRepositoryPort.findPromoClaims() must be implemented');
+    }
+
+    /**
+     * Orders that redeemed loyalty points and ended in one of the statuses
+     * @param {Array<String>} statuses
+     * @param {Date} since - Only orders updated since
+     * @returns {Promise<Array>}
+     */
+    async findPointRedemptions(statuses, since) {
+        throw new Error('TransactionRepositoryPort.findPointRedemptions() must be implemented');
+    }
+
+    /**
+     * Orders holding a flash sale quota unit that ended in one of the statuses
+     * @param {Array<String>} statuses
+     * @param {Date} since - Only orders updated since
+     * @returns {Promise<Array>}
+     */
+    async findFlashSaleClaims(statuses, since) {
+        throw new Error('TransactionRepositoryPort.findFlashSaleClaims() must be implemented');
+    }
+
+    /**
+     * Unpaid invoices expiring within a window that were not reminded yet
+     * @param {Date} from - Expiring after
+     * @param {Date} until - Expiring at or before
+     * @param {Number} limit
+     * @returns {Promise<Array>}
+     */
+    async findReminderDue(from, until, limit) {
+        throw new Error('TransactionRepositoryPort.findReminderDue() must be implemented');
+    }
+
+    /**
+     * Flag the expiry reminder of an invoice as sent (once)
+     * @param {String} merchantRef
+     * @returns {Promise<Boolean>} false if already flagged
+     */
+    async markReminderSent(merchantRef) {
+        throw new Error('TransactionRepositoryPort.markReminderSent() must be implemented');
+    }
+
+    /**
+     * Close an unpaid invoice replaced by another one (EXPIRED + replacedBy);
+     * the order's redeemed points and flash sale unit move to the replacement
+     * @param {String} merchantRef - Invoice being replaced
+     * @param {String} replacementRef - New invoice
+     * @returns {Promise<Boolean>} false if the invoice is no longer unpaid or already replaced
+     */
+    async supersede(merchantRef, replacementRef) {
+        throw new Error('TransactionRepositoryPort.supersede() must be implemented');
+    }
+
+    /**
+     * Close the unpaid replacement of an invoice paid after all;
+     * the order's redeemed points and flash sale unit move back to the paid invoice
+     * @param {String} merchantRef - Paid invoice
+     * @param {String} replacementRef - Its replacement
+     * @returns {Promise<Boolean>} false if the replacement is no longer unpaid
+     */
+    async retireReplacement(merchantRef, replacementRef) {
+        throw new Error('TransactionRepositoryPort.retireReplacement() must be implemented');
+    }
+
+    /**
+     * Record the invoice a switch chain's order is paid through, on the chain's first invoice
+     * (compare-and-set: the first paid invoice wins, repeating the claim is a no-op)
+     * @param {String} headRef - First invoice of the chain
+     * @param {String} merchantRef - Paid invoice
+     * @returns {Promise<Boolean>} false if another invoice of the chain was paid first
+     */
+    async claimSwitchChain(headRef, merchantRef) {
+        throw new Error('TransactionRepositoryPort.claimSwitchChain() must be implemented');
+    }
+
+    /**
+     * Invoices closed locally by a payment method switch that the gateway may still accept
+     * (EXPIRED with replacedBy or replacesRef, gateway expiry not yet passed)
+     * @param {Object} filter - { expiresAfter, createdAfter (rows without expiryDate), limit }
+     * @returns {Promise<Array>}
+     */
+    async findOpenSwitched(filter) {
+        throw new Error('TransactionRepositoryPort.findOpenSwitched() must be implemented');
+    }
 }
@@ -87,6 +87,79 @@ export class UserRepositoryPort {
         throw new Error('UserRepositoryPort.activate() must be implemented');
     }
 
+    /**
+     * List users (newest first)
+     * @param {Object} options - { skip, take }
+     * @returns {Promise<User[]>}
+     */
+    async findMany(options) {
+        throw new Error('UserRepositoryPort.findMany() must be implemented');
+    }
+
+    /**
+     * Count users
+     * @param {Object} where - Optional filter
+     * @returns {Promise<Number>}
+     */
+    async count(where) {
+        throw new Error('UserRepositoryPort.count() must be implemented');
+    }
+
+    /**
+     * Find user by referral code
+     * @param {String} code
+     * @returns {Promise<User|null>}
+     */
+    async findByReferralCode(code) {
+        throw new Error('UserRepositoryPort.findByReferralCode() must be implemented');
+    }
+
+    /**
+     * Referral counters of a referrer
+     * @param {String} id - Referrer database ID
+     * @returns {Promise<Object>} { referred, rewarded, earned }
+     */
+    async getReferralStats(id) {
+        throw new Error('UserRepositoryPort.getReferralStats() must be implemented');
+    }
+
+    /**
+     * Mark the referral reward of a referred user as paid (once)
+     * @param {String} id - Referred user database ID
+     * @param {BigInt} amount - Reward paid to the referrer
+     * @returns {Promise<Boolean>} false if already rewarded
+     */
+    async claimReferralReward(id, amount) {
+        throw new Error('UserRepositoryPort.claimReferralReward() must be implemented');
+    }
+
+    /**
+     * Undo claimReferralReward when the reward could not be paid
+     * @param {String} id - Referred user database ID
+     */
+    async releaseReferralReward(id) {
+        throw new Error('UserRepositoryPort.releaseReferralReward() must be implemented');
+    }
+
+    /**
+     * Chat IDs (out of the given ones) that turned reminders off
+     * @param {Array<String>} chatIds
+     * @returns {Promise<Array<String>>}
+     */
+    async findRemindersOptOut(chatIds) {
+        throw new Error('UserRepositoryPort.findRemindersOptOut() must be implemented');
+    }
+
+    /**
+     * Turn reminders off (true) or back on (false)
+     * @param {String} chatId
+     * @param {Boolean} optOut
+     * @returns {Promise<Boolean>} false if no such user
+     */
+    async setRemindersOptOut(chatId, optOut) {
+        throw new Error('UserRepositoryPort.setRemindersOptOut() must be implemented');
+    }
+
     // ========================================
     // UserSession Operations
     // ========================================
@@ -0,0 +1,47 @@
+/**
+ * WalletRepositoryPort - Interface for user balance and ledger operations
+ *
+ * This port defines the contract for the wallet: every balance change is
+ * applied together with its double-entry ledger rows in one atomic unit.
+ * Following Hexagonal Architecture: Core depends on interface, not implementation.
+ */
+export class WalletRepositoryPort {
+    /**
+     * Get current balance
+     * @param {String} userId - Wallet owner chat ID
+     * @returns {Promise<BigInt|null>} null if user not found
+     */
+    async getBalance(userId) {
+        throw new Error('WalletRepositoryPort.getBalance() must be implemented');
+    }
+
+    /**
+     * Credit the wallet (optionally with a compare-and-set transaction status change)
+     * @param {Object} entry - { userId, amount, entryType, contraAccount, merchantRef, note }
+     * @param {Object} transition - { merchantRef, fromStatus, data } applied atomically (optional)
+     * @returns {Promise<Object|null>} { balance } or null if the transition no longer applies / already credited
+     */
+    async credit(entry, transition) {
+        throw new Error('WalletRepositoryPort.credit() must be implemented');
+    }
+
+    /**
+     * Debit the wallet if the balance is sufficient (optionally creating a transaction)
+     * @param {Object} entry - { userId, amount, entryType, contraAccount, merchantRef, note }
+     * @param {Object} transactionData - Transaction row created atomically (optional)
+     * @returns {Promise<Object|null>} { balance } or null if the balance is insufficient
+     */
+    async debit(entry, transactionData) {
+        throw new Error('WalletRepositoryPort.debit() must be implemented');
+    }
+
+    /**
+     * Ledger entries of a user wallet (newest first)
+     * @param {String} userId
+     * @param {Number} limit
+     * @returns {Promise<Array>}
+     */
+    async findEntries(userId, limit) {
+        throw new Error('WalletRepositoryPort.findEntries() must be implemented');
+    }
+}
@@ -0,0 +1,42 @@
+import { AdminAuditRepositoryPort } from '../ports/AdminAuditRepositoryPort.js';
+
+/**
+ * AdminAuditRepository
+ * Database access for AdminAuditLog model (who did what, when)
+ * Implements AdminAuditRepositoryPort for Hexagonal Architecture
+ */
+export class AdminAuditRepository extends AdminAuditRepositoryPort {
+  constructor(databasePort) {
+    super();
+    this.db = databasePort;
+  }
+
+  /**
+   * Record an admin action
+   */
+  async create(entry) {
+    return await this.db.client.adminAuditLog.create({
+      data: {
+        adminId: String(entry.adminId),
+        adminName: entry.adminName || null,
+        action: entry.action,
+        merchantRef: entry.merchantRef || null,
+        targetUser: entry.targetUser ? String(entry.targetUser) : null,
+        fromStatus: entry.fromStatus || null,
+        toStatus: entry.toStatus || null,
+        note: entry.note || null
+      }
+    });
+  }
+
+  /**
+   * Find actions on a transaction (newest first)
+   */
+  async findByReference(merchantRef, limit = 10) {
+    return await this.db.client.adminAuditLog.findMany({
+      where: { merchantRef },
+      orderBy: { createdAt: 'desc' },
+      take: limit
+    });
+  }
+}
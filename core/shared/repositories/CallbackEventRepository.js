@@ -0,0 +1,64 @@
+import { CallbackEventRepositoryPort } from '../ports/CallbackEventRepositoryPort.js';
+
+/**
+ * CallbackEventRepository
+ * Database access for CallbackEvent model (callback ledger)
+ * Implements CallbackEventRepositoryPort for Hexagonal Architecture
+ */
+export class CallbackEventRepository extends CallbackEventRepositoryPort {
+  constructor(databasePort) {
+    super();
+    this.db = databasePort;
+  }
+
+  /**
+   * Create ledger entry (throws P2002 on duplicate key)
+   */
+  async create(data) {
+    return await this.db.client.callbackEvent.create({
+      data
+    });
+  }
+
+  /**
+   * Find entry by idempotency key
+   */
+  async findByKey({ gateway, reference, event, payloadHash }) {
+    return await this.db.client.callbackEvent.findUnique({
+      where: {
+        gateway_reference_event_payloadHash: { gateway, reference, event, payloadHash }
+      }
+    });
+  }
+
+  /**
+   * Conditional update (compare-and-set on status)
+   */
+  async updateIfStatus(id, fromStatuses, data) {
+    const result = await this.db.client.callbackEvent.updateMany({
+      where: { id, status: { in: fromStatuses } },
+      data
+    });
+    return result.count === 1;
+  }
+
+  /**
+   * Update entry
+   */
+  async update(id, data) {
+    return await this.db.client.callbackEvent.update({
+      where: { id },
+      data
+    });
+  }
+
+  /**
+   * Find entries by merchant reference (newest first)
+   */
+  async findByReference(reference) {
+    return await this.db.client.callbackEvent.findMany({
+      where: { reference },
+      orderBy: { createdAt: 'desc' }
+    });
+  }
+}
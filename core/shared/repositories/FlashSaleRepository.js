@@ -0,0 +1,141 @@
+import { FlashSaleRepositoryPort } from '../ports/FlashSaleRepositoryPort.js';
+import { FLASH_SALE } from '../config/constants.js';
+
+/**
+ * FlashSaleRepository
+ * Database access for FlashSale model (time-boxed price overrides)
+ * Implements FlashSaleRepositoryPort for Hexagonal Architecture
+ *
+ * The quota is a counter (`sold`) moved with conditional updates, so two
+ * checkouts can never take the last unit twice.
+ */
+export class FlashSaleRepository extends FlashSaleRepositoryPort {
+  constructor(databasePort) {
+    super();
+    this.db = databasePort;
+  }
+
+  /**
+   * Enabled sales of the services running now
+   */
+  async findRunning(serviceCodes, now = new Date()) {
+    if (!serviceCodes || serviceCodes.length === 0) return [];
+    return await this.db.client.flashSale.findMany({
+      where: {
+        serviceCode: { in: serviceCodes },
+        isActive: true,
+        startsAt: { lte: now },
+        endsAt: { gt: now }
+      },
+      orderBy: { price: 'asc' }
+    });
+  }
+
+  /**
+   * Sales not ended yet, soonest start first
+   */
+  async findCurrent(now = new Date(), limit = FLASH_SALE.LIST_LIMIT) {
+    return await this.db.client.flashSale.findMany({
+      where: { endsAt: { gt: now } },
+      orderBy: { startsAt: 'asc' },
+      take: limit
+    });
+  }
+
+  /**
+   * Find sales by id prefix (admins type the short id)
+   */
+  async findByIdPrefix(prefix) {
+    return await this.db.client.flashSale.findMany({
+      where: { id: { startsWith: prefix } },
+      take: 2
+    });
+  }
+
+  /**
+   * Create sale
+   */
+  async create(sale) {
+    return await this.db.client.flashSale.create({
+      data: {
+        serviceCode: sale.serviceCode,
+        price: BigInt(sale.price),
+        quota: sale.quota ?? null,
+        startsAt: sale.startsAt,
+        endsAt: sale.endsAt,
+        createdBy: sale.createdBy || null
+      }
+    });
+  }
+
+  /**
+   * Enable/disable sale by id
+   */
+  async setActive(id, isActive) {
+    const { count } = await this.db.client.flashSale.updateMany({
+      where: { id },
+      data: { isActive }
+    });
+    return count > 0 ? await this.db.client.flashSale.findUnique({ where: { id } }) : null;
+  }
+
+  /**
+   * Delete sale by id
+   */
+  async delete(id) {
+    const { count } = await this.db.client.flashSale.deleteMany({
+      where: { id }
+    });
+    return count > 0;
+  }
+
+  /**
+   * Claim one unit: the counter only moves if nobody claimed since it was read
+   */
+  async claim(id, now = new Date()) {
+    for (let attempt = 1; attempt <= FLASH_SALE.CLAIM_RETRIES; attempt++) {
+      const sale = await this.db.client.flashSale.findFirst({
+        where: { id, isActive: true, startsAt: { lte: now }, endsAt: { gt: now } }
+      });
+      if (!sale) return false;
+      if (sale.quota !== null && sale.sold >= sale.quota) return false;
+
+      const { count } = await this.db.client.flashSale.updateMany({
+        where: { id, sold: sale.sold },
+        data: { sold: { increment: 1 } }
+      });
+      if (count === 1) return true;
+    }
+    return false;
+  }
+
+  /**
+   * Give back one unit
+   */
+  async release(id) {
+    const { count } = await this.db.client.flashSale.updateMany({
+      where: { id, sold: { gt: 0 } },
+      data: { sold: { decrement: 1 } }
+    });
+    return count > 0;
+  }
+
+  /**
+   * Give back the unit of an order exactly once (flag + counter in one DB transaction)
+   */
+  async releaseOrder(merchantRef, id) {
+    return await this.db.client.$transaction(async (tx) => {
+      const marked = await tx.transaction.updateMany({
+        where: { merchantRef, flashSaleId: id, flashSaleReleasedAt: null },
+        data: { flashSaleReleasedAt: new Date() }
+      });
+      if (marked.count !== 1) return false;
+
+      await tx.flashSale.updateMany({
+        where: { id, sold: { gt: 0 } },
+        data: { sold: { decrement: 1 } }
+      });
+      return true;
+    });
+  }
+}
@@ -0,0 +1,143 @@
+import { FULFILLMENT_JOB_STATUS } from '../config/constants.js';
+import { FulfillmentJobRepositoryPort } from '../ports/FulfillmentJobRepositoryPort.js';
+
+/**
+ * FulfillmentJobRepository
+ * Database access for FulfillmentJob model (durable fulfillment queue)
+ * Implements FulfillmentJobRepositoryPort for Hexagonal Architecture
+ */
+export class FulfillmentJobRepository extends FulfillmentJobRepositoryPort {
+  constructor(databasePort) {
+    super();
+    this.db = databasePort;
+  }
+
+  /**
+   * Enqueue job (unique per merchantRef, existing job is kept as-is)
+   */
+  async enqueue(merchantRef, maxAttempts) {
+    try {
+      return await this.db.client.fulfillmentJob.upsert({
+        where: { merchantRef },
+        create: { merchantRef, maxAttempts },
+        update: {}
+      });
+    } catch (error) {
+      // Concurrent upsert lost the insert race: unique merchantRef keeps one job
+      if (error.code === 'P2002') return await this.findByRef(merchantRef);
+      throw error;
+    }
+  }
+
+  /**
+   * Find job by merchant reference
+   */
+  async findByRef(merchantRef) {
+    return await this.db.client.fulfillmentJob.findUnique({
+      where: { merchantRef }
+    });
+  }
+
+  /**
+   * Find due PENDING jobs (oldest first)
+   */
+  async findDue(limit = 5) {
+    return await this.db.client.fulfillmentJob.findMany({
+      where: {
+        status: FULFILLMENT_JOB_STATUS.PENDING,
+        nextRunAt: { lte: new Date() }
+      },
+      orderBy: { nextRunAt: 'asc' },
+      take: limit
+    });
+  }
+
+  /**
+   * Claim job atomically (conditional update on status)
+   */
+  async claim(id) {
+    const result = await this.db.client.fulfillmentJob.updateMany({
+      where: { id, status: FULFILLMENT_JOB_STATUS.PENDING },
+      data: {
+        status: FULFILLMENT_JOB_STATUS.RUNNING,
+        lockedAt: new Date(),
+        attempts: { increment: 1 }
+      }
+    });
+    return result.count === 1;
+  }
+
+  /**
+   * Mark job as done
+   */
+  async markDone(id) {
+    return await this.db.client.fulfillmentJob.update({
+      where: { id },
+      data: { status: FULFILLMENT_JOB_STATUS.DONE, lockedAt: null, lastError: null }
+    });
+  }
+
+  /**
+   * Schedule next attempt
+   */
+  async scheduleRetry(id, nextRunAt, lastError) {
+    return await this.db.client.fulfillmentJob.update({
+      where: { id },
+      data: { status: FULFILLMENT_JOB_STATUS.PENDING, lockedAt: null, nextRunAt, lastError }
+    });
+  }
+
+  /**
+   * Move job to dead-letter
+   */
+  async markDead(id, lastError) {
+    return await this.db.client.fulfillmentJob.update({
+      where: { id },
+      data: { status: FULFILLMENT_JOB_STATUS.DEAD, lockedAt: null, lastError }
+    });
+  }
+
+  /**
+   * Release jobs left RUNNING by a crashed/restarted worker
+   */
+  async releaseStale(lockedBefore) {
+    return await this.db.client.fulfillmentJob.updateMany({
+      where: {
+        status: FULFILLMENT_JOB_STATUS.RUNNING,
+        lockedAt: { lt: lockedBefore }
+      },
+      data: { status: FULFILLMENT_JOB_STATUS.PENDING, lockedAt: null }
+    });
+  }
+
+  /**
+   * Reset job to a fresh PENDING state (create if missing)
+   */
+  async reset(merchantRef, maxAttempts) {
+    const fresh = {
+      status: FULFILLMENT_JOB_STATUS.PENDING,
+      attempts: 0,
+      maxAttempts,
+      nextRunAt: new Date(),
+      lockedAt: null,
+      lastError: null
+    };
+
+    return await this.db.client.fulfillmentJob.upsert({
+      where: { merchantRef },
+      create: { merchantRef, ...fresh },
+      update: fresh
+    });
+  }
+
+  /**
+   * Dead-letter a job that has not run yet
+   */
+  async cancelPending(merchantRef, reason) {
+    const result = await this.db.client.fulfillmentJob.updateMany({
+      where: { merchantRef, status: FULFILLMENT_JOB_STATUS.PENDING },
+      data: { status: FULFILLMENT_JOB_STATUS.DEAD, lastError: reason }
+    });
+    return result.count === 1;
+  }
+}
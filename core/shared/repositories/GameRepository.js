@@ -135,7 +135,7 @@ export class GameRepository extends GameRepositoryPort {
   }
 
   /**
-   * Save or update game account
+   * Save or update game account (userId = owner chat ID)
    */
   async saveGameAccount(accountData) {
     return await this.prisma.gameAccount.upsert({
@@ -149,6 +149,7 @@ export class GameRepository extends GameRepositoryPort {
       update: {
         nickname: accountData.nickname,
         zoneId: accountData.zoneId,
+        isVerified: accountData.isVerified ?? false,
         lastValidated: new Date(),
         updatedAt: new Date()
       },
@@ -158,19 +159,43 @@ export class GameRepository extends GameRepositoryPort {
         playerId: accountData.playerId,
         zoneId: accountData.zoneId,
         nickname: accountData.nickname,
-        isVerified: true,
+        isVerified: accountData.isVerified ?? false,
         lastValidated: new Date()
       }
     });
   }
 
   /**
-   * Get user's game accounts
+   * Get user's game accounts (optionally for one game, most recently used first)
    */
-  async getUserGameAccounts(userId) {
+  async getUserGameAccounts(userId, gameCode = null, limit = undefined) {
     return await this.prisma.gameAccount.findMany({
-      where: { userId: userId.toString() },
-      orderBy: { lastValidated: 'desc' }
+      where: {
+        userId: userId.toString(),
+        ...(gameCode && { gameCode })
+      },
+      orderBy: { lastValidated: 'desc' },
+      take: limit
+    });
+  }
+
+  /**
+   * Find a game account owned by the user
+   */
+  async findGameAccount(userId, accountId) {
+    return await this.prisma.gameAccount.findFirst({
+      where: { id: accountId, userId: userId.toString() }
+    });
+  }
+
+  /**
+   * Delete a game account owned by the user
+   * @returns {Promise<boolean>} false if not found / not owned
+   */
+  async deleteGameAccount(userId, accountId) {
+    const result = await this.prisma.gameAccount.deleteMany({
+      where: { id: accountId, userId: userId.toString() }
     });
+    return result.count === 1;
   }
 }
@@ -0,0 +1,54 @@
+import { LoyaltyRateRepositoryPort } from '../ports/LoyaltyRateRepositoryPort.js';
+
+/**
+ * LoyaltyRateRepository
+ * Database access for LoyaltyRate model (per-brand earn rates)
+ * Implements LoyaltyRateRepositoryPort for Hexagonal Architecture
+ */
+export class LoyaltyRateRepository extends LoyaltyRateRepositoryPort {
+  constructor(databasePort) {
+    super();
+    this.db = databasePort;
+  }
+
+  /**
+   * Find rate by brand
+   */
+  async findByBrand(brand) {
+    return await this.db.client.loyaltyRate.findUnique({
+      where: { brand }
+    });
+  }
+
+  /**
+   * Every brand rate, for the admin listing
+   */
+  async findAll() {
+    return await this.db.client.loyaltyRate.findMany({
+      orderBy: { brand: 'asc' }
+    });
+  }
+
+  /**
+   * Create or replace rate (unique per brand)
+   */
+  async upsert(rate) {
+    const data = { earnRate: rate.earnRate, updatedBy: rate.updatedBy || null };
+
+    return await this.db.client.loyaltyRate.upsert({
+      where: { brand: rate.brand },
+      update: data,
+      create: { brand: rate.brand, ...data }
+    });
+  }
+
+  /**
+   * Delete rate by brand
+   */
+  async delete(brand) {
+    const { count } = await this.db.client.loyaltyRate.deleteMany({
+      where: { brand }
+    });
+    return count > 0;
+  }
+}
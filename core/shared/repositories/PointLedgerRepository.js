@@ -0,0 +1,172 @@
+import { PointLedgerRepositoryPort } from '../ports/PointLedgerRepositoryPort.js';
+import { POINT_ENTRY_TYPE } from '../config/constants.js';
+
+/**
+ * PointLedgerRepository
+ * Database access for PointEntry model (loyalty points)
+ * Implements PointLedgerRepositoryPort for Hexagonal Architecture
+ *
+ * Credit entries carry their unspent rest in `remaining`; debits decrement the
+ * lots and write a negative entry in one DB transaction.
+ */
+export class PointLedgerRepository extends PointLedgerRepositoryPort {
+  constructor(databasePort) {
+    super();
+    this.db = databasePort;
+  }
+
+  /**
+   * Sum of spendable lots
+   */
+  async getBalance(userId, now = new Date()) {
+    const result = await this.db.client.pointEntry.aggregate({
+      where: this._spendable(userId, now),
+      _sum: { remaining: true }
+    });
+    return result._sum.remaining || 0;
+  }
+
+  /**
+   * Spendable lots, soonest expiry first (lots without expiry last)
+   */
+  async findLots(userId, now = new Date()) {
+    return await this.db.client.pointEntry.findMany({
+      where: this._spendable(userId, now),
+      orderBy: [{ expiresAt: { sort: 'asc', nulls: 'last' } }, { createdAt: 'asc' }],
+      select: { id: true, remaining: true, expiresAt: true }
+    });
+  }
+
+  /**
+   * Add a credit lot (unique per merchantRef/type)
+   */
+  async credit(entry) {
+    try {
+      return await this.db.client.pointEntry.create({
+        data: {
+          userId: String(entry.userId),
+          type: entry.type,
+          points: entry.points,
+          remaining: entry.points,
+          expiresAt: entry.expiresAt || null,
+          merchantRef: entry.merchantRef || null,
+          note: entry.note || null,
+          createdBy: entry.createdBy || null
+        }
+      });
+    } catch (error) {
+      // Unique key: this transaction was already credited
+      if (error.code === 'P2002') return null;
+      throw error;
+    }
+  }
+
+  /**
+   * Spend points FIFO by expiry; every lot is decremented conditionally so a
+   * concurrent spend rolls the whole debit back
+   */
+  async debit(entry, now = new Date()) {
+    try {
+      return await this.db.client.$transaction(async (tx) => {
+        const lots = await tx.pointEntry.findMany({
+          where: this._spendable(entry.userId, now),
+          orderBy: [{ expiresAt: { sort: 'asc', nulls: 'last' } }, { createdAt: 'asc' }],
+          select: { id: true, remaining: true }
+        });
+
+        let left = entry.points;
+        for (const lot of lots) {
+          if (left <= 0) break;
+          const take = Math.min(lot.remaining, left);
+          const taken = await tx.pointEntry.updateMany({
+            where: { id: lot.id, remaining: { gte: take } },
+            data: { remaining: { decrement: take } }
+          });
+          if (taken.count !== 1) throw new InsufficientPointsError();
+          left -= take;
+        }
+        if (left > 0) throw new InsufficientPointsError();
+
+        return await tx.pointEntry.create({
+          data: {
+            userId: String(entry.userId),
+            type: entry.type,
+            points: -entry.points,
+            merchantRef: entry.merchantRef || null,
+            note: entry.note || null,
+            createdBy: entry.createdBy || null
+          }
+        });
+      });
+    } catch (error) {
+      if (error instanceof InsufficientPointsError || error.code === 'P2002') return null;
+      throw error;
+    }
+  }
+
+  /**
+   * Find entry by transaction and type
+   */
+  async findByMerchantRef(merchantRef, type) {
+    return await this.db.client.pointEntry.findUnique({
+      where: { merchantRef_type: { merchantRef, type } }
+    });
+  }
+
+  /**
+   * Entries of a user (newest first)
+   */
+  async findEntries(userId, limit = 5) {
+    return await this.db.client.pointEntry.findMany({
+      where: { userId: String(userId) },
+      orderBy: { createdAt: 'desc' },
+      take: limit
+    });
+  }
+
+  /**
+   * Expire lots past their expiry (one DB transaction per lot)
+   */
+  async expireLots(now = new Date(), limit = 100) {
+    const lots = await this.db.client.pointEntry.findMany({
+      where: { remaining: { gt: 0 }, expiresAt: { lte: now } },
+      orderBy: { expiresAt: 'asc' },
+      take: limit
+    });
+
+    const expired = [];
+    for (const lot of lots) {
+      const entry = await this.db.client.$transaction(async (tx) => {
+        // Spent meanwhile: the next sweep picks up what is left
+        const zeroed = await tx.pointEntry.updateMany({
+          where: { id: lot.id, remaining: lot.remaining },
+          data: { remaining: 0 }
+        });
+        if (zeroed.count !== 1) return null;
+
+        return await tx.pointEntry.create({
+          data: { userId: lot.userId, type: POINT_ENTRY_TYPE.EXPIRE, points: -lot.remaining, note: `Lot ${lot.id}` }
+        });
+      });
+      if (entry) expired.push({ userId: entry.userId, points: -entry.points });
+    }
+    return expired;
+  }
+
+  /**
+   * @private
+   */
+  _spendable(userId, now) {
+    return {
+      userId: String(userId),
+      remaining: { gt: 0 },
+      OR: [{ expiresAt: null }, { expiresAt: { gt: now } }]
+    };
+  }
+}
+
+/**
+ * Rolls the debit transaction back when the lots do not cover it
+ * @private
+ */
+class InsufficientPointsError extends Error {}
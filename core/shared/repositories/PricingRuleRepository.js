@@ -0,0 +1,61 @@
+import { PricingRuleRepositoryPort } from '../ports/PricingRuleRepositoryPort.js';
+
+/**
+ * PricingRuleRepository
+ * Database access for PricingRule model (sell price markup rules)
+ * Implements PricingRuleRepositoryPort for Hexagonal Architecture
+ */
+export class PricingRuleRepository extends PricingRuleRepositoryPort {
+  constructor(databasePort) {
+    super();
+    this.db = databasePort;
+  }
+
+  /**
+   * Active rules (resolved in memory by PricingService)
+   */
+  async findActive() {
+    return await this.db.client.pricingRule.findMany({
+      where: { isActive: true }
+    });
+  }
+
+  /**
+   * Every rule, for the admin listing
+   */
+  async findAll() {
+    return await this.db.client.pricingRule.findMany({
+      orderBy: [{ scope: 'asc' }, { target: 'asc' }]
+    });
+  }
+
+  /**
+   * Create or update rule (unique per scope + target)
+   */
+  async upsert(rule) {
+    const target = rule.target || '';
+    const data = {
+      markupPercent: rule.markupPercent ?? 0,
+      markupFlat: BigInt(rule.markupFlat ?? 0),
+      roundTo: rule.roundTo ?? 0,
+      minMargin: BigInt(rule.minMargin ?? 0),
+      isActive: rule.isActive ?? true
+    };
+
+    return await this.db.client.pricingRule.upsert({
+      where: { scope_target: { scope: rule.scope, target } },
+      update: data,
+      create: { scope: rule.scope, target, ...data }
+    });
+  }
+
+  /**
+   * Delete rule by scope + target
+   */
+  async delete(scope, target) {
+    const { count } = await this.db.client.pricingRule.deleteMany({
+      where: { scope, target: target || '' }
+    });
+    return count > 0;
+  }
+}
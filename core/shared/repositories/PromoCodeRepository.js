@@ -0,0 +1,179 @@
+import { PromoCodeRepositoryPort } from '../ports/PromoCodeRepositoryPort.js';
+import { PROMO } from '../config/constants.js';
+
+/**
+ * PromoCodeRepository
+ * Database access for PromoCode model (checkout discounts)
+ * Implements PromoCodeRepositoryPort for Hexagonal Architecture
+ *
+ * Redemptions are counters (`used` on the promo and on the user's PromoUsage row)
+ * moved with conditional updates, so two checkouts can never take the last one twice.
+ */
+export class PromoCodeRepository extends PromoCodeRepositoryPort {
+  constructor(databasePort) {
+    super();
+    this.db = databasePort;
+  }
+
+  /**
+   * Find promo by code
+   */
+  async findByCode(code) {
+    return await this.db.client.promoCode.findUnique({
+      where: { code }
+    });
+  }
+
+  /**
+   * Redemptions of a promo held by one user
+   */
+  async findUsage(code, userId) {
+    return await this.db.client.promoUsage.findUnique({
+      where: { promoCode_userId: { promoCode: code, userId } }
+    });
+  }
+
+  /**
+   * Every promo, for the admin listing
+   */
+  async findAll() {
+    return await this.db.client.promoCode.findMany({
+      orderBy: { createdAt: 'desc' }
+    });
+  }
+
+  /**
+   * Create or replace promo (unique per code)
+   */
+  async upsert(promo) {
+    const data = {
+      discountType: promo.discountType,
+      discountValue: promo.discountValue,
+      maxDiscount: promo.maxDiscount !== null && promo.maxDiscount !== undefined ? BigInt(promo.maxDiscount) : null,
+      minOrder: BigInt(promo.minOrder ?? 0),
+      usageLimit: promo.usageLimit ?? null,
+      perUserLimit: promo.perUserLimit ?? null,
+      games: promo.games || [],
+      services: promo.services || [],
+      startsAt: promo.startsAt || null,
+      endsAt: promo.endsAt || null,
+      isActive: promo.isActive ?? true,
+      ownerId: promo.ownerId || null,
+      createdBy: promo.createdBy || null
+    };
+
+    return await this.db.client.promoCode.upsert({
+      where: { code: promo.code },
+      update: data,
+      create: { code: promo.code, ...data }
+    });
+  }
+
+  /**
+   * Enable/disable promo by code
+   */
+  async setActive(code, isActive) {
+    const { count } = await this.db.client.promoCode.updateMany({
+      where: { code },
+      data: { isActive }
+    });
+    return count > 0 ? await this.findByCode(code) : null;
+  }
+
+  /**
+   * Delete promo by code
+   */
+  async delete(code) {
+    const { count } = await this.db.client.promoCode.deleteMany({
+      where: { code }
+    });
+    return count > 0;
+  }
+
+  /**
+   * Claim one redemption: both counters only move if nobody claimed since they were read
+   */
+  async claim(code, userId) {
+    for (let attempt = 1; attempt <= PROMO.CLAIM_RETRIES; attempt++) {
+      try {
+        return await this.db.client.$transaction(tx => this._claimOnce(tx, code, userId));
+      } catch (error) {
+        // Claimed meanwhile (or the usage row was created by a concurrent claim): read again
+        if (!(error instanceof PromoClaimConflict) && error.code !== 'P2002') throw error;
+      }
+    }
+    return 'LIMIT_REACHED';
+  }
+
+  /**
+   * Give back one redemption
+   */
+  async release(code, userId) {
+    return await this.db.client.$transaction(async (tx) => await this._decrement(tx, code, userId));
+  }
+
+  /**
+   * Give back the redemption of an order exactly once (flag + counters in one DB transaction)
+   */
+  async releaseOrder(merchantRef, code, userId) {
+    return await this.db.client.$transaction(async (tx) => {
+      const marked = await tx.transaction.updateMany({
+        where: { merchantRef, promoCode: code, promoReleasedAt: null },
+        data: { promoReleasedAt: new Date() }
+      });
+      if (marked.count !== 1) return false;
+
+      await this._decrement(tx, code, userId);
+      return true;
+    });
+  }
+
+  /**
+   * @private
+   * @returns {Promise<String|null>} Refusal reason, null when claimed
+   */
+  async _claimOnce(tx, code, userId) {
+    const promo = await tx.promoCode.findUnique({ where: { code } });
+    if (!promo || !promo.isActive) return 'NOT_FOUND';
+    if (promo.usageLimit !== null && promo.used >= promo.usageLimit) return 'LIMIT_REACHED';
+
+    const usage = await tx.promoUsage.upsert({
+      where: { promoCode_userId: { promoCode: code, userId } },
+      create: { promoCode: code, userId },
+      update: {}
+    });
+    if (promo.perUserLimit !== null && usage.used >= promo.perUserLimit) return 'USER_LIMIT_REACHED';
+
+    const claimed = await tx.promoCode.updateMany({
+      where: { code, used: promo.used },
+      data: { used: { increment: 1 } }
+    });
+    const counted = await tx.promoUsage.updateMany({
+      where: { promoCode: code, userId, used: usage.used },
+      data: { used: { increment: 1 } }
+    });
+    if (claimed.count !== 1 || counted.count !== 1) throw new PromoClaimConflict();
+    return null;
+  }
+
+  /**
+   * @private
+   */
+  async _decrement(tx, code, userId) {
+    const { count } = await tx.promoCode.updateMany({
+      where: { code, used: { gt: 0 } },
+      data: { used: { decrement: 1 } }
+    });
+    await tx.promoUsage.updateMany({
+      where: { promoCode: code, userId, used: { gt: 0 } },
+      data: { used: { decrement: 1 } }
+    });
+    return count > 0;
+  }
+}
+
+/**
+ * Rolls the claim transaction back when a counter moved since it was read
+ * @private
+ */
+class PromoClaimConflict extends Error {}
@@ -0,0 +1,41 @@
+import { ProviderRouteRepositoryPort } from '../ports/ProviderRouteRepositoryPort.js';
+
+/**
+ * ProviderRouteRepository
+ * Database access for ProviderRoute model (multi-provider fulfillment routing)
+ * Implements ProviderRouteRepositoryPort for Hexagonal Architecture
+ */
+export class ProviderRouteRepository extends ProviderRouteRepositoryPort {
+  constructor(databasePort) {
+    super();
+    this.db = databasePort;
+  }
+
+  /**
+   * Active routes of a service code (preferred first, cheaper first on equal priority)
+   */
+  async findActiveByServiceCode(serviceCode) {
+    return await this.db.client.providerRoute.findMany({
+      where: { serviceCode, isActive: true },
+      orderBy: [{ priority: 'asc' }, { cost: { sort: 'asc', nulls: 'last' } }]
+    });
+  }
+
+  /**
+   * Create or update route (unique per serviceCode + provider)
+   */
+  async upsert(route) {
+    const data = {
+      providerServiceCode: route.providerServiceCode || null,
+      priority: route.priority ?? 0,
+      cost: route.cost !== undefined && route.cost !== null ? BigInt(route.cost) : null,
+      isActive: route.isActive ?? true
+    };
+
+    return await this.db.client.providerRoute.upsert({
+      where: { serviceCode_provider: { serviceCode: route.serviceCode, provider: route.provider } },
+      update: data,
+      create: { serviceCode: route.serviceCode, provider: route.provider, ...data }
+    });
+  }
+}
@@ -80,4 +80,31 @@ export class SessionRepository extends SessionRepositoryPort {
       }
     });
   }
+
+  /**
+   * Find sessions with a pending order left idle and not nudged yet (oldest first)
+   */
+  async findIdleCheckouts(idleSince, notBefore, limit = 50) {
+    return await this.db.client.session.findMany({
+      where: {
+        serviceCode: { not: null },
+        price: { not: null },
+        nudgedAt: null,
+        updatedAt: { gt: notBefore, lte: idleSince }
+      },
+      orderBy: { updatedAt: 'asc' },
+      take: limit
+    });
+  }
+
+  /**
+   * Flag the session as nudged (compare-and-set on updatedAt: a user who came back is skipped)
+   */
+  async markNudged(chatId, updatedAt) {
+    const { count } = await this.db.client.session.updateMany({
+      where: { chatId: String(chatId), nudgedAt: null, updatedAt },
+      data: { nudgedAt: new Date() }
+    });
+    return count === 1;
+  }
 }
@@ -0,0 +1,68 @@
+import { SettlementRunRepositoryPort } from '../ports/SettlementRunRepositoryPort.js';
+import { SETTLEMENT_RUN_STATUS } from '../config/constants.js';
+
+/**
+ * SettlementRunRepository
+ * Database access for SettlementRun model (nightly settlement checks)
+ * Implements SettlementRunRepositoryPort for Hexagonal Architecture
+ *
+ * The day is the primary key: creating it is the claim, and taking over a
+ * failed or crashed run is a conditional update.
+ */
+export class SettlementRunRepository extends SettlementRunRepositoryPort {
+  constructor(databasePort) {
+    super();
+    this.db = databasePort;
+  }
+
+  /**
+   * Take a day: create it, or restart a run that failed, crashed or (force) finished
+   */
+  async claim(day, { staleBefore, force = false, triggeredBy = null } = {}) {
+    try {
+      await this.db.client.settlementRun.create({ data: { day, triggeredBy } });
+      return true;
+    } catch (error) {
+      if (error.code !== 'P2002') throw error; // Not a unique-key conflict
+    }
+
+    const takeOver = [
+      { status: SETTLEMENT_RUN_STATUS.FAILED },
+      { status: SETTLEMENT_RUN_STATUS.RUNNING, startedAt: { lt: staleBefore } }
+    ];
+    if (force) takeOver.push({ status: SETTLEMENT_RUN_STATUS.DONE });
+
+    const { count } = await this.db.client.settlementRun.updateMany({
+      where: { day, OR: takeOver },
+      data: { status: SETTLEMENT_RUN_STATUS.RUNNING, startedAt: new Date(), finishedAt: null, error: null, triggeredBy }
+    });
+    return count === 1;
+  }
+
+  /**
+   * Record the outcome of a run
+   */
+  async finish(day, result) {
+    return await this.db.client.settlementRun.update({
+      where: { day },
+      data: {
+        status: result.status,
+        checked: result.checked ?? 0,
+        mismatches: result.mismatches ?? 0,
+        unchecked: result.unchecked ?? 0,
+        details: result.details ?? undefined,
+        error: result.error ?? null,
+        finishedAt: new Date()
+      }
+    });
+  }
+
+  /**
+   * Find run by day
+   */
+  async findByDay(day) {
+    return await this.db.client.settlementRun.findUnique({
+      where: { day }
+    });
+  }
+}
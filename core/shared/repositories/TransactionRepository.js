@@ -1,4 +1,4 @@
-import { PAYMENT_STATUS } from '../config/constants.js';
+import { PAYMENT_STATUS, TRANSACTION_TYPE, POINT_ENTRY_TYPE } from '../config/constants.js';
 import { TransactionRepositoryPort } from '../ports/TransactionRepositoryPort.js';
 
 /**
@@ -44,6 +44,19 @@ export class TransactionRepository extends TransactionRepositoryPort {
     });
   }
 
+  /**
+   * Conditional update: only applies if status is still `expectedStatus`
+   * Used to make status transitions race-safe under concurrent callbacks.
+   * `conditions` adds more columns that must still match (e.g. providerOrderId).
+   */
+  async updateIfStatus(merchantRef, expectedStatus, data, conditions = {}) {
+    const result = await this.db.client.transaction.updateMany({
+      where: { ...conditions, merchantRef, status: expectedStatus },
+      data
+    });
+    return result.count === 1;
+  }
+
   /**
    * Mark transaction as paid (shortcut for payment callback)
    */
@@ -78,6 +91,32 @@ export class TransactionRepository extends TransactionRepositoryPort {
     });
   }
 
+  /**
+   * Find transaction by provider order ID (latest first, IDs are only unique per provider)
+   */
+  async findByProviderOrderId(providerOrderId) {
+    return await this.db.client.transaction.findFirst({
+      where: { providerOrderId },
+      orderBy: { createdAt: 'desc' }
+    });
+  }
+
+  /**
+   * Find a PAID order from before provider routing whose trxId holds the provider order ID
+   * (left as-is by the fee_breakdown backfill because it cannot be told apart from a gateway ID)
+   */
+  async findLegacyProviderOrder(providerOrderId) {
+    return await this.db.client.transaction.findFirst({
+      where: {
+        trxId: providerOrderId,
+        providerOrderId: null,
+        provider: null,
+        type: TRANSACTION_TYPE.ORDER,
+        status: PAYMENT_STATUS.PAID
+      }
+    });
+  }
+
   /**
    * Find transactions by userId
    */
@@ -89,15 +128,31 @@ export class TransactionRepository extends TransactionRepositoryPort {
     });
   }
 
+  /**
+   * Find the latest transaction of a user matching status/channel
+   */
+  async findLatestByUser(userId, { status, channel } = {}) {
+    const where = { userId };
+    if (status) where.status = status;
+    if (channel) where.channel = channel;
+
+    return await this.db.client.transaction.findFirst({
+      where,
+      orderBy: { createdAt: 'desc' }
+    });
+  }
+
   /**
    * Find expired unpaid transactions
    * Returns transactions that are UNPAID and past their expiryDate
+   * (manual transfers with an uploaded receipt wait for the admin instead)
    */
   async findExpiredUnpaid() {
     return await this.db.client.transaction.findMany({
       where: {
         status: PAYMENT_STATUS.UNPAID,
-        expiryDate: { lt: new Date() }
+        expiryDate: { lt: new Date() },
+        proofFileId: null
       },
       orderBy: { createdAt: 'desc' }
     });
@@ -110,9 +165,213 @@ export class TransactionRepository extends TransactionRepositoryPort {
     return await this.db.client.transaction.updateMany({
       where: {
         status: PAYMENT_STATUS.UNPAID,
-        expiryDate: { lt: new Date() }
+        expiryDate: { lt: new Date() },
+        proofFileId: null
       },
       data: { status: PAYMENT_STATUS.EXPIRED }
     });
   }
+
+  /**
+   * Find transactions by status within a time window (oldest first)
+   */
+  async findByStatus(status, { createdAfter, createdBefore, updatedBefore, limit = 20 } = {}) {
+    const where = { status };
+    if (createdAfter || createdBefore) {
+      where.createdAt = {};
+      if (createdAfter) where.createdAt.gte = createdAfter;
+      if (createdBefore) where.createdAt.lt = createdBefore;
+    }
+    if (updatedBefore) where.updatedAt = { lt: updatedBefore };
+
+    return await this.db.client.transaction.findMany({
+      where,
+      orderBy: { createdAt: 'asc' },
+      take: limit
+    });
+  }
+
+  /**
+   * Count and sum orders (and membership upgrades) per status within [from, to)
+   * Deposits are excluded: that money is counted when the balance is spent.
+   */
+  async aggregateByStatus(from, to) {
+    const rows = await this.db.client.transaction.groupBy({
+      by: ['status'],
+      where: { type: { in: [TRANSACTION_TYPE.ORDER, TRANSACTION_TYPE.MEMBERSHIP] }, createdAt: { gte: from, lt: to } },
+      _count: { _all: true },
+      _sum: { amount: true }
+    });
+
+    return rows.map(row => ({
+      status: row.status,
+      count: row._count._all,
+      amount: Number(row._sum.amount || 0)
+    }));
+  }
+
+  /**
+   * Page through all transactions created within [from, to) for an export
+   * (oldest first; pass the last merchantRef of a page as `after` for the next one)
+   */
+  async findForExport(from, to, { after = null, limit = 500 } = {}) {
+    return await this.db.client.transaction.findMany({
+      where: { createdAt: { gte: from, lt: to } },
+      orderBy: [{ createdAt: 'asc' }, { merchantRef: 'asc' }],
+      take: limit,
+      ...(after ? { cursor: { merchantRef: after }, skip: 1 } : {})
+    });
+  }
+
+  /**
+   * Find orders whose promo redemption was not given back yet, by status (oldest update first)
+   */
+  async findPromoClaims(statuses, since) {
+    return await this.db.client.transaction.findMany({
+      where: { promoCode: { not: null }, promoReleasedAt: null, status: { in: statuses }, updatedAt: { gte: since } },
+      orderBy: { updatedAt: 'asc' }
+    });
+  }
+
+  /**
+   * Find orders with redeemed points by status (oldest update first)
+   */
+  async findPointRedemptions(statuses, since) {
+    return await this.db.client.transaction.findMany({
+      where: { pointsUsed: { gt: 0 }, status: { in: statuses }, updatedAt: { gte: since } },
+      orderBy: { updatedAt: 'asc' }
+    });
+  }
+
+  /**
+   * Find orders whose flash sale quota unit was not given back yet, by status (oldest update first)
+   */
+  async findFlashSaleClaims(statuses, since) {
+    return await this.db.client.transaction.findMany({
+      where: { flashSaleId: { not: null }, flashSaleReleasedAt: null, status: { in: statuses }, updatedAt: { gte: since } },
+      orderBy: { updatedAt: 'asc' }
+    });
+  }
+
+  /**
+   * Find unpaid invoices expiring in (from, until] without a reminder (soonest first)
+   * (manual transfers with an uploaded receipt wait for the admin instead)
+   */
+  async findReminderDue(from, until, limit = 50) {
+    return await this.db.client.transaction.findMany({
+      where: {
+        status: PAYMENT_STATUS.UNPAID,
+        expiryDate: { gt: from, lte: until },
+        reminderSentAt: null,
+        proofFileId: null
+      },
+      orderBy: { expiryDate: 'asc' },
+      take: limit
+    });
+  }
+
+  /**
+   * Flag the expiry reminder as sent (compare-and-set, so it is sent once)
+   */
+  async markReminderSent(merchantRef) {
+    const { count } = await this.db.client.transaction.updateMany({
+      where: { merchantRef, reminderSentAt: null },
+      data: { reminderSentAt: new Date() }
+    });
+    return count === 1;
+  }
+
+  /**
+   * Close an unpaid invoice replaced by another one (payment method switched):
+   * status EXPIRED + link, and the order's points and flash sale unit move to the replacement
+   */
+  async supersede(merchantRef, replacementRef) {
+    return await this.db.client.$transaction(async (tx) => {
+      const closed = await tx.transaction.updateMany({
+        where: { merchantRef, status: PAYMENT_STATUS.UNPAID, replacedBy: null, proofFileId: null },
+        data: { status: PAYMENT_STATUS.EXPIRED, replacedBy: replacementRef }
+      });
+      if (closed.count !== 1) return false;
+
+      await this._moveReservations(tx, merchantRef, replacementRef);
+      return true;
+    });
+  }
+
+  /**
+   * Close the unpaid replacement of an invoice that was paid after all,
+   * moving the order's points, flash sale unit and promo redemption back to the paid invoice
+   */
+  async retireReplacement(merchantRef, replacementRef) {
+    return await this.db.client.$transaction(async (tx) => {
+      const closed = await tx.transaction.updateMany({
+        where: { merchantRef: replacementRef, status: PAYMENT_STATUS.UNPAID },
+        data: { status: PAYMENT_STATUS.EXPIRED }
+      });
+      if (closed.count !== 1) return false;
+
+      await this._moveReservations(tx, replacementRef, merchantRef);
+      return true;
+    });
+  }
+
+  /**
+   * Record the invoice a switch chain's order is paid through (first paid invoice wins)
+   */
+  async claimSwitchChain(headRef, merchantRef) {
+    const result = await this.db.client.transaction.updateMany({
+      where: { merchantRef: headRef, OR: [{ chainPaidBy: null }, { chainPaidBy: merchantRef }] },
+      data: { chainPaidBy: merchantRef }
+    });
+    return result.count === 1;
+  }
+
+  /**
+   * Invoices closed locally by a payment method switch that the gateway may still accept:
+   * the gateway has no cancel call, so they stay payable until their own expiry
+   */
+  async findOpenSwitched({ expiresAfter, createdAfter, limit = 20 }) {
+    return await this.db.client.transaction.findMany({
+      where: {
+        status: PAYMENT_STATUS.EXPIRED,
+        OR: [{ replacedBy: { not: null } }, { replacesRef: { not: null } }],
+        AND: [{
+          OR: [
+            { expiryDate: { gte: expiresAfter } },
+            { expiryDate: null, createdAt: { gte: createdAfter } }
+          ]
+        }]
+      },
+      orderBy: { createdAt: 'asc' },
+      take: limit
+    });
+  }
+
+  /**
+   * REDEEM entry follows the order; the flash sale unit and the promo redemption are
+   * held by one invoice only (flagged as given back on the closed one, so the sweeps leave it alone)
+   * @private
+   */
+  async _moveReservations(tx, fromRef, toRef) {
+    await tx.pointEntry.updateMany({
+      where: { merchantRef: fromRef, type: POINT_ENTRY_TYPE.REDEEM },
+      data: { merchantRef: toRef }
+    });
+    await tx.transaction.updateMany({
+      where: { merchantRef: fromRef, flashSaleId: { not: null }, flashSaleReleasedAt: null },
+      data: { flashSaleReleasedAt: new Date() }
+    });
+    await tx.transaction.updateMany({
+      where: { merchantRef: toRef, flashSaleId: { not: null } },
+      data: { flashSaleReleasedAt: null }
+    });
+    await tx.transaction.updateMany({
+      where: { merchantRef: fromRef, promoCode: { not: null }, promoReleasedAt: null },
+      data: { promoReleasedAt: new Date() }
+    });
+    await tx.transaction.updateMany({
+      where: { merchantRef: toRef, promoCode: { not: null } },
+      data: { promoReleasedAt: null }
+    });
+  }
 }
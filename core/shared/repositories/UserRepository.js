@@ -151,6 +151,130 @@ export class UserRepository extends UserRepositoryPort {
         return await this.update(id, { isActive: true });
     }
 
+    /**
+     * List users (newest first)
+     * @param {Object} options - { skip, take }
+     * @returns {Promise<User[]>}
+     */
+    async findMany({ skip = 0, take = 10 } = {}) {
+        try {
+            const rows = await this.db.client.user.findMany({
+                orderBy: { createdAt: 'desc' },
+                skip,
+                take
+            });
+            return rows.map(row => this._toUserEntity(row));
+        } catch (error) {
+            logger.error(`[UserRepo] Error listing users: ${error.message}`);
+            return [];
+        }
+    }
+
+    /**
+     * Count users
+     * @param {Object} where - Optional filter (e.g. { isBanned: true })
+     * @returns {Promise<Number>}
+     */
+    async count(where = {}) {
+        try {
+            return await this.db.client.user.count({ where });
+        } catch (error) {
+            logger.error(`[UserRepo] Error counting users: ${error.message}`);
+            return 0;
+        }
+    }
+
+    /**
+     * Find user by referral code
+     * @param {String} code - Upper-case referral code
+     * @returns {Promise<User|null>}
+     */
+    async findByReferralCode(code) {
+        try {
+            const data = await this.db.client.user.findUnique({
+                where: { referralCode: String(code) }
+            });
+            return data ? this._toUserEntity(data) : null;
+        } catch (error) {
+            logger.error(`[UserRepo] Error finding user by referral code: ${error.message}`);
+            return null;
+        }
+    }
+
+    /**
+     * Referral counters of a referrer
+     * @param {String} id - Referrer database ID
+     * @returns {Promise<Object>} { referred, rewarded, earned }
+     */
+    async getReferralStats(id) {
+        const [referred, rewarded] = await Promise.all([
+            this.db.client.user.count({ where: { referredById: id } }),
+            this.db.client.user.aggregate({
+                where: { referredById: id, referralPaidAt: { not: null } },
+                _count: { _all: true },
+                _sum: { referralReward: true }
+            })
+        ]);
+        return {
+            referred,
+            rewarded: rewarded._count._all,
+            earned: rewarded._sum.referralReward ?? 0n
+        };
+    }
+
+    /**
+     * Mark the referral reward of a referred user as paid (compare-and-set)
+     * @param {String} id - Referred user database ID
+     * @param {BigInt} amount - Reward paid to the referrer
+     * @returns {Promise<Boolean>} false if already rewarded
+     */
+    async claimReferralReward(id, amount) {
+        const { count } = await this.db.client.user.updateMany({
+            where: { id, referredById: { not: null }, referralPaidAt: null },
+            data: { referralPaidAt: new Date(), referralReward: BigInt(amount) }
+        });
+        return count === 1;
+    }
+
+    /**
+     * Undo claimReferralReward when the reward could not be paid
+     * @param {String} id - Referred user database ID
+     */
+    async releaseReferralReward(id) {
+        await this.db.client.user.updateMany({
+            where: { id },
+            data: { referralPaidAt: null, referralReward: null }
+        });
+    }
+
+    /**
+     * Chat IDs that turned reminders off
+     * @param {Array<String>} chatIds
+     * @returns {Promise<Array<String>>}
+     */
+    async findRemindersOptOut(chatIds) {
+        if (!chatIds || chatIds.length === 0) return [];
+        const rows = await this.db.client.user.findMany({
+            where: { chatId: { in: chatIds.map(String) }, remindersOptOut: true },
+            select: { chatId: true }
+        });
+        return rows.map(row => row.chatId);
+    }
+
+    /**
+     * Turn reminders off (true) or back on (false)
+     * @param {String} chatId
+     * @param {Boolean} optOut
+     * @returns {Promise<Boolean>} false if no such user
+     */
+    async setRemindersOptOut(chatId, optOut) {
+        const { count } = await this.db.client.user.updateMany({
+            where: { chatId: String(chatId) },
+            data: { remindersOptOut: Boolean(optOut) }
+        });
+        return count > 0;
+    }
+
     // ========================================
     // UserSession Operations
     // ========================================
@@ -259,6 +383,14 @@ export class UserRepository extends UserRepositoryPort {
             isActive: data.isActive,
             isBanned: data.isBanned,
             role: data.role,
+            balance: data.balance,
+            tier: data.tier,
+            tierUpdatedAt: data.tierUpdatedAt,
+            referralCode: data.referralCode,
+            referredById: data.referredById,
+            referredAt: data.referredAt,
+            referralPaidAt: data.referralPaidAt,
+            remindersOptOut: data.remindersOptOut,
             createdAt: data.createdAt,
             lastActiveAt: data.lastActiveAt
         });
@@ -0,0 +1,146 @@
+import crypto from 'crypto';
+import { WalletRepositoryPort } from '../ports/WalletRepositoryPort.js';
+
+/**
+ * WalletRepository
+ * Database access for User.balance and LedgerEntry model
+ * Implements WalletRepositoryPort for Hexagonal Architecture
+ *
+ * Balance update and ledger rows are written in one DB transaction, so the
+ * ledger always sums to the stored balance.
+ */
+export class WalletRepository extends WalletRepositoryPort {
+  constructor(databasePort) {
+    super();
+    this.db = databasePort;
+  }
+
+  /**
+   * Get current balance
+   */
+  async getBalance(userId) {
+    const user = await this.db.client.user.findUnique({
+      where: { chatId: String(userId) },
+      select: { balance: true }
+    });
+    return user ? user.balance : null;
+  }
+
+  /**
+   * Credit wallet (+ optional conditional transaction update in the same DB transaction)
+   * Duplicate credits for the same merchantRef/entryType fail on the ledger unique key.
+   */
+  async credit(entry, transition = null) {
+    try {
+      return await this._applyCredit(entry, transition);
+    } catch (error) {
+      // Ledger unique key: this movement was already applied
+      if (error.code === 'P2002') return null;
+      throw error;
+    }
+  }
+
+  /**
+   * @private
+   */
+  async _applyCredit(entry, transition) {
+    return await this.db.client.$transaction(async (tx) => {
+      if (transition) {
+        const moved = await tx.transaction.updateMany({
+          where: { merchantRef: transition.merchantRef, status: transition.fromStatus },
+          data: transition.data
+        });
+        if (moved.count !== 1) return null;
+      }
+
+      const user = await tx.user.update({
+        where: { chatId: String(entry.userId) },
+        data: { balance: { increment: BigInt(entry.amount) } },
+        select: { balance: true }
+      });
+
+      await this._writeJournal(tx, entry, 'CREDIT', user.balance);
+      return { balance: user.balance };
+    });
+  }
+
+  /**
+   * Debit wallet atomically (conditional decrement, never below zero)
+   */
+  async debit(entry, transactionData = null) {
+    const chatId = String(entry.userId);
+    const amount = BigInt(entry.amount);
+
+    return await this.db.client.$transaction(async (tx) => {
+      const taken = await tx.user.updateMany({
+        where: { chatId, balance: { gte: amount } },
+        data: { balance: { decrement: amount } }
+      });
+      if (taken.count !== 1) return null;
+
+      const user = await tx.user.findUnique({
+        where: { chatId },
+        select: { balance: true }
+      });
+
+      if (transactionData) {
+        await tx.transaction.create({ data: transactionData });
+      }
+
+      await this._writeJournal(tx, entry, 'DEBIT', user.balance);
+      return { balance: user.balance };
+    });
+  }
+
+  /**
+   * Ledger entries of a user wallet (newest first)
+   */
+  async findEntries(userId, limit = 5) {
+    return await this.db.client.ledgerEntry.findMany({
+      where: { userId: String(userId), account: this._userAccount(userId) },
+      orderBy: { createdAt: 'desc' },
+      take: limit
+    });
+  }
+
+  /**
+   * Write the balanced entry pair: the user side moves in `direction`,
+   * the contra (system) account in the opposite one.
+   * @private
+   */
+  async _writeJournal(tx, entry, direction, balanceAfter) {
+    const journalId = crypto.randomUUID();
+    const amount = BigInt(entry.amount);
+    const shared = {
+      journalId,
+      amount,
+      entryType: entry.entryType,
+      merchantRef: entry.merchantRef || null,
+      note: entry.note || null
+    };
+
+    await tx.ledgerEntry.createMany({
+      data: [
+        {
+          ...shared,
+          account: this._userAccount(entry.userId),
+          userId: String(entry.userId),
+          direction,
+          balanceAfter
+        },
+        {
+          ...shared,
+          account: entry.contraAccount,
+          direction: direction === 'CREDIT' ? 'DEBIT' : 'CREDIT'
+        }
+      ]
+    });
+  }
+
+  /**
+   * @private
+   */
+  _userAccount(userId) {
+    return `user:${userId}`;
+  }
+}
@@ -0,0 +1,647 @@
+import logger from './Logger.js';
+import { ADMIN, ADMIN_ACTION, FLASH_SALE, LOYALTY, PAYMENT_STATUS, PRICING_SCOPE, PROMO, PROMO_DISCOUNT_TYPE, REPORT } from '../config/constants.js';
+
+// Statuses where the order was sent to the provider (providerOrderId set)
+const PROVIDER_STATUSES = [
+    PAYMENT_STATUS.PROCESSING,
+    PAYMENT_STATUS.DELIVERED,
+    PAYMENT_STATUS.DELIVERY_FAILED
+];
+
+/**
+ * AdminService
+ * Responsibility: Admin panel queries and manual actions
+ * - Daily revenue / order statistics (business day in WIB)
+ * - Paginated user list and user detail
+ * - Transaction lookup by merchantRef
+ * - Manual transaction actions (re-fulfill, force status, refund) with audit trail
+ * - Pricing rules (markup over provider cost) with audit trail
+ * - Membership tier grants with audit trail
+ * - Promo codes with audit trail
+ * - Loyalty points adjustments and per-brand earn rates with audit trail
+ * - Flash sales with audit trail
+ *
+ * Ban/unban stays with the AuthorizationPort (single source of access rules);
+ * callers record it here via recordAction().
+ */
+export class AdminService {
+    /**
+     * @param {TransactionRepositoryPort} transactionRepository
+     * @param {UserRepositoryPort} userRepository
+     * @param {PaymentService} paymentService - Transaction state changes + fulfillment
+     * @param {GameProviderService} gameProviderService - Live provider order status
+     * @param {AdminAuditRepositoryPort} adminAuditRepository - Audit trail
+     * @param {PricingService} pricingService - Sell price rules
+     * @param {MembershipService} membershipService - User tiers
+     * @param {PromoService} promoService - Promo codes
+     * @param {LoyaltyService} loyaltyService - Loyalty points
+     * @param {FlashSaleService} flashSaleService - Flash sales
+     */
+    constructor(transactionRepository, userRepository, paymentService = null, gameProviderService = null, adminAuditRepository = null, pricingService = null, membershipService = null, promoService = null, loyaltyService = null, flashSaleService = null) {
+        this.trxRepo = transactionRepository;
+        this.userRepo = userRepository;
+        this.paymentService = paymentService;
+        this.gameProviderService = gameProviderService;
+        this.auditRepo = adminAuditRepository;
+        this.pricingService = pricingService;
+        this.membershipService = membershipService;
+        this.promoService = promoService;
+        this.loyaltyService = loyaltyService;
+        this.flashSaleService = flashSaleService;
+    }
+
+    /**
+     * Revenue and order counts for today plus a short daily breakdown
+     * @param {Number} days - Number of days (including today)
+     * @returns {Promise<Object>} { today, days: [{ date, orders, paidOrders, revenue }], users }
+     */
+    async getDailyStats(days = ADMIN.STATS_DAYS) {
+        const todayStart = this._startOfDay(new Date());
+        const dayMs = 24 * 60 * 60 * 1000;
+
+        const breakdown = [];
+        for (let i = 0; i < days; i++) {
+            const from = new Date(todayStart.getTime() - i * dayMs);
+            const to = new Date(from.getTime() + dayMs);
+            const rows = await this.trxRepo.aggregateByStatus(from, to);
+            breakdown.push({ date: from, ...this._summarize(rows) });
+        }
+
+        const [totalUsers, bannedUsers] = await Promise.all([
+            this.userRepo.count(),
+            this.userRepo.count({ isBanned: true })
+        ]);
+
+        return {
+            today: breakdown[0],
+            days: breakdown,
+            users: { total: totalUsers, banned: bannedUsers }
+        };
+    }
+
+    /**
+     * Paginated user list (newest first)
+     * @param {Number} page - 1-based page
+     * @returns {Promise<Object>} { users, page, totalPages, total }
+     */
+    async listUsers(page = 1) {
+        const total = await this.userRepo.count();
+        const totalPages = Math.max(1, Math.ceil(total / ADMIN.USERS_PER_PAGE));
+        const current = Math.min(Math.max(1, page), totalPages);
+
+        const users = await this.userRepo.findMany({
+            skip: (current - 1) * ADMIN.USERS_PER_PAGE,
+            take: ADMIN.USERS_PER_PAGE
+        });
+
+        return { users, page: current, totalPages, total };
+    }
+
+    /**
+     * User detail with recent transactions
+     * @param {String} telegramId
+     * @returns {Promise<Object|null>} { user, transactions }
+     */
+    async getUserDetail(telegramId) {
+        const user = await this.userRepo.findByTelegramId(telegramId);
+        if (!user) return null;
+
+        // Transactions are keyed by chatId
+        const transactions = await this.trxRepo.findByUserId(String(user.chatId), 5);
+        return { user, transactions };
+    }
+
+    /**
+     * Find transaction by merchant reference
+     * @param {String} merchantRef
+     * @returns {Promise<Object|null>}
+     */
+    async findTransaction(merchantRef) {
+        const ref = String(merchantRef || '').trim();
+        if (!ref) return null;
+        return await this.trxRepo.findByRef(ref);
+    }
+
+    /**
+     * Transaction with fulfillment job, live provider status and audit trail
+     * @param {String} merchantRef
+     * @returns {Promise<Object|null>} { trx, job, provider, audit }
+     */
+    async inspectTransaction(merchantRef) {
+        const trx = await this.findTransaction(merchantRef);
+        if (!trx) return null;
+
+        const [job, provider, audit] = await Promise.all([
+            this.paymentService ? this.paymentService.getFulfillmentJob(trx.merchantRef) : null,
+            this._checkProvider(trx),
+            this.auditRepo ? this.auditRepo.findByReference(trx.merchantRef, ADMIN.AUDIT_HISTORY_LIMIT) : []
+        ]);
+
+        return { trx, job, provider, audit };
+    }
+
+    /**
+     * Re-run fulfillment
+     * @param {Object} admin - { id, name }
+     * @param {String} merchantRef
+     * @returns {Promise<Object>} PaymentService result
+     */
+    async refulfill(admin, merchantRef) {
+        const result = await this.paymentService.refulfillTransaction(merchantRef);
+        if (result.success) {
+            await this.recordAction(admin, {
+                action: ADMIN_ACTION.REFULFILL,
+                merchantRef: result.trx.merchantRef,
+                targetUser: result.trx.userId,
+                fromStatus: result.oldStatus,
+                toStatus: PAYMENT_STATUS.PAID
+            });
+        }
+        return result;
+    }
+
+    /**
+     * Force transaction status
+     * @param {Object} admin - { id, name }
+     * @param {String} merchantRef
+     * @param {String} status
+     * @param {String} note - Reason (optional)
+     * @returns {Promise<Object>} PaymentService result
+     */
+    async setStatus(admin, merchantRef, status, note = null) {
+        const result = await this.paymentService.forceTransactionStatus(merchantRef, status);
+        if (result.success) {
+            await this.recordAction(admin, {
+                action: ADMIN_ACTION.SET_STATUS,
+                merchantRef: result.trx.merchantRef,
+                targetUser: result.trx.userId,
+                fromStatus: result.oldStatus,
+                toStatus: result.newStatus,
+                note
+            });
+        }
+        return result;
+    }
+
+    /**
+     * Record a manual refund
+     * @param {Object} admin - { id, name }
+     * @param {String} merchantRef
+     * @param {String} note - Reason / transfer proof (optional)
+     * @returns {Promise<Object>} PaymentService result
+     */
+    async refund(admin, merchantRef, note = null) {
+        const result = await this.paymentService.refundTransaction(merchantRef);
+        if (result.success) {
+            await this.recordAction(admin, {
+                action: ADMIN_ACTION.REFUND,
+                merchantRef: result.trx.merchantRef,
+                targetUser: result.trx.userId,
+                fromStatus: result.oldStatus,
+                toStatus: PAYMENT_STATUS.REFUNDED,
+                note
+            });
+        }
+        return result;
+    }
+
+    /**
+     * Approve a manual bank transfer after checking the receipt
+     * @param {Object} admin - { id, name }
+     * @param {String} merchantRef
+     * @returns {Promise<Object>} PaymentService result
+     */
+    async approveTransfer(admin, merchantRef) {
+        const result = await this.paymentService.approveManualTransfer(merchantRef);
+        if (result.success) {
+            await this.recordAction(admin, {
+                action: ADMIN_ACTION.TRANSFER_APPROVE,
+                merchantRef,
+                targetUser: result.trx.userId,
+                fromStatus: result.oldStatus,
+                toStatus: PAYMENT_STATUS.PAID
+            });
+        }
+        return result;
+    }
+
+    /**
+     * Reject a manual bank transfer (receipt invalid or money not received)
+     * @param {Object} admin - { id, name }
+     * @param {String} merchantRef
+     * @param {String} note - Reason (optional)
+     * @returns {Promise<Object>} PaymentService result
+     */
+    async rejectTransfer(admin, merchantRef, note = null) {
+        const result = await this.paymentService.rejectManualTransfer(merchantRef);
+        if (result.success) {
+            await this.recordAction(admin, {
+                action: ADMIN_ACTION.TRANSFER_REJECT,
+                merchantRef,
+                targetUser: result.trx.userId,
+                fromStatus: result.oldStatus,
+                toStatus: PAYMENT_STATUS.FAILED,
+                note
+            });
+        }
+        return result;
+    }
+
+    /**
+     * Stored pricing rules plus the configured fallback rule
+     * @returns {Promise<Object>} { rules, defaultRule }
+     */
+    async listPricingRules() {
+        return {
+            rules: await this.pricingService.listRules(),
+            defaultRule: this.pricingService.defaultRule
+        };
+    }
+
+    /**
+     * Create or replace a pricing rule
+     * @param {Object} admin - { id, name }
+     * @param {Object} rule - { scope, target, markupPercent, markupFlat, roundTo, minMargin }
+     * @returns {Promise<Object>} { success, rule } or { success: false, error }
+     */
+    async setPricingRule(admin, rule) {
+        const error = this._validatePricingRule(rule);
+        if (error) return { success: false, error };
+
+        const saved = await this.pricingService.setRule(rule);
+        await this.recordAction(admin, {
+            action: ADMIN_ACTION.PRICING_SET,
+            note: this._describePricingRule(saved)
+        });
+        return { success: true, rule: saved };
+    }
+
+    /**
+     * Delete a pricing rule
+     * @param {Object} admin - { id, name }
+     * @param {String} scope - PRICING_SCOPE value
+     * @param {String} target - Brand code, category or service code (ignored for GLOBAL)
+     * @returns {Promise<Object>} { success } or { success: false, error }
+     */
+    async deletePricingRule(admin, scope, target = '') {
+        const error = this._validatePricingRule({ scope, target });
+        if (error) return { success: false, error };
+
+        const deleted = await this.pricingService.deleteRule(scope, target);
+        if (!deleted) return { success: false, error: 'NOT_FOUND' };
+
+        await this.recordAction(admin, {
+            action: ADMIN_ACTION.PRICING_DELETE,
+            note: `${scope}${target ? `:${target}` : ''}`
+        });
+        return { success: true };
+    }
+
+    /**
+     * Sell price of a service with the rule that produced it
+     * @param {Object} service - GameService row (with brand)
+     * @returns {Promise<Object>} { cost, price, margin, rule }
+     */
+    async quotePrice(service) {
+        return await this.pricingService.price(service);
+    }
+
+    /**
+     * Grant (or lower) the membership tier of a user
+     * @param {Object} admin - { id, name }
+     * @param {String} telegramId
+     * @param {String} tier - MEMBERSHIP_TIER value
+     * @returns {Promise<Object>} { success, user, oldTier, unchanged? } or { success: false, error }
+     */
+    async setUserTier(admin, telegramId, tier) {
+        const user = await this.userRepo.findByTelegramId(String(telegramId));
+        if (!user) return { success: false, error: 'USER_NOT_FOUND' };
+
+        const result = await this.membershipService.setTier(String(user.chatId), tier);
+        if (!result.success || result.unchanged) return result;
+
+        await this.recordAction(admin, {
+            action: ADMIN_ACTION.MEMBERSHIP_GRANT,
+            targetUser: String(user.telegramId),
+            fromStatus: result.oldTier,
+            toStatus: tier
+        });
+        return result;
+    }
+
+    /**
+     * Every promo with its redemption count
+     * @returns {Promise<Array>}
+     */
+    async listPromos() {
+        return await this.promoService.list();
+    }
+
+    /**
+     * Create or replace a promo code
+     * @param {Object} admin - { id, name }
+     * @param {Object} promo - { code, discountType, discountValue, maxDiscount, minOrder, usageLimit, perUserLimit, games, services, startsAt, endsAt }
+     * @returns {Promise<Object>} { success, promo } or { success: false, error }
+     */
+    async setPromo(admin, promo) {
+        const error = this._validatePromo(promo);
+        if (error) return { success: false, error };
+
+        const saved = await this.promoService.save({ ...promo, isActive: true, createdBy: admin.id });
+        await this.recordAction(admin, {
+            action: ADMIN_ACTION.PROMO_SET,
+            note: `${saved.code} ${saved.discountType} ${saved.discountValue}`
+        });
+        return { success: true, promo: saved };
+    }
+
+    /**
+     * Enable or disable a promo code
+     * @param {Object} admin - { id, name }
+     * @param {String} code
+     * @param {Boolean} isActive
+     * @returns {Promise<Object>} { success, promo } or { success: false, error }
+     */
+    async setPromoActive(admin, code, isActive) {
+        const promo = await this.promoService.setActive(code, isActive);
+        if (!promo) return { success: false, error: 'NOT_FOUND' };
+
+        await this.recordAction(admin, {
+            action: ADMIN_ACTION.PROMO_TOGGLE,
+            note: `${promo.code} ${isActive ? 'on' : 'off'}`
+        });
+        return { success: true, promo };
+    }
+
+    /**
+     * Delete a promo code (orders keep the code they redeemed)
+     * @param {Object} admin - { id, name }
+     * @param {String} code
+     * @returns {Promise<Object>} { success } or { success: false, error }
+     */
+    async deletePromo(admin, code) {
+        const deleted = await this.promoService.delete(code);
+        if (!deleted) return { success: false, error: 'NOT_FOUND' };
+
+        await this.recordAction(admin, {
+            action: ADMIN_ACTION.PROMO_DELETE,
+            note: this.promoService.normalizeCode(code)
+        });
+        return { success: true };
+    }
+
+    /**
+     * Whether the loyalty program is on
+     * @returns {Boolean}
+     */
+    isLoyaltyEnabled() {
+        return !!this.loyaltyService?.isEnabled();
+    }
+
+    /**
+     * Points balance and recent entries of a user
+     * @param {String} telegramId
+     * @returns {Promise<Object>} { success, user, summary } or { success: false, error }
+     */
+    async getUserPoints(telegramId) {
+        const user = await this.userRepo.findByTelegramId(String(telegramId));
+        if (!user) return { success: false, error: 'USER_NOT_FOUND' };
+
+        return { success: true, user, summary: await this.loyaltyService.getSummary(String(user.chatId)) };
+    }
+
+    /**
+     * Add or deduct points of a user
+     * @param {Object} admin - { id, name }
+     * @param {String} telegramId
+     * @param {Number} points - Signed, non-zero
+     * @param {String} [note] - Reason (shown to the user)
+     * @returns {Promise<Object>} { success, user, points, balance } or { success: false, error }
+     */
+    async adjustPoints(admin, telegramId, points, note = null) {
+        if (!Number.isSafeInteger(points) || points === 0) return { success: false, error: 'INVALID_POINTS' };
+
+        const user = await this.userRepo.findByTelegramId(String(telegramId));
+        if (!user) return { success: false, error: 'USER_NOT_FOUND' };
+
+        const result = await this.loyaltyService.adjust(String(user.chatId), points, { note, createdBy: admin.id });
+        if (!result) return { success: false, error: 'INSUFFICIENT' };
+
+        await this.recordAction(admin, {
+            action: ADMIN_ACTION.POINTS_ADJUST,
+            targetUser: String(user.telegramId),
+            note: `${points > 0 ? '+' : ''}${points}${note ? ` ${note}` : ''}`
+        });
+        return { success: true, user, points, balance: result.balance };
+    }
+
+    /**
+     * Default earn rate and the per-brand rates
+     * @returns {Promise<Object>} { defaultRate, rates }
+     */
+    async listLoyaltyRates() {
+        return { defaultRate: this.loyaltyService.earnRate, rates: await this.loyaltyService.listRates() };
+    }
+
+    /**
+     * Create or replace the earn rate of a brand
+     * @param {Object} admin - { id, name }
+     * @param {String} brand - Brand/game code
+     * @param {Number} earnRate - Points per Rp 1.000 (0 = brand earns nothing)
+     * @returns {Promise<Object>} { success, rate } or { success: false, error }
+     */
+    async setLoyaltyRate(admin, brand, earnRate) {
+        if (!LOYALTY.BRAND_PATTERN.test(this.loyaltyService.normalizeBrand(brand))) return { success: false, error: 'INVALID_BRAND' };
+        if (!Number.isFinite(earnRate) || earnRate < 0) return { success: false, error: 'INVALID_RATE' };
+
+        const rate = await this.loyaltyService.setRate(brand, earnRate, admin.id);
+        await this.recordAction(admin, {
+            action: ADMIN_ACTION.POINTS_RATE,
+            note: `${rate.brand} ${rate.earnRate}`
+        });
+        return { success: true, rate };
+    }
+
+    /**
+     * Delete the earn rate of a brand (back to the default rate)
+     * @param {Object} admin - { id, name }
+     * @param {String} brand
+     * @returns {Promise<Object>} { success } or { success: false, error }
+     */
+    async deleteLoyaltyRate(admin, brand) {
+        const deleted = await this.loyaltyService.deleteRate(brand);
+        if (!deleted) return { success: false, error: 'NOT_FOUND' };
+
+        await this.recordAction(admin, {
+            action: ADMIN_ACTION.POINTS_RATE,
+            note: `${this.loyaltyService.normalizeBrand(brand)} del`
+        });
+        return { success: true };
+    }
+
+    /**
+     * Running and upcoming flash sales
+     * @returns {Promise<Array>}
+     */
+    async listFlashSales() {
+        return await this.flashSaleService.listCurrent();
+    }
+
+    /**
+     * Create a flash sale
+     * @param {Object} admin - { id, name }
+     * @param {Object} sale - { serviceCode, price, quota, startsAt, endsAt }
+     * @param {BigInt} regularPrice - Member price of the service (the sale must be cheaper)
+     * @returns {Promise<Object>} { success, sale } or { success: false, error }
+     */
+    async createFlashSale(admin, sale, regularPrice) {
+        const error = this._validateFlashSale(sale, regularPrice);
+        if (error) return { success: false, error };
+
+        const saved = await this.flashSaleService.create({ ...sale, createdBy: admin.id });
+        await this.recordAction(admin, {
+            action: ADMIN_ACTION.FLASH_SALE_SET,
+            note: `${this.flashSaleService.shortId(saved)} ${saved.serviceCode} ${saved.price}${saved.quota !== null ? ` x${saved.quota}` : ''}`
+        });
+        return { success: true, sale: saved };
+    }
+
+    /**
+     * Enable or disable a flash sale
+     * @param {Object} admin - { id, name }
+     * @param {String} shortId - Id prefix shown in the listing
+     * @param {Boolean} isActive
+     * @returns {Promise<Object>} { success, sale } or { success: false, error }
+     */
+    async setFlashSaleActive(admin, shortId, isActive) {
+        const found = await this.flashSaleService.findByShortId(shortId);
+        const sale = found ? await this.flashSaleService.setActive(found.id, isActive) : null;
+        if (!sale) return { success: false, error: 'NOT_FOUND' };
+
+        await this.recordAction(admin, {
+            action: ADMIN_ACTION.FLASH_SALE_TOGGLE,
+            note: `${this.flashSaleService.shortId(sale)} ${isActive ? 'on' : 'off'}`
+        });
+        return { success: true, sale };
+    }
+
+    /**
+     * Delete a flash sale (orders keep the price they were created at)
+     * @param {Object} admin - { id, name }
+     * @param {String} shortId - Id prefix shown in the listing
+     * @returns {Promise<Object>} { success } or { success: false, error }
+     */
+    async deleteFlashSale(admin, shortId) {
+        const found = await this.flashSaleService.findByShortId(shortId);
+        if (!found || !await this.flashSaleService.delete(found.id)) return { success: false, error: 'NOT_FOUND' };
+
+        await this.recordAction(admin, {
+            action: ADMIN_ACTION.FLASH_SALE_DELETE,
+            note: `${this.flashSaleService.shortId(found)} ${found.serviceCode}`
+        });
+        return { success: true };
+    }
+
+    /**
+     * @private
+     * @returns {String|null} Error code
+     */
+    _validateFlashSale(sale, regularPrice) {
+        const price = BigInt(sale.price || 0);
+        if (price <= 0n || price >= BigInt(regularPrice || 0)) return 'INVALID_PRICE';
+        if (sale.quota !== null && !(Number.isInteger(sale.quota) && sale.quota >= 1)) return 'INVALID_QUOTA';
+
+        if (!sale.startsAt || !sale.endsAt || sale.endsAt <= sale.startsAt || sale.endsAt <= new Date()) return 'INVALID_WINDOW';
+        if (sale.endsAt - sale.startsAt > FLASH_SALE.MAX_DURATION_MS) return 'INVALID_WINDOW';
+        return null;
+    }
+
+    /**
+     * @private
+     * @returns {String|null} Error code
+     */
+    _validatePromo(promo) {
+        if (!PROMO.CODE_PATTERN.test(this.promoService.normalizeCode(promo.code))) return 'INVALID_CODE';
+
+        const value = Number(promo.discountValue);
+        if (!Object.values(PROMO_DISCOUNT_TYPE).includes(promo.discountType) || !(value > 0)) return 'INVALID_DISCOUNT';
+        if (promo.discountType === PROMO_DISCOUNT_TYPE.PERCENT && value > 100) return 'INVALID_DISCOUNT';
+
+        if (promo.startsAt && promo.endsAt && promo.endsAt <= promo.startsAt) return 'INVALID_WINDOW';
+        return null;
+    }
+
+    /**
+     * @private
+     * @returns {String|null} Error code
+     */
+    _validatePricingRule(rule) {
+        if (!Object.values(PRICING_SCOPE).includes(rule.scope)) return 'INVALID_SCOPE';
+        if (rule.scope !== PRICING_SCOPE.GLOBAL && !rule.target) return 'MISSING_TARGET';
+        return null;
+    }
+
+    /**
+     * One-line rule summary for the audit note
+     * @private
+     */
+    _describePricingRule(rule) {
+        const target = rule.target ? `:${rule.target}` : '';
+        return `${rule.scope}${target} ${rule.markupPercent}% +${rule.markupFlat} round=${rule.roundTo} min=${rule.minMargin}`;
+    }
+
+    /**
+     * Append to the audit trail (never breaks the admin action itself)
+     * @param {Object} admin - { id, name }
+     * @param {Object} entry - { action, merchantRef, targetUser, fromStatus, toStatus, note }
+     * @returns {Promise<Object|null>}
+     */
+    async recordAction(admin, entry) {
+        logger.info(`[AdminAudit] ${entry.action} by ${admin.name || admin.id} | Ref: ${entry.merchantRef || '-'} | User: ${entry.targetUser || '-'} | ${entry.fromStatus || '-'} → ${entry.toStatus || '-'}`);
+        if (!this.auditRepo) return null;
+
+        try {
+            return await this.auditRepo.create({ adminId: admin.id, adminName: admin.name, ...entry });
+        } catch (error) {
+            logger.error(`[AdminAudit] Failed to record ${entry.action}: ${error.message}`);
+            return null;
+        }
+    }
+
+    /**
+     * Live provider status for orders already sent to the provider
+     * @private
+     */
+    async _checkProvider(trx) {
+        if (!this.gameProviderService || !trx.providerOrderId || !PROVIDER_STATUSES.includes(trx.status)) return null;
+        return await this.gameProviderService.checkOrderStatus(trx.providerOrderId, trx.provider);
+    }
+
+    /**
+     * Collapse per-status rows into order/revenue totals
+     * @private
+     */
+    _summarize(rows) {
+        const summary = { orders: 0, paidOrders: 0, revenue: 0, byStatus: {} };
+
+        for (const row of rows) {
+            summary.orders += row.count;
+            summary.byStatus[row.status] = row.count;
+            if (REPORT.REVENUE_STATUSES.includes(row.status)) {
+                summary.paidOrders += row.count;
+                summary.revenue += row.amount;
+            }
+        }
+        return summary;
+    }
+
+    /**
+     * Start of the business day (WIB) as a UTC Date
+     * @private
+     */
+    _startOfDay(date) {
+        const shifted = new Date(date.getTime() + ADMIN.TIMEZONE_OFFSET_MS);
+        shifted.setUTCHours(0, 0, 0, 0);
+        return new Date(shifted.getTime() - ADMIN.TIMEZONE_OFFSET_MS);
+    }
+}
@@ -0,0 +1,108 @@
+import logger from './Logger.js';
+import { CALLBACK_EVENT_STATUS } from '../config/constants.js';
+
+/**
+ * CallbackLedgerService
+ * Responsibility: Persist every incoming gateway callback (raw payload + signature result)
+ * and dedupe retries by (gateway, reference, event, payloadHash).
+ */
+export class CallbackLedgerService {
+    /**
+     * @param {CallbackEventRepositoryPort} callbackEventRepository - Ledger persistence
+     */
+    constructor(callbackEventRepository) {
+        this.eventRepo = callbackEventRepository;
+    }
+
+    /**
+     * Record an incoming callback
+     * A retry of an already PROCESSED (or in-flight) callback is flagged as duplicate.
+     * FAILED/REJECTED entries are reclaimed by the next validly signed delivery.
+     *
+     * @param {Object} entry - { gateway, reference, event, payloadHash, rawPayload, signatureValid, ipAddress }
+     * @returns {Promise<Object>} { event, duplicate }
+     */
+    async register(entry) {
+        try {
+            const event = await this.eventRepo.create(entry);
+            return { event, duplicate: false };
+        } catch (error) {
+            if (error.code !== 'P2002') throw error; // Not a unique-key conflict
+        }
+
+        const existing = await this.eventRepo.findByKey(entry);
+        await this.eventRepo.update(existing.id, { deliveries: { increment: 1 } });
+
+        if (entry.signatureValid) {
+            const reclaimed = await this.eventRepo.updateIfStatus(
+                existing.id,
+                [CALLBACK_EVENT_STATUS.FAILED, CALLBACK_EVENT_STATUS.REJECTED],
+                {
+                    status: CALLBACK_EVENT_STATUS.RECEIVED,
+                    signatureValid: true,
+                    rawPayload: entry.rawPayload,
+                    ipAddress: entry.ipAddress,
+                    error: null
+                }
+            );
+            if (reclaimed) {
+                logger.info(`[CallbackLedger] Reprocessing ${existing.status} callback for ${entry.reference}`);
+                return { event: existing, duplicate: false };
+            }
+        }
+
+        logger.info(`[CallbackLedger] Duplicate callback ignored: ${entry.gateway}/${entry.reference}/${entry.event} (status: ${existing.status})`);
+        return { event: existing, duplicate: true };
+    }
+
+    /**
+     * Mark callback as successfully handled
+     */
+    async markProcessed(eventId) {
+        return await this._safeUpdate(eventId, {
+            status: CALLBACK_EVENT_STATUS.PROCESSED,
+            processedAt: new Date(),
+            error: null
+        });
+    }
+
+    /**
+     * Mark callback as failed (eligible for reprocessing on retry)
+     */
+    async markFailed(eventId, errorMessage) {
+        return await this._safeUpdate(eventId, {
+            status: CALLBACK_EVENT_STATUS.FAILED,
+            error: errorMessage
+        });
+    }
+
+    /**
+     * Mark callback as rejected (bad signature / unknown event)
+     */
+    async markRejected(eventId, reason) {
+        return await this._safeUpdate(eventId, {
+            status: CALLBACK_EVENT_STATUS.REJECTED,
+            error: reason
+        });
+    }
+
+    /**
+     * Audit trail for a merchant reference
+     */
+    async getHistory(reference) {
+        return await this.eventRepo.findByReference(reference);
+    }
+
+    /**
+     * Ledger bookkeeping must never break callback handling
+     * @private
+     */
+    async _safeUpdate(eventId, data) {
+        try {
+            return await this.eventRepo.update(eventId, data);
+        } catch (error) {
+            logger.error(`[CallbackLedger] Failed to update event ${eventId}: ${error.message}`);
+            return null;
+        }
+    }
+}
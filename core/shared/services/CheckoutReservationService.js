@@ -0,0 +1,120 @@
+import logger from './Logger.js';
+import { PAYMENT_STATUS } from '../config/constants.js';
+
+/**
+ * CheckoutReservationService
+ * Responsibility: What an order takes before its transaction is created, and gives back
+ * when the transaction is not created (gateway refusal, save failure, balance payment refused):
+ * - One flash sale unit (FlashSaleService)
+ * - One promo redemption (PromoService)
+ * - The redeemed loyalty points (LoyaltyService)
+ *
+ * Cancelled orders give theirs back later, through the sweeps of each service.
+ */
+export class CheckoutReservationService {
+    /**
+     * @param {PromoService} promoService - Promo redemptions
+     * @param {LoyaltyService} loyaltyService - Loyalty points
+     * @param {FlashSaleService} flashSaleService - Flash sale quota
+     */
+    constructor(promoService = null, loyaltyService = null, flashSaleService = null) {
+        this.promo = promoService;
+        this.loyalty = loyaltyService;
+        this.flashSale = flashSaleService;
+    }
+
+    /**
+     * Take what an order reserves before its transaction is created:
+     * one flash sale unit, one promo redemption, then the redeemed points
+     * @param {Object} orderData - { userId, flashSaleId?, promoCode?, pointsUsed? }
+     * @param {String} merchantRef - Transaction about to be created
+     * @returns {Promise<String|null>} Error code, null when everything was reserved
+     */
+    async reserve(orderData, merchantRef) {
+        if (orderData.flashSaleId && !(this.flashSale && await this.flashSale.claim(orderData.flashSaleId))) {
+            return 'FLASH_SALE_ENDED';
+        }
+        const promoError = await this._claimPromo(orderData);
+        if (promoError) {
+            await this._releaseFlashSale(orderData);
+            return promoError;
+        }
+        if (!await this._redeemPoints(orderData, merchantRef)) {
+            await this._releasePromo(orderData);
+            await this._releaseFlashSale(orderData);
+            return 'POINTS_INSUFFICIENT';
+        }
+        return null;
+    }
+
+    /**
+     * Give back everything reserved for an order whose transaction was not created
+     * @param {Object} orderData - Same as reserve()
+     * @param {String} merchantRef
+     */
+    async release(orderData, merchantRef) {
+        await this._releasePoints(orderData, merchantRef);
+        await this._releasePromo(orderData);
+        await this._releaseFlashSale(orderData);
+    }
+
+    /**
+     * Take one redemption of the order's promo (its caps may have been reached since review)
+     * @private
+     * @returns {Promise<String|null>} PROMO_LIMIT_REACHED, PROMO_USER_LIMIT_REACHED, PROMO_NOT_FOUND or null
+     */
+    async _claimPromo(orderData) {
+        if (!orderData.promoCode) return null;
+        if (!this.promo) return 'PROMO_NOT_FOUND';
+        const refusal = await this.promo.claim(orderData.promoCode, orderData.userId);
+        return refusal ? `PROMO_${refusal}` : null;
+    }
+
+    /**
+     * @private
+     */
+    async _releasePromo(orderData) {
+        if (!orderData.promoCode || !this.promo) return;
+        try {
+            await this.promo.release(orderData.promoCode, orderData.userId);
+        } catch (error) {
+            logger.error(`[CheckoutReservationService] Promo release failed for ${orderData.promoCode}: ${error.message}`);
+        }
+    }
+
+    /**
+     * @private
+     */
+    async _releaseFlashSale(orderData) {
+        if (!orderData.flashSaleId || !this.flashSale) return;
+        try {
+            await this.flashSale.release(orderData.flashSaleId);
+        } catch (error) {
+            logger.error(`[CheckoutReservationService] Flash sale release failed for ${orderData.flashSaleId}: ${error.message}`);
+        }
+    }
+
+    /**
+     * Spend the points of an order before its transaction is created
+     * @private
+     * @returns {Promise<Boolean>} false if the balance no longer covers them
+     */
+    async _redeemPoints(orderData, merchantRef) {
+        if (!orderData.pointsUsed) return true;
+        if (!this.loyalty?.isEnabled()) return false;
+        return !!await this.loyalty.redeem(orderData.userId, orderData.pointsUsed, merchantRef);
+    }
+
+    /**
+     * Give back the points of an order whose transaction was not created
+     * @private
+     */
+    async _releasePoints(orderData, merchantRef) {
+        if (!orderData.pointsUsed || !this.loyalty) return;
+        try {
+            await this.loyalty.restore({ merchantRef, status: PAYMENT_STATUS.FAILED });
+        } catch (error) {
+            logger.error(`[CheckoutReservationService] Points release failed for ${merchantRef}: ${error.message}`);
+        }
+    }
+}
@@ -0,0 +1,83 @@
+import logger from './Logger.js';
+import { PAYMENT_STATUS, TRANSACTION_TYPE, WALLET } from '../config/constants.js';
+
+/**
+ * DepositService
+ * Responsibility: Balance top-ups paid through a gateway.
+ * - DEPOSIT invoice (amount within the wallet limits, fee of the channel)
+ * - Wallet credit right after the payment, retried by the fulfillment queue on failure
+ */
+export class DepositService {
+    /**
+     * @param {WalletService} walletService - User balance (null when not configured)
+     * @param {PaymentService} payments - Fees, invoices and the fulfillment queue
+     */
+    constructor(walletService, payments) {
+        this.wallet = walletService;
+        this.payments = payments;
+    }
+
+    /**
+     * Create a balance top-up invoice (credited to the wallet once paid)
+     * @param {String} userId - Chat ID
+     * @param {Number} amount - Amount to credit
+     * @param {String} channelCode - Payment channel
+     * @returns {Promise<Object>} createInvoice result (+ orderData for display) or { success: false, error: 'INVALID_AMOUNT' }
+     */
+    async create(userId, amount, channelCode) {
+        const base = parseInt(amount, 10);
+        if (!this.wallet || !Number.isInteger(base) || base < WALLET.MIN_DEPOSIT || base > WALLET.MAX_DEPOSIT) {
+            return { success: false, error: 'INVALID_AMOUNT' };
+        }
+
+        const { finalAmount, feeAmount, feeType, channelInfo } = await this.payments.calculateFinalAmount(base, channelCode);
+        const orderData = {
+            type: TRANSACTION_TYPE.DEPOSIT,
+            userId: String(userId),
+            customerName: String(userId),
+            game: 'SALDO',
+            item: `Deposit Saldo Rp ${base.toLocaleString('id-ID')}`,
+            basePrice: BigInt(base),
+            feeAmount,
+            feeType,
+            amount: finalAmount,
+            channelCode,
+            channelName: channelInfo.name
+        };
+
+        const result = await this.payments.createInvoice(orderData);
+        return { ...result, orderData: { ...orderData, merchantRef: result.merchantRef } };
+    }
+
+    /**
+     * Credit a freshly paid deposit; on failure hand it to the fulfillment queue for retries
+     * @param {Object} trx - DEPOSIT transaction in PAID status
+     * @returns {Promise<Object|null>} { balance, trx } or null if not credited now
+     */
+    async creditNow(trx) {
+        try {
+            return await this.wallet.creditDeposit(trx);
+        } catch (error) {
+            logger.error(`[DepositService] Deposit credit failed for ${trx.merchantRef}, queueing retry: ${error.message}`);
+            await this.payments.enqueueFulfillment(trx.merchantRef);
+            return null;
+        }
+    }
+
+    /**
+     * Credit a paid deposit (fulfillment queue entry point)
+     * @param {Object} trx - DEPOSIT transaction
+     */
+    async fulfill(trx) {
+        if (!this.wallet) {
+            const error = new Error('WalletService not configured');
+            error.permanent = true;
+            throw error;
+        }
+        if (trx.status !== PAYMENT_STATUS.PAID) {
+            logger.info(`[DepositService] Deposit credit skipped: ${trx.merchantRef} is ${trx.status}`);
+            return;
+        }
+        await this.wallet.creditDeposit(trx);
+    }
+}
@@ -0,0 +1,136 @@
+import logger from './Logger.js';
+import { FLASH_SALE } from '../config/constants.js';
+
+/**
+ * FlashSaleService
+ * Responsibility: Time-boxed sell price overrides per service.
+ * - A sale sets the price of one service between startsAt and endsAt, optionally
+ *   for a limited number of units (quota)
+ * - One unit is claimed atomically when the order's transaction is created;
+ *   orders that end EXPIRED/FAILED/REFUNDED give their unit back (sweep)
+ * - Outside its window, disabled or sold out, a sale is ignored and the
+ *   regular price applies again without any cleanup
+ */
+export class FlashSaleService {
+    /**
+     * @param {FlashSaleRepositoryPort} flashSaleRepository - Sales and quota counter
+     * @param {TransactionRepositoryPort} transactionRepository - Cancelled orders holding a unit (sweep)
+     */
+    constructor(flashSaleRepository, transactionRepository = null) {
+        this.saleRepo = flashSaleRepository;
+        this.trxRepo = transactionRepository;
+    }
+
+    /**
+     * Cheapest sale with units left per service, running now
+     * @param {Array<String>} serviceCodes
+     * @returns {Promise<Map<String, Object>>} serviceCode → sale (with `remaining`, null = unlimited)
+     */
+    async getRunning(serviceCodes) {
+        const sales = await this.saleRepo.findRunning(serviceCodes, new Date());
+
+        const running = new Map();
+        for (const sale of sales) {
+            const remaining = sale.quota === null ? null : sale.quota - sale.sold;
+            if (remaining !== null && remaining <= 0) continue;
+            if (!running.has(sale.serviceCode)) running.set(sale.serviceCode, { ...sale, remaining });
+        }
+        return running;
+    }
+
+    /**
+     * Take one unit for an order
+     * @param {String} saleId
+     * @returns {Promise<Boolean>} false if the sale ended or sold out meanwhile
+     */
+    async claim(saleId) {
+        const claimed = await this.saleRepo.claim(saleId, new Date());
+        if (!claimed) logger.info(`[FlashSaleService] Claim on ${saleId} refused (ended or sold out)`);
+        return claimed;
+    }
+
+    /**
+     * Give back a unit whose order was never created
+     * @param {String} saleId
+     */
+    async release(saleId) {
+        return await this.saleRepo.release(saleId);
+    }
+
+    /**
+     * Give back the units of cancelled orders (background task)
+     * @returns {Promise<Number>} Units given back
+     */
+    async sweep() {
+        if (!this.trxRepo) return 0;
+
+        const since = new Date(Date.now() - FLASH_SALE.RELEASE_LOOKBACK_MS);
+        const cancelled = await this.trxRepo.findFlashSaleClaims(FLASH_SALE.RELEASE_STATUSES, since);
+
+        let released = 0;
+        for (const trx of cancelled) {
+            try {
+                if (await this.saleRepo.releaseOrder(trx.merchantRef, trx.flashSaleId)) released++;
+            } catch (error) {
+                logger.error(`[FlashSaleService] Release of ${trx.merchantRef} failed: ${error.message}`);
+            }
+        }
+        return released;
+    }
+
+    /**
+     * Running and upcoming sales, for the admin listing
+     * @returns {Promise<Array>}
+     */
+    async listCurrent() {
+        return await this.saleRepo.findCurrent(new Date(), FLASH_SALE.LIST_LIMIT);
+    }
+
+    /**
+     * Create a sale
+     * @param {Object} sale - { serviceCode, price, quota, startsAt, endsAt, createdBy }
+     */
+    async create(sale) {
+        const saved = await this.saleRepo.create(sale);
+        logger.info(`[FlashSaleService] Flash sale ${saved.id} on ${saved.serviceCode}: Rp ${saved.price} ${saved.startsAt.toISOString()} → ${saved.endsAt.toISOString()}`);
+        return saved;
+    }
+
+    /**
+     * Sale by the short id admins type
+     * @param {String} shortId - Id prefix (at least FLASH_SALE.ID_LENGTH characters)
+     * @returns {Promise<Object|null>} null if unknown or ambiguous
+     */
+    async findByShortId(shortId) {
+        const prefix = String(shortId || '').trim().toLowerCase();
+        if (prefix.length < FLASH_SALE.ID_LENGTH) return null;
+
+        const sales = await this.saleRepo.findByIdPrefix(prefix);
+        return sales.length === 1 ? sales[0] : null;
+    }
+
+    /**
+     * Enable or disable a sale
+     * @returns {Promise<Object|null>} null if no such sale
+     */
+    async setActive(id, isActive) {
+        return await this.saleRepo.setActive(id, isActive);
+    }
+
+    /**
+     * Delete a sale
+     * @returns {Promise<Boolean>} false if no such sale
+     */
+    async delete(id) {
+        return await this.saleRepo.delete(id);
+    }
+
+    /**
+     * Short id shown to admins
+     * @param {Object} sale
+     * @returns {String}
+     */
+    shortId(sale) {
+        return sale.id.slice(0, FLASH_SALE.ID_LENGTH);
+    }
+}
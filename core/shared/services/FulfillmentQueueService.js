@@ -0,0 +1,171 @@
+import logger from './Logger.js';
+import { FULFILLMENT_QUEUE } from '../config/constants.js';
+
+/**
+ * FulfillmentQueueService
+ * Responsibility: Durable, DB-backed queue for game order fulfillment.
+ * Each paid transaction gets one job that is retried with exponential backoff
+ * and survives restarts. Permanently failed jobs go to a dead-letter state.
+ */
+export class FulfillmentQueueService {
+    /**
+     * @param {FulfillmentJobRepositoryPort} jobRepository - Job persistence
+     * @param {TransactionRepositoryPort} transactionRepository - Transaction lookup
+     * @param {Function} fulfillFn - async (trx) => void, throws on failure
+     */
+    constructor(jobRepository, transactionRepository, fulfillFn) {
+        this.jobRepo = jobRepository;
+        this.trxRepo = transactionRepository;
+        this.fulfillFn = fulfillFn;
+
+        // Called with (job, trx, error) when a job is dead-lettered
+        this.deadLetterHandler = null;
+
+        // Prevent overlapping ticks in this process
+        this._processing = false;
+    }
+
+    /**
+     * Register dead-letter callback (e.g. admin alert)
+     * @param {Function} handler - async (job, trx, error) => void
+     */
+    setDeadLetterHandler(handler) {
+        this.deadLetterHandler = handler;
+    }
+
+    /**
+     * Persist a fulfillment job for a transaction
+     * @param {String} merchantRef
+     * @returns {Promise<Object>} Job
+     */
+    async enqueue(merchantRef) {
+        const job = await this.jobRepo.enqueue(merchantRef, FULFILLMENT_QUEUE.MAX_ATTEMPTS);
+        logger.info(`[FulfillmentQueue] Job queued for ${merchantRef} (status: ${job.status})`);
+        return job;
+    }
+
+    /**
+     * Reset a transaction's job for another full round of attempts
+     * (manual re-fulfill; also revives DONE/DEAD jobs)
+     * @param {String} merchantRef
+     * @returns {Promise<Object>} Job
+     */
+    async requeue(merchantRef) {
+        const job = await this.jobRepo.reset(merchantRef, FULFILLMENT_QUEUE.MAX_ATTEMPTS);
+        logger.info(`[FulfillmentQueue] Job requeued for ${merchantRef}`);
+        return job;
+    }
+
+    /**
+     * Cancel a job that has not run yet
+     * @param {String} merchantRef
+     * @param {String} reason
+     * @returns {Promise<Boolean>}
+     */
+    async cancel(merchantRef, reason) {
+        const cancelled = await this.jobRepo.cancelPending(merchantRef, reason);
+        if (cancelled) logger.info(`[FulfillmentQueue] Job cancelled for ${merchantRef}: ${reason}`);
+        return cancelled;
+    }
+
+    /**
+     * Get job for a transaction
+     * @param {String} merchantRef
+     * @returns {Promise<Object|null>}
+     */
+    async getJob(merchantRef) {
+        return await this.jobRepo.findByRef(merchantRef);
+    }
+
+    /**
+     * Process due jobs (one worker tick)
+     * @returns {Promise<Object>} { processed, done, retried, dead }
+     */
+    async processDue() {
+        const stats = { processed: 0, done: 0, retried: 0, dead: 0 };
+        if (this._processing) return stats;
+
+        try {
+            this._processing = true;
+
+            // Recover jobs orphaned by a restart/crash
+            const staleBefore = new Date(Date.now() - FULFILLMENT_QUEUE.STALE_LOCK_MS);
+            const released = await this.jobRepo.releaseStale(staleBefore);
+            if (released?.count > 0) {
+                logger.warn(`[FulfillmentQueue] Released ${released.count} stale job(s)`);
+            }
+
+            const jobs = await this.jobRepo.findDue(FULFILLMENT_QUEUE.BATCH_SIZE);
+
+            for (const job of jobs) {
+                const claimed = await this.jobRepo.claim(job.id);
+                if (!claimed) continue; // Another worker got it
+
+                stats.processed++;
+                const outcome = await this._runJob({ ...job, attempts: job.attempts + 1 });
+                stats[outcome]++;
+            }
+        } catch (error) {
+            logger.error(`[FulfillmentQueue] Tick failed: ${error.message}`);
+        } finally {
+            this._processing = false;
+        }
+
+        return stats;
+    }
+
+    /**
+     * Execute a claimed job
+     * @private
+     * @returns {Promise<String>} 'done' | 'retried' | 'dead'
+     */
+    async _runJob(job) {
+        const trx = await this.trxRepo.findByRef(job.merchantRef);
+
+        try {
+            if (!trx) {
+                const error = new Error('Transaction not found');
+                error.permanent = true;
+                throw error;
+            }
+
+            await this.fulfillFn(trx);
+            await this.jobRepo.markDone(job.id);
+            logger.info(`[FulfillmentQueue] ✅ Job done: ${job.merchantRef} (attempt ${job.attempts})`);
+            return 'done';
+        } catch (error) {
+            if (error.permanent || job.attempts >= job.maxAttempts) {
+                await this.jobRepo.markDead(job.id, error.message);
+                logger.error(`[FulfillmentQueue] ☠️ Job dead: ${job.merchantRef} after ${job.attempts} attempt(s) - ${error.message}`);
+                await this._notifyDeadLetter(job, trx, error);
+                return 'dead';
+            }
+
+            const nextRunAt = new Date(Date.now() + this._backoffMs(job.attempts));
+            await this.jobRepo.scheduleRetry(job.id, nextRunAt, error.message);
+            logger.warn(`[FulfillmentQueue] Job ${job.merchantRef} failed (attempt ${job.attempts}/${job.maxAttempts}), retry at ${nextRunAt.toISOString()} - ${error.message}`);
+            return 'retried';
+        }
+    }
+
+    /**
+     * Exponential backoff: base * 2^(attempt-1), capped
+     * @private
+     */
+    _backoffMs(attempts) {
+        const delay = FULFILLMENT_QUEUE.BACKOFF_BASE_MS * Math.pow(2, Math.max(0, attempts - 1));
+        return Math.min(delay, FULFILLMENT_QUEUE.BACKOFF_MAX_MS);
+    }
+
+    /**
+     * @private
+     */
+    async _notifyDeadLetter(job, trx, error) {
+        if (!this.deadLetterHandler) return;
+        try {
+            await this.deadLetterHandler(job, trx, error);
+        } catch (e) {
+            logger.error(`[FulfillmentQueue] Dead-letter handler failed: ${e.message}`);
+        }
+    }
+}
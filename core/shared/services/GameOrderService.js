@@ -0,0 +1,221 @@
+import logger from './Logger.js';
+import { PAYMENT_STATUS } from '../config/constants.js';
+
+// Provider callback transitions: current status -> statuses a callback may set.
+// Anything else (PAID after a re-fulfillment reset, DELIVERED, REFUNDED) is left alone.
+const PROVIDER_TRANSITIONS = {
+    [PAYMENT_STATUS.PROCESSING]: [PAYMENT_STATUS.PROCESSING, PAYMENT_STATUS.DELIVERED, PAYMENT_STATUS.DELIVERY_FAILED],
+    [PAYMENT_STATUS.DELIVERY_FAILED]: [PAYMENT_STATUS.DELIVERY_FAILED, PAYMENT_STATUS.DELIVERED]
+};
+
+/**
+ * GameOrderService
+ * Responsibility: Delivery of paid game orders through the game providers.
+ * - Order claimed (PAID → PROCESSING) before it is sent, provider order recorded once accepted
+ * - Provider callbacks applied through PROVIDER_TRANSITIONS
+ * - Post-delivery rewards (referral, loyalty points)
+ */
+export class GameOrderService {
+    /**
+     * @param {TransactionRepository} transactionRepository - DB access
+     * @param {GameProviderService} gameProviderService - Game providers (null when not configured)
+     * @param {ReferralService} referralService - Referral rewards on delivered orders
+     * @param {LoyaltyService} loyaltyService - Loyalty points earned on delivery
+     */
+    constructor(transactionRepository, gameProviderService = null, referralService = null, loyaltyService = null) {
+        this.trxRepo = transactionRepository;
+        this.gameProviderService = gameProviderService;
+        this.referral = referralService;
+        this.loyalty = loyaltyService;
+    }
+
+    /**
+     * Orchestrate game delivery
+     * Throws on failure so the fulfillment queue can retry; errors flagged
+     * `permanent` are dead-lettered immediately.
+     * The order is claimed (PAID → PROCESSING) before it is sent. If the provider
+     * gives no answer, or the worker dies mid-send, it stays PROCESSING without a
+     * provider order: never sent again, reported by the reconciler for a manual check.
+     * @param {Object} trx - ORDER transaction
+     */
+    async fulfill(trx) {
+        if (!this.gameProviderService) {
+            const error = new Error('GameProviderService not injected');
+            error.permanent = true;
+            throw error;
+        }
+
+        if (!trx.gameCode || !trx.serviceCode || !trx.playerId) {
+            const error = new Error(`Missing delivery data for ${trx.merchantRef}`);
+            error.permanent = true;
+            throw error;
+        }
+
+        if (!await this._claimForSending(trx)) return;
+
+        const orderData = {
+            serviceId: trx.serviceCode,
+            playerId: trx.playerId,
+            zoneId: trx.zoneId,
+            merchantRef: trx.merchantRef
+        };
+
+        logger.info(`[GameOrderService] Sending order to provider: ${trx.merchantRef} (${trx.item})`);
+        const result = await this.gameProviderService.createOrder(orderData);
+
+        if (!result.success) return await this._orderNotPlaced(trx, result);
+
+        logger.info(`[GameOrderService] Provider ${result.provider} accepted order: ${trx.merchantRef}. OrderID: ${result.orderId}`);
+        await this._markSubmitted(trx, result);
+    }
+
+    /**
+     * Handle incoming callback from game provider
+     * Logic: Map provider status, persist SN, and determine if notification is needed.
+     * Only transitions in PROVIDER_TRANSITIONS are applied, as a conditional update on the
+     * status read and the provider order ID (a re-fulfilled order has moved to a new one).
+     * @param {String} providerOrderId - Provider order ID (stored in providerOrderId after fulfillment)
+     * @param {String} providerStatus - Raw provider status
+     * @param {String} serialNumber - SN / voucher code from provider
+     * @returns {Object} { statusChanged: boolean, trx: object, oldStatus: string, newStatus: string }
+     */
+    async handleProviderCallback(providerOrderId, providerStatus, serialNumber = null) {
+        const trx = await this.trxRepo.findByProviderOrderId(String(providerOrderId))
+            || await this._adoptLegacyProviderOrder(String(providerOrderId));
+        if (!trx) return { statusChanged: false, trx: null, oldStatus: null, newStatus: null };
+
+        const oldStatus = trx.status;
+        const unchanged = { statusChanged: false, trx, oldStatus, newStatus: oldStatus };
+
+        const newStatus = this.gameProviderService
+            ? this.gameProviderService.mapOrderStatus(providerStatus)
+            : PAYMENT_STATUS.PROCESSING;
+
+        if (!this._allowsProviderTransition(trx, newStatus, providerStatus)) return unchanged;
+
+        const updates = { status: newStatus };
+        if (serialNumber) updates.serialNumber = String(serialNumber);
+        if (newStatus === PAYMENT_STATUS.DELIVERED) updates.deliveredAt = new Date();
+
+        const applied = await this.trxRepo.updateIfStatus(trx.merchantRef, oldStatus, updates, { providerOrderId: trx.providerOrderId });
+        if (!applied) {
+            logger.warn(`[GameOrderService] Provider status '${providerStatus}' for ${trx.merchantRef} lost a race, ignored`);
+            return { ...unchanged, trx: await this.trxRepo.findByRef(trx.merchantRef) };
+        }
+
+        const updatedTrx = await this.trxRepo.findByRef(trx.merchantRef);
+        if (newStatus === PAYMENT_STATUS.DELIVERED) await this.afterDelivered(updatedTrx);
+
+        return {
+            statusChanged: oldStatus !== newStatus,
+            trx: updatedTrx,
+            oldStatus,
+            newStatus
+        };
+    }
+
+    /**
+     * Apply the provider's current status to an in-flight order (as its callback would)
+     * @param {Object} trx - PROCESSING transaction
+     * @returns {Promise<Object>} Transaction, unchanged when the provider gives no answer
+     */
+    async resolveWithProvider(trx) {
+        if (!this.gameProviderService || !trx.providerOrderId) return trx;
+
+        const providerResult = await this.gameProviderService.checkOrderStatus(trx.providerOrderId, trx.provider);
+        if (!providerResult.success) return trx;
+
+        const result = await this.handleProviderCallback(trx.providerOrderId, providerResult.status, providerResult.serial);
+        return result.trx || trx;
+    }
+
+    /**
+     * Post-delivery step for orders (referral reward, loyalty points); never fails the delivery
+     * @param {Object} trx - DELIVERED transaction
+     */
+    async afterDelivered(trx) {
+        if (this.referral) {
+            try {
+                await this.referral.rewardFirstDelivery(trx);
+            } catch (error) {
+                logger.error(`[GameOrderService] Referral reward failed for ${trx.merchantRef}: ${error.message}`);
+            }
+        }
+        if (this.loyalty) {
+            try {
+                await this.loyalty.earn(trx);
+            } catch (error) {
+                logger.error(`[GameOrderService] Loyalty points failed for ${trx.merchantRef}: ${error.message}`);
+            }
+        }
+    }
+
+    /**
+     * PAID → PROCESSING before the order goes to the provider
+     * Refused when it was already sent (e.g. worker restarted after provider accepted),
+     * or resolved by admin (refund/forced status) while the job was waiting.
+     * @private
+     * @returns {Promise<Boolean>}
+     */
+    async _claimForSending(trx) {
+        const claimed = trx.status === PAYMENT_STATUS.PAID
+            && await this.trxRepo.updateIfStatus(trx.merchantRef, PAYMENT_STATUS.PAID, { status: PAYMENT_STATUS.PROCESSING, providerOrderId: null });
+        if (!claimed) logger.info(`[GameOrderService] Order sending skipped: ${trx.merchantRef} is ${trx.status}`);
+        return claimed;
+    }
+
+    /**
+     * Provider did not take the order
+     * Rejected: back to PAID and thrown, so the queue retries. No answer: left
+     * PROCESSING without a provider order (it may have been placed), not retried.
+     * @private
+     */
+    async _orderNotPlaced(trx, result) {
+        if (result.outcomeUnknown) {
+            logger.error(`[GameOrderService] No answer from ${result.provider} for ${trx.merchantRef}; left PROCESSING for a manual check - ${result.error}`);
+            await this.trxRepo.updateIfStatus(trx.merchantRef, PAYMENT_STATUS.PROCESSING, { provider: result.provider }, { providerOrderId: null });
+            return;
+        }
+
+        logger.error(`[GameOrderService] Provider rejected order: ${trx.merchantRef} - ${result.message}`);
+        await this.trxRepo.updateIfStatus(trx.merchantRef, PAYMENT_STATUS.PROCESSING, { status: PAYMENT_STATUS.PAID }, { providerOrderId: null });
+        throw new Error(result.error || result.message || 'Provider rejected order');
+    }
+
+    /**
+     * Record the provider order once the provider accepted it (never over an admin refund/forced status)
+     * @private
+     */
+    async _markSubmitted(trx, result) {
+        const updates = { provider: result.provider || null };
+        if (result.orderId) updates.providerOrderId = String(result.orderId);
+        if (!await this.trxRepo.updateIfStatus(trx.merchantRef, PAYMENT_STATUS.PROCESSING, updates, { providerOrderId: null })) {
+            logger.error(`[GameOrderService] ${trx.merchantRef} changed status while being sent; provider order ${result.orderId || '-'} needs a manual check`);
+        }
+    }
+
+    /**
+     * Whether a provider callback may move the transaction to `newStatus`
+     * DELIVERED is final and duplicates are common: only the other refusals are logged.
+     * @private
+     */
+    _allowsProviderTransition(trx, newStatus, providerStatus) {
+        if (PROVIDER_TRANSITIONS[trx.status]?.includes(newStatus)) return true;
+        if (trx.status !== PAYMENT_STATUS.DELIVERED) {
+            logger.warn(`[GameOrderService] Provider status '${providerStatus}' ignored for ${trx.merchantRef} (${trx.status})`);
+        }
+        return false;
+    }
+
+    /**
+     * Move a provider order ID out of trxId for a pre-routing order the backfill left ambiguous
+     * @private
+     */
+    async _adoptLegacyProviderOrder(providerOrderId) {
+        const trx = await this.trxRepo.findLegacyProviderOrder(providerOrderId);
+        if (!trx) return null;
+
+        logger.warn(`[GameOrderService] Provider order ${providerOrderId} matched legacy trxId of ${trx.merchantRef}, moving it`);
+        return await this.trxRepo.update(trx.merchantRef, { providerOrderId, trxId: null });
+    }
+}
@@ -0,0 +1,68 @@
+/**
+ * GameProviderRegistry - Named game provider adapters
+ *
+ * Holds every configured GameProviderPort under a stable name (the name stored
+ * in ProviderRoute.provider and Transaction.provider). The default provider
+ * serves catalog sync, nickname checks and services without explicit routes.
+ */
+export class GameProviderRegistry {
+  constructor() {
+    this.providers = new Map();
+    this.defaultName = null;
+  }
+
+  /**
+   * Register a provider adapter
+   * @param {String} name - Provider name (e.g. 'vipreseller')
+   * @param {GameProviderPort} providerPort - Adapter instance
+   * @param {Object} [options]
+   * @param {Boolean} [options.isDefault=false] - Use as default provider (first registered is default otherwise)
+   * @returns {GameProviderRegistry} this (chainable)
+   */
+  register(name, providerPort, { isDefault = false } = {}) {
+    if (!name || !providerPort) {
+      throw new Error('GameProviderRegistry.register() requires a name and a provider adapter');
+    }
+    this.providers.set(name, providerPort);
+    if (isDefault || !this.defaultName) this.defaultName = name;
+    return this;
+  }
+
+  /**
+   * @param {String} name
+   * @returns {Boolean}
+   */
+  has(name) {
+    return this.providers.has(name);
+  }
+
+  /**
+   * Get a provider adapter by name
+   * @param {String} name
+   * @returns {GameProviderPort|null}
+   */
+  get(name) {
+    return this.providers.get(name) || null;
+  }
+
+  /**
+   * @returns {GameProviderPort|null}
+   */
+  getDefault() {
+    return this.defaultName ? this.providers.get(this.defaultName) : null;
+  }
+
+  /**
+   * @returns {String|null}
+   */
+  getDefaultName() {
+    return this.defaultName;
+  }
+
+  /**
+   * @returns {String[]} Registered provider names
+   */
+  names() {
+    return [...this.providers.keys()];
+  }
+}
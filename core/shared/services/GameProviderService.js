@@ -2,29 +2,46 @@
  * GameProviderService - Core business logic for game provider operations
  * 
  * Coordinates game top-up fulfillment without knowing specific provider implementation.
- * Depends on GameProviderPort interface, allowing easy provider switching.
+ * Depends on GameProviderPort adapters held by a GameProviderRegistry; orders are
+ * routed per service code (ProviderRoute) with failover to the next provider.
  * 
  * Dependencies are injected via constructor (Dependency Injection).
  */
 import logger from './Logger.js';
-import { TIMEOUTS } from '../config/constants.js';
+import { TIMEOUTS, PAYMENT_STATUS } from '../config/constants.js';
 
 export class GameProviderService {
   /**
-   * @param {GameProviderPort} gameProviderPort - Game provider adapter
+   * @param {GameProviderRegistry} providerRegistry - Named game provider adapters
+   * @param {ProviderRouteRepositoryPort} [providerRouteRepository=null] - Per-service routing (priority/cost)
    */
-  constructor(gameProviderPort) {
-    this.providerPort = gameProviderPort;
+  constructor(providerRegistry, providerRouteRepository = null) {
+    this.registry = providerRegistry;
+    this.routeRepo = providerRouteRepository;
+    this.providerPort = providerRegistry.getDefault();
+  }
+
+  /**
+   * Name of the default provider (catalog sync, nickname checks, unrouted services)
+   * @returns {String|null}
+   */
+  getDefaultProviderName() {
+    return this.registry.getDefaultName();
   }
 
   /**
    * Helper to wrap promise with timeout
    */
   async _withTimeout(promise, context) {
+    let timer;
     const timeoutPromise = new Promise((_, reject) => {
-      setTimeout(() => reject(new Error(`API Timeout: ${context}`)), TIMEOUTS.API_TIMEOUT_MS);
+      timer = setTimeout(() => reject(new Error(`API Timeout: ${context}`)), TIMEOUTS.API_TIMEOUT_MS);
     });
-    return Promise.race([promise, timeoutPromise]);
+    try {
+      return await Promise.race([promise, timeoutPromise]);
+    } finally {
+      clearTimeout(timer);
+    }
   }
 
   /**
@@ -37,8 +54,47 @@ export class GameProviderService {
     return String(input).replace(/[^a-zA-Z0-9\-_ ]/g, '').trim();
   }
 
+  /**
+   * Providers able to deliver a service code, in failover order
+   * Routes naming an unregistered provider are skipped; without any usable
+   * route the default provider is used with the service code as-is.
+   * @param {String} serviceCode - GameService.code
+   * @returns {Promise<Array>} [{ provider, providerServiceCode, cost }]
+   */
+  async resolveRoutes(serviceCode) {
+    let routes = [];
+    if (this.routeRepo) {
+      try {
+        routes = await this.routeRepo.findActiveByServiceCode(serviceCode);
+      } catch (error) {
+        logger.error(`[GameProviderService] Route lookup failed for ${serviceCode}: ${error.message}`);
+      }
+    }
+
+    const usable = routes
+      .filter(route => {
+        if (this.registry.has(route.provider)) return true;
+        logger.warn(`[GameProviderService] Route ${serviceCode} → ${route.provider} skipped: provider not registered`);
+        return false;
+      })
+      .map(route => ({
+        provider: route.provider,
+        providerServiceCode: route.providerServiceCode || serviceCode,
+        cost: route.cost ?? null
+      }));
+
+    if (usable.length > 0) return usable;
+    return [{ provider: this.registry.getDefaultName(), providerServiceCode: serviceCode, cost: null }];
+  }
+
   /**
    * Create game top-up order
+   * Tries each routed provider in turn; only an explicit rejection moves on to the next one.
+   * An error or timeout leaves the outcome unknown (the provider may have placed the order),
+   * so it stops there with `outcomeUnknown` instead of risking a second delivery.
+   * @param {Object} orderData - { serviceId, playerId, zoneId, merchantRef }
+   * @returns {Promise<Object>} Provider result + { provider, cost },
+   *   or { success: false, error, attempts, outcomeUnknown?, provider? }
    */
   async createOrder(orderData) {
     // Sanitize inputs
@@ -48,23 +104,52 @@ export class GameProviderService {
       zoneId: orderData.zoneId ? this._sanitizeInput(orderData.zoneId) : null
     };
 
-    logger.info('[GameProviderService] Creating order:', cleanData);
+    const routes = await this.resolveRoutes(cleanData.serviceId);
+    const attempts = [];
 
-    try {
-      // Wrap with timeout
-      const result = await this._withTimeout(
-        this.providerPort.orderTopUp(cleanData),
-        `Create Order ${cleanData.gameCode}`
-      );
-      return result;
-    } catch (error) {
-      logger.error('[GameProviderService] Order error:', error);
-      return {
-        success: false,
-        message: 'Failed to create order',
-        error: error.message
-      };
+    for (const route of routes) {
+      logger.info(`[GameProviderService] Creating order via ${route.provider}:`, { ...cleanData, serviceId: route.providerServiceCode });
+
+      try {
+        // Wrap with timeout
+        const result = await this._withTimeout(
+          this.registry.get(route.provider).orderTopUp({ ...cleanData, serviceId: route.providerServiceCode }),
+          `Create Order ${route.provider} ${route.providerServiceCode}`
+        );
+
+        if (result.success) {
+          if (attempts.length > 0) {
+            logger.warn(`[GameProviderService] Order ${cleanData.merchantRef} failed over to ${route.provider} after: ${attempts.map(a => a.provider).join(', ')}`);
+          }
+          return { ...result, provider: route.provider, cost: route.cost };
+        }
+
+        logger.warn(`[GameProviderService] ${route.provider} rejected order ${cleanData.merchantRef}: ${result.message}`);
+        attempts.push({ provider: route.provider, error: result.error || result.message || 'Rejected' });
+      } catch (error) {
+        logger.error(`[GameProviderService] ${route.provider} gave no answer for order ${cleanData.merchantRef}, outcome unknown: ${error.message}`);
+        attempts.push({ provider: route.provider, error: error.message });
+        return { ...this._failedOrder(attempts), outcomeUnknown: true, provider: route.provider };
+      }
     }
+
+    return this._failedOrder(attempts);
+  }
+
+  /**
+   * Failure result of createOrder
+   * @private
+   */
+  _failedOrder(attempts) {
+    const last = attempts[attempts.length - 1];
+    return {
+      success: false,
+      message: 'Failed to create order',
+      error: attempts.length > 1
+        ? attempts.map(a => `${a.provider}: ${a.error}`).join(' | ')
+        : last?.error,
+      attempts
+    };
   }
 
   /**
@@ -87,26 +172,52 @@ export class GameProviderService {
   }
 
   /**
-   * Check order status
+   * Check order status at the provider that accepted the order
+   * @param {String} orderId - Provider order ID
+   * @param {String} [providerName] - Transaction.provider (default provider if empty)
    */
-  async checkOrderStatus(orderId) {
-    logger.info(`[GameProviderService] Checking status for: ${orderId}`);
+  async checkOrderStatus(orderId, providerName = null) {
+    logger.info(`[GameProviderService] Checking status for: ${orderId} (${providerName || this.registry.getDefaultName()})`);
+
+    const providerPort = providerName ? this.registry.get(providerName) : this.providerPort;
+    if (!providerPort) {
+      return {
+        success: false,
+        status: 'unknown',
+        message: `Provider not registered: ${providerName}`
+      };
+    }
 
     try {
       const status = await this._withTimeout(
-        this.providerPort.checkOrderStatus(orderId),
+        providerPort.checkOrderStatus(orderId),
         `Check Status ${orderId}`
       );
       return status;
     } catch (error) {
       logger.error('[GameProviderService] Status check error:', error);
       return {
-        status: 'error',
+        success: false,
+        status: 'unknown',
         message: error.message
       };
     }
   }
 
+  /**
+   * Map provider order status to internal fulfillment status
+   * @param {String} providerStatus - Raw status from provider (waiting, processing, success, error)
+   * @returns {String} PROCESSING | DELIVERED | DELIVERY_FAILED
+   */
+  mapOrderStatus(providerStatus) {
+    const lowStatus = String(providerStatus || '').toLowerCase();
+
+    if (lowStatus === 'success' || lowStatus === 'sukses') return PAYMENT_STATUS.DELIVERED;
+    if (lowStatus === 'error' || lowStatus === 'failed' || lowStatus === 'gagal') return PAYMENT_STATUS.DELIVERY_FAILED;
+
+    return PAYMENT_STATUS.PROCESSING;
+  }
+
   /**
    * Validate player/account (get nickname)
    */
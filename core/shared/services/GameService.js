@@ -1,12 +1,22 @@
 import { normalizeGameName, getGameConfigMap } from '../config/gameNormalization.js';
+import { MEMBERSHIP_TIER } from '../config/constants.js';
 
 /**
  * GameService with Database Integration
  * Handles game queries from database with logic to group and enrich data
+ *
+ * Services are returned with the sell price: `priceBasic` stays the provider cost,
+ * `price` is what the customer pays (PricingService rules, buyer's membership tier),
+ * `memberPrice` the regular price, `savings` the tier discount and `margin` the profit.
+ * During a running flash sale `price` is the sale price and `flashSale` carries the sale
+ * with the price it replaces (`regularPrice`).
  */
 export class GameService {
-  constructor(gameRepository = null) {
+  constructor(gameRepository = null, pricingService = null, membershipService = null, flashSaleService = null) {
     this.gameRepository = gameRepository;
+    this.pricingService = pricingService;
+    this.membershipService = membershipService;
+    this.flashSaleService = flashSaleService;
   }
 
   /**
@@ -60,20 +70,112 @@ export class GameService {
 
   /**
    * Get services for a brand
+   * @param {String} gameCode - Brand code
+   * @param {String} [userId] - Buyer chat ID (tier price list), member prices without it
    */
-  async getGameServices(gameCode) {
+  async getGameServices(gameCode, userId = null) {
     if (!this.gameRepository) {
       return [];
     }
-    return await this.gameRepository.getBrandServices(gameCode);
+    const services = await this.gameRepository.getBrandServices(gameCode);
+    const sales = await this._getRunningSales(services.map(service => service.code));
+    if (!this.pricingService) return services.map(service => this._withPrice(service, null, sales.get(service.code)));
+
+    const tier = await this._getTier(userId);
+    const quotes = await this.pricingService.priceAll(services, gameCode, tier);
+    return services.map((service, i) => this._withPrice(service, quotes[i], sales.get(service.code)));
+  }
+
+  /**
+   * Find specific service by code (with sell price)
+   * @param {String} serviceCode
+   * @param {String} [userId] - Buyer chat ID (tier price), member price without it
+   */
+  async findServiceByCode(serviceCode, userId = null) {
+    if (!this.gameRepository) return null;
+    const service = await this.gameRepository.findServiceByCode(serviceCode);
+    if (!service) return null;
+
+    const quote = this.pricingService
+      ? await this.pricingService.price(service, null, await this._getTier(userId))
+      : null;
+    const sales = await this._getRunningSales([service.code]);
+    return this._withPrice(service, quote, sales.get(service.code));
+  }
+
+  /**
+   * Attach sell price, savings and margin (no pricing engine: sold at cost)
+   * A flash sale only applies when it is cheaper than the buyer's own price.
+   * @private
+   */
+  _withPrice(service, quote, sale = null) {
+    const cost = BigInt(service.priceBasic || 0);
+    const regularPrice = quote ? quote.price : cost;
+    const memberPrice = quote ? quote.memberPrice : cost;
+
+    const flashSale = sale && BigInt(sale.price) < regularPrice
+      ? { id: sale.id, price: BigInt(sale.price), regularPrice, endsAt: sale.endsAt, remaining: sale.remaining }
+      : null;
+    const price = flashSale ? flashSale.price : regularPrice;
+
+    return {
+      ...service,
+      price,
+      memberPrice,
+      savings: memberPrice - regularPrice,
+      margin: price - cost,
+      tier: quote?.tier || MEMBERSHIP_TIER.MEMBER,
+      flashSale
+    };
+  }
+
+  /**
+   * Running flash sales by service code (empty without the flash sale module)
+   * @private
+   */
+  async _getRunningSales(serviceCodes) {
+    if (!this.flashSaleService) return new Map();
+    return await this.flashSaleService.getRunning(serviceCodes);
+  }
+
+  /**
+   * @private
+   */
+  async _getTier(userId) {
+    if (!userId || !this.membershipService) return MEMBERSHIP_TIER.MEMBER;
+    return await this.membershipService.getTier(userId);
+  }
+
+  /**
+   * Remember a player ID for the user (after nickname validation)
+   */
+  async saveGameAccount(accountData) {
+    if (!this.gameRepository) return null;
+    return await this.gameRepository.saveGameAccount(accountData);
+  }
+
+  /**
+   * Saved player IDs of a user, optionally for one game
+   */
+  async getSavedAccounts(userId, gameCode = null, limit = undefined) {
+    if (!this.gameRepository) return [];
+    return await this.gameRepository.getUserGameAccounts(userId, gameCode, limit);
   }
 
   /**
-   * Find specific service by code
+   * Find a saved player ID owned by the user
    */
-  async findServiceByCode(serviceCode) {
+  async findSavedAccount(userId, accountId) {
     if (!this.gameRepository) return null;
-    return await this.gameRepository.findServiceByCode(serviceCode);
+    return await this.gameRepository.findGameAccount(userId, accountId);
+  }
+
+  /**
+   * Delete a saved player ID owned by the user
+   */
+  async deleteSavedAccount(userId, accountId) {
+    if (!this.gameRepository) return false;
+    return await this.gameRepository.deleteGameAccount(userId, accountId);
   }
 
   /**
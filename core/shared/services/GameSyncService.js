@@ -58,7 +58,7 @@ export class GameSyncService {
         name: rule.name,
         brand: rule.brand,
         category: rule.category,
-        provider: 'vipreseller',
+        provider: this.provider.getDefaultProviderName(),
         isActive: true
       };
 
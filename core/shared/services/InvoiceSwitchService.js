@@ -0,0 +1,240 @@
+import logger from './Logger.js';
+import { PAYMENT_STATUS, WALLET, MANUAL_TRANSFER } from '../config/constants.js';
+import { MERCHANT_REF_PREFIX, generateMerchantRef, invoiceRecord, orderDataFromTransaction } from '../utils/transactionRecords.js';
+
+/**
+ * InvoiceSwitchService
+ * Responsibility: Payment channel changes after checkout.
+ * - Replacement invoice on another channel, the old one closed and linked to it
+ * - Chain of switched invoices: exactly one payment kept per order
+ * - Later payments of the same order refunded to the wallet (admin alerted)
+ */
+export class InvoiceSwitchService {
+    /**
+     * @param {TransactionRepository} transactionRepository - DB access
+     * @param {WalletService} walletService - User balance, for refunds of duplicate payments (null when not configured)
+     * @param {PaymentService} payments - Channel quotes, fees and gateway invoices
+     */
+    constructor(transactionRepository, walletService, payments) {
+        this.trxRepo = transactionRepository;
+        this.wallet = walletService;
+        this.payments = payments;
+
+        // Notifier for an order paid twice through switched invoices
+        this._duplicatePaymentHandler = null;
+    }
+
+    /**
+     * Channels an unpaid invoice can be switched to (payment method changed after checkout)
+     * @param {String} merchantRef - Invoice to replace
+     * @param {String} userId - Chat ID (only the owner may switch)
+     * @returns {Promise<Object>} { success, trx, channels } (eligible gateway channels, cheapest first) or { success: false, error, trx }
+     */
+    async getOptions(merchantRef, userId) {
+        const { trx, error } = await this._findSwitchable(merchantRef, userId);
+        if (error) return { success: false, error, trx };
+
+        const channels = (await this.payments.quoteChannels(trx.basePrice, trx.discountAmount || 0, trx.pointsDiscount || 0))
+            .filter(channel => channel.eligible && channel.kode !== trx.channel);
+        return { success: true, trx, channels };
+    }
+
+    /**
+     * Replace an unpaid invoice by one on another channel: same order, fee of the new channel.
+     * The gateway has no cancel call, so the old invoice is closed as EXPIRED locally and
+     * linked to its replacement; the order's points, flash sale unit and promo redemption move along.
+     * The reconciler keeps checking the old invoice until its gateway expiry; if both end up
+     * paid, the second payment is refunded to the wallet (see _settleDuplicatePayment).
+     * @param {String} merchantRef - Invoice to replace
+     * @param {String} userId - Chat ID (only the owner may switch)
+     * @param {String} channelCode - New payment channel
+     * @returns {Promise<Object>} createInvoice result (+ orderData for display, replacedRef) or { success: false, error, trx }
+     */
+    async switchChannel(merchantRef, userId, channelCode) {
+        const options = await this.getOptions(merchantRef, userId);
+        if (!options.success) return options;
+
+        const { trx } = options;
+        const channel = options.channels.find(c => c.kode === channelCode);
+        if (!channel) return { success: false, error: 'CHANNEL_UNAVAILABLE', trx };
+
+        const calculation = await this.payments.calculateFinalAmount(trx.basePrice, channelCode, trx.discountAmount || 0, trx.pointsDiscount || 0);
+        const orderData = {
+            ...orderDataFromTransaction(trx),
+            channelCode,
+            channelName: calculation.channelInfo.name,
+            feeAmount: calculation.feeAmount,
+            feeType: calculation.feeType,
+            amount: calculation.finalAmount,
+            replacesRef: trx.merchantRef
+        };
+        const newRef = generateMerchantRef(trx.userId, MERCHANT_REF_PREFIX[trx.type] || MERCHANT_REF_PREFIX.ORDER);
+
+        try {
+            const { gateway, result } = await this.payments.requestGatewayInvoice(
+                orderData, newRef, `Switch Invoice ${trx.merchantRef} → ${newRef}`
+            );
+            if (!result.success) return { success: false, error: 'GATEWAY_FAILED', trx };
+
+            await this.trxRepo.save(invoiceRecord(orderData, newRef, gateway, result));
+
+            // Paid or replaced meanwhile: the new invoice never holds anything
+            if (!await this.trxRepo.supersede(trx.merchantRef, newRef)) {
+                await this._abandonReplacement(newRef, orderData);
+                return { success: false, error: 'INVALID_STATUS', trx };
+            }
+
+            logger.info(`[InvoiceSwitchService] Invoice ${trx.merchantRef} (${trx.channel}) replaced by ${newRef} (${channelCode})`);
+            return {
+                ...result,
+                merchantRef: newRef,
+                status: PAYMENT_STATUS.UNPAID,
+                replacedRef: trx.merchantRef,
+                orderData: { ...orderData, merchantRef: newRef, createdAt: new Date() }
+            };
+        } catch (error) {
+            logger.error(`[InvoiceSwitchService] Switch of ${trx.merchantRef} to ${channelCode} failed: ${error.message}`);
+            return { success: false, error: 'GATEWAY_FAILED', trx };
+        }
+    }
+
+    /**
+     * Whether an unpaid invoice offers "change method": gateway invoices only
+     * (balance payments settle at once, manual transfers go through an admin)
+     * @param {Object} trx - { channel, basePrice, proofFileId }
+     * @returns {Boolean}
+     */
+    isSwitchable(trx) {
+        if (!trx || [WALLET.CHANNEL_CODE, MANUAL_TRANSFER.CHANNEL_CODE].includes(trx.channel)) return false;
+        return trx.basePrice !== undefined && trx.basePrice !== null && !trx.proofFileId;
+    }
+
+    /**
+     * Paid invoice of a switch chain: settle it as a duplicate if the order was already paid,
+     * otherwise close its unpaid replacement (which must not be paid a second time)
+     * @param {Object} result - Post-payment result ({ trx, oldStatus, newStatus, statusChanged })
+     * @returns {Promise<Object|null>} Duplicate payment result, or null to continue as a normal payment
+     */
+    async checkChain(result) {
+        const { trx } = result;
+        if (!trx.replacedBy && !trx.replacesRef) return null;
+
+        const keptRef = await this._claimChain(trx);
+        if (keptRef !== trx.merchantRef) {
+            return await this._settleDuplicatePayment(result, await this.trxRepo.findByRef(keptRef));
+        }
+
+        if (trx.replacedBy) await this._retireReplacement(trx);
+        return null;
+    }
+
+    /**
+     * Register the notifier for an order paid twice through switched invoices
+     * @param {Function} handler - async ({ trx, paidTwin, refunded, balance }) => void
+     */
+    setDuplicatePaymentHandler(handler) {
+        this._duplicatePaymentHandler = handler;
+    }
+
+    /**
+     * Invoice that may still change its payment channel
+     * @private
+     * @returns {Promise<Object>} { trx, error } (error null when switchable)
+     */
+    async _findSwitchable(merchantRef, userId) {
+        const trx = await this.trxRepo.findByRef(merchantRef);
+        if (!trx || String(trx.userId) !== String(userId)) return { trx: null, error: 'NOT_FOUND' };
+        if (trx.replacedBy) return { trx, error: 'REPLACED' };
+        if (trx.status !== PAYMENT_STATUS.UNPAID) return { trx, error: 'INVALID_STATUS' };
+        if (trx.expiryDate && new Date(trx.expiryDate) <= new Date()) return { trx, error: 'EXPIRED' };
+        if (!this.isSwitchable(trx)) return { trx, error: 'NOT_SWITCHABLE' };
+        return { trx, error: null };
+    }
+
+    /**
+     * Close a replacement invoice that lost the race: it never held the order's reservations
+     * @private
+     */
+    async _abandonReplacement(newRef, orderData) {
+        const now = new Date();
+        await this.trxRepo.update(newRef, {
+            status: PAYMENT_STATUS.FAILED,
+            flashSaleReleasedAt: orderData.flashSaleId ? now : null,
+            promoReleasedAt: orderData.promoCode ? now : null
+        });
+    }
+
+    /**
+     * Close the unpaid replacement(s) of an invoice paid late, following the chain of switches
+     * @private
+     */
+    async _retireReplacement(trx) {
+        let replacementRef = trx.replacedBy;
+        while (replacementRef) {
+            try {
+                if (await this.trxRepo.retireReplacement(trx.merchantRef, replacementRef)) {
+                    logger.info(`[InvoiceSwitchService] ${trx.merchantRef} paid after being replaced: replacement ${replacementRef} closed`);
+                    return;
+                }
+                const replacement = await this.trxRepo.findByRef(replacementRef);
+                replacementRef = replacement?.replacedBy || null;
+            } catch (error) {
+                logger.error(`[InvoiceSwitchService] Closing replacement ${replacementRef} of ${trx.merchantRef} failed: ${error.message}`);
+                return;
+            }
+        }
+    }
+
+    /**
+     * Keep this payment for the order unless another invoice of the chain got there first.
+     * A compare-and-set on the chain's first invoice, so two invoices paid at the same
+     * moment cannot both see the other one paid (and both be refunded).
+     * @private
+     * @returns {Promise<String>} merchantRef of the invoice whose payment the order keeps
+     */
+    async _claimChain(trx) {
+        let head = trx;
+        const seen = new Set([trx.merchantRef]);
+        while (head.replacesRef && !seen.has(head.replacesRef)) {
+            seen.add(head.replacesRef);
+            const previous = await this.trxRepo.findByRef(head.replacesRef);
+            if (!previous) break;
+            head = previous;
+        }
+
+        if (await this.trxRepo.claimSwitchChain(head.merchantRef, trx.merchantRef)) return trx.merchantRef;
+        return (await this.trxRepo.findByRef(head.merchantRef)).chainPaidBy;
+    }
+
+    /**
+     * Order paid a second time through a switched invoice: never fulfill it twice.
+     * The payment is credited to the wallet (REFUNDED); without a wallet it stays PAID,
+     * unfulfilled, for a manual refund. The admin is alerted either way.
+     * Returned as unchanged so callers skip their usual "paid" notices; the handler tells the user.
+     * @private
+     */
+    async _settleDuplicatePayment(result, paidTwin) {
+        const { trx } = result;
+        logger.warn(`[InvoiceSwitchService] ${trx.merchantRef} paid although ${paidTwin.merchantRef} (same order) is already paid`);
+
+        let credited = null;
+        if (this.wallet) {
+            try {
+                credited = await this.wallet.refundDuplicatePayment(trx);
+            } catch (error) {
+                logger.error(`[InvoiceSwitchService] Refund of duplicate payment ${trx.merchantRef} failed: ${error.message}`);
+            }
+        }
+
+        const settledTrx = credited ? { ...trx, status: PAYMENT_STATUS.REFUNDED } : trx;
+        if (this._duplicatePaymentHandler) {
+            try {
+                await this._duplicatePaymentHandler({ trx: settledTrx, paidTwin, refunded: !!credited, balance: credited?.balance ?? null });
+            } catch (error) {
+                logger.error(`[InvoiceSwitchService] Duplicate payment notifier failed for ${trx.merchantRef}: ${error.message}`);
+            }
+        }
+
+        return { ...result, statusChanged: false, trx: settledTrx, newStatus: settledTrx.status, duplicateOf: paidTwin.merchantRef };
+    }
+}
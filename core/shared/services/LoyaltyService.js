@@ -0,0 +1,263 @@
+import logger from './Logger.js';
+import { LOYALTY, POINT_ENTRY_TYPE, TRANSACTION_TYPE } from '../config/constants.js';
+
+/**
+ * LoyaltyService
+ * Responsibility: Loyalty points earned on delivered orders and spent at checkout.
+ * - Earn on DELIVERED orders: points per Rp 1.000 paid (after promo and points),
+ *   at the brand rate (LoyaltyRate) or the default rate
+ * - Redeem as a discount on the order review (1 point = pointValue rupiah),
+ *   capped at maxRedeemPercent of the price after promo
+ * - Points expire expiryDays after they were credited (oldest-expiry lots are spent first)
+ * - Points of orders that end EXPIRED/FAILED/REFUNDED are given back by the sweep
+ * - Admin adjustments and per-brand earn rates
+ *
+ * Every earn/redeem/restore is unique per transaction (PointEntry merchantRef + type),
+ * so retries and concurrent callbacks never count twice.
+ */
+export class LoyaltyService {
+    /**
+     * @param {PointLedgerRepositoryPort} pointLedgerRepository - Points lots and entries
+     * @param {LoyaltyRateRepositoryPort} loyaltyRateRepository - Per-brand earn rates
+     * @param {TransactionRepositoryPort} transactionRepository - Cancelled orders holding points (sweep)
+     * @param {Object} config - { enabled, earnRate, pointValue, expiryDays, maxRedeemPercent, minRedeem }
+     */
+    constructor(pointLedgerRepository, loyaltyRateRepository, transactionRepository, config = {}) {
+        this.ledgerRepo = pointLedgerRepository;
+        this.rateRepo = loyaltyRateRepository;
+        this.trxRepo = transactionRepository;
+
+        this.enabled = Boolean(config.enabled);
+        this.earnRate = Number(config.earnRate || 0);
+        this.pointValue = BigInt(config.pointValue || 0);
+        this.expiryDays = config.expiryDays || 0;
+        this.maxRedeemPercent = config.maxRedeemPercent ?? 100;
+        this.minRedeem = config.minRedeem || 0;
+    }
+
+    /**
+     * Program is on when enabled and a point is worth something
+     * @returns {Boolean}
+     */
+    isEnabled() {
+        return this.enabled && this.pointValue > 0n;
+    }
+
+    /**
+     * Spendable points of a user
+     * @param {String} userId - Chat ID
+     * @returns {Promise<Number>}
+     */
+    async getBalance(userId) {
+        return await this.ledgerRepo.getBalance(String(userId), new Date());
+    }
+
+    /**
+     * Balance, its rupiah value, points expiring soon and recent entries
+     * @param {String} userId - Chat ID
+     * @returns {Promise<Object>} { balance, value, expiringPoints, expiringAt, history, pointValue, minRedeem }
+     */
+    async getSummary(userId) {
+        const now = new Date();
+        const lots = await this.ledgerRepo.findLots(String(userId), now);
+        const soon = now.getTime() + LOYALTY.EXPIRING_SOON_DAYS * 24 * 60 * 60 * 1000;
+        const expiring = lots.filter(lot => lot.expiresAt && new Date(lot.expiresAt).getTime() <= soon);
+        const balance = lots.reduce((sum, lot) => sum + lot.remaining, 0);
+
+        return {
+            balance,
+            value: BigInt(balance) * this.pointValue,
+            expiringPoints: expiring.reduce((sum, lot) => sum + lot.remaining, 0),
+            expiringAt: expiring[0]?.expiresAt || null,
+            history: await this.ledgerRepo.findEntries(String(userId), LOYALTY.HISTORY_LIMIT),
+            pointValue: this.pointValue,
+            minRedeem: this.minRedeem
+        };
+    }
+
+    /**
+     * Points a user can spend on an order and their discount
+     * @param {String} userId - Chat ID
+     * @param {BigInt|Number} payable - Sell price after promo (before the channel fee)
+     * @returns {Promise<Object|null>} { balance, points, discount, pointValue } or null if nothing can be redeemed
+     */
+    async quote(userId, payable) {
+        if (!this.isEnabled()) return null;
+
+        const amount = BigInt(payable || 0);
+        const maxPoints = Number(amount * BigInt(this.maxRedeemPercent) / 100n / this.pointValue);
+        if (maxPoints <= 0) return null;
+
+        const balance = await this.getBalance(userId);
+        if (balance <= 0 || balance < this.minRedeem) return null;
+
+        const points = Math.min(balance, maxPoints);
+        return { balance, points, discount: BigInt(points) * this.pointValue, pointValue: this.pointValue };
+    }
+
+    /**
+     * Spend points on an order (once per merchantRef)
+     * @param {String} userId - Chat ID
+     * @param {Number} points
+     * @param {String} merchantRef - Order paying with the points
+     * @returns {Promise<Object|null>} REDEEM entry or null if the balance does not cover it
+     */
+    async redeem(userId, points, merchantRef) {
+        const entry = await this.ledgerRepo.debit({
+            userId: String(userId),
+            type: POINT_ENTRY_TYPE.REDEEM,
+            points,
+            merchantRef
+        }, new Date());
+
+        if (entry) logger.info(`[LoyaltyService] ${points} points redeemed on ${merchantRef} (user ${userId})`);
+        return entry;
+    }
+
+    /**
+     * Give the points of an order back as a new lot (once per merchantRef)
+     * @param {Object} trx - { merchantRef, status }
+     * @returns {Promise<Object|null>} RESTORE entry or null if nothing was redeemed / already restored
+     */
+    async restore(trx) {
+        const redeemed = await this.ledgerRepo.findByMerchantRef(trx.merchantRef, POINT_ENTRY_TYPE.REDEEM);
+        if (!redeemed) return null;
+
+        const entry = await this.ledgerRepo.credit({
+            userId: redeemed.userId,
+            type: POINT_ENTRY_TYPE.RESTORE,
+            points: -redeemed.points,
+            expiresAt: this._expiryDate(),
+            merchantRef: trx.merchantRef,
+            note: trx.status || null
+        });
+
+        if (entry) logger.info(`[LoyaltyService] ${entry.points} points of ${trx.merchantRef} restored (user ${entry.userId})`);
+        return entry;
+    }
+
+    /**
+     * Credit the points of a delivered order (once per merchantRef)
+     * @param {Object} trx - Delivered ORDER transaction
+     * @returns {Promise<Object|null>} EARN entry or null if nothing was earned
+     */
+    async earn(trx) {
+        if (!this.isEnabled() || !trx) return null;
+        if (trx.type && trx.type !== TRANSACTION_TYPE.ORDER) return null;
+
+        const paid = BigInt(trx.basePrice ?? trx.amount ?? 0)
+            - BigInt(trx.discountAmount || 0)
+            - BigInt(trx.pointsDiscount || 0);
+        const rate = await this.resolveRate(trx.gameCode);
+        const points = Math.floor(Number(paid) * rate / LOYALTY.RATE_UNIT);
+        if (points <= 0) return null;
+
+        const entry = await this.ledgerRepo.credit({
+            userId: trx.userId,
+            type: POINT_ENTRY_TYPE.EARN,
+            points,
+            expiresAt: this._expiryDate(),
+            merchantRef: trx.merchantRef,
+            note: trx.item || null
+        });
+
+        if (entry) logger.info(`[LoyaltyService] ${points} points earned on ${trx.merchantRef} (user ${trx.userId})`);
+        return entry;
+    }
+
+    /**
+     * Manual correction by an admin: positive adds a lot, negative spends points
+     * @param {String} userId - Chat ID
+     * @param {Number} points - Signed, non-zero
+     * @param {Object} meta - { note, createdBy }
+     * @returns {Promise<Object|null>} { entry, balance } or null if a deduction exceeds the balance
+     */
+    async adjust(userId, points, { note = null, createdBy = null } = {}) {
+        const entry = points > 0
+            ? await this.ledgerRepo.credit({ userId: String(userId), type: POINT_ENTRY_TYPE.ADJUST, points, expiresAt: this._expiryDate(), note, createdBy })
+            : await this.ledgerRepo.debit({ userId: String(userId), type: POINT_ENTRY_TYPE.ADJUST, points: -points, note, createdBy }, new Date());
+        if (!entry) return null;
+
+        logger.info(`[LoyaltyService] Points of ${userId} adjusted by ${points} (admin ${createdBy})`);
+        return { entry, balance: await this.getBalance(userId) };
+    }
+
+    /**
+     * Expire due lots and give back the points of cancelled orders (background task)
+     * @returns {Promise<Object>} { expired, restored } (expired = [{ userId, points }])
+     */
+    async sweep() {
+        const expired = await this.ledgerRepo.expireLots(new Date(), LOYALTY.SWEEP_BATCH);
+
+        const since = new Date(Date.now() - LOYALTY.RESTORE_LOOKBACK_MS);
+        const cancelled = await this.trxRepo.findPointRedemptions(LOYALTY.RESTORE_STATUSES, since);
+
+        let restored = 0;
+        for (const trx of cancelled) {
+            try {
+                if (await this.restore(trx)) restored++;
+            } catch (error) {
+                logger.error(`[LoyaltyService] Restore of ${trx.merchantRef} failed: ${error.message}`);
+            }
+        }
+        return { expired, restored };
+    }
+
+    /**
+     * Earn rate of a brand (points per Rp 1.000), falling back to the default rate
+     * @param {String} brand - Brand/game code
+     * @returns {Promise<Number>}
+     */
+    async resolveRate(brand) {
+        if (brand) {
+            const rate = await this.rateRepo.findByBrand(this.normalizeBrand(brand));
+            if (rate) return rate.earnRate;
+        }
+        return this.earnRate;
+    }
+
+    /**
+     * Brand rates, for the admin listing
+     * @returns {Promise<Array>}
+     */
+    async listRates() {
+        return await this.rateRepo.findAll();
+    }
+
+    /**
+     * Create or replace the earn rate of a brand
+     * @param {String} brand
+     * @param {Number} earnRate - Points per Rp 1.000 (0 = brand earns nothing)
+     * @param {String} updatedBy - Admin telegram ID
+     */
+    async setRate(brand, earnRate, updatedBy = null) {
+        const saved = await this.rateRepo.upsert({ brand: this.normalizeBrand(brand), earnRate, updatedBy });
+        logger.info(`[LoyaltyService] Earn rate of ${saved.brand} set to ${saved.earnRate}`);
+        return saved;
+    }
+
+    /**
+     * Delete the earn rate of a brand
+     * @returns {Promise<Boolean>} false if no such rate
+     */
+    async deleteRate(brand) {
+        return await this.rateRepo.delete(this.normalizeBrand(brand));
+    }
+
+    /**
+     * Brands are matched case-insensitively
+     * @param {String} brand
+     * @returns {String}
+     */
+    normalizeBrand(brand) {
+        return String(brand || '').trim().toUpperCase();
+    }
+
+    /**
+     * Expiry of a lot credited now (null = never)
+     * @private
+     */
+    _expiryDate() {
+        return this.expiryDays > 0 ? new Date(Date.now() + this.expiryDays * 24 * 60 * 60 * 1000) : null;
+    }
+}
@@ -0,0 +1,139 @@
+import logger from './Logger.js';
+import { PAYMENT_STATUS, MANUAL_TRANSFER } from '../config/constants.js';
+import { generateMerchantRef, buildTransactionRecord } from '../utils/transactionRecords.js';
+
+/**
+ * ManualTransferService
+ * Responsibility: Orders paid by bank transfer outside the gateways.
+ * - UNPAID transaction with the checkout reservations taken
+ * - Transfer receipt uploaded by the user
+ * - Admin approval (UNPAID → PAID, then the usual post-payment flow) or rejection (→ FAILED)
+ */
+export class ManualTransferService {
+    /**
+     * @param {TransactionRepository} transactionRepository - DB access
+     * @param {CheckoutReservationService} reservations - Flash sale unit, promo and points taken at checkout
+     * @param {Function} afterPaid - Post-payment step of PaymentService (result) => result
+     */
+    constructor(transactionRepository, reservations, afterPaid) {
+        this.trxRepo = transactionRepository;
+        this.reservations = reservations;
+        this.afterPaid = afterPaid;
+    }
+
+    /**
+     * Create an UNPAID manual bank transfer (no gateway): settled by an admin after the receipt is checked
+     * @param {Object} orderData - Same shape as createInvoice
+     * @returns {Promise<Object>} { success, error?, merchantRef, expiryDate }
+     */
+    async create(orderData) {
+        const merchantRef = generateMerchantRef(orderData.userId, 'ORDER');
+        const expiryDate = new Date(Date.now() + MANUAL_TRANSFER.EXPIRY_HOURS * 60 * 60 * 1000);
+
+        const reserveError = await this.reservations.reserve(orderData, merchantRef);
+        if (reserveError) {
+            return { success: false, error: reserveError, merchantRef: null, expiryDate: null };
+        }
+
+        try {
+            await this.trxRepo.save({
+                ...buildTransactionRecord(orderData, merchantRef),
+                channel: MANUAL_TRANSFER.CHANNEL_CODE,
+                status: PAYMENT_STATUS.UNPAID,
+                expiryDate
+            });
+        } catch (error) {
+            logger.error(`[ManualTransferService] Manual transfer save failed: ${error.message}`);
+            await this.reservations.release(orderData, merchantRef);
+            return { success: false, error: 'SAVE_FAILED', merchantRef: null, expiryDate: null };
+        }
+
+        return { success: true, merchantRef, expiryDate, status: PAYMENT_STATUS.UNPAID };
+    }
+
+    /**
+     * Attach a transfer receipt to the user's latest unpaid manual transfer
+     * A new upload replaces the previous receipt while the transfer is still unverified.
+     * @param {String} userId - Chat ID
+     * @param {Object} proof - { fileId, type } (Telegram file_id, MANUAL_TRANSFER.PROOF_TYPE)
+     * @returns {Promise<Object>} { success, error?, trx, replaced }
+     */
+    async attachProof(userId, { fileId, type }) {
+        const trx = await this.trxRepo.findLatestByUser(String(userId), {
+            status: PAYMENT_STATUS.UNPAID,
+            channel: MANUAL_TRANSFER.CHANNEL_CODE
+        });
+        if (!trx) return { success: false, error: 'NOT_FOUND', trx: null };
+        if (!trx.proofFileId && trx.expiryDate && new Date(trx.expiryDate) < new Date()) {
+            return { success: false, error: 'EXPIRED', trx };
+        }
+
+        const updates = { proofFileId: fileId, proofType: type, proofSubmittedAt: new Date() };
+        const applied = await this.trxRepo.updateIfStatus(trx.merchantRef, PAYMENT_STATUS.UNPAID, updates);
+        if (!applied) return { success: false, error: 'CONFLICT', trx };
+
+        logger.info(`[ManualTransferService] Transfer receipt attached to ${trx.merchantRef}`);
+        return { success: true, trx: { ...trx, ...updates }, replaced: !!trx.proofFileId };
+    }
+
+    /**
+     * Approve a manual transfer (admin action): UNPAID → PAID, then the usual post-payment flow
+     * @param {String} merchantRef
+     * @returns {Promise<Object>} { success, error?, trx, oldStatus, newStatus }
+     */
+    async approve(merchantRef) {
+        const found = await this._findPending(merchantRef);
+        if (found.error) return found;
+
+        const updates = { status: PAYMENT_STATUS.PAID, paidAt: new Date() };
+        const applied = await this.trxRepo.updateIfStatus(merchantRef, PAYMENT_STATUS.UNPAID, updates);
+        if (!applied) return { success: false, error: 'CONFLICT', trx: found.trx, oldStatus: found.oldStatus };
+
+        logger.info(`[ManualTransferService] Manual transfer ${merchantRef} approved`);
+        const result = await this.afterPaid({
+            statusChanged: true,
+            trx: { ...found.trx, ...updates },
+            oldStatus: PAYMENT_STATUS.UNPAID,
+            newStatus: PAYMENT_STATUS.PAID
+        });
+        return { success: true, ...result };
+    }
+
+    /**
+     * Reject a manual transfer (admin action): UNPAID → FAILED
+     * @param {String} merchantRef
+     * @returns {Promise<Object>} { success, error?, trx, oldStatus, newStatus }
+     */
+    async reject(merchantRef) {
+        const found = await this._findPending(merchantRef);
+        if (found.error) return found;
+
+        const applied = await this.trxRepo.updateIfStatus(merchantRef, PAYMENT_STATUS.UNPAID, { status: PAYMENT_STATUS.FAILED });
+        if (!applied) return { success: false, error: 'CONFLICT', trx: found.trx, oldStatus: found.oldStatus };
+
+        logger.info(`[ManualTransferService] Manual transfer ${merchantRef} rejected`);
+        return {
+            success: true,
+            trx: { ...found.trx, status: PAYMENT_STATUS.FAILED },
+            oldStatus: PAYMENT_STATUS.UNPAID,
+            newStatus: PAYMENT_STATUS.FAILED
+        };
+    }
+
+    /**
+     * Load a manual transfer that is still awaiting verification
+     * @private
+     * @returns {Promise<Object>} { trx, oldStatus } or a failed result ({ success: false, error, ... })
+     */
+    async _findPending(merchantRef) {
+        const trx = await this.trxRepo.findByRef(merchantRef);
+        if (!trx) return { success: false, error: 'NOT_FOUND', trx: null, oldStatus: null };
+        if (trx.channel !== MANUAL_TRANSFER.CHANNEL_CODE) {
+            return { success: false, error: 'NOT_MANUAL_TRANSFER', trx, oldStatus: trx.status };
+        }
+        if (trx.status !== PAYMENT_STATUS.UNPAID) {
+            return { success: false, error: 'INVALID_STATUS', trx, oldStatus: trx.status };
+        }
+        return { trx, oldStatus: trx.status };
+    }
+}
@@ -0,0 +1,164 @@
+import logger from './Logger.js';
+import { PAYMENT_STATUS, TRANSACTION_TYPE, WALLET } from '../config/constants.js';
+import { MERCHANT_REF_PREFIX, generateMerchantRef, buildTransactionRecord } from '../utils/transactionRecords.js';
+
+/**
+ * MembershipPurchaseService
+ * Responsibility: Paid membership upgrades (price difference from the current tier).
+ * - MEMBERSHIP invoice, or payment with wallet balance
+ * - Tier applied right after the payment, retried by the fulfillment queue on failure
+ */
+export class MembershipPurchaseService {
+    /**
+     * @param {MembershipService} membershipService - Membership tiers (null when not configured)
+     * @param {WalletService} walletService - User balance (null when not configured)
+     * @param {TransactionRepository} transactionRepository - DB access
+     * @param {PaymentService} payments - Fees, invoices and the fulfillment queue
+     */
+    constructor(membershipService, walletService, transactionRepository, payments) {
+        this.membership = membershipService;
+        this.wallet = walletService;
+        this.trxRepo = transactionRepository;
+        this.payments = payments;
+    }
+
+    /**
+     * Membership tier of a user and the upgrades on sale
+     * @param {String} userId - Chat ID
+     * @returns {Promise<Object|null>} { tier, upgrades: [{ tier, price }] } or null if memberships are not configured
+     */
+    async getStatus(userId) {
+        if (!this.membership) return null;
+        return await this.membership.getStatus(String(userId));
+    }
+
+    /**
+     * Create a membership upgrade invoice (tier applied once paid)
+     * @param {String} userId - Chat ID
+     * @param {String} tier - Target MEMBERSHIP_TIER
+     * @param {String} channelCode - Payment channel
+     * @returns {Promise<Object>} createInvoice result (+ orderData for display) or { success: false, error: 'NOT_AVAILABLE' }
+     */
+    async createInvoice(userId, tier, channelCode) {
+        const order = await this._buildOrder(userId, tier);
+        if (!order) return { success: false, error: 'NOT_AVAILABLE' };
+
+        const { finalAmount, feeAmount, feeType, channelInfo } = await this.payments.calculateFinalAmount(order.basePrice, channelCode);
+        const orderData = { ...order, feeAmount, feeType, amount: finalAmount, channelCode, channelName: channelInfo.name };
+
+        const result = await this.payments.createInvoice(orderData);
+        return { ...result, orderData: { ...orderData, merchantRef: result.merchantRef } };
+    }
+
+    /**
+     * Pay a membership upgrade with wallet balance and apply the tier right away
+     * @param {String} userId - Chat ID
+     * @param {String} tier - Target MEMBERSHIP_TIER
+     * @returns {Promise<Object>} { success, error?, trx, balance, amount? }
+     */
+    async payWithBalance(userId, tier) {
+        if (!this.wallet) return { success: false, error: 'WALLET_DISABLED' };
+
+        const order = await this._buildOrder(userId, tier);
+        if (!order) return { success: false, error: 'NOT_AVAILABLE' };
+
+        const merchantRef = generateMerchantRef(userId, MERCHANT_REF_PREFIX.MEMBERSHIP);
+        const record = {
+            ...buildTransactionRecord({ ...order, feeAmount: 0n, amount: order.basePrice }, merchantRef),
+            channel: WALLET.CHANNEL_CODE,
+            status: PAYMENT_STATUS.PAID,
+            paidAt: new Date()
+        };
+
+        const result = await this.wallet.payOrder(record);
+        if (!result.success) return { ...result, trx: null, amount: record.amount };
+
+        const activated = await this.activateNow(record);
+        return { success: true, trx: activated?.trx || record, balance: result.balance };
+    }
+
+    /**
+     * Apply a freshly paid membership; on failure hand it to the fulfillment queue for retries
+     * @param {Object} trx - MEMBERSHIP transaction in PAID status
+     * @returns {Promise<Object|null>} { trx } or null if not activated now
+     */
+    async activateNow(trx) {
+        try {
+            return await this._activate(trx);
+        } catch (error) {
+            logger.error(`[MembershipPurchaseService] Membership activation failed for ${trx.merchantRef}, queueing retry: ${error.message}`);
+            await this.payments.enqueueFulfillment(trx.merchantRef);
+            return null;
+        }
+    }
+
+    /**
+     * Apply a paid membership (fulfillment queue entry point)
+     * @param {Object} trx - MEMBERSHIP transaction
+     */
+    async fulfill(trx) {
+        if (trx.status !== PAYMENT_STATUS.PAID) {
+            logger.info(`[MembershipPurchaseService] Membership activation skipped: ${trx.merchantRef} is ${trx.status}`);
+            return;
+        }
+        await this._activate(trx);
+    }
+
+    /**
+     * Membership order data for an upgrade (price difference from the current tier)
+     * @param {String} userId - Chat ID
+     * @param {String} tier - Target MEMBERSHIP_TIER
+     * @returns {Promise<Object|null>} orderData without channel, or null if the upgrade is not on sale
+     * @private
+     */
+    async _buildOrder(userId, tier) {
+        if (!this.membership) return null;
+        const { tier: currentTier } = await this.membership.getStatus(userId);
+        const price = this.membership.getUpgradePrice(currentTier, tier);
+        if (price === null) return null;
+
+        return {
+            type: TRANSACTION_TYPE.MEMBERSHIP,
+            userId: String(userId),
+            customerName: String(userId),
+            game: 'MEMBERSHIP',
+            item: `Upgrade ${tier}`,
+            code: tier, // Target tier, applied once paid
+            basePrice: BigInt(price)
+        };
+    }
+
+    /**
+     * Set the purchased tier and mark the transaction DELIVERED (exactly once)
+     * @private
+     * @returns {Promise<Object|null>} { trx } or null if already activated
+     */
+    async _activate(trx) {
+        if (!this.membership) {
+            const error = new Error('MembershipService not configured');
+            error.permanent = true;
+            throw error;
+        }
+
+        // Upgrade only: a later admin grant to a higher tier is never undone
+        const applied = await this.membership.setTier(trx.userId, trx.serviceCode, { upgradeOnly: true });
+        if (!applied.success) {
+            const error = new Error(`Membership activation failed: ${applied.error}`);
+            error.permanent = true;
+            throw error;
+        }
+
+        const deliveredAt = new Date();
+        const updated = await this.trxRepo.updateIfStatus(trx.merchantRef, PAYMENT_STATUS.PAID, {
+            status: PAYMENT_STATUS.DELIVERED,
+            deliveredAt
+        });
+        if (!updated) {
+            logger.info(`[MembershipPurchaseService] Membership ${trx.merchantRef} already activated, skipping`);
+            return null;
+        }
+
+        logger.info(`[MembershipPurchaseService] Membership ${trx.merchantRef} activated: user ${trx.userId} → ${trx.serviceCode}`);
+        return { trx: { ...trx, status: PAYMENT_STATUS.DELIVERED, deliveredAt } };
+    }
+}
@@ -0,0 +1,102 @@
+import logger from './Logger.js';
+import { MEMBERSHIP, MEMBERSHIP_TIER } from '../config/constants.js';
+
+/**
+ * MembershipService
+ * Responsibility: Membership tiers (MEMBER < RESELLER < VIP) stored on User.tier.
+ * - Tier lookup for price lists (PricingService derives tier prices)
+ * - Upgrade offers and prices (paid upgrades go through PaymentService)
+ * - Applying a tier (paid upgrade or admin grant)
+ */
+export class MembershipService {
+    /**
+     * @param {UserRepositoryPort} userRepository - User.tier persistence
+     * @param {Object} config - { prices: { RESELLER, VIP } } upgrade prices (0 = admin grant only)
+     */
+    constructor(userRepository, config = {}) {
+        this.userRepo = userRepository;
+        this.prices = config.prices || {};
+    }
+
+    /**
+     * Tier of a user (MEMBER for unknown users)
+     * @param {String} userId - Chat ID
+     * @returns {Promise<String>}
+     */
+    async getTier(userId) {
+        if (!userId || !this.userRepo) return MEMBERSHIP_TIER.MEMBER;
+        const user = await this.userRepo.findByChatId(String(userId));
+        return this.isValidTier(user?.tier) ? user.tier : MEMBERSHIP_TIER.MEMBER;
+    }
+
+    /**
+     * Current tier and the paid upgrades offered from it
+     * @param {String} userId - Chat ID
+     * @returns {Promise<Object>} { tier, upgrades: [{ tier, price }] }
+     */
+    async getStatus(userId) {
+        const tier = await this.getTier(userId);
+        const upgrades = MEMBERSHIP.TIERS
+            .filter(target => this.rank(target) > this.rank(tier))
+            .map(target => ({ tier: target, price: this.getUpgradePrice(tier, target) }))
+            .filter(upgrade => upgrade.price !== null);
+
+        return { tier, upgrades };
+    }
+
+    /**
+     * Price to move from one tier to a higher one (difference of the tier prices)
+     * @param {String} currentTier
+     * @param {String} targetTier
+     * @returns {Number|null} null if the target is not sold (admin grant only) or not higher
+     */
+    getUpgradePrice(currentTier, targetTier) {
+        const targetPrice = this.prices[targetTier] || 0;
+        if (targetPrice <= 0 || this.rank(targetTier) <= this.rank(currentTier)) return null;
+
+        // Already paid for the current tier: only the difference (full price if misconfigured)
+        const difference = targetPrice - (this.prices[currentTier] || 0);
+        return difference > 0 ? difference : targetPrice;
+    }
+
+    /**
+     * Set the tier of a user
+     * @param {String} userId - Chat ID
+     * @param {String} tier - MEMBERSHIP_TIER value
+     * @param {Object} [options]
+     * @param {Boolean} [options.upgradeOnly=false] - Never lower the tier (paid upgrades)
+     * @returns {Promise<Object>} { success, user, oldTier } or { success: false, error }
+     */
+    async setTier(userId, tier, { upgradeOnly = false } = {}) {
+        if (!this.isValidTier(tier)) return { success: false, error: 'INVALID_TIER' };
+
+        const user = await this.userRepo.findByChatId(String(userId));
+        if (!user) return { success: false, error: 'USER_NOT_FOUND' };
+
+        const oldTier = this.isValidTier(user.tier) ? user.tier : MEMBERSHIP_TIER.MEMBER;
+        if (oldTier === tier || (upgradeOnly && this.rank(tier) < this.rank(oldTier))) {
+            return { success: true, user, oldTier, unchanged: true };
+        }
+
+        const updated = await this.userRepo.update(user.id, { tier, tierUpdatedAt: new Date() });
+        logger.info(`[MembershipService] User ${userId} tier ${oldTier} → ${tier}`);
+        return { success: true, user: updated, oldTier };
+    }
+
+    /**
+     * @param {String} tier
+     * @returns {Boolean}
+     */
+    isValidTier(tier) {
+        return MEMBERSHIP.TIERS.includes(tier);
+    }
+
+    /**
+     * Position in MEMBERSHIP.TIERS (higher = better prices)
+     * @param {String} tier
+     * @returns {Number}
+     */
+    rank(tier) {
+        return MEMBERSHIP.TIERS.indexOf(tier);
+    }
+}
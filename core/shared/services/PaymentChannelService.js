@@ -0,0 +1,378 @@
+import logger from './Logger.js';
+import { WALLET, MANUAL_TRANSFER } from '../config/constants.js';
+
+/**
+ * PaymentChannelService
+ * Responsibility: Payment channels of the configured gateways.
+ * - Channel cache synced from each gateway (default gateway first on shared codes)
+ * - Gateway serving a channel
+ * - Fees and totals per channel (after promo and points discounts)
+ */
+export class PaymentChannelService {
+    /**
+     * @param {PaymentGatewayRegistry} paymentGatewayRegistry - Payment gateway adapters by name
+     * @param {PaymentChannelRepository} paymentChannelRepository - DB access
+     */
+    constructor(paymentGatewayRegistry, paymentChannelRepository) {
+        this.gateways = paymentGatewayRegistry;
+        this.channelRepo = paymentChannelRepository;
+
+        // Mutex for preventing concurrent sync operations
+        this._syncInProgress = false;
+    }
+
+    /**
+     * Get specific payment channel by code
+     */
+    async getByCode(code) {
+        try {
+            const channel = await this.channelRepo.findByCode(code);
+            return this._mapChannel(channel);
+        } catch (error) {
+            logger.error(`[PaymentChannelService] Error getting channel ${code}:`, error);
+            return null;
+        }
+    }
+
+    /**
+     * Get available payment channels
+     */
+    async getAll(processSync = true) {
+        try {
+            const channels = await this._loadChannels(processSync);
+            return channels.map(c => this._mapChannel(c)).filter(Boolean);
+        } catch (error) {
+            logger.error('[PaymentChannelService] Error getting channels:', error);
+            return [];
+        }
+    }
+
+    /**
+     * Payment channels with the total an order would cost on each of them
+     * Sorted cheapest first; channels whose min/max amount excludes the total
+     * are marked not eligible (the gateway would reject them).
+     *
+     * @param {BigInt|Number} baseAmount - Sell price
+     * @param {BigInt|Number} [discountAmount=0] - Promo discount
+     * @param {BigInt|Number} [pointsDiscount=0] - Loyalty points discount
+     * @returns {Promise<Array<Object>>} Mapped channels + { feeAmount, finalAmount, eligible }
+     */
+    async quote(baseAmount, discountAmount = 0, pointsDiscount = 0) {
+        const { payable } = this._applyDiscounts(baseAmount, discountAmount, pointsDiscount);
+        const channels = await this._loadChannels();
+
+        return channels
+            .map(channel => {
+                const feeAmount = this._channelFee(channel, payable);
+                const finalAmount = payable + feeAmount;
+                const min = BigInt(channel.minAmount || 0);
+                const max = BigInt(channel.maxAmount || 0);
+
+                return {
+                    ...this._mapChannel(channel),
+                    feeAmount,
+                    finalAmount,
+                    eligible: finalAmount >= min && (max === 0n || finalAmount <= max)
+                };
+            })
+            .sort((a, b) => (a.finalAmount < b.finalAmount ? -1 : a.finalAmount > b.finalAmount ? 1 : 0));
+    }
+
+    /**
+     * Calculate final amount including fees
+     * The promo discount, then the points discount, are taken off the base amount
+     * before the channel fee is applied.
+     *
+     * @param {BigInt|Number} baseAmount - Sell price
+     * @param {String} channelCode - Payment channel
+     * @param {BigInt|Number} [discountAmount=0] - Promo discount (capped at the base amount)
+     * @param {BigInt|Number} [pointsDiscount=0] - Loyalty points discount (capped at what the promo leaves)
+     * @returns {Promise<Object>} { baseAmount, discountAmount, pointsDiscount, feeAmount, finalAmount, channelInfo, feeType }
+     */
+    async calculateFinalAmount(baseAmount, channelCode, discountAmount = 0, pointsDiscount = 0) {
+        // Balance checkout / manual transfer: no gateway, no fee
+        const localChannel = {
+            [WALLET.CHANNEL_CODE]: { code: WALLET.CHANNEL_CODE, name: 'Saldo', method: 'Saldo' },
+            [MANUAL_TRANSFER.CHANNEL_CODE]: { code: MANUAL_TRANSFER.CHANNEL_CODE, name: 'Transfer Manual', method: 'Transfer Bank' }
+        }[channelCode];
+
+        const { base, discount, points, payable } = this._applyDiscounts(baseAmount, discountAmount, pointsDiscount);
+
+        if (localChannel) {
+            return {
+                baseAmount: base,
+                discountAmount: discount,
+                pointsDiscount: points,
+                feeAmount: 0n,
+                finalAmount: payable,
+                channelInfo: localChannel,
+                feeType: 'Flat'
+            };
+        }
+
+        const channel = await this.channelRepo.findByCode(channelCode);
+        if (!channel) throw new Error(`Payment channel ${channelCode} not found`);
+
+        const feeAmount = this._channelFee(channel, payable);
+        const finalAmount = payable + feeAmount;
+
+        return {
+            baseAmount: base,
+            discountAmount: discount,
+            pointsDiscount: points,
+            feeAmount: feeAmount,
+            finalAmount: finalAmount,
+            channelInfo: { code: channel.code, name: channel.name, method: channel.method },
+            feeType: channel.isPercent ? 'Percent' : 'Flat'
+        };
+    }
+
+    /**
+     * Sync payment channels to database
+     */
+    async sync(force = false) {
+        // Prevent concurrent sync operations (mutex lock)
+        if (this._syncInProgress) {
+            logger.debug('[PaymentChannelService] Sync already in progress, skipping duplicate call...');
+            return;
+        }
+
+        const startTime = Date.now();
+
+        try {
+            this._syncInProgress = true;
+            logger.info(`[PaymentChannelService] 🔄 Starting payment channel sync (force=${force})...`);
+
+            const TTL_HOURS = 6;
+            const count = await this.channelRepo.count();
+            logger.debug(`[PaymentChannelService] Current channels in DB: ${count}`);
+
+            let shouldSync = force || count === 0;
+            if (!shouldSync) {
+                const sample = await this.channelRepo.findByCode('QRIS');
+                if (sample && sample.lastSynced) {
+                    const hoursSinceSync = (Date.now() - new Date(sample.lastSynced).getTime()) / (1000 * 60 * 60);
+                    if (hoursSinceSync > TTL_HOURS) {
+                        shouldSync = true;
+                        logger.info(`[PaymentChannelService] Cache stale (${hoursSinceSync.toFixed(1)}h old, TTL=${TTL_HOURS}h). Syncing...`);
+                    } else {
+                        logger.debug(`[PaymentChannelService] Cache still fresh (${hoursSinceSync.toFixed(1)}h old). Skipping sync.`);
+                    }
+                } else if (count > 0) {
+                    // Channels exist but QRIS missing or no timestamp? Force sync for safety
+                    logger.warn('[PaymentChannelService] QRIS channel missing or no sync timestamp. Forcing sync...');
+                    shouldSync = true;
+                }
+            }
+
+            if (!shouldSync) {
+                logger.info('[PaymentChannelService] ✓ Payment channels up to date (skipped sync)');
+                return;
+            }
+
+            // Default gateway first: on a channel code offered by several gateways, the first one keeps it
+            const claimed = new Set();
+            let successCount = 0;
+            let errorCount = 0;
+
+            for (const gateway of this.gateways.names()) {
+                try {
+                    const counts = await this._syncGatewayChannels(gateway, claimed);
+                    successCount += counts.successCount;
+                    errorCount += counts.errorCount;
+                } catch (gatewayError) {
+                    // One gateway down must not block the others' channels
+                    errorCount++;
+                    logger.error(`[PaymentChannelService] Channel sync failed for ${gateway}: ${gatewayError.message}`);
+                }
+            }
+
+            const duration = ((Date.now() - startTime) / 1000).toFixed(2);
+            logger.info(`[PaymentChannelService] ✅ Sync complete: ${successCount} channels synced, ${errorCount} errors, took ${duration}s`);
+
+        } catch (error) {
+            const duration = ((Date.now() - startTime) / 1000).toFixed(2);
+            logger.error(`[PaymentChannelService] ❌ Sync failed after ${duration}s:`, error);
+        } finally {
+            // Always release mutex lock
+            this._syncInProgress = false;
+        }
+    }
+
+    /**
+     * Gateway name + adapter serving a payment channel (unknown/legacy channels use the default gateway)
+     * @param {String} channelCode
+     * @returns {Promise<Object>} { gateway, paymentPort }
+     */
+    async resolveGateway(channelCode) {
+        const channel = channelCode ? await this.channelRepo.findByCode(channelCode) : null;
+        const gateway = channel?.gateway || this.gateways.getDefaultName();
+        const paymentPort = this.gateways.get(gateway);
+
+        if (!paymentPort) {
+            throw new Error(`Payment gateway '${gateway}' for channel ${channelCode} is not registered`);
+        }
+        return { gateway, paymentPort };
+    }
+
+    /**
+     * Channel rows of the configured gateways (synced first if the cache is empty)
+     * @private
+     */
+    async _loadChannels(processSync = true) {
+        let channels = await this.channelRepo.getAll();
+
+        if ((!channels || channels.length === 0) && processSync) {
+            logger.info('[PaymentChannelService] Cache empty. Triggering sync...');
+            await this.sync();
+            channels = await this.channelRepo.getAll();
+        }
+
+        // Hide channels of gateways no longer configured (rows stay for history)
+        return (channels || []).filter(c => !c.gateway || this.gateways.has(c.gateway));
+    }
+
+    /**
+     * Fetch one gateway's channels and upsert them tagged with the gateway name
+     * @private
+     * @param {String} gateway - Registered gateway name
+     * @param {Set<String>} claimed - Channel codes already synced from another gateway (mutated)
+     * @returns {Promise<Object>} { successCount, errorCount }
+     */
+    async _syncGatewayChannels(gateway, claimed) {
+        let successCount = 0;
+        let errorCount = 0;
+
+        logger.info(`[PaymentChannelService] Fetching channels from payment gateway API (${gateway})...`);
+        const response = await this.gateways.get(gateway).getPaymentChannels();
+
+        // Check for structured error response from adapter
+        if (response && response.success === false) {
+            logger.error(`[PaymentChannelService] Payment gateway error (${gateway}): ${response.error}`);
+            logger.error(`[PaymentChannelService] Error type: ${response.errorType}`);
+            // Could notify admin or trigger alert here if needed
+            return { successCount, errorCount };
+        }
+
+        const channels = response?.data || response;
+
+        // Enhanced validation with better error logging
+        if (!Array.isArray(channels)) {
+            logger.error(`[PaymentChannelService] Invalid API response format (${gateway}). Expected array, got: ${typeof channels}`);
+            logger.debug(`[PaymentChannelService] Response preview: ${JSON.stringify(response).substring(0, 200)}`);
+            return { successCount, errorCount };
+        }
+
+        if (channels.length === 0) {
+            logger.warn(`[PaymentChannelService] ${gateway} returned 0 payment channels. Payment gateway might be down or misconfigured.`);
+            return { successCount, errorCount };
+        }
+
+        logger.info(`[PaymentChannelService] Processing ${channels.length} channels from ${gateway}...`);
+
+        for (const channel of channels) {
+            if (claimed.has(channel.kode)) {
+                logger.warn(`[PaymentChannelService] Channel ${channel.kode} from ${gateway} skipped: code already served by another gateway`);
+                continue;
+            }
+
+            try {
+                const isPercent = channel.percent === 'Percent';
+                await this.channelRepo.upsert({
+                    code: channel.kode,
+                    name: channel.nama,
+                    minAmount: parseInt(channel.minimal, 10) || 0,
+                    maxAmount: parseInt(channel.maksimal, 10) || 0,
+                    feeFlat: isPercent ? 0 : (parseInt(channel.biaya, 10) || 0),
+                    feePercent: isPercent ? channel.biaya : null,
+                    fee: channel.biaya,
+                    isPercent: isPercent,
+                    type: channel.tipe,
+                    method: channel.metode,
+                    logo: channel.logo,
+                    status: channel.status,
+                    gateway,
+                    guideTitle: channel.guide?.title || null,
+                    guideSteps: channel.guide?.payment_guide
+                        ? JSON.stringify(channel.guide.payment_guide.split(/\r?\n/).filter(line => line.trim().length > 0))
+                        : null
+                });
+                claimed.add(channel.kode);
+                successCount++;
+            } catch (channelError) {
+                errorCount++;
+                logger.error(`[PaymentChannelService] Failed to upsert channel ${channel.kode}: ${channelError.message}`);
+            }
+        }
+
+        return { successCount, errorCount };
+    }
+
+    /**
+     * Take the promo discount, then the points discount, off the base amount
+     * (each capped at what is left)
+     * @private
+     */
+    _applyDiscounts(baseAmount, discountAmount = 0, pointsDiscount = 0) {
+        const base = BigInt(baseAmount);
+        const discount = BigInt(discountAmount || 0) > base ? base : BigInt(discountAmount || 0);
+        const points = BigInt(pointsDiscount || 0) > base - discount ? base - discount : BigInt(pointsDiscount || 0);
+        return { base, discount, points, payable: base - discount - points };
+    }
+
+    /**
+     * Fee of a channel row on an amount
+     * @private
+     */
+    _channelFee(channel, payable) {
+        if (channel.feePercent) {
+            // Use Number for percentage calculation as precision for money in IDR is usually safe
+            // but convert back to BigInt for consistency
+            const percent = parseFloat(channel.feePercent);
+            return BigInt(Math.round(Number(payable) * (percent / 100)));
+        }
+        return BigInt(channel.feeFlat || 0);
+    }
+
+    /**
+     * Map database channel to API format
+     * @private
+     * @param {Object} channel - Database channel object
+     * @returns {Object|null} API-formatted channel or null
+     */
+    _mapChannel(channel) {
+        if (!channel) return null;
+
+        return {
+            kode: channel.code,
+            nama: channel.name,
+            biaya: channel.fee,
+            minimal: channel.minAmount,
+            maksimal: channel.maxAmount,
+            metode: channel.method,
+            tipe: channel.type,
+            logo: channel.logo || null,
+            status: channel.status,
+            percent: channel.isPercent ? 'Percent' : 'Flat',
+            gateway: channel.gateway,
+            guideTitle: channel.guideTitle,
+            guideSteps: this._safeJsonParse(channel.guideSteps, null)
+        };
+    }
+
+    /**
+     * Safely parse JSON with fallback
+     * @private
+     * @param {string} jsonString - JSON string to parse
+     * @param {any} defaultValue - Default value if parse fails
+     * @returns {any}
+     */
+    _safeJsonParse(jsonString, defaultValue = null) {
+        try {
+            return jsonString ? JSON.parse(jsonString) : defaultValue;
+        } catch (e) {
+            logger.warn(`[PaymentChannelService] JSON parse failed: ${e.message}`);
+            return defaultValue;
+        }
+    }
+}
@@ -0,0 +1,69 @@
+/**
+ * PaymentGatewayRegistry - Named payment gateway adapters
+ *
+ * Holds every configured PaymentPort under a stable name (the name stored in
+ * PaymentChannel.gateway and Transaction.gateway). Channels are synced from
+ * every registered gateway; the default gateway serves rows without a gateway.
+ */
+export class PaymentGatewayRegistry {
+  constructor() {
+    this.gateways = new Map();
+    this.defaultName = null;
+  }
+
+  /**
+   * Register a gateway adapter
+   * @param {String} name - Gateway name (e.g. 'sakurupiah')
+   * @param {PaymentPort} paymentPort - Adapter instance
+   * @param {Object} [options]
+   * @param {Boolean} [options.isDefault=false] - Use as default gateway (first registered is default otherwise)
+   * @returns {PaymentGatewayRegistry} this (chainable)
+   */
+  register(name, paymentPort, { isDefault = false } = {}) {
+    if (!name || !paymentPort) {
+      throw new Error('PaymentGatewayRegistry.register() requires a name and a payment adapter');
+    }
+    this.gateways.set(name, paymentPort);
+    if (isDefault || !this.defaultName) this.defaultName = name;
+    return this;
+  }
+
+  /**
+   * @param {String} name
+   * @returns {Boolean}
+   */
+  has(name) {
+    return this.gateways.has(name);
+  }
+
+  /**
+   * Get a gateway adapter by name
+   * @param {String} name
+   * @returns {PaymentPort|null}
+   */
+  get(name) {
+    return this.gateways.get(name) || null;
+  }
+
+  /**
+   * @returns {PaymentPort|null}
+   */
+  getDefault() {
+    return this.defaultName ? this.gateways.get(this.defaultName) : null;
+  }
+
+  /**
+   * @returns {String|null}
+   */
+  getDefaultName() {
+    return this.defaultName;
+  }
+
+  /**
+   * @returns {String[]} Registered gateway names (default first)
+   */
+  names() {
+    const names = [...this.gateways.keys()];
+    return this.defaultName ? [this.defaultName, ...names.filter(n => n !== this.defaultName)] : names;
+  }
+}
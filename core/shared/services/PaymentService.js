@@ -5,27 +5,78 @@
  * and adapters.
  */
 import logger from './Logger.js';
-import { TIMEOUTS } from '../config/constants.js';
+import { TIMEOUTS, PAYMENT_STATUS, TRANSACTION_TYPE, WALLET } from '../config/constants.js';
 import { TransactionSyncService } from './TransactionSyncService.js';
+import { PaymentChannelService } from './PaymentChannelService.js';
+import { FulfillmentQueueService } from './FulfillmentQueueService.js';
+import { WalletService } from './WalletService.js';
+import { CheckoutReservationService } from './CheckoutReservationService.js';
+import { ManualTransferService } from './ManualTransferService.js';
+import { DepositService } from './DepositService.js';
+import { MembershipPurchaseService } from './MembershipPurchaseService.js';
+import { InvoiceSwitchService } from './InvoiceSwitchService.js';
+import { GameOrderService } from './GameOrderService.js';
+import { TransactionAdminService } from './TransactionAdminService.js';
+import { MERCHANT_REF_PREFIX, generateMerchantRef, buildTransactionRecord, invoiceRecord } from '../utils/transactionRecords.js';
+
+// Statuses the fulfillment dead-letter may move to DELIVERY_FAILED
+const DEAD_LETTER_FROM = [PAYMENT_STATUS.PAID, PAYMENT_STATUS.PROCESSING];
 
 export class PaymentService {
   /**
-   * @param {PaymentPort} paymentPort - Payment gateway adapter
+   * @param {PaymentGatewayRegistry} paymentGatewayRegistry - Payment gateway adapters by name
    * @param {PaymentChannelRepository} paymentChannelRepository - DB access
    * @param {TransactionRepository} transactionRepository - DB access
    * @param {GameProviderService} gameProviderService - Game provider service
+   * @param {FulfillmentJobRepository} fulfillmentJobRepository - Durable fulfillment queue storage
+   * @param {WalletRepository} walletRepository - User balance + ledger storage
+   * @param {MembershipService} membershipService - Membership tiers (paid upgrades)
+   * @param {PromoService} promoService - Promo codes at checkout
+   * @param {ReferralService} referralService - Referral rewards on delivered orders
+   * @param {LoyaltyService} loyaltyService - Loyalty points (earned on delivery, redeemed at checkout)
+   * @param {FlashSaleService} flashSaleService - Flash sale quota (claimed at checkout)
    */
-  constructor(paymentPort, paymentChannelRepository, transactionRepository, gameProviderService = null) {
-    this.paymentPort = paymentPort;
-    this.channelRepo = paymentChannelRepository;
+  constructor(paymentGatewayRegistry, paymentChannelRepository, transactionRepository, gameProviderService = null, fulfillmentJobRepository = null, walletRepository = null, membershipService = null, promoService = null, referralService = null, loyaltyService = null, flashSaleService = null) {
     this.trxRepo = transactionRepository;
-    this.gameProviderService = gameProviderService;
+    this.promo = promoService;
+    this.referral = referralService;
+    this.loyalty = loyaltyService;
+    this.flashSale = flashSaleService;
+
+    // Sub-service for payment channels (gateway routing, fees)
+    this.channels = new PaymentChannelService(paymentGatewayRegistry, paymentChannelRepository);
 
     // Sub-service for status synchronization
-    this.syncService = new TransactionSyncService(paymentPort, transactionRepository);
+    this.syncService = new TransactionSyncService(paymentGatewayRegistry, transactionRepository);
+
+    // Sub-service for game order delivery (provider orders and callbacks)
+    this.gameOrders = new GameOrderService(transactionRepository, gameProviderService, referralService, loyaltyService);
+
+    // Sub-service for durable fulfillment (retries + dead-letter)
+    this.fulfillmentQueue = fulfillmentJobRepository
+      ? new FulfillmentQueueService(fulfillmentJobRepository, transactionRepository, (trx) => this.fulfillTransaction(trx))
+      : null;
+
+    // Sub-service for user balance (deposit, pay with balance, refund to balance)
+    this.wallet = walletRepository ? new WalletService(walletRepository) : null;
+
+    // Sub-service for balance top-ups
+    this.deposits = new DepositService(this.wallet, this);
+
+    // Sub-service for paid membership upgrades
+    this.memberships = new MembershipPurchaseService(membershipService, this.wallet, transactionRepository, this);
+
+    // Sub-service for what checkout takes before the transaction exists (flash sale unit, promo, points)
+    this.reservations = new CheckoutReservationService(promoService, loyaltyService, flashSaleService);
+
+    // Sub-service for bank transfers settled by an admin
+    this.manualTransfers = new ManualTransferService(transactionRepository, this.reservations, (result) => this._afterPaid(result));
 
-    // Mutex for preventing concurrent sync operations
-    this._syncInProgress = false;
+    // Sub-service for payment channel changes after checkout
+    this.switches = new InvoiceSwitchService(transactionRepository, this.wallet, this);
+
+    // Sub-service for admin actions on a transaction (re-fulfill, force status, refund)
+    this.transactionAdmin = new TransactionAdminService(transactionRepository, this.fulfillmentQueue, this.wallet, this.gameOrders, this);
   }
 
   /**
@@ -39,276 +90,373 @@ export class PaymentService {
   }
 
   /**
-   * Safely parse JSON with fallback
-   * @private
-   * @param {string} jsonString - JSON string to parse
-   * @param {any} defaultValue - Default value if parse fails
-   * @returns {any}
+   * Get specific payment channel by code
    */
-  _safeJsonParse(jsonString, defaultValue = null) {
-    try {
-      return jsonString ? JSON.parse(jsonString) : defaultValue;
-    } catch (e) {
-      logger.warn(`[PaymentService] JSON parse failed: ${e.message}`);
-      return defaultValue;
-    }
+  async getChannelByCode(code) {
+    return await this.channels.getByCode(code);
   }
 
   /**
-   * Map database channel to API format
-   * @private
-   * @param {Object} channel - Database channel object
-   * @returns {Object|null} API-formatted channel or null
+   * Get available payment channels
    */
-  _mapChannel(channel) {
-    if (!channel) return null;
+  async getPaymentChannels(processSync = true) {
+    return await this.channels.getAll(processSync);
+  }
 
-    return {
-      kode: channel.code,
-      nama: channel.name,
-      biaya: channel.fee,
-      minimal: channel.minAmount,
-      maksimal: channel.maxAmount,
-      metode: channel.method,
-      tipe: channel.type,
-      logo: channel.logo || null,
-      status: channel.status,
-      percent: channel.isPercent ? 'Percent' : 'Flat',
-      guideTitle: channel.guideTitle,
-      guideSteps: this._safeJsonParse(channel.guideSteps, null)
-    };
+  /**
+   * Payment channels with the total an order would cost on each of them (cheapest first)
+   * @param {BigInt|Number} baseAmount - Sell price
+   * @param {BigInt|Number} [discountAmount=0] - Promo discount
+   * @param {BigInt|Number} [pointsDiscount=0] - Loyalty points discount
+   * @returns {Promise<Array<Object>>} Mapped channels + { feeAmount, finalAmount, eligible }
+   */
+  async quoteChannels(baseAmount, discountAmount = 0, pointsDiscount = 0) {
+    return await this.channels.quote(baseAmount, discountAmount, pointsDiscount);
   }
 
   /**
-   * Get specific payment channel by code
+   * Sync payment channels to database
    */
-  async getChannelByCode(code) {
-    try {
-      const channel = await this.channelRepo.findByCode(code);
-      return this._mapChannel(channel);
-    } catch (error) {
-      logger.error(`[PaymentService] Error getting channel ${code}:`, error);
-      return null;
-    }
+  async syncPaymentChannels(force = false) {
+    return await this.channels.sync(force);
   }
 
   /**
-   * Get available payment channels
+   * Calculate final amount including fees
+   * @param {BigInt|Number} baseAmount - Sell price
+   * @param {String} channelCode - Payment channel
+   * @param {BigInt|Number} [discountAmount=0] - Promo discount
+   * @param {BigInt|Number} [pointsDiscount=0] - Loyalty points discount
+   * @returns {Promise<Object>} { baseAmount, discountAmount, pointsDiscount, feeAmount, finalAmount, channelInfo, feeType }
    */
-  async getPaymentChannels(processSync = true) {
-    try {
-      let channels = await this.channelRepo.getAll();
+  async calculateFinalAmount(baseAmount, channelCode, discountAmount = 0, pointsDiscount = 0) {
+    return await this.channels.calculateFinalAmount(baseAmount, channelCode, discountAmount, pointsDiscount);
+  }
 
-      if ((!channels || channels.length === 0) && processSync) {
-        logger.info('[PaymentService] Cache empty. Triggering sync...');
-        await this.syncPaymentChannels();
-        channels = await this.channelRepo.getAll();
-      }
+  /**
+   * Whether promo codes can be redeemed at checkout
+   * @returns {Boolean}
+   */
+  isPromoEnabled() {
+    return !!this.promo;
+  }
 
-      if (channels && channels.length > 0) {
-        return channels.map(c => this._mapChannel(c)).filter(Boolean);
-      }
+  /**
+   * Check a promo code against an order
+   * @param {String} code - Code as typed by the user
+   * @param {Object} order - { userId, game, serviceCode, amount } (amount = sell price before fee)
+   * @returns {Promise<Object>} { success, promo, discount } or { success: false, error }
+   */
+  async validatePromo(code, order) {
+    if (!this.promo) return { success: false, error: 'NOT_FOUND' };
+    return await this.promo.validate(code, order);
+  }
 
-      return [];
-    } catch (error) {
-      logger.error('[PaymentService] Error getting channels:', error);
-      return [];
-    }
+  /**
+   * Whether loyalty points can be earned and redeemed
+   * @returns {Boolean}
+   */
+  isLoyaltyEnabled() {
+    return !!this.loyalty?.isEnabled();
   }
 
   /**
-   * Sync payment channels to database
+   * Points a user can redeem on an order
+   * @param {String} userId - Chat ID
+   * @param {BigInt|Number} payable - Sell price after promo (before fee)
+   * @returns {Promise<Object|null>} { balance, points, discount, pointValue } or null if nothing can be redeemed
    */
-  async syncPaymentChannels(force = false) {
-    // Prevent concurrent sync operations (mutex lock)
-    if (this._syncInProgress) {
-      logger.debug('[PaymentService] Sync already in progress, skipping duplicate call...');
-      return;
-    }
+  async quotePoints(userId, payable) {
+    if (!this.isLoyaltyEnabled()) return null;
+    return await this.loyalty.quote(String(userId), payable);
+  }
 
-    const startTime = Date.now();
+  /**
+   * Points balance, expiring points and recent entries of a user
+   * @param {String} userId - Chat ID
+   * @returns {Promise<Object|null>} null if the loyalty program is off
+   */
+  async getLoyaltySummary(userId) {
+    if (!this.isLoyaltyEnabled()) return null;
+    return await this.loyalty.getSummary(String(userId));
+  }
 
-    try {
-      this._syncInProgress = true;
-      logger.info(`[PaymentService] 🔄 Starting payment channel sync (force=${force})...`);
-
-      const TTL_HOURS = 6;
-      const count = await this.channelRepo.count();
-      logger.debug(`[PaymentService] Current channels in DB: ${count}`);
-
-      let shouldSync = force || count === 0;
-      if (!shouldSync) {
-        const sample = await this.channelRepo.findByCode('QRIS');
-        if (sample && sample.lastSynced) {
-          const hoursSinceSync = (Date.now() - new Date(sample.lastSynced).getTime()) / (1000 * 60 * 60);
-          if (hoursSinceSync > TTL_HOURS) {
-            shouldSync = true;
-            logger.info(`[PaymentService] Cache stale (${hoursSinceSync.toFixed(1)}h old, TTL=${TTL_HOURS}h). Syncing...`);
-          } else {
-            logger.debug(`[PaymentService] Cache still fresh (${hoursSinceSync.toFixed(1)}h old). Skipping sync.`);
-          }
-        } else if (count > 0) {
-          // Channels exist but QRIS missing or no timestamp? Force sync for safety
-          logger.warn('[PaymentService] QRIS channel missing or no sync timestamp. Forcing sync...');
-          shouldSync = true;
-        }
-      }
+  /**
+   * Run one loyalty sweep: expire due points, give back points of cancelled orders
+   * (called by BotCore background task)
+   * @returns {Promise<Object>} { expired, restored }
+   */
+  async processLoyaltySweep() {
+    if (!this.loyalty) return { expired: [], restored: 0 };
+    return await this.loyalty.sweep();
+  }
 
-      if (!shouldSync) {
-        logger.info('[PaymentService] ✓ Payment channels up to date (skipped sync)');
-        return;
-      }
+  /**
+   * Give back the flash sale quota of cancelled orders (called by BotCore background task)
+   * @returns {Promise<Number>} Units given back
+   */
+  async processFlashSaleSweep() {
+    if (!this.flashSale) return 0;
+    return await this.flashSale.sweep();
+  }
 
-      logger.info('[PaymentService] Fetching channels from payment gateway API...');
-      const response = await this.paymentPort.getPaymentChannels();
+  /**
+   * Give back the promo redemptions of cancelled orders (called by BotCore background task)
+   * @returns {Promise<Number>} Redemptions given back
+   */
+  async processPromoSweep() {
+    if (!this.promo) return 0;
+    return await this.promo.sweep();
+  }
 
-      // Check for structured error response from adapter
-      if (response && response.success === false) {
-        logger.error(`[PaymentService] Payment gateway error: ${response.error}`);
-        logger.error(`[PaymentService] Error type: ${response.errorType}`);
-        // Could notify admin or trigger alert here if needed
-        return;
-      }
+  /**
+   * Create payment invoice and save to DB
+   * The flash sale unit, promo redemption and redeemed points are taken first and given back
+   * if the gateway refuses the invoice or it cannot be saved (SAVE_FAILED: never shown to the user).
+   */
+  async createInvoice(orderData) {
+    const merchantRef = generateMerchantRef(orderData.userId, MERCHANT_REF_PREFIX[orderData.type] || MERCHANT_REF_PREFIX.ORDER);
 
-      const channels = response.data || response;
+    const reserveError = await this.reservations.reserve(orderData, merchantRef);
+    if (reserveError) {
+      return { success: false, error: reserveError, message: 'Checkout reservation refused' };
+    }
 
-      // Enhanced validation with better error logging
-      if (!Array.isArray(channels)) {
-        logger.error(`[PaymentService] Invalid API response format. Expected array, got: ${typeof channels}`);
-        logger.debug(`[PaymentService] Response preview: ${JSON.stringify(response).substring(0, 200)}`);
-        return;
-      }
+    try {
+      const { gateway, result } = await this.requestGatewayInvoice(orderData, merchantRef, `Create Invoice ${merchantRef}`);
 
-      if (channels.length === 0) {
-        logger.warn('[PaymentService] API returned 0 payment channels. Payment gateway might be down or misconfigured.');
-        return;
+      if (!result.success) {
+        await this.reservations.release(orderData, merchantRef);
+      } else if (!await this._saveInvoice(orderData, merchantRef, gateway, result)) {
+        await this.reservations.release(orderData, merchantRef);
+        return { success: false, error: 'SAVE_FAILED', message: 'Invoice could not be saved' };
       }
 
-      logger.info(`[PaymentService] Processing ${channels.length} channels from API...`);
-      let successCount = 0;
-      let errorCount = 0;
-
-      for (const channel of channels) {
-        try {
-          const isPercent = channel.percent === 'Percent';
-          await this.channelRepo.upsert({
-            code: channel.kode,
-            name: channel.nama,
-            minAmount: parseInt(channel.minimal, 10) || 0,
-            maxAmount: parseInt(channel.maksimal, 10) || 0,
-            feeFlat: isPercent ? 0 : (parseInt(channel.biaya, 10) || 0),
-            feePercent: isPercent ? channel.biaya : null,
-            fee: channel.biaya,
-            isPercent: isPercent,
-            type: channel.tipe,
-            method: channel.metode,
-            logo: channel.logo,
-            status: channel.status,
-            guideTitle: channel.guide?.title || null,
-            guideSteps: channel.guide?.payment_guide
-              ? JSON.stringify(channel.guide.payment_guide.split(/\r?\n/).filter(line => line.trim().length > 0))
-              : null
-          });
-          successCount++;
-        } catch (channelError) {
-          errorCount++;
-          logger.error(`[PaymentService] Failed to upsert channel ${channel.kode}: ${channelError.message}`);
-        }
-      }
+      return { ...result, merchantRef, status: 'UNPAID' };
+    } catch (error) {
+      logger.error(`[PaymentService] Create invoice failed: ${error.message}`);
+      await this.reservations.release(orderData, merchantRef);
+      return {
+        success: false,
+        message: 'Payment gateway error',
+        error: error.message
+      };
+    }
+  }
 
-      const duration = ((Date.now() - startTime) / 1000).toFixed(2);
-      logger.info(`[PaymentService] ✅ Sync complete: ${successCount} channels synced, ${errorCount} errors, took ${duration}s`);
+  /**
+   * Ask the gateway of the order's channel for an invoice (API timeout applies)
+   * @param {Object} orderData - Same shape as createInvoice
+   * @param {String} merchantRef - Reference of the invoice
+   * @param {String} context - Label of the call in timeout errors
+   * @returns {Promise<Object>} { gateway, result } (result of the gateway createInvoice)
+   * @throws {Error} Gateway not registered, gateway error or timeout
+   */
+  async requestGatewayInvoice(orderData, merchantRef, context) {
+    const { gateway, paymentPort } = await this.channels.resolveGateway(orderData.channelCode);
+    const result = await this._withTimeout(
+      paymentPort.createInvoice({ ...orderData, merchantRef }),
+      `${context} (${gateway})`
+    );
+    return { gateway, result };
+  }
 
+  /**
+   * Save a gateway invoice; on failure it is left unused at the gateway until it expires
+   * @private
+   * @returns {Promise<Boolean>}
+   */
+  async _saveInvoice(orderData, merchantRef, gateway, result) {
+    try {
+      await this.trxRepo.save(invoiceRecord(orderData, merchantRef, gateway, result));
+      return true;
     } catch (error) {
-      const duration = ((Date.now() - startTime) / 1000).toFixed(2);
-      logger.error(`[PaymentService] ❌ Sync failed after ${duration}s:`, error);
-    } finally {
-      // Always release mutex lock
-      this._syncInProgress = false;
+      logger.error(`[PaymentService] Save failed for ${merchantRef} (${gateway} invoice ${result.trx_id || '-'} left unused): ${error.message}`);
+      return false;
     }
   }
 
   /**
-   * Calculate final amount including fees
+   * Channels an unpaid invoice can be switched to (payment method changed after checkout)
+   * @param {String} merchantRef - Invoice to replace
+   * @param {String} userId - Chat ID (only the owner may switch)
+   * @returns {Promise<Object>} { success, trx, channels } or { success: false, error, trx }
    */
-  async calculateFinalAmount(baseAmount, channelCode) {
-    const channel = await this.channelRepo.findByCode(channelCode);
-    if (!channel) throw new Error(`Payment channel ${channelCode} not found`);
+  async getSwitchOptions(merchantRef, userId) {
+    return await this.switches.getOptions(merchantRef, userId);
+  }
 
-    const base = BigInt(baseAmount);
-    let feeAmount;
+  /**
+   * Replace an unpaid invoice by one on another channel
+   * @param {String} merchantRef - Invoice to replace
+   * @param {String} userId - Chat ID (only the owner may switch)
+   * @param {String} channelCode - New payment channel
+   * @returns {Promise<Object>} createInvoice result (+ orderData for display, replacedRef) or { success: false, error, trx }
+   */
+  async switchPaymentChannel(merchantRef, userId, channelCode) {
+    return await this.switches.switchChannel(merchantRef, userId, channelCode);
+  }
 
-    if (channel.feePercent) {
-      // Use Number for percentage calculation as precision for money in IDR is usually safe
-      // but convert back to BigInt for consistency
-      const percent = parseFloat(channel.feePercent);
-      feeAmount = BigInt(Math.round(Number(base) * (percent / 100)));
-    } else {
-      feeAmount = BigInt(channel.feeFlat || 0);
-    }
+  /**
+   * Register the notifier for an order paid twice through switched invoices
+   * @param {Function} handler - async ({ trx, paidTwin, refunded, balance }) => void
+   */
+  setDuplicatePaymentHandler(handler) {
+    this.switches.setDuplicatePaymentHandler(handler);
+  }
 
-    const finalAmount = base + feeAmount;
+  /**
+   * Create a balance top-up invoice (credited to the wallet once paid)
+   * @param {String} userId - Chat ID
+   * @param {Number} amount - Amount to credit
+   * @param {String} channelCode - Payment channel
+   * @returns {Promise<Object>} createInvoice result (+ orderData for display) or { success: false, error: 'INVALID_AMOUNT' }
+   */
+  async createDeposit(userId, amount, channelCode) {
+    return await this.deposits.create(userId, amount, channelCode);
+  }
 
-    return {
-      baseAmount: base,
-      feeAmount: feeAmount,
-      finalAmount: finalAmount,
-      channelInfo: { code: channel.code, name: channel.name, method: channel.method },
-      feeType: channel.isPercent ? 'Percent' : 'Flat'
-    };
+  /**
+   * Membership tier of a user and the upgrades on sale
+   * @param {String} userId - Chat ID
+   * @returns {Promise<Object|null>} { tier, upgrades: [{ tier, price }] } or null if memberships are not configured
+   */
+  async getMembershipStatus(userId) {
+    return await this.memberships.getStatus(userId);
   }
 
   /**
-   * Create payment invoice and save to DB
+   * Create a membership upgrade invoice (tier applied once paid)
+   * @param {String} userId - Chat ID
+   * @param {String} tier - Target MEMBERSHIP_TIER
+   * @param {String} channelCode - Payment channel
+   * @returns {Promise<Object>} createInvoice result (+ orderData for display) or { success: false, error: 'NOT_AVAILABLE' }
    */
-  async createInvoice(orderData) {
-    const sanitizedUserId = String(orderData.userId || 'UNKNOWN').replace(/\s+/g, '-');
-    const randomSuffix = Math.random().toString(36).substring(2, 7).toUpperCase();
-    const merchantRef = `ORDER-${sanitizedUserId}-${Date.now()}-${randomSuffix}`;
+  async createMembershipInvoice(userId, tier, channelCode) {
+    return await this.memberships.createInvoice(userId, tier, channelCode);
+  }
 
-    try {
-      // Wrap with timeout
-      const result = await this._withTimeout(
-        this.paymentPort.createInvoice({ ...orderData, merchantRef }),
-        `Create Invoice ${merchantRef}`
-      );
-
-      if (result.success && this.trxRepo) {
-        try {
-          await this.trxRepo.save({
-            merchantRef,
-            trxId: result.trx_id || null,
-            userId: orderData.userId.toString(),
-            customerName: orderData.playerId || orderData.customerName || 'Unknown',
-            game: orderData.game,
-            item: orderData.item,
-            nickname: orderData.nickname || null,
-            playerId: orderData.playerId ? String(orderData.playerId) : null,
-            zoneId: orderData.zoneId ? String(orderData.zoneId) : null,
-            gameCode: orderData.game, // Internal/Provider game code
-            serviceCode: orderData.code, // Provider service ID
-            amount: orderData.amount,
-            channel: orderData.channelCode || 'QRIS',
-            status: 'UNPAID',
-            paymentUrl: result.payment_url,
-            paymentNo: result.payment_code ? String(result.payment_code) : null,
-            qrString: result.qr_string,
-            expiryDate: result.expiry_date ? new Date(result.expiry_date) : null
-          });
-        } catch (e) {
-          logger.error('[PaymentService] Save failed:', e);
-        }
-      }
+  /**
+   * Pay a membership upgrade with wallet balance and apply the tier right away
+   * @param {String} userId - Chat ID
+   * @param {String} tier - Target MEMBERSHIP_TIER
+   * @returns {Promise<Object>} { success, error?, trx, balance, amount? }
+   */
+  async payMembershipWithBalance(userId, tier) {
+    return await this.memberships.payWithBalance(userId, tier);
+  }
 
-      return { ...result, merchantRef, status: 'UNPAID' };
-    } catch (error) {
-      logger.error(`[PaymentService] Create invoice failed: ${error.message}`);
-      return {
-        success: false,
-        message: 'Payment gateway error',
-        error: error.message
-      };
+  /**
+   * Invite link and referral counters of a user
+   * @param {String} userId - Chat ID
+   * @returns {Promise<Object|null>} null if the referral program is off
+   */
+  async getReferralStatus(userId) {
+    if (!this.referral?.isEnabled()) return null;
+    return await this.referral.getStatus(String(userId));
+  }
+
+  /**
+   * Register the notifier for paid referral rewards
+   * @param {Function} handler - async (reward) => void
+   */
+  setReferralRewardHandler(handler) {
+    if (this.referral) this.referral.setRewardHandler(handler);
+  }
+
+  /**
+   * Pay an order with wallet balance (no gateway): debit + PAID transaction atomically, then fulfill
+   * @param {Object} orderData - Same shape as createInvoice
+   * @returns {Promise<Object>} { success, error?, merchantRef, trx, balance }
+   */
+  async payWithBalance(orderData) {
+    if (!this.wallet) return { success: false, error: 'WALLET_DISABLED' };
+
+    const merchantRef = generateMerchantRef(orderData.userId, 'ORDER');
+    const record = {
+      ...buildTransactionRecord(orderData, merchantRef),
+      channel: WALLET.CHANNEL_CODE,
+      status: PAYMENT_STATUS.PAID,
+      paidAt: new Date()
+    };
+
+    const reserveError = await this.reservations.reserve(orderData, merchantRef);
+    if (reserveError) {
+      return { success: false, error: reserveError, merchantRef: null, trx: null };
     }
+
+    const result = await this.wallet.payOrder(record).catch(error => {
+      logger.error(`[PaymentService] Balance payment failed for ${merchantRef}: ${error.message}`);
+      return { success: false, error: 'SAVE_FAILED' };
+    });
+    if (!result.success) {
+      await this.reservations.release(orderData, merchantRef);
+      return { ...result, merchantRef: null, trx: null };
+    }
+
+    await this.enqueueFulfillment(merchantRef);
+    return { success: true, merchantRef, trx: record, balance: result.balance };
+  }
+
+  /**
+   * Create an UNPAID manual bank transfer (no gateway): settled by an admin after the receipt is checked
+   * @param {Object} orderData - Same shape as createInvoice
+   * @returns {Promise<Object>} { success, error?, merchantRef, expiryDate }
+   */
+  async createManualTransfer(orderData) {
+    return await this.manualTransfers.create(orderData);
+  }
+
+  /**
+   * Attach a transfer receipt to the user's latest unpaid manual transfer
+   * @param {String} userId - Chat ID
+   * @param {Object} proof - { fileId, type }
+   * @returns {Promise<Object>} { success, error?, trx, replaced }
+   */
+  async attachTransferProof(userId, proof) {
+    return await this.manualTransfers.attachProof(userId, proof);
+  }
+
+  /**
+   * Approve a manual transfer (admin action)
+   * @param {String} merchantRef
+   * @returns {Promise<Object>} { success, error?, trx, oldStatus, newStatus }
+   */
+  async approveManualTransfer(merchantRef) {
+    return await this.manualTransfers.approve(merchantRef);
+  }
+
+  /**
+   * Reject a manual transfer (admin action)
+   * @param {String} merchantRef
+   * @returns {Promise<Object>} { success, error?, trx, oldStatus, newStatus }
+   */
+  async rejectManualTransfer(merchantRef) {
+    return await this.manualTransfers.reject(merchantRef);
+  }
+
+  /**
+   * Wallet balance of a user
+   * @param {String} userId - Chat ID
+   * @returns {Promise<BigInt|null>} null if the wallet is not configured
+   */
+  async getWalletBalance(userId) {
+    if (!this.wallet) return null;
+    return await this.wallet.getBalance(userId);
+  }
+
+  /**
+   * Recent wallet ledger entries of a user
+   * @param {String} userId - Chat ID
+   * @param {Number} limit
+   */
+  async getWalletHistory(userId, limit = WALLET.HISTORY_LIMIT) {
+    if (!this.wallet) return [];
+    return await this.wallet.getHistory(userId, limit);
+  }
+
+  isWalletEnabled() {
+    return !!this.wallet;
   }
 
   /**
@@ -331,71 +479,218 @@ export class PaymentService {
     return await this.syncService.sync(merchantRef);
   }
 
+  /**
+   * Gateway's view of a transaction without syncing it (nightly settlement)
+   * @param {Object} trx - Transaction record
+   * @returns {Promise<Object|null>} { status, amount } or null for balance / manual transfer payments
+   * @throws {Error} When the gateway did not answer
+   */
+  async getGatewayStatus(trx) {
+    return await this.syncService.fetchStatus(trx);
+  }
+
+  /**
+   * Transactions each gateway recorded in a period (nightly settlement)
+   * @param {Date} from - Start (inclusive)
+   * @param {Date} to - End (exclusive)
+   * @returns {Promise<Array>} [{ gateway, rows }] (rows null when the gateway did not answer)
+   */
+  async listGatewayPayments(from, to) {
+    return await this.syncService.listPayments(from, to);
+  }
+
   /**
    * Handle incoming callback from payment gateway
-   * Logic: Sync status, and determine if notification is needed
-   * @returns {Object} { statusChanged: boolean, trx: object, oldStatus: string }
+   * Logic: Sync status, and determine if notification is needed.
+   * Fulfillment is queued only by the call that performed the PAID transition.
+   * @returns {Object} { statusChanged: boolean, trx: object, oldStatus: string, newStatus: string }
    */
   async handleCallback(merchantRef) {
-    const oldTrx = await this.trxRepo.findByRef(merchantRef) || await this.trxRepo.findByTrxId(merchantRef);
-    const oldStatus = oldTrx?.status || 'UNPAID';
-
-    const updatedTrx = await this.syncTransaction(merchantRef);
+    // Compare-and-set inside sync: only one concurrent delivery observes the transition
+    const { trx: updatedTrx, oldStatus, statusChanged } = await this.syncService.syncWithResult(merchantRef);
     const newStatus = updatedTrx?.status || 'UNPAID';
 
-    const result = {
-      statusChanged: oldStatus !== newStatus,
+    return await this._afterPaid({
+      statusChanged,
       trx: updatedTrx,
-      oldStatus,
+      oldStatus: oldStatus || 'UNPAID',
       newStatus
-    };
+    });
+  }
 
-    // Auto-fulfillment bridge
-    if (result.statusChanged && newStatus === 'PAID') {
-      logger.info(`[PaymentService] Triggering auto-fulfillment for ${merchantRef}`);
-      this.fulfillGameOrder(updatedTrx).catch(err => {
-        logger.error(`[PaymentService] Fulfillment failed for ${merchantRef}: ${err.message}`);
-      });
+  /**
+   * Post-payment step shared by gateway callbacks and approved manual transfers
+   * Runs only for the call that performed the PAID transition.
+   * @private
+   */
+  async _afterPaid(result) {
+    const { trx } = result;
+    if (!result.statusChanged || result.newStatus !== PAYMENT_STATUS.PAID) return result;
+
+    // Switched invoice: the order may already be paid through another invoice of the chain
+    const duplicate = await this.switches.checkChain(result);
+    if (duplicate) return duplicate;
+
+    // Deposit: credit the wallet right away (the queue retries if this fails)
+    if (trx.type === TRANSACTION_TYPE.DEPOSIT) {
+      const credited = await this.deposits.creditNow(trx);
+      if (credited) {
+        return { ...result, trx: credited.trx, newStatus: credited.trx.status, balance: credited.balance };
+      }
+      return result;
     }
 
+    // Membership: apply the tier right away (the queue retries if this fails)
+    if (trx.type === TRANSACTION_TYPE.MEMBERSHIP) {
+      const activated = await this.memberships.activateNow(trx);
+      return activated ? { ...result, trx: activated.trx, newStatus: activated.trx.status } : result;
+    }
+
+    // Auto-fulfillment bridge (durable queue)
+    logger.info(`[PaymentService] Triggering auto-fulfillment for ${trx.merchantRef}`);
+    await this.enqueueFulfillment(trx.merchantRef);
     return result;
   }
 
   /**
-   * Orchestrate game delivery
-   * @private
+   * Queue a paid transaction for fulfillment and kick the worker
+   * Falls back to direct (fire-and-forget) fulfillment if the queue is not wired.
+   * @param {String} merchantRef
    */
-  async fulfillGameOrder(trx) {
-    if (!this.gameProviderService) {
-      logger.warn('[PaymentService] fulfillGameOrder skipped: GameProviderService not injected');
+  async enqueueFulfillment(merchantRef) {
+    if (!this.fulfillmentQueue) {
+      logger.warn('[PaymentService] Fulfillment queue not injected, running fire-and-forget');
+      const trx = await this.trxRepo.findByRef(merchantRef);
+      this.gameOrders.fulfill(trx).catch(err => {
+        logger.error(`[PaymentService] Fulfillment failed for ${merchantRef}: ${err.message}`);
+      });
       return;
     }
 
-    if (!trx.gameCode || !trx.serviceCode || !trx.playerId) {
-      logger.warn(`[PaymentService] fulfillGameOrder skipped: Missing delivery data for ${trx.merchantRef}`);
-      return;
-    }
+    await this.fulfillmentQueue.enqueue(merchantRef);
+    this._kickFulfillmentQueue();
+  }
 
-    const orderData = {
-      serviceId: trx.serviceCode,
-      playerId: trx.playerId,
-      zoneId: trx.zoneId,
-      merchantRef: trx.merchantRef
-    };
+  /**
+   * Queue a transaction again with a fresh set of attempts (admin re-fulfillment)
+   * @param {String} merchantRef
+   */
+  async requeueFulfillment(merchantRef) {
+    if (!this.fulfillmentQueue) return await this.enqueueFulfillment(merchantRef);
 
-    logger.info(`[PaymentService] Sending order to provider: ${trx.merchantRef} (${trx.item})`);
-    const result = await this.gameProviderService.createOrder(orderData);
+    await this.fulfillmentQueue.requeue(merchantRef);
+    this._kickFulfillmentQueue();
+  }
 
-    if (result.success) {
-      logger.info(`[PaymentService] Provider accepted order: ${trx.merchantRef}. OrderID: ${result.orderId}`);
-      if (result.orderId) {
-        await this.trxRepo.update(trx.merchantRef, {
-          trxId: result.orderId
-        });
-      }
-    } else {
-      logger.error(`[PaymentService] Provider rejected order: ${trx.merchantRef} - ${result.message}`);
+  /**
+   * Don't wait for the next worker tick; the job is persisted either way
+   * @private
+   */
+  _kickFulfillmentQueue() {
+    this.processFulfillmentQueue().catch(err => {
+      logger.error(`[PaymentService] Fulfillment queue kick failed: ${err.message}`);
+    });
+  }
+
+  /**
+   * Get the fulfillment job of a transaction (null if queue not wired)
+   * @param {String} merchantRef
+   */
+  async getFulfillmentJob(merchantRef) {
+    if (!this.fulfillmentQueue) return null;
+    return await this.fulfillmentQueue.getJob(merchantRef);
+  }
+
+  /**
+   * Manually re-run fulfillment (admin action)
+   * @param {String} merchantRef
+   * @returns {Promise<Object>} { success, error?, trx, oldStatus }
+   */
+  async refulfillTransaction(merchantRef) {
+    return await this.transactionAdmin.refulfill(merchantRef);
+  }
+
+  /**
+   * Force a transaction status (admin action)
+   * @param {String} merchantRef
+   * @param {String} status - One of PAYMENT_STATUS
+   * @returns {Promise<Object>} { success, error?, trx, oldStatus, newStatus }
+   */
+  async forceTransactionStatus(merchantRef, status) {
+    return await this.transactionAdmin.forceStatus(merchantRef, status);
+  }
+
+  /**
+   * Mark a paid transaction as refunded (admin action)
+   * @param {String} merchantRef
+   * @returns {Promise<Object>} { success, error?, trx, oldStatus, resolved? }
+   */
+  async refundTransaction(merchantRef) {
+    return await this.transactionAdmin.refund(merchantRef);
+  }
+
+  /**
+   * Run one fulfillment worker tick (called by BotCore background task)
+   * @returns {Promise<Object>} { processed, done, retried, dead }
+   */
+  async processFulfillmentQueue() {
+    if (!this.fulfillmentQueue) return { processed: 0, done: 0, retried: 0, dead: 0 };
+    return await this.fulfillmentQueue.processDue();
+  }
+
+  /**
+   * Register handler for permanently failed fulfillment (dead-letter)
+   * Transaction is marked DELIVERY_FAILED before the handler is called.
+   * @param {Function} handler - async (job, trx, error) => void
+   */
+  setFulfillmentDeadLetterHandler(handler) {
+    if (!this.fulfillmentQueue) return;
+
+    this.fulfillmentQueue.setDeadLetterHandler(async (job, trx, error) => {
+      await handler(job, trx && await this._markDeliveryFailed(trx), error);
+    });
+  }
+
+  /**
+   * Move a dead-lettered order to DELIVERY_FAILED unless it moved on meanwhile
+   * (e.g. a provider callback delivered it)
+   * @private
+   * @returns {Promise<Object>} Current transaction
+   */
+  async _markDeliveryFailed(trx) {
+    const failed = DEAD_LETTER_FROM.includes(trx.status)
+      && await this.trxRepo.updateIfStatus(trx.merchantRef, trx.status, { status: PAYMENT_STATUS.DELIVERY_FAILED });
+    if (!failed) logger.warn(`[PaymentService] Dead-lettered ${trx.merchantRef} left as is (status changed)`);
+    return await this.trxRepo.findByRef(trx.merchantRef);
+  }
+
+  /**
+   * Fulfill a paid transaction (fulfillment queue entry point)
+   * Deposits are credited to the wallet, memberships set the user tier,
+   * orders go to the game provider.
+   * @private
+   */
+  async fulfillTransaction(trx) {
+    if (trx.type === TRANSACTION_TYPE.MEMBERSHIP) {
+      return await this.memberships.fulfill(trx);
+    }
+
+    if (trx.type === TRANSACTION_TYPE.DEPOSIT) {
+      return await this.deposits.fulfill(trx);
     }
+
+    return await this.gameOrders.fulfill(trx);
+  }
+
+  /**
+   * Handle incoming callback from game provider
+   * @param {String} providerOrderId - Provider order ID (stored in providerOrderId after fulfillment)
+   * @param {String} providerStatus - Raw provider status
+   * @param {String} serialNumber - SN / voucher code from provider
+   * @returns {Object} { statusChanged: boolean, trx: object, oldStatus: string, newStatus: string }
+   */
+  async handleProviderCallback(providerOrderId, providerStatus, serialNumber = null) {
+    return await this.gameOrders.handleProviderCallback(providerOrderId, providerStatus, serialNumber);
   }
 
   /**
@@ -407,6 +702,18 @@ export class PaymentService {
     return await this.trxRepo.findByUserId(userId, limit);
   }
 
+  /**
+   * Get a transaction owned by the user
+   * @param {String} userId - Telegram ID
+   * @param {String} merchantRef
+   * @returns {Promise<Object|null>} null if not found or owned by someone else
+   */
+  async getUserTransaction(userId, merchantRef) {
+    const trx = await this.trxRepo.findByRef(merchantRef);
+    if (!trx || trx.userId !== String(userId)) return null;
+    return trx;
+  }
+
   /**
    * Prepare data for Reprint/Invoice display
    */
@@ -0,0 +1,210 @@
+import logger from './Logger.js';
+import { PRICING_SCOPE, PRICING_ENGINE, MEMBERSHIP, MEMBERSHIP_TIER } from '../config/constants.js';
+
+// Most specific scope first
+const SCOPE_PRECEDENCE = [PRICING_SCOPE.SERVICE, PRICING_SCOPE.CATEGORY, PRICING_SCOPE.BRAND, PRICING_SCOPE.GLOBAL];
+
+/**
+ * PricingService
+ * Responsibility: Turn a provider cost (GameService.priceBasic) into the sell price.
+ *
+ * A rule adds a percent and/or flat markup, enforces a minimum margin and rounds
+ * the result up (e.g. to Rp 100). The most specific active rule wins:
+ * SERVICE > CATEGORY > BRAND > GLOBAL > default rule from config (AppConfig.pricing).
+ * Rules are cached for PRICING_ENGINE.RULE_CACHE_MS; admin edits invalidate the cache.
+ *
+ * Membership tiers get the same rule applied to their own provider price column
+ * (MEMBERSHIP.PRICE_COLUMN), never below provider cost + minimum margin and never
+ * above the member price.
+ */
+export class PricingService {
+    /**
+     * @param {PricingRuleRepositoryPort} pricingRuleRepository - Rule persistence
+     * @param {Object} defaultRule - { markupPercent, markupFlat, roundTo, minMargin } used without a GLOBAL rule
+     */
+    constructor(pricingRuleRepository = null, defaultRule = {}) {
+        this.ruleRepo = pricingRuleRepository;
+        this.defaultRule = { scope: PRICING_SCOPE.GLOBAL, target: '', isDefault: true, ...defaultRule };
+
+        this._rules = null;
+        this._rulesLoadedAt = 0;
+    }
+
+    /**
+     * Price one service
+     * @param {Object} service - GameService row (priceBasic, pricePremium, priceSpecial, code, category, brand?)
+     * @param {String} [brandCode] - Brand code when the row has no brand relation loaded
+     * @param {String} [tier] - Buyer's membership tier
+     * @returns {Promise<Object>} { cost, price, memberPrice, savings, margin, rule, tier }
+     */
+    async price(service, brandCode = null, tier = MEMBERSHIP_TIER.MEMBER) {
+        const rules = await this._getRules();
+        return this._priceWith(rules, service, brandCode, tier);
+    }
+
+    /**
+     * Price a list of services of one brand (single rule lookup)
+     * @returns {Promise<Array>} [{ cost, price, memberPrice, savings, margin, rule, tier }] in input order
+     */
+    async priceAll(services, brandCode = null, tier = MEMBERSHIP_TIER.MEMBER) {
+        const rules = await this._getRules();
+        return services.map(service => this._priceWith(rules, service, brandCode, tier));
+    }
+
+    /**
+     * Apply a rule to a cost (BigInt rupiah)
+     * cost + ceil(cost * percent / 100) + flat, at least cost + minMargin, rounded up to roundTo.
+     * A zero cost stays zero (product without a price is not for sale).
+     *
+     * @param {BigInt|Number} cost - Price the markup is applied to (provider cost or tier column)
+     * @param {Object} rule - { markupPercent, markupFlat, roundTo, minMargin }
+     * @param {BigInt|Number} [floorCost] - Actual provider cost the minimum margin is measured from
+     * @returns {BigInt} Sell price
+     */
+    computeSellPrice(cost, rule, floorCost = cost) {
+        const base = BigInt(cost || 0);
+        if (base <= 0n || !rule) return base;
+
+        const percent = Number(rule.markupPercent || 0);
+        const percentMarkup = percent > 0 ? BigInt(Math.ceil(Number(base) * percent / 100)) : 0n;
+        let sell = base + percentMarkup + BigInt(rule.markupFlat || 0);
+
+        const minPrice = BigInt(floorCost || 0) + BigInt(rule.minMargin || 0);
+        if (sell < minPrice) sell = minPrice;
+
+        const roundTo = BigInt(rule.roundTo || 0);
+        if (roundTo > 0n && sell % roundTo !== 0n) {
+            sell += roundTo - (sell % roundTo);
+        }
+
+        return sell;
+    }
+
+    /**
+     * Every stored rule (including inactive), for the admin listing
+     */
+    async listRules() {
+        if (!this.ruleRepo) return [];
+        return await this.ruleRepo.findAll();
+    }
+
+    /**
+     * Create or replace the rule of a scope/target
+     * @param {Object} rule - { scope, target, markupPercent, markupFlat, roundTo, minMargin }
+     */
+    async setRule(rule) {
+        this._assertRepository();
+        const saved = await this.ruleRepo.upsert({ ...rule, target: this._normalizeTarget(rule.scope, rule.target) });
+        this.invalidate();
+        return saved;
+    }
+
+    /**
+     * Delete the rule of a scope/target
+     * @returns {Promise<Boolean>} false if no such rule
+     */
+    async deleteRule(scope, target) {
+        this._assertRepository();
+        const deleted = await this.ruleRepo.delete(scope, this._normalizeTarget(scope, target));
+        this.invalidate();
+        return deleted;
+    }
+
+    /**
+     * Expire cached rules (next price lookup reloads them; they stay the fallback if that fails)
+     */
+    invalidate() {
+        this._rulesLoadedAt = 0;
+    }
+
+    /**
+     * @private
+     */
+    _priceWith(rules, service, brandCode, tier) {
+        const cost = BigInt(service?.priceBasic || 0);
+        const rule = this._resolveRule(rules, service, brandCode || service?.brand?.code);
+        const memberPrice = this.computeSellPrice(cost, rule);
+
+        let price = memberPrice;
+        const tierBase = BigInt(service?.[MEMBERSHIP.PRICE_COLUMN[tier]] || 0);
+        if (tier !== MEMBERSHIP_TIER.MEMBER && tierBase > 0n && cost > 0n) {
+            const tierPrice = this.computeSellPrice(tierBase, rule, cost);
+            if (tierPrice < memberPrice) price = tierPrice;
+        }
+
+        return { cost, price, memberPrice, savings: memberPrice - price, margin: price - cost, rule, tier };
+    }
+
+    /**
+     * Most specific matching rule, falling back to the configured default
+     * @private
+     */
+    _resolveRule(rules, service, brandCode) {
+        const targets = {
+            [PRICING_SCOPE.SERVICE]: service?.code,
+            [PRICING_SCOPE.CATEGORY]: service?.category,
+            [PRICING_SCOPE.BRAND]: brandCode,
+            [PRICING_SCOPE.GLOBAL]: ''
+        };
+
+        for (const scope of SCOPE_PRECEDENCE) {
+            const target = targets[scope];
+            if (target === undefined || target === null) continue;
+            const rule = rules.get(this._key(scope, target));
+            if (rule) return rule;
+        }
+
+        return this.defaultRule;
+    }
+
+    /**
+     * Active rules keyed by scope/target (cached)
+     * @private
+     */
+    async _getRules() {
+        if (this._rules && Date.now() - this._rulesLoadedAt < PRICING_ENGINE.RULE_CACHE_MS) {
+            return this._rules;
+        }
+
+        const rules = new Map();
+        if (this.ruleRepo) {
+            try {
+                for (const rule of await this.ruleRepo.findActive()) {
+                    rules.set(this._key(rule.scope, rule.target), rule);
+                }
+            } catch (error) {
+                // Keep selling with the last known rules rather than at cost
+                logger.error(`[PricingService] Failed to load pricing rules: ${error.message}`);
+                if (this._rules) return this._rules;
+            }
+        }
+
+        this._rules = rules;
+        this._rulesLoadedAt = Date.now();
+        return rules;
+    }
+
+    /**
+     * Targets match case-insensitively (brand codes and categories come from the provider sync)
+     * @private
+     */
+    _key(scope, target) {
+        return `${scope}:${String(target || '').trim().toLowerCase()}`;
+    }
+
+    /**
+     * @private
+     */
+    _normalizeTarget(scope, target) {
+        if (scope === PRICING_SCOPE.GLOBAL) return '';
+        const value = String(target || '').trim();
+        return scope === PRICING_SCOPE.BRAND ? value.toUpperCase() : value;
+    }
+
+    /**
+     * @private
+     */
+    _assertRepository() {
+        if (!this.ruleRepo) throw new Error('PricingService requires a pricing rule repository');
+    }
+}
@@ -0,0 +1,198 @@
+import logger from './Logger.js';
+import { PROMO, PROMO_DISCOUNT_TYPE } from '../config/constants.js';
+
+/**
+ * PromoService
+ * Responsibility: Promo codes redeemed at checkout.
+ * - Validate a code against an order (active, validity window, minimum order,
+ *   game/service restriction, global and per-user usage caps)
+ * - Compute the discount on the sell price (the channel fee is charged on the rest)
+ * - Admin management (create/replace, enable/disable, delete)
+ *
+ * A promo with an ownerId (referral voucher) can only be redeemed by that chat ID
+ * and is left out of the admin listing.
+ *
+ * A redemption is claimed atomically when the order's transaction is created
+ * (global and per-user counters); orders that end EXPIRED/FAILED/REFUNDED give
+ * it back (sweep).
+ */
+export class PromoService {
+    /**
+     * @param {PromoCodeRepositoryPort} promoCodeRepository - Promo persistence
+     * @param {TransactionRepositoryPort} transactionRepository - Cancelled orders holding a redemption (sweep)
+     */
+    constructor(promoCodeRepository, transactionRepository = null) {
+        this.promoRepo = promoCodeRepository;
+        this.trxRepo = transactionRepository;
+    }
+
+    /**
+     * Check a code against an order and compute its discount
+     * @param {String} code - Code as typed by the user
+     * @param {Object} order - { userId, game, serviceCode, amount } (amount = sell price before fee)
+     * @returns {Promise<Object>} { success, promo, discount } or { success: false, error, promo? }
+     */
+    async validate(code, { userId = null, game = null, serviceCode = null, amount = 0 } = {}) {
+        const normalized = this.normalizeCode(code);
+        if (!PROMO.CODE_PATTERN.test(normalized)) return { success: false, error: 'NOT_FOUND' };
+
+        const promo = await this.promoRepo.findByCode(normalized);
+        if (!promo || !promo.isActive) return { success: false, error: 'NOT_FOUND' };
+        if (promo.ownerId && promo.ownerId !== String(userId)) return { success: false, error: 'NOT_FOUND' };
+
+        const now = new Date();
+        if (promo.startsAt && now < new Date(promo.startsAt)) return { success: false, error: 'NOT_STARTED', promo };
+        if (promo.endsAt && now > new Date(promo.endsAt)) return { success: false, error: 'EXPIRED', promo };
+
+        const base = BigInt(amount || 0);
+        if (base < BigInt(promo.minOrder || 0)) return { success: false, error: 'MIN_ORDER', promo };
+        if (!this._appliesTo(promo, game, serviceCode)) return { success: false, error: 'NOT_APPLICABLE', promo };
+
+        const capError = await this._capReached(promo, userId);
+        if (capError) return { success: false, error: capError, promo };
+
+        const discount = this.computeDiscount(promo, base);
+        if (discount <= 0n) return { success: false, error: 'NOT_APPLICABLE', promo };
+
+        return { success: true, promo, discount };
+    }
+
+    /**
+     * Discount of a promo on a sell price (BigInt rupiah, never more than the price)
+     * PERCENT rounds down and is capped by maxDiscount; FLAT is the value itself.
+     * @param {Object} promo - { discountType, discountValue, maxDiscount }
+     * @param {BigInt|Number} amount - Sell price before the channel fee
+     * @returns {BigInt}
+     */
+    computeDiscount(promo, amount) {
+        const base = BigInt(amount || 0);
+        if (base <= 0n) return 0n;
+
+        let discount;
+        if (promo.discountType === PROMO_DISCOUNT_TYPE.PERCENT) {
+            discount = BigInt(Math.floor(Number(base) * Number(promo.discountValue || 0) / 100));
+            if (promo.maxDiscount !== null && promo.maxDiscount !== undefined && discount > BigInt(promo.maxDiscount)) {
+                discount = BigInt(promo.maxDiscount);
+            }
+        } else {
+            discount = BigInt(Math.floor(Number(promo.discountValue || 0)));
+        }
+
+        return discount > base ? base : discount;
+    }
+
+    /**
+     * Take one redemption for an order
+     * @param {String} code
+     * @param {String} userId
+     * @returns {Promise<String|null>} Refusal reason (NOT_FOUND, LIMIT_REACHED, USER_LIMIT_REACHED), null when claimed
+     */
+    async claim(code, userId) {
+        const refusal = await this.promoRepo.claim(this.normalizeCode(code), String(userId));
+        if (refusal) logger.info(`[PromoService] Claim on ${code} by ${userId} refused (${refusal})`);
+        return refusal;
+    }
+
+    /**
+     * Give back a redemption whose order was never created
+     * @param {String} code
+     * @param {String} userId
+     */
+    async release(code, userId) {
+        return await this.promoRepo.release(this.normalizeCode(code), String(userId));
+    }
+
+    /**
+     * Give back the redemptions of cancelled orders (background task)
+     * @returns {Promise<Number>} Redemptions given back
+     */
+    async sweep() {
+        if (!this.trxRepo) return 0;
+
+        const since = new Date(Date.now() - PROMO.RELEASE_LOOKBACK_MS);
+        const cancelled = await this.trxRepo.findPromoClaims(PROMO.RELEASE_STATUSES, since);
+
+        let released = 0;
+        for (const trx of cancelled) {
+            try {
+                if (await this.promoRepo.releaseOrder(trx.merchantRef, trx.promoCode, trx.userId)) released++;
+            } catch (error) {
+                logger.error(`[PromoService] Release of ${trx.merchantRef} failed: ${error.message}`);
+            }
+        }
+        return released;
+    }
+
+    /**
+     * Every shared promo (with its `used` counter), for the admin listing
+     * @returns {Promise<Array>}
+     */
+    async list() {
+        return (await this.promoRepo.findAll()).filter(promo => !promo.ownerId);
+    }
+
+    /**
+     * Create or replace a promo (codes and restrictions are stored upper-case)
+     * @param {Object} promo - See PromoCodeRepositoryPort.upsert
+     */
+    async save(promo) {
+        const saved = await this.promoRepo.upsert({
+            ...promo,
+            code: this.normalizeCode(promo.code),
+            games: (promo.games || []).map(game => game.toUpperCase()),
+            services: (promo.services || []).map(service => service.toUpperCase())
+        });
+        logger.info(`[PromoService] Promo ${saved.code} saved (${saved.discountType} ${saved.discountValue})`);
+        return saved;
+    }
+
+    /**
+     * Enable or disable a promo
+     * @returns {Promise<Object|null>} null if no such promo
+     */
+    async setActive(code, isActive) {
+        return await this.promoRepo.setActive(this.normalizeCode(code), isActive);
+    }
+
+    /**
+     * Delete a promo
+     * @returns {Promise<Boolean>} false if no such promo
+     */
+    async delete(code) {
+        return await this.promoRepo.delete(this.normalizeCode(code));
+    }
+
+    /**
+     * Codes are matched case-insensitively
+     * @param {String} code
+     * @returns {String}
+     */
+    normalizeCode(code) {
+        return String(code || '').trim().toUpperCase();
+    }
+
+    /**
+     * Caps are only previewed here: the redemption itself is claimed with the order (claim)
+     * @private
+     * @returns {Promise<String|null>} LIMIT_REACHED, USER_LIMIT_REACHED or null
+     */
+    async _capReached(promo, userId) {
+        if (promo.usageLimit !== null && promo.usageLimit !== undefined && promo.used >= promo.usageLimit) return 'LIMIT_REACHED';
+        if (promo.perUserLimit === null || promo.perUserLimit === undefined || !userId) return null;
+
+        const usage = await this.promoRepo.findUsage(promo.code, String(userId));
+        return (usage?.used || 0) >= promo.perUserLimit ? 'USER_LIMIT_REACHED' : null;
+    }
+
+    /**
+     * Empty restriction lists mean "every game" / "every product"
+     * @private
+     */
+    _appliesTo(promo, game, serviceCode) {
+        const games = promo.games || [];
+        const services = promo.services || [];
+        if (games.length > 0 && !games.includes(String(game || '').toUpperCase())) return false;
+        if (services.length > 0 && !services.includes(String(serviceCode || '').toUpperCase())) return false;
+        return true;
+    }
+}
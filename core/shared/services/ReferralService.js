@@ -0,0 +1,215 @@
+import crypto from 'crypto';
+import logger from './Logger.js';
+import { WalletService } from './WalletService.js';
+import { REFERRAL, REFERRAL_REWARD_TYPE, TRANSACTION_TYPE, PROMO_DISCOUNT_TYPE } from '../config/constants.js';
+
+/**
+ * ReferralService
+ * Responsibility: Invite links and referral rewards.
+ * - Per-user referral code and deep link (t.me/<bot>?start=ref_<code>)
+ * - Attribution of a new user to the referrer whose link started the bot
+ * - One reward per referred user, paid when their first order is delivered:
+ *   balance credit (ledger entry REFERRAL) or a single-use voucher only the referrer can redeem
+ *
+ * The reward is claimed on the referred user (User.referralPaidAt) before it is
+ * paid, so concurrent deliveries reward the referrer exactly once.
+ */
+export class ReferralService {
+    /**
+     * @param {UserRepositoryPort} userRepository - Referral code, attribution and reward state
+     * @param {WalletRepositoryPort} walletRepository - Balance credit (CREDIT rewards)
+     * @param {PromoService} promoService - Voucher creation (VOUCHER rewards)
+     * @param {Object} config - { botUsername, rewardType, rewardAmount, minOrder, voucherDays }
+     */
+    constructor(userRepository, walletRepository = null, promoService = null, config = {}) {
+        this.userRepo = userRepository;
+        this.wallet = walletRepository ? new WalletService(walletRepository) : null;
+        this.promo = promoService;
+
+        this.botUsername = String(config.botUsername || '').replace(/^@/, '');
+        this.rewardType = config.rewardType || REFERRAL_REWARD_TYPE.CREDIT;
+        this.rewardAmount = BigInt(config.rewardAmount || 0);
+        this.minOrder = BigInt(config.minOrder || 0);
+        this.voucherDays = config.voucherDays || 0;
+
+        this._rewardHandler = null;
+    }
+
+    /**
+     * Program is on when the bot username (for links) and a reward are configured
+     * @returns {Boolean}
+     */
+    isEnabled() {
+        if (!this.botUsername || this.rewardAmount <= 0n) return false;
+        return this.rewardType === REFERRAL_REWARD_TYPE.VOUCHER ? !!this.promo : !!this.wallet;
+    }
+
+    /**
+     * Register the notifier called after a reward is paid
+     * @param {Function} handler - async (reward) => void
+     */
+    setRewardHandler(handler) {
+        this._rewardHandler = handler;
+    }
+
+    /**
+     * Invite link, code and counters of a user
+     * @param {String} userId - Chat ID
+     * @returns {Promise<Object|null>} { code, link, referred, rewarded, earned, rewardType, rewardAmount, minOrder } or null for unknown users
+     */
+    async getStatus(userId) {
+        const user = await this.userRepo.findByChatId(String(userId));
+        if (!user) return null;
+
+        const code = await this.getOrCreateCode(user);
+        const stats = await this.userRepo.getReferralStats(user.id);
+
+        return {
+            code,
+            link: this.buildLink(code),
+            ...stats,
+            rewardType: this.rewardType,
+            rewardAmount: this.rewardAmount,
+            minOrder: this.minOrder
+        };
+    }
+
+    /**
+     * Referral code of a user, generated on first use
+     * @param {User} user
+     * @returns {Promise<String>}
+     */
+    async getOrCreateCode(user) {
+        if (user.referralCode) return user.referralCode;
+
+        for (let attempt = 1; attempt <= REFERRAL.CODE_RETRIES; attempt++) {
+            const code = this._generateCode();
+            try {
+                await this.userRepo.update(user.id, { referralCode: code });
+                return code;
+            } catch (error) {
+                // Unique collision: try another code
+                if (error.code !== 'P2002' || attempt === REFERRAL.CODE_RETRIES) throw error;
+            }
+        }
+        return null;
+    }
+
+    /**
+     * @param {String} code - Referral code
+     * @returns {String} Telegram deep link
+     */
+    buildLink(code) {
+        return `https://t.me/${this.botUsername}?start=${REFERRAL.START_PREFIX}${code}`;
+    }
+
+    /**
+     * Referral code carried by a /start payload
+     * @param {String} payload - Text after /start (e.g. "ref_AB12CD34")
+     * @returns {String|null}
+     */
+    parseStartPayload(payload) {
+        const value = String(payload || '').trim();
+        if (!value.startsWith(REFERRAL.START_PREFIX)) return null;
+
+        const code = value.slice(REFERRAL.START_PREFIX.length).toUpperCase();
+        return REFERRAL.CODE_PATTERN.test(code) ? code : null;
+    }
+
+    /**
+     * Link a freshly registered user to the referrer of the /start payload
+     * Already referred users and self-referrals are left unchanged.
+     * @param {User} user - New user
+     * @param {String} payload - /start payload
+     * @returns {Promise<User>} Updated user (or the same user if not attributed)
+     */
+    async attribute(user, payload) {
+        const code = this.parseStartPayload(payload);
+        if (!code || user.referredById) return user;
+
+        const referrer = await this.userRepo.findByReferralCode(code);
+        if (!referrer || referrer.id === user.id) return user;
+
+        const updated = await this.userRepo.update(user.id, { referredById: referrer.id, referredAt: new Date() });
+        logger.info(`[ReferralService] User ${user.telegramId} referred by ${referrer.telegramId} (${code})`);
+        return updated;
+    }
+
+    /**
+     * Reward the referrer when a referred user's first order is delivered
+     * Orders below the minimum order value do not count.
+     * @param {Object} trx - Delivered ORDER transaction
+     * @returns {Promise<Object|null>} { referrer, referee, trx, type, amount, balance?, voucher? } or null if nothing was paid
+     */
+    async rewardFirstDelivery(trx) {
+        if (!this.isEnabled() || !trx) return null;
+        if (trx.type && trx.type !== TRANSACTION_TYPE.ORDER) return null;
+        if (BigInt(trx.basePrice ?? trx.amount ?? 0) < this.minOrder) return null;
+
+        const referee = await this.userRepo.findByChatId(String(trx.userId));
+        if (!referee?.referredById || referee.referralPaidAt) return null;
+
+        const referrer = await this.userRepo.findById(referee.referredById);
+        if (!referrer) return null;
+
+        if (!await this.userRepo.claimReferralReward(referee.id, this.rewardAmount)) return null;
+
+        let reward;
+        try {
+            reward = await this._payReward(referrer, referee, trx);
+        } catch (error) {
+            await this.userRepo.releaseReferralReward(referee.id);
+            throw error;
+        }
+
+        logger.info(`[ReferralService] Referrer ${referrer.chatId} rewarded ${reward.type} ${this.rewardAmount} for ${referee.chatId} (${trx.merchantRef})`);
+
+        if (this._rewardHandler) {
+            try {
+                await this._rewardHandler(reward);
+            } catch (error) {
+                logger.error(`[ReferralService] Reward notification failed: ${error.message}`);
+            }
+        }
+        return reward;
+    }
+
+    /**
+     * @private
+     */
+    async _payReward(referrer, referee, trx) {
+        const reward = { referrer, referee, trx, type: this.rewardType, amount: this.rewardAmount };
+
+        if (this.rewardType === REFERRAL_REWARD_TYPE.VOUCHER) {
+            const endsAt = this.voucherDays > 0 ? new Date(Date.now() + this.voucherDays * 24 * 60 * 60 * 1000) : null;
+            reward.voucher = await this.promo.save({
+                code: `${REFERRAL.VOUCHER_PREFIX}${this._generateCode()}`,
+                discountType: PROMO_DISCOUNT_TYPE.FLAT,
+                discountValue: Number(this.rewardAmount),
+                usageLimit: 1,
+                perUserLimit: 1,
+                endsAt,
+                ownerId: String(referrer.chatId),
+                createdBy: 'referral'
+            });
+            return reward;
+        }
+
+        const credited = await this.wallet.creditReferralReward({
+            userId: referrer.chatId,
+            amount: this.rewardAmount,
+            merchantRef: trx.merchantRef,
+            note: `Referral ${referee.username ? `@${referee.username}` : referee.chatId}`
+        });
+        reward.balance = credited?.balance ?? null;
+        return reward;
+    }
+
+    /**
+     * @private
+     */
+    _generateCode() {
+        const bytes = crypto.randomBytes(REFERRAL.CODE_LENGTH);
+        return Array.from(bytes, byte => REFERRAL.CODE_ALPHABET[byte % REFERRAL.CODE_ALPHABET.length]).join('');
+    }
+}
@@ -0,0 +1,130 @@
+import logger from './Logger.js';
+import { REMINDER } from '../config/constants.js';
+
+/**
+ * ReminderService
+ * Responsibility: Follow-ups for checkouts the user did not finish.
+ * - Expiry reminder: once per unpaid invoice, invoiceLeadMinutes before its expiryDate
+ *   (and not before half of the invoice lifetime, so short-lived QRIS invoices are not
+ *   reminded right after they were created)
+ * - Abandoned-checkout nudge: once per session holding a pending order left idle
+ *   for nudgeIdleMinutes
+ * - Users can turn both off (User.remindersOptOut)
+ *
+ * Every reminder is flagged with a compare-and-set before it is handed out,
+ * so overlapping runs or several instances never send it twice.
+ */
+export class ReminderService {
+    /**
+     * @param {TransactionRepositoryPort} transactionRepository - Unpaid invoices
+     * @param {SessionRepositoryPort} sessionRepository - Pending orders
+     * @param {UserRepositoryPort} userRepository - Opt-out flag
+     * @param {Object} config - { enabled, invoiceLeadMinutes, nudgeIdleMinutes }
+     */
+    constructor(transactionRepository, sessionRepository, userRepository, config = {}) {
+        this.trxRepo = transactionRepository;
+        this.sessionRepo = sessionRepository;
+        this.userRepo = userRepository;
+
+        this.enabled = Boolean(config.enabled);
+        this.invoiceLeadMs = (config.invoiceLeadMinutes || 0) * 60 * 1000;
+        this.nudgeIdleMs = (config.nudgeIdleMinutes || 0) * 60 * 1000;
+    }
+
+    /**
+     * Scheduler is on when enabled and at least one kind of reminder is configured
+     * @returns {Boolean}
+     */
+    isEnabled() {
+        return this.enabled && (this.invoiceLeadMs > 0 || this.nudgeIdleMs > 0);
+    }
+
+    /**
+     * Claim the reminders due now (background task)
+     * @returns {Promise<Object>} { invoices, checkouts } — transactions and sessions to remind
+     */
+    async collectDue() {
+        if (!this.isEnabled()) return { invoices: [], checkouts: [] };
+
+        const now = Date.now();
+        const [invoices, checkouts] = await Promise.all([
+            this.invoiceLeadMs > 0 ? this._dueInvoices(now) : [],
+            this.nudgeIdleMs > 0 ? this._idleCheckouts(now) : []
+        ]);
+        return { invoices, checkouts };
+    }
+
+    /**
+     * Whether a user turned reminders off
+     * @param {String} userId - Chat ID
+     * @returns {Promise<Boolean>}
+     */
+    async isOptedOut(userId) {
+        const optedOut = await this.userRepo.findRemindersOptOut([String(userId)]);
+        return optedOut.length > 0;
+    }
+
+    /**
+     * Turn reminders off or back on for a user
+     * @param {String} userId - Chat ID
+     * @param {Boolean} optOut
+     * @returns {Promise<Boolean>} false if no such user
+     */
+    async setOptOut(userId, optOut) {
+        const saved = await this.userRepo.setRemindersOptOut(String(userId), optOut);
+        if (saved) logger.info(`[ReminderService] Reminders ${optOut ? 'off' : 'on'} for ${userId}`);
+        return saved;
+    }
+
+    /**
+     * Invoices in their reminder window, flagged as reminded
+     * @private
+     */
+    async _dueInvoices(now) {
+        const candidates = await this.trxRepo.findReminderDue(
+            new Date(now + REMINDER.MIN_LEFT_MS),
+            new Date(now + this.invoiceLeadMs),
+            REMINDER.BATCH
+        );
+
+        // Not before half of the invoice lifetime (left for a later run)
+        const due = candidates.filter(trx => {
+            const expiry = new Date(trx.expiryDate).getTime();
+            return expiry - now <= (expiry - new Date(trx.createdAt).getTime()) / 2;
+        });
+        return await this._claim(due, trx => trx.userId, trx => this.trxRepo.markReminderSent(trx.merchantRef));
+    }
+
+    /**
+     * Pending orders idle long enough, flagged as nudged
+     * @private
+     */
+    async _idleCheckouts(now) {
+        const idle = await this.sessionRepo.findIdleCheckouts(
+            new Date(now - this.nudgeIdleMs),
+            new Date(now - REMINDER.NUDGE_MAX_IDLE_MS),
+            REMINDER.BATCH
+        );
+        return await this._claim(idle, session => session.chatId, session => this.sessionRepo.markNudged(session.chatId, session.updatedAt));
+    }
+
+    /**
+     * Flag each item (opted-out users too, so they are not looked at again)
+     * and keep the ones to send
+     * @private
+     */
+    async _claim(items, chatIdOf, mark) {
+        if (items.length === 0) return [];
+        const optedOut = new Set(await this.userRepo.findRemindersOptOut([...new Set(items.map(chatIdOf))]));
+
+        const claimed = [];
+        for (const item of items) {
+            try {
+                if (await mark(item) && !optedOut.has(String(chatIdOf(item)))) claimed.push(item);
+            } catch (error) {
+                logger.error(`[ReminderService] Flagging reminder for ${chatIdOf(item)} failed: ${error.message}`);
+            }
+        }
+        return claimed;
+    }
+}
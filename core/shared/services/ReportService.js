@@ -0,0 +1,338 @@
+import logger from './Logger.js';
+import { ADMIN, REPORT, TRANSACTION_TYPE } from '../config/constants.js';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+// Export ranges are whole days in WIB
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+const MONEY = 'number';
+const TRANSACTION_COLUMNS = [
+    { key: 'merchantRef', header: 'Ref' },
+    { key: 'createdAt', header: 'Dibuat (WIB)' },
+    { key: 'paidAt', header: 'Dibayar (WIB)' },
+    { key: 'status', header: 'Status' },
+    { key: 'type', header: 'Tipe' },
+    { key: 'brand', header: 'Brand' },
+    { key: 'item', header: 'Item' },
+    { key: 'serviceCode', header: 'Kode Layanan' },
+    { key: 'userId', header: 'User' },
+    { key: 'channel', header: 'Channel' },
+    { key: 'gateway', header: 'Gateway' },
+    { key: 'basePrice', header: 'Harga', type: MONEY },
+    { key: 'promoCode', header: 'Promo' },
+    { key: 'discount', header: 'Diskon Promo', type: MONEY },
+    { key: 'pointsDiscount', header: 'Diskon Poin', type: MONEY },
+    { key: 'fee', header: 'Biaya Admin', type: MONEY },
+    { key: 'feeType', header: 'Jenis Biaya' },
+    { key: 'amount', header: 'Total Dibayar', type: MONEY },
+    { key: 'cost', header: 'Modal', type: MONEY },
+    { key: 'margin', header: 'Margin', type: MONEY },
+    { key: 'provider', header: 'Provider' },
+    { key: 'providerOrderId', header: 'Order Provider' }
+];
+const SUMMARY_COLUMNS = [
+    { key: 'orders', header: 'Pesanan', type: MONEY },
+    { key: 'revenue', header: 'Omzet', type: MONEY },
+    { key: 'fee', header: 'Biaya Admin', type: MONEY },
+    { key: 'cost', header: 'Modal', type: MONEY },
+    { key: 'margin', header: 'Margin', type: MONEY },
+    { key: 'unknownCost', header: 'Tanpa Modal', type: MONEY }
+];
+const GROUPS = [
+    { key: 'byBrand', sheet: 'Per Brand', header: 'Brand' },
+    { key: 'byChannel', sheet: 'Per Channel', header: 'Channel' },
+    { key: 'byDay', sheet: 'Per Hari', header: 'Tanggal' }
+];
+
+const CONTENT_TYPES = {
+    xlsx: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
+    csv: 'text/csv; charset=utf-8'
+};
+
+/**
+ * ReportService
+ * Responsibility: Transaction exports and profit summaries for bookkeeping.
+ * - One row per transaction created in a date range (WIB days), all types and statuses,
+ *   with the price breakdown, channel fee, provider cost and margin
+ * - Summaries per brand, per channel and per day over the orders whose money was
+ *   received (REPORT.REVENUE_STATUSES); deposits are left out like in /stats
+ *   (that money is counted when the balance is spent)
+ * - Rendered as XLSX (one workbook) or CSV through SpreadsheetWriterPort
+ *
+ * Margin = price - promo - points - cost. The channel fee goes to the gateway and
+ * is not part of it; rows without a known cost get no margin (counted as "Tanpa Modal").
+ */
+export class ReportService {
+    /**
+     * @param {TransactionRepositoryPort} transactionRepository - Paged transaction reads
+     * @param {SpreadsheetWriterPort} spreadsheetWriter - CSV/XLSX rendering
+     */
+    constructor(transactionRepository, spreadsheetWriter) {
+        this.trxRepo = transactionRepository;
+        this.writer = spreadsheetWriter;
+    }
+
+    /**
+     * Date range of an export (WIB days, both inclusive)
+     * Defaults: from the first day of the current month until today.
+     * @param {String} [fromText] - YYYY-MM-DD
+     * @param {String} [untilText] - YYYY-MM-DD
+     * @returns {Object} { success, range: { from, to, fromDay, untilDay } } or { success: false, error }
+     *   (error: INVALID_DATE, INVALID_RANGE, RANGE_TOO_LONG)
+     */
+    resolveRange(fromText, untilText, now = new Date()) {
+        const today = this._day(now);
+        const fromDay = fromText || `${today.slice(0, 8)}01`;
+        const untilDay = untilText || (fromText && fromText > today ? fromText : today);
+
+        const from = this._dayStart(fromDay);
+        const until = this._dayStart(untilDay);
+        if (!from || !until) return { success: false, error: 'INVALID_DATE' };
+        if (until < from) return { success: false, error: 'INVALID_RANGE' };
+
+        const days = (until - from) / DAY_MS + 1;
+        if (days > REPORT.MAX_RANGE_DAYS) return { success: false, error: 'RANGE_TOO_LONG' };
+
+        return { success: true, range: { from, to: new Date(until.getTime() + DAY_MS), fromDay, untilDay } };
+    }
+
+    /**
+     * Export rows of a range, one page at a time (oldest first)
+     * @param {Object} range - From resolveRange()
+     * @returns {AsyncGenerator<Array<Object>>}
+     */
+    async *streamRows(range) {
+        let after = null;
+        for (;;) {
+            const page = await this.trxRepo.findForExport(range.from, range.to, { after, limit: REPORT.BATCH_SIZE });
+            if (page.length === 0) return;
+
+            yield page.map(trx => this.toRow(trx));
+            if (page.length < REPORT.BATCH_SIZE) return;
+            after = page[page.length - 1].merchantRef;
+        }
+    }
+
+    /**
+     * Whole CSV of a range in chunks (header first), for streaming over HTTP
+     * @param {Object} range - From resolveRange()
+     * @returns {AsyncGenerator<String>}
+     */
+    async *streamCsv(range) {
+        yield this.writer.toCsv({ columns: TRANSACTION_COLUMNS, rows: [] }, { header: true });
+        for await (const rows of this.streamRows(range)) {
+            yield this.writer.toCsv({ columns: TRANSACTION_COLUMNS, rows }, { header: false });
+        }
+    }
+
+    /**
+     * Rows (at most REPORT.MAX_ROWS) and summaries of a range
+     * Summaries always cover the whole range, also when rows were cut off.
+     * @param {Object} range - From resolveRange()
+     * @returns {Promise<Object>} { range, rows, total, truncated, summary: { totals, byBrand, byChannel, byDay } }
+     */
+    async build(range) {
+        const rows = [];
+        const totals = this._bucket('TOTAL');
+        const groups = { byBrand: new Map(), byChannel: new Map(), byDay: new Map() };
+        let total = 0;
+
+        for await (const page of this.streamRows(range)) {
+            for (const row of page) {
+                total++;
+                if (rows.length < REPORT.MAX_ROWS) rows.push(row);
+                if (!this._counts(row)) continue;
+
+                this._add(totals, row);
+                this._add(this._group(groups.byBrand, row.brand || '-'), row);
+                this._add(this._group(groups.byChannel, row.channel || '-'), row);
+                this._add(this._group(groups.byDay, row.createdAt.slice(0, 10)), row);
+            }
+        }
+
+        const sorted = (map, byKey = false) => [...map.values()].sort(byKey
+            ? (a, b) => a.key.localeCompare(b.key)
+            : (a, b) => (b.revenue > a.revenue ? 1 : b.revenue < a.revenue ? -1 : a.key.localeCompare(b.key)));
+
+        if (total > rows.length) logger.warn(`[ReportService] Export ${range.fromDay}..${range.untilDay} cut at ${rows.length} of ${total} rows`);
+        return {
+            range,
+            rows,
+            total,
+            truncated: total > rows.length,
+            summary: {
+                totals,
+                byBrand: sorted(groups.byBrand),
+                byChannel: sorted(groups.byChannel),
+                byDay: sorted(groups.byDay, true)
+            }
+        };
+    }
+
+    /**
+     * Files of a built report
+     * - xlsx: one workbook (Transaksi, Per Brand, Per Channel, Per Hari)
+     * - csv: transactions + summaries (one file each)
+     * @param {Object} report - From build()
+     * @param {String} format - One of REPORT.FORMATS
+     * @returns {Array<Object>} [{ filename, contentType, data: Buffer }]
+     */
+    renderFiles(report, format) {
+        const name = this.fileName(report.range);
+        const transactions = { name: 'Transaksi', columns: TRANSACTION_COLUMNS, rows: report.rows };
+
+        if (format === 'csv') {
+            const summary = {
+                columns: [{ key: 'group', header: 'Ringkasan' }, { key: 'key', header: 'Nama' }, ...SUMMARY_COLUMNS],
+                rows: [
+                    { ...report.summary.totals, group: 'Total' },
+                    ...GROUPS.flatMap(group => report.summary[group.key].map(bucket => ({ ...bucket, group: group.header })))
+                ]
+            };
+            return [
+                { filename: `${name}.csv`, contentType: CONTENT_TYPES.csv, data: Buffer.from(this.writer.toCsv(transactions), 'utf8') },
+                { filename: `${name}_ringkasan.csv`, contentType: CONTENT_TYPES.csv, data: Buffer.from(this.writer.toCsv(summary), 'utf8') }
+            ];
+        }
+
+        const sheets = [
+            transactions,
+            ...GROUPS.map(group => ({
+                name: group.sheet,
+                columns: [{ key: 'key', header: group.header }, ...SUMMARY_COLUMNS],
+                rows: [...report.summary[group.key], { ...report.summary.totals, key: 'TOTAL' }]
+            }))
+        ];
+        return [{ filename: `${name}.xlsx`, contentType: CONTENT_TYPES.xlsx, data: this.writer.toXlsx(sheets) }];
+    }
+
+    /**
+     * Base file name of an export ("transaksi_2026-10-01_2026-10-19")
+     * @param {Object} range
+     * @returns {String}
+     */
+    fileName(range) {
+        return `transaksi_${range.fromDay}_${range.untilDay}`;
+    }
+
+    /**
+     * Content type of a format
+     * @param {String} format
+     * @returns {String}
+     */
+    contentType(format) {
+        return CONTENT_TYPES[format];
+    }
+
+    /**
+     * Export row of a transaction
+     * @param {Object} trx - Transaction record
+     * @returns {Object}
+     */
+    toRow(trx) {
+        const amount = BigInt(trx.amount ?? 0);
+        const fee = trx.feeAmount ?? null;
+        const discount = BigInt(trx.discountAmount || 0);
+        const pointsDiscount = BigInt(trx.pointsDiscount || 0);
+        // Rows from before basePrice was recorded: price = paid - fee
+        const basePrice = trx.basePrice ?? (fee !== null ? amount - BigInt(fee) + discount + pointsDiscount : null);
+
+        const isDeposit = trx.type === TRANSACTION_TYPE.DEPOSIT;
+        const cost = isDeposit ? null : (trx.type === TRANSACTION_TYPE.MEMBERSHIP ? 0n : (trx.providerCost ?? null));
+        const received = REPORT.REVENUE_STATUSES.includes(trx.status);
+        const margin = received && cost !== null && basePrice !== null
+            ? BigInt(basePrice) - discount - pointsDiscount - BigInt(cost)
+            : null;
+
+        return {
+            merchantRef: trx.merchantRef,
+            createdAt: this._timestamp(trx.createdAt),
+            paidAt: this._timestamp(trx.paidAt),
+            status: trx.status,
+            type: trx.type || TRANSACTION_TYPE.ORDER,
+            brand: trx.game || trx.gameCode || (trx.type !== TRANSACTION_TYPE.ORDER ? trx.type : null),
+            item: trx.item,
+            serviceCode: trx.serviceCode,
+            userId: trx.userId,
+            channel: trx.channel,
+            gateway: trx.gateway,
+            basePrice,
+            promoCode: trx.promoCode,
+            discount,
+            pointsDiscount,
+            fee,
+            feeType: trx.feeType,
+            amount,
+            cost,
+            margin,
+            provider: trx.provider,
+            providerOrderId: trx.providerOrderId
+        };
+    }
+
+    /**
+     * Whether a row counts in the summaries
+     * @private
+     */
+    _counts(row) {
+        return row.type !== TRANSACTION_TYPE.DEPOSIT && REPORT.REVENUE_STATUSES.includes(row.status);
+    }
+
+    /**
+     * @private
+     */
+    _bucket(key) {
+        return { key, orders: 0, revenue: 0n, fee: 0n, cost: 0n, margin: 0n, unknownCost: 0 };
+    }
+
+    /**
+     * @private
+     */
+    _group(map, key) {
+        if (!map.has(key)) map.set(key, this._bucket(key));
+        return map.get(key);
+    }
+
+    /**
+     * @private
+     */
+    _add(bucket, row) {
+        bucket.orders++;
+        bucket.revenue += row.amount;
+        bucket.fee += BigInt(row.fee || 0);
+        if (row.margin === null) {
+            bucket.unknownCost++;
+            return;
+        }
+        bucket.cost += BigInt(row.cost);
+        bucket.margin += row.margin;
+    }
+
+    /**
+     * YYYY-MM-DD → start of that day in WIB (null if invalid)
+     * @private
+     */
+    _dayStart(day) {
+        if (!DATE_PATTERN.test(day)) return null;
+        const start = new Date(`${day}T00:00:00Z`);
+        if (Number.isNaN(start.getTime()) || start.toISOString().slice(0, 10) !== day) return null;
+        return new Date(start.getTime() - ADMIN.TIMEZONE_OFFSET_MS);
+    }
+
+    /**
+     * WIB day of a date (YYYY-MM-DD)
+     * @private
+     */
+    _day(date) {
+        return new Date(new Date(date).getTime() + ADMIN.TIMEZONE_OFFSET_MS).toISOString().slice(0, 10);
+    }
+
+    /**
+     * WIB timestamp of a date ("2026-10-19 13:05:09")
+     * @private
+     */
+    _timestamp(date) {
+        if (!date) return null;
+        return new Date(new Date(date).getTime() + ADMIN.TIMEZONE_OFFSET_MS).toISOString().slice(0, 19).replace('T', ' ');
+    }
+}
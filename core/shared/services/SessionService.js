@@ -27,6 +27,14 @@ export class SessionService {
         channel: data.channelCode || data.channel || null,
         lastMsgId: data.lastMsgId || null,
         nickname: data.nickname || null,
+        // Promo applied on the order review (reset whenever the order is saved without it)
+        promoCode: data.promoCode || null,
+        discountAmount: data.promoCode ? BigInt(data.discountAmount || 0) : null,
+        // Loyalty points applied on the order review (same reset rule)
+        pointsUsed: data.pointsUsed || null,
+        pointsDiscount: data.pointsUsed ? BigInt(data.pointsDiscount || 0) : null,
+        // Flash sale whose price the order was picked at (checked again at checkout)
+        flashSaleId: data.flashSaleId || null,
         // Auth fields (if provided)
         userId: data.userUuid || data.userId || undefined,
         isAuthenticated: data.isAuthenticated === undefined ? undefined : data.isAuthenticated,
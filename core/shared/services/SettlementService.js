@@ -0,0 +1,335 @@
+import logger from './Logger.js';
+import { ADMIN, PAYMENT_STATUS, REPORT, SETTLEMENT, SETTLEMENT_MISMATCH, SETTLEMENT_RUN_STATUS, TRANSACTION_TYPE } from '../config/constants.js';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const DAY_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+/**
+ * SettlementService
+ * Responsibility: Nightly three-way check of one WIB day's transactions.
+ * - Every transaction created that day is compared with the payment gateway
+ *   (PaymentService.getGatewayStatus) and, for orders sent to a provider, with the
+ *   provider (GameProviderService.checkOrderStatus)
+ * - The other way round, each gateway's list of the day (PaymentService.listGatewayPayments)
+ *   is compared with the database: payments without a transaction are reported
+ * - Mismatches: paid but not delivered, delivered but not paid, amount mismatch
+ *   (gateway amount vs amount, provider price vs providerCost), database status
+ *   behind what gateway and provider agree on, and gateway payments missing in the database
+ * - Lookups that failed, and gateway answers without an amount, are counted as unchecked
+ * - Balance and manual transfer payments have no gateway: the database status counts as paid
+ * - Read-only: nothing is corrected here (the reconciler and admins do that)
+ *
+ * A day is claimed in settlement_runs before it is checked, so restarts and
+ * several instances run it once; the result is kept on the run record.
+ */
+export class SettlementService {
+    /**
+     * @param {TransactionRepositoryPort} transactionRepository - The day's transactions
+     * @param {SettlementRunRepositoryPort} settlementRunRepository - Claims and results per day
+     * @param {PaymentService} paymentService - Gateway status lookups
+     * @param {GameProviderService} gameProviderService - Provider status lookups
+     * @param {Object} config - { enabled, runHour }
+     */
+    constructor(transactionRepository, settlementRunRepository, paymentService, gameProviderService, config = {}) {
+        this.trxRepo = transactionRepository;
+        this.runRepo = settlementRunRepository;
+        this.paymentService = paymentService;
+        this.gameProviderService = gameProviderService;
+
+        this.enabled = Boolean(config.enabled);
+        this.runHour = config.runHour ?? 2;
+    }
+
+    /**
+     * Nightly job is on
+     * @returns {Boolean}
+     */
+    isEnabled() {
+        return this.enabled;
+    }
+
+    /**
+     * Check yesterday (WIB) once it is past runHour, unless already done (background task)
+     * @returns {Promise<Object|null>} Report, or null if nothing was due
+     */
+    async runDue(now = new Date()) {
+        if (!this.isEnabled()) return null;
+
+        const local = new Date(now.getTime() + ADMIN.TIMEZONE_OFFSET_MS);
+        if (local.getUTCHours() < this.runHour) return null;
+
+        const day = new Date(local.getTime() - DAY_MS).toISOString().slice(0, 10);
+        return await this.run(day);
+    }
+
+    /**
+     * Check one day
+     * @param {String} day - YYYY-MM-DD (WIB), must be over
+     * @param {Object} [options]
+     * @param {Boolean} [options.force=false] - Check a finished day again (admin)
+     * @param {String} [options.triggeredBy] - Admin telegram ID
+     * @returns {Promise<Object|null>} Report, or null if the day is done / running elsewhere
+     * @throws {Error} INVALID_DAY when the day is malformed or not over yet
+     */
+    async run(day, { force = false, triggeredBy = null } = {}) {
+        const range = this._range(day);
+        if (!range) throw new Error('INVALID_DAY');
+
+        const claimed = await this.runRepo.claim(day, {
+            staleBefore: new Date(Date.now() - SETTLEMENT.STALE_RUN_MS),
+            force,
+            triggeredBy
+        });
+        if (!claimed) return null;
+
+        logger.info(`[SettlementService] Checking ${day}${triggeredBy ? ` (admin ${triggeredBy})` : ''}`);
+        try {
+            const report = await this._check(day, range);
+            await this.runRepo.finish(day, {
+                status: SETTLEMENT_RUN_STATUS.DONE,
+                checked: report.checked,
+                mismatches: report.mismatches.length,
+                unchecked: report.unchecked.length,
+                details: this._details(report)
+            });
+
+            logger.info(`[SettlementService] ${day}: ${report.checked} checked, ${report.mismatches.length} mismatch(es), ${report.unchecked.length} unchecked`);
+            return report;
+        } catch (error) {
+            logger.error(`[SettlementService] Check of ${day} failed: ${error.message}`);
+            await this.runRepo.finish(day, { status: SETTLEMENT_RUN_STATUS.FAILED, error: error.message })
+                .catch(finishError => logger.error(`[SettlementService] Recording failure of ${day} failed: ${finishError.message}`));
+            throw error;
+        }
+    }
+
+    /**
+     * Whether a day can be checked (well-formed and over)
+     * @param {String} day
+     * @returns {Boolean}
+     */
+    isValidDay(day) {
+        return this._range(day) !== null;
+    }
+
+    /**
+     * Last finished day (WIB)
+     * @returns {String}
+     */
+    yesterday(now = new Date()) {
+        return new Date(now.getTime() + ADMIN.TIMEZONE_OFFSET_MS - DAY_MS).toISOString().slice(0, 10);
+    }
+
+    /**
+     * Compare every transaction of the day
+     * @private
+     */
+    async _check(day, range) {
+        const report = { day, checked: 0, gatewayChecked: 0, gatewayListed: 0, providerChecked: 0, mismatches: [], unchecked: [] };
+        const listed = await this._gatewayLists(range, report);
+
+        let after = null;
+        for (;;) {
+            const page = await this.trxRepo.findForExport(range.from, range.to, { after, limit: REPORT.BATCH_SIZE });
+            for (const trx of page) {
+                report.checked++;
+                const row = this._listedRow(listed, trx);
+                if (row) row.matched = true;
+                report.mismatches.push(...await this._compare(trx, report));
+            }
+            if (page.length < REPORT.BATCH_SIZE) break;
+            after = page[page.length - 1].merchantRef;
+        }
+
+        report.mismatches.push(...await this._unknownPayments(listed));
+        return report;
+    }
+
+    /**
+     * Every gateway's list of the day, indexed by merchant ref and gateway trx ID
+     * @private
+     */
+    async _gatewayLists(range, report) {
+        const listed = new Map();
+        for (const { gateway, rows } of await this.paymentService.listGatewayPayments(range.from, range.to)) {
+            if (!rows) {
+                report.unchecked.push({ merchantRef: null, source: 'gateway', error: `No transaction list from ${gateway}` });
+                continue;
+            }
+
+            report.gatewayListed += rows.length;
+            for (const row of rows) {
+                const entry = { ...row, gateway, matched: false };
+                if (row.merchantRef) listed.set(`ref:${row.merchantRef}`, entry);
+                if (row.trxId) listed.set(`id:${row.trxId}`, entry);
+            }
+        }
+        return listed;
+    }
+
+    /**
+     * Listed gateway row of a transaction
+     * @private
+     */
+    _listedRow(listed, trx) {
+        return listed.get(`ref:${trx.merchantRef}`) || (trx.trxId ? listed.get(`id:${trx.trxId}`) : undefined);
+    }
+
+    /**
+     * Payments listed by a gateway that match none of the day's transactions
+     * (rows recorded on another day are found by reference and skipped)
+     * @private
+     */
+    async _unknownPayments(listed) {
+        const found = [];
+        for (const row of new Set(listed.values())) {
+            if (row.matched || row.status !== PAYMENT_STATUS.PAID) continue;
+
+            const known = (row.merchantRef && await this.trxRepo.findByRef(row.merchantRef))
+                || (row.trxId && await this.trxRepo.findByTrxId(row.trxId));
+            if (known) continue;
+
+            found.push({
+                type: SETTLEMENT_MISMATCH.NOT_IN_DATABASE,
+                merchantRef: row.merchantRef || row.trxId,
+                userId: null,
+                item: `${row.gateway} ${row.trxId || '-'}`,
+                dbStatus: null,
+                gatewayStatus: row.status,
+                providerStatus: null,
+                actual: row.amount
+            });
+        }
+        return found;
+    }
+
+    /**
+     * Mismatches of one transaction
+     * @private
+     */
+    async _compare(trx, report) {
+        const gateway = await this._gateway(trx, report);
+        const provider = await this._provider(trx, report);
+
+        const refunded = trx.status === PAYMENT_STATUS.REFUNDED;
+        const dbPaid = refunded || REPORT.REVENUE_STATUSES.includes(trx.status);
+        const dbDelivered = trx.status === PAYMENT_STATUS.DELIVERED;
+        const paid = gateway ? gateway.status === PAYMENT_STATUS.PAID : dbPaid;
+        const delivered = provider ? provider.status === PAYMENT_STATUS.DELIVERED : dbDelivered;
+
+        const mismatch = (type, detail = {}) => ({
+            type,
+            merchantRef: trx.merchantRef,
+            userId: trx.userId,
+            item: trx.item || trx.type,
+            dbStatus: trx.status,
+            gatewayStatus: gateway?.status ?? null,
+            providerStatus: provider?.status ?? null,
+            ...detail
+        });
+
+        const found = [];
+        if (paid && !delivered && !refunded) {
+            found.push(mismatch(SETTLEMENT_MISMATCH.PAID_NOT_DELIVERED));
+        } else if (delivered && (!paid || refunded)) {
+            found.push(mismatch(SETTLEMENT_MISMATCH.DELIVERED_NOT_PAID));
+        } else if ((gateway && paid !== dbPaid) || (provider && delivered !== dbDelivered)) {
+            found.push(mismatch(SETTLEMENT_MISMATCH.STATUS_MISMATCH));
+        }
+
+        for (const amounts of this._amountMismatches(trx, gateway, provider)) {
+            found.push(mismatch(SETTLEMENT_MISMATCH.AMOUNT_MISMATCH, amounts));
+        }
+        return found;
+    }
+
+    /**
+     * Gateway amount vs amount, provider price vs providerCost (when both sides are known)
+     * @private
+     */
+    _amountMismatches(trx, gateway, provider) {
+        const found = [];
+        if ((gateway?.amount ?? null) !== null && gateway.amount !== BigInt(trx.amount)) {
+            found.push({ source: 'gateway', expected: BigInt(trx.amount), actual: gateway.amount });
+        }
+        if ((provider?.price ?? null) !== null && (trx.providerCost ?? null) !== null) {
+            const price = BigInt(Math.round(Number(provider.price)));
+            if (price !== BigInt(trx.providerCost)) found.push({ source: 'provider', expected: BigInt(trx.providerCost), actual: price });
+        }
+        return found;
+    }
+
+    /**
+     * Gateway status (null = no gateway for this payment, or lookup failed → unchecked;
+     * an answer without amount leaves the amount unchecked)
+     * @private
+     */
+    async _gateway(trx, report) {
+        try {
+            const status = await this.paymentService.getGatewayStatus(trx);
+            if (status) report.gatewayChecked++;
+            if (status && status.amount === null) {
+                report.unchecked.push({ merchantRef: trx.merchantRef, source: 'amount', error: 'Gateway did not report the amount' });
+            }
+            return status;
+        } catch (error) {
+            report.unchecked.push({ merchantRef: trx.merchantRef, source: 'gateway', error: error.message });
+            return null;
+        }
+    }
+
+    /**
+     * Provider status of orders sent to a provider (null = not sent, or lookup failed → unchecked)
+     * @private
+     */
+    async _provider(trx, report) {
+        if (!this.gameProviderService || trx.type !== TRANSACTION_TYPE.ORDER || !trx.providerOrderId) return null;
+
+        const result = await this.gameProviderService.checkOrderStatus(trx.providerOrderId, trx.provider);
+        if (!result.success) {
+            report.unchecked.push({ merchantRef: trx.merchantRef, source: 'provider', error: result.message || result.status });
+            return null;
+        }
+
+        report.providerChecked++;
+        return { status: this.gameProviderService.mapOrderStatus(result.status), price: result.price ?? null };
+    }
+
+    /**
+     * What is kept on the run record (JSON: amounts as strings, list capped)
+     * @private
+     */
+    _details(report) {
+        const counts = {};
+        for (const type of Object.values(SETTLEMENT_MISMATCH)) {
+            counts[type] = report.mismatches.filter(m => m.type === type).length;
+        }
+
+        return {
+            counts,
+            gatewayChecked: report.gatewayChecked,
+            gatewayListed: report.gatewayListed,
+            providerChecked: report.providerChecked,
+            mismatches: report.mismatches.slice(0, SETTLEMENT.MAX_STORED).map(m => ({
+                ...m,
+                expected: m.expected?.toString(),
+                actual: m.actual?.toString()
+            })),
+            unchecked: report.unchecked.slice(0, SETTLEMENT.MAX_STORED)
+        };
+    }
+
+    /**
+     * [from, to) of a finished WIB day, null if malformed or not over
+     * @private
+     */
+    _range(day) {
+        if (!DAY_PATTERN.test(day || '')) return null;
+        const start = new Date(`${day}T00:00:00Z`);
+        if (Number.isNaN(start.getTime()) || start.toISOString().slice(0, 10) !== day) return null;
+
+        const from = new Date(start.getTime() - ADMIN.TIMEZONE_OFFSET_MS);
+        const to = new Date(from.getTime() + DAY_MS);
+        return to.getTime() <= Date.now() ? { from, to } : null;
+    }
+}
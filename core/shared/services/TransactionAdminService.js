@@ -0,0 +1,153 @@
+import logger from './Logger.js';
+import { PAYMENT_STATUS, WALLET, FULFILLMENT_JOB_STATUS } from '../config/constants.js';
+
+/**
+ * TransactionAdminService
+ * Responsibility: Admin actions on a single transaction.
+ * - Re-fulfillment (DELIVERY_FAILED back to PAID, fresh set of queue attempts)
+ * - Forced status (no fulfillment triggered, pending job cancelled)
+ * - Refund record (balance payments credited back to the wallet)
+ *
+ * Every change is a conditional update on the status read, so a concurrent
+ * callback or worker wins over a stale admin action (CONFLICT).
+ */
+export class TransactionAdminService {
+    /**
+     * @param {TransactionRepository} transactionRepository - DB access
+     * @param {FulfillmentQueueService} fulfillmentQueue - Durable fulfillment queue (null when not configured)
+     * @param {WalletService} walletService - User balance, for refunds of balance payments (null when not configured)
+     * @param {GameOrderService} gameOrders - Provider status of in-flight orders, post-delivery rewards
+     * @param {PaymentService} payments - Fulfillment queueing
+     */
+    constructor(transactionRepository, fulfillmentQueue, walletService, gameOrders, payments) {
+        this.trxRepo = transactionRepository;
+        this.fulfillmentQueue = fulfillmentQueue;
+        this.wallet = walletService;
+        this.gameOrders = gameOrders;
+        this.payments = payments;
+    }
+
+    /**
+     * Manually re-run fulfillment (admin action)
+     * DELIVERY_FAILED goes back to PAID first; the job gets a fresh set of attempts.
+     * @param {String} merchantRef
+     * @returns {Promise<Object>} { success, error?, trx, oldStatus }
+     */
+    async refulfill(merchantRef) {
+        const trx = await this.trxRepo.findByRef(merchantRef);
+        if (!trx) return { success: false, error: 'NOT_FOUND', trx: null, oldStatus: null };
+
+        const oldStatus = trx.status;
+        if (![PAYMENT_STATUS.PAID, PAYMENT_STATUS.DELIVERY_FAILED].includes(oldStatus)) {
+            return { success: false, error: 'INVALID_STATUS', trx, oldStatus };
+        }
+
+        if (oldStatus !== PAYMENT_STATUS.PAID) {
+            const reset = await this.trxRepo.updateIfStatus(merchantRef, oldStatus, { status: PAYMENT_STATUS.PAID, serialNumber: null });
+            if (!reset) return { success: false, error: 'CONFLICT', trx, oldStatus };
+        }
+
+        await this.payments.requeueFulfillment(merchantRef);
+
+        logger.info(`[TransactionAdminService] Re-fulfillment queued for ${merchantRef} (was ${oldStatus})`);
+        return { success: true, trx: await this.trxRepo.findByRef(merchantRef), oldStatus };
+    }
+
+    /**
+     * Force a transaction status (admin action)
+     * Does not trigger fulfillment; a pending job is cancelled unless the new status is PAID.
+     * REFUNDED is refused (USE_REFUND): refund checks the order and credits balance payments.
+     * @param {String} merchantRef
+     * @param {String} status - One of PAYMENT_STATUS
+     * @returns {Promise<Object>} { success, error?, trx, oldStatus, newStatus }
+     */
+    async forceStatus(merchantRef, status) {
+        const newStatus = String(status || '').toUpperCase();
+        if (!Object.values(PAYMENT_STATUS).includes(newStatus)) {
+            return { success: false, error: 'INVALID_TARGET', trx: null, oldStatus: null, newStatus };
+        }
+        if (newStatus === PAYMENT_STATUS.REFUNDED) {
+            return { success: false, error: 'USE_REFUND', trx: null, oldStatus: null, newStatus };
+        }
+
+        const trx = await this.trxRepo.findByRef(merchantRef);
+        if (!trx) return { success: false, error: 'NOT_FOUND', trx: null, oldStatus: null, newStatus };
+
+        const oldStatus = trx.status;
+        if (oldStatus === newStatus) return { success: false, error: 'UNCHANGED', trx, oldStatus, newStatus };
+
+        const updates = this._forcedStatusUpdates(trx, newStatus);
+        const applied = await this.trxRepo.updateIfStatus(merchantRef, oldStatus, updates);
+        if (!applied) return { success: false, error: 'CONFLICT', trx, oldStatus, newStatus };
+
+        if (newStatus !== PAYMENT_STATUS.PAID && this.fulfillmentQueue) {
+            await this.fulfillmentQueue.cancel(merchantRef, `Status forced to ${newStatus}`);
+        }
+        if (newStatus === PAYMENT_STATUS.DELIVERED) await this.gameOrders.afterDelivered({ ...trx, ...updates });
+
+        logger.info(`[TransactionAdminService] Status of ${merchantRef} forced: ${oldStatus} → ${newStatus}`);
+        return { success: true, trx: { ...trx, ...updates }, oldStatus, newStatus };
+    }
+
+    /**
+     * Mark a paid transaction as refunded (admin action)
+     * The gateway has no refund API: the money is returned manually, this records it.
+     * Only orders that can no longer be delivered are refundable: PAID before submission
+     * (the pending fulfillment job is cancelled first) and DELIVERY_FAILED. A PROCESSING
+     * order is first resolved with the provider: still in flight → IN_FLIGHT.
+     * @param {String} merchantRef
+     * @returns {Promise<Object>} { success, error?, trx, oldStatus, resolved? } (resolved: status moved by the provider check)
+     */
+    async refund(merchantRef) {
+        const found = await this.trxRepo.findByRef(merchantRef);
+        if (!found) return { success: false, error: 'NOT_FOUND', trx: null, oldStatus: null };
+
+        const foundStatus = found.status;
+        const trx = foundStatus === PAYMENT_STATUS.PROCESSING ? await this.gameOrders.resolveWithProvider(found) : found;
+        const oldStatus = trx.status;
+        const resolved = oldStatus !== foundStatus;
+        if (oldStatus === PAYMENT_STATUS.PROCESSING) return { success: false, error: 'IN_FLIGHT', trx, oldStatus };
+
+        const refundable = [PAYMENT_STATUS.PAID, PAYMENT_STATUS.DELIVERY_FAILED];
+        if (!refundable.includes(oldStatus)) return { success: false, error: 'INVALID_STATUS', trx, oldStatus, resolved };
+
+        // Not submitted yet: take the job out of the worker's reach, unless it is being sent right now
+        if (await this._stopFulfillment(merchantRef, 'Refunded by admin')) {
+            return { success: false, error: 'IN_FLIGHT', trx, oldStatus };
+        }
+
+        // Paid with balance: the money goes straight back to the wallet
+        const toWallet = trx.channel === WALLET.CHANNEL_CODE && this.wallet;
+        const applied = toWallet
+            ? await this.wallet.refundOrder(trx, oldStatus)
+            : await this.trxRepo.updateIfStatus(merchantRef, oldStatus, { status: PAYMENT_STATUS.REFUNDED });
+        if (!applied) return { success: false, error: 'CONFLICT', trx, oldStatus };
+
+        logger.info(`[TransactionAdminService] ${merchantRef} refunded${toWallet ? ' to balance' : ''} (was ${oldStatus})`);
+        return { success: true, trx: { ...trx, status: PAYMENT_STATUS.REFUNDED }, oldStatus, toWallet: !!toWallet, resolved };
+    }
+
+    /**
+     * Status update of a forced status, stamping paidAt / deliveredAt if not set yet
+     * @private
+     */
+    _forcedStatusUpdates(trx, newStatus) {
+        const updates = { status: newStatus };
+        if (newStatus === PAYMENT_STATUS.PAID && !trx.paidAt) updates.paidAt = new Date();
+        if (newStatus === PAYMENT_STATUS.DELIVERED && !trx.deliveredAt) updates.deliveredAt = new Date();
+        return updates;
+    }
+
+    /**
+     * Cancel the pending fulfillment job of a transaction
+     * @private
+     * @returns {Promise<Boolean>} true if a worker is sending it right now (too late to stop)
+     */
+    async _stopFulfillment(merchantRef, reason) {
+        if (!this.fulfillmentQueue) return false;
+
+        await this.fulfillmentQueue.cancel(merchantRef, reason);
+        const job = await this.fulfillmentQueue.getJob(merchantRef);
+        return job?.status === FULFILLMENT_JOB_STATUS.RUNNING;
+    }
+}
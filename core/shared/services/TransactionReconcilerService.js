@@ -0,0 +1,205 @@
+import logger from './Logger.js';
+import { PAYMENT_STATUS, RECONCILER } from '../config/constants.js';
+
+/**
+ * TransactionReconcilerService
+ * Responsibility: Recover transactions whose gateway/provider callback was lost.
+ * - Re-syncs recent UNPAID invoices with the payment gateway
+ * - Expires stale invoices (after a last gateway check)
+ * - Keeps checking invoices closed by a payment method switch until their gateway expiry
+ * - Polls the game provider for in-flight (PROCESSING) orders
+ *
+ * Returns a report; presentation (bubble edits, admin alerts) is up to the caller.
+ */
+export class TransactionReconcilerService {
+    /**
+     * @param {TransactionRepositoryPort} transactionRepository - DB access
+     * @param {PaymentService} paymentService - Gateway sync + fulfillment bridge
+     * @param {GameProviderService} gameProviderService - Provider status checks
+     */
+    constructor(transactionRepository, paymentService, gameProviderService) {
+        this.trxRepo = transactionRepository;
+        this.paymentService = paymentService;
+        this.gameProviderService = gameProviderService;
+
+        // Stuck orders already reported to admin (avoid repeating every run)
+        this._reportedStuck = new Set();
+        this._running = false;
+    }
+
+    /**
+     * Run one reconciliation pass
+     * @returns {Promise<Object>} { changes: Array, discrepancies: Array, expiredSweep: Number }
+     */
+    async run() {
+        const report = { changes: [], discrepancies: [], expiredSweep: 0 };
+        if (this._running) return report;
+
+        const startTime = Date.now();
+        try {
+            this._running = true;
+
+            const checked = new Set();
+            await this._reconcileExpired(report, checked);
+            await this._reconcileUnpaid(report, checked);
+            await this._reconcileSwitched(report);
+            await this._reconcileProcessing(report);
+
+            const duration = ((Date.now() - startTime) / 1000).toFixed(2);
+            logger.info(`[Reconciler] Pass complete: ${report.changes.length} change(s), ${report.discrepancies.length} discrepancy(ies), took ${duration}s`);
+        } catch (error) {
+            logger.error(`[Reconciler] Pass failed: ${error.message}`);
+        } finally {
+            this._running = false;
+        }
+
+        return report;
+    }
+
+    /**
+     * Expire invoices past expiryDate (one last gateway check first: late payments win)
+     * @private
+     */
+    async _reconcileExpired(report, checked) {
+        const expired = await this.trxRepo.findExpiredUnpaid();
+
+        for (const trx of expired) {
+            checked.add(trx.merchantRef);
+            const result = await this._syncPayment(trx, report);
+            if (!result || result.newStatus !== PAYMENT_STATUS.UNPAID) continue;
+
+            const applied = await this.trxRepo.updateIfStatus(trx.merchantRef, PAYMENT_STATUS.UNPAID, { status: PAYMENT_STATUS.EXPIRED });
+            if (applied) {
+                report.changes.push({ trx: { ...result.trx, status: PAYMENT_STATUS.EXPIRED }, oldStatus: PAYMENT_STATUS.UNPAID, newStatus: PAYMENT_STATUS.EXPIRED, source: 'expiry' });
+            }
+        }
+
+        // Safety net for rows that appeared/expired during this pass
+        const sweep = await this.trxRepo.markExpiredTransactions();
+        report.expiredSweep = sweep?.count || 0;
+    }
+
+    /**
+     * Re-sync recent UNPAID invoices (lost payment callback)
+     * @private
+     */
+    async _reconcileUnpaid(report, checked) {
+        const now = Date.now();
+        const unpaid = await this.trxRepo.findByStatus(PAYMENT_STATUS.UNPAID, {
+            createdAfter: new Date(now - RECONCILER.UNPAID_LOOKBACK_MS),
+            createdBefore: new Date(now - RECONCILER.UNPAID_MIN_AGE_MS),
+            limit: RECONCILER.BATCH_SIZE
+        });
+
+        for (const trx of unpaid) {
+            if (checked.has(trx.merchantRef)) continue;
+            await this._syncPayment(trx, report);
+        }
+    }
+
+    /**
+     * Re-sync invoices closed by a payment method switch: the gateway still accepts them
+     * until their own expiry, and a payment there must not go unnoticed
+     * @private
+     */
+    async _reconcileSwitched(report) {
+        const now = Date.now();
+        const closed = await this.trxRepo.findOpenSwitched({
+            expiresAfter: new Date(now - RECONCILER.SWITCHED_GRACE_MS),
+            createdAfter: new Date(now - RECONCILER.UNPAID_LOOKBACK_MS),
+            limit: RECONCILER.BATCH_SIZE
+        });
+
+        for (const trx of closed) {
+            await this._syncPayment(trx, report);
+        }
+    }
+
+    /**
+     * Sync one transaction with the gateway and record a change if it moved
+     * @private
+     */
+    async _syncPayment(trx, report) {
+        try {
+            const result = await this.paymentService.handleCallback(trx.merchantRef);
+            if (result.statusChanged) {
+                report.changes.push({ trx: result.trx, oldStatus: result.oldStatus, newStatus: result.newStatus, source: 'gateway' });
+            }
+            // Paid without us ever receiving the callback (deposits are credited right away → DELIVERED)
+            if (result.statusChanged && [PAYMENT_STATUS.PAID, PAYMENT_STATUS.DELIVERED].includes(result.newStatus)) {
+                report.discrepancies.push({
+                    merchantRef: trx.merchantRef,
+                    type: 'LOST_PAYMENT_CALLBACK',
+                    detail: `${result.oldStatus} → ${result.newStatus} (gateway)`
+                });
+            }
+            return result;
+        } catch (error) {
+            logger.warn(`[Reconciler] Gateway sync failed for ${trx.merchantRef}: ${error.message}`);
+            return null;
+        }
+    }
+
+    /**
+     * Report an order sent without an answer from the provider (timeout, worker died
+     * mid-send): it may or may not have been placed, so only an admin can resolve it
+     * @private
+     */
+    _reportUnconfirmed(trx, report) {
+        if (this._reportedStuck.has(trx.merchantRef)) return;
+
+        this._reportedStuck.add(trx.merchantRef);
+        report.discrepancies.push({
+            merchantRef: trx.merchantRef,
+            type: 'UNCONFIRMED_PROVIDER_ORDER',
+            detail: `No answer from ${trx.provider || 'provider'}; check the order there before re-fulfilling or refunding`
+        });
+    }
+
+    /**
+     * Poll provider for in-flight orders (lost provider callback)
+     * @private
+     */
+    async _reconcileProcessing(report) {
+        if (!this.gameProviderService) return;
+
+        const now = Date.now();
+        const inFlight = await this.trxRepo.findByStatus(PAYMENT_STATUS.PROCESSING, {
+            updatedBefore: new Date(now - RECONCILER.PROCESSING_GRACE_MS),
+            limit: RECONCILER.BATCH_SIZE
+        });
+
+        for (const trx of inFlight) {
+            if (!trx.providerOrderId) {
+                this._reportUnconfirmed(trx, report);
+                continue;
+            }
+
+            const providerResult = await this.gameProviderService.checkOrderStatus(trx.providerOrderId, trx.provider);
+
+            if (providerResult.success) {
+                const result = await this.paymentService.handleProviderCallback(trx.providerOrderId, providerResult.status, providerResult.serial);
+                if (result.statusChanged) {
+                    this._reportedStuck.delete(trx.merchantRef);
+                    report.changes.push({ trx: result.trx, oldStatus: result.oldStatus, newStatus: result.newStatus, source: 'provider' });
+                    report.discrepancies.push({
+                        merchantRef: trx.merchantRef,
+                        type: 'LOST_PROVIDER_CALLBACK',
+                        detail: `${result.oldStatus} → ${result.newStatus} (provider: ${providerResult.status})`
+                    });
+                    continue;
+                }
+            }
+
+            const age = now - new Date(trx.paidAt || trx.createdAt).getTime();
+            if (age > RECONCILER.PROCESSING_STUCK_MS && !this._reportedStuck.has(trx.merchantRef)) {
+                this._reportedStuck.add(trx.merchantRef);
+                report.discrepancies.push({
+                    merchantRef: trx.merchantRef,
+                    type: 'STUCK_PROCESSING',
+                    detail: `Provider: ${providerResult.status}${providerResult.message ? ` - ${providerResult.message}` : ''}`
+                });
+            }
+        }
+    }
+}
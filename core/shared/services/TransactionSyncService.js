@@ -1,5 +1,16 @@
 import logger from './Logger.js';
-import { TIMEOUTS } from '../config/constants.js';
+import { TIMEOUTS, PAYMENT_STATUS, WALLET, MANUAL_TRANSFER } from '../config/constants.js';
+
+// Statuses owned by the game provider (or resolved by admin); the payment gateway must not overwrite them
+const FULFILLMENT_STATUSES = [
+    PAYMENT_STATUS.PROCESSING,
+    PAYMENT_STATUS.DELIVERED,
+    PAYMENT_STATUS.DELIVERY_FAILED,
+    PAYMENT_STATUS.REFUNDED
+];
+
+// Channels settled inside the bot (balance, admin-verified transfer); no gateway to ask
+const LOCAL_CHANNELS = [WALLET.CHANNEL_CODE, MANUAL_TRANSFER.CHANNEL_CODE];
 
 /**
  * TransactionSyncService
@@ -7,11 +18,26 @@ import { TIMEOUTS } from '../config/constants.js';
  * between the local database and the payment gateway.
  */
 export class TransactionSyncService {
-    constructor(paymentPort, transactionRepository) {
-        this.paymentPort = paymentPort;
+    /**
+     * @param {PaymentGatewayRegistry} paymentGatewayRegistry - Gateway adapters by name
+     * @param {TransactionRepository} transactionRepository - DB access
+     */
+    constructor(paymentGatewayRegistry, transactionRepository) {
+        this.gateways = paymentGatewayRegistry;
         this.trxRepo = transactionRepository;
     }
 
+    /**
+     * Gateway adapter that issued the invoice (rows without a gateway predate routing: default)
+     * @private
+     */
+    _portFor(trx) {
+        if (trx.gateway && !this.gateways.has(trx.gateway)) {
+            throw new Error(`Payment gateway '${trx.gateway}' is not registered`);
+        }
+        return this.gateways.get(trx.gateway) || this.gateways.getDefault();
+    }
+
     /**
      * Helper to wrap promise with timeout
      */
@@ -28,46 +54,147 @@ export class TransactionSyncService {
      * @returns {Promise<Object>} Updated transaction data or null
      */
     async sync(merchantRef) {
+        const { trx } = await this.syncWithResult(merchantRef);
+        return trx;
+    }
+
+    /**
+     * Sync and report whether THIS call performed the status transition.
+     * Status changes are applied with compare-and-set, so concurrent syncs
+     * (e.g. gateway callback retries) see exactly one `statusChanged: true`.
+     * @param {String} merchantRef - Merchant reference
+     * @returns {Promise<Object>} { trx, oldStatus, statusChanged }
+     */
+    async syncWithResult(merchantRef) {
+        let oldStatus = null;
+
         try {
             let trx = await this.trxRepo.findByRef(merchantRef);
             if (!trx) {
                 trx = await this.trxRepo.findByTrxId(merchantRef);
             }
 
-            if (!trx) return null;
-
-            let freshStatus = null;
-
-            // Smart Check: Use TrxId if available (more reliable)
-            if (trx.trxId && !trx.trxId.startsWith('SIMULATION-')) {
-                logger.info(`[SyncService] Syncing via ID: ${trx.trxId}`);
-                freshStatus = await this._withTimeout(
-                    this.paymentPort.checkTransactionStatus(trx.trxId),
-                    `Check Status ID ${trx.trxId}`
-                );
-            } else {
-                logger.info(`[SyncService] Syncing via Ref: ${trx.merchantRef}`);
-                freshStatus = await this._withTimeout(
-                    this.paymentPort.checkTransaction(trx.merchantRef),
-                    `Check Status Ref ${trx.merchantRef}`
-                );
-            }
+            if (!trx) return { trx: null, oldStatus, statusChanged: false };
+            oldStatus = trx.status;
+
+            // Payment already settled (order handed to the provider)
+            if (FULFILLMENT_STATUSES.includes(trx.status)) return { trx, oldStatus, statusChanged: false };
+            if (LOCAL_CHANNELS.includes(trx.channel)) return { trx, oldStatus, statusChanged: false };
+
+            const freshStatus = await this._query(trx);
+
+            let statusChanged = false;
 
             if (freshStatus) {
                 const updateData = this._calculateUpdates(trx, freshStatus);
 
-                if (Object.keys(updateData).length > 0) {
+                if (updateData.status) {
+                    logger.info(`[SyncService] Updating Trx ${trx.merchantRef}:`, updateData);
+                    statusChanged = await this.trxRepo.updateIfStatus(trx.merchantRef, trx.status, updateData);
+
+                    if (statusChanged) {
+                        trx = { ...trx, ...updateData };
+                    } else {
+                        // Lost the race: a concurrent sync already moved the status
+                        logger.info(`[SyncService] Status of ${trx.merchantRef} changed concurrently, skipping transition`);
+                        trx = await this.trxRepo.findByRef(trx.merchantRef);
+                    }
+                } else if (Object.keys(updateData).length > 0) {
                     logger.info(`[SyncService] Updating Trx ${trx.merchantRef}:`, updateData);
                     await this.trxRepo.update(trx.merchantRef, updateData);
                     trx = { ...trx, ...updateData };
                 }
             }
 
-            return trx;
+            return { trx, oldStatus, statusChanged };
         } catch (error) {
             logger.error('[SyncService] Sync failed:', error);
-            return await this.trxRepo.findByRef(merchantRef) || await this.trxRepo.findByTrxId(merchantRef);
+            const trx = await this.trxRepo.findByRef(merchantRef) || await this.trxRepo.findByTrxId(merchantRef);
+            return { trx, oldStatus, statusChanged: false };
+        }
+    }
+
+    /**
+     * Gateway's view of a transaction, without changing it (settlement checks)
+     * @param {Object} trx - Transaction record
+     * @returns {Promise<Object|null>} { status, amount } — status mapped to PAID/UNPAID/EXPIRED/FAILED,
+     *   amount null when the gateway does not report it; null for channels settled inside the bot
+     * @throws {Error} When the gateway did not answer
+     */
+    async fetchStatus(trx) {
+        if (LOCAL_CHANNELS.includes(trx.channel)) return null;
+
+        const response = await this._query(trx);
+        if (!response) throw new Error(`No status from gateway ${trx.gateway || this.gateways.getDefaultName()}`);
+
+        return {
+            status: this._mapStatus(response.payment_status || response.status),
+            amount: this._parseAmount(response.amount)
+        };
+    }
+
+    /**
+     * Every gateway's list of the transactions it recorded in a period, without changing anything
+     * (settlement checks: payments the database does not know about)
+     * @param {Date} from - Start (inclusive)
+     * @param {Date} to - End (exclusive)
+     * @returns {Promise<Array>} [{ gateway, rows: [{ merchantRef, trxId, status, amount }] }];
+     *   rows is null when the gateway did not answer
+     */
+    async listPayments(from, to) {
+        const lists = [];
+        for (const gateway of this.gateways.names()) {
+            let response = null;
+            try {
+                response = await this._withTimeout(this.gateways.get(gateway).listTransactions(from, to), `List ${gateway}`);
+            } catch (error) {
+                logger.warn(`[SyncService] Listing ${gateway} failed: ${error.message}`);
+            }
+
+            lists.push({
+                gateway,
+                rows: response ? response.map(row => ({
+                    merchantRef: row.merchant_ref || null,
+                    trxId: row.trx_id ? String(row.trx_id) : null,
+                    status: this._mapStatus(row.payment_status || row.status),
+                    amount: this._parseAmount(row.amount)
+                })) : null
+            });
         }
+        return lists;
+    }
+
+    /**
+     * Ask the gateway that issued the invoice
+     * Smart Check: Use TrxId if available (more reliable)
+     * @private
+     */
+    async _query(trx) {
+        const paymentPort = this._portFor(trx);
+
+        if (trx.trxId && !trx.trxId.startsWith('SIMULATION-')) {
+            logger.info(`[SyncService] Syncing via ID: ${trx.trxId} (${trx.gateway || this.gateways.getDefaultName()})`);
+            return await this._withTimeout(
+                paymentPort.checkTransactionStatus(trx.trxId),
+                `Check Status ID ${trx.trxId}`
+            );
+        }
+
+        logger.info(`[SyncService] Syncing via Ref: ${trx.merchantRef} (${trx.gateway || this.gateways.getDefaultName()})`);
+        return await this._withTimeout(
+            paymentPort.checkTransaction(trx.merchantRef),
+            `Check Status Ref ${trx.merchantRef}`
+        );
+    }
+
+    /**
+     * Gateway amount ("19500", "19500.00", 19500) → BigInt rupiah, null if missing
+     * @private
+     */
+    _parseAmount(value) {
+        if (value === null || value === undefined || value === '') return null;
+        const amount = Number.parseFloat(String(value).replace(/[^\d.]/g, ''));
+        return Number.isFinite(amount) ? BigInt(Math.round(amount)) : null;
     }
 
     /**
@@ -88,6 +215,7 @@ export class TransactionSyncService {
 
         if (mappedStatus !== trx.status && mappedStatus !== 'UNPAID') {
             updateData.status = mappedStatus;
+            if (mappedStatus === PAYMENT_STATUS.PAID) updateData.paidAt = new Date();
         }
 
         // 3. Sync Payment Info
@@ -0,0 +1,170 @@
+import logger from './Logger.js';
+import { PAYMENT_STATUS, LEDGER_ENTRY_TYPE, LEDGER_ACCOUNT } from '../config/constants.js';
+
+/**
+ * WalletService
+ * Responsibility: User balance (User.balance) with a double-entry ledger.
+ * - Deposit credit when a DEPOSIT transaction is paid
+ * - Atomic debit when an order is paid with balance
+ * - Refund of balance-paid orders back to the wallet
+ * - Refund of a second payment for an order already paid (switched invoice paid twice)
+ * - Referral rewards (ReferralService)
+ *
+ * Every movement changes the balance, the ledger and (where given) the
+ * transaction status in one DB transaction.
+ */
+export class WalletService {
+    /**
+     * @param {WalletRepositoryPort} walletRepository - Balance + ledger persistence
+     */
+    constructor(walletRepository) {
+        this.walletRepo = walletRepository;
+    }
+
+    /**
+     * Current balance (0 for unknown users)
+     * @param {String} userId - Chat ID
+     * @returns {Promise<BigInt>}
+     */
+    async getBalance(userId) {
+        const balance = await this.walletRepo.getBalance(userId);
+        return balance ?? 0n;
+    }
+
+    /**
+     * Recent ledger entries of the user wallet
+     * @param {String} userId - Chat ID
+     * @param {Number} limit
+     * @returns {Promise<Array>}
+     */
+    async getHistory(userId, limit) {
+        return await this.walletRepo.findEntries(userId, limit);
+    }
+
+    /**
+     * Credit a paid deposit and mark it DELIVERED (exactly once)
+     * @param {Object} trx - DEPOSIT transaction in PAID status
+     * @returns {Promise<Object|null>} { balance, trx } or null if already credited
+     */
+    async creditDeposit(trx) {
+        const amount = trx.basePrice ?? trx.amount;
+        const deliveredAt = new Date();
+
+        const result = await this.walletRepo.credit({
+            userId: trx.userId,
+            amount,
+            entryType: LEDGER_ENTRY_TYPE.DEPOSIT,
+            contraAccount: LEDGER_ACCOUNT.GATEWAY,
+            merchantRef: trx.merchantRef,
+            note: `Deposit via ${trx.channel || '-'}`
+        }, {
+            merchantRef: trx.merchantRef,
+            fromStatus: PAYMENT_STATUS.PAID,
+            data: { status: PAYMENT_STATUS.DELIVERED, deliveredAt }
+        });
+
+        if (!result) {
+            logger.info(`[WalletService] Deposit ${trx.merchantRef} already credited, skipping`);
+            return null;
+        }
+
+        logger.info(`[WalletService] Deposit ${trx.merchantRef} credited: +${amount} → ${result.balance} (user ${trx.userId})`);
+        return { balance: result.balance, trx: { ...trx, status: PAYMENT_STATUS.DELIVERED, deliveredAt } };
+    }
+
+    /**
+     * Credit a referral reward (exactly once per referred order)
+     * @param {Object} reward - { userId, amount, merchantRef, note } (merchantRef = referred user's order)
+     * @returns {Promise<Object|null>} { balance } or null if already credited
+     */
+    async creditReferralReward({ userId, amount, merchantRef, note = null }) {
+        const result = await this.walletRepo.credit({
+            userId,
+            amount,
+            entryType: LEDGER_ENTRY_TYPE.REFERRAL,
+            contraAccount: LEDGER_ACCOUNT.MARKETING,
+            merchantRef,
+            note
+        });
+
+        if (result) {
+            logger.info(`[WalletService] Referral reward for ${merchantRef} credited: +${amount} → ${result.balance} (user ${userId})`);
+        }
+        return result;
+    }
+
+    /**
+     * Pay an order with balance; the transaction row is created in the same DB transaction
+     * @param {Object} transactionData - Transaction row (status PAID)
+     * @returns {Promise<Object>} { success, error?, balance }
+     */
+    async payOrder(transactionData) {
+        const result = await this.walletRepo.debit({
+            userId: transactionData.userId,
+            amount: transactionData.amount,
+            entryType: LEDGER_ENTRY_TYPE.PURCHASE,
+            contraAccount: LEDGER_ACCOUNT.SALES,
+            merchantRef: transactionData.merchantRef,
+            note: transactionData.item || null
+        }, transactionData);
+
+        if (!result) {
+            return { success: false, error: 'INSUFFICIENT_BALANCE', balance: await this.getBalance(transactionData.userId) };
+        }
+
+        logger.info(`[WalletService] Order ${transactionData.merchantRef} paid with balance: -${transactionData.amount} → ${result.balance} (user ${transactionData.userId})`);
+        return { success: true, balance: result.balance };
+    }
+
+    /**
+     * Return a balance-paid order to the wallet and mark it REFUNDED (exactly once)
+     * @param {Object} trx - Transaction paid with balance
+     * @param {String} fromStatus - Expected current status
+     * @returns {Promise<Object|null>} { balance } or null if the status moved meanwhile
+     */
+    async refundOrder(trx, fromStatus) {
+        const result = await this.walletRepo.credit({
+            userId: trx.userId,
+            amount: trx.amount,
+            entryType: LEDGER_ENTRY_TYPE.REFUND,
+            contraAccount: LEDGER_ACCOUNT.SALES,
+            merchantRef: trx.merchantRef,
+            note: trx.item || null
+        }, {
+            merchantRef: trx.merchantRef,
+            fromStatus,
+            data: { status: PAYMENT_STATUS.REFUNDED }
+        });
+
+        if (result) {
+            logger.info(`[WalletService] Order ${trx.merchantRef} refunded to balance: +${trx.amount} → ${result.balance} (user ${trx.userId})`);
+        }
+        return result;
+    }
+
+    /**
+     * Credit a gateway payment the order did not need (it was already paid through another
+     * invoice) to the wallet and mark it REFUNDED (exactly once)
+     * @param {Object} trx - Transaction in PAID status
+     * @returns {Promise<Object|null>} { balance } or null if the status moved meanwhile
+     */
+    async refundDuplicatePayment(trx) {
+        const result = await this.walletRepo.credit({
+            userId: trx.userId,
+            amount: trx.amount,
+            entryType: LEDGER_ENTRY_TYPE.REFUND,
+            contraAccount: LEDGER_ACCOUNT.GATEWAY,
+            merchantRef: trx.merchantRef,
+            note: `Duplicate payment via ${trx.channel || '-'}`
+        }, {
+            merchantRef: trx.merchantRef,
+            fromStatus: PAYMENT_STATUS.PAID,
+            data: { status: PAYMENT_STATUS.REFUNDED }
+        });
+
+        if (result) {
+            logger.info(`[WalletService] Duplicate payment ${trx.merchantRef} credited to balance: +${trx.amount} → ${result.balance} (user ${trx.userId})`);
+        }
+        return result;
+    }
+}
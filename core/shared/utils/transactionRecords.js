@@ -0,0 +1,95 @@
+/**
+ * Transaction record helpers shared by the payment services
+ * - generateMerchantRef: Merchant reference of a new transaction
+ * - buildTransactionRecord: Row fields every payment method stores
+ * - invoiceRecord: Row of a gateway invoice
+ * - orderDataFromTransaction: Order fields of a transaction, to invoice it again
+ */
+import { TRANSACTION_TYPE } from '../config/constants.js';
+
+// Merchant reference prefix per transaction type
+export const MERCHANT_REF_PREFIX = {
+    [TRANSACTION_TYPE.ORDER]: 'ORDER',
+    [TRANSACTION_TYPE.DEPOSIT]: 'DEPO',
+    [TRANSACTION_TYPE.MEMBERSHIP]: 'MBR'
+};
+
+/**
+ * Merchant reference: <PREFIX>-<userId>-<timestamp>-<random>
+ */
+export function generateMerchantRef(userId, prefix) {
+    const sanitizedUserId = String(userId || 'UNKNOWN').replace(/\s+/g, '-');
+    const randomSuffix = Math.random().toString(36).substring(2, 7).toUpperCase();
+    return `${prefix}-${sanitizedUserId}-${Date.now()}-${randomSuffix}`;
+}
+
+/**
+ * Transaction row fields shared by gateway invoices and balance payments
+ */
+export function buildTransactionRecord(orderData, merchantRef) {
+    return {
+        merchantRef,
+        userId: orderData.userId.toString(),
+        customerName: orderData.playerId || orderData.customerName || 'Unknown',
+        type: orderData.type || TRANSACTION_TYPE.ORDER,
+        game: orderData.game,
+        item: orderData.item,
+        nickname: orderData.nickname || null,
+        playerId: orderData.playerId ? String(orderData.playerId) : null,
+        zoneId: orderData.zoneId ? String(orderData.zoneId) : null,
+        gameCode: orderData.game, // Internal/Provider game code
+        serviceCode: orderData.code, // Provider service ID
+        basePrice: orderData.basePrice !== undefined && orderData.basePrice !== null ? BigInt(orderData.basePrice) : null,
+        providerCost: orderData.providerCost !== undefined && orderData.providerCost !== null ? BigInt(orderData.providerCost) : null,
+        promoCode: orderData.promoCode || null,
+        discountAmount: orderData.promoCode ? BigInt(orderData.discountAmount || 0) : null,
+        pointsUsed: orderData.pointsUsed || null,
+        pointsDiscount: orderData.pointsUsed ? BigInt(orderData.pointsDiscount || 0) : null,
+        feeAmount: orderData.feeAmount !== undefined && orderData.feeAmount !== null ? BigInt(orderData.feeAmount) : null,
+        feeType: orderData.feeType || null,
+        flashSaleId: orderData.flashSaleId || null,
+        amount: orderData.amount
+    };
+}
+
+/**
+ * Transaction row of a gateway invoice
+ */
+export function invoiceRecord(orderData, merchantRef, gateway, result) {
+    return {
+        ...buildTransactionRecord(orderData, merchantRef),
+        trxId: result.trx_id || null,
+        channel: orderData.channelCode || 'QRIS',
+        gateway,
+        status: 'UNPAID',
+        paymentUrl: result.payment_url,
+        paymentNo: result.payment_code ? String(result.payment_code) : null,
+        qrString: result.qr_string,
+        expiryDate: result.expiry_date ? new Date(result.expiry_date) : null,
+        replacesRef: orderData.replacesRef || null
+    };
+}
+
+/**
+ * Order fields of a transaction, to invoice the same order again
+ */
+export function orderDataFromTransaction(trx) {
+    return {
+        userId: trx.userId,
+        customerName: trx.customerName,
+        type: trx.type,
+        game: trx.game,
+        item: trx.item,
+        nickname: trx.nickname,
+        playerId: trx.playerId,
+        zoneId: trx.zoneId,
+        code: trx.serviceCode,
+        basePrice: trx.basePrice,
+        providerCost: trx.providerCost,
+        promoCode: trx.promoCode,
+        discountAmount: trx.discountAmount,
+        pointsUsed: trx.pointsUsed,
+        pointsDiscount: trx.pointsDiscount,
+        flashSaleId: trx.flashSaleId
+    };
+}
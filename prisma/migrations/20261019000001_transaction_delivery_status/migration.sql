@@ -0,0 +1,3 @@
+-- AlterTable
+ALTER TABLE "transactions" ADD COLUMN     "serialNumber" TEXT,
+ADD COLUMN     "deliveredAt" TIMESTAMP(3);
@@ -0,0 +1,24 @@
+-- CreateTable
+CREATE TABLE "fulfillment_jobs" (
+    "id" TEXT NOT NULL,
+    "merchantRef" TEXT NOT NULL,
+    "status" TEXT NOT NULL DEFAULT 'PENDING',
+    "attempts" INTEGER NOT NULL DEFAULT 0,
+    "maxAttempts" INTEGER NOT NULL DEFAULT 5,
+    "nextRunAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "lockedAt" TIMESTAMP(3),
+    "lastError" TEXT,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "fulfillment_jobs_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE UNIQUE INDEX "fulfillment_jobs_merchantRef_key" ON "fulfillment_jobs"("merchantRef");
+
+-- CreateIndex
+CREATE INDEX "fulfillment_jobs_status_nextRunAt_idx" ON "fulfillment_jobs"("status", "nextRunAt");
+
+-- AddForeignKey
+ALTER TABLE "fulfillment_jobs" ADD CONSTRAINT "fulfillment_jobs_merchantRef_fkey" FOREIGN KEY ("merchantRef") REFERENCES "transactions"("merchantRef") ON DELETE CASCADE ON UPDATE CASCADE;
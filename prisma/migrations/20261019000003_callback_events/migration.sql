@@ -0,0 +1,25 @@
+-- CreateTable
+CREATE TABLE "callback_events" (
+    "id" TEXT NOT NULL,
+    "gateway" TEXT NOT NULL,
+    "reference" TEXT NOT NULL,
+    "event" TEXT NOT NULL,
+    "payloadHash" TEXT NOT NULL,
+    "rawPayload" TEXT NOT NULL,
+    "signatureValid" BOOLEAN NOT NULL,
+    "status" TEXT NOT NULL DEFAULT 'RECEIVED',
+    "error" TEXT,
+    "ipAddress" TEXT,
+    "deliveries" INTEGER NOT NULL DEFAULT 1,
+    "processedAt" TIMESTAMP(3),
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "callback_events_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE UNIQUE INDEX "callback_events_gateway_reference_event_payloadHash_key" ON "callback_events"("gateway", "reference", "event", "payloadHash");
+
+-- CreateIndex
+CREATE INDEX "callback_events_reference_idx" ON "callback_events"("reference");
@@ -0,0 +1,21 @@
+-- CreateTable
+CREATE TABLE "admin_audit_logs" (
+    "id" TEXT NOT NULL,
+    "adminId" TEXT NOT NULL,
+    "adminName" TEXT,
+    "action" TEXT NOT NULL,
+    "merchantRef" TEXT,
+    "targetUser" TEXT,
+    "fromStatus" TEXT,
+    "toStatus" TEXT,
+    "note" TEXT,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "admin_audit_logs_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE INDEX "admin_audit_logs_merchantRef_idx" ON "admin_audit_logs"("merchantRef");
+
+-- CreateIndex
+CREATE INDEX "admin_audit_logs_adminId_createdAt_idx" ON "admin_audit_logs"("adminId", "createdAt");
@@ -0,0 +1,32 @@
+-- AlterTable
+ALTER TABLE "transactions" ADD COLUMN     "type" TEXT NOT NULL DEFAULT 'ORDER',
+ADD COLUMN     "basePrice" BIGINT;
+
+-- CreateTable
+CREATE TABLE "ledger_entries" (
+    "id" TEXT NOT NULL,
+    "journalId" TEXT NOT NULL,
+    "account" TEXT NOT NULL,
+    "userId" TEXT,
+    "direction" TEXT NOT NULL,
+    "amount" BIGINT NOT NULL,
+    "balanceAfter" BIGINT,
+    "entryType" TEXT NOT NULL,
+    "merchantRef" TEXT,
+    "note" TEXT,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "ledger_entries_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE UNIQUE INDEX "ledger_entries_merchantRef_entryType_account_key" ON "ledger_entries"("merchantRef", "entryType", "account");
+
+-- CreateIndex
+CREATE INDEX "ledger_entries_userId_createdAt_idx" ON "ledger_entries"("userId", "createdAt");
+
+-- CreateIndex
+CREATE INDEX "ledger_entries_journalId_idx" ON "ledger_entries"("journalId");
+
+-- AddForeignKey
+ALTER TABLE "ledger_entries" ADD CONSTRAINT "ledger_entries_userId_fkey" FOREIGN KEY ("userId") REFERENCES "users"("chatId") ON DELETE SET NULL ON UPDATE CASCADE;
@@ -0,0 +1,11 @@
+-- DropForeignKey
+ALTER TABLE "game_accounts" DROP CONSTRAINT "game_accounts_userId_fkey";
+
+-- Migrate owner reference from users.id to users.chatId
+UPDATE "game_accounts" AS ga SET "userId" = u."chatId" FROM "users" AS u WHERE ga."userId" = u."id";
+
+-- CreateIndex
+CREATE INDEX "game_accounts_userId_gameCode_lastValidated_idx" ON "game_accounts"("userId", "gameCode", "lastValidated");
+
+-- AddForeignKey
+ALTER TABLE "game_accounts" ADD CONSTRAINT "game_accounts_userId_fkey" FOREIGN KEY ("userId") REFERENCES "users"("chatId") ON DELETE CASCADE ON UPDATE CASCADE;
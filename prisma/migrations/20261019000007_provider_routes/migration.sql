@@ -0,0 +1,26 @@
+-- AlterTable
+ALTER TABLE "transactions" ADD COLUMN     "provider" TEXT;
+
+-- CreateTable
+CREATE TABLE "provider_routes" (
+    "id" TEXT NOT NULL,
+    "serviceCode" TEXT NOT NULL,
+    "provider" TEXT NOT NULL,
+    "providerServiceCode" TEXT,
+    "priority" INTEGER NOT NULL DEFAULT 0,
+    "cost" BIGINT,
+    "isActive" BOOLEAN NOT NULL DEFAULT true,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "provider_routes_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE UNIQUE INDEX "provider_routes_serviceCode_provider_key" ON "provider_routes"("serviceCode", "provider");
+
+-- CreateIndex
+CREATE INDEX "provider_routes_serviceCode_isActive_priority_idx" ON "provider_routes"("serviceCode", "isActive", "priority");
+
+-- Backfill: orders accepted before routing existed were all sent to VIPReseller
+UPDATE "transactions" SET "provider" = 'vipreseller' WHERE "type" = 'ORDER' AND "status" IN ('PROCESSING', 'DELIVERED');
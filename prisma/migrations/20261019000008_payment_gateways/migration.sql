@@ -0,0 +1,8 @@
+-- AlterTable
+ALTER TABLE "payment_channels" ADD COLUMN     "gateway" TEXT NOT NULL DEFAULT 'sakurupiah';
+
+-- AlterTable
+ALTER TABLE "transactions" ADD COLUMN     "gateway" TEXT;
+
+-- Backfill: every invoice before gateway routing was issued by Sakurupiah (balance payments have no gateway)
+UPDATE "transactions" SET "gateway" = 'sakurupiah' WHERE "channel" IS NOT NULL AND "channel" <> 'SALDO';
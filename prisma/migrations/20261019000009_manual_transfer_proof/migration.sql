@@ -0,0 +1,4 @@
+-- AlterTable
+ALTER TABLE "transactions" ADD COLUMN     "proofFileId" TEXT,
+ADD COLUMN     "proofSubmittedAt" TIMESTAMP(3),
+ADD COLUMN     "proofType" TEXT;
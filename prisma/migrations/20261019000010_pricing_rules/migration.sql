@@ -0,0 +1,24 @@
+-- AlterTable
+ALTER TABLE "transactions" ADD COLUMN     "providerCost" BIGINT;
+
+-- CreateTable
+CREATE TABLE "pricing_rules" (
+    "id" TEXT NOT NULL,
+    "scope" TEXT NOT NULL,
+    "target" TEXT NOT NULL DEFAULT '',
+    "markupPercent" DOUBLE PRECISION NOT NULL DEFAULT 0,
+    "markupFlat" BIGINT NOT NULL DEFAULT 0,
+    "roundTo" INTEGER NOT NULL DEFAULT 0,
+    "minMargin" BIGINT NOT NULL DEFAULT 0,
+    "isActive" BOOLEAN NOT NULL DEFAULT true,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "pricing_rules_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE UNIQUE INDEX "pricing_rules_scope_target_key" ON "pricing_rules"("scope", "target");
+
+-- Backfill: orders before the pricing engine were sold at provider cost
+UPDATE "transactions" SET "providerCost" = "basePrice" WHERE "type" = 'ORDER' AND "basePrice" IS NOT NULL;
@@ -0,0 +1,3 @@
+-- AlterTable
+ALTER TABLE "users" ADD COLUMN     "tier" TEXT NOT NULL DEFAULT 'MEMBER',
+ADD COLUMN     "tierUpdatedAt" TIMESTAMP(3);
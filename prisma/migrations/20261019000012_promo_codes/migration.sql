@@ -0,0 +1,35 @@
+-- AlterTable
+ALTER TABLE "sessions" ADD COLUMN     "promoCode" TEXT,
+ADD COLUMN     "discountAmount" BIGINT;
+
+-- AlterTable
+ALTER TABLE "transactions" ADD COLUMN     "promoCode" TEXT,
+ADD COLUMN     "discountAmount" BIGINT;
+
+-- CreateTable
+CREATE TABLE "promo_codes" (
+    "id" TEXT NOT NULL,
+    "code" TEXT NOT NULL,
+    "discountType" TEXT NOT NULL,
+    "discountValue" DOUBLE PRECISION NOT NULL,
+    "maxDiscount" BIGINT,
+    "minOrder" BIGINT NOT NULL DEFAULT 0,
+    "usageLimit" INTEGER,
+    "perUserLimit" INTEGER,
+    "games" TEXT[] DEFAULT ARRAY[]::TEXT[],
+    "services" TEXT[] DEFAULT ARRAY[]::TEXT[],
+    "startsAt" TIMESTAMP(3),
+    "endsAt" TIMESTAMP(3),
+    "isActive" BOOLEAN NOT NULL DEFAULT true,
+    "createdBy" TEXT,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "promo_codes_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE UNIQUE INDEX "promo_codes_code_key" ON "promo_codes"("code");
+
+-- CreateIndex
+CREATE INDEX "transactions_promoCode_idx" ON "transactions"("promoCode");
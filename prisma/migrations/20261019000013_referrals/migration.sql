@@ -0,0 +1,15 @@
+-- AlterTable
+ALTER TABLE "users" ADD COLUMN     "referralCode" TEXT,
+ADD COLUMN     "referredById" TEXT,
+ADD COLUMN     "referredAt" TIMESTAMP(3),
+ADD COLUMN     "referralPaidAt" TIMESTAMP(3),
+ADD COLUMN     "referralReward" BIGINT;
+
+-- AlterTable
+ALTER TABLE "promo_codes" ADD COLUMN     "ownerId" TEXT;
+
+-- CreateIndex
+CREATE UNIQUE INDEX "users_referralCode_key" ON "users"("referralCode");
+
+-- CreateIndex
+CREATE INDEX "users_referredById_idx" ON "users"("referredById");
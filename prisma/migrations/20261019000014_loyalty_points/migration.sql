@@ -0,0 +1,47 @@
+-- AlterTable
+ALTER TABLE "sessions" ADD COLUMN     "pointsUsed" INTEGER,
+ADD COLUMN     "pointsDiscount" BIGINT;
+
+-- AlterTable
+ALTER TABLE "transactions" ADD COLUMN     "pointsUsed" INTEGER,
+ADD COLUMN     "pointsDiscount" BIGINT;
+
+-- CreateTable
+CREATE TABLE "point_entries" (
+    "id" TEXT NOT NULL,
+    "userId" TEXT NOT NULL,
+    "type" TEXT NOT NULL,
+    "points" INTEGER NOT NULL,
+    "remaining" INTEGER NOT NULL DEFAULT 0,
+    "expiresAt" TIMESTAMP(3),
+    "merchantRef" TEXT,
+    "note" TEXT,
+    "createdBy" TEXT,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "point_entries_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateTable
+CREATE TABLE "loyalty_rates" (
+    "id" TEXT NOT NULL,
+    "brand" TEXT NOT NULL,
+    "earnRate" DOUBLE PRECISION NOT NULL,
+    "updatedBy" TEXT,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "loyalty_rates_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE INDEX "point_entries_userId_remaining_expiresAt_idx" ON "point_entries"("userId", "remaining", "expiresAt");
+
+-- CreateIndex
+CREATE UNIQUE INDEX "point_entries_merchantRef_type_key" ON "point_entries"("merchantRef", "type");
+
+-- CreateIndex
+CREATE UNIQUE INDEX "loyalty_rates_brand_key" ON "loyalty_rates"("brand");
+
+-- AddForeignKey
+ALTER TABLE "point_entries" ADD CONSTRAINT "point_entries_userId_fkey" FOREIGN KEY ("userId") REFERENCES "users"("chatId") ON DELETE CASCADE ON UPDATE CASCADE;
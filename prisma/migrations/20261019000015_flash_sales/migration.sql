@@ -0,0 +1,32 @@
+-- AlterTable
+ALTER TABLE "sessions" ADD COLUMN     "flashSaleId" TEXT;
+
+-- AlterTable
+ALTER TABLE "transactions" ADD COLUMN     "flashSaleId" TEXT,
+ADD COLUMN     "flashSaleReleasedAt" TIMESTAMP(3);
+
+-- CreateTable
+CREATE TABLE "flash_sales" (
+    "id" TEXT NOT NULL,
+    "serviceCode" TEXT NOT NULL,
+    "price" BIGINT NOT NULL,
+    "quota" INTEGER,
+    "sold" INTEGER NOT NULL DEFAULT 0,
+    "startsAt" TIMESTAMP(3) NOT NULL,
+    "endsAt" TIMESTAMP(3) NOT NULL,
+    "isActive" BOOLEAN NOT NULL DEFAULT true,
+    "createdBy" TEXT,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "flash_sales_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE INDEX "transactions_flashSaleId_idx" ON "transactions"("flashSaleId");
+
+-- CreateIndex
+CREATE INDEX "flash_sales_serviceCode_startsAt_endsAt_idx" ON "flash_sales"("serviceCode", "startsAt", "endsAt");
+
+-- AddForeignKey
+ALTER TABLE "transactions" ADD CONSTRAINT "transactions_flashSaleId_fkey" FOREIGN KEY ("flashSaleId") REFERENCES "flash_sales"("id") ON DELETE SET NULL ON UPDATE CASCADE;
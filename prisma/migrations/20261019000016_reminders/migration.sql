@@ -0,0 +1,11 @@
+-- AlterTable
+ALTER TABLE "users" ADD COLUMN     "remindersOptOut" BOOLEAN NOT NULL DEFAULT false;
+
+-- AlterTable
+ALTER TABLE "sessions" ADD COLUMN     "nudgedAt" TIMESTAMP(3);
+
+-- AlterTable
+ALTER TABLE "transactions" ADD COLUMN     "reminderSentAt" TIMESTAMP(3);
+
+-- CreateIndex
+CREATE INDEX "transactions_status_expiryDate_idx" ON "transactions"("status", "expiryDate");
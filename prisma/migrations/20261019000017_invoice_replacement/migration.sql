@@ -0,0 +1,6 @@
+-- AlterTable
+ALTER TABLE "transactions" ADD COLUMN     "replacedBy" TEXT,
+ADD COLUMN     "replacesRef" TEXT;
+
+-- CreateIndex
+CREATE INDEX "transactions_replacesRef_idx" ON "transactions"("replacesRef");
@@ -0,0 +1,28 @@
+-- AlterTable
+ALTER TABLE "transactions" ADD COLUMN     "feeAmount" BIGINT,
+ADD COLUMN     "feeType" TEXT,
+ADD COLUMN     "providerOrderId" TEXT;
+
+-- CreateIndex
+CREATE INDEX "transactions_providerOrderId_idx" ON "transactions"("providerOrderId");
+
+-- Backfill: provider order ID used to overwrite the gateway trxId once the provider accepted the order.
+-- Only rows that certainly reached the provider are moved (provider recorded, or PROCESSING/DELIVERED).
+-- Ambiguous rows keep their trxId untouched:
+--   * DELIVERY_FAILED without provider: rejected or dead-lettered before submission, trxId is the gateway ID
+--   * PAID without provider: pre-routing orders whose trxId may already hold the provider order ID;
+--     they are resolved when the provider calls back (TransactionRepository.findLegacyProviderOrder)
+UPDATE "transactions" SET "providerOrderId" = "trxId", "trxId" = NULL
+WHERE "type" = 'ORDER' AND "trxId" IS NOT NULL
+  AND ("provider" IS NOT NULL OR "status" IN ('PROCESSING', 'DELIVERED'));
+
+-- Backfill: balance payments and manual transfers carry no fee, so the sell price is the amount
+UPDATE "transactions" SET "basePrice" = "amount"
+WHERE "basePrice" IS NULL AND "channel" IN ('SALDO', 'TRANSFER') AND "promoCode" IS NULL AND "pointsUsed" IS NULL;
+
+-- Backfill: channel fee = amount - (sell price - promo - points) where the sell price is known
+-- (provider cost and fee type of older rows cannot be derived and stay NULL)
+UPDATE "transactions"
+SET "feeAmount" = "amount" - ("basePrice" - COALESCE("discountAmount", 0) - COALESCE("pointsDiscount", 0))
+WHERE "feeAmount" IS NULL AND "basePrice" IS NOT NULL
+  AND "amount" >= "basePrice" - COALESCE("discountAmount", 0) - COALESCE("pointsDiscount", 0);
@@ -0,0 +1,2 @@
+-- CreateIndex
+CREATE INDEX "transactions_createdAt_idx" ON "transactions"("createdAt");
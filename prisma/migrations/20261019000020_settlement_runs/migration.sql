@@ -0,0 +1,15 @@
+-- CreateTable
+CREATE TABLE "settlement_runs" (
+    "day" TEXT NOT NULL,
+    "status" TEXT NOT NULL DEFAULT 'RUNNING',
+    "checked" INTEGER NOT NULL DEFAULT 0,
+    "mismatches" INTEGER NOT NULL DEFAULT 0,
+    "unchecked" INTEGER NOT NULL DEFAULT 0,
+    "details" JSONB,
+    "error" TEXT,
+    "triggeredBy" TEXT,
+    "startedAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "finishedAt" TIMESTAMP(3),
+
+    CONSTRAINT "settlement_runs_pkey" PRIMARY KEY ("day")
+);
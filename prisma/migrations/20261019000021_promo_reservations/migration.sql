@@ -0,0 +1,44 @@
+-- AlterTable
+ALTER TABLE "promo_codes" ADD COLUMN     "used" INTEGER NOT NULL DEFAULT 0;
+
+-- AlterTable
+ALTER TABLE "transactions" ADD COLUMN     "promoReleasedAt" TIMESTAMP(3);
+
+-- CreateTable
+CREATE TABLE "promo_usages" (
+    "promoCode" TEXT NOT NULL,
+    "userId" TEXT NOT NULL,
+    "used" INTEGER NOT NULL DEFAULT 0,
+    "updatedAt" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "promo_usages_pkey" PRIMARY KEY ("promoCode","userId")
+);
+
+-- AddForeignKey
+ALTER TABLE "promo_usages" ADD CONSTRAINT "promo_usages_promoCode_fkey" FOREIGN KEY ("promoCode") REFERENCES "promo_codes"("code") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- Backfill: orders that no longer hold a redemption are flagged as given back,
+-- so the sweep leaves them alone. Unpaid invoices past their expiry still hold
+-- theirs until the reconciler closes them as EXPIRED and the sweep gives it back.
+UPDATE "transactions"
+SET "promoReleasedAt" = CURRENT_TIMESTAMP
+WHERE "promoCode" IS NOT NULL
+  AND "status" NOT IN ('UNPAID', 'PENDING', 'PAID', 'PROCESSING', 'DELIVERED', 'DELIVERY_FAILED');
+
+-- Backfill: counters start from the orders still holding a redemption
+UPDATE "promo_codes" p
+SET "used" = c."used"
+FROM (
+    SELECT "promoCode", COUNT(*)::INTEGER AS "used"
+    FROM "transactions"
+    WHERE "promoCode" IS NOT NULL AND "promoReleasedAt" IS NULL
+    GROUP BY "promoCode"
+) c
+WHERE p."code" = c."promoCode";
+
+INSERT INTO "promo_usages" ("promoCode", "userId", "used", "updatedAt")
+SELECT t."promoCode", t."userId", COUNT(*)::INTEGER, CURRENT_TIMESTAMP
+FROM "transactions" t
+JOIN "promo_codes" p ON p."code" = t."promoCode"
+WHERE t."promoReleasedAt" IS NULL
+GROUP BY t."promoCode", t."userId";
@@ -0,0 +1,25 @@
+-- AlterTable
+ALTER TABLE "transactions" ADD COLUMN     "chainPaidBy" TEXT;
+
+-- Backfill: switch chains already paid keep their earliest payment, so a later
+-- one is settled as a duplicate
+WITH RECURSIVE "chain" AS (
+    SELECT "merchantRef" AS "headRef", "merchantRef"
+    FROM "transactions"
+    WHERE "replacesRef" IS NULL AND "replacedBy" IS NOT NULL
+    UNION ALL
+    SELECT c."headRef", t."merchantRef"
+    FROM "transactions" t
+    JOIN "chain" c ON t."replacesRef" = c."merchantRef"
+),
+"kept" AS (
+    SELECT DISTINCT ON (c."headRef") c."headRef", t."merchantRef"
+    FROM "chain" c
+    JOIN "transactions" t ON t."merchantRef" = c."merchantRef"
+    WHERE t."status" IN ('PAID', 'PROCESSING', 'DELIVERED', 'DELIVERY_FAILED', 'REFUNDED')
+    ORDER BY c."headRef", t."paidAt" ASC NULLS LAST, t."createdAt" ASC
+)
+UPDATE "transactions" h
+SET "chainPaidBy" = k."merchantRef"
+FROM "kept" k
+WHERE h."merchantRef" = k."headRef";
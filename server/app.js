@@ -7,9 +7,15 @@ import logger from '../core/shared/services/Logger.js';
 import { PrismaAdapter } from '../adapters/shared/database/PrismaAdapter.js';
 import { TelegramAdapter } from '../adapters/bot-telegram/telegram/TelegramAdapter.js';
 import { VIPResellerAdapter } from '../adapters/shared/game-providers/VIPResellerAdapter.js';
+import { VIPResellerCallbackHandler } from '../adapters/shared/game-providers/VIPResellerCallbackHandler.js';
 import { SakurupiahAdapter } from '../adapters/shared/payment/SakurupiahAdapter.js';
 import { SakurupiahCallbackHandler } from '../adapters/shared/payment/SakurupiahCallbackHandler.js';
+import { NetzmeAdapter } from '../adapters/shared/payment/NetzmeAdapter.js';
+import { NetzmeCallbackHandler } from '../adapters/shared/payment/NetzmeCallbackHandler.js';
 import { CloudflareTunnelAdapter } from '../adapters/platform/CloudflareTunnelAdapter.js';
+import { PngQrRenderer } from '../adapters/shared/qr/PngQrRenderer.js';
+import { OpenXmlSpreadsheetWriter } from '../adapters/shared/spreadsheet/OpenXmlSpreadsheetWriter.js';
+import { ReportExportHttpHandler } from '../adapters/shared/report/ReportExportHttpHandler.js';
 
 // Repository Imports
 import { UserRepository } from '../core/shared/repositories/UserRepository.js';
@@ -17,14 +23,39 @@ import { SessionRepository } from '../core/shared/repositories/SessionRepository
 import { PaymentChannelRepository } from '../core/shared/repositories/PaymentChannelRepository.js';
 import { TransactionRepository } from '../core/shared/repositories/TransactionRepository.js';
 import { GameRepository } from '../core/shared/repositories/GameRepository.js';
+import { FulfillmentJobRepository } from '../core/shared/repositories/FulfillmentJobRepository.js';
+import { CallbackEventRepository } from '../core/shared/repositories/CallbackEventRepository.js';
+import { AdminAuditRepository } from '../core/shared/repositories/AdminAuditRepository.js';
+import { WalletRepository } from '../core/shared/repositories/WalletRepository.js';
+import { ProviderRouteRepository } from '../core/shared/repositories/ProviderRouteRepository.js';
+import { PricingRuleRepository } from '../core/shared/repositories/PricingRuleRepository.js';
+import { PromoCodeRepository } from '../core/shared/repositories/PromoCodeRepository.js';
+import { PointLedgerRepository } from '../core/shared/repositories/PointLedgerRepository.js';
+import { LoyaltyRateRepository } from '../core/shared/repositories/LoyaltyRateRepository.js';
+import { FlashSaleRepository } from '../core/shared/repositories/FlashSaleRepository.js';
+import { SettlementRunRepository } from '../core/shared/repositories/SettlementRunRepository.js';
 
 // Service Imports
 import { SessionService } from '../core/shared/services/SessionService.js';
 import { AuthenticationService } from '../core/applications/bot-telegram/security/authn/AuthenticationService.js';
 import { AuthorizationGuard } from '../core/applications/bot-telegram/security/authz/AuthorizationGuard.js';
 import { GameProviderService } from '../core/shared/services/GameProviderService.js';
+import { GameProviderRegistry } from '../core/shared/services/GameProviderRegistry.js';
+import { PaymentGatewayRegistry } from '../core/shared/services/PaymentGatewayRegistry.js';
 import { GameService } from '../core/shared/services/GameService.js';
+import { PricingService } from '../core/shared/services/PricingService.js';
+import { MembershipService } from '../core/shared/services/MembershipService.js';
+import { PromoService } from '../core/shared/services/PromoService.js';
+import { ReferralService } from '../core/shared/services/ReferralService.js';
+import { LoyaltyService } from '../core/shared/services/LoyaltyService.js';
+import { FlashSaleService } from '../core/shared/services/FlashSaleService.js';
+import { ReminderService } from '../core/shared/services/ReminderService.js';
 import { PaymentService } from '../core/shared/services/PaymentService.js';
+import { CallbackLedgerService } from '../core/shared/services/CallbackLedgerService.js';
+import { TransactionReconcilerService } from '../core/shared/services/TransactionReconcilerService.js';
+import { AdminService } from '../core/shared/services/AdminService.js';
+import { ReportService } from '../core/shared/services/ReportService.js';
+import { SettlementService } from '../core/shared/services/SettlementService.js';
 import { GameSyncService } from '../core/shared/services/GameSyncService.js';
 import { HealthCheckService } from '../core/shared/health/HealthCheckService.js';
 
@@ -35,6 +66,7 @@ import crypto from 'crypto';
 
 // Config Import
 import { AppConfig } from '../core/shared/config/AppConfig.js';
+import { GAME_PROVIDER, PAYMENT_GATEWAY } from '../core/shared/config/constants.js';
 
 // Message Templates Import (CRITICAL: Must wire to config)
 import { MESSAGES } from '../core/applications/bot-telegram/config/messages.js';
@@ -88,6 +120,11 @@ async function bootstrap() {
             AppConfig.gameProvider.vipreseller.apiId
         );
 
+        // Game provider registry: register additional providers here, then route
+        // service codes to them via the provider_routes table
+        const gameProviderRegistry = new GameProviderRegistry()
+            .register(GAME_PROVIDER.VIPRESELLER, gameProviderAdapter, { isDefault: true });
+
         // Use AppConfig for payment gateway configuration
         const paymentAdapter = new SakurupiahAdapter(
             AppConfig.payment.sakurupiah.apiKey,
@@ -97,6 +134,15 @@ async function bootstrap() {
             }
         );
 
+        // Payment gateway registry: every channel row records the gateway that serves it
+        const paymentGatewayRegistry = new PaymentGatewayRegistry()
+            .register(PAYMENT_GATEWAY.SAKURUPIAH, paymentAdapter, { isDefault: true });
+
+        const netzmeAdapter = AppConfig.payment.netzme.enabled ? new NetzmeAdapter() : null;
+        if (netzmeAdapter) {
+            paymentGatewayRegistry.register(PAYMENT_GATEWAY.NETZME, netzmeAdapter);
+        }
+
         // 2. Initialize Repositories (Data Access Layer)
         // These wrap the Prisma Client
         const userRepository = new UserRepository(prismaAdapter);
@@ -104,31 +150,104 @@ async function bootstrap() {
         const paymentChannelRepository = new PaymentChannelRepository(prismaAdapter);
         const transactionRepository = new TransactionRepository(prismaAdapter);
         const gameRepository = new GameRepository(prismaAdapter);
+        const fulfillmentJobRepository = new FulfillmentJobRepository(prismaAdapter);
+        const callbackEventRepository = new CallbackEventRepository(prismaAdapter);
+        const adminAuditRepository = new AdminAuditRepository(prismaAdapter);
+        const walletRepository = new WalletRepository(prismaAdapter);
+        const providerRouteRepository = new ProviderRouteRepository(prismaAdapter);
+        const pricingRuleRepository = new PricingRuleRepository(prismaAdapter);
+        const promoCodeRepository = new PromoCodeRepository(prismaAdapter);
+        const pointLedgerRepository = new PointLedgerRepository(prismaAdapter);
+        const loyaltyRateRepository = new LoyaltyRateRepository(prismaAdapter);
+        const flashSaleRepository = new FlashSaleRepository(prismaAdapter);
+        const settlementRunRepository = new SettlementRunRepository(prismaAdapter);
 
         // 3. Initialize Domain Services (Business Logic Layer)
         // Services depend on Repositories and Adapters
 
         const sessionService = new SessionService(sessionRepository);
 
+        const authZ = new AuthorizationGuard(userRepository);
+
+        const gameProviderService = new GameProviderService(gameProviderRegistry, providerRouteRepository);
+
+        // Sell price = provider cost + markup rules (env default when no GLOBAL rule)
+        const pricingService = new PricingService(pricingRuleRepository, AppConfig.pricing);
+
+        // Membership tiers (RESELLER/VIP price lists, paid or admin-granted upgrades)
+        const membershipService = new MembershipService(userRepository, AppConfig.membership);
+
+        // Flash sales (time-boxed price per service, quota claimed at checkout)
+        const flashSaleService = new FlashSaleService(flashSaleRepository, transactionRepository);
+
+        const gameService = new GameService(gameRepository, pricingService, membershipService, flashSaleService);
+
+        // Promo codes at checkout (redemptions counted on transactions)
+        const promoService = new PromoService(promoCodeRepository, transactionRepository);
+
+        // Referral program (invite links, reward on the referred user's first delivered order)
+        const referralService = new ReferralService(userRepository, walletRepository, promoService, AppConfig.referral);
+
+        // Loyalty points (earned on delivered orders, redeemed at checkout)
+        const loyaltyService = new LoyaltyService(pointLedgerRepository, loyaltyRateRepository, transactionRepository, AppConfig.loyalty);
+
         const authenticationService = new AuthenticationService(
             userRepository,
             sessionService,
-            { sessionDurationHours: 24 * 7 }
+            { sessionDurationHours: 24 * 7 },
+            referralService
         );
 
-        const authZ = new AuthorizationGuard(userRepository);
-
-        const gameProviderService = new GameProviderService(gameProviderAdapter);
-
-        const gameService = new GameService(gameRepository);
-
         const paymentService = new PaymentService(
-            paymentAdapter,
+            paymentGatewayRegistry,
             paymentChannelRepository,
             transactionRepository,
+            gameProviderService,
+            fulfillmentJobRepository,
+            walletRepository,
+            membershipService,
+            promoService,
+            referralService,
+            loyaltyService,
+            flashSaleService
+        );
+
+        const callbackLedger = new CallbackLedgerService(callbackEventRepository);
+
+        const reconcilerService = new TransactionReconcilerService(
+            transactionRepository,
+            paymentService,
             gameProviderService
         );
 
+        // Expiry reminders + abandoned-checkout nudges (sent by BotCore)
+        const reminderService = new ReminderService(transactionRepository, sessionRepository, userRepository, AppConfig.reminders);
+
+        const adminService = new AdminService(
+            transactionRepository,
+            userRepository,
+            paymentService,
+            gameProviderService,
+            adminAuditRepository,
+            pricingService,
+            membershipService,
+            promoService,
+            loyaltyService,
+            flashSaleService
+        );
+
+        // Transaction exports (admin /export + GET /admin/export)
+        const reportService = new ReportService(transactionRepository, new OpenXmlSpreadsheetWriter());
+
+        // Nightly gateway/provider/database check (report sent by BotCore)
+        const settlementService = new SettlementService(
+            transactionRepository,
+            settlementRunRepository,
+            paymentService,
+            gameProviderService,
+            AppConfig.settlement
+        );
+
         // 4. Initialize Core Application
         // BotCore Orchestrates the Use Cases
 
@@ -139,6 +258,11 @@ async function bootstrap() {
                 secret_token: AppConfig.telegram.webhookSecret
             },
             webhookSecret: AppConfig.telegram.webhookSecret,
+            qrBranding: {
+                enabled: AppConfig.qr.branding,
+                storeName: AppConfig.qr.storeName
+            },
+            manualTransfer: AppConfig.manualTransfer,
             // CRITICAL FIX: Spread MESSAGES object so handlers can access all message templates
             messages: {
                 ...MESSAGES,
@@ -157,7 +281,13 @@ async function bootstrap() {
                 gameService,
                 sessionService,
                 authenticationService, // AuthN
-                authPort: authZ        // AuthZ
+                authPort: authZ,       // AuthZ
+                reconcilerService,
+                reminderService,
+                adminService,
+                reportService,
+                settlementService,
+                qrRenderer: new PngQrRenderer()
                 // callbackHandler will be added later due to circular dependency
             },
             botConfig
@@ -166,12 +296,29 @@ async function bootstrap() {
         // 5. Initialize Handlers (that need BotCore)
         const paymentCallbackHandler = new SakurupiahCallbackHandler(
             AppConfig.payment.sakurupiah.apiKey,
-            bot
+            bot,
+            callbackLedger
         );
 
         // Inject back into bot (property assignment)
         bot.callbackHandler = paymentCallbackHandler;
 
+        const netzmeCallbackHandler = netzmeAdapter
+            ? new NetzmeCallbackHandler(
+                netzmeAdapter,
+                bot,
+                callbackLedger,
+                new URL(AppConfig.payment.netzme.callbackUrl).pathname
+            )
+            : null;
+
+        // Game provider callback (order delivery status + SN)
+        const providerCallbackHandler = new VIPResellerCallbackHandler(
+            AppConfig.gameProvider.vipreseller.apiId,
+            AppConfig.gameProvider.vipreseller.apiKey,
+            bot
+        );
+
         // 7. Setup Express Server (HTTP Entry Point)
         const app = express();
         const PORT = AppConfig.app.port;
@@ -197,6 +344,9 @@ async function bootstrap() {
             }
         }));
 
+        // VIPReseller posts callbacks as x-www-form-urlencoded (nested data[...] fields)
+        app.use(express.urlencoded({ extended: true }));
+
         // Health Check Service (Production-ready with K8s probes)
         const healthService = new HealthCheckService();
         healthService.register('database', async () => {
@@ -275,11 +425,32 @@ async function bootstrap() {
             paymentCallbackHandler.handleExpressRequest(req, res);
         });
 
+        // Payment Callback (Netzme SNAP notify)
+        app.post('/callback/payment/netzme', (req, res) => {
+            if (!netzmeCallbackHandler) return res.status(404).json({ responseCode: '4045200', responseMessage: 'Netzme not configured' });
+            netzmeCallbackHandler.handleExpressRequest(req, res);
+        });
+
+        // Game Provider Callback (VIPReseller)
+        app.post('/callback/provider', (req, res) => {
+            providerCallbackHandler.handleExpressRequest(req, res);
+        });
+
         // Legacy/Generic Callback Endpoint (Optional)
         app.post('/callback', (req, res) => {
             paymentCallbackHandler.handleExpressRequest(req, res);
         });
 
+        // Transaction export (Bearer REPORT_API_TOKEN, off without it)
+        const reportExportHandler = new ReportExportHttpHandler(reportService, AppConfig.report.apiToken);
+
+        app.get('/admin/export', (req, res) => {
+            reportExportHandler.handleExpressRequest(req, res).catch((error) => {
+                logger.error(`[Admin] Export request failed: ${error.message}`);
+                if (!res.headersSent) res.status(500).json({ success: false, message: 'Export failed' });
+            });
+        });
+
         // Game Sync Service (Admin Only)
         const gameSyncService = new GameSyncService(gameProviderService, gameRepository);
 
@@ -0,0 +1,251 @@
+/**
+ * In-memory stand-in for DatabasePort (`db.client`) used by repository tests
+ *
+ * Implements the Prisma calls the repositories make, with the where/data
+ * operators they use (equality, gt/gte/lt/lte, in, not, OR/AND, compound
+ * unique keys, increment/decrement) and skip/take/cursor paging.
+ * `$transaction` undoes the writes made through its own client if the callback
+ * throws, like a DB rollback; writes made meanwhile by other callers (or
+ * straight on `state`) are kept.
+ *
+ * Unique keys are declared per model so create/upsert can fail with P2002, and
+ * column defaults are filled in on create:
+ *   createFakeDatabase({ user: [...] }, {
+ *     unique: { ledgerEntry: [['merchantRef', 'entryType', 'account']] },
+ *     defaults: { promoUsage: { used: 0 } }
+ *   })
+ */
+
+const OPERATORS = new Set(['equals', 'gt', 'gte', 'lt', 'lte', 'in', 'not', 'startsWith']);
+
+export function createFakeDatabase(tables = {}, { unique = {}, defaults = {} } = {}) {
+  const state = {};
+  for (const [model, rows] of Object.entries(tables)) state[model] = rows.map(row => ({ ...row }));
+
+  const hooks = [];
+  const context = { state, hooks, unique, defaults };
+  const client = createClient(context, null);
+
+  return {
+    client,
+    state,
+    /**
+     * Run `effect` right after the next `model.method` call returns its result,
+     * e.g. to let a concurrent writer move a row between a read and a conditional update
+     */
+    once(model, method, effect) {
+      hooks.push({ model, method, effect });
+    }
+  };
+}
+
+function createClient(context, journal) {
+  const models = {
+    async $transaction(work) {
+      if (Array.isArray(work)) return await Promise.all(work);
+      const undo = [];
+      try {
+        return await work(createClient(context, undo));
+      } catch (error) {
+        undo.reverse().forEach(step => step());
+        throw error;
+      }
+    }
+  };
+  return new Proxy(models, {
+    get(base, model) {
+      if (!(model in base)) base[model] = createModel(context, model, journal);
+      return base[model];
+    }
+  });
+}
+
+function createModel({ state, hooks, unique, defaults }, model, journal) {
+  const rows = () => (state[model] ||= []);
+  const find = (where) => rows().filter(row => matches(row, where));
+  const record = (step) => journal?.push(step);
+
+  const checkUnique = (candidate) => {
+    for (const key of unique[model] || []) {
+      const clash = rows().some(row => key.every(field => candidate[field] !== null && candidate[field] !== undefined && equal(row[field], candidate[field])));
+      if (clash) throw Object.assign(new Error(`Unique constraint failed on ${model} (${key.join(', ')})`), { code: 'P2002' });
+    }
+  };
+
+  const insert = (data) => {
+    const row = { ...(defaults[model] || {}), ...data };
+    checkUnique(row);
+    rows().push(row);
+    record(() => { state[model] = rows().filter(existing => existing !== row); });
+    return { ...row };
+  };
+
+  const change = (row, data) => {
+    const before = { ...row };
+    apply(row, data);
+    record(() => {
+      for (const key of Object.keys(row)) delete row[key];
+      Object.assign(row, before);
+    });
+  };
+
+  const notFound = () => Object.assign(new Error(`No ${model} record found`), { code: 'P2025' });
+
+  const methods = {
+    async findUnique({ where }) {
+      const [row] = find(where);
+      return row ? { ...row } : null;
+    },
+    async findFirst({ where = {}, orderBy } = {}) {
+      const [row] = sort(find(where), orderBy);
+      return row ? { ...row } : null;
+    },
+    async findMany({ where = {}, orderBy, cursor, skip = 0, take } = {}) {
+      const sorted = sort(find(where), orderBy);
+      // Cursor paging starts at the cursor row (skip: 1 leaves it out); a missing cursor row gives nothing
+      const start = cursor ? sorted.findIndex(row => matches(row, cursor)) : 0;
+      if (start === -1) return [];
+      const found = sorted.slice(start + skip).map(row => ({ ...row }));
+      return take === undefined ? found : found.slice(0, take);
+    },
+    async count({ where = {} } = {}) {
+      return find(where).length;
+    },
+    async groupBy({ by, where = {}, _count, _sum = {} }) {
+      const groups = new Map();
+      for (const row of find(where)) {
+        const key = JSON.stringify(by.map(field => row[field] ?? null));
+        if (!groups.has(key)) groups.set(key, { keys: Object.fromEntries(by.map(field => [field, row[field] ?? null])), rows: [] });
+        groups.get(key).rows.push(row);
+      }
+      return [...groups.values()].map(({ keys, rows: grouped }) => ({
+        ...keys,
+        ...(_count ? { _count: { _all: grouped.length } } : {}),
+        _sum: Object.fromEntries(Object.keys(_sum).map(field => [field, sumOf(grouped, field)]))
+      }));
+    },
+    async create({ data }) {
+      return insert(data);
+    },
+    async createMany({ data }) {
+      data.forEach(insert);
+      return { count: data.length };
+    },
+    async update({ where, data }) {
+      const [row] = find(where);
+      if (!row) throw notFound();
+      change(row, data);
+      return { ...row };
+    },
+    async updateMany({ where = {}, data }) {
+      const found = find(where);
+      found.forEach(row => change(row, data));
+      return { count: found.length };
+    },
+    async upsert({ where, create, update }) {
+      const [row] = find(where);
+      if (!row) return insert(create);
+      change(row, update);
+      return { ...row };
+    },
+    async deleteMany({ where = {} } = {}) {
+      const before = rows();
+      const found = new Set(find(where));
+      state[model] = before.filter(row => !found.has(row));
+      record(() => { state[model] = before; });
+      return { count: found.size };
+    }
+  };
+
+  // Pending `once` hooks fire after the call they wait for
+  for (const [method, call] of Object.entries(methods)) {
+    methods[method] = async (args) => {
+      const result = await call(args);
+      const index = hooks.findIndex(hook => hook.model === model && hook.method === method);
+      if (index !== -1) await hooks.splice(index, 1)[0].effect(result);
+      return result;
+    };
+  }
+  return methods;
+}
+
+function matches(row, where = {}) {
+  return Object.entries(where).every(([key, condition]) => {
+    if (condition === undefined) return true;
+    if (key === 'OR') return condition.some(branch => matches(row, branch));
+    if (key === 'AND') return condition.every(branch => matches(row, branch));
+    if (isPlainObject(condition) && !(key in row) && !isOperatorObject(condition)) {
+      return matches(row, condition); // compound unique key, e.g. promoCode_userId
+    }
+    return test(row[key] ?? null, condition);
+  });
+}
+
+function test(value, condition) {
+  if (!isOperatorObject(condition)) return equal(value, condition);
+
+  return Object.entries(condition).every(([operator, operand]) => {
+    switch (operator) {
+      case 'equals': return equal(value, operand);
+      case 'not': return isOperatorObject(operand) ? !test(value, operand) : !equal(value, operand);
+      case 'in': return operand.some(candidate => equal(value, candidate));
+      case 'startsWith': return typeof value === 'string' && value.startsWith(operand);
+      case 'gt': return value !== null && value > operand;
+      case 'gte': return value !== null && value >= operand;
+      case 'lt': return value !== null && value < operand;
+      case 'lte': return value !== null && value <= operand;
+      default: throw new Error(`Unsupported operator ${operator}`);
+    }
+  });
+}
+
+function apply(row, data) {
+  for (const [key, value] of Object.entries(data)) {
+    if (isPlainObject(value) && 'increment' in value) row[key] = row[key] + value.increment;
+    else if (isPlainObject(value) && 'decrement' in value) row[key] = row[key] - value.decrement;
+    else row[key] = value;
+  }
+}
+
+// Prisma sums BigInt columns as BigInt, and gives null for an empty group
+function sumOf(rows, field) {
+  const values = rows.map(row => row[field]).filter(value => value !== null && value !== undefined);
+  if (values.length === 0) return null;
+  return values.reduce((total, value) => total + value);
+}
+
+function sort(rows, orderBy) {
+  if (!orderBy) return [...rows];
+  const keys = (Array.isArray(orderBy) ? orderBy : [orderBy]).map(entry => {
+    const [field, direction] = Object.entries(entry)[0];
+    const order = isPlainObject(direction) ? direction.sort : direction;
+    // PostgreSQL: NULLS LAST ascending, NULLS FIRST descending, unless given
+    const nulls = (isPlainObject(direction) && direction.nulls) || (order === 'desc' ? 'first' : 'last');
+    return { field, descending: order === 'desc', nulls };
+  });
+
+  return [...rows].sort((a, b) => {
+    for (const { field, descending, nulls } of keys) {
+      const left = a[field] ?? null;
+      const right = b[field] ?? null;
+      if (equal(left, right)) continue;
+      if (left === null) return nulls === 'first' ? -1 : 1;
+      if (right === null) return nulls === 'first' ? 1 : -1;
+      return (left > right) === descending ? -1 : 1;
+    }
+    return 0;
+  });
+}
+
+function equal(a, b) {
+  if (a instanceof Date && b instanceof Date) return a.getTime() === b.getTime();
+  return a === b;
+}
+
+function isPlainObject(value) {
+  return value !== null && typeof value === 'object' && !(value instanceof Date) && !Array.isArray(value);
+}
+
+function isOperatorObject(value) {
+  return isPlainObject(value) && Object.keys(value).length > 0 && Object.keys(value).every(key => OPERATORS.has(key));
+}
@@ -0,0 +1,99 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { NetzmeAdapter } from '../../../adapters/shared/payment/NetzmeAdapter.js';
+import { NetzmeCallbackHandler } from '../../../adapters/shared/payment/NetzmeCallbackHandler.js';
+import { PAYMENT_STATUS } from '../../../core/shared/config/constants.js';
+
+const CALLBACK_PATH = '/callback/payment/netzme';
+const TIMESTAMP = '2026-10-19T10:00:00+07:00';
+const adapter = new NetzmeAdapter({ clientSecret: 'test-secret' });
+
+const setup = ({ duplicate = false, sync = { statusChanged: true, trx: { merchantRef: 'ORD-1', userId: '1001' }, newStatus: PAYMENT_STATUS.PAID } } = {}) => {
+  const calls = [];
+  const ledger = {
+    register: async (event) => { calls.push(['register', event.signatureValid]); return { event: { id: 'evt-1' }, duplicate }; },
+    markRejected: async (id, reason) => { calls.push(['rejected', reason]); },
+    markFailed: async (id, reason) => { calls.push(['failed', reason]); },
+    markProcessed: async () => { calls.push(['processed']); }
+  };
+  const bot = {
+    paymentService: { handleCallback: async (merchantRef) => { calls.push(['sync', merchantRef]); return sync; } },
+    buildTransactionNotice: (trx, status) => `${trx.merchantRef} ${status}`,
+    updateTransactionBubble: async (trx, notice) => { calls.push(['notify', notice]); }
+  };
+  return { calls, handler: new NetzmeCallbackHandler(adapter, bot, ledger, CALLBACK_PATH) };
+};
+
+const request = (body, { rawBody = JSON.stringify(body), signature } = {}) => ({
+  body,
+  rawBody,
+  ip: '127.0.0.1',
+  headers: {
+    'x-timestamp': TIMESTAMP,
+    'x-signature': signature ?? adapter.generateSignature('POST', CALLBACK_PATH, JSON.stringify(body), TIMESTAMP)
+  }
+});
+
+const response = () => {
+  const res = { statusCode: 200, payload: null };
+  res.status = (code) => { res.statusCode = code; return res; };
+  res.json = (payload) => { res.payload = payload; return res; };
+  return res;
+};
+
+const paid = { originalPartnerReferenceNo: 'ORD-1', latestTransactionStatus: '00' };
+
+describe('NetzmeCallbackHandler', () => {
+  it('syncs the invoice and tells the user about a signed notification', async () => {
+    const { calls, handler } = setup();
+    const res = response();
+
+    await handler.handleExpressRequest(request(paid), res);
+
+    assert.equal(res.payload.responseCode, '2005200');
+    assert.deepEqual(calls, [['register', true], ['sync', 'ORD-1'], ['notify', `ORD-1 ${PAYMENT_STATUS.PAID}`], ['processed']]);
+  });
+
+  it('checks the signature against the minified body', async () => {
+    const { calls, handler } = setup();
+    const res = response();
+
+    await handler.handleExpressRequest(request(paid, { rawBody: JSON.stringify(paid, null, 2) }), res);
+
+    assert.equal(res.statusCode, 200);
+    assert.ok(calls.some(([name]) => name === 'sync'));
+  });
+
+  it('rejects a notification with a wrong or missing signature without syncing', async () => {
+    for (const signature of [adapter.generateSignature('POST', '/other/path', JSON.stringify(paid), TIMESTAMP), '']) {
+      const { calls, handler } = setup();
+      const res = response();
+
+      await handler.handleExpressRequest(request(paid, { signature }), res);
+
+      assert.equal(res.statusCode, 401);
+      assert.deepEqual(calls, [['register', false], ['rejected', 'Invalid signature']]);
+    }
+  });
+
+  it('acknowledges a retried notification without syncing it again', async () => {
+    const { calls, handler } = setup({ duplicate: true });
+    const res = response();
+
+    await handler.handleExpressRequest(request(paid), res);
+
+    assert.equal(res.payload.responseCode, '2005200');
+    assert.deepEqual(calls, [['register', true]]);
+  });
+
+  it('refuses a signed notification without the invoice reference', async () => {
+    const { calls, handler } = setup();
+    const res = response();
+
+    await handler.handleExpressRequest(request({ latestTransactionStatus: '00' }), res);
+
+    assert.equal(res.statusCode, 400);
+    assert.deepEqual(calls.at(-1), ['rejected', 'Missing originalPartnerReferenceNo']);
+  });
+});
@@ -0,0 +1,33 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { PngQrRenderer } from '../../../adapters/shared/qr/PngQrRenderer.js';
+import { QR_CODE } from '../../../core/shared/config/constants.js';
+
+const PNG_SIGNATURE = Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]);
+// IHDR is the first chunk: width and height follow the signature, chunk length and type
+const dimensions = (png) => ({ width: png.readUInt32BE(16), height: png.readUInt32BE(20) });
+
+describe('PngQrRenderer', () => {
+  const qris = '00020101021226570011ID.CO.QRIS.WWW0215ID10200176114730303UMI5204581253033605802ID5910TOKO GAME6007JAKARTA6304ABCD';
+
+  it('renders a square PNG of the configured width', async () => {
+    const png = await new PngQrRenderer().renderPng(qris);
+
+    assert.ok(Buffer.isBuffer(png));
+    assert.deepEqual(png.subarray(0, 8), PNG_SIGNATURE);
+    assert.deepEqual(dimensions(png), { width: QR_CODE.SIZE, height: QR_CODE.SIZE });
+  });
+
+  it('takes the size from the options', async () => {
+    const png = await new PngQrRenderer({ size: 256 }).renderPng(qris);
+
+    assert.deepEqual(dimensions(png), { width: 256, height: 256 });
+  });
+
+  it('renders the same payload the same way', async () => {
+    const renderer = new PngQrRenderer();
+
+    assert.deepEqual(await renderer.renderPng(qris), await renderer.renderPng(qris));
+  });
+});
@@ -0,0 +1,57 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { TelegramAdapter } from '../../../adapters/bot-telegram/telegram/TelegramAdapter.js';
+
+// Captures what would go over the wire instead of calling the Bot API
+const capture = () => {
+  const adapter = new TelegramAdapter('TOKEN');
+  const sent = [];
+  adapter._send = async (path, options, payload) => {
+    sent.push({ path, headers: options.headers, body: payload });
+    return { ok: true, result: { message_id: 1 } };
+  };
+  return { adapter, sent };
+};
+
+describe('TelegramAdapter uploads', () => {
+  it('uploads an in-memory photo as multipart, with the options as form fields', async () => {
+    const { adapter, sent } = capture();
+    const png = Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x00, 0xff]);
+
+    await adapter.sendPhoto('42', png, { caption: 'Bayar', reply_markup: { inline_keyboard: [] }, filename: 'qris.png' });
+
+    const [{ path, headers, body }] = sent;
+    const boundary = headers['Content-Type'].match(/^multipart\/form-data; boundary=(.+)$/)[1];
+    const text = body.toString('latin1');
+    assert.equal(path, 'sendPhoto');
+    assert.equal(headers['Content-Length'], body.length);
+    assert.match(text, /name="chat_id"\r\n\r\n42\r\n/);
+    assert.match(text, /name="caption"\r\n\r\nBayar\r\n/);
+    assert.match(text, /name="reply_markup"\r\n\r\n\{"inline_keyboard":\[\]\}\r\n/);
+    assert.match(text, /name="photo"; filename="qris\.png"\r\nContent-Type: image\/png\r\n\r\n/);
+    assert.doesNotMatch(text, /name="filename"/);
+    assert.ok(body.includes(png));
+    assert.ok(text.endsWith(`\r\n--${boundary}--\r\n`));
+  });
+
+  it('sends a photo URL or file_id as plain JSON', async () => {
+    const { adapter, sent } = capture();
+
+    await adapter.sendPhoto('42', 'https://example.com/qr.png', { caption: 'Bayar' });
+
+    assert.equal(sent[0].headers['Content-Type'], 'application/json');
+    assert.deepEqual(JSON.parse(sent[0].body), { chat_id: '42', photo: 'https://example.com/qr.png', caption: 'Bayar' });
+  });
+
+  it('uploads an in-memory document with its own content type', async () => {
+    const { adapter, sent } = capture();
+
+    await adapter.sendDocument('42', Buffer.from('ref;status\n'), { filename: 'export.csv', contentType: 'text/csv' });
+
+    const text = sent[0].body.toString('latin1');
+    assert.equal(sent[0].path, 'sendDocument');
+    assert.match(text, /name="document"; filename="export\.csv"\r\nContent-Type: text\/csv\r\n\r\nref;status\n\r\n/);
+    assert.doesNotMatch(text, /name="contentType"/);
+  });
+});
@@ -0,0 +1,90 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { MenuRouter } from '../../../core/applications/bot-telegram/useCases/handlers/MenuRouter.js';
+import { PaymentService } from '../../../core/shared/services/PaymentService.js';
+import { TransactionRepository } from '../../../core/shared/repositories/TransactionRepository.js';
+import { MESSAGES } from '../../../core/applications/bot-telegram/config/messages.js';
+import { PAYMENT_STATUS, TRANSACTION_TYPE } from '../../../core/shared/config/constants.js';
+import { createFakeDatabase } from '../../helpers/fakeDatabase.js';
+
+const pastOrder = (overrides = {}) => ({
+  merchantRef: 'ORD-1',
+  userId: '42',
+  type: TRANSACTION_TYPE.ORDER,
+  status: PAYMENT_STATUS.DELIVERED,
+  game: 'MLBB',
+  gameCode: 'MLBB',
+  serviceCode: 'ML86',
+  playerId: '111',
+  zoneId: '2001',
+  nickname: 'Nick',
+  basePrice: 20000n,
+  ...overrides
+});
+
+const setup = (rows, service = { code: 'ML86', serviceName: '86 Diamonds', price: 20000n }) => {
+  const db = createFakeDatabase({ transaction: rows });
+  const saved = [];
+  const router = new MenuRouter({
+    menuHandler: {},
+    paymentService: new PaymentService(null, null, new TransactionRepository(db)),
+    gameService: { findServiceByCode: async (code) => (service && code === service.code ? service : null) },
+    sessionService: { savePendingOrder: async (chatId, order) => { saved.push(order); } },
+    ui: {}
+  }, { messages: MESSAGES, menus: {} });
+  return { router, saved };
+};
+
+describe('MenuRouter.handleReorder', () => {
+  it('rebuilds the order for the same player and goes to channel selection', async () => {
+    const { router, saved } = setup([pastOrder()]);
+
+    const response = await router.handleReorder('42', 'ORD-1', 7);
+
+    assert.equal(response.delegateTo, 'paymentChannel');
+    assert.equal(response.toast, MESSAGES.REORDER_READY);
+    assert.deepEqual(saved, [{
+      game: 'MLBB', item: '86 Diamonds', price: 20000n, code: 'ML86', flashSaleId: null,
+      gamePlayerId: '111', zoneId: '2001', nickname: 'Nick', lastMsgId: 7
+    }]);
+  });
+
+  it('charges the current price and says so when it changed', async () => {
+    const { router, saved } = setup([pastOrder()], { code: 'ML86', serviceName: '86 Diamonds', price: 21500n });
+
+    const response = await router.handleReorder('42', 'ORD-1');
+
+    assert.equal(saved[0].price, 21500n);
+    assert.equal(response.toast, MESSAGES.REORDER_PRICE_CHANGED(21500n));
+  });
+
+  it('refuses someone else\'s transaction', async () => {
+    const { router, saved } = setup([pastOrder({ userId: '99' })]);
+
+    const response = await router.handleReorder('42', 'ORD-1');
+
+    assert.equal(response.toast, MESSAGES.ERR_REORDER_UNAVAILABLE);
+    assert.deepEqual(saved, []);
+  });
+
+  it('refuses deposits and unpaid invoices', async () => {
+    const { router } = setup([
+      pastOrder({ merchantRef: 'DEP-1', type: TRANSACTION_TYPE.DEPOSIT }),
+      pastOrder({ merchantRef: 'ORD-2', status: PAYMENT_STATUS.UNPAID })
+    ]);
+
+    assert.equal((await router.handleReorder('42', 'DEP-1')).toast, MESSAGES.ERR_REORDER_UNAVAILABLE);
+    assert.equal((await router.handleReorder('42', 'ORD-2')).toast, MESSAGES.ERR_REORDER_UNAVAILABLE);
+  });
+
+  it('tells the user when the product is no longer sold', async () => {
+    const { router, saved } = setup([pastOrder()], null);
+
+    const response = await router.handleReorder('42', 'ORD-1');
+
+    assert.equal(response.toast, MESSAGES.ERR_REORDER_PRODUCT_GONE);
+    assert.equal(response.showAlert, true);
+    assert.deepEqual(saved, []);
+  });
+});
@@ -0,0 +1,58 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { PaymentHandler } from '../../../core/applications/bot-telegram/useCases/handlers/PaymentHandler.js';
+import { MESSAGES } from '../../../core/applications/bot-telegram/config/messages.js';
+import { QR_CODE } from '../../../core/shared/config/constants.js';
+
+const setup = ({ qrRenderer, qrBranding } = {}) => {
+  const photos = [];
+  const texts = [];
+  const messageIds = [];
+  const ui = {
+    sendPhoto: async (chatId, photo, options) => { photos.push({ photo, options }); return { result: { message_id: 77 } }; },
+    sendOrEdit: async (chatId, text) => { texts.push(text); }
+  };
+  const paymentService = { updateTransactionMessageId: async (ref, id) => { messageIds.push([ref, id]); } };
+  const handler = new PaymentHandler(paymentService, {}, null, { messages: MESSAGES, qrBranding }, null, ui, qrRenderer);
+  return { handler, photos, texts, messageIds };
+};
+
+const invoice = { merchantRef: 'ORD-1', trx_id: 'GW-1', qr_string: '000201QR', payment_url: 'https://pay.example/ORD-1', expiry_date: '2026-10-19 12:00' };
+const order = { item: '86 Diamonds', amount: 20140, channelCode: 'QRIS' };
+
+describe('PaymentHandler.sendQRInvoice', () => {
+  it('uploads the locally rendered QR and remembers the invoice bubble', async () => {
+    const rendered = [];
+    const png = Buffer.from('png');
+    const { handler, photos, messageIds } = setup({ qrRenderer: { renderPng: async (payload) => { rendered.push(payload); return png; } } });
+
+    await handler.sendQRInvoice('42', invoice, order);
+
+    assert.deepEqual(rendered, ['000201QR']);
+    assert.equal(photos[0].photo, png);
+    assert.equal(photos[0].options.filename, QR_CODE.FILENAME);
+    assert.equal(photos[0].options.caption, MESSAGES.PAYMENT_INVOICE(order.item, order.amount, invoice.expiry_date, invoice.payment_url));
+    assert.deepEqual(messageIds, [['ORD-1', 77]]);
+  });
+
+  it('puts the store name above the caption when branding is on', async () => {
+    const { handler, photos } = setup({
+      qrRenderer: { renderPng: async () => Buffer.from('png') },
+      qrBranding: { enabled: true, storeName: 'Toko Game' }
+    });
+
+    await handler.sendQRInvoice('42', invoice, order);
+
+    assert.ok(photos[0].options.caption.startsWith(MESSAGES.PAYMENT_INVOICE_STORE('Toko Game')));
+  });
+
+  it('falls back to the payment link when the QR cannot be rendered', async () => {
+    const { handler, photos, texts } = setup({ qrRenderer: { renderPng: async () => { throw new Error('Data too long'); } } });
+
+    await handler.sendQRInvoice('42', invoice, order);
+
+    assert.deepEqual(photos, []);
+    assert.deepEqual(texts, [MESSAGES.PAYMENT_INVOICE_FALLBACK(invoice.payment_url, invoice.qr_string)]);
+  });
+});
@@ -0,0 +1,86 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { FlashSaleRepository } from '../../../core/shared/repositories/FlashSaleRepository.js';
+import { createFakeDatabase } from '../../helpers/fakeDatabase.js';
+
+const now = new Date('2026-10-19T12:00:00Z');
+
+const sale = (overrides = {}) => ({
+  id: 'sale-1',
+  serviceCode: 'ML86',
+  price: 15000n,
+  quota: 2,
+  sold: 0,
+  isActive: true,
+  startsAt: new Date('2026-10-19T10:00:00Z'),
+  endsAt: new Date('2026-10-19T14:00:00Z'),
+  ...overrides
+});
+
+const setup = (overrides = {}, tables = {}) => {
+  const db = createFakeDatabase({ flashSale: [sale(overrides)], ...tables });
+  return { db, repo: new FlashSaleRepository(db), sold: () => db.state.flashSale[0].sold };
+};
+
+describe('FlashSaleRepository.claim', () => {
+  it('takes units until the quota is sold out', async () => {
+    const { repo, sold } = setup();
+
+    assert.equal(await repo.claim('sale-1', now), true);
+    assert.equal(await repo.claim('sale-1', now), true);
+    assert.equal(await repo.claim('sale-1', now), false);
+    assert.equal(sold(), 2);
+  });
+
+  it('has no limit without a quota', async () => {
+    const { repo, sold } = setup({ quota: null, sold: 500 });
+
+    assert.equal(await repo.claim('sale-1', now), true);
+    assert.equal(sold(), 501);
+  });
+
+  it('refuses sales that are disabled or outside their window', async () => {
+    assert.equal(await setup({ isActive: false }).repo.claim('sale-1', now), false);
+    assert.equal(await setup().repo.claim('sale-1', new Date('2026-10-19T09:59:59Z')), false);
+    assert.equal(await setup().repo.claim('sale-1', new Date('2026-10-19T14:00:00Z')), false);
+  });
+
+  it('never sells the last unit twice', async () => {
+    const { db, repo, sold } = setup({ quota: 1 });
+    // Another checkout takes the last unit between the read and the conditional update
+    db.once('flashSale', 'findFirst', () => { db.state.flashSale[0].sold = 1; });
+
+    assert.equal(await repo.claim('sale-1', now), false);
+    assert.equal(sold(), 1);
+  });
+
+  it('reads again when a concurrent claim moved the counter under the quota', async () => {
+    const { db, repo, sold } = setup({ quota: 5 });
+    db.once('flashSale', 'findFirst', () => { db.state.flashSale[0].sold = 1; });
+
+    assert.equal(await repo.claim('sale-1', now), true);
+    assert.equal(sold(), 2);
+  });
+});
+
+describe('FlashSaleRepository.release', () => {
+  it('gives a unit back but never goes below zero', async () => {
+    const { repo, sold } = setup({ sold: 1 });
+
+    assert.equal(await repo.release('sale-1'), true);
+    assert.equal(await repo.release('sale-1'), false);
+    assert.equal(sold(), 0);
+  });
+
+  it('gives back the unit of an order once', async () => {
+    const { db, repo, sold } = setup({ sold: 2 }, {
+      transaction: [{ merchantRef: 'ORD-1', flashSaleId: 'sale-1', flashSaleReleasedAt: null }]
+    });
+
+    assert.equal(await repo.releaseOrder('ORD-1', 'sale-1'), true);
+    assert.equal(await repo.releaseOrder('ORD-1', 'sale-1'), false);
+    assert.equal(sold(), 1);
+    assert.ok(db.state.transaction[0].flashSaleReleasedAt instanceof Date);
+  });
+});
@@ -0,0 +1,87 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { FulfillmentJobRepository } from '../../../core/shared/repositories/FulfillmentJobRepository.js';
+import { FULFILLMENT_JOB_STATUS } from '../../../core/shared/config/constants.js';
+import { createFakeDatabase } from '../../helpers/fakeDatabase.js';
+
+const job = (overrides = {}) => ({
+  id: 'job-1',
+  merchantRef: 'ORD-1',
+  status: FULFILLMENT_JOB_STATUS.PENDING,
+  attempts: 0,
+  maxAttempts: 3,
+  lockedAt: null,
+  ...overrides
+});
+
+describe('FulfillmentJobRepository', () => {
+  describe('claim', () => {
+    it('moves a PENDING job to RUNNING and counts the attempt', async () => {
+      const db = createFakeDatabase({ fulfillmentJob: [job()] });
+      const repo = new FulfillmentJobRepository(db);
+
+      assert.equal(await repo.claim('job-1'), true);
+
+      const [claimed] = db.state.fulfillmentJob;
+      assert.equal(claimed.status, FULFILLMENT_JOB_STATUS.RUNNING);
+      assert.equal(claimed.attempts, 1);
+      assert.ok(claimed.lockedAt instanceof Date);
+    });
+
+    it('lets only one of two workers claim the same job', async () => {
+      const db = createFakeDatabase({ fulfillmentJob: [job()] });
+      const repo = new FulfillmentJobRepository(db);
+
+      const results = await Promise.all([repo.claim('job-1'), repo.claim('job-1')]);
+
+      assert.deepEqual(results.sort(), [false, true]);
+      assert.equal(db.state.fulfillmentJob[0].attempts, 1);
+    });
+
+    it('refuses jobs that are not PENDING', async () => {
+      for (const status of [FULFILLMENT_JOB_STATUS.RUNNING, FULFILLMENT_JOB_STATUS.DONE, FULFILLMENT_JOB_STATUS.DEAD]) {
+        const db = createFakeDatabase({ fulfillmentJob: [job({ status })] });
+        assert.equal(await new FulfillmentJobRepository(db).claim('job-1'), false, status);
+        assert.equal(db.state.fulfillmentJob[0].status, status);
+      }
+    });
+  });
+
+  describe('releaseStale', () => {
+    it('puts back RUNNING jobs locked before the cutoff only', async () => {
+      const cutoff = new Date('2026-10-19T10:00:00Z');
+      const db = createFakeDatabase({
+        fulfillmentJob: [
+          job({ id: 'stale', status: FULFILLMENT_JOB_STATUS.RUNNING, lockedAt: new Date('2026-10-19T09:00:00Z') }),
+          job({ id: 'fresh', merchantRef: 'ORD-2', status: FULFILLMENT_JOB_STATUS.RUNNING, lockedAt: new Date('2026-10-19T10:30:00Z') })
+        ]
+      });
+
+      const { count } = await new FulfillmentJobRepository(db).releaseStale(cutoff);
+
+      assert.equal(count, 1);
+      const byId = Object.fromEntries(db.state.fulfillmentJob.map(row => [row.id, row]));
+      assert.equal(byId.stale.status, FULFILLMENT_JOB_STATUS.PENDING);
+      assert.equal(byId.stale.lockedAt, null);
+      assert.equal(byId.fresh.status, FULFILLMENT_JOB_STATUS.RUNNING);
+    });
+  });
+
+  describe('cancelPending', () => {
+    it('dead-letters a job that has not run yet', async () => {
+      const db = createFakeDatabase({ fulfillmentJob: [job()] });
+
+      assert.equal(await new FulfillmentJobRepository(db).cancelPending('ORD-1', 'Refunded'), true);
+      assert.equal(db.state.fulfillmentJob[0].status, FULFILLMENT_JOB_STATUS.DEAD);
+      assert.equal(db.state.fulfillmentJob[0].lastError, 'Refunded');
+    });
+
+    it('leaves a running job alone', async () => {
+      const db = createFakeDatabase({ fulfillmentJob: [job({ status: FULFILLMENT_JOB_STATUS.RUNNING })] });
+
+      assert.equal(await new FulfillmentJobRepository(db).cancelPending('ORD-1', 'Refunded'), false);
+      assert.equal(db.state.fulfillmentJob[0].status, FULFILLMENT_JOB_STATUS.RUNNING);
+    });
+  });
+});
@@ -0,0 +1,75 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { GameRepository } from '../../../core/shared/repositories/GameRepository.js';
+import { createFakeDatabase } from '../../helpers/fakeDatabase.js';
+
+const minutesAgo = (minutes) => new Date(Date.now() - minutes * 60 * 1000);
+
+const account = (id, overrides = {}) => ({
+  id,
+  userId: '42',
+  gameCode: 'MLBB',
+  playerId: `P-${id}`,
+  zoneId: '1234',
+  nickname: `Player ${id}`,
+  isVerified: true,
+  lastValidated: minutesAgo(60),
+  ...overrides
+});
+
+const setup = (accounts = []) => {
+  const db = createFakeDatabase({ gameAccount: accounts }, {
+    unique: { gameAccount: [['userId', 'gameCode', 'playerId']] }
+  });
+  return { db, repo: new GameRepository(db) };
+};
+
+describe('GameRepository saved game accounts', () => {
+  it('saves a player ID once per user and game, refreshing it on the next validation', async () => {
+    const { db, repo } = setup();
+
+    await repo.saveGameAccount({ userId: 42, gameCode: 'MLBB', playerId: '111', zoneId: '2001', nickname: 'Old Nick', isVerified: true });
+    await repo.saveGameAccount({ userId: 42, gameCode: 'MLBB', playerId: '111', zoneId: '2001', nickname: 'New Nick', isVerified: true });
+
+    assert.equal(db.state.gameAccount.length, 1);
+    assert.equal(db.state.gameAccount[0].userId, '42');
+    assert.equal(db.state.gameAccount[0].nickname, 'New Nick');
+    assert.equal(db.state.gameAccount[0].isVerified, true);
+  });
+
+  it('does not mark an account verified unless asked to', async () => {
+    const { db, repo } = setup();
+
+    await repo.saveGameAccount({ userId: '42', gameCode: 'FF', playerId: '222', zoneId: null, nickname: null });
+
+    assert.equal(db.state.gameAccount[0].isVerified, false);
+  });
+
+  it('lists one game\'s accounts, most recently used first, up to the limit', async () => {
+    const { repo } = setup([
+      account('a', { lastValidated: minutesAgo(30) }),
+      account('b', { lastValidated: minutesAgo(5) }),
+      account('c', { lastValidated: minutesAgo(10) }),
+      account('d', { gameCode: 'FF', lastValidated: minutesAgo(1) }),
+      account('e', { userId: '99', lastValidated: minutesAgo(1) })
+    ]);
+
+    const accounts = await repo.getUserGameAccounts('42', 'MLBB', 2);
+    const all = await repo.getUserGameAccounts(42);
+
+    assert.deepEqual(accounts.map(a => a.id), ['b', 'c']);
+    assert.deepEqual(all.map(a => a.id), ['d', 'b', 'c', 'a']);
+  });
+
+  it('finds and deletes only the user\'s own accounts', async () => {
+    const { db, repo } = setup([account('a'), account('e', { userId: '99' })]);
+
+    assert.equal(await repo.findGameAccount('42', 'e'), null);
+    assert.equal(await repo.deleteGameAccount('42', 'e'), false);
+    assert.equal((await repo.findGameAccount('42', 'a')).playerId, 'P-a');
+    assert.equal(await repo.deleteGameAccount('42', 'a'), true);
+
+    assert.deepEqual(db.state.gameAccount.map(a => a.id), ['e']);
+  });
+});
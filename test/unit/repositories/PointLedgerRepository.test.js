@@ -0,0 +1,82 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { PointLedgerRepository } from '../../../core/shared/repositories/PointLedgerRepository.js';
+import { POINT_ENTRY_TYPE } from '../../../core/shared/config/constants.js';
+import { createFakeDatabase } from '../../helpers/fakeDatabase.js';
+
+const now = new Date('2026-10-19T12:00:00Z');
+const days = (n) => new Date(now.getTime() + n * 24 * 60 * 60 * 1000);
+
+const lot = (id, remaining, expiresAt, createdAt = days(-30)) => ({
+  id, userId: '42', type: POINT_ENTRY_TYPE.EARN, points: remaining, remaining, expiresAt, merchantRef: `EARN-${id}`, createdAt
+});
+
+const setup = (lots) => {
+  const db = createFakeDatabase({ pointEntry: lots }, {
+    unique: { pointEntry: [['merchantRef', 'type']] },
+    defaults: { pointEntry: { remaining: 0, expiresAt: null } }
+  });
+  const remaining = () => Object.fromEntries(db.state.pointEntry.filter(entry => entry.id).map(entry => [entry.id, entry.remaining]));
+  return { db, repo: new PointLedgerRepository(db), remaining };
+};
+
+const redeem = (points, merchantRef = 'ORD-1') => ({ userId: '42', type: POINT_ENTRY_TYPE.REDEEM, points, merchantRef });
+
+describe('PointLedgerRepository.debit', () => {
+  it('spends the lots that expire first, lots without expiry last', async () => {
+    const { repo, remaining } = setup([
+      lot('forever', 100, null),
+      lot('late', 100, days(20)),
+      lot('soon', 50, days(2))
+    ]);
+
+    const entry = await repo.debit(redeem(120), now);
+
+    assert.equal(entry.points, -120);
+    assert.deepEqual(remaining(), { forever: 100, late: 30, soon: 0 });
+  });
+
+  it('never spends expired lots', async () => {
+    const { repo, remaining } = setup([lot('expired', 100, days(-1)), lot('valid', 30, days(5))]);
+
+    assert.equal(await repo.debit(redeem(50), now), null);
+    assert.deepEqual(remaining(), { expired: 100, valid: 30 });
+  });
+
+  it('rolls every lot back when they do not cover the debit', async () => {
+    const { db, repo, remaining } = setup([lot('a', 40, days(1)), lot('b', 40, days(2))]);
+
+    assert.equal(await repo.debit(redeem(100), now), null);
+    assert.deepEqual(remaining(), { a: 40, b: 40 });
+    assert.equal(db.state.pointEntry.length, 2);
+  });
+
+  it('rolls back when a concurrent spend emptied a lot after it was read', async () => {
+    const { db, repo, remaining } = setup([lot('a', 40, days(1)), lot('b', 40, days(2))]);
+    db.once('pointEntry', 'findMany', () => { db.state.pointEntry[1].remaining = 10; });
+
+    assert.equal(await repo.debit(redeem(60), now), null);
+    assert.deepEqual(remaining(), { a: 40, b: 10 });
+  });
+
+  it('redeems once per order', async () => {
+    const { repo, remaining } = setup([lot('a', 100, days(1))]);
+
+    assert.ok(await repo.debit(redeem(30), now));
+    assert.equal(await repo.debit(redeem(30), now), null);
+    assert.deepEqual(remaining(), { a: 70 });
+  });
+});
+
+describe('PointLedgerRepository.expireLots', () => {
+  it('zeroes lots past their expiry and records what expired', async () => {
+    const { db, repo, remaining } = setup([lot('old', 25, days(-1)), lot('valid', 10, days(3))]);
+
+    const expired = await repo.expireLots(now);
+
+    assert.deepEqual(expired, [{ userId: '42', points: 25 }]);
+    assert.deepEqual(remaining(), { old: 0, valid: 10 });
+    assert.equal(db.state.pointEntry.at(-1).type, POINT_ENTRY_TYPE.EXPIRE);
+  });
+});
@@ -0,0 +1,98 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { PromoCodeRepository } from '../../../core/shared/repositories/PromoCodeRepository.js';
+import { createFakeDatabase } from '../../helpers/fakeDatabase.js';
+
+const setup = (promo = {}, tables = {}) => {
+  const db = createFakeDatabase({
+    promoCode: [{ code: 'HEMAT10', isActive: true, usageLimit: null, perUserLimit: null, used: 0, ...promo }],
+    ...tables
+  }, {
+    unique: { promoUsage: [['promoCode', 'userId']] },
+    defaults: { promoUsage: { used: 0 } }
+  });
+  return { db, repo: new PromoCodeRepository(db) };
+};
+
+const usage = (db, userId) => db.state.promoUsage?.find(row => row.userId === userId)?.used ?? 0;
+
+describe('PromoCodeRepository.claim', () => {
+  it('moves the promo and the user counters together', async () => {
+    const { db, repo } = setup({ usageLimit: 5 });
+
+    assert.equal(await repo.claim('HEMAT10', '42'), null);
+    assert.equal(await repo.claim('HEMAT10', '42'), null);
+
+    assert.equal(db.state.promoCode[0].used, 2);
+    assert.equal(usage(db, '42'), 2);
+  });
+
+  it('refuses once the global cap is reached', async () => {
+    const { db, repo } = setup({ usageLimit: 1 });
+
+    assert.equal(await repo.claim('HEMAT10', '42'), null);
+    assert.equal(await repo.claim('HEMAT10', '43'), 'LIMIT_REACHED');
+    assert.equal(db.state.promoCode[0].used, 1);
+  });
+
+  it('refuses once the user cap is reached, without touching the global counter', async () => {
+    const { db, repo } = setup({ perUserLimit: 1 });
+
+    assert.equal(await repo.claim('HEMAT10', '42'), null);
+    assert.equal(await repo.claim('HEMAT10', '42'), 'USER_LIMIT_REACHED');
+    assert.equal(await repo.claim('HEMAT10', '43'), null);
+    assert.equal(db.state.promoCode[0].used, 2);
+  });
+
+  it('refuses unknown and disabled codes', async () => {
+    const { repo } = setup({ isActive: false });
+
+    assert.equal(await repo.claim('HEMAT10', '42'), 'NOT_FOUND');
+    assert.equal(await repo.claim('NOPE', '42'), 'NOT_FOUND');
+  });
+
+  it('never hands out the last redemption twice', async () => {
+    const { db, repo } = setup({ usageLimit: 1 });
+
+    // Another checkout takes the last redemption between the read and the conditional update
+    db.once('promoCode', 'findUnique', () => { db.state.promoCode[0].used = 1; });
+
+    assert.equal(await repo.claim('HEMAT10', '42'), 'LIMIT_REACHED');
+    assert.equal(db.state.promoCode[0].used, 1);
+    assert.equal(usage(db, '42'), 0);
+  });
+
+  it('retries when a concurrent claim moved the counter under the cap', async () => {
+    const { db, repo } = setup({ usageLimit: 5 });
+
+    db.once('promoCode', 'findUnique', () => { db.state.promoCode[0].used += 1; });
+
+    assert.equal(await repo.claim('HEMAT10', '42'), null);
+    assert.equal(db.state.promoCode[0].used, 2);
+    assert.equal(usage(db, '42'), 1);
+  });
+});
+
+describe('PromoCodeRepository.releaseOrder', () => {
+  it('gives back the redemption of an order once', async () => {
+    const { db, repo } = setup({ used: 1 }, {
+      promoUsage: [{ promoCode: 'HEMAT10', userId: '42', used: 1 }],
+      transaction: [{ merchantRef: 'ORD-1', promoCode: 'HEMAT10', promoReleasedAt: null }]
+    });
+
+    assert.equal(await repo.releaseOrder('ORD-1', 'HEMAT10', '42'), true);
+    assert.equal(await repo.releaseOrder('ORD-1', 'HEMAT10', '42'), false);
+
+    assert.equal(db.state.promoCode[0].used, 0);
+    assert.equal(usage(db, '42'), 0);
+    assert.ok(db.state.transaction[0].promoReleasedAt instanceof Date);
+  });
+
+  it('never takes a counter below zero', async () => {
+    const { db, repo } = setup({ used: 0 });
+
+    assert.equal(await repo.release('HEMAT10', '42'), false);
+    assert.equal(db.state.promoCode[0].used, 0);
+  });
+});
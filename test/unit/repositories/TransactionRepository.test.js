@@ -0,0 +1,82 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { TransactionRepository } from '../../../core/shared/repositories/TransactionRepository.js';
+import { CallbackEventRepository } from '../../../core/shared/repositories/CallbackEventRepository.js';
+import { CALLBACK_EVENT_STATUS, PAYMENT_STATUS } from '../../../core/shared/config/constants.js';
+import { createFakeDatabase } from '../../helpers/fakeDatabase.js';
+
+const unpaid = (overrides = {}) => ({
+  merchantRef: 'ORD-1',
+  status: PAYMENT_STATUS.UNPAID,
+  paidAt: null,
+  ...overrides
+});
+
+describe('TransactionRepository.updateIfStatus', () => {
+  it('applies the update when the status is the expected one', async () => {
+    const db = createFakeDatabase({ transaction: [unpaid()] });
+    const paidAt = new Date();
+
+    const applied = await new TransactionRepository(db).updateIfStatus('ORD-1', PAYMENT_STATUS.UNPAID, { status: PAYMENT_STATUS.PAID, paidAt });
+
+    assert.equal(applied, true);
+    assert.equal(db.state.transaction[0].status, PAYMENT_STATUS.PAID);
+    assert.equal(db.state.transaction[0].paidAt, paidAt);
+  });
+
+  it('leaves the row untouched when the status moved on', async () => {
+    const db = createFakeDatabase({ transaction: [unpaid({ status: PAYMENT_STATUS.EXPIRED })] });
+
+    const applied = await new TransactionRepository(db).updateIfStatus('ORD-1', PAYMENT_STATUS.UNPAID, { status: PAYMENT_STATUS.PAID });
+
+    assert.equal(applied, false);
+    assert.equal(db.state.transaction[0].status, PAYMENT_STATUS.EXPIRED);
+  });
+
+  it('lets only one of two concurrent PAID transitions through', async () => {
+    const db = createFakeDatabase({ transaction: [unpaid()] });
+    const repo = new TransactionRepository(db);
+
+    const results = await Promise.all([
+      repo.updateIfStatus('ORD-1', PAYMENT_STATUS.UNPAID, { status: PAYMENT_STATUS.PAID }),
+      repo.updateIfStatus('ORD-1', PAYMENT_STATUS.UNPAID, { status: PAYMENT_STATUS.PAID })
+    ]);
+
+    assert.deepEqual(results.sort(), [false, true]);
+  });
+
+  it('returns false for an unknown merchantRef', async () => {
+    const db = createFakeDatabase({ transaction: [unpaid()] });
+
+    assert.equal(await new TransactionRepository(db).updateIfStatus('ORD-404', PAYMENT_STATUS.UNPAID, { status: PAYMENT_STATUS.PAID }), false);
+  });
+});
+
+describe('CallbackEventRepository', () => {
+  const key = { gateway: 'sakurupiah', reference: 'ORD-1', event: 'payment_status', payloadHash: 'abc' };
+  const unique = { callbackEvent: [['gateway', 'reference', 'event', 'payloadHash']] };
+
+  it('rejects a second ledger entry for the same callback with P2002', async () => {
+    const db = createFakeDatabase({}, { unique });
+    const repo = new CallbackEventRepository(db);
+
+    await repo.create({ id: 'evt-1', ...key, status: CALLBACK_EVENT_STATUS.RECEIVED });
+
+    await assert.rejects(repo.create({ id: 'evt-2', ...key, status: CALLBACK_EVENT_STATUS.RECEIVED }), { code: 'P2002' });
+    assert.equal((await repo.findByKey(key)).id, 'evt-1');
+  });
+
+  it('moves the status only from one of the given statuses', async () => {
+    const db = createFakeDatabase({ callbackEvent: [{ id: 'evt-1', ...key, status: CALLBACK_EVENT_STATUS.PROCESSED }] });
+    const repo = new CallbackEventRepository(db);
+    const retryable = [CALLBACK_EVENT_STATUS.RECEIVED, CALLBACK_EVENT_STATUS.FAILED];
+
+    assert.equal(await repo.updateIfStatus('evt-1', retryable, { status: CALLBACK_EVENT_STATUS.RECEIVED }), false);
+    assert.equal(db.state.callbackEvent[0].status, CALLBACK_EVENT_STATUS.PROCESSED);
+
+    db.state.callbackEvent[0].status = CALLBACK_EVENT_STATUS.FAILED;
+    assert.equal(await repo.updateIfStatus('evt-1', retryable, { status: CALLBACK_EVENT_STATUS.RECEIVED }), true);
+    assert.equal(db.state.callbackEvent[0].status, CALLBACK_EVENT_STATUS.RECEIVED);
+  });
+});
@@ -0,0 +1,108 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { WalletRepository } from '../../../core/shared/repositories/WalletRepository.js';
+import { LEDGER_ACCOUNT, LEDGER_ENTRY_TYPE, PAYMENT_STATUS } from '../../../core/shared/config/constants.js';
+import { createFakeDatabase } from '../../helpers/fakeDatabase.js';
+
+const unique = { ledgerEntry: [['merchantRef', 'entryType', 'account']] };
+
+const wallet = (balance, tables = {}) => createFakeDatabase({ user: [{ chatId: '42', balance }], ...tables }, { unique });
+
+const purchase = (amount, merchantRef = 'ORD-1') => ({
+  userId: '42',
+  amount,
+  entryType: LEDGER_ENTRY_TYPE.PURCHASE,
+  contraAccount: LEDGER_ACCOUNT.SALES,
+  merchantRef
+});
+
+describe('WalletRepository.debit', () => {
+  it('takes the amount and writes the transaction with a balanced entry pair', async () => {
+    const db = wallet(100000n);
+
+    const result = await new WalletRepository(db).debit(purchase(30000n), { merchantRef: 'ORD-1', status: PAYMENT_STATUS.PAID });
+
+    assert.deepEqual(result, { balance: 70000n });
+    assert.equal(db.state.user[0].balance, 70000n);
+    assert.equal(db.state.transaction.length, 1);
+
+    const [userSide, contra] = db.state.ledgerEntry;
+    assert.equal(userSide.account, 'user:42');
+    assert.equal(userSide.direction, 'DEBIT');
+    assert.equal(userSide.balanceAfter, 70000n);
+    assert.equal(contra.account, LEDGER_ACCOUNT.SALES);
+    assert.equal(contra.direction, 'CREDIT');
+    assert.equal(userSide.journalId, contra.journalId);
+  });
+
+  it('refuses a debit larger than the balance without writing anything', async () => {
+    const db = wallet(20000n);
+
+    const result = await new WalletRepository(db).debit(purchase(30000n), { merchantRef: 'ORD-1', status: PAYMENT_STATUS.PAID });
+
+    assert.equal(result, null);
+    assert.equal(db.state.user[0].balance, 20000n);
+    assert.equal(db.state.transaction, undefined);
+    assert.equal(db.state.ledgerEntry, undefined);
+  });
+
+  it('can spend the whole balance but never go below zero', async () => {
+    const db = wallet(30000n);
+    const repo = new WalletRepository(db);
+
+    assert.deepEqual(await repo.debit(purchase(30000n, 'ORD-1')), { balance: 0n });
+    assert.equal(await repo.debit(purchase(1n, 'ORD-2')), null);
+    assert.equal(db.state.user[0].balance, 0n);
+  });
+
+  it('lets only one of two concurrent debits spend the same balance', async () => {
+    const db = wallet(100000n);
+    const repo = new WalletRepository(db);
+
+    const results = await Promise.all([repo.debit(purchase(60000n, 'ORD-1')), repo.debit(purchase(60000n, 'ORD-2'))]);
+
+    assert.equal(results.filter(Boolean).length, 1);
+    assert.equal(db.state.user[0].balance, 40000n);
+    assert.equal(db.state.ledgerEntry.length, 2);
+  });
+});
+
+describe('WalletRepository.credit', () => {
+  const refund = {
+    userId: '42',
+    amount: 25000n,
+    entryType: LEDGER_ENTRY_TYPE.REFUND,
+    contraAccount: LEDGER_ACCOUNT.SALES,
+    merchantRef: 'ORD-1'
+  };
+  const transition = {
+    merchantRef: 'ORD-1',
+    fromStatus: PAYMENT_STATUS.DELIVERY_FAILED,
+    data: { status: PAYMENT_STATUS.REFUNDED }
+  };
+
+  it('credits and moves the transaction in one go', async () => {
+    const db = wallet(0n, { transaction: [{ merchantRef: 'ORD-1', status: PAYMENT_STATUS.DELIVERY_FAILED }] });
+
+    assert.deepEqual(await new WalletRepository(db).credit(refund, transition), { balance: 25000n });
+    assert.equal(db.state.transaction[0].status, PAYMENT_STATUS.REFUNDED);
+  });
+
+  it('credits nothing when the transaction is no longer in the expected status', async () => {
+    const db = wallet(0n, { transaction: [{ merchantRef: 'ORD-1', status: PAYMENT_STATUS.REFUNDED }] });
+
+    assert.equal(await new WalletRepository(db).credit(refund, transition), null);
+    assert.equal(db.state.user[0].balance, 0n);
+  });
+
+  it('applies a movement once: a duplicate credit is rolled back', async () => {
+    const db = wallet(0n);
+    const repo = new WalletRepository(db);
+
+    assert.deepEqual(await repo.credit(refund), { balance: 25000n });
+    assert.equal(await repo.credit(refund), null);
+    assert.equal(db.state.user[0].balance, 25000n);
+    assert.equal(db.state.ledgerEntry.length, 2);
+  });
+});
@@ -0,0 +1,35 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { AuthorizationGuard } from '../../../core/applications/bot-telegram/security/authz/AuthorizationGuard.js';
+import { PERMISSIONS } from '../../../core/applications/bot-telegram/security/authz/permissions.js';
+import { UserRepository } from '../../../core/shared/repositories/UserRepository.js';
+import { createFakeDatabase } from '../../helpers/fakeDatabase.js';
+
+const user = (overrides = {}) => ({ id: 'user-1', telegramId: '1001', chatId: '1001', isActive: true, isBanned: false, role: 'user', ...overrides });
+const guardFor = (row) => new AuthorizationGuard(new UserRepository(createFakeDatabase({ user: [row] })));
+const context = { id: '1001', chatId: '1001' };
+
+describe('AuthorizationGuard admin permissions', () => {
+  it('keeps admin permissions from regular users', async () => {
+    const guard = guardFor(user());
+
+    assert.equal(await guard.can(context, PERMISSIONS.ADMIN_ACCESS), false);
+    assert.equal(await guard.can(context, PERMISSIONS.ADMIN_TRX_MANAGE), false);
+    assert.equal(await guard.can(context, PERMISSIONS.PAYMENT_CREATE), true);
+  });
+
+  it('grants them to the admin role', async () => {
+    const guard = guardFor(user({ role: 'admin' }));
+
+    assert.equal(await guard.can(context, PERMISSIONS.ADMIN_BAN), true);
+  });
+
+  it('blocks a banned admin like anyone else', async () => {
+    const guard = guardFor(user({ role: 'admin' }));
+
+    await guard.banUser('1001');
+
+    assert.equal(await guard.can(context, PERMISSIONS.ADMIN_ACCESS), false);
+  });
+});
@@ -0,0 +1,126 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { AdminService } from '../../../core/shared/services/AdminService.js';
+import { TransactionRepository } from '../../../core/shared/repositories/TransactionRepository.js';
+import { UserRepository } from '../../../core/shared/repositories/UserRepository.js';
+import { ADMIN, ADMIN_ACTION, PAYMENT_STATUS, TRANSACTION_TYPE } from '../../../core/shared/config/constants.js';
+import { createFakeDatabase } from '../../helpers/fakeDatabase.js';
+
+const dayMs = 24 * 60 * 60 * 1000;
+
+const user = (n, overrides = {}) => ({
+  id: `user-${n}`,
+  telegramId: String(1000 + n),
+  chatId: String(1000 + n),
+  isActive: true,
+  isBanned: false,
+  role: 'user',
+  createdAt: new Date(Date.UTC(2026, 0, n)),
+  ...overrides
+});
+
+const setup = ({ transactions = [], users = [] } = {}) => {
+  const db = createFakeDatabase({ transaction: transactions, user: users });
+  const service = new AdminService(new TransactionRepository(db), new UserRepository(db));
+  return { service, db };
+};
+
+describe('AdminService.getDailyStats', () => {
+  const trx = (merchantRef, status, amount, createdAt, type = TRANSACTION_TYPE.ORDER) => ({ merchantRef, status, amount, createdAt, type });
+
+  it('counts orders per business day and sums revenue of paid ones only', async () => {
+    const now = new Date();
+    const { service } = setup({
+      transactions: [
+        trx('ORD-1', PAYMENT_STATUS.DELIVERED, 20000n, now),
+        trx('ORD-2', PAYMENT_STATUS.PROCESSING, 15000n, now),
+        trx('ORD-3', PAYMENT_STATUS.UNPAID, 50000n, now),
+        trx('ORD-4', PAYMENT_STATUS.DELIVERED, 30000n, new Date(now.getTime() - dayMs))
+      ],
+      users: [user(1), user(2, { isBanned: true })]
+    });
+
+    const stats = await service.getDailyStats();
+
+    assert.equal(stats.days.length, ADMIN.STATS_DAYS);
+    assert.equal(stats.today.orders, 3);
+    assert.equal(stats.today.paidOrders, 2);
+    assert.equal(stats.today.revenue, 35000);
+    assert.deepEqual(stats.today.byStatus, { DELIVERED: 1, PROCESSING: 1, UNPAID: 1 });
+    assert.equal(stats.days[1].revenue, 30000);
+    assert.deepEqual(stats.users, { total: 2, banned: 1 });
+  });
+
+  it('leaves deposits out (that money is counted when the balance is spent)', async () => {
+    const { service } = setup({
+      transactions: [
+        trx('DEP-1', PAYMENT_STATUS.DELIVERED, 100000n, new Date(), TRANSACTION_TYPE.DEPOSIT),
+        trx('ORD-1', PAYMENT_STATUS.DELIVERED, 20000n, new Date())
+      ]
+    });
+
+    const stats = await service.getDailyStats(1);
+
+    assert.equal(stats.today.orders, 1);
+    assert.equal(stats.today.revenue, 20000);
+  });
+
+  it('starts the business day at midnight WIB', () => {
+    const { service } = setup();
+
+    // 2026-10-19 01:30 WIB is still 2026-10-18 in UTC
+    const start = service._startOfDay(new Date('2026-10-18T18:30:00Z'));
+
+    assert.equal(start.toISOString(), '2026-10-18T17:00:00.000Z');
+  });
+});
+
+describe('AdminService.listUsers', () => {
+  const users = Array.from({ length: ADMIN.USERS_PER_PAGE + 2 }, (_, i) => user(i + 1));
+
+  it('pages newest first', async () => {
+    const { service } = setup({ users });
+
+    const first = await service.listUsers(1);
+    const second = await service.listUsers(2);
+
+    assert.equal(first.totalPages, 2);
+    assert.equal(first.users.length, ADMIN.USERS_PER_PAGE);
+    assert.equal(first.users[0].telegramId, users.at(-1).telegramId);
+    assert.deepEqual(second.users.map(u => u.telegramId), [users[1].telegramId, users[0].telegramId]);
+  });
+
+  it('keeps an out-of-range page inside the list', async () => {
+    const { service } = setup({ users });
+
+    assert.equal((await service.listUsers(99)).page, 2);
+    assert.equal((await service.listUsers(0)).page, 1);
+  });
+
+  it('shows one empty page when there are no users', async () => {
+    const { service } = setup();
+
+    const result = await service.listUsers(1);
+
+    assert.deepEqual([result.page, result.totalPages, result.users], [1, 1, []]);
+  });
+});
+
+describe('AdminService transaction lookup and audit', () => {
+  it('finds a transaction by a pasted reference with stray spaces', async () => {
+    const { service } = setup({ transactions: [{ merchantRef: 'ORD-1', status: PAYMENT_STATUS.UNPAID }] });
+
+    assert.equal((await service.findTransaction('  ORD-1 \n')).merchantRef, 'ORD-1');
+    assert.equal(await service.findTransaction('   '), null);
+  });
+
+  it('does not fail the admin action when the audit trail cannot be written', async () => {
+    const { service } = setup();
+    service.auditRepo = { create: async () => { throw new Error('Connection lost'); } };
+
+    const entry = await service.recordAction({ id: '1', name: 'Admin' }, { action: ADMIN_ACTION.BAN, targetUser: '1001' });
+
+    assert.equal(entry, null);
+  });
+});
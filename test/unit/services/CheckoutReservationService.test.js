@@ -0,0 +1,54 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { CheckoutReservationService } from '../../../core/shared/services/CheckoutReservationService.js';
+
+const reservations = ({ promoRefusal = null, pointsOk = true } = {}) => {
+  const calls = [];
+  const promo = {
+    claim: async (code, userId) => { calls.push(['promo.claim', code, userId]); return promoRefusal; },
+    release: async (code, userId) => { calls.push(['promo.release', code, userId]); }
+  };
+  const flashSale = {
+    claim: async (id) => { calls.push(['flashSale.claim', id]); return true; },
+    release: async (id) => { calls.push(['flashSale.release', id]); }
+  };
+  const loyalty = {
+    isEnabled: () => true,
+    redeem: async () => { calls.push(['loyalty.redeem']); return pointsOk; },
+    restore: async () => { calls.push(['loyalty.restore']); }
+  };
+  return { service: new CheckoutReservationService(promo, loyalty, flashSale), calls };
+};
+const order = { userId: '42', promoCode: 'HEMAT10', flashSaleId: 'sale-1', pointsUsed: 100 };
+
+describe('CheckoutReservationService', () => {
+  it('claims the flash sale unit, the promo redemption and the points', async () => {
+    const { service, calls } = reservations();
+
+    assert.equal(await service.reserve(order, 'ORD-1'), null);
+    assert.deepEqual(calls.map(([name]) => name), ['flashSale.claim', 'promo.claim', 'loyalty.redeem']);
+    assert.deepEqual(calls[1], ['promo.claim', 'HEMAT10', '42']);
+  });
+
+  it('stops when the promo cap was reached and gives the flash sale unit back', async () => {
+    const { service, calls } = reservations({ promoRefusal: 'LIMIT_REACHED' });
+
+    assert.equal(await service.reserve(order, 'ORD-1'), 'PROMO_LIMIT_REACHED');
+    assert.deepEqual(calls.map(([name]) => name), ['flashSale.claim', 'promo.claim', 'flashSale.release']);
+  });
+
+  it('gives the promo redemption back when the points are gone', async () => {
+    const { service, calls } = reservations({ pointsOk: false });
+
+    assert.equal(await service.reserve(order, 'ORD-1'), 'POINTS_INSUFFICIENT');
+    assert.deepEqual(calls.slice(-2).map(([name]) => name), ['promo.release', 'flashSale.release']);
+  });
+
+  it('gives everything back when the transaction is not created', async () => {
+    const { service, calls } = reservations();
+
+    await service.release(order, 'ORD-1');
+    assert.deepEqual(calls.map(([name]) => name), ['loyalty.restore', 'promo.release', 'flashSale.release']);
+  });
+});
@@ -0,0 +1,75 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { DepositService } from '../../../core/shared/services/DepositService.js';
+import { PAYMENT_STATUS, TRANSACTION_TYPE, WALLET } from '../../../core/shared/config/constants.js';
+
+const setup = ({ creditError = null } = {}) => {
+  const calls = [];
+  const wallet = {
+    creditDeposit: async (trx) => {
+      calls.push(['credit', trx.merchantRef]);
+      if (creditError) throw creditError;
+      return { balance: 50000n, trx: { ...trx, status: PAYMENT_STATUS.DELIVERED } };
+    }
+  };
+  const payments = {
+    calculateFinalAmount: async (base) => ({ finalAmount: base + 700, feeAmount: 700n, feeType: 'percent', channelInfo: { name: 'QRIS' } }),
+    createInvoice: async (orderData) => { calls.push(['invoice', orderData]); return { success: true, merchantRef: 'DEPO-42-1' }; },
+    enqueueFulfillment: async (merchantRef) => { calls.push(['enqueue', merchantRef]); }
+  };
+  return { service: new DepositService(wallet, payments), calls };
+};
+const deposit = { merchantRef: 'DEPO-42-1', type: TRANSACTION_TYPE.DEPOSIT, userId: '42', status: PAYMENT_STATUS.PAID };
+
+describe('DepositService', () => {
+  it('invoices the amount plus the channel fee and credits the amount only', async () => {
+    const { service, calls } = setup();
+
+    const result = await service.create('42', WALLET.MIN_DEPOSIT, 'QRIS');
+
+    assert.equal(result.success, true);
+    const [[, orderData]] = calls;
+    assert.equal(orderData.type, TRANSACTION_TYPE.DEPOSIT);
+    assert.equal(orderData.basePrice, BigInt(WALLET.MIN_DEPOSIT));
+    assert.equal(orderData.amount, WALLET.MIN_DEPOSIT + 700);
+    assert.equal(result.orderData.merchantRef, 'DEPO-42-1');
+  });
+
+  it('refuses amounts outside the wallet limits', async () => {
+    const { service, calls } = setup();
+
+    assert.equal((await service.create('42', WALLET.MIN_DEPOSIT - 1, 'QRIS')).error, 'INVALID_AMOUNT');
+    assert.equal((await service.create('42', WALLET.MAX_DEPOSIT + 1, 'QRIS')).error, 'INVALID_AMOUNT');
+    assert.equal((await service.create('42', 'abc', 'QRIS')).error, 'INVALID_AMOUNT');
+    assert.deepEqual(calls, []);
+  });
+
+  it('refuses deposits without a wallet', async () => {
+    const service = new DepositService(null, {});
+
+    assert.equal((await service.create('42', WALLET.MIN_DEPOSIT, 'QRIS')).error, 'INVALID_AMOUNT');
+  });
+
+  it('hands a deposit it could not credit to the fulfillment queue', async () => {
+    const { service, calls } = setup({ creditError: new Error('db down') });
+
+    assert.equal(await service.creditNow(deposit), null);
+    assert.deepEqual(calls, [['credit', 'DEPO-42-1'], ['enqueue', 'DEPO-42-1']]);
+  });
+
+  it('credits a queued deposit only while it is still PAID', async () => {
+    const { service, calls } = setup();
+
+    await service.fulfill({ ...deposit, status: PAYMENT_STATUS.DELIVERED });
+    await service.fulfill(deposit);
+
+    assert.deepEqual(calls, [['credit', 'DEPO-42-1']]);
+  });
+
+  it('dead-letters queued deposits when no wallet is configured', async () => {
+    const service = new DepositService(null, {});
+
+    await assert.rejects(service.fulfill(deposit), error => error.permanent === true);
+  });
+});
@@ -0,0 +1,51 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { FlashSaleService } from '../../../core/shared/services/FlashSaleService.js';
+import { FlashSaleRepository } from '../../../core/shared/repositories/FlashSaleRepository.js';
+import { PAYMENT_STATUS } from '../../../core/shared/config/constants.js';
+import { createFakeDatabase } from '../../helpers/fakeDatabase.js';
+
+const sale = (overrides = {}) => ({
+  id: 'sale-1',
+  serviceCode: 'ML86',
+  price: 15000n,
+  quota: 2,
+  sold: 0,
+  isActive: true,
+  startsAt: new Date(Date.now() - 60 * 60 * 1000),
+  endsAt: new Date(Date.now() + 60 * 60 * 1000),
+  ...overrides
+});
+
+describe('FlashSaleService.getRunning', () => {
+  it('keeps the cheapest sale with units left per service', async () => {
+    const db = createFakeDatabase({
+      flashSale: [
+        sale({ id: 'cheap-sold-out', price: 9000n, quota: 1, sold: 1 }),
+        sale({ id: 'cheap', price: 12000n }),
+        sale({ id: 'pricey', price: 15000n, quota: null })
+      ]
+    });
+
+    const running = await new FlashSaleService(new FlashSaleRepository(db)).getRunning(['ML86']);
+
+    assert.equal(running.get('ML86').id, 'cheap');
+    assert.equal(running.get('ML86').remaining, 2);
+  });
+});
+
+describe('FlashSaleService.sweep', () => {
+  it('gives back the units of cancelled orders that still hold one', async () => {
+    const cancelled = [
+      { merchantRef: 'ORD-1', flashSaleId: 'sale-1', status: PAYMENT_STATUS.EXPIRED, flashSaleReleasedAt: null },
+      { merchantRef: 'ORD-2', flashSaleId: 'sale-1', status: PAYMENT_STATUS.FAILED, flashSaleReleasedAt: null }
+    ];
+    const db = createFakeDatabase({ flashSale: [sale({ sold: 2 })], transaction: cancelled });
+    const service = new FlashSaleService(new FlashSaleRepository(db), { findFlashSaleClaims: async () => cancelled });
+
+    assert.equal(await service.sweep(), 2);
+    assert.equal(await service.sweep(), 0);
+    assert.equal(db.state.flashSale[0].sold, 0);
+  });
+});
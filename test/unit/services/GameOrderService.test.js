@@ -0,0 +1,155 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { GameOrderService } from '../../../core/shared/services/GameOrderService.js';
+import { TransactionRepository } from '../../../core/shared/repositories/TransactionRepository.js';
+import { PAYMENT_STATUS } from '../../../core/shared/config/constants.js';
+import { createFakeDatabase } from '../../helpers/fakeDatabase.js';
+
+describe('GameOrderService.handleProviderCallback', () => {
+  const providerStatuses = { success: PAYMENT_STATUS.DELIVERED, failed: PAYMENT_STATUS.DELIVERY_FAILED };
+  const gameProvider = { mapOrderStatus: (status) => providerStatuses[status] || PAYMENT_STATUS.PROCESSING };
+  const order = (overrides = {}) => ({
+    merchantRef: 'ORD-1',
+    type: 'ORDER',
+    status: PAYMENT_STATUS.PROCESSING,
+    providerOrderId: 'P-1',
+    serialNumber: null,
+    deliveredAt: null,
+    ...overrides
+  });
+  const setup = (row) => {
+    const db = createFakeDatabase({ transaction: [row] });
+    const service = new GameOrderService(new TransactionRepository(db), gameProvider);
+    return { db, service };
+  };
+
+  it('delivers a processing order and keeps the serial number', async () => {
+    const { db, service } = setup(order());
+
+    const result = await service.handleProviderCallback('P-1', 'success', 'SN-123');
+
+    assert.equal(result.statusChanged, true);
+    assert.equal(result.newStatus, PAYMENT_STATUS.DELIVERED);
+    assert.equal(db.state.transaction[0].status, PAYMENT_STATUS.DELIVERED);
+    assert.equal(db.state.transaction[0].serialNumber, 'SN-123');
+    assert.ok(db.state.transaction[0].deliveredAt instanceof Date);
+  });
+
+  it('records a late success after the order was marked failed', async () => {
+    const { db, service } = setup(order({ status: PAYMENT_STATUS.DELIVERY_FAILED }));
+
+    const result = await service.handleProviderCallback('P-1', 'success', 'SN-123');
+
+    assert.equal(result.statusChanged, true);
+    assert.equal(db.state.transaction[0].status, PAYMENT_STATUS.DELIVERED);
+  });
+
+  it('ignores a failure reported after delivery', async () => {
+    const { db, service } = setup(order({ status: PAYMENT_STATUS.DELIVERED, serialNumber: 'SN-123' }));
+
+    const result = await service.handleProviderCallback('P-1', 'failed');
+
+    assert.equal(result.statusChanged, false);
+    assert.equal(db.state.transaction[0].status, PAYMENT_STATUS.DELIVERED);
+  });
+
+  it('leaves refunded orders and orders reset for re-fulfillment alone', async () => {
+    for (const status of [PAYMENT_STATUS.REFUNDED, PAYMENT_STATUS.PAID]) {
+      const { db, service } = setup(order({ status }));
+
+      const result = await service.handleProviderCallback('P-1', 'failed');
+
+      assert.equal(result.statusChanged, false);
+      assert.equal(db.state.transaction[0].status, status);
+    }
+  });
+
+  it('ignores the callback when the order moved to another provider order meanwhile', async () => {
+    const { db, service } = setup(order({ status: PAYMENT_STATUS.DELIVERY_FAILED }));
+    // Re-fulfilled between the lookup and the update: new provider order, in flight
+    db.once('transaction', 'findFirst', () => {
+      Object.assign(db.state.transaction[0], { status: PAYMENT_STATUS.PROCESSING, providerOrderId: 'P-2' });
+    });
+
+    const result = await service.handleProviderCallback('P-1', 'failed');
+
+    assert.equal(result.statusChanged, false);
+    assert.equal(result.trx.providerOrderId, 'P-2');
+    assert.equal(db.state.transaction[0].status, PAYMENT_STATUS.PROCESSING);
+  });
+
+  it('moves a provider order ID the backfill left in trxId of a pre-routing order', async () => {
+    const { db, service } = setup(order({ status: PAYMENT_STATUS.PAID, providerOrderId: null, provider: null, trxId: 'P-1' }));
+
+    const result = await service.handleProviderCallback('P-1', 'success', 'SN-123');
+
+    assert.equal(result.trx.merchantRef, 'ORD-1');
+    assert.equal(db.state.transaction[0].providerOrderId, 'P-1');
+    assert.equal(db.state.transaction[0].trxId, null);
+  });
+
+  it('leaves a gateway trxId alone when it only looks like the provider order ID', async () => {
+    for (const overrides of [{ provider: 'digiflazz' }, { type: 'DEPOSIT' }, { status: PAYMENT_STATUS.DELIVERED }]) {
+      const { db, service } = setup(order({ status: PAYMENT_STATUS.PAID, providerOrderId: null, provider: null, trxId: 'P-1', ...overrides }));
+
+      const result = await service.handleProviderCallback('P-1', 'success');
+
+      assert.equal(result.trx, null);
+      assert.equal(db.state.transaction[0].trxId, 'P-1');
+    }
+  });
+});
+
+describe('GameOrderService.fulfill', () => {
+  const paid = {
+    merchantRef: 'ORD-1',
+    type: 'ORDER',
+    status: PAYMENT_STATUS.PAID,
+    gameCode: 'mobile-legends',
+    serviceCode: 'ML86',
+    playerId: '12345',
+    zoneId: '678',
+    provider: null,
+    providerOrderId: null
+  };
+  const setup = (outcome) => {
+    const db = createFakeDatabase({ transaction: [{ ...paid }] });
+    const sent = [];
+    const gameProvider = {
+      createOrder: async (orderData) => { sent.push(orderData.merchantRef); return outcome; }
+    };
+    const service = new GameOrderService(new TransactionRepository(db), gameProvider);
+    return { db, service, sent };
+  };
+
+  it('records the provider order once the provider accepted it', async () => {
+    const { db, service } = setup({ success: true, orderId: 'P-1', provider: 'primary' });
+
+    await service.fulfill({ ...paid });
+
+    assert.equal(db.state.transaction[0].status, PAYMENT_STATUS.PROCESSING);
+    assert.equal(db.state.transaction[0].providerOrderId, 'P-1');
+    assert.equal(db.state.transaction[0].provider, 'primary');
+  });
+
+  it('hands a rejected order back to the queue as PAID', async () => {
+    const { db, service } = setup({ success: false, message: 'Failed to create order', error: 'Stok kosong' });
+
+    await assert.rejects(service.fulfill({ ...paid }), /Stok kosong/);
+    assert.equal(db.state.transaction[0].status, PAYMENT_STATUS.PAID);
+  });
+
+  it('never sends an order again once a provider gave no answer', async () => {
+    const { db, service, sent } = setup({ success: false, outcomeUnknown: true, provider: 'primary', error: 'Request timeout' });
+
+    await service.fulfill({ ...paid });
+    // Job re-run (e.g. stale lock released) with the row as it was when the job started
+    await service.fulfill({ ...paid });
+
+    assert.deepEqual(sent, ['ORD-1']);
+    assert.equal(db.state.transaction[0].status, PAYMENT_STATUS.PROCESSING);
+    assert.equal(db.state.transaction[0].providerOrderId, null);
+    assert.equal(db.state.transaction[0].provider, 'primary');
+  });
+});
@@ -0,0 +1,74 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { GameProviderService } from '../../../core/shared/services/GameProviderService.js';
+import { GameProviderRegistry } from '../../../core/shared/services/GameProviderRegistry.js';
+
+const routes = [
+  { provider: 'primary', providerServiceCode: 'ML86', cost: 18000n },
+  { provider: 'backup', providerServiceCode: 'MLBB-86', cost: 18500n }
+];
+const routeRepo = { findActiveByServiceCode: async () => routes };
+
+const setup = (primary, backup) => {
+  const calls = [];
+  const provider = (name, orderTopUp) => ({
+    orderTopUp: async (orderData) => {
+      calls.push([name, orderData.serviceId]);
+      return await orderTopUp(orderData);
+    }
+  });
+  const registry = new GameProviderRegistry()
+    .register('primary', provider('primary', primary))
+    .register('backup', provider('backup', backup));
+  return { service: new GameProviderService(registry, routeRepo), calls };
+};
+const order = { serviceId: 'ML86', playerId: '12345', zoneId: '678', merchantRef: 'ORD-1' };
+const accepted = async () => ({ success: true, orderId: 'P-1', status: 'processing' });
+
+describe('GameProviderService.createOrder', () => {
+  it('sends the order to the first route with its service code', async () => {
+    const { service, calls } = setup(accepted, accepted);
+
+    const result = await service.createOrder(order);
+
+    assert.equal(result.success, true);
+    assert.equal(result.provider, 'primary');
+    assert.equal(result.cost, 18000n);
+    assert.deepEqual(calls, [['primary', 'ML86']]);
+  });
+
+  it('fails over to the next route when a provider rejects the order', async () => {
+    const { service, calls } = setup(async () => ({ success: false, message: 'Stok kosong' }), accepted);
+
+    const result = await service.createOrder(order);
+
+    assert.equal(result.success, true);
+    assert.equal(result.provider, 'backup');
+    assert.deepEqual(calls, [['primary', 'ML86'], ['backup', 'MLBB-86']]);
+  });
+
+  it('stops without failing over when a provider gives no answer', async () => {
+    const { service, calls } = setup(async () => { throw new Error('Request timeout'); }, accepted);
+
+    const result = await service.createOrder(order);
+
+    assert.equal(result.success, false);
+    assert.equal(result.outcomeUnknown, true);
+    assert.equal(result.provider, 'primary');
+    assert.deepEqual(calls, [['primary', 'ML86']]);
+  });
+
+  it('reports every rejection when no provider takes the order', async () => {
+    const { service } = setup(
+      async () => ({ success: false, message: 'Stok kosong' }),
+      async () => ({ success: false, message: 'Saldo tidak cukup' })
+    );
+
+    const result = await service.createOrder(order);
+
+    assert.equal(result.success, false);
+    assert.equal(result.outcomeUnknown, undefined);
+    assert.equal(result.error, 'primary: Stok kosong | backup: Saldo tidak cukup');
+  });
+});
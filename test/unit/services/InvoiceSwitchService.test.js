@@ -0,0 +1,161 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { InvoiceSwitchService } from '../../../core/shared/services/InvoiceSwitchService.js';
+import { TransactionRepository } from '../../../core/shared/repositories/TransactionRepository.js';
+import { PAYMENT_STATUS, MANUAL_TRANSFER } from '../../../core/shared/config/constants.js';
+import { createFakeDatabase } from '../../helpers/fakeDatabase.js';
+
+describe('InvoiceSwitchService.switchChannel', () => {
+  const invoice = (overrides = {}) => ({
+    merchantRef: 'ORDER-42-1',
+    userId: '42',
+    type: 'ORDER',
+    channel: 'QRIS',
+    status: PAYMENT_STATUS.UNPAID,
+    basePrice: 20000n,
+    expiryDate: new Date(Date.now() + 60 * 60 * 1000),
+    replacedBy: null,
+    proofFileId: null,
+    ...overrides
+  });
+  const setup = (rows, { onInvoice = null } = {}) => {
+    const db = createFakeDatabase({ transaction: rows });
+    const payments = {
+      quoteChannels: async () => [
+        { kode: 'QRIS', eligible: true },
+        { kode: 'BRIVA', eligible: true },
+        { kode: 'MANDIRIVA', eligible: false }
+      ],
+      calculateFinalAmount: async (base) => ({ finalAmount: Number(base) + 4000, feeAmount: 4000n, feeType: 'flat', channelInfo: { name: 'BRI Virtual Account' } }),
+      requestGatewayInvoice: async () => {
+        await onInvoice?.(db);
+        return { gateway: 'tripay', result: { success: true, trx_id: 'T-2', payment_code: '8800123' } };
+      }
+    };
+    return { db, service: new InvoiceSwitchService(new TransactionRepository(db), null, payments) };
+  };
+
+  it('closes the old invoice and links it to its replacement', async () => {
+    const { db, service } = setup([invoice()]);
+
+    const result = await service.switchChannel('ORDER-42-1', '42', 'BRIVA');
+
+    assert.equal(result.replacedRef, 'ORDER-42-1');
+    const [old, replacement] = db.state.transaction;
+    assert.equal(old.status, PAYMENT_STATUS.EXPIRED);
+    assert.equal(old.replacedBy, result.merchantRef);
+    assert.equal(replacement.replacesRef, 'ORDER-42-1');
+    assert.equal(replacement.channel, 'BRIVA');
+    assert.equal(replacement.amount, 24000);
+  });
+
+  it('carries the order\'s price breakdown over with the new channel\'s fee', async () => {
+    const { db, service } = setup([invoice({ providerCost: 18000n, feeAmount: 140n, feeType: 'Percent' })]);
+
+    await service.switchChannel('ORDER-42-1', '42', 'BRIVA');
+
+    const replacement = db.state.transaction[1];
+    assert.equal(replacement.basePrice, 20000n);
+    assert.equal(replacement.providerCost, 18000n);
+    assert.equal(replacement.feeAmount, 4000n);
+    assert.equal(replacement.feeType, 'flat');
+  });
+
+  it('offers only other eligible channels', async () => {
+    const { service } = setup([invoice()]);
+
+    const { channels } = await service.getOptions('ORDER-42-1', '42');
+
+    assert.deepEqual(channels.map(channel => channel.kode), ['BRIVA']);
+    assert.equal((await service.switchChannel('ORDER-42-1', '42', 'MANDIRIVA')).error, 'CHANNEL_UNAVAILABLE');
+  });
+
+  it('drops the replacement when the old invoice was paid meanwhile', async () => {
+    const { db, service } = setup([invoice()], {
+      onInvoice: (db) => { db.state.transaction[0].status = PAYMENT_STATUS.PAID; }
+    });
+
+    const result = await service.switchChannel('ORDER-42-1', '42', 'BRIVA');
+
+    assert.equal(result.error, 'INVALID_STATUS');
+    assert.equal(db.state.transaction[0].replacedBy, null);
+    assert.equal(db.state.transaction[1].status, PAYMENT_STATUS.FAILED);
+  });
+
+  it('lets only the owner switch an unpaid gateway invoice', async () => {
+    const { service } = setup([
+      invoice(),
+      invoice({ merchantRef: 'ORDER-42-2', channel: MANUAL_TRANSFER.CHANNEL_CODE }),
+      invoice({ merchantRef: 'ORDER-42-3', expiryDate: new Date(Date.now() - 1000) })
+    ]);
+
+    assert.equal((await service.getOptions('ORDER-42-1', '7')).error, 'NOT_FOUND');
+    assert.equal((await service.getOptions('ORDER-42-2', '42')).error, 'NOT_SWITCHABLE');
+    assert.equal((await service.getOptions('ORDER-42-3', '42')).error, 'EXPIRED');
+  });
+});
+
+describe('InvoiceSwitchService switch chain paid twice', () => {
+  const chain = () => [
+    { merchantRef: 'ORD-A', type: 'ORDER', status: PAYMENT_STATUS.PAID, replacesRef: null, replacedBy: 'ORD-B', chainPaidBy: null },
+    { merchantRef: 'ORD-B', type: 'ORDER', status: PAYMENT_STATUS.PAID, replacesRef: 'ORD-A', replacedBy: null, chainPaidBy: null }
+  ];
+  const setup = (rows) => {
+    const db = createFakeDatabase({ transaction: rows });
+    const refunded = [];
+    const wallet = { refundDuplicatePayment: async (trx) => { refunded.push(trx.merchantRef); return { balance: 0n }; } };
+    const service = new InvoiceSwitchService(new TransactionRepository(db), wallet, {});
+    const kept = [];
+    const paid = async (merchantRef) => {
+      const duplicate = await service.checkChain({
+        statusChanged: true,
+        trx: db.state.transaction.find(row => row.merchantRef === merchantRef),
+        oldStatus: PAYMENT_STATUS.UNPAID,
+        newStatus: PAYMENT_STATUS.PAID
+      });
+      if (!duplicate) kept.push(merchantRef);
+      return duplicate;
+    };
+    return { db, service, paid, kept, refunded };
+  };
+
+  it('keeps exactly one of two invoices paid at the same moment', async () => {
+    const { db, paid, kept, refunded } = setup(chain());
+
+    const results = await Promise.all([paid('ORD-A'), paid('ORD-B')]);
+
+    assert.equal(kept.length, 1);
+    assert.equal(refunded.length, 1);
+    assert.notEqual(kept[0], refunded[0]);
+    assert.equal(db.state.transaction[0].chainPaidBy, kept[0]);
+    assert.equal(results.find(Boolean).duplicateOf, kept[0]);
+  });
+
+  it('refunds the later payment, keeps the first and tells the notifier', async () => {
+    const { service, paid, kept, refunded } = setup(chain());
+    const notified = [];
+    service.setDuplicatePaymentHandler(async (duplicate) => { notified.push(duplicate); });
+
+    await paid('ORD-B');
+    const late = await paid('ORD-A');
+
+    assert.deepEqual(kept, ['ORD-B']);
+    assert.deepEqual(refunded, ['ORD-A']);
+    assert.equal(late.duplicateOf, 'ORD-B');
+    assert.equal(late.statusChanged, false);
+    assert.equal(notified[0].paidTwin.merchantRef, 'ORD-B');
+    assert.equal(notified[0].refunded, true);
+  });
+
+  it('treats a repeated claim by the kept invoice as its own', async () => {
+    const rows = chain();
+    rows[0].chainPaidBy = 'ORD-B';
+    const { paid, kept, refunded } = setup(rows);
+
+    await paid('ORD-B');
+
+    assert.deepEqual(kept, ['ORD-B']);
+    assert.deepEqual(refunded, []);
+  });
+});
@@ -0,0 +1,98 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { ManualTransferService } from '../../../core/shared/services/ManualTransferService.js';
+import { TransactionRepository } from '../../../core/shared/repositories/TransactionRepository.js';
+import { PAYMENT_STATUS, MANUAL_TRANSFER } from '../../../core/shared/config/constants.js';
+import { createFakeDatabase } from '../../helpers/fakeDatabase.js';
+
+const transfer = (overrides = {}) => ({
+  merchantRef: 'ORDER-42-1',
+  userId: '42',
+  channel: MANUAL_TRANSFER.CHANNEL_CODE,
+  status: PAYMENT_STATUS.UNPAID,
+  expiryDate: new Date(Date.now() + 60 * 60 * 1000),
+  proofFileId: null,
+  createdAt: new Date(),
+  ...overrides
+});
+
+const setup = (rows = [], { reserveError = null } = {}) => {
+  const db = createFakeDatabase({ transaction: rows });
+  const calls = [];
+  const reservations = {
+    reserve: async () => { calls.push('reserve'); return reserveError; },
+    release: async () => { calls.push('release'); }
+  };
+  const paid = [];
+  const afterPaid = async (result) => { paid.push(result.trx.merchantRef); return result; };
+  const service = new ManualTransferService(new TransactionRepository(db), reservations, afterPaid);
+  return { db, service, calls, paid };
+};
+
+describe('ManualTransferService', () => {
+  it('saves an unpaid transfer once the checkout reservations were taken', async () => {
+    const { db, service, calls } = setup();
+
+    const result = await service.create({ userId: 42, game: 'ml', item: '86 Diamonds', amount: 20000 });
+
+    assert.equal(result.success, true);
+    assert.deepEqual(calls, ['reserve']);
+    assert.equal(db.state.transaction[0].merchantRef, result.merchantRef);
+    assert.equal(db.state.transaction[0].channel, MANUAL_TRANSFER.CHANNEL_CODE);
+    assert.equal(db.state.transaction[0].status, PAYMENT_STATUS.UNPAID);
+  });
+
+  it('saves nothing when the reservations are refused', async () => {
+    const { db, service } = setup([], { reserveError: 'FLASH_SALE_ENDED' });
+
+    const result = await service.create({ userId: 42, amount: 20000 });
+
+    assert.deepEqual(result, { success: false, error: 'FLASH_SALE_ENDED', merchantRef: null, expiryDate: null });
+    assert.equal(db.state.transaction?.length ?? 0, 0);
+  });
+
+  it('replaces the receipt of a transfer still awaiting verification', async () => {
+    const { db, service } = setup([transfer({ proofFileId: 'old-file' })]);
+
+    const result = await service.attachProof('42', { fileId: 'new-file', type: MANUAL_TRANSFER.PROOF_TYPE.PHOTO });
+
+    assert.equal(result.success, true);
+    assert.equal(result.replaced, true);
+    assert.equal(db.state.transaction[0].proofFileId, 'new-file');
+  });
+
+  it('refuses a first receipt for an expired transfer', async () => {
+    const { service } = setup([transfer({ expiryDate: new Date(Date.now() - 1000) })]);
+
+    const result = await service.attachProof('42', { fileId: 'file', type: MANUAL_TRANSFER.PROOF_TYPE.PHOTO });
+
+    assert.equal(result.error, 'EXPIRED');
+  });
+
+  it('runs the post-payment step once when two admins approve the same transfer', async () => {
+    const { db, service, paid } = setup([transfer()]);
+
+    const results = await Promise.all([service.approve('ORDER-42-1'), service.approve('ORDER-42-1')]);
+
+    assert.deepEqual(paid, ['ORDER-42-1']);
+    assert.equal(results.filter(result => result.success).length, 1);
+    assert.equal(db.state.transaction[0].status, PAYMENT_STATUS.PAID);
+  });
+
+  it('does not reject a transfer that was approved meanwhile', async () => {
+    const { db, service } = setup([transfer()]);
+    db.once('transaction', 'findUnique', () => { db.state.transaction[0].status = PAYMENT_STATUS.PAID; });
+
+    const result = await service.reject('ORDER-42-1');
+
+    assert.equal(result.error, 'CONFLICT');
+    assert.equal(db.state.transaction[0].status, PAYMENT_STATUS.PAID);
+  });
+
+  it('leaves gateway invoices alone', async () => {
+    const { service } = setup([transfer({ channel: 'QRIS' })]);
+
+    assert.equal((await service.reject('ORDER-42-1')).error, 'NOT_MANUAL_TRANSFER');
+  });
+});
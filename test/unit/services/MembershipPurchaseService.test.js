@@ -0,0 +1,84 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { MembershipPurchaseService } from '../../../core/shared/services/MembershipPurchaseService.js';
+import { TransactionRepository } from '../../../core/shared/repositories/TransactionRepository.js';
+import { PAYMENT_STATUS, TRANSACTION_TYPE, WALLET } from '../../../core/shared/config/constants.js';
+import { createFakeDatabase } from '../../helpers/fakeDatabase.js';
+
+const setup = (rows = [], { price = 25000, setTier = { success: true }, payOrder = null } = {}) => {
+  const db = createFakeDatabase({ transaction: rows });
+  const calls = [];
+  const membership = {
+    getStatus: async () => ({ tier: 'SILVER', upgrades: [] }),
+    getUpgradePrice: () => price,
+    setTier: async (userId, tier, options) => { calls.push(['setTier', userId, tier, options]); return setTier; }
+  };
+  const wallet = {
+    payOrder: payOrder || (async (record) => {
+      await db.client.transaction.create({ data: record });
+      return { success: true, balance: 75000n };
+    })
+  };
+  const payments = {
+    enqueueFulfillment: async (merchantRef) => { calls.push(['enqueue', merchantRef]); }
+  };
+  const service = new MembershipPurchaseService(membership, wallet, new TransactionRepository(db), payments);
+  return { db, service, calls };
+};
+const paidUpgrade = { merchantRef: 'MBR-42-1', type: TRANSACTION_TYPE.MEMBERSHIP, userId: '42', serviceCode: 'GOLD', status: PAYMENT_STATUS.PAID };
+
+describe('MembershipPurchaseService', () => {
+  it('applies the tier right away when paid with balance', async () => {
+    const { db, service, calls } = setup();
+
+    const result = await service.payWithBalance('42', 'GOLD');
+
+    assert.equal(result.success, true);
+    assert.equal(result.trx.status, PAYMENT_STATUS.DELIVERED);
+    assert.deepEqual(calls, [['setTier', '42', 'GOLD', { upgradeOnly: true }]]);
+    assert.equal(db.state.transaction[0].channel, WALLET.CHANNEL_CODE);
+    assert.equal(db.state.transaction[0].amount, 25000n);
+  });
+
+  it('refuses upgrades that are not on sale', async () => {
+    const { service } = setup([], { price: null });
+
+    assert.deepEqual(await service.payWithBalance('42', 'SILVER'), { success: false, error: 'NOT_AVAILABLE' });
+  });
+
+  it('keeps the amount when the balance is short', async () => {
+    const { service, calls } = setup([], { payOrder: async () => ({ success: false, error: 'INSUFFICIENT_BALANCE' }) });
+
+    const result = await service.payWithBalance('42', 'GOLD');
+
+    assert.equal(result.error, 'INSUFFICIENT_BALANCE');
+    assert.equal(result.amount, 25000n);
+    assert.deepEqual(calls, []);
+  });
+
+  it('activates a paid upgrade once', async () => {
+    const { db, service } = setup([{ ...paidUpgrade }]);
+
+    const [first, second] = await Promise.all([service.activateNow(paidUpgrade), service.fulfill(paidUpgrade)]);
+
+    assert.equal(first.trx.status, PAYMENT_STATUS.DELIVERED);
+    assert.equal(second, undefined);
+    assert.equal(db.state.transaction[0].status, PAYMENT_STATUS.DELIVERED);
+  });
+
+  it('hands an upgrade it could not apply to the fulfillment queue', async () => {
+    const { db, service, calls } = setup([{ ...paidUpgrade }], { setTier: { success: false, error: 'USER_NOT_FOUND' } });
+
+    assert.equal(await service.activateNow(paidUpgrade), null);
+    assert.deepEqual(calls.at(-1), ['enqueue', 'MBR-42-1']);
+    assert.equal(db.state.transaction[0].status, PAYMENT_STATUS.PAID);
+  });
+
+  it('dead-letters queued upgrades when memberships are not configured', async () => {
+    const service = new MembershipPurchaseService(null, null, null, {});
+
+    await assert.rejects(service.fulfill(paidUpgrade), error => error.permanent === true);
+    assert.equal(await service.getStatus('42'), null);
+  });
+});
@@ -0,0 +1,141 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { PaymentChannelService } from '../../../core/shared/services/PaymentChannelService.js';
+import { PaymentGatewayRegistry } from '../../../core/shared/services/PaymentGatewayRegistry.js';
+import { PaymentChannelRepository } from '../../../core/shared/repositories/PaymentChannelRepository.js';
+import { WALLET } from '../../../core/shared/config/constants.js';
+import { createFakeDatabase } from '../../helpers/fakeDatabase.js';
+
+const channels = {
+  QRIS: { code: 'QRIS', name: 'QRIS', method: 'QRIS', feePercent: '0.7', feeFlat: 0, isPercent: true },
+  BRIVA: { code: 'BRIVA', name: 'BRI Virtual Account', method: 'VA', feePercent: null, feeFlat: 4000, isPercent: false }
+};
+const channelRepo = { findByCode: async (code) => channels[code] || null };
+
+describe('PaymentChannelService.calculateFinalAmount', () => {
+  const service = new PaymentChannelService(null, channelRepo);
+
+  it('adds a percent fee on the price', async () => {
+    const result = await service.calculateFinalAmount(100000n, 'QRIS');
+
+    assert.equal(result.feeAmount, 700n);
+    assert.equal(result.finalAmount, 100700n);
+    assert.equal(result.feeType, 'Percent');
+  });
+
+  it('charges the fee on what is left after the promo discount', async () => {
+    const result = await service.calculateFinalAmount(100000n, 'QRIS', 10000n);
+
+    assert.equal(result.discountAmount, 10000n);
+    assert.equal(result.feeAmount, 630n);
+    assert.equal(result.finalAmount, 90630n);
+  });
+
+  it('takes the points discount after the promo', async () => {
+    const result = await service.calculateFinalAmount(20000n, 'BRIVA', 5000n, 3000n);
+
+    assert.equal(result.pointsDiscount, 3000n);
+    assert.equal(result.feeAmount, 4000n);
+    assert.equal(result.finalAmount, 16000n);
+  });
+
+  it('caps the discounts so the price never goes below zero', async () => {
+    const result = await service.calculateFinalAmount(8000n, 'BRIVA', 10000n, 2000n);
+
+    assert.equal(result.discountAmount, 8000n);
+    assert.equal(result.pointsDiscount, 0n);
+    assert.equal(result.finalAmount, 4000n);
+  });
+
+  it('charges no fee on a balance checkout', async () => {
+    const result = await service.calculateFinalAmount(50000n, WALLET.CHANNEL_CODE, 5000n);
+
+    assert.equal(result.feeAmount, 0n);
+    assert.equal(result.finalAmount, 45000n);
+  });
+
+  it('fails on an unknown channel', async () => {
+    await assert.rejects(service.calculateFinalAmount(50000n, 'NOPE'), /NOPE not found/);
+  });
+});
+
+describe('PaymentChannelService.quote', () => {
+  const rows = [
+    { code: 'QRIS', name: 'QRIS', gateway: 'sakurupiah', feePercent: '0.7', feeFlat: 0, isPercent: true, minAmount: 1000, maxAmount: 5000000 },
+    { code: 'BRIVA', name: 'BRI Virtual Account', gateway: 'sakurupiah', feePercent: null, feeFlat: 4000, isPercent: false, minAmount: 10000, maxAmount: 0 },
+    { code: 'NETZME', name: 'Netzme', gateway: 'netzme', feePercent: null, feeFlat: 500, isPercent: false, minAmount: 0, maxAmount: 0 }
+  ];
+  const setup = (gatewayNames) => {
+    const registry = new PaymentGatewayRegistry();
+    gatewayNames.forEach(name => registry.register(name, {}));
+    const db = createFakeDatabase({ paymentChannel: rows });
+    return new PaymentChannelService(registry, new PaymentChannelRepository(db));
+  };
+
+  it('lists the total on each channel, cheapest first', async () => {
+    const quotes = await setup(['sakurupiah', 'netzme']).quote(20000n);
+
+    assert.deepEqual(quotes.map(quote => [quote.kode, quote.finalAmount]), [
+      ['QRIS', 20140n],
+      ['NETZME', 20500n],
+      ['BRIVA', 24000n]
+    ]);
+  });
+
+  it('marks channels whose minimum the total does not reach as not eligible', async () => {
+    const quotes = await setup(['sakurupiah', 'netzme']).quote(5000n);
+
+    assert.equal(quotes.find(quote => quote.kode === 'BRIVA').eligible, false);
+    assert.equal(quotes.find(quote => quote.kode === 'QRIS').eligible, true);
+  });
+
+  it('hides channels of a gateway that is no longer configured', async () => {
+    const quotes = await setup(['sakurupiah']).quote(20000n);
+
+    assert.deepEqual(quotes.map(quote => quote.kode), ['QRIS', 'BRIVA']);
+  });
+});
+
+describe('PaymentChannelService.sync', () => {
+  const gatewayChannel = (kode, biaya) => ({ kode, nama: kode, biaya, percent: 'Flat', minimal: '0', maksimal: '0', status: 'Aktif' });
+  const setup = (gateways) => {
+    const registry = new PaymentGatewayRegistry();
+    for (const [name, response] of Object.entries(gateways)) {
+      registry.register(name, { getPaymentChannels: async () => { if (response instanceof Error) throw response; return response; } });
+    }
+    const db = createFakeDatabase({ paymentChannel: [] });
+    return { db, service: new PaymentChannelService(registry, new PaymentChannelRepository(db)) };
+  };
+
+  it('keeps a channel code offered by several gateways on the default gateway', async () => {
+    const { db, service } = setup({
+      sakurupiah: { success: true, data: [gatewayChannel('QRIS', '700')] },
+      netzme: { success: true, data: [gatewayChannel('QRIS', '500'), gatewayChannel('NETZME', '500')] }
+    });
+
+    await service.sync(true);
+
+    const byCode = Object.fromEntries(db.state.paymentChannel.map(row => [row.code, row]));
+    assert.equal(byCode.QRIS.gateway, 'sakurupiah');
+    assert.equal(byCode.QRIS.feeFlat, 700);
+    assert.equal(byCode.NETZME.gateway, 'netzme');
+  });
+
+  it('still syncs the other gateways when one is down', async () => {
+    const { db, service } = setup({
+      sakurupiah: new Error('ECONNRESET'),
+      netzme: { success: true, data: [gatewayChannel('NETZME', '500')] }
+    });
+
+    await service.sync(true);
+
+    assert.deepEqual(db.state.paymentChannel.map(row => row.code), ['NETZME']);
+  });
+
+  it('routes unknown channels to the default gateway', async () => {
+    const { service } = setup({ sakurupiah: [], netzme: [] });
+
+    assert.equal((await service.resolveGateway('LEGACY')).gateway, 'sakurupiah');
+  });
+});
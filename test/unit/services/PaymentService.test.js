@@ -0,0 +1,152 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { PaymentService } from '../../../core/shared/services/PaymentService.js';
+import { TransactionRepository } from '../../../core/shared/repositories/TransactionRepository.js';
+import { PAYMENT_STATUS } from '../../../core/shared/config/constants.js';
+import { createFakeDatabase } from '../../helpers/fakeDatabase.js';
+
+const channels = {
+  QRIS: { code: 'QRIS', name: 'QRIS', method: 'QRIS', feePercent: '0.7', feeFlat: 0, isPercent: true },
+  BRIVA: { code: 'BRIVA', name: 'BRI Virtual Account', method: 'VA', feePercent: null, feeFlat: 4000, isPercent: false }
+};
+const channelRepo = { findByCode: async (code) => channels[code] || null };
+
+describe('PaymentService checkout failures', () => {
+  const reservations = ({ trxRepo = null } = {}) => {
+    const calls = [];
+    const promo = {
+      claim: async () => { calls.push(['promo.claim']); return null; },
+      release: async () => { calls.push(['promo.release']); }
+    };
+    const flashSale = {
+      claim: async () => { calls.push(['flashSale.claim']); return true; },
+      release: async () => { calls.push(['flashSale.release']); }
+    };
+    const loyalty = {
+      isEnabled: () => true,
+      redeem: async () => { calls.push(['loyalty.redeem']); return true; },
+      restore: async () => { calls.push(['loyalty.restore']); }
+    };
+    const service = new PaymentService(null, channelRepo, trxRepo, null, null, null, null, promo, null, loyalty, flashSale);
+    return { service, calls };
+  };
+  const order = { userId: '42', promoCode: 'HEMAT10', flashSaleId: 'sale-1', pointsUsed: 100 };
+  const released = ['loyalty.restore', 'promo.release', 'flashSale.release'];
+
+  it('gives everything back and reports a failure when the invoice cannot be saved', async () => {
+    const trxRepo = { save: async () => { throw new Error('Connection lost'); } };
+    const { service, calls } = reservations({ trxRepo });
+    service.channels.resolveGateway = async () => ({
+      gateway: 'sakurupiah',
+      paymentPort: { createInvoice: async () => ({ success: true, trx_id: 'GW-1', qr_string: '000201' }) }
+    });
+
+    const result = await service.createInvoice({ ...order, channelCode: 'QRIS', amount: 50000 });
+
+    assert.equal(result.success, false);
+    assert.equal(result.error, 'SAVE_FAILED');
+    assert.deepEqual(calls.slice(-3).map(([name]) => name), released);
+  });
+
+  it('gives everything back when the balance payment cannot be saved', async () => {
+    const { service, calls } = reservations();
+    service.wallet = { payOrder: async () => { throw new Error('Connection lost'); } };
+
+    const result = await service.payWithBalance({ ...order, amount: 50000 });
+
+    assert.equal(result.success, false);
+    assert.deepEqual(calls.slice(-3).map(([name]) => name), released);
+  });
+});
+
+describe('PaymentService fee breakdown', () => {
+  const setup = () => {
+    const db = createFakeDatabase({ transaction: [] });
+    const promo = { claim: async () => null, release: async () => {} };
+    const loyalty = { isEnabled: () => true, redeem: async () => true, restore: async () => {} };
+    const service = new PaymentService(null, channelRepo, new TransactionRepository(db), null, null, null, null, promo, null, loyalty);
+    service.channels.resolveGateway = async () => ({
+      gateway: 'sakurupiah',
+      paymentPort: { createInvoice: async () => ({ success: true, trx_id: 'GW-1', qr_string: '000201' }) }
+    });
+    return { db, service };
+  };
+  const order = { userId: '42', game: 'MLBB', item: '86 Diamonds', code: 'ML86', basePrice: 20000n, providerCost: 18000n };
+
+  it('stores the price, discounts, channel fee and provider cost the amount was built from', async () => {
+    const { db, service } = setup();
+    const calculation = await service.calculateFinalAmount(order.basePrice, 'QRIS', 2000n, 500n);
+
+    await service.createInvoice({
+      ...order,
+      promoCode: 'HEMAT10',
+      discountAmount: calculation.discountAmount,
+      pointsUsed: 50,
+      pointsDiscount: calculation.pointsDiscount,
+      feeAmount: calculation.feeAmount,
+      feeType: calculation.feeType,
+      channelCode: 'QRIS',
+      amount: calculation.finalAmount
+    });
+
+    const [trx] = db.state.transaction;
+    assert.equal(trx.basePrice, 20000n);
+    assert.equal(trx.providerCost, 18000n);
+    assert.equal(trx.discountAmount, 2000n);
+    assert.equal(trx.pointsDiscount, 500n);
+    assert.equal(trx.feeAmount, 122n);
+    assert.equal(trx.feeType, calculation.feeType);
+    assert.equal(BigInt(trx.amount), trx.basePrice - trx.discountAmount - trx.pointsDiscount + trx.feeAmount);
+  });
+
+  it('leaves parts of the breakdown it was not given empty rather than zero', async () => {
+    const { db, service } = setup();
+
+    await service.createInvoice({ userId: '42', game: 'MLBB', item: '86 Diamonds', channelCode: 'QRIS', amount: 20000 });
+
+    const [trx] = db.state.transaction;
+    assert.deepEqual(
+      [trx.basePrice, trx.providerCost, trx.discountAmount, trx.pointsDiscount, trx.feeAmount],
+      [null, null, null, null, null]
+    );
+  });
+});
+
+describe('PaymentService fulfillment dead-letter', () => {
+  const order = { merchantRef: 'ORD-1', type: 'ORDER', status: PAYMENT_STATUS.PROCESSING, providerOrderId: 'P-1' };
+
+  it('does not mark a dead-lettered order failed once it was delivered', async () => {
+    const db = createFakeDatabase({ transaction: [{ ...order, status: PAYMENT_STATUS.DELIVERED }] });
+    const service = new PaymentService(null, null, new TransactionRepository(db));
+
+    const trx = await service._markDeliveryFailed(order);
+
+    assert.equal(trx.status, PAYMENT_STATUS.DELIVERED);
+    assert.equal(db.state.transaction[0].status, PAYMENT_STATUS.DELIVERED);
+  });
+});
+
+describe('PaymentService._afterPaid', () => {
+  it('does not fulfill an order already paid through another invoice of its switch chain', async () => {
+    const db = createFakeDatabase({
+      transaction: [
+        { merchantRef: 'ORD-A', type: 'ORDER', status: PAYMENT_STATUS.PAID, replacesRef: null, replacedBy: 'ORD-B', chainPaidBy: 'ORD-A' },
+        { merchantRef: 'ORD-B', type: 'ORDER', status: PAYMENT_STATUS.PAID, replacesRef: 'ORD-A', replacedBy: null, chainPaidBy: null }
+      ]
+    });
+    const service = new PaymentService(null, null, new TransactionRepository(db));
+    const fulfilled = [];
+    service.enqueueFulfillment = async (merchantRef) => { fulfilled.push(merchantRef); };
+
+    const result = await service._afterPaid({
+      statusChanged: true,
+      trx: db.state.transaction[1],
+      oldStatus: PAYMENT_STATUS.UNPAID,
+      newStatus: PAYMENT_STATUS.PAID
+    });
+
+    assert.equal(result.duplicateOf, 'ORD-A');
+    assert.deepEqual(fulfilled, []);
+  });
+});
@@ -0,0 +1,104 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { PricingService } from '../../../core/shared/services/PricingService.js';
+import { PricingRuleRepository } from '../../../core/shared/repositories/PricingRuleRepository.js';
+import { MEMBERSHIP_TIER, PRICING_SCOPE } from '../../../core/shared/config/constants.js';
+import { createFakeDatabase } from '../../helpers/fakeDatabase.js';
+
+const rule = (scope, target, markup = {}) => ({
+  scope, target, isActive: true, markupPercent: 0, markupFlat: 0n, roundTo: 0, minMargin: 0n, ...markup
+});
+
+const setup = (rules = [], defaultRule = {}) => {
+  const db = createFakeDatabase({ pricingRule: rules });
+  return { db, pricing: new PricingService(new PricingRuleRepository(db), defaultRule) };
+};
+
+const service = { code: 'ML86', category: 'Diamonds', brand: { code: 'MLBB' }, priceBasic: 19000n, pricePremium: 18500n, priceSpecial: 18000n };
+
+describe('PricingService.computeSellPrice', () => {
+  const pricing = new PricingService();
+
+  it('adds the percent (rounded up to a rupiah) and the flat markup', () => {
+    assert.equal(pricing.computeSellPrice(19999n, { markupPercent: 5, markupFlat: 100 }), 21099n);
+  });
+
+  it('keeps at least the minimum margin', () => {
+    assert.equal(pricing.computeSellPrice(10000n, { markupPercent: 1, minMargin: 500 }), 10500n);
+  });
+
+  it('rounds up to the configured step', () => {
+    assert.equal(pricing.computeSellPrice(19000n, { markupPercent: 3, roundTo: 100 }), 19600n);
+    assert.equal(pricing.computeSellPrice(19600n, { roundTo: 100 }), 19600n);
+  });
+
+  it('leaves a product without a price at zero', () => {
+    assert.equal(pricing.computeSellPrice(0n, { markupFlat: 1000, minMargin: 500 }), 0n);
+  });
+});
+
+describe('PricingService.price', () => {
+  it('uses the most specific active rule', async () => {
+    const { pricing } = setup([
+      rule(PRICING_SCOPE.GLOBAL, '', { markupFlat: 1000n }),
+      rule(PRICING_SCOPE.BRAND, 'MLBB', { markupFlat: 2000n }),
+      rule(PRICING_SCOPE.CATEGORY, 'diamonds', { markupFlat: 3000n }),
+      rule(PRICING_SCOPE.SERVICE, 'ML86', { markupFlat: 4000n, isActive: false })
+    ]);
+
+    const quote = await pricing.price(service);
+
+    assert.equal(quote.price, 22000n);
+    assert.equal(quote.margin, 3000n);
+    assert.equal(quote.rule.scope, PRICING_SCOPE.CATEGORY);
+  });
+
+  it('falls back to the configured default without a matching rule', async () => {
+    const { pricing } = setup([rule(PRICING_SCOPE.BRAND, 'FF', { markupFlat: 2000n })], { markupPercent: 2, roundTo: 100 });
+
+    const quote = await pricing.price(service);
+
+    assert.equal(quote.price, 19400n);
+    assert.equal(quote.rule.isDefault, true);
+  });
+
+  it('prices a tier from its own column, never below cost plus the minimum margin', async () => {
+    const { pricing } = setup([rule(PRICING_SCOPE.GLOBAL, '', { markupPercent: 10, minMargin: 1200n })]);
+
+    const reseller = await pricing.price(service, null, MEMBERSHIP_TIER.RESELLER);
+    const vip = await pricing.price(service, null, MEMBERSHIP_TIER.VIP);
+
+    assert.equal(reseller.memberPrice, 20900n);
+    assert.equal(reseller.price, 20350n);
+    assert.equal(vip.price, 20200n);
+    assert.equal(vip.savings, 700n);
+  });
+
+  it('keeps the member price when the tier column is empty', async () => {
+    const { pricing } = setup();
+
+    const quote = await pricing.price({ ...service, priceSpecial: 0n }, null, MEMBERSHIP_TIER.VIP);
+
+    assert.equal(quote.price, quote.memberPrice);
+  });
+
+  it('applies an admin edit on the next lookup', async () => {
+    const { pricing } = setup();
+    assert.equal((await pricing.price(service)).price, 19000n);
+
+    await pricing.setRule({ scope: PRICING_SCOPE.BRAND, target: 'mlbb', markupFlat: 500 });
+
+    assert.equal((await pricing.price(service)).price, 19500n);
+  });
+
+  it('keeps selling with the last known rules when a reload after an edit fails', async () => {
+    const { db, pricing } = setup([rule(PRICING_SCOPE.GLOBAL, '', { markupFlat: 1000n })]);
+    await pricing.price(service);
+
+    pricing.invalidate();
+    db.client.pricingRule.findMany = async () => { throw new Error('Connection lost'); };
+
+    assert.equal((await pricing.price(service)).price, 20000n);
+  });
+});
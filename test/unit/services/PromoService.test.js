@@ -0,0 +1,115 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { PromoService } from '../../../core/shared/services/PromoService.js';
+import { PromoCodeRepository } from '../../../core/shared/repositories/PromoCodeRepository.js';
+import { PROMO_DISCOUNT_TYPE } from '../../../core/shared/config/constants.js';
+import { createFakeDatabase } from '../../helpers/fakeDatabase.js';
+
+const percent = (discountValue, maxDiscount = null) => ({ discountType: PROMO_DISCOUNT_TYPE.PERCENT, discountValue, maxDiscount });
+const flat = (discountValue) => ({ discountType: PROMO_DISCOUNT_TYPE.FLAT, discountValue });
+
+const promoRow = (overrides = {}) => ({
+  code: 'HEMAT10',
+  ...percent(10),
+  minOrder: 0n,
+  usageLimit: null,
+  perUserLimit: null,
+  used: 0,
+  games: [],
+  services: [],
+  startsAt: null,
+  endsAt: null,
+  isActive: true,
+  ownerId: null,
+  ...overrides
+});
+
+const serviceWith = (promos, usages = []) => {
+  const db = createFakeDatabase({ promoCode: promos, promoUsage: usages }, { defaults: { promoUsage: { used: 0 } } });
+  return { db, service: new PromoService(new PromoCodeRepository(db)) };
+};
+
+describe('PromoService.computeDiscount', () => {
+  const { service } = serviceWith([]);
+
+  it('takes a percentage of the price, rounded down', () => {
+    assert.equal(service.computeDiscount(percent(10), 15999n), 1599n);
+  });
+
+  it('caps a percentage at maxDiscount', () => {
+    assert.equal(service.computeDiscount(percent(50, 5000n), 100000n), 5000n);
+    assert.equal(service.computeDiscount(percent(50, 5000n), 8000n), 4000n);
+  });
+
+  it('takes a flat amount off', () => {
+    assert.equal(service.computeDiscount(flat(5000), 20000n), 5000n);
+  });
+
+  it('never discounts more than the price', () => {
+    assert.equal(service.computeDiscount(flat(5000), 3000n), 3000n);
+    assert.equal(service.computeDiscount(percent(150), 3000n), 3000n);
+  });
+
+  it('gives nothing on a zero price', () => {
+    assert.equal(service.computeDiscount(flat(5000), 0n), 0n);
+    assert.equal(service.computeDiscount(percent(10), 0), 0n);
+  });
+
+  it('accepts Number prices', () => {
+    assert.equal(service.computeDiscount(percent(10), 25000), 2500n);
+  });
+});
+
+describe('PromoService.validate', () => {
+  const order = { userId: '42', game: 'MLBB', serviceCode: 'ML86', amount: 20000n };
+
+  it('accepts a valid code typed in any case and returns its discount', async () => {
+    const { service } = serviceWith([promoRow()]);
+
+    const result = await service.validate(' hemat10 ', order);
+
+    assert.equal(result.success, true);
+    assert.equal(result.discount, 2000n);
+  });
+
+  it('refuses a code whose redemptions are all taken', async () => {
+    const { service } = serviceWith([promoRow({ usageLimit: 3, used: 3 })]);
+
+    assert.equal((await service.validate('HEMAT10', order)).error, 'LIMIT_REACHED');
+  });
+
+  it('refuses a code the user already redeemed up to the per-user cap', async () => {
+    const { service } = serviceWith([promoRow({ perUserLimit: 1, used: 1 })], [{ promoCode: 'HEMAT10', userId: '42', used: 1 }]);
+
+    assert.equal((await service.validate('HEMAT10', order)).error, 'USER_LIMIT_REACHED');
+    assert.equal((await service.validate('HEMAT10', { ...order, userId: '43' })).success, true);
+  });
+
+  it('hides a voucher owned by another user', async () => {
+    const { service } = serviceWith([promoRow({ ownerId: '7' })]);
+
+    assert.equal((await service.validate('HEMAT10', order)).error, 'NOT_FOUND');
+  });
+
+  it('checks the minimum order and the game restriction', async () => {
+    const { service } = serviceWith([promoRow({ minOrder: 50000n }), promoRow({ code: 'FFONLY', games: ['FF'] })]);
+
+    assert.equal((await service.validate('HEMAT10', order)).error, 'MIN_ORDER');
+    assert.equal((await service.validate('FFONLY', order)).error, 'NOT_APPLICABLE');
+  });
+});
+
+describe('PromoService.sweep', () => {
+  it('gives back the redemption of each cancelled order once', async () => {
+    const { db } = serviceWith([promoRow({ used: 2 })], [{ promoCode: 'HEMAT10', userId: '42', used: 2 }]);
+    const cancelled = [{ merchantRef: 'ORD-1', promoCode: 'HEMAT10', userId: '42' }];
+    db.state.transaction = [{ ...cancelled[0], promoReleasedAt: null }];
+    const service = new PromoService(new PromoCodeRepository(db), { findPromoClaims: async () => cancelled });
+
+    assert.equal(await service.sweep(), 1);
+    assert.equal(await service.sweep(), 0);
+    assert.equal(db.state.promoCode[0].used, 1);
+    assert.equal(db.state.promoUsage[0].used, 1);
+  });
+});
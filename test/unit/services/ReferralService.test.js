@@ -0,0 +1,120 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { ReferralService } from '../../../core/shared/services/ReferralService.js';
+import { WalletRepository } from '../../../core/shared/repositories/WalletRepository.js';
+import { LEDGER_ACCOUNT, LEDGER_ENTRY_TYPE, REFERRAL_REWARD_TYPE, TRANSACTION_TYPE } from '../../../core/shared/config/constants.js';
+import { createFakeDatabase } from '../../helpers/fakeDatabase.js';
+
+const config = { botUsername: '@TopupBot', rewardType: REFERRAL_REWARD_TYPE.CREDIT, rewardAmount: 5000, minOrder: 10000 };
+
+/**
+ * Users live in the fake database: the wallet writes their balance, the user
+ * repository stub reads them and claims the reward with a conditional update
+ */
+const setup = () => {
+  const db = createFakeDatabase({
+    user: [
+      { id: 'u-referrer', chatId: '100', telegramId: '100', balance: 0n, referralCode: 'ABCD1234', referredById: null, referralPaidAt: null },
+      { id: 'u-referee', chatId: '200', telegramId: '200', balance: 0n, referralCode: null, referredById: 'u-referrer', referralPaidAt: null },
+      { id: 'u-new', chatId: '300', telegramId: '300', balance: 0n, referralCode: null, referredById: null, referralPaidAt: null }
+    ]
+  }, { unique: { ledgerEntry: [['merchantRef', 'entryType', 'account']] } });
+
+  const users = db.client.user;
+  const userRepo = {
+    findByChatId: async (chatId) => await users.findUnique({ where: { chatId } }),
+    findById: async (id) => await users.findUnique({ where: { id } }),
+    findByReferralCode: async (referralCode) => await users.findFirst({ where: { referralCode } }),
+    update: async (id, data) => await users.update({ where: { id }, data }),
+    claimReferralReward: async (id, amount) => (await users.updateMany({
+      where: { id, referredById: { not: null }, referralPaidAt: null },
+      data: { referralPaidAt: new Date(), referralReward: BigInt(amount) }
+    })).count === 1,
+    releaseReferralReward: async (id) => { await users.updateMany({ where: { id }, data: { referralPaidAt: null, referralReward: null } }); }
+  };
+
+  const walletRepo = new WalletRepository(db);
+  const service = new ReferralService(userRepo, walletRepo, null, config);
+  const user = (id) => db.state.user.find(row => row.id === id);
+  return { db, service, walletRepo, user };
+};
+
+const delivered = (overrides = {}) => ({ merchantRef: 'ORD-1', userId: '200', type: TRANSACTION_TYPE.ORDER, basePrice: 20000n, ...overrides });
+
+describe('ReferralService.rewardFirstDelivery', () => {
+  it('credits the referrer once with a REFERRAL entry', async () => {
+    const { db, service, user } = setup();
+
+    const reward = await service.rewardFirstDelivery(delivered());
+
+    assert.equal(reward.amount, 5000n);
+    assert.equal(user('u-referrer').balance, 5000n);
+    assert.ok(user('u-referee').referralPaidAt instanceof Date);
+
+    const [entry, contra] = db.state.ledgerEntry;
+    assert.equal(entry.entryType, LEDGER_ENTRY_TYPE.REFERRAL);
+    assert.equal(contra.account, LEDGER_ACCOUNT.MARKETING);
+  });
+
+  it('pays one reward when two first orders are delivered at the same time', async () => {
+    const { service, user } = setup();
+
+    const rewards = await Promise.all([
+      service.rewardFirstDelivery(delivered({ merchantRef: 'ORD-1' })),
+      service.rewardFirstDelivery(delivered({ merchantRef: 'ORD-2' }))
+    ]);
+
+    assert.equal(rewards.filter(Boolean).length, 1);
+    assert.equal(user('u-referrer').balance, 5000n);
+  });
+
+  it('ignores orders below the minimum order and non-order transactions', async () => {
+    const { service, user } = setup();
+
+    assert.equal(await service.rewardFirstDelivery(delivered({ basePrice: 9999n })), null);
+    assert.equal(await service.rewardFirstDelivery(delivered({ type: TRANSACTION_TYPE.DEPOSIT })), null);
+    assert.equal(user('u-referee').referralPaidAt, null);
+  });
+
+  it('releases the claim when the reward cannot be paid, so the next delivery pays it', async () => {
+    const { service, walletRepo, user } = setup();
+    const credit = walletRepo.credit;
+    walletRepo.credit = async () => { throw new Error('DB down'); };
+
+    await assert.rejects(service.rewardFirstDelivery(delivered()), /DB down/);
+    assert.equal(user('u-referee').referralPaidAt, null);
+
+    walletRepo.credit = credit;
+    assert.ok(await service.rewardFirstDelivery(delivered({ merchantRef: 'ORD-2' })));
+    assert.equal(user('u-referrer').balance, 5000n);
+  });
+});
+
+describe('ReferralService.attribute', () => {
+  it('links a new user to the owner of the code', async () => {
+    const { service, user } = setup();
+
+    const updated = await service.attribute(user('u-new'), 'ref_abcd1234');
+
+    assert.equal(updated.referredById, 'u-referrer');
+    assert.ok(user('u-new').referredAt instanceof Date);
+  });
+
+  it('ignores self-referrals and users already referred', async () => {
+    const { service } = setup();
+    const referrer = { id: 'u-referrer', referredById: null };
+    const referee = { id: 'u-referee', referredById: 'u-referrer' };
+
+    assert.equal(await service.attribute(referrer, 'ref_ABCD1234'), referrer);
+    assert.equal(await service.attribute(referee, 'ref_ABCD1234'), referee);
+  });
+
+  it('ignores payloads that are not referral codes', async () => {
+    const { service } = setup();
+    const user = { id: 'u-new', referredById: null };
+
+    assert.equal(await service.attribute(user, 'promo_SUMMER'), user);
+    assert.equal(await service.attribute(user, 'ref_no'), user);
+  });
+});
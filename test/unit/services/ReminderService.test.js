@@ -0,0 +1,149 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { ReminderService } from '../../../core/shared/services/ReminderService.js';
+import { TransactionRepository } from '../../../core/shared/repositories/TransactionRepository.js';
+import { SessionRepository } from '../../../core/shared/repositories/SessionRepository.js';
+import { UserRepository } from '../../../core/shared/repositories/UserRepository.js';
+import { PAYMENT_STATUS } from '../../../core/shared/config/constants.js';
+import { createFakeDatabase } from '../../helpers/fakeDatabase.js';
+
+const minutes = (n) => new Date(Date.now() + n * 60 * 1000);
+
+const invoice = (merchantRef, expiresIn, overrides = {}) => ({
+  merchantRef,
+  userId: '1001',
+  status: PAYMENT_STATUS.UNPAID,
+  createdAt: minutes(-60),
+  expiryDate: minutes(expiresIn),
+  reminderSentAt: null,
+  proofFileId: null,
+  ...overrides
+});
+
+const checkout = (chatId, idleFor, overrides = {}) => ({
+  chatId,
+  serviceCode: 'ML86',
+  price: 20000n,
+  nudgedAt: null,
+  updatedAt: minutes(-idleFor),
+  ...overrides
+});
+
+const setup = ({ transactions = [], sessions = [], users = [] } = {}, config = { enabled: true, invoiceLeadMinutes: 15, nudgeIdleMinutes: 30 }) => {
+  const db = createFakeDatabase({ transaction: transactions, session: sessions, user: users });
+  const service = new ReminderService(new TransactionRepository(db), new SessionRepository(db), new UserRepository(db), config);
+  return { db, service };
+};
+
+describe('ReminderService expiry reminders', () => {
+  it('reminds unpaid invoices inside the lead window once', async () => {
+    const { db, service } = setup({
+      transactions: [
+        invoice('ORD-DUE', 10),
+        invoice('ORD-LATER', 40),
+        invoice('ORD-LAST-SECONDS', 0.5),
+        invoice('ORD-PAID', 10, { status: PAYMENT_STATUS.DELIVERED }),
+        invoice('ORD-PROOF', 10, { proofFileId: 'photo-1' })
+      ]
+    });
+
+    const first = await service.collectDue();
+    const second = await service.collectDue();
+
+    assert.deepEqual(first.invoices.map(trx => trx.merchantRef), ['ORD-DUE']);
+    assert.deepEqual(second.invoices, []);
+    assert.ok(db.state.transaction.find(trx => trx.merchantRef === 'ORD-DUE').reminderSentAt);
+  });
+
+  it('waits for half of a short invoice lifetime', async () => {
+    const { service } = setup({
+      transactions: [
+        invoice('ORD-FRESH', 12, { createdAt: minutes(-3) }),
+        invoice('ORD-HALFWAY', 8, { createdAt: minutes(-8) })
+      ]
+    });
+
+    const { invoices } = await service.collectDue();
+
+    assert.deepEqual(invoices.map(trx => trx.merchantRef), ['ORD-HALFWAY']);
+  });
+
+  it('sends a reminder only from the run that flagged it', async () => {
+    const { db, service } = setup({ transactions: [invoice('ORD-DUE', 10)] });
+    db.once('transaction', 'findMany', () => {
+      db.state.transaction[0].reminderSentAt = new Date(); // another instance got there first
+    });
+
+    const { invoices } = await service.collectDue();
+
+    assert.deepEqual(invoices, []);
+  });
+});
+
+describe('ReminderService abandoned-checkout nudges', () => {
+  it('nudges pending orders idle past the threshold but not stale ones', async () => {
+    const { db, service } = setup({
+      sessions: [
+        checkout('1001', 45),
+        checkout('1002', 10),
+        checkout('1003', 8 * 60),
+        checkout('1004', 45, { serviceCode: null, price: null })
+      ]
+    });
+
+    const first = await service.collectDue();
+    const second = await service.collectDue();
+
+    assert.deepEqual(first.checkouts.map(session => session.chatId), ['1001']);
+    assert.deepEqual(second.checkouts, []);
+    assert.ok(db.state.session.find(session => session.chatId === '1001').nudgedAt);
+  });
+
+  it('skips a user who came back after the idle sessions were read', async () => {
+    const { db, service } = setup({ sessions: [checkout('1001', 45)] });
+    db.once('session', 'findMany', () => {
+      db.state.session[0].updatedAt = new Date();
+    });
+
+    const { checkouts } = await service.collectDue();
+
+    assert.deepEqual(checkouts, []);
+    assert.equal(db.state.session[0].nudgedAt, null);
+  });
+});
+
+describe('ReminderService opt-out', () => {
+  it('flags but does not send reminders to users who turned them off', async () => {
+    const { db, service } = setup({
+      transactions: [invoice('ORD-DUE', 10)],
+      sessions: [checkout('1001', 45), checkout('1002', 45)],
+      users: [{ chatId: '1001', remindersOptOut: false }, { chatId: '1002', remindersOptOut: false }]
+    });
+
+    assert.equal(await service.setOptOut(1001, true), true);
+    const { invoices, checkouts } = await service.collectDue();
+
+    assert.equal(await service.isOptedOut('1001'), true);
+    assert.deepEqual(invoices, []);
+    assert.deepEqual(checkouts.map(session => session.chatId), ['1002']);
+    assert.ok(db.state.transaction[0].reminderSentAt);
+  });
+
+  it('turns reminders back on and reports unknown users', async () => {
+    const { service } = setup({ users: [{ chatId: '1001', remindersOptOut: true }] });
+
+    assert.equal(await service.setOptOut('1001', false), true);
+    assert.equal(await service.isOptedOut('1001'), false);
+    assert.equal(await service.setOptOut('9999', true), false);
+  });
+
+  it('stays off unless enabled with at least one kind of reminder', async () => {
+    const { service } = setup({ transactions: [invoice('ORD-DUE', 10)] }, { enabled: true });
+    const disabled = setup({ transactions: [invoice('ORD-DUE', 10)] }, { enabled: false, invoiceLeadMinutes: 15 }).service;
+
+    assert.equal(service.isEnabled(), false);
+    assert.equal(disabled.isEnabled(), false);
+    assert.deepEqual(await disabled.collectDue(), { invoices: [], checkouts: [] });
+  });
+});
@@ -0,0 +1,189 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import zlib from 'zlib';
+
+import { ReportService } from '../../../core/shared/services/ReportService.js';
+import { TransactionRepository } from '../../../core/shared/repositories/TransactionRepository.js';
+import { OpenXmlSpreadsheetWriter } from '../../../adapters/shared/spreadsheet/OpenXmlSpreadsheetWriter.js';
+import { PAYMENT_STATUS, REPORT, TRANSACTION_TYPE } from '../../../core/shared/config/constants.js';
+import { createFakeDatabase } from '../../helpers/fakeDatabase.js';
+
+const setup = (transactions = []) => {
+  const db = createFakeDatabase({ transaction: transactions });
+  return { db, service: new ReportService(new TransactionRepository(db), new OpenXmlSpreadsheetWriter()) };
+};
+
+const trx = (merchantRef, createdAt, overrides = {}) => ({
+  merchantRef,
+  createdAt: new Date(createdAt),
+  paidAt: null,
+  status: PAYMENT_STATUS.DELIVERED,
+  type: TRANSACTION_TYPE.ORDER,
+  game: 'MLBB',
+  userId: '1001',
+  channel: 'QRIS',
+  basePrice: null,
+  discountAmount: null,
+  pointsDiscount: null,
+  feeAmount: null,
+  providerCost: null,
+  amount: 0n,
+  ...overrides
+});
+
+// 2026-10-01 and 2026-10-02 WIB, with one row just outside on each side
+const transactions = [
+  trx('OUT-BEFORE', '2026-09-30T16:59:59Z', { amount: 99999n }),
+  trx('ORD-1', '2026-10-01T03:00:00Z', { basePrice: 20000n, discountAmount: 2000n, promoCode: 'HEMAT', feeAmount: 126n, amount: 18126n, providerCost: 17000n }),
+  trx('ORD-2', '2026-10-01T04:00:00Z', { status: PAYMENT_STATUS.PAID, game: 'FF', channel: 'BRIVA', basePrice: 10000n, feeAmount: 4000n, amount: 14000n }),
+  trx('DEP-1', '2026-10-01T05:00:00Z', { type: TRANSACTION_TYPE.DEPOSIT, game: null, amount: 100000n }),
+  trx('ORD-3', '2026-10-01T06:00:00Z', { status: PAYMENT_STATUS.UNPAID, basePrice: 50000n, amount: 50000n, providerCost: 48000n }),
+  trx('LEGACY', '2026-10-01T18:00:00Z', { feeAmount: 100n, amount: 15100n, providerCost: 14000n }),
+  trx('OUT-AFTER', '2026-10-02T17:00:00Z', { amount: 99999n })
+];
+
+// Files of a ZIP (deflated entries) by name
+const unzip = (buffer) => {
+  const files = {};
+  for (let offset = 0; buffer.readUInt32LE(offset) === 0x04034b50;) {
+    const size = buffer.readUInt32LE(offset + 18);
+    const nameLength = buffer.readUInt16LE(offset + 26);
+    const start = offset + 30 + nameLength + buffer.readUInt16LE(offset + 28);
+    const name = buffer.toString('utf8', offset + 30, offset + 30 + nameLength);
+    files[name] = zlib.inflateRawSync(buffer.subarray(start, start + size)).toString('utf8');
+    offset = start + size;
+  }
+  return files;
+};
+
+describe('ReportService.resolveRange', () => {
+  const service = new ReportService(null, null);
+  // 2026-10-20 01:30 WIB
+  const now = new Date('2026-10-19T18:30:00Z');
+
+  it('defaults to the current WIB month until today', () => {
+    const { range } = service.resolveRange(undefined, undefined, now);
+
+    assert.equal(range.fromDay, '2026-10-01');
+    assert.equal(range.untilDay, '2026-10-20');
+    assert.equal(range.from.toISOString(), '2026-09-30T17:00:00.000Z');
+    assert.equal(range.to.toISOString(), '2026-10-20T17:00:00.000Z');
+  });
+
+  it('exports a single future day when only that day is given', () => {
+    const { range } = service.resolveRange('2026-11-05', undefined, now);
+
+    assert.deepEqual([range.fromDay, range.untilDay], ['2026-11-05', '2026-11-05']);
+  });
+
+  it('refuses dates that do not exist, reversed ranges and ranges over the limit', () => {
+    assert.equal(service.resolveRange('2026-02-30', undefined, now).error, 'INVALID_DATE');
+    assert.equal(service.resolveRange('2026-1-5', undefined, now).error, 'INVALID_DATE');
+    assert.equal(service.resolveRange('2026-10-10', '2026-10-01', now).error, 'INVALID_RANGE');
+    assert.equal(REPORT.MAX_RANGE_DAYS, 92);
+    assert.equal(service.resolveRange('2026-01-01', '2026-04-03', now).error, 'RANGE_TOO_LONG');
+    assert.equal(service.resolveRange('2026-01-01', '2026-04-02', now).success, true);
+  });
+});
+
+describe('ReportService.build', () => {
+  const range = () => new ReportService(null, null).resolveRange('2026-10-01', '2026-10-02').range;
+
+  it('lists every transaction of the WIB days with its price breakdown', async () => {
+    const { service } = setup(transactions);
+
+    const report = await service.build(range());
+
+    assert.deepEqual(report.rows.map(row => row.merchantRef), ['ORD-1', 'ORD-2', 'DEP-1', 'ORD-3', 'LEGACY']);
+    assert.equal(report.truncated, false);
+    const [order] = report.rows;
+    assert.equal(order.createdAt, '2026-10-01 10:00:00');
+    assert.deepEqual([order.basePrice, order.discount, order.fee, order.amount, order.cost, order.margin], [20000n, 2000n, 126n, 18126n, 17000n, 1000n]);
+  });
+
+  it('derives the price of rows from before it was recorded and leaves margins it cannot know empty', async () => {
+    const { service } = setup(transactions);
+
+    const { rows } = await service.build(range());
+    const byRef = Object.fromEntries(rows.map(row => [row.merchantRef, row]));
+
+    assert.equal(byRef.LEGACY.basePrice, 15000n);
+    assert.equal(byRef.LEGACY.margin, 1000n);
+    assert.equal(byRef['ORD-2'].margin, null);
+    assert.equal(byRef['ORD-3'].margin, null);
+    assert.equal(byRef['DEP-1'].cost, null);
+  });
+
+  it('sums only received orders, leaving deposits out', async () => {
+    const { service } = setup(transactions);
+
+    const { summary } = await service.build(range());
+
+    assert.deepEqual(summary.totals, { key: 'TOTAL', orders: 3, revenue: 47226n, fee: 4226n, cost: 31000n, margin: 2000n, unknownCost: 1 });
+    assert.deepEqual(summary.byBrand.map(bucket => [bucket.key, bucket.revenue]), [['MLBB', 33226n], ['FF', 14000n]]);
+    assert.deepEqual(summary.byChannel.map(bucket => bucket.key), ['QRIS', 'BRIVA']);
+    assert.deepEqual(summary.byDay.map(bucket => [bucket.key, bucket.orders]), [['2026-10-01', 2], ['2026-10-02', 1]]);
+  });
+
+  it('reads past the first page without skipping or repeating rows', async () => {
+    const rows = Array.from({ length: REPORT.BATCH_SIZE + 1 }, (_, i) =>
+      trx(`ORD-${String(i).padStart(4, '0')}`, '2026-10-01T03:00:00Z', { basePrice: 1000n, amount: 1000n, providerCost: 900n }));
+    const { service } = setup(rows.reverse());
+
+    const report = await service.build(range());
+
+    assert.equal(report.total, REPORT.BATCH_SIZE + 1);
+    assert.equal(new Set(report.rows.map(row => row.merchantRef)).size, REPORT.BATCH_SIZE + 1);
+    assert.equal(report.summary.totals.margin, BigInt(100 * (REPORT.BATCH_SIZE + 1)));
+  });
+});
+
+describe('ReportService.renderFiles', () => {
+  const build = async (rows = transactions) => {
+    const { service } = setup(rows);
+    return { service, report: await service.build(service.resolveRange('2026-10-01', '2026-10-02').range) };
+  };
+
+  it('writes the transactions and the summaries as two CSV files', async () => {
+    const { service, report } = await build();
+
+    const [list, summary] = service.renderFiles(report, 'csv');
+
+    assert.equal(list.filename, 'transaksi_2026-10-01_2026-10-02.csv');
+    assert.equal(summary.filename, 'transaksi_2026-10-01_2026-10-02_ringkasan.csv');
+    const lines = list.data.toString('utf8').split('\r\n');
+    assert.ok(lines[0].startsWith('﻿Ref,Dibuat (WIB)'));
+    assert.equal(lines.length, report.rows.length + 2);
+    const summaryLines = summary.data.toString('utf8').split('\r\n');
+    assert.equal(summaryLines[1], 'Total,TOTAL,3,47226,4226,31000,2000,1');
+    assert.ok(summaryLines.includes('Brand,FF,1,14000,4000,0,0,1'));
+  });
+
+  it('neutralises formulas in text cells but keeps negative amounts as numbers', async () => {
+    const { service, report } = await build([
+      trx('ORD-1', '2026-10-01T03:00:00Z', { promoCode: '=HYPERLINK("x")', basePrice: 10000n, amount: 10000n, providerCost: 10500n })
+    ]);
+
+    const [list] = service.renderFiles(report, 'csv');
+    const row = list.data.toString('utf8').split('\r\n')[1];
+
+    assert.ok(row.includes(',"\'=HYPERLINK(""x"")",'));
+    assert.ok(row.includes(',10500,-500,'));
+  });
+
+  it('writes one workbook with the transactions and a sheet per summary', async () => {
+    const { service, report } = await build();
+
+    const [file] = service.renderFiles(report, 'xlsx');
+    const files = unzip(file.data);
+
+    assert.equal(file.filename, 'transaksi_2026-10-01_2026-10-02.xlsx');
+    assert.equal(file.contentType, service.contentType('xlsx'));
+    assert.deepEqual(
+      [...files['xl/workbook.xml'].matchAll(/<sheet name="([^"]+)"/g)].map(match => match[1]),
+      ['Transaksi', 'Per Brand', 'Per Channel', 'Per Hari']
+    );
+    assert.ok(files['xl/worksheets/sheet2.xml'].includes('<t xml:space="preserve">TOTAL</t>'));
+    assert.ok(files['xl/worksheets/sheet1.xml'].includes('<v>18126</v>'));
+  });
+});
@@ -0,0 +1,202 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { SettlementService } from '../../../core/shared/services/SettlementService.js';
+import { PAYMENT_STATUS, SETTLEMENT_MISMATCH, SETTLEMENT_RUN_STATUS, TRANSACTION_TYPE } from '../../../core/shared/config/constants.js';
+
+const DAY = '2026-10-17';
+
+const order = (merchantRef, overrides = {}) => ({
+  merchantRef,
+  trxId: `GW-${merchantRef}`,
+  userId: '42',
+  type: TRANSACTION_TYPE.ORDER,
+  item: '86 Diamonds',
+  status: PAYMENT_STATUS.DELIVERED,
+  amount: 20700n,
+  providerCost: 19000n,
+  provider: 'vipreseller',
+  providerOrderId: `PRV-${merchantRef}`,
+  ...overrides
+});
+
+/**
+ * Settlement of one day against stubbed gateway and provider answers
+ * @param {Object} options
+ * @param {Array} options.transactions - The day's rows
+ * @param {Object} options.gateway - merchantRef → { status, amount } | Error | null
+ * @param {Object} options.provider - merchantRef → { status, price } | { success: false }
+ * @param {Array} options.lists - listGatewayPayments result
+ * @param {Array} options.elsewhere - Rows found by reference outside the day
+ */
+const settle = async ({ transactions = [], gateway = {}, provider = {}, lists = [], elsewhere = [] } = {}) => {
+  const finished = [];
+  const trxRepo = {
+    findForExport: async () => transactions,
+    findByRef: async (ref) => elsewhere.find(trx => trx.merchantRef === ref) || null,
+    findByTrxId: async (id) => elsewhere.find(trx => trx.trxId === id) || null
+  };
+  const runRepo = {
+    claim: async () => true,
+    finish: async (day, result) => { finished.push({ day, ...result }); }
+  };
+  const paymentService = {
+    listGatewayPayments: async () => lists,
+    getGatewayStatus: async (trx) => {
+      const answer = gateway[trx.merchantRef];
+      if (answer instanceof Error) throw answer;
+      return answer ?? null;
+    }
+  };
+  const gameProviderService = {
+    checkOrderStatus: async (providerOrderId) => {
+      const answer = provider[providerOrderId.replace(/^PRV-/, '')];
+      return answer?.success === false ? answer : { success: true, status: answer.status, price: answer.price ?? null };
+    },
+    mapOrderStatus: (status) => status
+  };
+
+  const service = new SettlementService(trxRepo, runRepo, paymentService, gameProviderService, { enabled: true });
+  const report = await service.run(DAY);
+  return { report, finished, types: report.mismatches.map(m => `${m.merchantRef}:${m.type}`) };
+};
+
+const paid = (amount = 20700n) => ({ status: PAYMENT_STATUS.PAID, amount });
+const delivered = (price = 19000) => ({ status: PAYMENT_STATUS.DELIVERED, price });
+
+describe('SettlementService mismatch classification', () => {
+  it('reports nothing when gateway, provider and database agree', async () => {
+    const { report } = await settle({
+      transactions: [order('A')],
+      gateway: { A: paid() },
+      provider: { A: delivered() }
+    });
+
+    assert.deepEqual(report.mismatches, []);
+    assert.deepEqual(report.unchecked, []);
+    assert.equal(report.gatewayChecked, 1);
+    assert.equal(report.providerChecked, 1);
+  });
+
+  it('flags money received for an order the provider did not deliver', async () => {
+    const { types } = await settle({
+      transactions: [order('A', { status: PAYMENT_STATUS.PROCESSING })],
+      gateway: { A: paid() },
+      provider: { A: { status: PAYMENT_STATUS.PROCESSING } }
+    });
+
+    assert.deepEqual(types, [`A:${SETTLEMENT_MISMATCH.PAID_NOT_DELIVERED}`]);
+  });
+
+  it('flags an order delivered while the gateway never confirmed the payment', async () => {
+    const { types } = await settle({
+      transactions: [order('A')],
+      gateway: { A: { status: PAYMENT_STATUS.UNPAID, amount: 20700n } },
+      provider: { A: delivered() }
+    });
+
+    assert.deepEqual(types, [`A:${SETTLEMENT_MISMATCH.DELIVERED_NOT_PAID}`]);
+  });
+
+  it('flags a database status behind what gateway and provider agree on', async () => {
+    const { types } = await settle({
+      transactions: [order('A', { status: PAYMENT_STATUS.PROCESSING })],
+      gateway: { A: paid() },
+      provider: { A: delivered() }
+    });
+
+    assert.deepEqual(types, [`A:${SETTLEMENT_MISMATCH.STATUS_MISMATCH}`]);
+  });
+
+  it('does not flag a refunded order the provider failed', async () => {
+    const { types } = await settle({
+      transactions: [order('A', { status: PAYMENT_STATUS.REFUNDED })],
+      gateway: { A: paid() },
+      provider: { A: { status: PAYMENT_STATUS.DELIVERY_FAILED } }
+    });
+
+    assert.deepEqual(types, []);
+  });
+
+  it('flags gateway amount and provider price differences separately', async () => {
+    const { report } = await settle({
+      transactions: [order('A')],
+      gateway: { A: paid(20000n) },
+      provider: { A: delivered(19500) }
+    });
+
+    assert.deepEqual(report.mismatches.map(m => [m.type, m.source, m.expected, m.actual]), [
+      [SETTLEMENT_MISMATCH.AMOUNT_MISMATCH, 'gateway', 20700n, 20000n],
+      [SETTLEMENT_MISMATCH.AMOUNT_MISMATCH, 'provider', 19000n, 19500n]
+    ]);
+  });
+
+  it('takes the database status as paid for balance payments', async () => {
+    const { types, report } = await settle({
+      transactions: [order('A', { channel: 'SALDO', trxId: null })],
+      provider: { A: delivered() }
+    });
+
+    assert.deepEqual(types, []);
+    assert.equal(report.gatewayChecked, 0);
+  });
+});
+
+describe('SettlementService gateway lists', () => {
+  const listed = (merchantRef, trxId, status = PAYMENT_STATUS.PAID) => ({ merchantRef, trxId, status, amount: 20700n });
+
+  it('reports paid gateway rows with no transaction in the database', async () => {
+    const { report, types } = await settle({
+      transactions: [order('A')],
+      gateway: { A: paid() },
+      provider: { A: delivered() },
+      lists: [{ gateway: 'netzme', rows: [listed('A', 'GW-A'), listed(null, 'GW-LOST'), listed('UNPAID-1', 'GW-U', PAYMENT_STATUS.UNPAID)] }]
+    });
+
+    assert.deepEqual(types, [`GW-LOST:${SETTLEMENT_MISMATCH.NOT_IN_DATABASE}`]);
+    assert.equal(report.gatewayListed, 3);
+  });
+
+  it('matches listed rows by gateway trx ID and skips rows recorded on another day', async () => {
+    const { types } = await settle({
+      transactions: [order('A')],
+      gateway: { A: paid() },
+      provider: { A: delivered() },
+      elsewhere: [order('OLD')],
+      lists: [{ gateway: 'netzme', rows: [listed(null, 'GW-A'), listed('OLD', 'GW-OLD')] }]
+    });
+
+    assert.deepEqual(types, []);
+  });
+});
+
+describe('SettlementService unchecked rows', () => {
+  it('counts failed lookups, missing amounts and missing lists as unchecked', async () => {
+    const { report, finished } = await settle({
+      transactions: [order('A'), order('B'), order('C')],
+      gateway: { A: new Error('timeout'), B: paid(null), C: paid() },
+      provider: { A: delivered(), B: delivered(), C: { success: false, message: 'Provider down' } },
+      lists: [{ gateway: 'sakurupiah', rows: null }]
+    });
+
+    assert.deepEqual(report.unchecked.map(u => `${u.merchantRef}:${u.source}`), [
+      'null:gateway',
+      'A:gateway',
+      'B:amount',
+      'C:provider'
+    ]);
+    assert.deepEqual(report.mismatches, []);
+
+    const [run] = finished;
+    assert.equal(run.status, SETTLEMENT_RUN_STATUS.DONE);
+    assert.equal(run.checked, 3);
+    assert.equal(run.unchecked, 4);
+  });
+
+  it('refuses a day that is malformed or not over', async () => {
+    const service = new SettlementService({}, {}, {}, null, { enabled: true });
+
+    await assert.rejects(service.run('2026-13-01'), /INVALID_DAY/);
+    await assert.rejects(service.run('2999-01-01'), /INVALID_DAY/);
+  });
+});
@@ -0,0 +1,138 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { TransactionAdminService } from '../../../core/shared/services/TransactionAdminService.js';
+import { TransactionRepository } from '../../../core/shared/repositories/TransactionRepository.js';
+import { PAYMENT_STATUS, WALLET, FULFILLMENT_JOB_STATUS } from '../../../core/shared/config/constants.js';
+import { createFakeDatabase } from '../../helpers/fakeDatabase.js';
+
+const order = (overrides = {}) => ({
+  merchantRef: 'ORD-1',
+  type: 'ORDER',
+  channel: 'QRIS',
+  status: PAYMENT_STATUS.PAID,
+  providerOrderId: null,
+  serialNumber: null,
+  paidAt: new Date(),
+  deliveredAt: null,
+  ...overrides
+});
+
+const setup = (row, { jobStatus = FULFILLMENT_JOB_STATUS.PENDING, providerStatus = null } = {}) => {
+  const db = createFakeDatabase({ transaction: [row] });
+  const calls = [];
+  const queue = {
+    cancel: async (merchantRef) => { calls.push(['cancel', merchantRef]); },
+    getJob: async () => ({ status: jobStatus })
+  };
+  const wallet = {
+    refundOrder: async (trx, oldStatus) => {
+      calls.push(['refundOrder', trx.merchantRef]);
+      return await new TransactionRepository(db).updateIfStatus(trx.merchantRef, oldStatus, { status: PAYMENT_STATUS.REFUNDED });
+    }
+  };
+  const gameOrders = {
+    afterDelivered: async (trx) => { calls.push(['afterDelivered', trx.merchantRef]); },
+    resolveWithProvider: async (trx) => {
+      if (!providerStatus) return trx;
+      db.state.transaction[0].status = providerStatus;
+      return { ...trx, status: providerStatus };
+    }
+  };
+  const payments = { requeueFulfillment: async (merchantRef) => { calls.push(['requeue', merchantRef]); } };
+  const service = new TransactionAdminService(new TransactionRepository(db), queue, wallet, gameOrders, payments);
+  return { db, service, calls };
+};
+
+describe('TransactionAdminService.refulfill', () => {
+  it('puts a failed delivery back to PAID and queues it again', async () => {
+    const { db, service, calls } = setup(order({ status: PAYMENT_STATUS.DELIVERY_FAILED, serialNumber: 'SN-1' }));
+
+    const result = await service.refulfill('ORD-1');
+
+    assert.equal(result.success, true);
+    assert.equal(result.oldStatus, PAYMENT_STATUS.DELIVERY_FAILED);
+    assert.equal(db.state.transaction[0].status, PAYMENT_STATUS.PAID);
+    assert.equal(db.state.transaction[0].serialNumber, null);
+    assert.deepEqual(calls, [['requeue', 'ORD-1']]);
+  });
+
+  it('refuses orders that were delivered or are in flight', async () => {
+    for (const status of [PAYMENT_STATUS.DELIVERED, PAYMENT_STATUS.PROCESSING]) {
+      const { service, calls } = setup(order({ status }));
+
+      assert.equal((await service.refulfill('ORD-1')).error, 'INVALID_STATUS');
+      assert.deepEqual(calls, []);
+    }
+  });
+});
+
+describe('TransactionAdminService.forceStatus', () => {
+  it('stamps the delivery, cancels the job and gives the delivery rewards', async () => {
+    const { db, service, calls } = setup(order({ status: PAYMENT_STATUS.DELIVERY_FAILED }));
+
+    const result = await service.forceStatus('ORD-1', 'delivered');
+
+    assert.equal(result.success, true);
+    assert.equal(db.state.transaction[0].status, PAYMENT_STATUS.DELIVERED);
+    assert.ok(db.state.transaction[0].deliveredAt instanceof Date);
+    assert.deepEqual(calls, [['cancel', 'ORD-1'], ['afterDelivered', 'ORD-1']]);
+  });
+
+  it('sends refunds through refund and refuses unknown statuses', async () => {
+    const { service } = setup(order());
+
+    assert.equal((await service.forceStatus('ORD-1', 'REFUNDED')).error, 'USE_REFUND');
+    assert.equal((await service.forceStatus('ORD-1', 'LOST')).error, 'INVALID_TARGET');
+    assert.equal((await service.forceStatus('ORD-1', 'PAID')).error, 'UNCHANGED');
+  });
+
+  it('does not overwrite a status that moved meanwhile', async () => {
+    const { db, service } = setup(order());
+    db.once('transaction', 'findUnique', () => { db.state.transaction[0].status = PAYMENT_STATUS.PROCESSING; });
+
+    assert.equal((await service.forceStatus('ORD-1', 'FAILED')).error, 'CONFLICT');
+    assert.equal(db.state.transaction[0].status, PAYMENT_STATUS.PROCESSING);
+  });
+});
+
+describe('TransactionAdminService.refund', () => {
+  it('records the refund of a paid order whose job was still waiting', async () => {
+    const { db, service, calls } = setup(order());
+
+    const result = await service.refund('ORD-1');
+
+    assert.equal(result.success, true);
+    assert.equal(result.toWallet, false);
+    assert.equal(db.state.transaction[0].status, PAYMENT_STATUS.REFUNDED);
+    assert.deepEqual(calls, [['cancel', 'ORD-1']]);
+  });
+
+  it('credits a balance payment back to the wallet', async () => {
+    const { db, service, calls } = setup(order({ channel: WALLET.CHANNEL_CODE, status: PAYMENT_STATUS.DELIVERY_FAILED }));
+
+    const result = await service.refund('ORD-1');
+
+    assert.equal(result.toWallet, true);
+    assert.deepEqual(calls.at(-1), ['refundOrder', 'ORD-1']);
+    assert.equal(db.state.transaction[0].status, PAYMENT_STATUS.REFUNDED);
+  });
+
+  it('refuses while a worker is sending the order', async () => {
+    const { db, service } = setup(order(), { jobStatus: FULFILLMENT_JOB_STATUS.RUNNING });
+
+    assert.equal((await service.refund('ORD-1')).error, 'IN_FLIGHT');
+    assert.equal(db.state.transaction[0].status, PAYMENT_STATUS.PAID);
+  });
+
+  it('asks the provider first about an order in flight', async () => {
+    const inFlight = setup(order({ status: PAYMENT_STATUS.PROCESSING, providerOrderId: 'P-1' }));
+    assert.equal((await inFlight.service.refund('ORD-1')).error, 'IN_FLIGHT');
+
+    const failed = setup(order({ status: PAYMENT_STATUS.PROCESSING, providerOrderId: 'P-1' }), { providerStatus: PAYMENT_STATUS.DELIVERY_FAILED });
+    const result = await failed.service.refund('ORD-1');
+    assert.equal(result.success, true);
+    assert.equal(result.resolved, true);
+    assert.equal(failed.db.state.transaction[0].status, PAYMENT_STATUS.REFUNDED);
+  });
+});
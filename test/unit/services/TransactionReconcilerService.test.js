@@ -0,0 +1,178 @@
+import { describe, it, before, after, mock } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { TransactionReconcilerService } from '../../../core/shared/services/TransactionReconcilerService.js';
+import { TransactionSyncService } from '../../../core/shared/services/TransactionSyncService.js';
+import { PaymentGatewayRegistry } from '../../../core/shared/services/PaymentGatewayRegistry.js';
+import { TransactionRepository } from '../../../core/shared/repositories/TransactionRepository.js';
+import { PAYMENT_STATUS, RECONCILER } from '../../../core/shared/config/constants.js';
+import { createFakeDatabase } from '../../helpers/fakeDatabase.js';
+
+const hoursAgo = (hours) => new Date(Date.now() - hours * 60 * 60 * 1000);
+
+describe('TransactionReconcilerService in-flight orders', () => {
+  const inFlight = (overrides = {}) => ({
+    merchantRef: 'ORD-1',
+    status: PAYMENT_STATUS.PROCESSING,
+    provider: 'primary',
+    providerOrderId: 'P-1',
+    createdAt: hoursAgo(1),
+    updatedAt: hoursAgo(1),
+    paidAt: hoursAgo(1),
+    ...overrides
+  });
+  const setup = (rows, { providerStatus = null, callback = null } = {}) => {
+    const db = createFakeDatabase({ transaction: rows });
+    const checked = [];
+    const gameProvider = {
+      checkOrderStatus: async (orderId) => {
+        checked.push(orderId);
+        return providerStatus ? { success: true, status: providerStatus } : { success: false, status: 'unknown' };
+      }
+    };
+    const paymentService = { handleProviderCallback: callback };
+    return { reconciler: new TransactionReconcilerService(new TransactionRepository(db), paymentService, gameProvider), checked };
+  };
+
+  it('reports an order sent without an answer once, without asking the provider', async () => {
+    const { reconciler, checked } = setup([inFlight({ providerOrderId: null })]);
+
+    const first = { changes: [], discrepancies: [] };
+    await reconciler._reconcileProcessing(first);
+    const second = { changes: [], discrepancies: [] };
+    await reconciler._reconcileProcessing(second);
+
+    assert.deepEqual(checked, []);
+    assert.deepEqual(first.discrepancies.map(d => d.type), ['UNCONFIRMED_PROVIDER_ORDER']);
+    assert.deepEqual(second.discrepancies, []);
+  });
+
+  it('applies the provider status when the callback was lost', async () => {
+    const callbacks = [];
+    const callback = async (orderId, status) => {
+      callbacks.push([orderId, status]);
+      return { statusChanged: true, trx: { merchantRef: 'ORD-1' }, oldStatus: PAYMENT_STATUS.PROCESSING, newStatus: PAYMENT_STATUS.DELIVERED };
+    };
+    const { reconciler, checked } = setup([inFlight()], { providerStatus: 'success', callback });
+
+    const report = { changes: [], discrepancies: [] };
+    await reconciler._reconcileProcessing(report);
+
+    assert.deepEqual(checked, ['P-1']);
+    assert.deepEqual(callbacks, [['P-1', 'success']]);
+    assert.deepEqual(report.changes.map(c => [c.newStatus, c.source]), [[PAYMENT_STATUS.DELIVERED, 'provider']]);
+    assert.deepEqual(report.discrepancies.map(d => d.type), ['LOST_PROVIDER_CALLBACK']);
+  });
+
+  it('reports an order the provider still has not finished once it is stuck', async () => {
+    const { reconciler } = setup([inFlight({ paidAt: hoursAgo(3) })]);
+
+    const first = { changes: [], discrepancies: [] };
+    await reconciler._reconcileProcessing(first);
+    const second = { changes: [], discrepancies: [] };
+    await reconciler._reconcileProcessing(second);
+
+    assert.deepEqual(first.discrepancies.map(d => d.type), ['STUCK_PROCESSING']);
+    assert.deepEqual(second.discrepancies, []);
+  });
+
+  it('leaves orders alone during the callback grace period', async () => {
+    const fresh = new Date(Date.now() - RECONCILER.PROCESSING_GRACE_MS / 2);
+    const { reconciler, checked } = setup([inFlight({ providerOrderId: null, updatedAt: fresh })]);
+
+    const report = { changes: [], discrepancies: [] };
+    await reconciler._reconcileProcessing(report);
+
+    assert.deepEqual(checked, []);
+    assert.deepEqual(report.discrepancies, []);
+  });
+});
+
+describe('TransactionReconcilerService gateway sync', () => {
+  // Gateway answers right away; the sync's timeout timer must not keep the test alive
+  before(() => mock.timers.enable({ apis: ['setTimeout'] }));
+  after(() => mock.timers.reset());
+
+  const invoice = (overrides = {}) => ({
+    merchantRef: 'ORD-1',
+    trxId: 'GW-1',
+    status: PAYMENT_STATUS.UNPAID,
+    channel: 'QRIS',
+    gateway: 'sakurupiah',
+    createdAt: hoursAgo(2),
+    updatedAt: hoursAgo(2),
+    expiryDate: hoursAgo(1),
+    proofFileId: null,
+    ...overrides
+  });
+  const setup = (rows, gatewayStatus) => {
+    const db = createFakeDatabase({ transaction: rows });
+    const trxRepo = new TransactionRepository(db);
+    const asked = [];
+    const gateway = {
+      checkTransactionStatus: async (trxId) => {
+        asked.push(trxId);
+        return { trx_id: trxId, payment_status: gatewayStatus };
+      }
+    };
+    const syncService = new TransactionSyncService(new PaymentGatewayRegistry().register('sakurupiah', gateway), trxRepo);
+    // Same result shape as PaymentService.handleCallback, without the post-payment steps
+    const paymentService = {
+      handleCallback: async (merchantRef) => {
+        const result = await syncService.syncWithResult(merchantRef);
+        return { ...result, newStatus: result.trx?.status };
+      }
+    };
+    return { reconciler: new TransactionReconcilerService(trxRepo, paymentService, null), db, asked };
+  };
+
+  it('expires a stale invoice after the gateway confirms it is still unpaid', async () => {
+    const { reconciler, db, asked } = setup([invoice()], 'UNPAID');
+
+    const report = await reconciler.run();
+
+    assert.deepEqual(asked, ['GW-1']);
+    assert.equal(db.state.transaction[0].status, PAYMENT_STATUS.EXPIRED);
+    assert.deepEqual(report.changes.map(c => [c.trx.merchantRef, c.newStatus, c.source]), [['ORD-1', PAYMENT_STATUS.EXPIRED, 'expiry']]);
+    assert.deepEqual(report.discrepancies, []);
+  });
+
+  it('lets a late payment win over expiry and reports the lost callback', async () => {
+    const { reconciler, db } = setup([invoice()], 'PAID');
+
+    const report = await reconciler.run();
+
+    assert.equal(db.state.transaction[0].status, PAYMENT_STATUS.PAID);
+    assert.deepEqual(report.changes.map(c => [c.newStatus, c.source]), [[PAYMENT_STATUS.PAID, 'gateway']]);
+    assert.deepEqual(report.discrepancies.map(d => d.type), ['LOST_PAYMENT_CALLBACK']);
+  });
+
+  it('syncs a recent unpaid invoice once, and leaves it unpaid while the gateway does', async () => {
+    const { reconciler, db, asked } = setup([invoice({ expiryDate: new Date(Date.now() + 60 * 60 * 1000) })], 'UNPAID');
+
+    const report = await reconciler.run();
+
+    assert.deepEqual(asked, ['GW-1']);
+    assert.equal(db.state.transaction[0].status, PAYMENT_STATUS.UNPAID);
+    assert.deepEqual(report.changes, []);
+  });
+
+  it('does not expire an invoice whose transfer receipt awaits review', async () => {
+    const { reconciler, db, asked } = setup([invoice({ proofFileId: 'FILE-1', createdAt: hoursAgo(30) })], 'UNPAID');
+
+    await reconciler.run();
+
+    assert.deepEqual(asked, []);
+    assert.equal(db.state.transaction[0].status, PAYMENT_STATUS.UNPAID);
+  });
+
+  it('still picks up a payment on an invoice closed by a channel switch', async () => {
+    const closed = invoice({ status: PAYMENT_STATUS.EXPIRED, replacedBy: 'ORD-2', expiryDate: new Date(Date.now() + 60 * 60 * 1000) });
+    const { reconciler, db } = setup([closed], 'PAID');
+
+    const report = await reconciler.run();
+
+    assert.equal(db.state.transaction[0].status, PAYMENT_STATUS.PAID);
+    assert.deepEqual(report.discrepancies.map(d => [d.merchantRef, d.type]), [['ORD-1', 'LOST_PAYMENT_CALLBACK']]);
+  });
+});